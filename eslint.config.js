@@ -36,6 +36,7 @@ module.exports = [
         NodeList: 'readonly',
         FileReader: 'readonly',
         Blob: 'readonly',
+        TextEncoder: 'readonly',
         FormData: 'readonly',
         Headers: 'readonly',
         Response: 'readonly',
@@ -8,14 +8,21 @@
 import { StorageHelper } from './lib/storage-helper.js';
 import { AlarmManager } from './lib/alarm-manager.js';
 import { selectNotificationUrl } from './lib/conference-url-utils.js';
-import { GoogleCalendarClient, AuthenticationError } from './services/google-calendar-client.js';
+import { GoogleCalendarClient, AuthenticationError, ConflictError } from './services/google-calendar-client.js';
 import { ReminderSyncService } from './services/reminder-sync-service.js';
+import { GoogleEventCache } from './services/google-event-cache.js';
 import { logError, logWarn } from './lib/utils.js';
 import { runDeduped } from './lib/request-dedupe.js';
+import { RECURRING_SCOPES } from './lib/google-event-utils.js';
+import { MAX_EVENT_FETCH_DAYS } from './lib/constants.js';
 
 // Instantiate services
 const calendarClient = new GoogleCalendarClient();
 const reminderSync = new ReminderSyncService(calendarClient);
+const eventCache = new GoogleEventCache(calendarClient, {
+    // Let an open side panel redraw with what a background refresh brought in
+    onRefresh: () => chrome.runtime.sendMessage({ action: 'googleEventsRefreshed' }).catch(() => {})
+});
 
 // Side panel configuration - opens when clicking the action toolbar icon
 chrome.sidePanel
@@ -30,6 +37,7 @@ chrome.runtime.onInstalled.addListener(async () => {
     // Set up recurring intra-day sync so events added/changed during the day
     // still get reminders without needing the side panel to be opened.
     await reminderSync.setupPeriodicSync();
+    await reminderSync.setupAgendaDigest();
 
     // Initial sync on install
     await reminderSync.syncAll();
@@ -64,6 +72,7 @@ chrome.runtime.onStartup.addListener(async () => {
     // not always survive across restarts / crashes), then sync immediately.
     await reminderSync.setupDailySync();
     await reminderSync.setupPeriodicSync();
+    await reminderSync.setupAgendaDigest();
 
     // Sync reminders on startup
     await reminderSync.syncAll();
@@ -111,6 +120,17 @@ function buildCalendarErrorResponse(error, requestId) {
     };
 }
 
+/**
+ * The number of days an event read request covers: 1 to MAX_EVENT_FETCH_DAYS,
+ * or a single day when absent or out of range.
+ * @param {Object} request
+ * @returns {number}
+ */
+function getRequestedDays(request) {
+    const days = request.days;
+    return Number.isInteger(days) && days >= 1 && days <= MAX_EVENT_FETCH_DAYS ? days : 1;
+}
+
 /**
  * Error response for event write operations (insert/patch/delete).
  * Unlike reads, a 403 on a write usually means permission denied on that
@@ -128,6 +148,26 @@ function buildWriteErrorResponse(error, requestId) {
     return response;
 }
 
+/**
+ * Error response for a write rejected because the event changed elsewhere
+ * since the panel read it (If-Match, 412). Carries the event as it is now
+ * so the panel can compare both versions; `currentEvent` is null when the
+ * event was deleted meanwhile.
+ * @param {ConflictError} error
+ * @param {Object} request - The updateEvent/deleteEvent request
+ * @returns {Promise<Object>}
+ */
+async function buildConflictResponse(error, request) {
+    let currentEvent = null;
+    try {
+        const event = await calendarClient.getEvent(request.calendarId, request.eventId);
+        currentEvent = event.status === 'cancelled' ? null : event;
+    } catch (_error) {
+        // Deleted (404/410) or unreadable: answer without the current version
+    }
+    return { ...buildWriteErrorResponse(error, request.requestId), conflict: true, currentEvent };
+}
+
 /**
  * Validate the shape of an event-write request before touching the API.
  * The UI always sends well-formed requests; this guards the message surface.
@@ -146,6 +186,12 @@ function validateWriteRequest(request, needsEventId = false, needsEvent = false)
     if (needsEvent && (typeof request.event !== 'object' || request.event === null || Array.isArray(request.event))) {
         return 'Invalid event';
     }
+    if (request.recurringScope !== undefined && !RECURRING_SCOPES.includes(request.recurringScope)) {
+        return 'Invalid recurringScope';
+    }
+    if (request.etag !== undefined && typeof request.etag !== 'string') {
+        return 'Invalid etag';
+    }
     return null;
 }
 
@@ -156,7 +202,8 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
         case "getEvents": {
             const targetDate = request.targetDate ? new Date(request.targetDate) : null;
             const requestId = request.requestId;
-            calendarClient.getCalendarEvents(targetDate)
+            const days = getRequestedDays(request);
+            eventCache.getEvents(targetDate, days, null, { includeDeclined: request.includeDeclined === true })
                 .then(events => sendResponse({events, requestId}))
                 .catch(error => {
                     if (error instanceof AuthenticationError) {
@@ -173,7 +220,8 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
             const targetDate = request.targetDate ? new Date(request.targetDate) : null;
             const requestId = request.requestId;
             const calendarIds = request.calendarIds || [];
-            calendarClient.getCalendarEventsForIds(targetDate, calendarIds)
+            const days = getRequestedDays(request);
+            eventCache.getEvents(targetDate, days, calendarIds, { includeDeclined: request.includeDeclined === true })
                 .then(events => sendResponse({ events, requestId }))
                 .catch(error => {
                     sendResponse(buildCalendarErrorResponse(error, requestId));
@@ -216,6 +264,9 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
                     sendResponse({ success: false, error: error.message });
                     return;
                 }
+                // A different account may have signed in
+                eventCache.invalidateAll();
+                calendarClient.clearSyncState().catch(error => logError('Sync state reset', error));
 
                 // After successful authentication, fetch calendar list to set up primary calendar
                 calendarClient.getCalendarList()
@@ -234,6 +285,8 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
 
         case "disconnectGoogle":
             // Disconnect the Google account integration
+            eventCache.invalidateAll();
+            calendarClient.clearSyncState().catch(error => logError('Sync state reset', error));
             chrome.identity.getAuthToken({interactive: false}, (token) => {
                 if (chrome.runtime.lastError || !token) {
                     // If no token, already disconnected
@@ -258,8 +311,16 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
             });
             return true; // Indicates async response
 
-        case "reloadSideTimeTable":
         case "calendarSelectionChanged":
+        case "reminderCalendarsChanged":
+            // Google reminders follow the selected calendars; the side panel
+            // handles the display side of a selection change
+            reminderSync.syncGoogleEventReminders();
+            sendResponse({success: true});
+            return false; // Synchronous response
+
+        case "reloadSideTimeTable":
+        case "googleEventsRefreshed":
             // These messages are handled by the side panel; just acknowledge
             sendResponse({success: true});
             return false; // Synchronous response
@@ -268,7 +329,11 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
             // Handle reminder settings update. Force-recreate the periodic sync
             // alarm so a changed sync interval takes effect immediately, then sync.
             reminderSync.setupPeriodicSync({ force: true })
-                .then(() => reminderSync.syncGoogleEventReminders())
+                .then(() => Promise.all([
+                    reminderSync.syncGoogleEventReminders(),
+                    reminderSync.syncFocusBlocks(),
+                    reminderSync.setupAgendaDigest({ force: true })
+                ]))
                 .then(() => {
                     sendResponse({ success: true });
                 })
@@ -342,7 +407,8 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
             return true; // Indicates async response
 
         case "forceSyncReminders":
-            // Force sync reminders immediately (for testing)
+            // Force sync reminders immediately (for testing); also drops cached events
+            eventCache.invalidateAll();
             reminderSync.syncAll()
                 .then(() => {
                     sendResponse({ success: true, message: 'Reminder sync completed' });
@@ -379,8 +445,9 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
             // Respond to a Google Calendar event (accept/decline/tentative)
             (async () => {
                 try {
-                    const { calendarId, eventId, response: rsvpResponse } = request;
-                    const updatedEvent = await calendarClient.respondToEvent(calendarId, eventId, rsvpResponse);
+                    const { calendarId, eventId, response: rsvpResponse, comment, attendanceMode } = request;
+                    const updatedEvent = await calendarClient.respondToEvent(calendarId, eventId, rsvpResponse, { comment, attendanceMode });
+                    eventCache.invalidateCalendar(calendarId);
                     sendResponse({ success: true, event: updatedEvent });
                 } catch (error) {
                     logError('Event response', error);
@@ -398,11 +465,12 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
                     return;
                 }
                 try {
-                    const { calendarId, event } = request;
+                    const { calendarId, event, sendUpdates } = request;
                     // Deduped: a retry after a commit-then-crash must not
                     // create the event a second time
                     const createdEvent = await runDeduped(request.requestId,
-                        () => calendarClient.createEvent(calendarId, event));
+                        () => calendarClient.createEvent(calendarId, event, { sendUpdates }));
+                    eventCache.invalidateCalendar(calendarId);
                     // Ensure the new event gets a reminder alarm if reminders are enabled
                     reminderSync.syncAll().catch(() => {});
                     sendResponse({ success: true, event: createdEvent });
@@ -426,13 +494,23 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
                     return;
                 }
                 try {
-                    const { calendarId, eventId, event } = request;
-                    const updatedEvent = await runDeduped(request.requestId,
-                        () => calendarClient.patchEvent(calendarId, eventId, event));
+                    const { calendarId, eventId, event, sendUpdates, recurringScope, etag } = request;
+                    // An occurrence of a recurring event: recurringScope says
+                    // which occurrences the change applies to
+                    const updatedEvent = await runDeduped(request.requestId, () => (recurringScope
+                        ? calendarClient.updateRecurringEvent(calendarId, eventId, event, recurringScope, { sendUpdates, etag })
+                        : calendarClient.patchEvent(calendarId, eventId, event, { sendUpdates, etag })));
+                    eventCache.invalidateCalendar(calendarId);
                     // The reminder lead time may have changed — resync alarms
                     reminderSync.syncAll().catch(() => {});
                     sendResponse({ success: true, event: updatedEvent });
                 } catch (error) {
+                    if (error instanceof ConflictError) {
+                        logWarn('Event update', 'changed elsewhere');
+                        eventCache.invalidateCalendar(request.calendarId);
+                        sendResponse(await buildConflictResponse(error, request));
+                        return;
+                    }
                     if (error instanceof AuthenticationError) {
                         logWarn('Event update', 'auth error');
                     } else {
@@ -452,13 +530,21 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
                     return;
                 }
                 try {
-                    const { calendarId, eventId } = request;
-                    await runDeduped(request.requestId,
-                        () => calendarClient.deleteEvent(calendarId, eventId));
+                    const { calendarId, eventId, recurringScope, etag } = request;
+                    await runDeduped(request.requestId, () => (recurringScope
+                        ? calendarClient.deleteRecurringEvent(calendarId, eventId, recurringScope, { etag })
+                        : calendarClient.deleteEvent(calendarId, eventId, { etag })));
+                    eventCache.invalidateCalendar(calendarId);
                     // Clear any reminder alarm still scheduled for the deleted event
                     reminderSync.syncAll().catch(() => {});
                     sendResponse({ success: true });
                 } catch (error) {
+                    if (error instanceof ConflictError) {
+                        logWarn('Event deletion', 'changed elsewhere');
+                        eventCache.invalidateCalendar(request.calendarId);
+                        sendResponse(await buildConflictResponse(error, request));
+                        return;
+                    }
                     if (error instanceof AuthenticationError) {
                         logWarn('Event deletion', 'auth error');
                     } else {
@@ -469,6 +555,97 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
             })();
             return true; // Indicates async response
 
+        case "moveEvent":
+            // Move an event to another calendar (events.move)
+            (async () => {
+                const invalid = validateWriteRequest(request, true, false);
+                if (invalid) {
+                    sendResponse({ success: false, error: invalid });
+                    return;
+                }
+                if (typeof request.destinationCalendarId !== 'string' || !request.destinationCalendarId) {
+                    sendResponse({ success: false, error: 'Invalid destinationCalendarId' });
+                    return;
+                }
+                try {
+                    const { calendarId, eventId, destinationCalendarId, sendUpdates } = request;
+                    const movedEvent = await runDeduped(request.requestId,
+                        () => calendarClient.moveEvent(calendarId, eventId, destinationCalendarId, { sendUpdates }));
+                    // The event left one calendar and joined the other
+                    eventCache.invalidateCalendar(calendarId);
+                    eventCache.invalidateCalendar(destinationCalendarId);
+                    // Reminders follow the destination calendar's mute setting
+                    reminderSync.syncAll().catch(() => {});
+                    sendResponse({ success: true, event: movedEvent });
+                } catch (error) {
+                    if (error instanceof AuthenticationError) {
+                        logWarn('Event move', 'auth error');
+                    } else {
+                        logError('Event move', error);
+                    }
+                    sendResponse(buildWriteErrorResponse(error, request.requestId));
+                }
+            })();
+            return true; // Indicates async response
+
+        case "getFreeBusy":
+            // Busy times of the guests of an event being created or edited
+            (async () => {
+                const { calendarIds, timeMin, timeMax } = request;
+                if (!Array.isArray(calendarIds) || !calendarIds.every(id => typeof id === 'string')
+                    || typeof timeMin !== 'string' || typeof timeMax !== 'string') {
+                    sendResponse({ success: false, error: 'Invalid free/busy request' });
+                    return;
+                }
+                try {
+                    const calendars = await calendarClient.queryFreeBusy(
+                        calendarIds, new Date(timeMin), new Date(timeMax));
+                    sendResponse({ success: true, calendars });
+                } catch (error) {
+                    // An AuthenticationError here is usually the free/busy
+                    // permission being declined, not an expired sign-in
+                    logWarn('Free/busy lookup', error.message);
+                    sendResponse({ success: false, error: error.message });
+                }
+            })();
+            return true; // Indicates async response
+
+        case "getReminderActions":
+            // Snooze / stop-for-series choices for the reminder actions window
+            AlarmManager.getReminderActions(request.alarmName)
+                .then(actions => sendResponse({ success: !!actions, actions }))
+                .catch(error => {
+                    logError('Reminder actions', error);
+                    sendResponse({ success: false, error: error.message });
+                });
+            return true; // Indicates async response
+
+        case "snoozeReminder":
+        case "stopSeriesReminders":
+        case "dismissReminder":
+            // Choices made in the reminder actions window; each closes the reminder
+            (async () => {
+                try {
+                    const { alarmName } = request;
+                    let success = true;
+                    if (request.action === 'snoozeReminder') {
+                        success = (await AlarmManager.snoozeReminder(alarmName, request.option)) !== null;
+                    } else if (request.action === 'stopSeriesReminders') {
+                        success = await AlarmManager.stopSeriesReminders(alarmName);
+                    } else {
+                        await AlarmManager.clearSnooze(alarmName);
+                    }
+                    if (success) {
+                        chrome.notifications.clear(`reminder_${alarmName}`);
+                    }
+                    sendResponse({ success });
+                } catch (error) {
+                    logError('Reminder action', error);
+                    sendResponse({ success: false, error: error.message });
+                }
+            })();
+            return true; // Indicates async response
+
         default:
             logWarn('Message handler', `Unknown action: ${request.action}`);
             sendResponse({error: "Unknown action"});
@@ -479,16 +656,37 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
 // Alarm listener for event reminders and periodic sync
 chrome.alarms.onAlarm.addListener(async (alarm) => {
     if (alarm.name === 'daily_reminder_sync' || alarm.name === 'periodic_reminder_sync') {
+        if (alarm.name === 'daily_reminder_sync') {
+            // Safety net for an agenda alarm lost across a restart
+            await reminderSync.setupAgendaDigest();
+        }
         await reminderSync.syncAll();
+    } else if (alarm.name === ReminderSyncService.AGENDA_DIGEST_ALARM) {
+        await reminderSync.showAgendaDigest();
+        await reminderSync.setupAgendaDigest();
     } else if (alarm.name.startsWith(AlarmManager.ALARM_PREFIX) || alarm.name.startsWith(AlarmManager.GOOGLE_ALARM_PREFIX)) {
         await AlarmManager.showReminderNotification(alarm.name);
+    } else if (alarm.name.startsWith(AlarmManager.SNOOZE_ALARM_PREFIX)) {
+        // A snoozed reminder shows again under its original alarm name
+        await AlarmManager.showReminderNotification(alarm.name.slice(AlarmManager.SNOOZE_ALARM_PREFIX.length));
+    } else if (alarm.name === AlarmManager.HELD_REMINDERS_ALARM) {
+        await AlarmManager.showHeldReminders();
     }
 });
 
 // Notification click handler
 // User preference: Clicking the notification body should open the Side Panel
 chrome.notifications.onClicked.addListener(async (notificationId) => {
-    if (notificationId.startsWith('reminder_')) {
+    if (notificationId === ReminderSyncService.AGENDA_DIGEST_NOTIFICATION) {
+        chrome.tabs.query({ active: true, currentWindow: true }, ([activeTab]) => {
+            if (activeTab) {
+                chrome.sidePanel.open({ tabId: activeTab.id });
+            }
+        });
+        // A side panel that is already open shows today; a new one starts there
+        chrome.runtime.sendMessage({ action: 'showToday' }).catch(() => {});
+        chrome.notifications.clear(notificationId);
+    } else if (notificationId.startsWith('reminder_') || notificationId === AlarmManager.HELD_REMINDERS_NOTIFICATION) {
         try {
             chrome.tabs.query({ active: true, currentWindow: true }, ([activeTab]) => {
                 if (activeTab) {
@@ -506,9 +704,13 @@ chrome.notifications.onClicked.addListener(async (notificationId) => {
 // Notification button click handler
 chrome.notifications.onButtonClicked.addListener(async (notificationId, buttonIndex) => {
     if (notificationId.startsWith('reminder_')) {
+        const alarmName = notificationId.replace('reminder_', '');
+        if (buttonIndex === 1) {
+            // Snooze / stop for series: the notification stays until a choice is made
+            openReminderActions(alarmName);
+            return;
+        }
         try {
-            const alarmName = notificationId.replace('reminder_', '');
-
             if (buttonIndex === 0) {
                 // Primary button: If Google event with Meet link, open it; otherwise open SideTimeTable
                 if (alarmName.startsWith(AlarmManager.GOOGLE_ALARM_PREFIX)) {
@@ -535,8 +737,25 @@ chrome.notifications.onButtonClicked.addListener(async (notificationId, buttonIn
         } catch (e) {
             logError('Notification button click', e);
         } finally {
-            // Clear the notification regardless of which button was clicked
             chrome.notifications.clear(notificationId);
+            AlarmManager.clearSnooze(alarmName);
         }
     }
 });
+
+// A reminder closed by the user is done with; drop any snooze copy it came from
+chrome.notifications.onClosed.addListener((notificationId, byUser) => {
+    if (byUser && notificationId.startsWith('reminder_')) {
+        AlarmManager.clearSnooze(notificationId.replace('reminder_', ''));
+    }
+});
+
+/**
+ * Open the small window offering snooze and stop-for-series for a reminder
+ * @param {string} alarmName - The reminder alarm name
+ */
+function openReminderActions(alarmName) {
+    const url = chrome.runtime.getURL(`src/reminder/reminder-actions.html?alarm=${encodeURIComponent(alarmName)}`);
+    chrome.windows.create({ url, type: 'popup', width: 340, height: 400 })
+        .catch(error => logError('Reminder actions window', error));
+}
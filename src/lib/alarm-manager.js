@@ -2,71 +2,160 @@
  * AlarmManager - Manages event reminders using chrome.alarms API
  */
 import { STORAGE_KEYS } from './constants.js';
-import { getRecurringEventsForDate } from './event-storage.js';
+import { getRecurringEventsForDate, loadRecurringEvents, saveRecurringEvents } from './event-storage.js';
 import { extractMeetUrl, extractVideoUrl } from './conference-url-utils.js';
+import {
+    MAX_REMINDER_OFFSET_MINUTES,
+    formatDuration,
+    getGoogleEventReminderOffsets,
+    getLocalEventReminderOffsets
+} from './reminder-offsets.js';
+import { getReminderSuppressionEnd } from './reminder-quiet-hours.js';
 
 export class AlarmManager {
     static ALARM_PREFIX = 'event_reminder_';
     static GOOGLE_ALARM_PREFIX = 'google_event_reminder_';
     static REMINDER_MINUTES = 5;
 
+    // An event reminded several times has one alarm per offset. The offset
+    // nearest the start uses the plain alarm name (as single reminders always
+    // did); the others get `#<minutes>` appended.
+    static OFFSET_SEPARATOR = '#';
+
+    // A snoozed reminder is a one-shot alarm named after the original reminder,
+    // with a copy of its data stored under STORAGE_KEYS.SNOOZED_REMINDER_PREFIX
+    static SNOOZE_ALARM_PREFIX = 'snoozed_reminder_';
+
+    // Snooze choices: minutes from now, or 'start' for the event's start time
+    static SNOOZE_OPTIONS = [1, 5, 10, 'start'];
+
     // Google Calendar eventTypes that are status markers rather than meetings.
     // These should never trigger a reminder notification (e.g. an out-of-office
     // block is not something the user needs to be reminded to "attend").
     static NON_MEETING_EVENT_TYPES = ['outOfOffice', 'focusTime', 'workingLocation'];
 
+    // Reminders held during quiet hours or focus time are shown together, in
+    // one notification, when this alarm fires at the end of the quiet time
+    static HELD_REMINDERS_ALARM = 'held_reminders_summary';
+    static HELD_REMINDERS_NOTIFICATION = 'held_reminders_summary';
+
     /**
-     * Set a reminder for an event
-     * @param {Object} event The event object with id, title, startTime
+     * Set the reminders for an event, one per reminder offset
+     * @param {Object} event The event object with id, title, startTime and optionally reminderOffsets
      * @param {string} dateStr The date string (YYYY-MM-DD)
-     * @param {number} reminderMinutes Minutes before event to remind (optional, defaults to stored value)
+     * @param {number} reminderMinutes Minutes before event to remind (optional; replaces the
+     *   event's offsets, which default to the stored value)
      */
     static async setReminder(event, dateStr, reminderMinutes = null) {
-        if (!event.reminder || !event.startTime) {
+        // All-day events have no start time to remind before
+        if (!event.reminder || !event.startTime || event.allDay) {
             return;
         }
 
         try {
-            // Get reminder minutes from settings if not provided
-            if (reminderMinutes === null) {
-                const settings = await chrome.storage.sync.get(['reminderMinutes']);
-                reminderMinutes = settings.reminderMinutes ?? this.REMINDER_MINUTES;
-            }
+            const offsets = reminderMinutes === null
+                ? getLocalEventReminderOffsets(event, await this.getDefaultReminderMinutes())
+                : [this.validateReminderMinutes(reminderMinutes)];
 
-            // Validate range: 0-60, otherwise use default
-            if (typeof reminderMinutes !== 'number' || reminderMinutes < 0 || reminderMinutes > 60) {
-                reminderMinutes = this.REMINDER_MINUTES;
-            }
+            const baseName = `${this.ALARM_PREFIX}${dateStr}_${event.id}`;
+            const alarmNames = this.getOffsetAlarmNames(baseName, offsets);
+            await this._clearRemovedOffsetAlarms(baseName, alarmNames);
 
-            const alarmName = `${this.ALARM_PREFIX}${dateStr}_${event.id}`;
-            const reminderTime = this.calculateReminderTime(event.startTime, dateStr, reminderMinutes);
+            for (const offset of offsets) {
+                const alarmName = alarmNames.get(offset);
+                const reminderTime = this.calculateReminderTime(event.startTime, dateStr, offset);
 
-            // Only set the alarm for the future times
-            if (reminderTime <= Date.now()) {
-                return;
-            }
+                // Only set the alarm for the future times
+                if (reminderTime <= Date.now()) {
+                    continue;
+                }
 
-            // Clear the existing alarm if any
-            await chrome.alarms.clear(alarmName);
+                // Clear the existing alarm if any
+                await chrome.alarms.clear(alarmName);
 
-            // Create a new alarm
-            await chrome.alarms.create(alarmName, {
-                when: reminderTime
-            });
+                // Create a new alarm
+                await chrome.alarms.create(alarmName, {
+                    when: reminderTime
+                });
+            }
         } catch (error) {
             console.error('Failed to set reminder:', error);
         }
     }
 
     /**
-     * Clear the reminder for an event
+     * The `reminderMinutes` setting, used when an event has no offsets of its own
+     * @returns {Promise<number>}
+     */
+    static async getDefaultReminderMinutes() {
+        const settings = await chrome.storage.sync.get(['reminderMinutes']);
+        return this.validateReminderMinutes(settings.reminderMinutes ?? this.REMINDER_MINUTES);
+    }
+
+    /**
+     * Validate a reminder offset: 0 to MAX_REMINDER_OFFSET_MINUTES, otherwise the default
+     * @param {*} reminderMinutes
+     * @returns {number}
+     */
+    static validateReminderMinutes(reminderMinutes) {
+        if (typeof reminderMinutes !== 'number' || reminderMinutes < 0 || reminderMinutes > MAX_REMINDER_OFFSET_MINUTES) {
+            return this.REMINDER_MINUTES;
+        }
+        return reminderMinutes;
+    }
+
+    /**
+     * The alarm name of each offset of an event
+     * @param {string} baseName The event's alarm name (prefix, date and event ID)
+     * @param {number[]} offsets The offsets, nearest the start first
+     * @returns {Map<number, string>} offset → alarm name
+     */
+    static getOffsetAlarmNames(baseName, offsets) {
+        return new Map(offsets.map((offset, index) => [
+            offset,
+            index === 0 ? baseName : `${baseName}${this.OFFSET_SEPARATOR}${offset}`
+        ]));
+    }
+
+    /**
+     * Clear the alarms of an event's offsets that are no longer set. Alarms of
+     * offsets that are kept are left alone: one that is due but not delivered
+     * yet would not be created again.
+     * @param {string} baseName The event's alarm name
+     * @param {Map<number, string>} alarmNames The alarm names to keep
+     * @private
+     */
+    static async _clearRemovedOffsetAlarms(baseName, alarmNames) {
+        const keep = new Set(alarmNames.values());
+        const alarms = await chrome.alarms.getAll();
+        for (const alarm of alarms) {
+            if (this._isOffsetAlarmOf(alarm.name, baseName) && !keep.has(alarm.name)) {
+                await chrome.alarms.clear(alarm.name);
+                if (baseName.startsWith(this.GOOGLE_ALARM_PREFIX)) {
+                    await chrome.storage.local.remove(`googleEventData_${alarm.name}`);
+                }
+            }
+        }
+    }
+
+    /**
+     * Whether an alarm is one of an event's reminders
+     * @private
+     */
+    static _isOffsetAlarmOf(alarmName, baseName) {
+        return alarmName === baseName || alarmName.startsWith(`${baseName}${this.OFFSET_SEPARATOR}`);
+    }
+
+    /**
+     * Clear the reminders for an event
      * @param {string} eventId The event ID
      * @param {string} dateStr The date string (YYYY-MM-DD)
      */
     static async clearReminder(eventId, dateStr) {
         try {
-            const alarmName = `${this.ALARM_PREFIX}${dateStr}_${eventId}`;
-            await chrome.alarms.clear(alarmName);
+            const baseName = `${this.ALARM_PREFIX}${dateStr}_${eventId}`;
+            await chrome.alarms.clear(baseName);
+            await this._clearRemovedOffsetAlarms(baseName, new Map());
         } catch (error) {
             console.error('Failed to clear reminder:', error);
         }
@@ -124,33 +213,16 @@ export class AlarmManager {
      */
     static async showReminderNotification(alarmName) {
         try {
-            // Check if it's a Google event reminder
-            const isGoogleEvent = alarmName.startsWith(this.GOOGLE_ALARM_PREFIX);
-
-            let eventData;
-            if (isGoogleEvent) {
-                // Get Google event data from storage
-                eventData = await this.getGoogleEventData(alarmName);
-            } else {
-                // Extract the event info from the alarm name (local event)
-                const parts = alarmName.replace(this.ALARM_PREFIX, '').split('_');
-                if (parts.length < 2) {
-                    console.warn('Invalid alarm name format:', alarmName);
-                    return;
-                }
-
-                const dateStr = parts[0];
-                const eventId = parts.slice(1).join('_');
-
-                // Get the event details from the storage
-                eventData = await this.getEventData(eventId, dateStr);
-            }
-
+            const eventData = await this.resolveReminderData(alarmName);
             if (!eventData) {
                 console.warn('Event data not found for reminder:', alarmName);
                 return;
             }
 
+            if (await this.holdReminder(alarmName, eventData)) {
+                return;
+            }
+
             // Determine the minutes to display in the notification.
             //
             // Chrome MV3 can deliver alarms several minutes late (battery saver,
@@ -193,7 +265,13 @@ export class AlarmManager {
             // so use a dedicated "starting now" message; "1 minute" gets its own
             // singular form (the recompute makes a value of 1 common).
             let message;
-            if (reminderMinutes <= 0) {
+            if (reminderMinutes >= 60) {
+                // Offsets can reach a week; a day or more away is shown to the hour
+                const rounded = reminderMinutes >= 24 * 60 ? Math.round(reminderMinutes / 60) * 60 : reminderMinutes;
+                const duration = formatDuration(rounded, (key, substitutions) => chrome.i18n.getMessage(key, substitutions));
+                message = chrome.i18n.getMessage('startsInDuration', [eventData.title, duration, eventData.startTime])
+                    || `"${eventData.title}" starts in ${duration} (${eventData.startTime})`;
+            } else if (reminderMinutes <= 0) {
                 message = chrome.i18n.getMessage('eventStartingNow', [eventData.title, eventData.startTime])
                     || `"${eventData.title}" is starting now (${eventData.startTime})`;
             } else if (reminderMinutes === 1) {
@@ -211,7 +289,8 @@ export class AlarmManager {
                 message: message,
                 buttons: [
                     { title: primaryLabel },
-                    { title: chrome.i18n.getMessage('dismissNotification') || 'Dismiss' }
+                    // Chrome shows two buttons at most; the rest are in the reminder actions window
+                    { title: chrome.i18n.getMessage('reminderMoreActions') || 'Snooze…' }
                 ],
                 requireInteraction: true
             };
@@ -230,6 +309,262 @@ export class AlarmManager {
         }
     }
 
+    /**
+     * When reminders may be shown again, per the quiet hours and focus settings
+     * @param {number} [now] The current time (ms)
+     * @returns {Promise<{until: number, batch: boolean}|null>} null when reminders are not held now
+     */
+    static async getReminderHold(now = Date.now()) {
+        const settings = await chrome.storage.sync.get([
+            'quietHoursEnabled', 'quietHoursStart', 'quietHoursEnd',
+            'suppressRemindersDuringFocus', 'batchHeldReminders'
+        ]);
+        if (!settings.quietHoursEnabled && !settings.suppressRemindersDuringFocus) {
+            return null;
+        }
+
+        const blocksKey = STORAGE_KEYS.REMINDER_FOCUS_BLOCKS;
+        const { [blocksKey]: focusBlocks = [] } = await chrome.storage.local.get(blocksKey);
+        const until = getReminderSuppressionEnd(now, settings, focusBlocks);
+        return until === null ? null : { until, batch: settings.batchHeldReminders !== false };
+    }
+
+    /**
+     * Hold a reminder that fires during quiet time: keep it for the summary
+     * notification (when batching), otherwise drop it
+     * @param {string} alarmName The reminder alarm name
+     * @param {Object} eventData The reminder's event data
+     * @param {number} [now] The current time (ms)
+     * @returns {Promise<boolean>} Whether the reminder was held
+     */
+    static async holdReminder(alarmName, eventData, now = Date.now()) {
+        const hold = await this.getReminderHold(now);
+        if (!hold) {
+            return false;
+        }
+        if (!hold.batch) {
+            return true;
+        }
+
+        // An event reminded several times during quiet time is listed once
+        const baseName = alarmName.split(this.OFFSET_SEPARATOR)[0];
+        const key = STORAGE_KEYS.HELD_REMINDERS;
+        const { [key]: held = [] } = await chrome.storage.local.get(key);
+        const reminder = {
+            alarmName: baseName,
+            title: eventData.title,
+            startTime: eventData.startTime || '',
+            startTimestamp: this.resolveStartTimestamp(eventData, alarmName)
+        };
+        await chrome.storage.local.set({
+            [key]: [...held.filter(item => item.alarmName !== baseName), reminder]
+        });
+        await chrome.alarms.create(this.HELD_REMINDERS_ALARM, { when: hold.until });
+        return true;
+    }
+
+    /**
+     * Show the reminders held during quiet time in one notification. When the
+     * quiet time was extended meanwhile (e.g. a focus block added right after
+     * it), they wait until its new end.
+     * @param {number} [now] The current time (ms)
+     */
+    static async showHeldReminders(now = Date.now()) {
+        try {
+            const key = STORAGE_KEYS.HELD_REMINDERS;
+            const { [key]: held = [] } = await chrome.storage.local.get(key);
+            if (held.length === 0) {
+                return;
+            }
+
+            const hold = await this.getReminderHold(now);
+            if (hold) {
+                await chrome.alarms.create(this.HELD_REMINDERS_ALARM, { when: hold.until });
+                return;
+            }
+
+            await chrome.storage.local.remove(key);
+            const reminders = [...held].sort((a, b) => (a.startTimestamp ?? 0) - (b.startTimestamp ?? 0));
+            const count = String(reminders.length);
+            const notificationOptions = {
+                type: 'list',
+                title: chrome.i18n.getMessage('heldRemindersTitle', [count]) || `${count} reminders held during quiet time`,
+                // Native notification centers show the message rather than the items
+                message: reminders.map(reminder => `${reminder.startTime} ${reminder.title}`.trim()).join('\n'),
+                items: reminders.map(reminder => ({ title: reminder.startTime, message: reminder.title }))
+            };
+
+            try {
+                notificationOptions.iconUrl = chrome.runtime.getURL('src/img/icon48.png');
+                await chrome.notifications.create(this.HELD_REMINDERS_NOTIFICATION, notificationOptions);
+            } catch (_iconError) {
+                delete notificationOptions.iconUrl;
+                await chrome.notifications.create(this.HELD_REMINDERS_NOTIFICATION, notificationOptions);
+            }
+        } catch (error) {
+            console.error('Failed to show held reminders:', error);
+        }
+    }
+
+    /**
+     * Split a local reminder alarm name into its date and event ID
+     * @param {string} alarmName The alarm name (event_reminder_YYYY-MM-DD_eventId, plus #minutes
+     *   for an event's further offsets)
+     * @returns {{dateStr: string, eventId: string}|null} null for a malformed name
+     */
+    static parseLocalAlarmName(alarmName) {
+        const parts = alarmName.replace(this.ALARM_PREFIX, '').replace(/#\d+$/, '').split('_');
+        if (parts.length < 2) {
+            return null;
+        }
+        return { dateStr: parts[0], eventId: parts.slice(1).join('_') };
+    }
+
+    /**
+     * Get the data to show for a reminder alarm: the stored Google event data,
+     * the local event, or else the copy kept when the reminder was snoozed
+     * (the next Google sync may have dropped the original by then)
+     * @param {string} alarmName The reminder alarm name
+     * @returns {Promise<Object|null>} The event data
+     */
+    static async resolveReminderData(alarmName) {
+        let eventData;
+        if (alarmName.startsWith(this.GOOGLE_ALARM_PREFIX)) {
+            eventData = await this.getGoogleEventData(alarmName);
+        } else {
+            const parsed = this.parseLocalAlarmName(alarmName);
+            if (!parsed) {
+                console.warn('Invalid alarm name format:', alarmName);
+                return null;
+            }
+            eventData = await this.getEventData(parsed.eventId, parsed.dateStr);
+        }
+        if (eventData) {
+            return eventData;
+        }
+
+        const snoozeKey = `${STORAGE_KEYS.SNOOZED_REMINDER_PREFIX}${alarmName}`;
+        const result = await chrome.storage.local.get(snoozeKey);
+        return result[snoozeKey] || null;
+    }
+
+    /**
+     * Show a reminder again later. Both the alarm and the copy of the event
+     * data are persisted, so a snooze survives service worker restarts.
+     * @param {string} alarmName The original reminder alarm name
+     * @param {number|string} option Minutes from now, or 'start' for the event's start time
+     * @param {number} [now] The current time (ms)
+     * @returns {Promise<number|null>} When the reminder shows again, or null when it cannot be snoozed
+     */
+    static async snoozeReminder(alarmName, option, now = Date.now()) {
+        if (!this.SNOOZE_OPTIONS.includes(option)) {
+            return null;
+        }
+
+        const eventData = await this.resolveReminderData(alarmName);
+        if (!eventData) {
+            return null;
+        }
+
+        const startMs = this.resolveStartTimestamp(eventData, alarmName);
+        const when = option === 'start' ? startMs : now + option * 60 * 1000;
+        if (!when || when <= now) {
+            return null;
+        }
+
+        await chrome.storage.local.set({
+            [`${STORAGE_KEYS.SNOOZED_REMINDER_PREFIX}${alarmName}`]: {
+                ...eventData,
+                ...(startMs !== null ? { startTimestamp: startMs } : {})
+            }
+        });
+        await chrome.alarms.create(`${this.SNOOZE_ALARM_PREFIX}${alarmName}`, { when });
+        return when;
+    }
+
+    /**
+     * Cancel a pending snooze and drop its copy of the event data
+     * @param {string} alarmName The original reminder alarm name
+     */
+    static async clearSnooze(alarmName) {
+        try {
+            await chrome.alarms.clear(`${this.SNOOZE_ALARM_PREFIX}${alarmName}`);
+            await chrome.storage.local.remove(`${STORAGE_KEYS.SNOOZED_REMINDER_PREFIX}${alarmName}`);
+        } catch (error) {
+            console.error('Failed to clear snoozed reminder:', error);
+        }
+    }
+
+    /**
+     * The local recurring event a reminder belongs to
+     * @param {string} alarmName The reminder alarm name
+     * @returns {Promise<Object|null>} The recurring event, or null for Google and one-off events
+     * @private
+     */
+    static async _findReminderSeries(alarmName) {
+        if (!alarmName.startsWith(this.ALARM_PREFIX)) {
+            return null;
+        }
+        const parsed = this.parseLocalAlarmName(alarmName);
+        if (!parsed) {
+            return null;
+        }
+        const recurringEvents = await loadRecurringEvents();
+        return recurringEvents.find(event => event.id === parsed.eventId) || null;
+    }
+
+    /**
+     * What the reminder actions window offers for a reminder
+     * @param {string} alarmName The reminder alarm name
+     * @param {number} [now] The current time (ms)
+     * @returns {Promise<{title: string, startTime: string, snoozeOptions: Array<number|string>, canStopSeries: boolean}|null>}
+     *   null when the reminder's event no longer exists
+     */
+    static async getReminderActions(alarmName, now = Date.now()) {
+        const eventData = await this.resolveReminderData(alarmName);
+        if (!eventData) {
+            return null;
+        }
+
+        const startMs = this.resolveStartTimestamp(eventData, alarmName);
+        const series = await this._findReminderSeries(alarmName);
+        return {
+            title: eventData.title,
+            startTime: eventData.startTime,
+            // "At start time" only while the event has not started
+            snoozeOptions: this.SNOOZE_OPTIONS.filter(option => option !== 'start' || (startMs !== null && startMs > now)),
+            canStopSeries: !!series && series.reminder !== false
+        };
+    }
+
+    /**
+     * Turn the reminder off on the recurring event a reminder belongs to and
+     * clear every alarm already scheduled for the series
+     * @param {string} alarmName The reminder alarm name
+     * @returns {Promise<boolean>} false when the reminder is not for a local recurring event
+     */
+    static async stopSeriesReminders(alarmName) {
+        const series = await this._findReminderSeries(alarmName);
+        if (!series) {
+            return false;
+        }
+
+        const recurringEvents = await loadRecurringEvents();
+        await saveRecurringEvents(recurringEvents.map(event =>
+            event.id === series.id ? { ...event, reminder: false } : event
+        ));
+
+        const alarms = await chrome.alarms.getAll();
+        for (const alarm of alarms) {
+            if (alarm.name.startsWith(this.ALARM_PREFIX)
+                && this.parseLocalAlarmName(alarm.name)?.eventId === series.id) {
+                await chrome.alarms.clear(alarm.name);
+            }
+        }
+        await this.clearSnooze(alarmName);
+        return true;
+    }
+
     /**
      * Get the event data from the storage
      * @param {string} eventId The event ID
@@ -289,7 +624,8 @@ export class AlarmManager {
 
             // Set the new reminders
             for (const event of allEvents) {
-                if (event.reminder) {
+                // A multi-day occurrence is reminded on the day it starts only
+                if (event.reminder && !event.isContinuation) {
                     // For recurring instances, use the original event's ID for the alarm
                     const eventId = event.originalId || event.id;
                     const reminderEvent = { ...event, id: eventId };
@@ -302,10 +638,12 @@ export class AlarmManager {
     }
 
     /**
-     * Set a reminder for a Google event
+     * Set the reminders for a Google event, following the event's own
+     * `reminders` (see getGoogleEventReminderOffsets)
      * @param {Object} event The Google event object
      * @param {string} dateStr The date string (YYYY-MM-DD)
-     * @param {number} reminderMinutes Minutes before event to remind (optional, defaults to stored value)
+     * @param {number} reminderMinutes Minutes before event to remind (optional; replaces the
+     *   event's reminders, which default to the stored value)
      */
     static async setGoogleEventReminder(event, dateStr, reminderMinutes = null) {
         if (!event.start || !event.start.dateTime) {
@@ -320,51 +658,56 @@ export class AlarmManager {
         }
 
         try {
-            // Get reminder minutes from settings if not provided
-            if (reminderMinutes === null) {
-                const settings = await chrome.storage.sync.get(['reminderMinutes']);
-                reminderMinutes = settings.reminderMinutes ?? this.REMINDER_MINUTES;
-            }
+            const offsets = reminderMinutes === null
+                ? getGoogleEventReminderOffsets(event, await this.getDefaultReminderMinutes())
+                : [this.validateReminderMinutes(reminderMinutes)];
 
-            const alarmName = `${this.GOOGLE_ALARM_PREFIX}${dateStr}_${event.id}`;
-            const reminderTime = this.calculateGoogleEventReminderTime(event.start.dateTime, reminderMinutes);
+            const baseName = `${this.GOOGLE_ALARM_PREFIX}${dateStr}_${event.id}`;
+            const alarmNames = this.getOffsetAlarmNames(baseName, offsets);
+            await this._clearRemovedOffsetAlarms(baseName, alarmNames);
 
-            // Only set the alarm for the future times
-            if (reminderTime <= Date.now()) {
-                return;
-            }
-
-            // chrome.alarms.create overwrites any existing alarm with the same
-            // name, so create directly. Clearing first would briefly leave the
-            // reminder absent, and a late delivery landing in that gap would be
-            // lost.
-            await chrome.alarms.create(alarmName, {
-                when: reminderTime
-            });
-
-            // Store the event data for later retrieval. Prefer non-Meet conference URLs
-            // (Zoom/Teams/Webex pasted into description) over auto-attached hangoutLink.
+            // Prefer non-Meet conference URLs (Zoom/Teams/Webex pasted into
+            // description) over auto-attached hangoutLink.
             const videoUrl = extractVideoUrl(event);
             const meetUrl = extractMeetUrl(event);
             const conferenceUrl = videoUrl || meetUrl || null;
             const conferenceType = videoUrl ? 'video' : (meetUrl ? 'meet' : null);
 
-            const storageKey = `googleEventData_${alarmName}`;
-            await chrome.storage.local.set({
-                [storageKey]: {
-                    id: event.id,
-                    title: event.summary || 'No title',
-                    startTime: this.formatTimeFromDateTime(event.start.dateTime),
-                    // Absolute start timestamp so the notification can compute the
-                    // real remaining time at fire time (Chrome may deliver the alarm late).
-                    startTimestamp: new Date(event.start.dateTime).getTime(),
-                    dateStr: dateStr,
-                    reminderMinutes: reminderMinutes,
-                    conferenceUrl: conferenceUrl,
-                    conferenceType: conferenceType,
-                    htmlLink: event.htmlLink || null
+            for (const offset of offsets) {
+                const alarmName = alarmNames.get(offset);
+                const reminderTime = this.calculateGoogleEventReminderTime(event.start.dateTime, offset);
+
+                // Only set the alarm for the future times
+                if (reminderTime <= Date.now()) {
+                    continue;
                 }
-            });
+
+                // chrome.alarms.create overwrites any existing alarm with the same
+                // name, so create directly. Clearing first would briefly leave the
+                // reminder absent, and a late delivery landing in that gap would be
+                // lost.
+                await chrome.alarms.create(alarmName, {
+                    when: reminderTime
+                });
+
+                // Store the event data for later retrieval
+                const storageKey = `googleEventData_${alarmName}`;
+                await chrome.storage.local.set({
+                    [storageKey]: {
+                        id: event.id,
+                        title: event.summary || 'No title',
+                        startTime: this.formatTimeFromDateTime(event.start.dateTime),
+                        // Absolute start timestamp so the notification can compute the
+                        // real remaining time at fire time (Chrome may deliver the alarm late).
+                        startTimestamp: new Date(event.start.dateTime).getTime(),
+                        dateStr: dateStr,
+                        reminderMinutes: offset,
+                        conferenceUrl: conferenceUrl,
+                        conferenceType: conferenceType,
+                        htmlLink: event.htmlLink || null
+                    }
+                });
+            }
         } catch (error) {
             console.error('Failed to set Google event reminder:', error);
         }
@@ -451,9 +794,14 @@ export class AlarmManager {
             const timedEvents = events.filter(e => e.start && e.start.dateTime);
 
             // Alarm names we intend to keep / (re)create on this sync.
-            const keepNames = new Set(
-                timedEvents.map(e => `${this.GOOGLE_ALARM_PREFIX}${dateStr}_${e.id}`)
-            );
+            // Events whose notifications are turned off keep none.
+            const defaultMinutes = await this.getDefaultReminderMinutes();
+            const keepNames = new Set(timedEvents.flatMap(e => [
+                ...this.getOffsetAlarmNames(
+                    `${this.GOOGLE_ALARM_PREFIX}${dateStr}_${e.id}`,
+                    getGoogleEventReminderOffsets(e, defaultMinutes)
+                ).values()
+            ]));
 
             // Clear ONLY today's Google reminders whose event no longer exists
             // (deleted / cancelled / declined since the last sync). We must NOT
@@ -0,0 +1,279 @@
+/**
+ * SideTimeTable - Backup and Restore
+ *
+ * A versioned snapshot of everything the extension stores, in both the sync
+ * and the local area. Only keys that storage cleanup would keep
+ * (`VALID_SYNC_KEYS`, `VALID_LOCAL_KEYS`, `VALID_LOCAL_KEY_PATTERNS`) are
+ * written or restored; device state such as the last reminder sync time,
+ * the Google sync mirrors, snoozed reminders and the developer switches is left out.
+ *
+ * Backup file shape:
+ * ```
+ * { format: "sidetimetable-backup", schemaVersion: 1, appVersion: "1.11.0",
+ *   createdAt: "2026-01-05T08:30:00.000Z", sync: {...}, local: {...} }
+ * ```
+ *
+ * Restoring is planned first (`planRestore`) so the caller can show what
+ * would change (`diffRestorePlan`) before anything is written (`applyRestorePlan`).
+ * - `replace`: the stored data becomes exactly the backup; keys missing from it are removed
+ * - `merge`: nothing is removed; events and calendar groups are combined by id
+ *   (the backup's copy wins), other keys take the backup's value
+ */
+
+import { StorageHelper } from './storage-helper.js';
+import { STORAGE_KEYS, VALID_SYNC_KEYS } from './constants.js';
+import { isValidLocalKey } from './storage-cleanup.js';
+
+export const BACKUP_FORMAT = 'sidetimetable-backup';
+export const BACKUP_SCHEMA_VERSION = 1;
+
+export const RESTORE_MODES = Object.freeze({
+    MERGE: 'merge',
+    REPLACE: 'replace'
+});
+
+// Per-device bookkeeping and developer switches, which would be wrong on another machine
+const EXCLUDED_LOCAL_KEYS = new Set([
+    'lastReminderSyncTime',
+    STORAGE_KEYS.REMINDER_FOCUS_BLOCKS,
+    STORAGE_KEYS.HELD_REMINDERS,
+    'eventDataMigratedToLocal_v2',
+    'enableDeveloperFeatures',
+    'enableReminderDebug'
+]);
+
+// Keys holding arrays of `{ id, ... }` entities, merged by id in merge mode
+const ENTITY_LIST_SYNC_KEYS = new Set([STORAGE_KEYS.RECURRING_EVENTS, 'calendarGroups']);
+
+/**
+ * Upgrades from one schema version to the next, keyed by the version they upgrade from.
+ * Each receives a backup at that version and returns it at the next one.
+ */
+const BACKUP_MIGRATIONS = {};
+
+/**
+ * Create a backup of every covered key in storage.
+ *
+ * @param {Object} [options]
+ * @param {Date} [options.now] - The creation time recorded in the backup
+ * @returns {Promise<Object>} The backup object, ready for JSON.stringify
+ */
+export async function createBackup({ now = new Date() } = {}) {
+    const { sync, local } = await readBackedUpData();
+    return {
+        format: BACKUP_FORMAT,
+        schemaVersion: BACKUP_SCHEMA_VERSION,
+        appVersion: chrome.runtime?.getManifest?.()?.version || null,
+        createdAt: now.toISOString(),
+        sync,
+        local
+    };
+}
+
+/**
+ * Check a parsed backup file and bring it up to the current schema.
+ * Keys this version does not recognise are dropped and reported.
+ *
+ * @param {*} data - The parsed JSON of a backup file
+ * @returns {{backup: Object, ignoredKeys: string[]}} The upgraded backup and the
+ *   dropped keys as `sync:key` / `local:key`
+ * @throws {Error} If the data is not a backup, comes from a newer schema or is malformed
+ */
+export function validateBackup(data) {
+    if (!isPlainObject(data) || data.format !== BACKUP_FORMAT) {
+        throw new Error('Not a SideTimeTable backup file');
+    }
+    if (!Number.isInteger(data.schemaVersion) || data.schemaVersion < 1) {
+        throw new Error(`Invalid backup schema version: ${data.schemaVersion}`);
+    }
+    if (data.schemaVersion > BACKUP_SCHEMA_VERSION) {
+        throw new Error(`This backup was created by a newer version (schema ${data.schemaVersion})`);
+    }
+
+    let backup = data;
+    for (let version = data.schemaVersion; version < BACKUP_SCHEMA_VERSION; version++) {
+        backup = BACKUP_MIGRATIONS[version](backup);
+    }
+
+    if (!isPlainObject(backup.sync) || !isPlainObject(backup.local)) {
+        throw new Error('Backup must contain sync and local data');
+    }
+
+    const ignoredKeys = [];
+    const sync = {};
+    for (const [key, value] of Object.entries(backup.sync)) {
+        if (!VALID_SYNC_KEYS.has(key)) {
+            ignoredKeys.push(`sync:${key}`);
+            continue;
+        }
+        if (ENTITY_LIST_SYNC_KEYS.has(key) && !Array.isArray(value)) {
+            throw new Error(`Invalid value for ${key}: expected a list`);
+        }
+        sync[key] = value;
+    }
+
+    const local = {};
+    for (const [key, value] of Object.entries(backup.local)) {
+        if (!isBackedUpLocalKey(key)) {
+            ignoredKeys.push(`local:${key}`);
+            continue;
+        }
+        if (isLocalEventsKey(key) && !Array.isArray(value)) {
+            throw new Error(`Invalid value for ${key}: expected a list`);
+        }
+        local[key] = value;
+    }
+
+    return { backup: { ...backup, schemaVersion: BACKUP_SCHEMA_VERSION, sync, local }, ignoredKeys };
+}
+
+/**
+ * Work out the writes a restore would make.
+ *
+ * @param {Object} backup - A backup returned by validateBackup
+ * @param {{sync: Object, local: Object}} current - The currently stored data (see readBackedUpData)
+ * @param {string} mode - A RESTORE_MODES value
+ * @returns {{sync: {set: Object, remove: string[]}, local: {set: Object, remove: string[]}}}
+ */
+export function planRestore(backup, current, mode) {
+    if (!Object.values(RESTORE_MODES).includes(mode)) {
+        throw new Error(`Unknown restore mode: ${mode}`);
+    }
+
+    const planArea = (backupData, currentData, isEntityList) => {
+        const set = {};
+        for (const [key, value] of Object.entries(backupData)) {
+            const merged = mode === RESTORE_MODES.MERGE && isEntityList(key) && Array.isArray(currentData[key])
+                ? mergeById(currentData[key], value)
+                : value;
+            if (!isEqual(merged, currentData[key])) {
+                set[key] = merged;
+            }
+        }
+        const remove = mode === RESTORE_MODES.REPLACE
+            ? Object.keys(currentData).filter(key => !(key in backupData))
+            : [];
+        return { set, remove };
+    };
+
+    return {
+        sync: planArea(backup.sync, current.sync, key => ENTITY_LIST_SYNC_KEYS.has(key)),
+        local: planArea(backup.local, current.local, isLocalEventsKey)
+    };
+}
+
+/**
+ * Describe a restore plan key by key, for the confirmation preview.
+ *
+ * @param {Object} plan - A plan returned by planRestore
+ * @param {{sync: Object, local: Object}} current - The data the plan was made against
+ * @returns {Array<{area: string, key: string, change: string}>} Entries sorted by area
+ *   then key; `change` is `added`, `changed` or `removed`
+ */
+export function diffRestorePlan(plan, current) {
+    const entries = [];
+    for (const area of ['sync', 'local']) {
+        for (const key of Object.keys(plan[area].set)) {
+            entries.push({ area, key, change: key in current[area] ? 'changed' : 'added' });
+        }
+        for (const key of plan[area].remove) {
+            entries.push({ area, key, change: 'removed' });
+        }
+    }
+    return entries.sort((a, b) => a.area.localeCompare(b.area) || a.key.localeCompare(b.key));
+}
+
+/**
+ * Write a restore plan to storage.
+ * Sync is written in one call so a restore costs a single sync write operation.
+ *
+ * @param {Object} plan - A plan returned by planRestore
+ * @returns {Promise<void>}
+ */
+export async function applyRestorePlan(plan) {
+    if (plan.sync.remove.length > 0) await StorageHelper.remove(plan.sync.remove);
+    if (Object.keys(plan.sync.set).length > 0) await StorageHelper.set(plan.sync.set);
+    if (plan.local.remove.length > 0) await StorageHelper.removeLocal(plan.local.remove);
+    if (Object.keys(plan.local.set).length > 0) await StorageHelper.setLocal(plan.local.set);
+}
+
+/**
+ * Read the stored values of every key a backup covers.
+ *
+ * @returns {Promise<{sync: Object, local: Object}>}
+ */
+export async function readBackedUpData() {
+    const [syncData, localData] = await Promise.all([
+        StorageHelper.get(null),
+        StorageHelper.getLocal(null)
+    ]);
+
+    const sync = {};
+    for (const [key, value] of Object.entries(syncData)) {
+        if (VALID_SYNC_KEYS.has(key)) sync[key] = value;
+    }
+    const local = {};
+    for (const [key, value] of Object.entries(localData)) {
+        if (isBackedUpLocalKey(key)) local[key] = value;
+    }
+    return { sync, local };
+}
+
+// ------------------------------------------------------------------ internals
+
+/**
+ * @private
+ */
+function isBackedUpLocalKey(key) {
+    // Google sync mirrors are a cache of the account's data, rebuilt on demand;
+    // snoozed reminders only make sense on the device that snoozed them
+    return isValidLocalKey(key) && !EXCLUDED_LOCAL_KEYS.has(key)
+        && !key.startsWith(STORAGE_KEYS.GOOGLE_SYNC_PREFIX)
+        && !key.startsWith(STORAGE_KEYS.SNOOZED_REMINDER_PREFIX);
+}
+
+/**
+ * @private
+ */
+function isLocalEventsKey(key) {
+    return key.startsWith(STORAGE_KEYS.LOCAL_EVENTS_PREFIX);
+}
+
+/**
+ * Combine two entity lists by id; the incoming copy replaces an existing one
+ * in place and new entities are appended. Entries without an id are kept as-is.
+ * @private
+ */
+function mergeById(existing, incoming) {
+    const merged = [...existing];
+    for (const item of incoming) {
+        const index = item?.id !== undefined ? merged.findIndex(e => e?.id === item.id) : -1;
+        if (index === -1) {
+            merged.push(item);
+        } else {
+            merged[index] = item;
+        }
+    }
+    return merged;
+}
+
+/**
+ * Structural equality for JSON data (object key order does not matter).
+ * @private
+ */
+function isEqual(a, b) {
+    if (a === b) return true;
+    if (Array.isArray(a) || Array.isArray(b)) {
+        return Array.isArray(a) && Array.isArray(b) && a.length === b.length && a.every((item, i) => isEqual(item, b[i]));
+    }
+    if (!isPlainObject(a) || !isPlainObject(b)) return false;
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length && keys.every(key => key in b && isEqual(a[key], b[key]));
+}
+
+/**
+ * @private
+ */
+function isPlainObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
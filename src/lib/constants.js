@@ -15,21 +15,40 @@ export const TIME_CONSTANTS = {
     DEFAULT_BREAK_END: '13:00'
 };
 
-// Recurrence type constants
+// Recurrence presets offered by the event form (stored events carry an RRULE, see rrule.js)
 export const RECURRENCE_TYPES = {
     NONE: 'none',
     DAILY: 'daily',
     WEEKLY: 'weekly',
     MONTHLY: 'monthly',
-    WEEKDAYS: 'weekdays'
+    MONTHLY_WEEKDAY: 'monthlyWeekday',
+    YEARLY: 'yearly',
+    WEEKDAYS: 'weekdays',
+    CUSTOM: 'custom'
 };
 
 // Storage key constants
 export const STORAGE_KEYS = {
     RECURRING_EVENTS: 'recurringEvents',
-    LOCAL_EVENTS_PREFIX: 'localEvents_'
+    LOCAL_EVENTS_PREFIX: 'localEvents_',
+    GOOGLE_SYNC_PREFIX: 'googleSync_', // Incremental sync mirror per Google calendar
+    SNOOZED_REMINDER_PREFIX: 'snoozedReminder_', // Event data of a snoozed reminder, by alarm name
+    REMINDER_FOCUS_BLOCKS: 'reminderFocusBlocks', // Focus time / out-of-office blocks that hold reminders
+    HELD_REMINDERS: 'heldReminders' // Reminders held during quiet time, for the summary notification
 };
 
+// Longest a multi-day local event may run past its start date (days).
+// Events are stored under their start date, so loading a day reads this many
+// preceding days to find the events still in progress.
+export const MAX_EVENT_SPAN_DAYS = 31;
+
+// Number of day columns the side panel can show, in header toggle order.
+// 1 is the classic single-day timeline.
+export const VIEW_DAYS_OPTIONS = [1, 3, 7];
+
+// Longest range one event read request may cover (days): the six-week month overview grid
+export const MAX_EVENT_FETCH_DAYS = 42;
+
 // Default settings
 export const DEFAULT_SETTINGS = {
     googleIntegrated: false,
@@ -50,6 +69,14 @@ export const DEFAULT_SETTINGS = {
     googleEventReminder: false, // Automatic reminder for Google events
     reminderMinutes: 5, // Reminder time in minutes before event starts
     reminderSyncInterval: 60, // How often (minutes) to re-sync Google reminders during the day
+    reminderMutedCalendars: [], // Selected calendars whose Google events get no reminders
+    quietHoursEnabled: false, // Hold reminders during the daily quiet hours
+    quietHoursStart: '22:00', // Quiet hours start (HH:MM)
+    quietHoursEnd: '07:00', // Quiet hours end (HH:MM); before the start for overnight quiet hours
+    suppressRemindersDuringFocus: false, // Hold reminders during Google focus time / out of office
+    batchHeldReminders: true, // Show held reminders in one notification once the quiet time ends
+    agendaDigestEnabled: false, // Summarize the day's meetings in one notification each morning
+    agendaDigestTime: '08:45', // When the agenda notification is shown (HH:MM)
     darkMode: false, // Dark mode theme (legacy, kept for migration)
     useGoogleCalendarColors: true, // Use per-calendar colors from Google Calendar API
     colorTheme: 'default', // Active colour-set ID (see color-themes.js)
@@ -96,7 +123,12 @@ export const VALID_LOCAL_KEYS = new Set([
     'memoContent',
     'memoCollapsed',
     'memoHeight',
+    'viewDays',
+    'monthOverviewExpanded',
+    'showDeclinedEvents',
     'lastReminderSyncTime',
+    STORAGE_KEYS.REMINDER_FOCUS_BLOCKS,
+    STORAGE_KEYS.HELD_REMINDERS,
     'reviewStats',
     'eventDataMigratedToLocal_v2',
     'enableDeveloperFeatures',
@@ -106,7 +138,9 @@ export const VALID_LOCAL_KEYS = new Set([
 // Valid local storage key patterns (for dynamic keys like localEvents_2025-03-21)
 // Each regex must match the entire key.
 export const VALID_LOCAL_KEY_PATTERNS = [
-    new RegExp(`^${STORAGE_KEYS.LOCAL_EVENTS_PREFIX}\\d{4}-\\d{2}-\\d{2}$`)
+    new RegExp(`^${STORAGE_KEYS.LOCAL_EVENTS_PREFIX}\\d{4}-\\d{2}-\\d{2}$`),
+    new RegExp(`^${STORAGE_KEYS.GOOGLE_SYNC_PREFIX}.+$`),
+    new RegExp(`^${STORAGE_KEYS.SNOOZED_REMINDER_PREFIX}.+$`)
 ];
 
 // Background color keys that need a corresponding computed text color CSS variable
@@ -0,0 +1,291 @@
+/**
+ * SideTimeTable - Day Summary
+ *
+ * Event counts, double-booking detection and free time for a single day, used
+ * by the month overview, the morning agenda notification, the free-time
+ * finder and the guests' availability in the Google event forms. Works on
+ * the events as the side panel loads them: local events from
+ * loadLocalEventsForDate() and Google events from events.list.
+ */
+
+import { addDays, createTimeOnDate, parseDateString } from './time-utils.js';
+
+/**
+ * The part of a timed local event that falls on a day
+ * @param {Object} event - The event as loaded for the day (`startTime`/`endTime` HH:MM)
+ * @param {Date} date - The day
+ * @returns {{start: Date, end: Date}|null} null for all-day events
+ */
+export function getLocalEventInterval(event, date) {
+    if (event.allDay || !event.startTime || !event.endTime) {
+        return null;
+    }
+
+    // A continuation started on an earlier day (see loadLocalEventsForDate)
+    const dayStart = createTimeOnDate(date, 0, 0);
+    const occurrenceDay = event.isContinuation && event.occurrenceDate
+        ? parseDateString(event.occurrenceDate)
+        : dayStart;
+    const spanDays = event.spanDays > 0 ? event.spanDays : 0;
+
+    const [startHours, startMinutes] = event.startTime.split(':').map(Number);
+    const [endHours, endMinutes] = event.endTime.split(':').map(Number);
+    const start = createTimeOnDate(occurrenceDay, startHours, startMinutes);
+    const end = createTimeOnDate(addDays(occurrenceDay, spanDays), endHours, endMinutes);
+
+    return clipToDay(start, end, dayStart);
+}
+
+/**
+ * The part of a timed Google event that falls on a day
+ * @param {Object} event - The event (`start.dateTime`/`end.dateTime`)
+ * @param {Date} date - The day
+ * @returns {{start: Date, end: Date}|null} null for all-day events
+ */
+export function getGoogleEventInterval(event, date) {
+    if (!event.start?.dateTime || !event.end?.dateTime) {
+        return null;
+    }
+    return clipToDay(new Date(event.start.dateTime), new Date(event.end.dateTime), createTimeOnDate(date, 0, 0));
+}
+
+/**
+ * Clip an interval to the day starting at `dayStart`
+ * @returns {{start: Date, end: Date}|null} null when nothing is left
+ */
+function clipToDay(start, end, dayStart) {
+    const dayEnd = addDays(dayStart, 1);
+    const clippedStart = start < dayStart ? dayStart : start;
+    const clippedEnd = end > dayEnd ? dayEnd : end;
+    return clippedStart < clippedEnd ? { start: clippedStart, end: clippedEnd } : null;
+}
+
+/**
+ * Whether any two intervals overlap (touching end-to-start does not count)
+ * @param {Array<{start: Date, end: Date}>} intervals
+ * @returns {boolean}
+ */
+export function hasOverlap(intervals) {
+    const sorted = [...intervals].sort((a, b) => a.start - b.start);
+    let latestEnd = null;
+    for (const interval of sorted) {
+        if (latestEnd !== null && interval.start < latestEnd) {
+            return true;
+        }
+        if (latestEnd === null || interval.end > latestEnd) {
+            latestEnd = interval.end;
+        }
+    }
+    return false;
+}
+
+/**
+ * Summarize one day's events
+ *
+ * Google events marked "free" (`transparency: 'transparent'`) are counted but
+ * never make a conflict.
+ * @param {Date} date - The day
+ * @param {Array} localEvents - The local events on the day
+ * @param {Array} googleEvents - The Google events on the day
+ * @returns {{local: number, google: number, hasConflict: boolean}}
+ */
+export function summarizeDay(date, localEvents, googleEvents) {
+    const intervals = [
+        ...localEvents.map(event => getLocalEventInterval(event, date)),
+        ...googleEvents
+            .filter(event => event.transparency !== 'transparent')
+            .map(event => getGoogleEventInterval(event, date))
+    ].filter(Boolean);
+
+    return {
+        local: localEvents.length,
+        google: googleEvents.length,
+        hasConflict: hasOverlap(intervals)
+    };
+}
+
+/**
+ * How many intervals overlap at least one other
+ * @param {Array<{start: Date, end: Date}>} intervals
+ * @returns {number}
+ */
+export function countConflicting(intervals) {
+    return intervals.filter((interval, index) => intervals.some((other, otherIndex) =>
+        otherIndex !== index && interval.start < other.end && other.start < interval.end)).length;
+}
+
+/**
+ * Total minutes covered by intervals within [from, to), overlaps counted once
+ * @param {Array<{start: Date, end: Date}>} intervals
+ * @param {Date} from
+ * @param {Date} to
+ * @returns {number}
+ */
+function coveredMinutes(intervals, from, to) {
+    const clipped = intervals
+        .map(({ start, end }) => ({ start: start < from ? from : start, end: end > to ? to : end }))
+        .filter(({ start, end }) => start < end)
+        .sort((a, b) => a.start - b.start);
+
+    let total = 0;
+    let current = null;
+    for (const interval of clipped) {
+        if (current && interval.start <= current.end) {
+            if (interval.end > current.end) current.end = interval.end;
+            continue;
+        }
+        if (current) total += current.end - current.start;
+        current = { ...interval };
+    }
+    if (current) total += current.end - current.start;
+    return Math.round(total / 60000);
+}
+
+/**
+ * The agenda of one day: its timed events, when the first starts, time in
+ * meetings against the free time within working hours, and conflicts.
+ * Google events marked "free" are listed but neither busy nor conflicting.
+ * @param {Date} date - The day
+ * @param {Array} localEvents - The local events on the day
+ * @param {Array} googleEvents - The Google events on the day
+ * @param {{openTime: string, closeTime: string}} workHours - "HH:MM"
+ * @returns {{count: number, firstStart: Date|null, busyMinutes: number, freeMinutes: number, conflicts: number}}
+ */
+export function summarizeAgenda(date, localEvents, googleEvents, { openTime, closeTime }) {
+    const local = localEvents.map(event => getLocalEventInterval(event, date)).filter(Boolean);
+    const google = googleEvents
+        .map(event => ({ event, interval: getGoogleEventInterval(event, date) }))
+        .filter(({ interval }) => interval);
+    const busy = [
+        ...local,
+        ...google.filter(({ event }) => event.transparency !== 'transparent').map(({ interval }) => interval)
+    ];
+    const all = [...local, ...google.map(({ interval }) => interval)];
+
+    const open = timeOnDate(date, openTime);
+    const close = timeOnDate(date, closeTime);
+    const workMinutes = Math.max(0, Math.round((close - open) / 60000));
+    const busyMinutes = coveredMinutes(busy, open, close);
+
+    return {
+        count: all.length,
+        firstStart: all.length > 0 ? new Date(Math.min(...all.map(interval => interval.start))) : null,
+        busyMinutes,
+        freeMinutes: workMinutes - busyMinutes,
+        conflicts: countConflicting(busy)
+    };
+}
+
+// Free slots start on a multiple of this many minutes
+const SLOT_STEP_MINUTES = 5;
+
+/**
+ * The free time of one day within working hours, outside the fixed break,
+ * in slots of at least `minMinutes`. Google events marked "free" and working
+ * locations take no time; an all-day out-of-office takes the whole day.
+ * @param {Date} date - The day
+ * @param {Array} localEvents - The local events on the day
+ * @param {Array} googleEvents - The Google events on the day
+ * @param {Object} options
+ * @param {string} options.openTime - "HH:MM"
+ * @param {string} options.closeTime - "HH:MM"
+ * @param {{start: string, end: string}|null} [options.breakTime] - "HH:MM"; null without a fixed break
+ * @param {number} options.minMinutes - The shortest slot worth listing
+ * @param {Date|null} [options.notBefore] - Usually now: no slot starts earlier
+ * @returns {Array<{start: Date, end: Date}>} Earliest first
+ */
+export function findFreeSlots(date, localEvents, googleEvents, { openTime, closeTime, breakTime = null, minMinutes, notBefore = null }) {
+    if (googleEvents.some(event => event.eventType === 'outOfOffice' && event.start?.date)) {
+        return [];
+    }
+
+    const busy = [
+        ...localEvents.map(event => getLocalEventInterval(event, date)),
+        ...googleEvents
+            .filter(event => event.transparency !== 'transparent' && event.eventType !== 'workingLocation')
+            .map(event => getGoogleEventInterval(event, date))
+    ].filter(Boolean);
+    if (breakTime) {
+        busy.push({ start: timeOnDate(date, breakTime.start), end: timeOnDate(date, breakTime.end) });
+    }
+
+    const { from, until } = getSearchRange(date, openTime, closeTime, notBefore);
+    return findGaps(busy, from, until, minMinutes);
+}
+
+/**
+ * The time within working hours on a day when everyone is free, in slots
+ * of at least `minMinutes`
+ * @param {Array<Array<{start: Date, end: Date}>>} busyLists - Each person's busy time
+ * @param {Date} date - The day
+ * @param {Object} options
+ * @param {string} options.openTime - "HH:MM"
+ * @param {string} options.closeTime - "HH:MM"
+ * @param {number} options.minMinutes - The shortest slot worth listing
+ * @param {Date|null} [options.notBefore] - Usually now: no slot starts earlier
+ * @returns {Array<{start: Date, end: Date}>} Earliest first
+ */
+export function findCommonFreeSlots(busyLists, date, { openTime, closeTime, minMinutes, notBefore = null }) {
+    const { from, until } = getSearchRange(date, openTime, closeTime, notBefore);
+    return findGaps(busyLists.flat(), from, until, minMinutes);
+}
+
+/**
+ * Working hours on a day, starting no earlier than `notBefore` (rounded up
+ * to a whole SLOT_STEP_MINUTES)
+ * @param {Date} date
+ * @param {string} openTime - "HH:MM"
+ * @param {string} closeTime - "HH:MM"
+ * @param {Date|null} notBefore
+ * @returns {{from: Date, until: Date}}
+ */
+function getSearchRange(date, openTime, closeTime, notBefore) {
+    let from = timeOnDate(date, openTime);
+    if (notBefore && notBefore > from) {
+        const step = SLOT_STEP_MINUTES * 60000;
+        from = new Date(Math.ceil(notBefore.getTime() / step) * step);
+    }
+    return { from, until: timeOnDate(date, closeTime) };
+}
+
+/**
+ * The gaps between busy intervals within a range
+ * @param {Array<{start: Date, end: Date}>} busy - In any order; may overlap
+ * @param {Date} from - The range start
+ * @param {Date} until - The range end
+ * @param {number} minMinutes - The shortest gap worth listing
+ * @returns {Array<{start: Date, end: Date}>} Earliest first
+ */
+function findGaps(busy, from, until, minMinutes) {
+    const gaps = [];
+    const addGap = (start, end) => {
+        if (end - start >= minMinutes * 60000) {
+            gaps.push({ start, end });
+        }
+    };
+    for (const interval of [...busy].sort((a, b) => a.start - b.start)) {
+        if (from >= until) {
+            break;
+        }
+        if (interval.start > from) {
+            addGap(from, interval.start < until ? interval.start : until);
+        }
+        if (interval.end > from) {
+            from = interval.end;
+        }
+    }
+    if (from < until) {
+        addGap(from, until);
+    }
+    return gaps;
+}
+
+/**
+ * @param {Date} date
+ * @param {string} time - "HH:MM"
+ * @returns {Date} That time on the day
+ */
+function timeOnDate(date, time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return createTimeOnDate(date, hours, minutes);
+}
@@ -0,0 +1,98 @@
+/**
+ * SideTimeTable - Event Rescheduling
+ *
+ * Pure helpers behind dragging an event block on the timeline: the snapped
+ * time range for a drag, which local events may be dragged, and the data
+ * handed to LocalEventService.updateEvent. DOM-free so it can be unit tested.
+ */
+
+import { normalizeRecurrence } from './rrule.js';
+
+/**
+ * Grid that dragged times snap to, in minutes (matches drag-to-create)
+ */
+export const RESCHEDULE_SNAP_MINUTES = 15;
+
+/**
+ * Latest end time a drag may produce (23:59); events stay within their day
+ */
+export const RESCHEDULE_MAX_END_MINUTES = 23 * 60 + 59;
+
+/**
+ * Drag modes: move the whole block, or drag its bottom edge to change the end
+ */
+export const RESCHEDULE_MODES = Object.freeze({
+    MOVE: 'move',
+    RESIZE: 'resize'
+});
+
+/**
+ * Calculate the range an event would occupy after a drag.
+ *
+ * Moving keeps the duration and snaps the new start to the grid; resizing
+ * keeps the start and snaps the new end, never shorter than one grid step.
+ * The result always stays between 00:00 and 23:59.
+ *
+ * @param {number} startMinutes - The original start, in minutes since midnight
+ * @param {number} endMinutes - The original end, in minutes since midnight
+ * @param {number} deltaMinutes - How far the pointer moved (1px = 1 minute)
+ * @param {string} mode - A RESCHEDULE_MODES value
+ * @returns {[number, number]} The new [startMinutes, endMinutes]
+ */
+export function calcRescheduledRange(startMinutes, endMinutes, deltaMinutes, mode) {
+    const snap = (minutes) => Math.round(minutes / RESCHEDULE_SNAP_MINUTES) * RESCHEDULE_SNAP_MINUTES;
+
+    if (mode === RESCHEDULE_MODES.RESIZE) {
+        const minEnd = Math.min(RESCHEDULE_MAX_END_MINUTES, startMinutes + RESCHEDULE_SNAP_MINUTES);
+        const end = Math.max(minEnd, Math.min(RESCHEDULE_MAX_END_MINUTES, snap(endMinutes + deltaMinutes)));
+        return [startMinutes, end];
+    }
+
+    const duration = endMinutes - startMinutes;
+    const latestStart = Math.max(0, RESCHEDULE_MAX_END_MINUTES - duration);
+    const start = Math.max(0, Math.min(latestStart, snap(startMinutes + deltaMinutes)));
+    return [start, Math.min(RESCHEDULE_MAX_END_MINUTES, start + duration)];
+}
+
+/**
+ * Whether a local event, as loaded for display, can be dragged on the timeline.
+ * Only plain one-day timed events qualify: dragging a recurring instance would
+ * silently move the whole series, and multi-day events do not fit a single day.
+ *
+ * @param {Object} event - The local event
+ * @returns {boolean}
+ */
+export function isReschedulableLocalEvent(event) {
+    return !!(
+        event &&
+        event.id &&
+        !event.allDay &&
+        event.startTime &&
+        event.endTime &&
+        !(event.spanDays > 0) &&
+        !event.isContinuation &&
+        !event.isRecurringInstance &&
+        !normalizeRecurrence(event.recurrence)
+    );
+}
+
+/**
+ * Build the form data LocalEventService.updateEvent expects for moving a local
+ * event to new times, keeping every other field as it is.
+ *
+ * @param {Object} event - The local event
+ * @param {string} startTime - The new start time (HH:MM)
+ * @param {string} endTime - The new end time (HH:MM)
+ * @returns {Object}
+ */
+export function buildLocalRescheduleData(event, startTime, endTime) {
+    return {
+        title: event.title,
+        description: event.description || '',
+        startTime,
+        endTime,
+        reminder: event.reminder !== false,
+        reminderOffsets: event.reminderOffsets,
+        recurrence: null
+    };
+}
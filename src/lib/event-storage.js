@@ -12,8 +12,10 @@
  */
 
 import { StorageHelper } from './storage-helper.js';
-import { STORAGE_KEYS, RECURRENCE_TYPES } from './constants.js';
-import { getFormattedDateFromDate } from './utils.js';
+import { STORAGE_KEYS, MAX_EVENT_SPAN_DAYS } from './constants.js';
+import { getFormattedDateFromDate, logWarn } from './utils.js';
+import { addDays, parseDateString, daysBetween } from './time-utils.js';
+import { normalizeRecurrence, isLegacyRecurrence, occursOn, expandRRule } from './rrule.js';
 
 // Migration flag key
 const MIGRATION_KEY = 'eventDataMigratedToLocal_v2';
@@ -72,20 +74,105 @@ export function loadLocalEvents() {
 
 /**
  * Load the local events for the specified date
+ *
+ * Multi-day events are stored under their start date only, so the preceding
+ * MAX_EVENT_SPAN_DAYS days are read as well and any event still running on
+ * the target date is returned as a continuation
+ * (`{ ...event, isContinuation: true, occurrenceDate: "YYYY-MM-DD" }`).
  * @param {Date} targetDate - The target date
  * @returns {Promise<Array>} A promise that returns an array of events
  */
 export async function loadLocalEventsForDate(targetDate) {
     const targetDateStr = getFormattedDateFromDate(targetDate);
     const storageKey = `${STORAGE_KEYS.LOCAL_EVENTS_PREFIX}${targetDateStr}`;
-    const result = await StorageHelper.getLocal([storageKey], { [storageKey]: [] });
-    const dateSpecificEvents = result[storageKey] || [];
+
+    const result = await StorageHelper.getLocal(
+        [storageKey, ...precedingDayKeys(targetDate)],
+        { [storageKey]: [] }
+    );
 
     // Get recurring events that apply to this date
     const recurringEvents = await getRecurringEventsForDate(targetDate);
 
-    // Combine and return (recurring events first, then date-specific)
-    return [...recurringEvents, ...dateSpecificEvents];
+    // Combine and return (recurring events first, then continuations, then date-specific)
+    return [...recurringEvents, ...storedEventsForDate(result, targetDate)];
+}
+
+/**
+ * Load the local events of several dates at once — the same result as
+ * calling loadLocalEventsForDate() for each date, with one storage read.
+ * @param {Array<Date>} dates - The dates
+ * @returns {Promise<Map<string, Array>>} The events keyed by date (YYYY-MM-DD)
+ */
+export async function loadLocalEventsForDates(dates) {
+    const keys = new Set();
+    for (const date of dates) {
+        keys.add(`${STORAGE_KEYS.LOCAL_EVENTS_PREFIX}${getFormattedDateFromDate(date)}`);
+        precedingDayKeys(date).forEach(key => keys.add(key));
+    }
+
+    const [result, recurringEvents] = await Promise.all([
+        StorageHelper.getLocal([...keys]),
+        loadRecurringEvents()
+    ]);
+
+    const eventsByDate = new Map();
+    for (const date of dates) {
+        eventsByDate.set(getFormattedDateFromDate(date), [
+            ...recurringInstancesForDate(recurringEvents, date),
+            ...storedEventsForDate(result, date)
+        ]);
+    }
+    return eventsByDate;
+}
+
+/**
+ * Storage keys of the MAX_EVENT_SPAN_DAYS days before a date
+ * @param {Date} targetDate
+ * @returns {Array<string>}
+ */
+function precedingDayKeys(targetDate) {
+    const keys = [];
+    for (let offset = 1; offset <= MAX_EVENT_SPAN_DAYS; offset++) {
+        keys.push(`${STORAGE_KEYS.LOCAL_EVENTS_PREFIX}${getFormattedDateFromDate(addDays(targetDate, -offset))}`);
+    }
+    return keys;
+}
+
+/**
+ * The date-specific events of a date from a storage read: continuations of
+ * events stored under the preceding days, then the date's own events
+ * @param {Object} stored - Storage contents covering the date and precedingDayKeys()
+ * @param {Date} targetDate
+ * @returns {Array}
+ */
+function storedEventsForDate(stored, targetDate) {
+    const continuingEvents = [];
+    for (let offset = 1; offset <= MAX_EVENT_SPAN_DAYS; offset++) {
+        const dateStr = getFormattedDateFromDate(addDays(targetDate, -offset));
+        for (const event of stored[`${STORAGE_KEYS.LOCAL_EVENTS_PREFIX}${dateStr}`] || []) {
+            if (eventCoversDayOffset(event, offset)) {
+                continuingEvents.push({ ...event, isContinuation: true, occurrenceDate: dateStr });
+            }
+        }
+    }
+    const dateSpecificEvents = stored[`${STORAGE_KEYS.LOCAL_EVENTS_PREFIX}${getFormattedDateFromDate(targetDate)}`] || [];
+    return [...continuingEvents, ...dateSpecificEvents];
+}
+
+/**
+ * Whether an event is still visible the given number of days after its start.
+ * A timed event ending at exactly 00:00 does not show on its final day.
+ * @param {Object} event - The stored event
+ * @param {number} offset - Days after the start date (0 = the start date)
+ * @returns {boolean}
+ */
+function eventCoversDayOffset(event, offset) {
+    const spanDays = Number.isInteger(event.spanDays) && event.spanDays > 0 ? event.spanDays : 0;
+    if (offset === 0) return true;
+    if (offset < spanDays) return true;
+    if (offset > spanDays) return false;
+    return !!event.allDay || (!!event.endTime && event.endTime !== '00:00');
 }
 
 /**
@@ -109,107 +196,103 @@ export async function saveRecurringEvents(events) {
 
 /**
  * Get recurring events that apply to a specific date
+ *
+ * An occurrence of a multi-day series that started on an earlier day is
+ * included as a continuation; its `instanceDate` and `occurrenceDate` are the
+ * day the occurrence started.
  * @param {Date} targetDate - The target date
  * @returns {Promise<Array>} A promise that returns an array of event instances for the date
  */
 export async function getRecurringEventsForDate(targetDate) {
-    const recurringEvents = await loadRecurringEvents();
+    return recurringInstancesForDate(await loadRecurringEvents(), targetDate);
+}
+
+/**
+ * The instances of the given recurring events that apply to a date
+ * (see getRecurringEventsForDate)
+ * @param {Array} recurringEvents - The stored recurring events
+ * @param {Date} targetDate - The target date
+ * @returns {Array} The event instances for the date
+ */
+function recurringInstancesForDate(recurringEvents, targetDate) {
     const targetDateStr = getFormattedDateFromDate(targetDate);
     const matchingEvents = [];
 
     for (const event of recurringEvents) {
-        if (!event.recurrence) continue;
+        // Legacy {type, ...} objects that predate the migration are expanded too
+        const recurrence = normalizeRecurrence(event.recurrence);
+        if (!recurrence) continue;
 
-        const { type, startDate, endDate, interval = 1, daysOfWeek = [] } = event.recurrence;
+        const maxOffset = Math.min(event.spanDays > 0 ? event.spanDays : 0, MAX_EVENT_SPAN_DAYS);
 
-        // Skip events with invalid interval
-        if (interval <= 0) continue;
+        for (let offset = 0; offset <= maxOffset; offset++) {
+            if (!eventCoversDayOffset(event, offset)) continue;
 
-        // Check if target date is within the recurrence range
-        if (startDate && targetDateStr < startDate) continue;
-        if (endDate && targetDateStr > endDate) continue;
+            const occurrenceDateStr = offset === 0
+                ? targetDateStr
+                : getFormattedDateFromDate(addDays(targetDate, -offset));
 
-        // Check if this event has an exception for this date (deleted instance)
-        const exceptions = event.recurrence.exceptions || [];
-        if (exceptions.includes(targetDateStr)) continue;
-
-        // Check if the event applies to the target date based on recurrence type
-        const eventStartDate = new Date(startDate + 'T00:00:00');
-        const targetDateObj = new Date(targetDateStr + 'T00:00:00');
-
-        let matches = false;
-
-        switch (type) {
-            case RECURRENCE_TYPES.DAILY: {
-                // Calculate days difference and check if it matches the interval
-                const daysDiff = Math.floor((targetDateObj - eventStartDate) / (1000 * 60 * 60 * 24));
-                matches = daysDiff >= 0 && daysDiff % interval === 0;
-                break;
-            }
-            case RECURRENCE_TYPES.WEEKLY: {
-                // Check if the day of week matches
-                const targetDayOfWeek = targetDateObj.getDay(); // 0=Sun, 1=Mon, ..., 6=Sat
-                if (daysOfWeek.length > 0) {
-                    // If specific days are set, check if target day matches
-                    if (!daysOfWeek.includes(targetDayOfWeek)) break;
-                } else {
-                    // If no specific days, use the start date's day of week
-                    const startDayOfWeek = eventStartDate.getDay();
-                    if (targetDayOfWeek !== startDayOfWeek) break;
-                }
-                // Calculate weeks difference from the start of the week containing the start date
-                const startWeekStart = new Date(eventStartDate);
-                startWeekStart.setDate(startWeekStart.getDate() - startWeekStart.getDay());
-                const targetWeekStart = new Date(targetDateObj);
-                targetWeekStart.setDate(targetWeekStart.getDate() - targetWeekStart.getDay());
-                const weeksDiff = Math.round((targetWeekStart - startWeekStart) / (1000 * 60 * 60 * 24 * 7));
-                matches = weeksDiff >= 0 && weeksDiff % interval === 0;
+            let matches;
+            try {
+                matches = occursOn(recurrence.rrule, recurrence.startDate, occurrenceDateStr, recurrence.exceptions || []);
+            } catch (error) {
+                // A malformed rule hides only that series, never the whole day
+                logWarn('getRecurringEventsForDate', `Skipping ${event.id}: ${error.message}`);
                 break;
             }
-            case RECURRENCE_TYPES.MONTHLY: {
-                // Check if the day of month matches (with month-end handling)
-                const eventDay = eventStartDate.getDate();
-                const targetDay = targetDateObj.getDate();
-                const targetYear = targetDateObj.getFullYear();
-                const targetMonth = targetDateObj.getMonth();
-
-                // Get the last day of the target month
-                const lastDayOfTargetMonth = new Date(targetYear, targetMonth + 1, 0).getDate();
-
-                // Check if this is the correct day
-                // If the event day is greater than the last day of the month,
-                // show on the last day of the month instead
-                const effectiveEventDay = Math.min(eventDay, lastDayOfTargetMonth);
-                if (effectiveEventDay !== targetDay) break;
-
-                // Calculate months difference
-                const monthsDiff = (targetDateObj.getFullYear() - eventStartDate.getFullYear()) * 12 +
-                                   (targetDateObj.getMonth() - eventStartDate.getMonth());
-                matches = monthsDiff >= 0 && monthsDiff % interval === 0;
-                break;
-            }
-            case RECURRENCE_TYPES.WEEKDAYS: {
-                // Monday to Friday only
-                const targetDayOfWeek = targetDateObj.getDay();
-                matches = targetDayOfWeek >= 1 && targetDayOfWeek <= 5;
-                break;
-            }
-        }
 
-        if (matches) {
+            if (!matches) continue;
+
             // Create an instance of the recurring event for this date
-            matchingEvents.push({
+            const instance = {
                 ...event,
+                recurrence,
                 isRecurringInstance: true,
-                instanceDate: targetDateStr,
+                instanceDate: occurrenceDateStr,
                 originalId: event.id
-            });
+            };
+            if (offset > 0) {
+                instance.isContinuation = true;
+                instance.occurrenceDate = occurrenceDateStr;
+            }
+            matchingEvents.push(instance);
         }
     }
 
     return matchingEvents;
 }
 
+/**
+ * Convert stored recurring events from the legacy `{type, interval, daysOfWeek,
+ * endDate}` recurrence shape to RRULE form. Idempotent: already-converted
+ * events are left alone and nothing is written when there is nothing to do.
+ * Events whose legacy recurrence cannot be expressed (e.g. interval <= 0) are
+ * kept unchanged.
+ * @returns {Promise<number>} The number of events converted
+ */
+export async function migrateRecurrenceToRRule() {
+    try {
+        const recurringEvents = await loadRecurringEvents();
+        let converted = 0;
+
+        const updated = recurringEvents.map(event => {
+            if (!isLegacyRecurrence(event.recurrence)) return event;
+            const recurrence = normalizeRecurrence(event.recurrence);
+            if (!recurrence) return event;
+            converted++;
+            return { ...event, recurrence };
+        });
+
+        if (converted > 0) {
+            await saveRecurringEvents(updated);
+        }
+        return converted;
+    } catch (error) {
+        console.error('[Migration] Failed to migrate recurrence rules:', error);
+        return 0;
+    }
+}
+
 /**
  * Add an exception (deleted instance) to a recurring event
  * @param {string} eventId - The recurring event ID
@@ -242,6 +325,90 @@ export async function deleteRecurringEvent(eventId) {
     await saveRecurringEvents(updatedEvents);
 }
 
+/**
+ * Load the date-specific events that run on any day of a range, each tagged
+ * with the date it is stored under. Multi-day events that started before the
+ * range are included if they are still running on its first day.
+ * @param {string} rangeStart - First date of the range (YYYY-MM-DD, inclusive)
+ * @param {string} rangeEnd - Last date of the range (YYYY-MM-DD, inclusive)
+ * @returns {Promise<Array<{event: Object, date: string}>>} The events in date order
+ */
+export async function loadLocalEventsInRange(rangeStart, rangeEnd) {
+    const firstDay = parseDateString(rangeStart);
+    const dayCount = daysBetween(firstDay, parseDateString(rangeEnd));
+
+    const days = [];
+    for (let offset = -MAX_EVENT_SPAN_DAYS; offset <= dayCount; offset++) {
+        const dateStr = getFormattedDateFromDate(addDays(firstDay, offset));
+        days.push({ offset, dateStr, key: `${STORAGE_KEYS.LOCAL_EVENTS_PREFIX}${dateStr}` });
+    }
+
+    const result = await StorageHelper.getLocal(days.map(day => day.key));
+    const entries = [];
+    for (const { offset, dateStr, key } of days) {
+        for (const event of result[key] || []) {
+            // Days before the range only count if the event reaches the range
+            if (offset < 0 && !eventCoversDayOffset(event, -offset)) continue;
+            entries.push({ event, date: dateStr });
+        }
+    }
+    return entries;
+}
+
+/**
+ * Load the recurring events with at least one occurrence running within a range
+ * (occurrences starting up to `spanDays` before the range count).
+ * @param {string} rangeStart - First date of the range (YYYY-MM-DD, inclusive)
+ * @param {string} rangeEnd - Last date of the range (YYYY-MM-DD, inclusive)
+ * @returns {Promise<Array>} The recurring events, with recurrence normalised to the RRULE shape
+ */
+export async function loadRecurringEventsInRange(rangeStart, rangeEnd) {
+    const recurringEvents = await loadRecurringEvents();
+    const matchingEvents = [];
+
+    for (const event of recurringEvents) {
+        const recurrence = normalizeRecurrence(event.recurrence);
+        if (!recurrence) continue;
+
+        const lookBack = Math.min(event.spanDays > 0 ? event.spanDays : 0, MAX_EVENT_SPAN_DAYS);
+        const searchStart = getFormattedDateFromDate(addDays(parseDateString(rangeStart), -lookBack));
+        try {
+            const occurrences = expandRRule(recurrence.rrule, recurrence.startDate, searchStart, rangeEnd, recurrence.exceptions || []);
+            if (occurrences.length > 0) {
+                matchingEvents.push({ ...event, recurrence });
+            }
+        } catch (error) {
+            logWarn('loadRecurringEventsInRange', `Skipping ${event.id}: ${error.message}`);
+        }
+    }
+
+    return matchingEvents;
+}
+
+/**
+ * Collect the iCalendar UIDs of every stored local and recurring event.
+ * Only imported events carry a `uid`.
+ * @returns {Promise<Set<string>>} A promise that returns the set of UIDs
+ */
+export async function loadEventUids() {
+    const [localData, recurringEvents] = await Promise.all([
+        StorageHelper.getLocal(null),
+        loadRecurringEvents()
+    ]);
+
+    const uids = new Set();
+    const collect = (events) => {
+        for (const event of events || []) {
+            if (event?.uid) uids.add(event.uid);
+        }
+    };
+    for (const [key, events] of Object.entries(localData)) {
+        if (key.startsWith(STORAGE_KEYS.LOCAL_EVENTS_PREFIX)) collect(events);
+    }
+    collect(recurringEvents);
+    return uids;
+}
+
 /**
  * Save the local events for the specified date
  * @param {Array} events - An array of the events to save
@@ -5,10 +5,33 @@
  * and the side panel controller (writable-calendar filtering). Keeping these
  * pure makes the create-event path unit-testable without a DOM.
  */
-import { buildRfc3339DateTime, isSameDay } from './time-utils.js';
+import { expandRRule } from './rrule.js';
+import { addDays, buildRfc3339DateTime, isSameDay, parseDateString } from './time-utils.js';
+import { getFormattedDateFromDate } from './utils.js';
 
 // Event types that must never be edited or deleted from the panel
-const NON_EDITABLE_EVENT_TYPES = ['outOfOffice', 'focusTime', 'workingLocation'];
+// (birthdays and events from Gmail are all-day entries Google manages itself)
+const NON_EDITABLE_EVENT_TYPES = ['outOfOffice', 'focusTime', 'workingLocation', 'birthday', 'fromGmail'];
+
+/**
+ * Which occurrences an edit or delete of a recurring event applies to:
+ * only this one, this one and the following ones, or the whole series
+ */
+export const RECURRING_SCOPES = Object.freeze(['this', 'following', 'all']);
+
+/**
+ * How the user joins an event they accept: in person or virtually. The
+ * Calendar API has no attendee field for this, so it is kept as a private
+ * extended property (ATTENDANCE_MODE_PROPERTY) on the user's own copy.
+ */
+export const ATTENDANCE_MODES = Object.freeze(['inPerson', 'virtual']);
+export const ATTENDANCE_MODE_PROPERTY = 'sideTimeTableAttendance';
+
+// Fields a "this and following" split carries over to the new series
+const SERIES_COPIED_FIELDS = [
+    'summary', 'description', 'location', 'colorId', 'reminders', 'attendees',
+    'transparency', 'visibility', 'guestsCanModify', 'guestsCanInviteOthers', 'guestsCanSeeOtherGuests'
+];
 
 /**
  * Whether a calendar can have events written to it.
@@ -47,12 +70,17 @@ export function filterWritableCalendars(calendars, selectedIds = null) {
  * Requires ALL of:
  * - a writable (owner/writer) calendar (`isWritableCalendar` flag stamped at fetch)
  * - id + calendarId (needed to address the PATCH/DELETE)
- * - a timed event (`start.dateTime` and `end.dateTime`; excludes all-day and
- *   endTimeUnspecified events)
- * - start and end on the same local calendar date (the edit form only exposes
- *   HH:MM inputs, so a cross-midnight event could never be saved — don't offer it)
- * - not part of a recurring series (instance or master)
- * - a plain event type (not out-of-office / focus time / working location)
+ * - either a timed event (`start.dateTime` and `end.dateTime`; excludes
+ *   endTimeUnspecified events) starting and ending on the same local calendar
+ *   date (the edit form only exposes HH:MM inputs for it, so a cross-midnight
+ *   event could never be saved — don't offer it), or an all-day event
+ *   (`start.date` and `end.date`, edited as a date range) that is not an
+ *   occurrence of a recurring series (splitting a series works on times)
+ * - not a recurring series master (occurrences are editable; the modal asks
+ *   which occurrences a change applies to)
+ * - a plain event type (not out-of-office / focus time / working location /
+ *   birthday / from Gmail)
+ * - not cancelled (cancelled events are only shown as ghosts)
  * - the user may actually modify it: the event is organized by the calendar it
  *   sits on (`organizer.self`) or guests are allowed to modify
  *   (`guestsCanModify`). Received invites fail this and would 403 on save.
@@ -66,19 +94,26 @@ export function isEditableGoogleEvent(event) {
         event.isWritableCalendar &&
         event.id &&
         event.calendarId &&
-        event.start?.dateTime &&
-        event.end?.dateTime &&
-        !event.recurringEventId &&
+        event.status !== 'cancelled' &&
         !event.recurrence &&
         !NON_EDITABLE_EVENT_TYPES.includes(event.eventType)
     )) {
         return false;
     }
 
-    const start = new Date(event.start.dateTime);
-    const end = new Date(event.end.dateTime);
-    if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime()) || !isSameDay(start, end)) {
-        return false;
+    if (isAllDayGoogleEvent(event)) {
+        if (event.recurringEventId) {
+            return false;
+        }
+    } else {
+        if (!event.start?.dateTime || !event.end?.dateTime) {
+            return false;
+        }
+        const start = new Date(event.start.dateTime);
+        const end = new Date(event.end.dateTime);
+        if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime()) || !isSameDay(start, end)) {
+            return false;
+        }
     }
 
     // organizer.self is true when the event is organized by the calendar this
@@ -86,6 +121,42 @@ export function isEditableGoogleEvent(event) {
     return event.organizer?.self === true || event.guestsCanModify === true;
 }
 
+/**
+ * Whether a Google event can be moved to another calendar from the panel
+ * (events.move): an editable event the calendar it sits on organizes —
+ * guests cannot move their copy — that is not an occurrence of a recurring
+ * event (the API only moves whole events).
+ * @param {Object} event - Event as fetched by the panel
+ * @returns {boolean}
+ */
+export function isMovableGoogleEvent(event) {
+    return isEditableGoogleEvent(event) && !event.recurringEventId && event.organizer?.self === true;
+}
+
+/**
+ * Whether a Google event is an all-day event (`start.date`/`end.date`
+ * instead of `dateTime`)
+ * @param {Object} event
+ * @returns {boolean}
+ */
+export function isAllDayGoogleEvent(event) {
+    return !!(event?.start?.date && event?.end?.date);
+}
+
+/**
+ * The days an all-day Google event covers, as the inclusive range the forms
+ * show (the API's `end.date` is the day after the last one)
+ * @param {Object} event - An all-day event
+ * @returns {{startDate: string, endDate: string}} YYYY-MM-DD
+ */
+export function getAllDayDateRange(event) {
+    const lastDay = addDays(parseDateString(event.end.date), -1);
+    return {
+        startDate: event.start.date,
+        endDate: event.end.date > event.start.date ? getFormattedDateFromDate(lastDay) : event.start.date
+    };
+}
+
 /**
  * Build a Google Calendar API event resource from form fields.
  * Optional fields (description, location) are omitted when blank so the
@@ -97,9 +168,12 @@ export function isEditableGoogleEvent(event) {
  *
  * @param {Object} fields
  * @param {string} fields.summary - Event title (required)
- * @param {Date} fields.date - The date the event is on
- * @param {string} fields.startTime - Start time "HH:MM" (required)
- * @param {string} fields.endTime - End time "HH:MM" (required)
+ * @param {Date} fields.date - The date the event is on (the first day of an all-day event)
+ * @param {string} fields.startTime - Start time "HH:MM" (required unless allDay)
+ * @param {string} fields.endTime - End time "HH:MM" (required unless allDay)
+ * @param {boolean} [fields.allDay] - An all-day event: `start.date`/`end.date`
+ *   instead of times (the API's end date is exclusive)
+ * @param {Date} [fields.endDate] - The last day of an all-day event (defaults to `date`)
  * @param {string} [fields.description]
  * @param {string} [fields.location]
  * @param {boolean} [fields.addMeet] - Attach a Google Meet conference
@@ -112,6 +186,20 @@ export function isEditableGoogleEvent(event) {
  *   untouched — pass it ONLY when the user actually changed the selection;
  *   blank/null reverts explicitly to {useDefault: true}. A non-numeric or
  *   negative value is ignored (treated as "no change") in both modes.
+ * @param {Array<Object>} [fields.attendees] - The full attendee list (see
+ *   mergeAttendees). Insert mode omits it when empty. Patch mode sends it
+ *   whenever it is given — even empty, which removes every guest — so pass it
+ *   ONLY when the guests actually changed.
+ * @param {boolean} [fields.guestsCanModify] - Guests may edit the event
+ *   (omitted when not given; pass it in patch mode only when it changed)
+ * @param {boolean} [fields.guestsCanInviteOthers] - Guests may invite others
+ *   (likewise)
+ * @param {string|null} [fields.recurrence] - An RRULE (see toGoogleRecurrence)
+ *   making the event a recurring series. Insert mode only; the start and end
+ *   of a timed series then carry `timeZone`, which Google requires to expand
+ *   it. An all-day series keeps a date-only UNTIL, matching its dates.
+ * @param {string} [fields.timeZone] - IANA time zone of a recurring series
+ *   (defaults to the browser's; injectable for tests)
  * @param {Object} [options]
  * @param {boolean} [options.forPatch=false] - Build a body for events.patch
  *   instead of events.insert. PATCH leaves omitted fields unchanged, so this
@@ -119,11 +207,15 @@ export function isEditableGoogleEvent(event) {
  *   and never emits conferenceData (Meet is not editable).
  * @returns {Object} A Google Calendar event resource ({summary, start, end, ...})
  */
-export function buildGoogleEventResource({ summary, description, location, date, startTime, endTime, addMeet, meetRequestId, reminderMinutes }, { forPatch = false } = {}) {
+export function buildGoogleEventResource({ summary, description, location, date, startTime, endTime, allDay, endDate, addMeet, meetRequestId, reminderMinutes, attendees, guestsCanModify, guestsCanInviteOthers, recurrence, timeZone }, { forPatch = false } = {}) {
     const resource = {
         summary: (summary || '').trim(),
-        start: { dateTime: buildRfc3339DateTime(date, startTime) },
-        end: { dateTime: buildRfc3339DateTime(date, endTime) }
+        start: allDay
+            ? { date: getFormattedDateFromDate(date) }
+            : { dateTime: buildRfc3339DateTime(date, startTime) },
+        end: allDay
+            ? { date: getFormattedDateFromDate(addDays(endDate || date, 1)) }
+            : { dateTime: buildRfc3339DateTime(date, endTime) }
     };
 
     const trimmedDescription = (description || '').trim();
@@ -163,9 +255,386 @@ export function buildGoogleEventResource({ summary, description, location, date,
         resource.reminders = { useDefault: true };
     }
 
+    if (Array.isArray(attendees) && (attendees.length > 0 || forPatch)) {
+        resource.attendees = attendees;
+    }
+
+    if (typeof guestsCanModify === 'boolean') {
+        resource.guestsCanModify = guestsCanModify;
+    }
+    if (typeof guestsCanInviteOthers === 'boolean') {
+        resource.guestsCanInviteOthers = guestsCanInviteOthers;
+    }
+
+    if (recurrence && !forPatch && allDay) {
+        resource.recurrence = [`RRULE:${recurrence.replace(/^RRULE:/i, '')}`];
+    } else if (recurrence && !forPatch) {
+        const zone = timeZone || Intl.DateTimeFormat().resolvedOptions().timeZone;
+        resource.recurrence = toGoogleRecurrence(recurrence);
+        resource.start.timeZone = zone;
+        resource.end.timeZone = zone;
+    }
+
     return resource;
 }
 
+/**
+ * Format an instant as an RFC 5545 UTC date-time ("20261019T085959Z")
+ * @param {Date} date
+ * @returns {string}
+ * @private
+ */
+function toRRuleUtc(date) {
+    return date.toISOString().replace(/\.\d{3}/, '').replace(/[-:]/g, '');
+}
+
+/**
+ * The `recurrence` lines for an RRULE built by the create form.
+ * The form ends a series on a date (UNTIL=YYYYMMDD), but a timed Google
+ * series needs UNTIL as a UTC date-time: the series runs to the end of
+ * that local day.
+ *
+ * @param {string} rrule - e.g. "FREQ=WEEKLY;BYDAY=MO;UNTIL=20261231"
+ * @returns {string[]} e.g. ["RRULE:FREQ=WEEKLY;BYDAY=MO;UNTIL=20261231T145959Z"] (UTC+9)
+ */
+export function toGoogleRecurrence(rrule) {
+    const body = rrule.trim().replace(/^RRULE:/i, '').replace(
+        /(^|;)UNTIL=(\d{4})(\d{2})(\d{2})(?=;|$)/i,
+        (_match, separator, year, month, day) =>
+            `${separator}UNTIL=${toRRuleUtc(new Date(Number(year), Number(month) - 1, Number(day), 23, 59, 59))}`
+    );
+    return [`RRULE:${body}`];
+}
+
+/**
+ * Split a recurring series at one of its occurrences, for "this and
+ * following" edits and deletes: the series ends just before the occurrence
+ * and a new series carries on from it.
+ *
+ * A COUNT is shared out — the new series gets the occurrences the old one
+ * had not used yet. EXDATE lines go to both sides (each only matches its
+ * own dates); RDATE lines stay with the old series.
+ *
+ * @param {string[]} recurrence - The series' `recurrence` lines
+ * @param {string} seriesStartDate - The date of the series' first occurrence (YYYY-MM-DD)
+ * @param {Date} splitStart - The original start of the occurrence to split at
+ * @returns {{before: string[], after: string[]}} The old series' and the new series' lines
+ * @throws {Error} If there is no RRULE, or it cannot be expanded
+ */
+export function splitGoogleRecurrence(recurrence, seriesStartDate, splitStart) {
+    const until = `UNTIL=${toRRuleUtc(new Date(splitStart.getTime() - 1000))}`;
+    const dayBefore = getFormattedDateFromDate(addDays(splitStart, -1));
+    const before = [];
+    const after = [];
+    let hasRule = false;
+
+    (recurrence || []).forEach(line => {
+        if (!/^RRULE:/i.test(line)) {
+            before.push(line);
+            if (/^EXDATE/i.test(line)) {
+                after.push(line);
+            }
+            return;
+        }
+        hasRule = true;
+
+        const parts = line.replace(/^RRULE:/i, '').split(';').filter(Boolean);
+        const kept = parts.filter(part => !/^(COUNT|UNTIL)=/i.test(part));
+        before.push(`RRULE:${[...kept, until].join(';')}`);
+
+        const countPart = parts.find(part => /^COUNT=/i.test(part));
+        if (countPart) {
+            const used = expandRRule(line, seriesStartDate, seriesStartDate, dayBefore).length;
+            const remaining = Math.max(Number(countPart.split('=')[1]) - used, 1);
+            after.push(`RRULE:${[...kept, `COUNT=${remaining}`].join(';')}`);
+        } else {
+            after.push(line);
+        }
+    });
+
+    if (!hasRule) {
+        throw new Error('The series has no RRULE');
+    }
+    return { before, after };
+}
+
+/**
+ * The new start and end of a whole series when one occurrence is edited
+ * with "all events": every occurrence moves by as much as this one did and
+ * takes its new length.
+ *
+ * @param {Object} series - The recurring event (`start`/`end` with timeZone)
+ * @param {Object} occurrence - The occurrence as it is now
+ * @param {Object} patch - The occurrence's patch, with the new `start`/`end`
+ * @returns {Object} `{start, end}` for the series, or `{}` when the
+ *   occurrence keeps its times (so an exception's own times do not leak
+ *   into the series)
+ */
+export function buildSeriesTimePatch(series, occurrence, patch) {
+    const newStart = new Date(patch.start?.dateTime).getTime();
+    const newEnd = new Date(patch.end?.dateTime).getTime();
+    const oldStart = new Date(occurrence.start.dateTime).getTime();
+    const oldEnd = new Date(occurrence.end.dateTime).getTime();
+    if (Number.isNaN(newStart) || Number.isNaN(newEnd) || (newStart === oldStart && newEnd === oldEnd)) {
+        return {};
+    }
+
+    const start = new Date(new Date(series.start.dateTime).getTime() + (newStart - oldStart));
+    const end = new Date(start.getTime() + (newEnd - newStart));
+    return {
+        start: { dateTime: start.toISOString(), timeZone: series.start.timeZone },
+        end: { dateTime: end.toISOString(), timeZone: series.end?.timeZone || series.start.timeZone }
+    };
+}
+
+/**
+ * The event resource of the new series a "this and following" edit starts:
+ * the old series' details with the occurrence's changes applied, from the
+ * occurrence's (new) times.
+ *
+ * @param {Object} series - The recurring event being split
+ * @param {Object} patch - The occurrence's patch (buildGoogleEventResource forPatch)
+ * @param {string[]} recurrence - The new series' lines (splitGoogleRecurrence `after`)
+ * @returns {Object} An event resource for events.insert
+ */
+export function buildFollowingSeriesResource(series, patch, recurrence) {
+    const resource = {};
+    SERIES_COPIED_FIELDS.forEach(field => {
+        if (series[field] !== undefined) {
+            resource[field] = series[field];
+        }
+    });
+    // Reuse the existing Meet; a pending create request must not be replayed
+    if (series.conferenceData?.conferenceId) {
+        const { createRequest: _createRequest, ...conferenceData } = series.conferenceData;
+        resource.conferenceData = conferenceData;
+    }
+
+    Object.assign(resource, patch);
+    resource.start = { ...patch.start, timeZone: series.start.timeZone };
+    resource.end = { ...patch.end, timeZone: series.end?.timeZone || series.start.timeZone };
+    resource.recurrence = recurrence;
+    return resource;
+}
+
+// A deliberately loose check: Google validates the address itself
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Split the guest field into addresses. Commas, semicolons and whitespace
+ * separate entries; repeats (in any letter case) are dropped.
+ * @param {string} text
+ * @returns {{emails: string[], invalid: string[]}} In the order typed
+ */
+export function parseAttendeeEmails(text) {
+    const emails = [];
+    const invalid = [];
+    const seen = new Set();
+    for (const entry of (text || '').split(/[\s,;]+/)) {
+        const key = entry.toLowerCase();
+        if (!entry || seen.has(key)) {
+            continue;
+        }
+        seen.add(key);
+        (EMAIL_PATTERN.test(entry) ? emails : invalid).push(entry);
+    }
+    return { emails, invalid };
+}
+
+/**
+ * Whether an attendee is one the guest field lists: not the calendar owner,
+ * not the organizer and not a room or other resource
+ * @param {Object} attendee - An entry of an event's `attendees`
+ * @returns {boolean}
+ */
+function isListedGuest(attendee) {
+    return !!attendee.email && !attendee.self && !attendee.organizer && !attendee.resource;
+}
+
+/**
+ * The guest addresses of an event, for prefilling the guest field
+ * @param {Array<Object>|undefined} attendees - The event's `attendees`
+ * @returns {string[]}
+ */
+export function getGuestEmails(attendees) {
+    return (attendees || []).filter(isListedGuest).map(attendee => attendee.email);
+}
+
+/**
+ * The attendee list for the guest field's addresses. Guests already on the
+ * event keep their entry (and with it their response), and the entries the
+ * field does not list (the owner, the organizer, rooms) are kept as they are.
+ * @param {Array<Object>|undefined} existing - The event's `attendees` (none when creating)
+ * @param {string[]} emails - The addresses in the guest field
+ * @returns {Array<Object>}
+ */
+export function mergeAttendees(existing, emails) {
+    const wanted = new Set(emails.map(email => email.toLowerCase()));
+    const kept = (existing || []).filter(attendee =>
+        !isListedGuest(attendee) || wanted.has(attendee.email.toLowerCase()));
+    const known = new Set(kept.filter(attendee => attendee.email).map(attendee => attendee.email.toLowerCase()));
+    return [
+        ...kept,
+        ...emails.filter(email => !known.has(email.toLowerCase())).map(email => ({ email }))
+    ];
+}
+
+/**
+ * Whether the guest field lists other guests than the event has
+ * @param {Array<Object>|undefined} existing - The event's `attendees`
+ * @param {string[]} emails - The addresses in the guest field
+ * @returns {boolean}
+ */
+export function areGuestsChanged(existing, emails) {
+    const before = new Set(getGuestEmails(existing).map(email => email.toLowerCase()));
+    const after = new Set(emails.map(email => email.toLowerCase()));
+    return before.size !== after.size || [...after].some(email => !before.has(email));
+}
+
+/**
+ * What an event's guests may do, with Google Calendar's defaults filled in
+ * (an event that leaves the fields out lets guests invite others but not
+ * edit the event)
+ * @param {Object} event - An event resource (or `{}` for a new event)
+ * @returns {{guestsCanModify: boolean, guestsCanInviteOthers: boolean}}
+ */
+export function getGuestPermissions(event) {
+    return {
+        guestsCanModify: event?.guestsCanModify === true,
+        guestsCanInviteOthers: event?.guestsCanInviteOthers !== false
+    };
+}
+
+/**
+ * Whether an event is an invitation the user has not answered yet
+ * (their attendee entry is `needsAction`; never their own events)
+ * @param {Object} event
+ * @returns {boolean}
+ */
+export function isPendingInvitation(event) {
+    if (event.status === 'cancelled' || event.organizer?.self) {
+        return false;
+    }
+    const selfAttendee = (event.attendees || []).find(attendee => attendee.self);
+    return selfAttendee?.responseStatus === 'needsAction';
+}
+
+/**
+ * Whether the user declined an event (their attendee entry is `declined`)
+ * @param {Object} event
+ * @returns {boolean}
+ */
+export function isDeclinedGoogleEvent(event) {
+    return !!event.attendees?.some(attendee => attendee.self && attendee.responseStatus === 'declined');
+}
+
+/**
+ * Whether an event no longer takes the user's time: cancelled, or declined
+ * by the user. Such events are hidden unless "show declined events" is on,
+ * and then drawn as ghosts that never count as conflicts.
+ * @param {Object} event
+ * @returns {boolean}
+ */
+export function isInactiveGoogleEvent(event) {
+    return event.status === 'cancelled' || isDeclinedGoogleEvent(event);
+}
+
+/**
+ * How the user said they join an event (see ATTENDANCE_MODES)
+ * @param {Object} event
+ * @returns {string|null} An ATTENDANCE_MODES value, or null when not chosen
+ */
+export function getAttendanceMode(event) {
+    const mode = event.extendedProperties?.private?.[ATTENDANCE_MODE_PROPERTY];
+    return ATTENDANCE_MODES.includes(mode) ? mode : null;
+}
+
+// The edit form's fields, in form order, with the resource keys each writes
+const EDIT_FIELD_KEYS = {
+    summary: ['summary'],
+    time: ['start', 'end'],
+    location: ['location'],
+    description: ['description'],
+    attendees: ['attendees'],
+    guestPermissions: ['guestsCanModify', 'guestsCanInviteOthers'],
+    reminders: ['reminders']
+};
+
+/**
+ * A comparable form of one edit-form field of an event resource
+ * @param {Object} resource
+ * @param {string} field - An EDIT_FIELD_KEYS key
+ * @returns {string}
+ * @private
+ */
+function getEditFieldValue(resource, field) {
+    switch (field) {
+        case 'time': {
+            const instant = (point) => new Date(point?.dateTime || point?.date).getTime();
+            return `${instant(resource.start)}/${instant(resource.end)}`;
+        }
+        case 'attendees':
+            return getGuestEmails(resource.attendees).map(email => email.toLowerCase()).sort().join(',');
+        case 'guestPermissions':
+            return JSON.stringify(getGuestPermissions(resource));
+        case 'reminders':
+            // No reminders field means the calendar's default reminders
+            return JSON.stringify(resource.reminders?.useDefault === false ? resource.reminders.overrides || [] : 'default');
+        default:
+            return (resource[field] || '').trim();
+    }
+}
+
+/**
+ * Compare an edit with the version of the event saved elsewhere meanwhile
+ * (a 412 from If-Match), field by field. A field the patch leaves out
+ * counts as not edited.
+ *
+ * @param {Object} original - The event as it was when the edit started
+ * @param {Object} current - The event as it is now
+ * @param {Object} patch - The edit (buildGoogleEventResource forPatch)
+ * @returns {Array<{field: string, changedHere: boolean, changedThere: boolean}>}
+ *   The fields where the edit and the current version differ, in form order.
+ *   When both changed a field it is a real conflict; otherwise one side
+ *   simply kept the original value.
+ */
+export function findEditConflicts(original, current, patch) {
+    const edited = { ...original, ...patch };
+    return Object.keys(EDIT_FIELD_KEYS)
+        .map(field => {
+            const before = getEditFieldValue(original, field);
+            const here = getEditFieldValue(edited, field);
+            const there = getEditFieldValue(current, field);
+            return here === there ? null : { field, changedHere: here !== before, changedThere: there !== before };
+        })
+        .filter(Boolean);
+}
+
+/**
+ * The patch to retry a conflicting edit with: the edit's value for the
+ * fields chosen to keep, every other field left as the current version has it.
+ * Kept guests are merged into the current guest list, so responses given
+ * meanwhile are not lost.
+ *
+ * @param {Object} current - The event as it is now
+ * @param {Object} patch - The edit
+ * @param {Iterable<string>} keepHere - The fields (see findEditConflicts) whose edit wins
+ * @returns {Object} The patch to send with the current version's etag
+ */
+export function buildMergedPatch(current, patch, keepHere) {
+    const keep = new Set(keepHere);
+    const merged = { ...patch };
+    Object.entries(EDIT_FIELD_KEYS).forEach(([field, keys]) => {
+        if (!keep.has(field)) {
+            keys.forEach(key => delete merged[key]);
+        }
+    });
+    if (merged.attendees) {
+        merged.attendees = mergeAttendees(current.attendees, getGuestEmails(merged.attendees));
+    }
+    return merged;
+}
+
 /**
  * Extract a local "HH:MM" wall-clock time from an RFC3339 dateTime string,
  * for prefilling time inputs when editing an event.
@@ -185,3 +654,67 @@ export function extractTimeHHMM(dateTimeString) {
     const pad = (n) => String(n).padStart(2, '0');
     return `${pad(parsed.getHours())}:${pad(parsed.getMinutes())}`;
 }
+
+/**
+ * Build an events.patch body that only moves a timed event to new times on
+ * its own date, leaving every other field untouched. Used when an event is
+ * dragged on the timeline.
+ *
+ * @param {Object} event - The event being moved (needs `start.dateTime`)
+ * @param {string} startTime - The new start time "HH:MM"
+ * @param {string} endTime - The new end time "HH:MM"
+ * @returns {{start: {dateTime: string}, end: {dateTime: string}}}
+ */
+export function buildGoogleTimePatch(event, startTime, endTime) {
+    const date = new Date(event.start.dateTime);
+    return {
+        start: { dateTime: buildRfc3339DateTime(date, startTime) },
+        end: { dateTime: buildRfc3339DateTime(date, endTime) }
+    };
+}
+
+/**
+ * Whether a Google event falls on a given local day, using the same overlap
+ * rule as an events.list query for that day (timeMin/timeMax). Used to split
+ * one multi-day fetch into per-day columns.
+ *
+ * @param {Object} event - The event (`start`/`end` with `date` or `dateTime`)
+ * @param {Date} date - Any time on the day
+ * @returns {boolean}
+ */
+export function isGoogleEventOnDay(event, date) {
+    if (!event || !event.start || !event.end) {
+        return false;
+    }
+
+    // All-day events: start.date inclusive, end.date exclusive
+    if (event.start.date) {
+        const pad = (n) => String(n).padStart(2, '0');
+        const day = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+        return event.start.date <= day && day < (event.end.date || event.start.date);
+    }
+
+    const dayStart = new Date(date);
+    dayStart.setHours(0, 0, 0, 0);
+    const dayEnd = new Date(dayStart);
+    dayEnd.setDate(dayEnd.getDate() + 1);
+
+    const start = new Date(event.start.dateTime);
+    const end = new Date(event.end.dateTime);
+    // A zero-duration event belongs to the day it starts on
+    if (end.getTime() <= start.getTime()) {
+        return start >= dayStart && start < dayEnd;
+    }
+    return start < dayEnd && end > dayStart;
+}
+
+/**
+ * The busy blocks of one calendar in a freebusy.query result
+ * @param {{busy?: Array<{start: string, end: string}>}|undefined} calendar
+ * @returns {Array<{start: Date, end: Date}>} In the API's order (earliest first)
+ */
+export function getFreeBusyIntervals(calendar) {
+    return (calendar?.busy || [])
+        .map(block => ({ start: new Date(block.start), end: new Date(block.end) }))
+        .filter(block => block.end > block.start);
+}
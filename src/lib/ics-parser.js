@@ -0,0 +1,539 @@
+/**
+ * SideTimeTable - iCalendar Parser
+ *
+ * Pure functions for turning an RFC 5545 `.ics` file into local event data
+ * that `LocalEventService.importEvents()` can store.
+ *
+ * Each VEVENT becomes one event in local time:
+ * - DTSTART/DTEND (or DURATION) → `startTime`/`endTime`, or `allDay` for DATE
+ *   values; events ending on a later day get `spanDays`
+ * - TZID (IANA names) and UTC (`Z`) times are converted to the local timezone;
+ *   floating times and unknown TZIDs are taken as local time
+ * - RRULE → `recurrence.rrule`, EXDATE → `recurrence.exceptions`. When the
+ *   conversion moves the start to another day, BYDAY, BYMONTHDAY and UNTIL
+ *   (and EXDATE / RECURRENCE-ID values without a zone of their own) move with it
+ * - A VALARM turns the reminder on; its TRIGGER durations before the start
+ *   become `reminderOffsets` (absolute triggers and ones relative to the end
+ *   are ignored; without any usable one the settings' offset applies)
+ * - An override of one occurrence (RECURRENCE-ID) is excluded from its series
+ *   and imported as a standalone event whose `uid` is `UID@YYYY-MM-DD`
+ *
+ * RDATE, VTODO and VJOURNAL are ignored.
+ */
+
+import { parseRRule, formatRRule } from './rrule.js';
+import { MAX_EVENT_SPAN_DAYS } from './constants.js';
+import { getFormattedDateFromDate } from './utils.js';
+import { normalizeReminderOffsets } from './reminder-offsets.js';
+import { daysBetween, addDays } from './time-utils.js';
+
+/**
+ * Reasons an event in the file cannot be imported
+ */
+export const ICS_SKIP_REASONS = Object.freeze({
+    MISSING_START: 'missingStart',
+    UNSUPPORTED_RECURRENCE: 'unsupportedRecurrence',
+    SPAN_TOO_LONG: 'spanTooLong',
+    CANCELLED: 'cancelled'
+});
+
+const DATE_VALUE_RE = /^(\d{4})(\d{2})(\d{2})$/;
+const DATE_TIME_VALUE_RE = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})(Z?)$/;
+const DURATION_RE = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/;
+const MS_PER_MINUTE = 60 * 1000;
+
+// Intl.DateTimeFormat instances are expensive to create; one per TZID is enough
+const zoneFormatters = new Map();
+
+/**
+ * Parse the text of an .ics file.
+ *
+ * @param {string} text - The file contents
+ * @returns {{events: Array<Object>, skipped: Array<{uid: string|null, title: string, reason: string}>}}
+ *   `events` holds event data (`uid`, `title`, `description`, `startDate`,
+ *   `allDay`, `startTime`, `endTime`, `spanDays`, `reminder`, `reminderOffsets`,
+ *   `recurrence`)
+ *   sorted by start; `skipped` lists the VEVENTs that could not be converted
+ * @throws {Error} If the text is not an iCalendar object
+ */
+export function parseICS(text) {
+    const lines = unfoldLines(text || '');
+    if (!lines.some(line => /^BEGIN:VCALENDAR$/i.test(line.trim()))) {
+        throw new Error('Not an iCalendar file');
+    }
+
+    const components = readEventComponents(lines);
+    const events = [];
+    const skipped = [];
+    const seriesByUid = new Map();
+    const overrides = [];
+
+    for (const component of components) {
+        let event;
+        try {
+            event = convertComponent(component);
+        } catch (error) {
+            skipped.push({ uid: getText(component, 'UID'), title: getText(component, 'SUMMARY') || '', reason: error.reason || ICS_SKIP_REASONS.MISSING_START });
+            continue;
+        }
+        if (component.recurrenceId) {
+            overrides.push(event);
+        } else {
+            // A later copy of the same UID (e.g. a re-sent invitation) replaces the earlier one
+            if (event.uid && seriesByUid.has(event.uid)) {
+                events.splice(events.indexOf(seriesByUid.get(event.uid)), 1);
+            }
+            if (event.uid) seriesByUid.set(event.uid, event);
+            events.push(event);
+        }
+    }
+
+    for (const override of overrides) {
+        const { recurrenceDate } = override;
+        const series = seriesByUid.get(override.uid);
+        if (series?.recurrence && !series.recurrence.exceptions.includes(recurrenceDate)) {
+            series.recurrence.exceptions.push(recurrenceDate);
+        }
+        delete override.recurrenceDate;
+        if (override.cancelled) continue;
+        events.push({ ...override, uid: override.uid ? `${override.uid}@${recurrenceDate}` : null });
+    }
+
+    const importable = [];
+    for (const event of events) {
+        if (event.cancelled) {
+            skipped.push({ uid: event.uid, title: event.title, reason: ICS_SKIP_REASONS.CANCELLED });
+            continue;
+        }
+        delete event.cancelled;
+        importable.push(event);
+    }
+
+    importable.sort((a, b) =>
+        a.startDate.localeCompare(b.startDate) || (a.startTime || '').localeCompare(b.startTime || '')
+    );
+    return { events: importable, skipped };
+}
+
+/**
+ * Convert an iCalendar date or date-time value to a local Date.
+ *
+ * @param {string} value - e.g. "20260301", "20260301T090000" or "20260301T000000Z"
+ * @param {Object<string, string>} params - The property parameters (VALUE, TZID)
+ * @returns {{date: Date, allDay: boolean, zoned: boolean}} The local date, whether it
+ *   is a DATE value and whether it was converted from UTC or a known TZID
+ * @throws {Error} If the value is malformed
+ */
+export function parseICSDateTime(value, params = {}) {
+    const trimmed = (value || '').trim();
+
+    const dateMatch = DATE_VALUE_RE.exec(trimmed);
+    if (dateMatch) {
+        const [year, month, day] = dateMatch.slice(1, 4).map(Number);
+        return { date: checkedLocalDate(year, month, day, 0, 0, 0), allDay: true, zoned: false };
+    }
+
+    const match = DATE_TIME_VALUE_RE.exec(trimmed);
+    if (!match || params.VALUE?.toUpperCase() === 'DATE') {
+        throw new Error(`Invalid date-time: ${value}`);
+    }
+    const [year, month, day, hour, minute, second] = match.slice(1, 7).map(Number);
+    checkedLocalDate(year, month, day, hour, minute, second);
+
+    if (match[7]) {
+        return { date: new Date(Date.UTC(year, month - 1, day, hour, minute, second)), allDay: false, zoned: true };
+    }
+    const zoned = params.TZID ? zonedTimeToDate([year, month, day, hour, minute, second], params.TZID) : null;
+    return { date: zoned || new Date(year, month - 1, day, hour, minute, second), allDay: false, zoned: Boolean(zoned) };
+}
+
+/**
+ * Parse an iCalendar DURATION value.
+ *
+ * @param {string} value - e.g. "PT1H30M", "P1D" or "-PT15M"
+ * @returns {number} The signed duration in minutes
+ * @throws {Error} If the value is malformed
+ */
+export function parseICSDuration(value) {
+    const match = DURATION_RE.exec((value || '').trim().toUpperCase());
+    if (!match || match.slice(2, 7).every(part => part === undefined)) {
+        throw new Error(`Invalid duration: ${value}`);
+    }
+    const [weeks, days, hours, minutes, seconds] = match.slice(2, 7).map(v => Number(v || 0));
+    const total = (((weeks * 7 + days) * 24 + hours) * 60) + minutes + Math.floor(seconds / 60);
+    return match[1] === '-' ? -total : total;
+}
+
+// ------------------------------------------------------------------ internals
+
+/**
+ * Split the text into content lines, joining folded continuation lines.
+ * @private
+ */
+function unfoldLines(text) {
+    return text.replace(/\r\n/g, '\n').replace(/\n[ \t]/g, '').split('\n').filter(line => line.trim() !== '');
+}
+
+/**
+ * Parse one content line into its name, parameters and value.
+ * Parameter values may be quoted and contain `;` or `:`.
+ * @private
+ */
+function parseContentLine(line) {
+    let index = 0;
+    let inQuotes = false;
+    const separators = [];
+    for (; index < line.length; index++) {
+        const char = line[index];
+        if (char === '"') inQuotes = !inQuotes;
+        else if (!inQuotes && char === ';') separators.push(index);
+        else if (!inQuotes && char === ':') break;
+    }
+    if (index >= line.length) return null;
+
+    const head = line.slice(0, index);
+    const value = line.slice(index + 1);
+    const segments = [];
+    let start = 0;
+    for (const separator of separators) {
+        segments.push(head.slice(start, separator));
+        start = separator + 1;
+    }
+    segments.push(head.slice(start));
+
+    const params = {};
+    for (const segment of segments.slice(1)) {
+        const eq = segment.indexOf('=');
+        if (eq === -1) continue;
+        params[segment.slice(0, eq).toUpperCase()] = segment.slice(eq + 1).replace(/^"|"$/g, '');
+    }
+    return { name: segments[0].toUpperCase(), params, value };
+}
+
+/**
+ * Collect the properties of every VEVENT, noting whether it contains a VALARM
+ * and the TRIGGER of each.
+ * @private
+ */
+function readEventComponents(lines) {
+    const components = [];
+    const stack = [];
+    let current = null;
+
+    for (const line of lines) {
+        const property = parseContentLine(line);
+        if (!property) continue;
+
+        if (property.name === 'BEGIN') {
+            const type = property.value.trim().toUpperCase();
+            stack.push(type);
+            if (type === 'VEVENT' && !current) {
+                current = { properties: [], hasAlarm: false, alarmTriggers: [], recurrenceId: null };
+            } else if (type === 'VALARM' && current) {
+                current.hasAlarm = true;
+            }
+            continue;
+        }
+        if (property.name === 'END') {
+            const type = stack.pop();
+            if (type === 'VEVENT' && current) {
+                current.recurrenceId = current.properties.find(p => p.name === 'RECURRENCE-ID') || null;
+                components.push(current);
+                current = null;
+            }
+            continue;
+        }
+        // Properties of nested components (VALARM) do not belong to the event
+        if (current && stack[stack.length - 1] === 'VEVENT') {
+            current.properties.push(property);
+        } else if (current && stack[stack.length - 1] === 'VALARM' && property.name === 'TRIGGER') {
+            current.alarmTriggers.push(property);
+        }
+    }
+    return components;
+}
+
+/**
+ * Convert a VEVENT into event data.
+ * Errors carry a `reason` from ICS_SKIP_REASONS.
+ * @private
+ */
+function convertComponent(component) {
+    const dtStart = getProperty(component, 'DTSTART');
+    if (!dtStart) throw skipError(ICS_SKIP_REASONS.MISSING_START);
+
+    let start;
+    try {
+        start = parseICSDateTime(dtStart.value, dtStart.params);
+    } catch {
+        throw skipError(ICS_SKIP_REASONS.MISSING_START);
+    }
+    const end = resolveEnd(component, start);
+    // Days the conversion to local time moved the start (e.g. +1 for 20:00 in
+    // New York seen from Tokyo); dates written in the source zone move with it
+    const dayOffset = daysBetween(writtenDate(dtStart.value), start.date);
+
+    const event = {
+        uid: getText(component, 'UID'),
+        title: getText(component, 'SUMMARY') || '',
+        description: getText(component, 'DESCRIPTION') || '',
+        startDate: getFormattedDateFromDate(start.date),
+        allDay: start.allDay,
+        reminder: component.hasAlarm && !start.allDay,
+        recurrence: null,
+        cancelled: (getText(component, 'STATUS') || '').toUpperCase() === 'CANCELLED'
+    };
+
+    let spanDays;
+    if (start.allDay) {
+        // DTEND of an all-day event is exclusive
+        spanDays = Math.max(daysBetween(start.date, end) - 1, 0);
+    } else {
+        event.startTime = formatTime(start.date);
+        event.endTime = formatTime(end);
+        spanDays = daysBetween(start.date, end);
+    }
+    if (spanDays > MAX_EVENT_SPAN_DAYS) throw skipError(ICS_SKIP_REASONS.SPAN_TOO_LONG);
+    if (spanDays > 0) event.spanDays = spanDays;
+
+    if (event.reminder) {
+        const reminderOffsets = normalizeReminderOffsets(component.alarmTriggers.map(alarmOffset));
+        if (reminderOffsets.length > 0) event.reminderOffsets = reminderOffsets;
+    }
+
+    if (component.recurrenceId) {
+        try {
+            event.recurrenceDate = toSeriesDate(component.recurrenceId.value, component.recurrenceId.params, dayOffset);
+        } catch {
+            throw skipError(ICS_SKIP_REASONS.MISSING_START);
+        }
+        return event;
+    }
+
+    const rrule = getProperty(component, 'RRULE');
+    if (rrule) {
+        try {
+            parseRRule(rrule.value);
+        } catch {
+            throw skipError(ICS_SKIP_REASONS.UNSUPPORTED_RECURRENCE);
+        }
+        event.recurrence = {
+            rrule: shiftRRule(rrule.value.trim().replace(/^RRULE:/i, ''), dayOffset),
+            startDate: event.startDate,
+            exceptions: collectExdates(component, dayOffset)
+        };
+    }
+    return event;
+}
+
+/**
+ * The local end of an event from DTEND or DURATION.
+ * Without either, a DATE event lasts one day and a DATE-TIME event ends when it starts.
+ * @private
+ */
+function resolveEnd(component, start) {
+    const dtEnd = getProperty(component, 'DTEND');
+    if (dtEnd) {
+        try {
+            const end = parseICSDateTime(dtEnd.value, dtEnd.params).date;
+            if (end > start.date) return end;
+        } catch {
+            // fall through to DURATION / the default
+        }
+    }
+
+    const duration = getProperty(component, 'DURATION');
+    if (duration) {
+        try {
+            const minutes = parseICSDuration(duration.value);
+            if (minutes > 0) return new Date(start.date.getTime() + minutes * MS_PER_MINUTE);
+        } catch {
+            // fall through to the default
+        }
+    }
+
+    return start.allDay ? addDays(start.date, 1) : new Date(start.date);
+}
+
+/**
+ * The minutes before the start a VALARM TRIGGER fires at, or null when it is
+ * not a duration relative to the start (an absolute time, or RELATED=END)
+ * @private
+ */
+function alarmOffset(trigger) {
+    if (trigger.params.VALUE?.toUpperCase() === 'DATE-TIME' || trigger.params.RELATED?.toUpperCase() === 'END') {
+        return null;
+    }
+    try {
+        // "-PT15M" is 15 minutes before the start ("PT0M" is at the start, not -0)
+        return -parseICSDuration(trigger.value) || 0;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * All EXDATE values of a VEVENT as local YYYY-MM-DD dates.
+ * @private
+ */
+function collectExdates(component, dayOffset) {
+    const dates = [];
+    for (const property of component.properties.filter(p => p.name === 'EXDATE')) {
+        for (const value of property.value.split(',')) {
+            try {
+                const dateStr = toSeriesDate(value, property.params, dayOffset);
+                if (!dates.includes(dateStr)) dates.push(dateStr);
+            } catch {
+                // An unreadable EXDATE is dropped rather than failing the whole series
+            }
+        }
+    }
+    return dates;
+}
+
+/**
+ * The local YYYY-MM-DD of an occurrence date (EXDATE, RECURRENCE-ID, UNTIL).
+ * A date-time with its own zone converts like DTSTART does; a DATE or floating
+ * value is read in the zone of DTSTART, so it moves by the start's `dayOffset`.
+ * @private
+ */
+function toSeriesDate(value, params, dayOffset) {
+    const { date, zoned } = parseICSDateTime(value, params);
+    return getFormattedDateFromDate(zoned ? date : addDays(writtenDate(value), dayOffset));
+}
+
+/**
+ * The calendar date written in a DATE or DATE-TIME value, as a local Date.
+ * @private
+ */
+function writtenDate(value) {
+    const [year, month, day] = [value.slice(0, 4), value.slice(4, 6), value.slice(6, 8)].map(Number);
+    return new Date(year, month - 1, day);
+}
+
+/**
+ * Move the day-based parts of a rule by the days its start moved, so the
+ * occurrences land on the same local days as the converted start.
+ * Ordinal weekdays (`2MO`) keep their ordinal and a month day past the end of
+ * the month becomes the 1st, so those rules are only approximated.
+ * @private
+ */
+function shiftRRule(ruleString, dayOffset) {
+    if (!dayOffset) return ruleString;
+
+    const rule = parseRRule(ruleString);
+    rule.byDay = rule.byDay.map(({ weekday, ordinal }) => ({ weekday: (weekday + dayOffset + 7) % 7, ordinal }));
+    rule.byMonthDay = rule.byMonthDay.map(day => shiftMonthDay(day, dayOffset));
+    const until = /(?:^|;)UNTIL=([^;]+)/i.exec(ruleString);
+    if (until) {
+        rule.until = toSeriesDate(until[1].trim().toUpperCase(), {}, dayOffset);
+    }
+    return formatRRule(rule);
+}
+
+/**
+ * Move a BYMONTHDAY value (1..31 or -1..-31 from the end) by a day.
+ * The day before the 1st is the last day (-1) and the day after the last is the 1st.
+ * @private
+ */
+function shiftMonthDay(day, dayOffset) {
+    const shifted = day + dayOffset;
+    if (day > 0) {
+        if (shifted < 1) return -1;
+        return shifted > 31 ? 1 : shifted;
+    }
+    if (shifted > -1) return 1;
+    return shifted < -31 ? -1 : shifted;
+}
+
+/**
+ * Convert a wall-clock time in an IANA timezone to a Date.
+ * Returns null when the runtime does not know the zone (e.g. Windows zone names).
+ * @private
+ */
+function zonedTimeToDate([year, month, day, hour, minute, second], timeZone) {
+    const wallClockAsUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+    try {
+        const firstOffset = zoneOffset(wallClockAsUtc, timeZone);
+        let timestamp = wallClockAsUtc - firstOffset;
+        // Re-check once: the guess may sit on the other side of a DST transition
+        const secondOffset = zoneOffset(timestamp, timeZone);
+        if (secondOffset !== firstOffset) {
+            timestamp = wallClockAsUtc - secondOffset;
+        }
+        return new Date(timestamp);
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * The UTC offset (ms) of a timezone at an instant.
+ * @private
+ */
+function zoneOffset(timestamp, timeZone) {
+    let formatter = zoneFormatters.get(timeZone);
+    if (!formatter) {
+        formatter = new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric', month: '2-digit', day: '2-digit',
+            hour: '2-digit', minute: '2-digit', second: '2-digit'
+        });
+        zoneFormatters.set(timeZone, formatter);
+    }
+    const parts = {};
+    for (const part of formatter.formatToParts(new Date(timestamp))) {
+        parts[part.type] = Number(part.value);
+    }
+    const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour % 24, parts.minute, parts.second);
+    return asUtc - Math.floor(timestamp / 1000) * 1000;
+}
+
+/**
+ * Build a local Date, rejecting out-of-range fields such as month 13.
+ * @private
+ */
+function checkedLocalDate(year, month, day, hour, minute, second) {
+    const date = new Date(year, month - 1, day, hour, minute, second);
+    if (date.getMonth() !== month - 1 || date.getDate() !== day || hour > 23 || minute > 59 || second > 60) {
+        throw new Error('Invalid date');
+    }
+    return date;
+}
+
+/**
+ * Format the time of a Date as HH:mm.
+ * @private
+ */
+function formatTime(date) {
+    return `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+}
+
+/**
+ * The first property with the given name.
+ * @private
+ */
+function getProperty(component, name) {
+    return component.properties.find(p => p.name === name) || null;
+}
+
+/**
+ * The unescaped text value of a property, or null if absent.
+ * @private
+ */
+function getText(component, name) {
+    const property = getProperty(component, name);
+    if (!property) return null;
+    return property.value.replace(/\\([\\;,nN])/g, (_, char) => (char === 'n' || char === 'N' ? '\n' : char));
+}
+
+/**
+ * An Error tagged with a skip reason.
+ * @private
+ */
+function skipError(reason) {
+    const error = new Error(reason);
+    error.reason = reason;
+    return error;
+}
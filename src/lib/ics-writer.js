@@ -0,0 +1,227 @@
+/**
+ * SideTimeTable - iCalendar Writer
+ *
+ * Pure functions for serialising local events into an RFC 5545 `.ics` file,
+ * the counterpart of ics-parser.js.
+ *
+ * - Timed events are written in the local IANA timezone (`TZID=...`, plus
+ *   `X-WR-TIMEZONE`). No VTIMEZONE is emitted: Google Calendar, Apple Calendar
+ *   and Outlook resolve IANA names themselves. Without a known zone the times
+ *   are written as floating local times.
+ * - All-day events use DATE values with an exclusive DTEND
+ * - Recurring events carry their RRULE, with `recurrence.exceptions` as EXDATE
+ * - Events with a reminder get a display VALARM per reminder offset
+ * - Imported events keep their original UID; others get `<id>@sidetimetable`
+ */
+
+import { getLocalEventReminderOffsets } from './reminder-offsets.js';
+import { normalizeRecurrence } from './rrule.js';
+import { addDays, parseDateString } from './time-utils.js';
+
+const PRODID = '-//SideTimeTable//Local Events//EN';
+const UID_DOMAIN = 'sidetimetable';
+// RFC 5545 §3.1: content lines are folded at 75 octets
+const MAX_LINE_OCTETS = 75;
+
+/**
+ * Serialise local events to iCalendar text.
+ *
+ * @param {Object} options
+ * @param {Array<{event: Object, date: string}>} [options.events] - Date-specific
+ *   events with the date (YYYY-MM-DD) they are stored under
+ * @param {Array<Object>} [options.recurringEvents] - Recurring events
+ * @param {number} [options.reminderMinutes=5] - Minutes before the start for VALARM triggers
+ *   of events without reminder offsets of their own
+ * @param {string|null} [options.timeZone] - IANA zone for timed events (null = floating times)
+ * @param {Date} [options.now] - The DTSTAMP of every event
+ * @returns {string} The calendar, with CRLF line endings
+ */
+export function buildICS({ events = [], recurringEvents = [], reminderMinutes = 5, timeZone = getLocalTimeZone(), now = new Date() } = {}) {
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH'
+    ];
+    if (timeZone) {
+        lines.push(`X-WR-TIMEZONE:${timeZone}`);
+    }
+
+    const context = { reminderMinutes, timeZone, dtStamp: formatUtcDateTime(now) };
+    for (const { event, date } of events) {
+        lines.push(...buildVEvent(event, date, null, context));
+    }
+    for (const event of recurringEvents) {
+        const recurrence = normalizeRecurrence(event.recurrence);
+        if (!recurrence) continue;
+        lines.push(...buildVEvent(event, recurrence.startDate, recurrence, context));
+    }
+
+    lines.push('END:VCALENDAR');
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * Escape a TEXT value (backslash, semicolon, comma and newlines).
+ *
+ * @param {string} text - The raw text
+ * @returns {string} The escaped value
+ */
+export function escapeICSText(text) {
+    return String(text ?? '')
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * The IANA timezone of the runtime, or null if it cannot be determined.
+ * @returns {string|null}
+ */
+export function getLocalTimeZone() {
+    try {
+        return Intl.DateTimeFormat().resolvedOptions().timeZone || null;
+    } catch {
+        return null;
+    }
+}
+
+// ------------------------------------------------------------------ internals
+
+/**
+ * Build the lines of one VEVENT.
+ * @private
+ */
+function buildVEvent(event, dateStr, recurrence, context) {
+    const spanDays = Number.isInteger(event.spanDays) && event.spanDays > 0 ? event.spanDays : 0;
+    const startDate = parseDateString(dateStr);
+    const endDate = addDays(startDate, event.allDay ? spanDays + 1 : spanDays);
+
+    const lines = [
+        'BEGIN:VEVENT',
+        `UID:${event.uid || `${event.id}@${UID_DOMAIN}`}`,
+        `DTSTAMP:${context.dtStamp}`
+    ];
+
+    if (event.allDay) {
+        lines.push(`DTSTART;VALUE=DATE:${formatDate(startDate)}`);
+        lines.push(`DTEND;VALUE=DATE:${formatDate(endDate)}`);
+    } else {
+        const endTime = event.endTime || event.startTime;
+        lines.push(`DTSTART${tzParam(context)}:${formatLocalDateTime(startDate, event.startTime)}`);
+        lines.push(`DTEND${tzParam(context)}:${formatLocalDateTime(endDate, endTime)}`);
+    }
+
+    lines.push(`SUMMARY:${escapeICSText(event.title)}`);
+    if (event.description) {
+        lines.push(`DESCRIPTION:${escapeICSText(event.description)}`);
+    }
+
+    if (recurrence) {
+        lines.push(`RRULE:${event.allDay ? recurrence.rrule : untilAsUtc(recurrence.rrule)}`);
+        const exceptions = [...(recurrence.exceptions || [])].sort();
+        if (exceptions.length > 0) {
+            lines.push(event.allDay
+                ? `EXDATE;VALUE=DATE:${exceptions.map(d => formatDate(parseDateString(d))).join(',')}`
+                : `EXDATE${tzParam(context)}:${exceptions.map(d => formatLocalDateTime(parseDateString(d), event.startTime)).join(',')}`);
+        }
+    }
+
+    if (event.reminder && !event.allDay && event.startTime) {
+        for (const minutes of getLocalEventReminderOffsets(event, context.reminderMinutes)) {
+            lines.push(
+                'BEGIN:VALARM',
+                'ACTION:DISPLAY',
+                `DESCRIPTION:${escapeICSText(event.title)}`,
+                `TRIGGER:-PT${minutes}M`,
+                'END:VALARM'
+            );
+        }
+    }
+
+    lines.push('END:VEVENT');
+    return lines;
+}
+
+/**
+ * The `;TZID=` parameter for timed values, or nothing for floating times.
+ * @private
+ */
+function tzParam(context) {
+    return context.timeZone ? `;TZID=${context.timeZone}` : '';
+}
+
+/**
+ * Rewrite a date-only UNTIL as the end of that local day in UTC.
+ * RFC 5545 requires UNTIL to be a UTC date-time when DTSTART has a time.
+ * @private
+ */
+function untilAsUtc(rrule) {
+    return rrule.replace(/UNTIL=(\d{4})(\d{2})(\d{2})(?=;|$)/i, (_, year, month, day) =>
+        `UNTIL=${formatUtcDateTime(new Date(Number(year), Number(month) - 1, Number(day), 23, 59, 59))}`
+    );
+}
+
+/**
+ * Format a Date as an iCalendar DATE (YYYYMMDD).
+ * @private
+ */
+function formatDate(date) {
+    return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}`;
+}
+
+/**
+ * Format a local date and an HH:mm time as a DATE-TIME without a zone suffix.
+ * @private
+ */
+function formatLocalDateTime(date, time) {
+    const [hours, minutes] = (time || '00:00').split(':');
+    return `${formatDate(date)}T${pad(Number(hours))}${pad(Number(minutes))}00`;
+}
+
+/**
+ * Format an instant as a UTC DATE-TIME (YYYYMMDDTHHMMSSZ).
+ * @private
+ */
+function formatUtcDateTime(date) {
+    return `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}` +
+        `T${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`;
+}
+
+/**
+ * Fold a content line into 75-octet chunks without splitting a UTF-8 sequence.
+ * @private
+ */
+function foldLine(line) {
+    const encoder = new TextEncoder();
+    if (encoder.encode(line).length <= MAX_LINE_OCTETS) return line;
+
+    const chunks = [];
+    let current = '';
+    let currentOctets = 0;
+    // Continuation lines start with a space, which counts towards their limit
+    let limit = MAX_LINE_OCTETS;
+    for (const char of line) {
+        const octets = encoder.encode(char).length;
+        if (currentOctets + octets > limit) {
+            chunks.push(current);
+            current = '';
+            currentOctets = 0;
+            limit = MAX_LINE_OCTETS - 1;
+        }
+        current += char;
+        currentOctets += octets;
+    }
+    chunks.push(current);
+    return chunks.join('\r\n ');
+}
+
+/**
+ * Zero-pad a number to two digits.
+ * @private
+ */
+function pad(n) {
+    return String(n).padStart(2, '0');
+}
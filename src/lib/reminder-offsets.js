@@ -0,0 +1,114 @@
+/**
+ * SideTimeTable - Reminder Offsets
+ *
+ * An event can be reminded several times (e.g. one day, one hour and five
+ * minutes before it starts). Offsets are minutes before the start:
+ * - Local events keep them in `reminderOffsets`; an empty or missing list
+ *   means the `reminderMinutes` setting.
+ * - Google events use their own `reminders`: `useDefault` (or no `reminders`
+ *   at all) means the `reminderMinutes` setting, otherwise the popup
+ *   overrides. E-mail overrides are sent by Google and never shown here.
+ */
+
+const MINUTES_PER_HOUR = 60;
+const MINUTES_PER_DAY = 24 * MINUTES_PER_HOUR;
+
+// The longest offset (one week, the longest preset) and how many an event can
+// have (Google Calendar allows five overrides)
+export const MAX_REMINDER_OFFSET_MINUTES = 7 * MINUTES_PER_DAY;
+export const MAX_REMINDER_OFFSETS = 5;
+
+// Offsets offered by the event form
+export const REMINDER_OFFSET_PRESETS = [0, 5, 10, 15, 30, 60, 120, MINUTES_PER_DAY, 2 * MINUTES_PER_DAY, MAX_REMINDER_OFFSET_MINUTES];
+
+/**
+ * Keep the valid offsets: whole minutes within 0..MAX_REMINDER_OFFSET_MINUTES,
+ * each once, nearest-to-start first, at most MAX_REMINDER_OFFSETS
+ * @param {*} offsets
+ * @returns {number[]}
+ */
+export function normalizeReminderOffsets(offsets) {
+    if (!Array.isArray(offsets)) {
+        return [];
+    }
+    const valid = offsets.filter(minutes =>
+        Number.isInteger(minutes) && minutes >= 0 && minutes <= MAX_REMINDER_OFFSET_MINUTES);
+    return [...new Set(valid)].sort((a, b) => a - b).slice(0, MAX_REMINDER_OFFSETS);
+}
+
+/**
+ * The offsets a local event is reminded at
+ * @param {Object} event - The local event
+ * @param {number} defaultMinutes - The `reminderMinutes` setting
+ * @returns {number[]} Empty when the event has no reminder
+ */
+export function getLocalEventReminderOffsets(event, defaultMinutes) {
+    if (!event.reminder) {
+        return [];
+    }
+    const offsets = normalizeReminderOffsets(event.reminderOffsets);
+    return offsets.length > 0 ? offsets : [defaultMinutes];
+}
+
+/**
+ * The offsets a Google event is reminded at
+ * @param {Object} event - The Google event
+ * @param {number} defaultMinutes - The `reminderMinutes` setting
+ * @returns {number[]} Empty when the event's notifications are turned off
+ */
+export function getGoogleEventReminderOffsets(event, defaultMinutes) {
+    const reminders = event.reminders;
+    if (!reminders || reminders.useDefault !== false) {
+        return [defaultMinutes];
+    }
+    return normalizeReminderOffsets((reminders.overrides || [])
+        .filter(override => override.method === 'popup')
+        .map(override => override.minutes));
+}
+
+/**
+ * A duration such as "1 day", "2 hours" or "1 hour 30 min"
+ * @param {number} minutes - Whole minutes (> 0)
+ * @param {Function} getMessage - (key, substitutions) → message; a `$1` left in
+ *   the message is replaced, so both chrome.i18n.getMessage and
+ *   window.getLocalizedMessage work
+ * @returns {string}
+ */
+export function formatDuration(minutes, getMessage) {
+    const message = (key, count, fallback) => {
+        const text = getMessage(key, [String(count)]);
+        return text && text !== key ? text.replace('$1', count) : fallback;
+    };
+
+    const days = Math.floor(minutes / MINUTES_PER_DAY);
+    const hours = Math.floor((minutes % MINUTES_PER_DAY) / MINUTES_PER_HOUR);
+    const rest = minutes % MINUTES_PER_HOUR;
+
+    const parts = [];
+    if (days > 0) {
+        parts.push(days === 1 ? message('durationDay', 1, '1 day') : message('durationDays', days, `${days} days`));
+    }
+    if (hours > 0) {
+        parts.push(hours === 1 ? message('durationHour', 1, '1 hour') : message('durationHours', hours, `${hours} hours`));
+    }
+    if (rest > 0 || parts.length === 0) {
+        parts.push(message('durationMinutes', rest, `${rest} min`));
+    }
+    return parts.join(' ');
+}
+
+/**
+ * The label of an offset, e.g. "1 day before" or "At start time"
+ * @param {number} minutes
+ * @param {Function} getMessage - See formatDuration()
+ * @returns {string}
+ */
+export function formatReminderOffset(minutes, getMessage) {
+    if (minutes === 0) {
+        const text = getMessage('reminderAtStart');
+        return text && text !== 'reminderAtStart' ? text : 'At start time';
+    }
+    const duration = formatDuration(minutes, getMessage);
+    const text = getMessage('reminderOffsetBefore', [duration]);
+    return text && text !== 'reminderOffsetBefore' ? text.replace('$1', duration) : `${duration} before`;
+}
@@ -0,0 +1,118 @@
+/**
+ * SideTimeTable - Reminder Quiet Hours
+ *
+ * Reminders can be held back while the user does not want to be disturbed:
+ * - Quiet hours: a daily window such as 22:00–07:00 (it may cross midnight)
+ * - Focus: while one of the user's own Google `focusTime` or `outOfOffice`
+ *   events is in progress
+ *
+ * Held reminders are dropped, or batched into one summary notification once
+ * the quiet time is over (see AlarmManager).
+ */
+import { createTimeOnDate, parseTimeString } from './time-utils.js';
+
+// Google Calendar eventTypes during which reminders are held
+export const QUIET_EVENT_TYPES = ['focusTime', 'outOfOffice'];
+
+/**
+ * When the quiet-hours window containing `now` ends
+ * @param {Date} now
+ * @param {string} start - "HH:MM"
+ * @param {string} end - "HH:MM"; before start for a window crossing midnight
+ * @returns {Date|null} null outside the window, or for an empty/invalid window
+ */
+export function getQuietHoursEnd(now, start, end) {
+    let startTime, endTime;
+    try {
+        startTime = parseTimeString(start);
+        endTime = parseTimeString(end);
+    } catch {
+        return null;
+    }
+
+    const startMinutes = startTime.hour * 60 + startTime.minute;
+    const endMinutes = endTime.hour * 60 + endTime.minute;
+    const nowMinutes = now.getHours() * 60 + now.getMinutes();
+    if (startMinutes === endMinutes) {
+        return null;
+    }
+
+    const endToday = createTimeOnDate(now, endTime.hour, endTime.minute);
+    if (startMinutes < endMinutes) {
+        return nowMinutes >= startMinutes && nowMinutes < endMinutes ? endToday : null;
+    }
+    // Crossing midnight: the evening part ends tomorrow, the morning part today
+    if (nowMinutes >= startMinutes) {
+        endToday.setDate(endToday.getDate() + 1);
+        return endToday;
+    }
+    return nowMinutes < endMinutes ? endToday : null;
+}
+
+/**
+ * The focus blocks among Google events: the timed focusTime/outOfOffice ones
+ * @param {Object[]} events - Google events of the user's own (primary) calendar
+ * @returns {{start: number, end: number}[]} Timestamps (ms), earliest first
+ */
+export function getFocusBlocks(events) {
+    return (events || [])
+        .filter(event => QUIET_EVENT_TYPES.includes(event.eventType)
+            && event.start?.dateTime && event.end?.dateTime)
+        .map(event => ({
+            start: new Date(event.start.dateTime).getTime(),
+            end: new Date(event.end.dateTime).getTime()
+        }))
+        .filter(block => block.end > block.start)
+        .sort((a, b) => a.start - b.start);
+}
+
+/**
+ * When the focus block in progress at `now` ends, following blocks that
+ * overlap or directly follow it
+ * @param {{start: number, end: number}[]} blocks
+ * @param {number} now - Timestamp (ms)
+ * @returns {number|null} null when no block is in progress
+ */
+export function getFocusBlockEnd(blocks, now) {
+    let end = null;
+    let extended = true;
+    while (extended) {
+        extended = false;
+        const at = end ?? now;
+        for (const block of blocks || []) {
+            if (block.start <= at && block.end > at) {
+                end = block.end;
+                extended = true;
+            }
+        }
+    }
+    return end;
+}
+
+/**
+ * When reminders may be shown again
+ * @param {number} now - Timestamp (ms)
+ * @param {Object} settings - quietHoursEnabled, quietHoursStart, quietHoursEnd,
+ *   suppressRemindersDuringFocus
+ * @param {{start: number, end: number}[]} focusBlocks
+ * @returns {number|null} Timestamp (ms), or null when reminders are not held now
+ */
+export function getReminderSuppressionEnd(now, settings, focusBlocks) {
+    let end = null;
+    let extended = true;
+    // Quiet hours may end inside a focus block and vice versa
+    while (extended) {
+        extended = false;
+        const at = end ?? now;
+        const quietEnd = settings.quietHoursEnabled
+            ? getQuietHoursEnd(new Date(at), settings.quietHoursStart, settings.quietHoursEnd)
+            : null;
+        const focusEnd = settings.suppressRemindersDuringFocus ? getFocusBlockEnd(focusBlocks, at) : null;
+        const next = Math.max(quietEnd?.getTime() ?? 0, focusEnd ?? 0);
+        if (next > at) {
+            end = next;
+            extended = true;
+        }
+    }
+    return end;
+}
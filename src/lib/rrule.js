@@ -0,0 +1,715 @@
+/**
+ * SideTimeTable - RRULE Engine
+ *
+ * Pure functions for parsing, formatting and expanding RFC 5545 recurrence
+ * rules for local recurring events.
+ *
+ * Local events recur at day granularity (the time of day lives on the event
+ * itself), so the engine works with `YYYY-MM-DD` strings throughout and
+ * ignores time-of-day parts such as BYHOUR. Supported rule parts: FREQ
+ * (DAILY/WEEKLY/MONTHLY/YEARLY), INTERVAL, COUNT, UNTIL, BYDAY (with
+ * ordinals such as `2TU` / `-1FR`), BYMONTHDAY, BYMONTH, BYSETPOS and WKST.
+ * EXDATE is passed to the expansion as a list of excluded dates.
+ *
+ * Stored recurrence shape:
+ * ```
+ * { rrule: "FREQ=WEEKLY;BYDAY=MO,TH", startDate: "YYYY-MM-DD", exceptions: ["YYYY-MM-DD"] }
+ * ```
+ * `startDate` is the DTSTART of the series and `exceptions` are its EXDATEs.
+ */
+
+import { RECURRENCE_TYPES } from './constants.js';
+
+/** Weekday codes indexed by `Date#getDay()` (0 = Sunday) */
+export const WEEKDAY_CODES = Object.freeze(['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA']);
+
+const SUPPORTED_FREQS = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+
+// Time-of-day parts are meaningless at day granularity and are dropped
+// rather than rejected, so rules written for timed calendars still expand.
+const IGNORED_PARTS = ['BYHOUR', 'BYMINUTE', 'BYSECOND'];
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Hard stop for pathological rules (e.g. COUNT with a BYMONTHDAY that never
+// occurs) so a bad stored rule can never hang the side panel.
+const MAX_PERIODS = 100000;
+
+const DATE_RE = /^(\d{4})-(\d{2})-(\d{2})$/;
+const BYDAY_RE = /^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/;
+
+/**
+ * Parse an RRULE string into a rule object.
+ * An optional leading `RRULE:` is accepted.
+ *
+ * @param {string} ruleString - e.g. "FREQ=MONTHLY;BYDAY=2TU;COUNT=10"
+ * @returns {{freq: string, interval: number, count: number|null, until: string|null,
+ *   byDay: Array<{weekday: number, ordinal: number|null}>, byMonthDay: number[],
+ *   byMonth: number[], bySetPos: number[], wkst: number}} The parsed rule
+ * @throws {Error} If the rule is malformed or uses an unsupported part
+ */
+export function parseRRule(ruleString) {
+    if (!ruleString || typeof ruleString !== 'string') {
+        throw new Error('Invalid RRULE');
+    }
+
+    const rule = {
+        freq: null,
+        interval: 1,
+        count: null,
+        until: null,
+        byDay: [],
+        byMonthDay: [],
+        byMonth: [],
+        bySetPos: [],
+        wkst: 1
+    };
+
+    const body = ruleString.trim().replace(/^RRULE:/i, '');
+    for (const part of body.split(';')) {
+        if (!part) continue;
+        const [rawName, value] = part.split('=');
+        const name = rawName.trim().toUpperCase();
+        if (value === undefined || value.trim() === '') {
+            throw new Error(`Invalid RRULE part: ${part}`);
+        }
+        const upperValue = value.trim().toUpperCase();
+
+        switch (name) {
+            case 'FREQ':
+                if (!SUPPORTED_FREQS.includes(upperValue)) {
+                    throw new Error(`Unsupported FREQ: ${value}`);
+                }
+                rule.freq = upperValue;
+                break;
+            case 'INTERVAL':
+                rule.interval = parseIntegerInRange(upperValue, 1, Infinity, name);
+                break;
+            case 'COUNT':
+                rule.count = parseIntegerInRange(upperValue, 1, Infinity, name);
+                break;
+            case 'UNTIL':
+                rule.until = parseRRuleDate(upperValue);
+                break;
+            case 'BYDAY':
+                rule.byDay = upperValue.split(',').map(parseByDayEntry);
+                break;
+            case 'BYMONTHDAY':
+                rule.byMonthDay = parseIntegerList(upperValue, 1, 31, name);
+                break;
+            case 'BYMONTH':
+                rule.byMonth = upperValue.split(',').map(v => parseIntegerInRange(v, 1, 12, name));
+                break;
+            case 'BYSETPOS':
+                rule.bySetPos = parseIntegerList(upperValue, 1, 366, name);
+                break;
+            case 'WKST': {
+                const weekday = WEEKDAY_CODES.indexOf(upperValue);
+                if (weekday === -1) {
+                    throw new Error(`Invalid WKST: ${value}`);
+                }
+                rule.wkst = weekday;
+                break;
+            }
+            default:
+                if (IGNORED_PARTS.includes(name) || name.startsWith('X-')) {
+                    break;
+                }
+                throw new Error(`Unsupported RRULE part: ${name}`);
+        }
+    }
+
+    if (!rule.freq) {
+        throw new Error('RRULE must specify FREQ');
+    }
+    if (rule.count !== null && rule.until !== null) {
+        throw new Error('RRULE must not specify both COUNT and UNTIL');
+    }
+
+    return rule;
+}
+
+/**
+ * Format a rule object back into a canonical RRULE string (without the
+ * `RRULE:` prefix). Default values (INTERVAL=1, WKST=MO) are omitted.
+ *
+ * @param {Object} rule - A rule object as returned by parseRRule
+ * @returns {string} The RRULE string
+ */
+export function formatRRule(rule) {
+    const parts = [`FREQ=${rule.freq}`];
+    if (rule.interval && rule.interval !== 1) parts.push(`INTERVAL=${rule.interval}`);
+    if (rule.count) parts.push(`COUNT=${rule.count}`);
+    if (rule.until) parts.push(`UNTIL=${rule.until.replace(/-/g, '')}`);
+    if (rule.byMonth?.length) parts.push(`BYMONTH=${rule.byMonth.join(',')}`);
+    if (rule.byMonthDay?.length) parts.push(`BYMONTHDAY=${rule.byMonthDay.join(',')}`);
+    if (rule.byDay?.length) {
+        const days = rule.byDay.map(d => `${d.ordinal ?? ''}${WEEKDAY_CODES[d.weekday]}`);
+        parts.push(`BYDAY=${days.join(',')}`);
+    }
+    if (rule.bySetPos?.length) parts.push(`BYSETPOS=${rule.bySetPos.join(',')}`);
+    if (rule.wkst !== undefined && rule.wkst !== 1) parts.push(`WKST=${WEEKDAY_CODES[rule.wkst]}`);
+    return parts.join(';');
+}
+
+/**
+ * Expand a rule into the occurrence dates that fall within a range.
+ *
+ * COUNT is applied to the series as generated from `startDate` (before
+ * EXDATE removal, as RFC 5545 specifies), so an excluded date still uses
+ * up one of the counted occurrences. The start date itself is only an
+ * occurrence when it matches the rule.
+ *
+ * @param {string|Object} rule - RRULE string or parsed rule object
+ * @param {string} startDate - The series start (DTSTART) in YYYY-MM-DD format
+ * @param {string} rangeStart - First date of the range (inclusive, YYYY-MM-DD)
+ * @param {string} rangeEnd - Last date of the range (inclusive, YYYY-MM-DD)
+ * @param {Array<string>} exdates - Dates to exclude (YYYY-MM-DD)
+ * @returns {Array<string>} Sorted occurrence dates in YYYY-MM-DD format
+ * @throws {Error} If the rule or any date is invalid
+ */
+export function expandRRule(rule, startDate, rangeStart, rangeEnd, exdates = []) {
+    const parsed = typeof rule === 'string' ? parseRRule(rule) : rule;
+    const start = toDayNumber(startDate);
+    const from = toDayNumber(rangeStart);
+    const last = Math.min(toDayNumber(rangeEnd), parsed.until ? toDayNumber(parsed.until) : Infinity);
+
+    if (last < start || last < from) {
+        return [];
+    }
+
+    const excluded = new Set(exdates);
+    const results = [];
+    let generated = 0;
+
+    // Without COUNT nothing before the range matters, so jump straight to the
+    // period containing the range start instead of walking from DTSTART.
+    const firstPeriod = parsed.count ? 0 : periodIndexFor(parsed, start, Math.max(from, start));
+
+    for (let period = firstPeriod; period < firstPeriod + MAX_PERIODS; period++) {
+        const { periodStart, days } = periodCandidates(parsed, start, period);
+        if (periodStart > last) break;
+
+        for (const day of days) {
+            if (day < start) continue;
+            if (day > last) break;
+
+            generated++;
+            if (day >= from) {
+                const dateStr = fromDayNumber(day);
+                if (!excluded.has(dateStr)) {
+                    results.push(dateStr);
+                }
+            }
+            if (parsed.count && generated >= parsed.count) {
+                return results;
+            }
+        }
+    }
+
+    return results;
+}
+
+/**
+ * Whether a rule produces an occurrence on the given date.
+ *
+ * @param {string|Object} rule - RRULE string or parsed rule object
+ * @param {string} startDate - The series start (DTSTART) in YYYY-MM-DD format
+ * @param {string} dateStr - The date to test (YYYY-MM-DD)
+ * @param {Array<string>} exdates - Dates to exclude (YYYY-MM-DD)
+ * @returns {boolean} true if the series occurs on the date
+ */
+export function occursOn(rule, startDate, dateStr, exdates = []) {
+    return expandRRule(rule, startDate, dateStr, dateStr, exdates).length > 0;
+}
+
+/**
+ * Build the RRULE for one of the form presets.
+ *
+ * MONTHLY keeps the long-standing behaviour of moving a 29th–31st start to
+ * the last day of shorter months, expressed as
+ * `BYMONTHDAY=28,...,<day>;BYSETPOS=-1` (the latest of those days the month has).
+ *
+ * @param {string} type - A RECURRENCE_TYPES value other than NONE/CUSTOM
+ * @param {Object} options
+ * @param {string} options.startDate - The series start (YYYY-MM-DD)
+ * @param {Array<number>} [options.daysOfWeek] - Weekdays (0 = Sunday) for WEEKLY
+ * @param {string|null} [options.endDate] - Last date of the series (YYYY-MM-DD)
+ * @param {number} [options.interval=1] - Repeat every N periods
+ * @returns {string|null} The RRULE string, or null for an unknown type
+ */
+export function buildPresetRRule(type, { startDate, daysOfWeek = [], endDate = null, interval = 1 } = {}) {
+    const start = toDayNumber(startDate);
+    const startWeekday = weekdayOf(start);
+    const startDay = new Date(start * MS_PER_DAY).getUTCDate();
+    const rule = { freq: null, interval, until: endDate || null, byDay: [], byMonthDay: [], bySetPos: [], wkst: 1 };
+
+    switch (type) {
+        case RECURRENCE_TYPES.DAILY:
+            rule.freq = 'DAILY';
+            break;
+        case RECURRENCE_TYPES.WEEKDAYS:
+            rule.freq = 'WEEKLY';
+            rule.byDay = [1, 2, 3, 4, 5].map(weekday => ({ weekday, ordinal: null }));
+            break;
+        case RECURRENCE_TYPES.WEEKLY: {
+            const days = daysOfWeek.length > 0 ? [...new Set(daysOfWeek)].sort((a, b) => a - b) : [startWeekday];
+            rule.freq = 'WEEKLY';
+            rule.byDay = days.map(weekday => ({ weekday, ordinal: null }));
+            // Multi-week intervals have always been counted in Sunday-start weeks
+            if (interval > 1) rule.wkst = 0;
+            break;
+        }
+        case RECURRENCE_TYPES.MONTHLY:
+            rule.freq = 'MONTHLY';
+            if (startDay > 28) {
+                for (let d = 28; d <= startDay; d++) rule.byMonthDay.push(d);
+                rule.bySetPos = [-1];
+            } else {
+                rule.byMonthDay = [startDay];
+            }
+            break;
+        case RECURRENCE_TYPES.MONTHLY_WEEKDAY: {
+            // "2nd Tuesday"; a 5th weekday becomes "last" so every month has one
+            const ordinal = Math.ceil(startDay / 7);
+            rule.freq = 'MONTHLY';
+            rule.byDay = [{ weekday: startWeekday, ordinal: ordinal >= 5 ? -1 : ordinal }];
+            break;
+        }
+        case RECURRENCE_TYPES.YEARLY:
+            rule.freq = 'YEARLY';
+            break;
+        default:
+            return null;
+    }
+
+    return formatRRule(rule);
+}
+
+/**
+ * Convert a pre-RRULE recurrence object (`{type, interval, daysOfWeek, endDate}`)
+ * into an RRULE string.
+ *
+ * @param {Object} recurrence - The legacy recurrence object
+ * @returns {string|null} The RRULE string, or null if the object does not recur
+ */
+export function legacyRecurrenceToRRule(recurrence) {
+    if (!recurrence || !recurrence.type || recurrence.type === RECURRENCE_TYPES.NONE || !recurrence.startDate) {
+        return null;
+    }
+    const interval = recurrence.interval ?? 1;
+    // Series with a non-positive interval were never displayed; leave them unconverted
+    if (!Number.isInteger(interval) || interval < 1) {
+        return null;
+    }
+    return buildPresetRRule(recurrence.type, {
+        startDate: recurrence.startDate,
+        daysOfWeek: recurrence.daysOfWeek || [],
+        endDate: recurrence.endDate || null,
+        interval
+    });
+}
+
+/**
+ * Normalise a stored recurrence object into the RRULE shape.
+ * Objects already carrying `rrule` are returned as a shallow copy; legacy
+ * `{type, ...}` objects are converted. `exceptions` is carried over as-is.
+ *
+ * @param {Object|null} recurrence - The stored recurrence
+ * @returns {{rrule: string, startDate: string, exceptions?: string[]}|null}
+ *   The normalised recurrence, or null if the event does not recur
+ */
+export function normalizeRecurrence(recurrence) {
+    if (!recurrence || typeof recurrence !== 'object') {
+        return null;
+    }
+    if (recurrence.rrule) {
+        return { ...recurrence };
+    }
+
+    const rrule = legacyRecurrenceToRRule(recurrence);
+    if (!rrule) {
+        return null;
+    }
+    const normalized = { rrule, startDate: recurrence.startDate };
+    if (recurrence.exceptions) {
+        normalized.exceptions = recurrence.exceptions;
+    }
+    return normalized;
+}
+
+/**
+ * Check that a normalised recurrence can be expanded.
+ * @param {{rrule: string, startDate: string}} recurrence
+ * @throws {Error} If the rule or the start date is invalid
+ */
+export function validateRecurrence(recurrence) {
+    parseRRule(recurrence.rrule);
+    toDayNumber(recurrence.startDate);
+}
+
+/**
+ * Whether a recurrence object is still in the pre-RRULE shape.
+ * @param {Object|null} recurrence
+ * @returns {boolean}
+ */
+export function isLegacyRecurrence(recurrence) {
+    return !!recurrence && typeof recurrence === 'object' && !recurrence.rrule && 'type' in recurrence;
+}
+
+/**
+ * Map a recurrence back to the form preset that produces it, so the edit form
+ * can show "Weekly (Mon, Thu)" instead of a raw rule.
+ *
+ * @param {Object|null} recurrence - Stored recurrence (either shape)
+ * @returns {{type: string, daysOfWeek: number[], endDate: string|null}} The
+ *   matching preset; `type` is CUSTOM when no preset reproduces the rule
+ */
+export function detectRecurrencePreset(recurrence) {
+    const normalized = normalizeRecurrence(recurrence);
+    if (!normalized) {
+        return { type: RECURRENCE_TYPES.NONE, daysOfWeek: [], endDate: null };
+    }
+
+    try {
+        validateRecurrence(normalized);
+    } catch {
+        return { type: RECURRENCE_TYPES.CUSTOM, daysOfWeek: [], endDate: null };
+    }
+
+    const rule = parseRRule(normalized.rrule);
+    const endDate = rule.until;
+    const daysOfWeek = rule.byDay.every(d => d.ordinal === null)
+        ? rule.byDay.map(d => d.weekday).sort((a, b) => a - b)
+        : [];
+    // BYDAY order carries no meaning, so compare in the presets' weekday order
+    const canonical = formatRRule({ ...rule, byDay: [...rule.byDay].sort((a, b) => a.weekday - b.weekday) });
+    const presets = [
+        RECURRENCE_TYPES.DAILY,
+        RECURRENCE_TYPES.WEEKDAYS,
+        RECURRENCE_TYPES.WEEKLY,
+        RECURRENCE_TYPES.MONTHLY,
+        RECURRENCE_TYPES.MONTHLY_WEEKDAY,
+        RECURRENCE_TYPES.YEARLY
+    ];
+
+    for (const type of presets) {
+        const candidate = buildPresetRRule(type, { startDate: normalized.startDate, daysOfWeek, endDate });
+        if (candidate === canonical) {
+            return { type, daysOfWeek: type === RECURRENCE_TYPES.WEEKLY ? daysOfWeek : [], endDate };
+        }
+    }
+
+    return { type: RECURRENCE_TYPES.CUSTOM, daysOfWeek: [], endDate };
+}
+
+// ------------------------------------------------------------------ internals
+
+/**
+ * Parse an integer and check it lies within [min, max].
+ * @private
+ */
+function parseIntegerInRange(value, min, max, name) {
+    if (!/^[+-]?\d+$/.test(value)) {
+        throw new Error(`Invalid ${name}: ${value}`);
+    }
+    const n = parseInt(value, 10);
+    if (n < min || n > max) {
+        throw new Error(`Invalid ${name}: ${value}`);
+    }
+    return n;
+}
+
+/**
+ * Parse a comma-separated list of non-zero integers within ±[min, max].
+ * @private
+ */
+function parseIntegerList(value, min, max, name) {
+    return value.split(',').map(v => {
+        const n = parseIntegerInRange(v, -max, max, name);
+        if (Math.abs(n) < min) {
+            throw new Error(`Invalid ${name}: ${value}`);
+        }
+        return n;
+    });
+}
+
+/**
+ * Parse one BYDAY entry such as "TU", "2TU" or "-1FR".
+ * @private
+ */
+function parseByDayEntry(entry) {
+    const match = BYDAY_RE.exec(entry.trim());
+    if (!match) {
+        throw new Error(`Invalid BYDAY: ${entry}`);
+    }
+    const ordinal = match[1] ? parseInt(match[1], 10) : null;
+    if (ordinal !== null && (ordinal === 0 || Math.abs(ordinal) > 53)) {
+        throw new Error(`Invalid BYDAY: ${entry}`);
+    }
+    return { weekday: WEEKDAY_CODES.indexOf(match[2]), ordinal };
+}
+
+/**
+ * Parse an RRULE date value (`YYYYMMDD` or `YYYYMMDDTHHMMSS[Z]`) to YYYY-MM-DD.
+ * The time part is dropped: UNTIL is compared at day granularity.
+ * @private
+ */
+function parseRRuleDate(value) {
+    const match = /^(\d{4})(\d{2})(\d{2})(T\d{6}Z?)?$/.exec(value);
+    if (!match) {
+        throw new Error(`Invalid UNTIL: ${value}`);
+    }
+    const dateStr = `${match[1]}-${match[2]}-${match[3]}`;
+    toDayNumber(dateStr);
+    return dateStr;
+}
+
+/**
+ * Convert YYYY-MM-DD to a day number (days since the Unix epoch).
+ * Day numbers are computed in UTC so DST transitions never shift a date.
+ * @private
+ */
+function toDayNumber(dateStr) {
+    const match = DATE_RE.exec(dateStr || '');
+    if (!match) {
+        throw new Error(`Invalid date: ${dateStr}`);
+    }
+    const [year, month, day] = [Number(match[1]), Number(match[2]), Number(match[3])];
+    const ms = Date.UTC(year, month - 1, day);
+    const check = new Date(ms);
+    if (check.getUTCMonth() !== month - 1 || check.getUTCDate() !== day) {
+        throw new Error(`Invalid date: ${dateStr}`);
+    }
+    return ms / MS_PER_DAY;
+}
+
+/**
+ * Convert a day number back to YYYY-MM-DD.
+ * @private
+ */
+function fromDayNumber(dayNumber) {
+    const date = new Date(dayNumber * MS_PER_DAY);
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())}`;
+}
+
+/**
+ * Day of week (0 = Sunday) of a day number.
+ * @private
+ */
+function weekdayOf(dayNumber) {
+    // 1970-01-01 was a Thursday
+    return ((dayNumber % 7) + 7 + 4) % 7;
+}
+
+/**
+ * Day number of the first day of a (possibly overflowing) month.
+ * @private
+ */
+function monthStart(year, monthIndex) {
+    return Date.UTC(year, monthIndex, 1) / MS_PER_DAY;
+}
+
+/**
+ * Number of days in a month.
+ * @private
+ */
+function daysInMonth(year, monthIndex) {
+    return new Date(Date.UTC(year, monthIndex + 1, 0)).getUTCDate();
+}
+
+/**
+ * The period index whose period contains `day`, so expansion can skip ahead.
+ * @private
+ */
+function periodIndexFor(rule, start, day) {
+    const startDate = new Date(start * MS_PER_DAY);
+    const dayDate = new Date(day * MS_PER_DAY);
+    let elapsed;
+
+    switch (rule.freq) {
+        case 'DAILY':
+            elapsed = day - start;
+            break;
+        case 'WEEKLY':
+            elapsed = (weekStart(day, rule.wkst) - weekStart(start, rule.wkst)) / 7;
+            break;
+        case 'MONTHLY':
+            elapsed = (dayDate.getUTCFullYear() - startDate.getUTCFullYear()) * 12 +
+                (dayDate.getUTCMonth() - startDate.getUTCMonth());
+            break;
+        default:
+            elapsed = dayDate.getUTCFullYear() - startDate.getUTCFullYear();
+    }
+
+    return Math.max(0, Math.floor(elapsed / rule.interval));
+}
+
+/**
+ * First day of the week containing `day`, for the given week start.
+ * @private
+ */
+function weekStart(day, wkst) {
+    return day - ((weekdayOf(day) - wkst + 7) % 7);
+}
+
+/**
+ * Candidate occurrence days for one period of the rule, sorted, with
+ * BYSETPOS applied.
+ * @private
+ */
+function periodCandidates(rule, start, period) {
+    const startDate = new Date(start * MS_PER_DAY);
+    const startYear = startDate.getUTCFullYear();
+    const startMonth = startDate.getUTCMonth();
+    const startDay = startDate.getUTCDate();
+    const step = period * rule.interval;
+
+    let periodStart;
+    let days = [];
+
+    switch (rule.freq) {
+        case 'DAILY': {
+            periodStart = start + step;
+            if (matchesDayFilters(rule, periodStart)) {
+                days = [periodStart];
+            }
+            break;
+        }
+        case 'WEEKLY': {
+            periodStart = weekStart(start, rule.wkst) + step * 7;
+            const weekdays = rule.byDay.length > 0 ? rule.byDay.map(d => d.weekday) : [weekdayOf(start)];
+            for (let i = 0; i < 7; i++) {
+                const day = periodStart + i;
+                if (weekdays.includes(weekdayOf(day)) && matchesMonth(rule, day)) {
+                    days.push(day);
+                }
+            }
+            break;
+        }
+        case 'MONTHLY': {
+            const year = startYear + Math.floor((startMonth + step) / 12);
+            const monthIndex = (startMonth + step) % 12;
+            periodStart = monthStart(year, monthIndex);
+            if (rule.byMonth.length === 0 || rule.byMonth.includes(monthIndex + 1)) {
+                days = monthCandidates(rule, year, monthIndex, startDay);
+            }
+            break;
+        }
+        default: {
+            const year = startYear + step;
+            periodStart = monthStart(year, 0);
+            if (rule.byMonth.length > 0) {
+                for (const month of [...rule.byMonth].sort((a, b) => a - b)) {
+                    days.push(...monthCandidates(rule, year, month - 1, startDay));
+                }
+            } else if (rule.byMonthDay.length > 0) {
+                for (let monthIndex = 0; monthIndex < 12; monthIndex++) {
+                    days.push(...monthCandidates(rule, year, monthIndex, startDay));
+                }
+            } else if (rule.byDay.length > 0) {
+                days = weekdayCandidates(rule.byDay, periodStart, monthStart(year + 1, 0) - 1);
+            } else if (startDay <= daysInMonth(year, startMonth)) {
+                // Feb 29 only occurs in leap years
+                days = [monthStart(year, startMonth) + startDay - 1];
+            }
+        }
+    }
+
+    return { periodStart, days: applySetPos(rule.bySetPos, days) };
+}
+
+/**
+ * Candidate days within one month from BYMONTHDAY and/or BYDAY, falling
+ * back to the DTSTART day-of-month (skipped when the month is too short).
+ * @private
+ */
+function monthCandidates(rule, year, monthIndex, startDay) {
+    const first = monthStart(year, monthIndex);
+    const length = daysInMonth(year, monthIndex);
+    const lastDay = first + length - 1;
+
+    let days = null;
+    if (rule.byMonthDay.length > 0) {
+        days = rule.byMonthDay
+            .map(d => (d > 0 ? d : length + d + 1))
+            .filter(d => d >= 1 && d <= length)
+            .map(d => first + d - 1);
+    }
+    if (rule.byDay.length > 0) {
+        const byDayDays = weekdayCandidates(rule.byDay, first, lastDay);
+        days = days === null ? byDayDays : days.filter(d => byDayDays.includes(d));
+    }
+    if (days === null) {
+        days = startDay <= length ? [first + startDay - 1] : [];
+    }
+    return [...new Set(days)].sort((a, b) => a - b);
+}
+
+/**
+ * Days in [first, last] matching BYDAY entries; an ordinal selects the nth
+ * (or nth-from-last) such weekday within the span.
+ * @private
+ */
+function weekdayCandidates(byDay, first, last) {
+    const days = [];
+    for (const { weekday, ordinal } of byDay) {
+        const matching = [];
+        for (let day = first + ((weekday - weekdayOf(first) + 7) % 7); day <= last; day += 7) {
+            matching.push(day);
+        }
+        if (ordinal === null) {
+            days.push(...matching);
+        } else {
+            const picked = ordinal > 0 ? matching[ordinal - 1] : matching[matching.length + ordinal];
+            if (picked !== undefined) days.push(picked);
+        }
+    }
+    return [...new Set(days)].sort((a, b) => a - b);
+}
+
+/**
+ * BYMONTH / BYMONTHDAY / BYDAY limits for a single DAILY candidate.
+ * @private
+ */
+function matchesDayFilters(rule, day) {
+    if (!matchesMonth(rule, day)) return false;
+
+    if (rule.byMonthDay.length > 0) {
+        const date = new Date(day * MS_PER_DAY);
+        const length = daysInMonth(date.getUTCFullYear(), date.getUTCMonth());
+        const dayOfMonth = date.getUTCDate();
+        const hit = rule.byMonthDay.some(d => (d > 0 ? d : length + d + 1) === dayOfMonth);
+        if (!hit) return false;
+    }
+
+    if (rule.byDay.length > 0 && !rule.byDay.some(d => d.weekday === weekdayOf(day))) {
+        return false;
+    }
+
+    return true;
+}
+
+/**
+ * BYMONTH limit.
+ * @private
+ */
+function matchesMonth(rule, day) {
+    if (rule.byMonth.length === 0) return true;
+    return rule.byMonth.includes(new Date(day * MS_PER_DAY).getUTCMonth() + 1);
+}
+
+/**
+ * Apply BYSETPOS to a sorted candidate list.
+ * @private
+ */
+function applySetPos(bySetPos, days) {
+    if (bySetPos.length === 0 || days.length === 0) {
+        return days;
+    }
+    const picked = bySetPos
+        .map(pos => (pos > 0 ? days[pos - 1] : days[days.length + pos]))
+        .filter(day => day !== undefined);
+    return [...new Set(picked)].sort((a, b) => a - b);
+}
@@ -57,6 +57,25 @@ export async function loadSelectedCalendars() {
     return Array.isArray(raw) ? raw.filter(id => typeof id === 'string') : [];
 }
 
+/**
+ * Save the calendars whose events get no reminders
+ * @param {Array<string>} calendarIds - The calendar IDs
+ * @returns {Promise} A promise for the save process
+ */
+export function saveReminderMutedCalendars(calendarIds) {
+    return StorageHelper.set({ reminderMutedCalendars: calendarIds });
+}
+
+/**
+ * Load the calendars whose events get no reminders
+ * @returns {Promise<Array<string>>} A promise that returns an array of calendar IDs
+ */
+export async function loadReminderMutedCalendars() {
+    const result = await StorageHelper.get(['reminderMutedCalendars'], { reminderMutedCalendars: [] });
+    const raw = result.reminderMutedCalendars;
+    return Array.isArray(raw) ? raw.filter(id => typeof id === 'string') : [];
+}
+
 /**
  * Save the calendar groups
  * @param {Array<Object>} calendarGroups - An array of group objects
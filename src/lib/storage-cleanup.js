@@ -13,7 +13,7 @@ import { VALID_SYNC_KEYS, VALID_LOCAL_KEYS, VALID_LOCAL_KEY_PATTERNS } from './c
  * @param {string} key
  * @returns {boolean}
  */
-function isValidLocalKey(key) {
+export function isValidLocalKey(key) {
     if (VALID_LOCAL_KEYS.has(key)) return true;
     return VALID_LOCAL_KEY_PATTERNS.some(pattern => pattern.test(key));
 }
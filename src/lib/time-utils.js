@@ -110,6 +110,59 @@ export function isSameDay(date1, date2) {
     return d1.getTime() === d2.getTime();
 }
 
+/**
+ * Parse a "YYYY-MM-DD" string as midnight in the local timezone
+ *
+ * @param {string} dateStr - The date string
+ * @returns {Date} The local midnight of that date
+ */
+export function parseDateString(dateStr) {
+    const [year, month, day] = dateStr.split('-').map(Number);
+    return new Date(year, month - 1, day);
+}
+
+/**
+ * Create a new Date shifted by a number of calendar days (the time of day is kept)
+ *
+ * @param {Date} date - The base date
+ * @param {number} days - The number of days to add (negative to go back)
+ * @returns {Date} A new Date object
+ */
+export function addDays(date, days) {
+    const newDate = new Date(date);
+    newDate.setDate(newDate.getDate() + days);
+    return newDate;
+}
+
+/**
+ * Count the calendar days from one date to another, ignoring the time of day.
+ * Rounding absorbs the 23/25-hour days around DST transitions.
+ *
+ * @param {Date} startDate - The earlier date
+ * @param {Date} endDate - The later date
+ * @returns {number} The number of days (negative if endDate is earlier)
+ */
+export function daysBetween(startDate, endDate) {
+    const start = new Date(startDate);
+    const end = new Date(endDate);
+    start.setHours(0, 0, 0, 0);
+    end.setHours(0, 0, 0, 0);
+    return Math.round((end.getTime() - start.getTime()) / (24 * 60 * 60 * 1000));
+}
+
+/**
+ * The 42 days (six weeks, Sunday first) shown by a month grid
+ *
+ * @param {number} year - The full year
+ * @param {number} month - The month (0-11)
+ * @returns {Array<Date>} Local midnights from the Sunday on or before the 1st
+ */
+export function getMonthGridDates(year, month) {
+    const firstOfMonth = new Date(year, month, 1);
+    const gridStart = addDays(firstOfMonth, -firstOfMonth.getDay());
+    return Array.from({ length: 42 }, (_, index) => addDays(gridStart, index));
+}
+
 /**
  * Calculate the time difference between the two times in milliseconds
  *
@@ -204,6 +204,47 @@ export class CardComponent {
         }
     }
 
+    /**
+     * Fill the $1, $2, … placeholders of a localized message
+     * @param {string} key - The message key
+     * @param {Array<string|number>} values - The placeholder values
+     * @param {string} fallback - The English template used when the key is missing
+     * @returns {string}
+     */
+    _formatMessage(key, values, fallback) {
+        const message = window.getLocalizedMessage(key);
+        const template = message && message !== key ? message : fallback;
+        return values.reduce((text, value, index) => text.replace(`$${index + 1}`, value), template);
+    }
+
+    /**
+     * Escape text for use in the HTML passed to _showAlert
+     * @param {string} text
+     * @returns {string}
+     */
+    _escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = String(text);
+        return div.innerHTML;
+    }
+
+    /**
+     * Save text as a file through a temporary object URL
+     * @param {string} text - The file contents
+     * @param {string} filename - The suggested file name
+     * @param {string} type - The MIME type
+     */
+    _downloadFile(text, filename, type) {
+        const url = URL.createObjectURL(new Blob([text], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+    }
+
     /**
      * Show copy success feedback on a button
      * @param {HTMLElement} button
@@ -12,7 +12,7 @@ export class CalendarListRenderer {
     /**
      * Create a group section (header + body)
      */
-    createGroupSection(group, calendars, searchTerm, selectedCalendarIds, allCalendars, calendarGroups) {
+    createGroupSection(group, calendars, searchTerm, selectedCalendarIds, allCalendars, calendarGroups, reminderMutedIds = []) {
         const section = document.createElement('div');
         section.className = 'calendar-group-section';
 
@@ -33,7 +33,9 @@ export class CalendarListRenderer {
 
         sortedCalendars.forEach(calendar => {
             const isSelected = selectedCalendarIds.includes(calendar.id);
-            const item = this.createCalendarItem(calendar, isSelected, calendarGroups);
+            const item = this.createCalendarItem(
+                calendar, isSelected, calendarGroups, reminderMutedIds.includes(calendar.id)
+            );
             body.appendChild(item);
         });
 
@@ -121,7 +123,7 @@ export class CalendarListRenderer {
     /**
      * Create ungrouped section
      */
-    createUngroupedSection(calendars, _searchTerm, selectedCalendarIds, calendarGroups) {
+    createUngroupedSection(calendars, _searchTerm, selectedCalendarIds, calendarGroups, reminderMutedIds = []) {
         const section = document.createElement('div');
         section.className = 'calendar-group-section';
 
@@ -156,7 +158,9 @@ export class CalendarListRenderer {
 
         calendars.forEach(calendar => {
             const isSelected = selectedCalendarIds.includes(calendar.id);
-            const item = this.createCalendarItem(calendar, isSelected, calendarGroups);
+            const item = this.createCalendarItem(
+                calendar, isSelected, calendarGroups, reminderMutedIds.includes(calendar.id)
+            );
             body.appendChild(item);
         });
 
@@ -166,8 +170,9 @@ export class CalendarListRenderer {
 
     /**
      * Create calendar item
+     * @param {boolean} [remindersMuted] - Whether the calendar's events get no reminders
      */
-    createCalendarItem(calendar, isSelected, calendarGroups) {
+    createCalendarItem(calendar, isSelected, calendarGroups, remindersMuted = false) {
         const item = document.createElement('div');
         item.className = 'list-group-item d-flex align-items-center py-2';
         item.dataset.calendarId = calendar.id;
@@ -205,6 +210,13 @@ export class CalendarListRenderer {
         assignBtn.setAttribute('aria-label', assignBtn.title);
         assignBtn.innerHTML = '<i class="fas fa-folder"></i>';
 
+        // Reminder toggle (only meaningful while the calendar is selected)
+        const notifyBtn = document.createElement('button');
+        notifyBtn.type = 'button';
+        notifyBtn.className = 'calendar-notify-btn';
+        notifyBtn.classList.toggle('d-none', !isSelected);
+        this.updateNotifyButton(notifyBtn, remindersMuted);
+
         // The color indicator
         const colorIndicator = document.createElement('div');
         colorIndicator.className = 'calendar-color-indicator me-2';
@@ -217,11 +229,27 @@ export class CalendarListRenderer {
         if (calendarGroups.length > 0 && !calendar.primary) {
             item.appendChild(assignBtn);
         }
+        item.appendChild(notifyBtn);
         item.appendChild(colorIndicator);
 
         return item;
     }
 
+    /**
+     * Show whether a calendar's events get reminders on its notify button
+     * @param {HTMLButtonElement} button
+     * @param {boolean} remindersMuted
+     */
+    updateNotifyButton(button, remindersMuted) {
+        button.classList.toggle('muted', remindersMuted);
+        button.setAttribute('aria-pressed', remindersMuted ? 'false' : 'true');
+        button.title = remindersMuted
+            ? (window.getLocalizedMessage('calendarRemindersOff') || 'Reminders off for this calendar')
+            : (window.getLocalizedMessage('calendarRemindersOn') || 'Reminders on for this calendar');
+        button.setAttribute('aria-label', button.title);
+        button.innerHTML = `<i class="fas ${remindersMuted ? 'fa-bell-slash' : 'fa-bell'}"></i>`;
+    }
+
     /**
      * Set loading state
      */
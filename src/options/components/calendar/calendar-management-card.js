@@ -6,7 +6,13 @@
  */
 import { CardComponent } from '../base/card-component.js';
 import { logError } from '../../../lib/utils.js';
-import { loadSelectedCalendars, saveSelectedCalendars, loadCalendarGroups } from '../../../lib/settings-storage.js';
+import {
+    loadSelectedCalendars,
+    saveSelectedCalendars,
+    loadCalendarGroups,
+    loadReminderMutedCalendars,
+    saveReminderMutedCalendars
+} from '../../../lib/settings-storage.js';
 import { sendMessage } from '../../../lib/chrome-messaging.js';
 import { CalendarGroupManager } from './calendar-group-manager.js';
 import { CalendarListRenderer } from './calendar-list-renderer.js';
@@ -27,6 +33,7 @@ export class CalendarManagementCard extends CardComponent {
         this.onCalendarSelectionChange = onCalendarSelectionChange;
         this.availableCalendars = {};
         this.selectedCalendarIds = [];
+        this.reminderMutedCalendarIds = [];
         this.calendarGroups = [];
         this.hasAutoFetched = false;
         this.allCalendars = [];
@@ -297,6 +304,14 @@ export class CalendarManagementCard extends CardComponent {
                 return;
             }
 
+            // Reminder toggle
+            const notifyBtn = e.target.closest('.calendar-notify-btn');
+            if (notifyBtn) {
+                e.stopPropagation();
+                this._handleReminderToggle(notifyBtn);
+                return;
+            }
+
             // Group assign button
             const assignBtn = e.target.closest('.calendar-group-assign-btn');
             if (assignBtn) {
@@ -330,11 +345,13 @@ export class CalendarManagementCard extends CardComponent {
      */
     async loadData() {
         try {
-            const [selectedIds, groups] = await Promise.all([
+            const [selectedIds, groups, mutedIds] = await Promise.all([
                 loadSelectedCalendars(),
-                loadCalendarGroups()
+                loadCalendarGroups(),
+                loadReminderMutedCalendars()
             ]);
             this.selectedCalendarIds = this._validateSelectedIds(selectedIds);
+            this.reminderMutedCalendarIds = mutedIds;
             this.calendarGroups = Array.isArray(groups) ? groups : [];
             this.render();
         } catch (error) {
@@ -431,7 +448,8 @@ export class CalendarManagementCard extends CardComponent {
         for (const { group, calendars } of renderData.groupedSections) {
             const groupSection = this._listRenderer.createGroupSection(
                 group, calendars, searchTerm,
-                this.selectedCalendarIds, this.allCalendars, this.calendarGroups
+                this.selectedCalendarIds, this.allCalendars, this.calendarGroups,
+                this.reminderMutedCalendarIds
             );
             this.calendarList.appendChild(groupSection);
         }
@@ -440,7 +458,8 @@ export class CalendarManagementCard extends CardComponent {
         if (renderData.ungroupedCalendars.length > 0) {
             const ungroupedSection = this._listRenderer.createUngroupedSection(
                 renderData.ungroupedCalendars, searchTerm,
-                this.selectedCalendarIds, this.calendarGroups
+                this.selectedCalendarIds, this.calendarGroups,
+                this.reminderMutedCalendarIds
             );
             this.calendarList.appendChild(ungroupedSection);
         }
@@ -542,6 +561,8 @@ export class CalendarManagementCard extends CardComponent {
             }
             // Update group header checkbox states
             this._updateGroupCheckboxStates();
+            event.target.closest('[data-calendar-id]')
+                .querySelector('.calendar-notify-btn')?.classList.toggle('d-none', !isChecked);
         } catch (error) {
             this.selectedCalendarIds = previousIds;
             this.render();
@@ -550,6 +571,31 @@ export class CalendarManagementCard extends CardComponent {
         }
     }
 
+    /**
+     * Turn reminders for a calendar's events on or off
+     * @private
+     */
+    async _handleReminderToggle(button) {
+        const calendarId = button.closest('[data-calendar-id]')?.dataset.calendarId;
+        if (!calendarId) return;
+
+        const previousIds = [...this.reminderMutedCalendarIds];
+        const muted = !previousIds.includes(calendarId);
+        this.reminderMutedCalendarIds = muted
+            ? [...previousIds, calendarId]
+            : previousIds.filter(id => id !== calendarId);
+
+        try {
+            await saveReminderMutedCalendars(this.reminderMutedCalendarIds);
+            this._listRenderer.updateNotifyButton(button, muted);
+            sendMessage({ action: 'reminderCalendarsChanged' });
+        } catch (error) {
+            this.reminderMutedCalendarIds = previousIds;
+            logError('Calendar reminder setting save', error);
+            this._listRenderer.showError(window.getLocalizedMessage('calendarSaveError') || 'Failed to save settings', this.calendarList);
+        }
+    }
+
     /**
      * Update group header checkbox states without full re-render
      * @private
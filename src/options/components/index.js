@@ -24,6 +24,9 @@ export { WhatsNewSettingsCard } from './settings/whats-new-settings-card.js';
 export { ReminderDebugCard } from './settings/reminder-debug-card.js';
 export { DemoModeCard } from './settings/demo-mode-card.js';
 export { StorageCard } from './settings/storage-card.js';
+export { BackupCard } from './settings/backup-card.js';
+export { IcsImportCard } from './settings/ics-import-card.js';
+export { IcsExportCard } from './settings/ics-export-card.js';
 export { ExtensionInfoCard } from './settings/extension-info-card.js';
 
 /**
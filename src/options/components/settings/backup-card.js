@@ -0,0 +1,309 @@
+/**
+ * BackupCard - Download a full backup and restore it with a change preview
+ */
+import { CardComponent } from '../base/card-component.js';
+import {
+    createBackup, validateBackup, readBackedUpData,
+    planRestore, diffRestorePlan, applyRestorePlan, RESTORE_MODES
+} from '../../../lib/backup.js';
+import { getFormattedDateFromDate } from '../../../lib/utils.js';
+
+export class BackupCard extends CardComponent {
+    // Preview rows beyond this are summarised instead of listed
+    static PREVIEW_LIMIT = 200;
+
+    constructor(onRestored) {
+        super({
+            id: 'backup-card',
+            title: window.getLocalizedMessage('backupCardTitle') || 'Backup & Restore',
+            subtitle: window.getLocalizedMessage('backupCardSubtitle') || 'Save all settings, local events and the memo to a file, or restore them from one.',
+            icon: 'fas fa-box-archive',
+            iconColor: 'text-secondary',
+            hidden: true
+        });
+
+        this.onRestored = onRestored;
+        this.fileInput = null;
+        this.restoreContainer = null;
+        this.diffContainer = null;
+        this.applyButton = null;
+        this.pendingBackup = null;
+        this.currentData = null;
+        this.mode = RESTORE_MODES.MERGE;
+    }
+
+    createElement() {
+        const card = super.createElement();
+        this.addContent(this._createActionsSection());
+
+        this.restoreContainer = document.createElement('div');
+        this.restoreContainer.className = 'small';
+        this.addContent(this.restoreContainer);
+        return card;
+    }
+
+    _createActionsSection() {
+        const section = document.createElement('div');
+        section.className = 'd-flex flex-wrap gap-2';
+
+        const backupBtn = document.createElement('button');
+        backupBtn.type = 'button';
+        backupBtn.className = 'btn btn-outline-primary btn-sm';
+        backupBtn.innerHTML = `<i class="fas fa-download me-1"></i>${window.getLocalizedMessage('backupDownload') || 'Download Backup'}`;
+        backupBtn.addEventListener('click', () => this._downloadBackup());
+
+        this.fileInput = document.createElement('input');
+        this.fileInput.type = 'file';
+        this.fileInput.accept = '.json,application/json';
+        this.fileInput.className = 'd-none';
+        this.fileInput.addEventListener('change', () => {
+            const file = this.fileInput.files?.[0];
+            if (file) this._loadBackupFile(file);
+        });
+
+        const restoreBtn = document.createElement('button');
+        restoreBtn.type = 'button';
+        restoreBtn.className = 'btn btn-outline-warning btn-sm';
+        restoreBtn.innerHTML = `<i class="fas fa-upload me-1"></i>${window.getLocalizedMessage('backupRestoreFromFile') || 'Restore from File'}`;
+        restoreBtn.addEventListener('click', () => this.fileInput.click());
+
+        section.appendChild(backupBtn);
+        section.appendChild(this.fileInput);
+        section.appendChild(restoreBtn);
+        return section;
+    }
+
+    // ------------------------------------------------------------------ Backup
+
+    async _downloadBackup() {
+        try {
+            const backup = await createBackup();
+            const filename = `sidetimetable-backup-${getFormattedDateFromDate(new Date())}.json`;
+            this._downloadFile(JSON.stringify(backup, null, 2), filename, 'application/json');
+        } catch (e) {
+            this._showAlert((window.getLocalizedMessage('backupFailed') || 'Backup failed: ') + this._escapeHtml(e.message), 'danger');
+        }
+    }
+
+    // ------------------------------------------------------------------ Restore
+
+    async _loadBackupFile(file) {
+        this._clearRestore();
+        try {
+            let data;
+            try {
+                data = JSON.parse(await file.text());
+            } catch {
+                throw new Error(window.getLocalizedMessage('backupInvalidJson') || 'The file is not valid JSON.');
+            }
+            const { backup, ignoredKeys } = validateBackup(data);
+            this.pendingBackup = backup;
+            this.currentData = await readBackedUpData();
+            this._renderRestorePanel(ignoredKeys);
+        } catch (e) {
+            this._clearRestore();
+            this._showAlert((window.getLocalizedMessage('backupInvalidFile') || 'Cannot restore this file: ') + this._escapeHtml(e.message), 'danger');
+        } finally {
+            // Allow choosing the same file again
+            this.fileInput.value = '';
+        }
+    }
+
+    _renderRestorePanel(ignoredKeys) {
+        const container = this.restoreContainer;
+        container.innerHTML = '';
+
+        const panel = document.createElement('div');
+        panel.className = 'mt-3 p-2 border rounded';
+
+        const info = document.createElement('div');
+        info.className = 'text-muted mb-2';
+        info.textContent = this._formatMessage('backupFileInfo',
+            [this.pendingBackup.createdAt || '?', this.pendingBackup.appVersion || '?'],
+            'Backup from $1 (version $2)');
+        panel.appendChild(info);
+
+        if (ignoredKeys.length > 0) {
+            const ignored = document.createElement('div');
+            ignored.className = 'text-warning mb-2';
+            ignored.textContent = this._formatMessage('backupIgnoredKeys', [ignoredKeys.join(', ')], 'Not restored (unknown to this version): $1');
+            panel.appendChild(ignored);
+        }
+
+        panel.appendChild(this._createModeSelector());
+
+        this.diffContainer = document.createElement('div');
+        panel.appendChild(this.diffContainer);
+
+        const buttons = document.createElement('div');
+        buttons.className = 'd-flex gap-2 mt-2';
+
+        this.applyButton = document.createElement('button');
+        this.applyButton.type = 'button';
+        this.applyButton.className = 'btn btn-danger btn-sm';
+        this.applyButton.innerHTML = `<i class="fas fa-rotate-left me-1"></i>${window.getLocalizedMessage('backupRestoreButton') || 'Restore'}`;
+        this.applyButton.addEventListener('click', () => this._applyRestore());
+
+        const cancelButton = document.createElement('button');
+        cancelButton.type = 'button';
+        cancelButton.className = 'btn btn-outline-secondary btn-sm';
+        cancelButton.textContent = window.getLocalizedMessage('cancel') || 'Cancel';
+        cancelButton.addEventListener('click', () => this._clearRestore());
+
+        buttons.appendChild(this.applyButton);
+        buttons.appendChild(cancelButton);
+        panel.appendChild(buttons);
+
+        container.appendChild(panel);
+        this._renderDiff();
+    }
+
+    _createModeSelector() {
+        const group = document.createElement('div');
+        group.className = 'mb-2';
+
+        const modes = [
+            {
+                value: RESTORE_MODES.MERGE,
+                label: window.getLocalizedMessage('backupModeMerge') || 'Merge',
+                help: window.getLocalizedMessage('backupModeMergeHelp') || 'Keep current data; add events from the backup and take its settings.'
+            },
+            {
+                value: RESTORE_MODES.REPLACE,
+                label: window.getLocalizedMessage('backupModeReplace') || 'Replace',
+                help: window.getLocalizedMessage('backupModeReplaceHelp') || 'Make the stored data exactly match the backup; anything not in it is deleted.'
+            }
+        ];
+
+        modes.forEach(({ value, label, help }) => {
+            const wrapper = document.createElement('div');
+            wrapper.className = 'form-check';
+
+            const input = document.createElement('input');
+            input.type = 'radio';
+            input.className = 'form-check-input';
+            input.name = 'backup-restore-mode';
+            input.id = `backup-restore-mode-${value}`;
+            input.value = value;
+            input.checked = this.mode === value;
+            input.addEventListener('change', () => {
+                this.mode = value;
+                this._renderDiff();
+            });
+
+            const labelEl = document.createElement('label');
+            labelEl.className = 'form-check-label';
+            labelEl.htmlFor = input.id;
+            labelEl.textContent = label;
+
+            const helpEl = document.createElement('small');
+            helpEl.className = 'text-muted d-block';
+            helpEl.textContent = help;
+
+            labelEl.appendChild(helpEl);
+            wrapper.appendChild(input);
+            wrapper.appendChild(labelEl);
+            group.appendChild(wrapper);
+        });
+        return group;
+    }
+
+    _renderDiff() {
+        const plan = planRestore(this.pendingBackup, this.currentData, this.mode);
+        const entries = diffRestorePlan(plan, this.currentData);
+        this.diffContainer.innerHTML = '';
+        this.applyButton.disabled = entries.length === 0;
+
+        const counts = { added: 0, changed: 0, removed: 0 };
+        entries.forEach(entry => { counts[entry.change]++; });
+
+        const summary = document.createElement('div');
+        summary.className = 'p-2 bg-light rounded mb-2';
+        summary.textContent = entries.length === 0
+            ? (window.getLocalizedMessage('backupNoChanges') || 'The stored data already matches this backup.')
+            : this._formatMessage('backupDiffSummary', [counts.added, counts.changed, counts.removed], '$1 added, $2 overwritten, $3 deleted');
+        this.diffContainer.appendChild(summary);
+
+        if (entries.length === 0) return;
+
+        const list = document.createElement('div');
+        list.className = 'border rounded';
+        list.style.maxHeight = '240px';
+        list.style.overflowY = 'auto';
+
+        entries.slice(0, BackupCard.PREVIEW_LIMIT).forEach(entry => list.appendChild(this._createDiffRow(entry)));
+        if (entries.length > BackupCard.PREVIEW_LIMIT) {
+            const more = document.createElement('div');
+            more.className = 'px-2 py-1 text-muted fst-italic';
+            more.textContent = this._formatMessage('backupPreviewMore', [entries.length - BackupCard.PREVIEW_LIMIT], '…and $1 more');
+            list.appendChild(more);
+        }
+        this.diffContainer.appendChild(list);
+    }
+
+    _createDiffRow({ area, key, change }) {
+        const row = document.createElement('div');
+        row.className = 'd-flex align-items-center gap-2 px-2 py-1 border-bottom';
+
+        const badgeInfo = {
+            added: ['success', window.getLocalizedMessage('backupChangeAdded') || 'Added'],
+            changed: ['warning', window.getLocalizedMessage('backupChangeChanged') || 'Overwritten'],
+            removed: ['danger', window.getLocalizedMessage('backupChangeRemoved') || 'Deleted']
+        }[change];
+
+        const badge = document.createElement('span');
+        badge.className = `badge bg-${badgeInfo[0]} flex-shrink-0`;
+        badge.textContent = badgeInfo[1];
+
+        const areaEl = document.createElement('span');
+        areaEl.className = 'text-muted flex-shrink-0';
+        areaEl.textContent = area === 'sync'
+            ? (window.getLocalizedMessage('storageSyncLabel') || 'Sync')
+            : (window.getLocalizedMessage('storageLocalLabel') || 'Local');
+
+        const keyEl = document.createElement('code');
+        keyEl.className = 'text-truncate';
+        keyEl.textContent = key;
+
+        row.appendChild(badge);
+        row.appendChild(areaEl);
+        row.appendChild(keyEl);
+        return row;
+    }
+
+    async _applyRestore() {
+        if (this.mode === RESTORE_MODES.REPLACE &&
+            !window.confirm(window.getLocalizedMessage('backupConfirmReplace') || 'Replace all stored data with this backup? Data not in the backup will be deleted.')) {
+            return;
+        }
+
+        this.applyButton.disabled = true;
+        try {
+            // Re-read in case something changed since the preview was built
+            this.currentData = await readBackedUpData();
+            await applyRestorePlan(planRestore(this.pendingBackup, this.currentData, this.mode));
+            this._clearRestore();
+            this._showAlert(window.getLocalizedMessage('backupRestoreSuccess') || 'Backup restored.', 'success');
+            if (this.onRestored) this.onRestored();
+        } catch (e) {
+            this.applyButton.disabled = false;
+            this._showAlert((window.getLocalizedMessage('backupRestoreFailed') || 'Restore failed: ') + this._escapeHtml(e.message), 'danger');
+        }
+    }
+
+    _clearRestore() {
+        this.pendingBackup = null;
+        this.currentData = null;
+        this.diffContainer = null;
+        this.applyButton = null;
+        this.mode = RESTORE_MODES.MERGE;
+        if (this.restoreContainer) this.restoreContainer.innerHTML = '';
+    }
+
+    destroy() {
+        this._clearRestore();
+        this.fileInput = null;
+        this.restoreContainer = null;
+        super.destroy();
+    }
+}
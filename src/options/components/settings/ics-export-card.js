@@ -0,0 +1,116 @@
+/**
+ * IcsExportCard - Export local events to an iCalendar (.ics) file
+ */
+import { CardComponent } from '../base/card-component.js';
+import { buildICS } from '../../../lib/ics-writer.js';
+import { loadLocalEventsInRange, loadRecurringEventsInRange } from '../../../lib/event-storage.js';
+import { StorageHelper } from '../../../lib/storage-helper.js';
+import { DEFAULT_SETTINGS } from '../../../lib/constants.js';
+import { getFormattedDateFromDate } from '../../../lib/utils.js';
+import { addDays } from '../../../lib/time-utils.js';
+
+export class IcsExportCard extends CardComponent {
+    // The range offered by default: today and the following three months
+    static DEFAULT_RANGE_DAYS = 90;
+
+    constructor() {
+        super({
+            id: 'ics-export-card',
+            title: window.getLocalizedMessage('icsExportCardTitle') || 'Export iCalendar (.ics)',
+            subtitle: window.getLocalizedMessage('icsExportCardSubtitle') || 'Save local events in a date range as an .ics file for other calendar apps.',
+            icon: 'fas fa-file-export',
+            iconColor: 'text-primary',
+            hidden: true
+        });
+
+        this.startInput = null;
+        this.endInput = null;
+        this.exportButton = null;
+    }
+
+    createElement() {
+        const card = super.createElement();
+        this.addContent(this._createRangeSection());
+        return card;
+    }
+
+    _createRangeSection() {
+        const section = document.createElement('div');
+        section.className = 'd-flex flex-wrap align-items-end gap-2';
+
+        const today = new Date();
+        this.startInput = this._createDateInput('ics-export-start', getFormattedDateFromDate(today));
+        this.endInput = this._createDateInput('ics-export-end', getFormattedDateFromDate(addDays(today, IcsExportCard.DEFAULT_RANGE_DAYS)));
+
+        this.exportButton = document.createElement('button');
+        this.exportButton.type = 'button';
+        this.exportButton.className = 'btn btn-primary btn-sm';
+        this.exportButton.innerHTML = `<i class="fas fa-download me-1"></i>${window.getLocalizedMessage('icsExportButton') || 'Export'}`;
+        this.exportButton.addEventListener('click', () => this._export());
+
+        section.appendChild(this._wrapWithLabel(this.startInput, window.getLocalizedMessage('icsExportFrom') || 'From'));
+        section.appendChild(this._wrapWithLabel(this.endInput, window.getLocalizedMessage('icsExportTo') || 'To'));
+        section.appendChild(this.exportButton);
+        return section;
+    }
+
+    _createDateInput(id, value) {
+        const input = document.createElement('input');
+        input.type = 'date';
+        input.id = id;
+        input.className = 'form-control form-control-sm';
+        input.value = value;
+        return input;
+    }
+
+    _wrapWithLabel(input, text) {
+        const wrapper = document.createElement('div');
+        const label = document.createElement('label');
+        label.className = 'form-label small mb-1';
+        label.htmlFor = input.id;
+        label.textContent = text;
+        wrapper.appendChild(label);
+        wrapper.appendChild(input);
+        return wrapper;
+    }
+
+    async _export() {
+        const rangeStart = this.startInput.value;
+        const rangeEnd = this.endInput.value;
+        if (!rangeStart || !rangeEnd || rangeEnd < rangeStart) {
+            this._showAlert(window.getLocalizedMessage('icsExportInvalidRange') || 'Choose an end date on or after the start date.', 'warning');
+            return;
+        }
+
+        this.exportButton.disabled = true;
+        try {
+            const [events, recurringEvents, settings] = await Promise.all([
+                loadLocalEventsInRange(rangeStart, rangeEnd),
+                loadRecurringEventsInRange(rangeStart, rangeEnd),
+                StorageHelper.get(['reminderMinutes'], { reminderMinutes: DEFAULT_SETTINGS.reminderMinutes })
+            ]);
+
+            const count = events.length + recurringEvents.length;
+            if (count === 0) {
+                this._showAlert(window.getLocalizedMessage('icsExportEmpty') || 'There are no local events in this range.', 'info');
+                return;
+            }
+
+            const ics = buildICS({ events, recurringEvents, reminderMinutes: settings.reminderMinutes });
+            this._downloadFile(ics, `sidetimetable-${rangeStart}-${rangeEnd}.ics`, 'text/calendar;charset=utf-8');
+
+            this._showAlert(this._formatMessage('icsExportSuccess', [count], '$1 events exported.'), 'success');
+        } catch (e) {
+            this._showAlert((window.getLocalizedMessage('icsExportFailed') || 'Export failed: ') + this._escapeHtml(e.message), 'danger');
+        } finally {
+            this.exportButton.disabled = false;
+        }
+    }
+
+    destroy() {
+        this.startInput = null;
+        this.endInput = null;
+        this.exportButton = null;
+        super.destroy();
+    }
+}
@@ -0,0 +1,229 @@
+/**
+ * IcsImportCard - Import local events from an iCalendar (.ics) file
+ */
+import { CardComponent } from '../base/card-component.js';
+import { parseICS, ICS_SKIP_REASONS } from '../../../lib/ics-parser.js';
+import { loadEventUids } from '../../../lib/event-storage.js';
+import { LocalEventService } from '../../../services/local-event-service.js';
+
+export class IcsImportCard extends CardComponent {
+    // Preview rows beyond this are summarised instead of listed
+    static PREVIEW_LIMIT = 200;
+
+    constructor(onImported) {
+        super({
+            id: 'ics-import-card',
+            title: window.getLocalizedMessage('icsImportCardTitle') || 'Import iCalendar (.ics)',
+            subtitle: window.getLocalizedMessage('icsImportCardSubtitle') || 'Add the events of an .ics file as local events.',
+            icon: 'fas fa-file-import',
+            iconColor: 'text-success',
+            hidden: true
+        });
+
+        this.onImported = onImported;
+        this.localEventService = new LocalEventService();
+        this.fileInput = null;
+        this.previewContainer = null;
+        this.importButton = null;
+        this.pendingEvents = [];
+    }
+
+    createElement() {
+        const card = super.createElement();
+        this.addContent(this._createFileSection());
+
+        this.previewContainer = document.createElement('div');
+        this.previewContainer.className = 'small';
+        this.addContent(this.previewContainer);
+        return card;
+    }
+
+    _createFileSection() {
+        const section = document.createElement('div');
+        section.className = 'd-flex flex-wrap align-items-center gap-2 mb-3';
+
+        this.fileInput = document.createElement('input');
+        this.fileInput.type = 'file';
+        this.fileInput.accept = '.ics,text/calendar';
+        this.fileInput.className = 'd-none';
+        this.fileInput.addEventListener('change', () => {
+            const file = this.fileInput.files?.[0];
+            if (file) this._loadFile(file);
+        });
+
+        const chooseBtn = document.createElement('button');
+        chooseBtn.type = 'button';
+        chooseBtn.className = 'btn btn-outline-primary btn-sm';
+        chooseBtn.innerHTML = `<i class="fas fa-folder-open me-1"></i>${window.getLocalizedMessage('icsChooseFile') || 'Choose .ics File'}`;
+        chooseBtn.addEventListener('click', () => this.fileInput.click());
+
+        this.importButton = document.createElement('button');
+        this.importButton.type = 'button';
+        this.importButton.className = 'btn btn-success btn-sm';
+        this.importButton.disabled = true;
+        this.importButton.innerHTML = `<i class="fas fa-file-import me-1"></i>${window.getLocalizedMessage('icsImportButton') || 'Import'}`;
+        this.importButton.addEventListener('click', () => this._importPending());
+
+        section.appendChild(this.fileInput);
+        section.appendChild(chooseBtn);
+        section.appendChild(this.importButton);
+        return section;
+    }
+
+    // ------------------------------------------------------------------ Preview
+
+    /**
+     * Parse the chosen file and show what would be imported
+     * @param {File} file
+     */
+    async _loadFile(file) {
+        this._resetPreview();
+        try {
+            const { events, skipped } = parseICS(await file.text());
+            const existingUids = await loadEventUids();
+            const rows = events.map(event => ({ event, duplicate: !!event.uid && existingUids.has(event.uid) }));
+
+            const noTitle = window.getLocalizedMessage('noTitle') || '(No title)';
+            this.pendingEvents = rows.filter(row => !row.duplicate).map(({ event }) => ({ ...event, title: event.title || noTitle }));
+            this._renderPreview(rows, skipped);
+
+            // Every repeating event shares one sync storage item
+            if (!await this.localEventService.canImportRecurring(this.pendingEvents)) {
+                this._showAlert(window.getLocalizedMessage('icsRecurringTooLarge')
+                    || 'This file has too many repeating events to store with the ones you already have. Split the file or remove some repeating events first.', 'danger', 0);
+                return;
+            }
+            this.importButton.disabled = this.pendingEvents.length === 0;
+        } catch (e) {
+            this._showAlert((window.getLocalizedMessage('icsParseFailed') || 'Could not read the file: ') + this._escapeHtml(e.message), 'danger');
+        } finally {
+            // Allow choosing the same file again after fixing it
+            this.fileInput.value = '';
+        }
+    }
+
+    _renderPreview(rows, skipped) {
+        const duplicateCount = rows.filter(row => row.duplicate).length;
+        const summary = document.createElement('div');
+        summary.className = 'text-muted mb-2 p-2 bg-light rounded';
+        summary.textContent = this._formatMessage('icsPreviewSummary',
+            [this.pendingEvents.length, duplicateCount, skipped.length],
+            '$1 new, $2 already imported, $3 skipped');
+        this.previewContainer.appendChild(summary);
+
+        const list = document.createElement('div');
+        list.className = 'border rounded';
+        list.style.maxHeight = '320px';
+        list.style.overflowY = 'auto';
+
+        rows.slice(0, IcsImportCard.PREVIEW_LIMIT).forEach(({ event, duplicate }) => {
+            list.appendChild(this._createPreviewRow(event, duplicate));
+        });
+        skipped.forEach(item => list.appendChild(this._createSkippedRow(item)));
+
+        if (rows.length > IcsImportCard.PREVIEW_LIMIT) {
+            const more = document.createElement('div');
+            more.className = 'px-2 py-1 text-muted fst-italic';
+            more.textContent = this._formatMessage('icsPreviewMore', [rows.length - IcsImportCard.PREVIEW_LIMIT], '…and $1 more');
+            list.appendChild(more);
+        }
+
+        if (list.childElementCount > 0) {
+            this.previewContainer.appendChild(list);
+        }
+    }
+
+    _createPreviewRow(event, duplicate) {
+        const row = document.createElement('div');
+        row.className = 'd-flex align-items-center gap-2 px-2 py-1 border-bottom';
+        if (duplicate) row.classList.add('text-muted');
+
+        const when = document.createElement('code');
+        when.className = 'text-nowrap';
+        when.textContent = event.allDay
+            ? `${event.startDate} ${window.getLocalizedMessage('allDay') || 'All day'}`
+            : `${event.startDate} ${event.startTime}–${event.endTime}`;
+
+        const title = document.createElement('span');
+        title.className = 'text-truncate me-auto';
+        title.textContent = event.title || window.getLocalizedMessage('noTitle') || '(No title)';
+
+        row.appendChild(when);
+        row.appendChild(title);
+
+        if (event.spanDays) {
+            row.appendChild(this._createBadge(this._formatMessage('icsSpanDays', [event.spanDays + 1], '$1 days'), 'secondary'));
+        }
+        if (event.recurrence) {
+            row.appendChild(this._createBadge(window.getLocalizedMessage('icsRecurring') || 'Repeats', 'info'));
+        }
+        if (duplicate) {
+            row.appendChild(this._createBadge(window.getLocalizedMessage('icsDuplicate') || 'Already imported', 'warning'));
+        }
+        return row;
+    }
+
+    _createSkippedRow({ title, reason }) {
+        const row = document.createElement('div');
+        row.className = 'd-flex align-items-center gap-2 px-2 py-1 border-bottom text-muted';
+
+        const titleEl = document.createElement('span');
+        titleEl.className = 'text-truncate text-decoration-line-through me-auto';
+        titleEl.textContent = title || window.getLocalizedMessage('noTitle') || '(No title)';
+
+        row.appendChild(titleEl);
+        row.appendChild(this._createBadge(this._getSkipReasonLabel(reason), 'danger'));
+        return row;
+    }
+
+    _createBadge(text, variant) {
+        const badge = document.createElement('span');
+        badge.className = `badge bg-${variant} flex-shrink-0`;
+        badge.textContent = text;
+        return badge;
+    }
+
+    _getSkipReasonLabel(reason) {
+        switch (reason) {
+            case ICS_SKIP_REASONS.UNSUPPORTED_RECURRENCE:
+                return window.getLocalizedMessage('icsSkipUnsupportedRecurrence') || 'Unsupported repeat rule';
+            case ICS_SKIP_REASONS.SPAN_TOO_LONG:
+                return window.getLocalizedMessage('icsSkipSpanTooLong') || 'Too long';
+            case ICS_SKIP_REASONS.CANCELLED:
+                return window.getLocalizedMessage('icsSkipCancelled') || 'Cancelled';
+            default:
+                return window.getLocalizedMessage('icsSkipInvalid') || 'Invalid date';
+        }
+    }
+
+    // ------------------------------------------------------------------ Import
+
+    async _importPending() {
+        if (this.pendingEvents.length === 0) return;
+        this.importButton.disabled = true;
+
+        try {
+            const count = await this.localEventService.importEvents(this.pendingEvents);
+            this._resetPreview();
+            this._showAlert(this._formatMessage('icsImportSuccess', [count], '$1 events imported.'), 'success');
+            if (this.onImported) this.onImported();
+        } catch (e) {
+            this.importButton.disabled = false;
+            this._showAlert((window.getLocalizedMessage('icsImportFailed') || 'Import failed: ') + this._escapeHtml(e.message), 'danger');
+        }
+    }
+
+    _resetPreview() {
+        this.pendingEvents = [];
+        if (this.previewContainer) this.previewContainer.innerHTML = '';
+        if (this.importButton) this.importButton.disabled = true;
+    }
+
+    destroy() {
+        this.pendingEvents = [];
+        this.fileInput = null;
+        this.previewContainer = null;
+        this.importButton = null;
+        super.destroy();
+    }
+}
@@ -4,6 +4,15 @@
 import { CardComponent } from '../base/card-component.js';
 
 export class ReminderSettingsCard extends CardComponent {
+    // Quiet time settings and their defaults (as in DEFAULT_SETTINGS)
+    static QUIET_TIME_DEFAULTS = {
+        quietHoursEnabled: false,
+        quietHoursStart: '22:00',
+        quietHoursEnd: '07:00',
+        suppressRemindersDuringFocus: false,
+        batchHeldReminders: true
+    };
+
     constructor(onSettingsChange) {
         super({
             title: 'Reminder Settings',
@@ -20,16 +29,27 @@ export class ReminderSettingsCard extends CardComponent {
         this.googleReminderToggle = null;
         this.reminderMinutesSelect = null;
         this.syncIntervalSelect = null;
+        this.quietHoursToggle = null;
+        this.quietHoursStartInput = null;
+        this.quietHoursEndInput = null;
+        this.focusToggle = null;
+        this.batchHeldToggle = null;
+        this.agendaToggle = null;
+        this.agendaTimeInput = null;
 
         // Current settings values
         this.settings = {
             googleEventReminder: false,
             reminderMinutes: 5,
-            reminderSyncInterval: 60
+            reminderSyncInterval: 60,
+            ...ReminderSettingsCard.QUIET_TIME_DEFAULTS,
+            agendaDigestEnabled: false,
+            agendaDigestTime: '08:45'
         };
 
         // Available sync interval options (in minutes)
         this.syncIntervalOptions = [
+            { value: 5, key: '__MSG_syncInterval5Min__', text: 'Every 5 minutes' },
             { value: 15, key: '__MSG_syncInterval15Min__', text: 'Every 15 minutes' },
             { value: 30, key: '__MSG_syncInterval30Min__', text: 'Every 30 minutes' },
             { value: 60, key: '__MSG_syncInterval60Min__', text: 'Every hour' },
@@ -81,9 +101,156 @@ export class ReminderSettingsCard extends CardComponent {
         const syncIntervalSection = this._createSyncIntervalSelect();
         form.appendChild(syncIntervalSection);
 
+        // Quiet hours and focus time
+        form.appendChild(this._createQuietTimeSection());
+
+        // Morning agenda
+        form.appendChild(this._createAgendaSection());
+
         return form;
     }
 
+    /**
+     * Create a form switch
+     * @private
+     */
+    _createSwitch(id, labelKey, labelText) {
+        const formCheck = document.createElement('div');
+        formCheck.className = 'form-check form-switch';
+
+        const input = document.createElement('input');
+        input.type = 'checkbox';
+        input.className = 'form-check-input';
+        input.id = id;
+
+        const label = document.createElement('label');
+        label.className = 'form-check-label';
+        label.htmlFor = id;
+        label.setAttribute('data-localize', `__MSG_${labelKey}__`);
+        label.textContent = window.getLocalizedMessage(labelKey) || labelText;
+
+        formCheck.appendChild(input);
+        formCheck.appendChild(label);
+        return { formCheck, input };
+    }
+
+    /**
+     * Create the quiet hours / focus time section
+     * @private
+     */
+    _createQuietTimeSection() {
+        const container = document.createElement('div');
+        container.className = 'mb-3';
+
+        const heading = document.createElement('div');
+        heading.className = 'form-label fw-semibold';
+        heading.setAttribute('data-localize', '__MSG_quietTimeLabel__');
+        heading.textContent = window.getLocalizedMessage('quietTimeLabel') || 'Do not disturb:';
+
+        // Quiet hours
+        const quietHours = this._createSwitch('quiet-hours-toggle', 'quietHoursLabel', 'Hold reminders during quiet hours');
+        this.quietHoursToggle = quietHours.input;
+        this.quietHoursToggle.checked = this.settings.quietHoursEnabled;
+
+        const inputGroup = document.createElement('div');
+        inputGroup.className = 'input-group mb-2';
+
+        this.quietHoursStartInput = document.createElement('input');
+        this.quietHoursStartInput.type = 'time';
+        this.quietHoursStartInput.className = 'form-control';
+        this.quietHoursStartInput.id = 'quiet-hours-start';
+        this.quietHoursStartInput.value = this.settings.quietHoursStart;
+        this.quietHoursStartInput.setAttribute('data-localize-aria-label', '__MSG_startTime__');
+
+        const separator = document.createElement('span');
+        separator.className = 'input-group-text';
+        separator.setAttribute('data-localize', '__MSG_to__');
+        separator.textContent = window.getLocalizedMessage('to');
+
+        this.quietHoursEndInput = document.createElement('input');
+        this.quietHoursEndInput.type = 'time';
+        this.quietHoursEndInput.className = 'form-control';
+        this.quietHoursEndInput.id = 'quiet-hours-end';
+        this.quietHoursEndInput.value = this.settings.quietHoursEnd;
+        this.quietHoursEndInput.setAttribute('data-localize-aria-label', '__MSG_endTime__');
+
+        inputGroup.appendChild(this.quietHoursStartInput);
+        inputGroup.appendChild(separator);
+        inputGroup.appendChild(this.quietHoursEndInput);
+
+        // Focus time / out of office
+        const focus = this._createSwitch('focus-reminders-toggle', 'suppressDuringFocusLabel', 'Hold reminders during Focus time and Out of office');
+        this.focusToggle = focus.input;
+        this.focusToggle.checked = this.settings.suppressRemindersDuringFocus;
+
+        // Summary of the held reminders
+        const batch = this._createSwitch('batch-held-reminders-toggle', 'batchHeldRemindersLabel', 'Show held reminders in one notification afterwards');
+        this.batchHeldToggle = batch.input;
+        this.batchHeldToggle.checked = this.settings.batchHeldReminders;
+
+        const helpText = document.createElement('small');
+        helpText.className = 'form-text text-muted d-block mt-1';
+        helpText.setAttribute('data-localize', '__MSG_quietTimeHelp__');
+        helpText.textContent = window.getLocalizedMessage('quietTimeHelp') || 'Focus time and Out of office come from your primary Google Calendar. Without the summary, held reminders are dropped.';
+
+        container.appendChild(heading);
+        container.appendChild(quietHours.formCheck);
+        container.appendChild(inputGroup);
+        container.appendChild(focus.formCheck);
+        container.appendChild(batch.formCheck);
+        container.appendChild(helpText);
+
+        this._updateInputStates();
+        return container;
+    }
+
+    /**
+     * Create the morning agenda section
+     * @private
+     */
+    _createAgendaSection() {
+        const container = document.createElement('div');
+        container.className = 'mb-3';
+
+        const agenda = this._createSwitch('agenda-digest-toggle', 'agendaDigestLabel', "Summarize today's meetings in one notification at");
+        this.agendaToggle = agenda.input;
+        this.agendaToggle.checked = this.settings.agendaDigestEnabled;
+
+        this.agendaTimeInput = document.createElement('input');
+        this.agendaTimeInput.type = 'time';
+        this.agendaTimeInput.className = 'form-control mt-1';
+        this.agendaTimeInput.id = 'agenda-digest-time';
+        this.agendaTimeInput.value = this.settings.agendaDigestTime;
+        this.agendaTimeInput.setAttribute('data-localize-aria-label', '__MSG_agendaDigestTimeLabel__');
+        this.agendaTimeInput.setAttribute('aria-label', window.getLocalizedMessage('agendaDigestTimeLabel') || 'Agenda notification time');
+
+        const helpText = document.createElement('small');
+        helpText.className = 'form-text text-muted d-block mt-1';
+        helpText.setAttribute('data-localize', '__MSG_agendaDigestHelp__');
+        helpText.textContent = window.getLocalizedMessage('agendaDigestHelp') || 'The first meeting, time in meetings against free working hours, and overlapping events.';
+
+        container.appendChild(agenda.formCheck);
+        container.appendChild(this.agendaTimeInput);
+        container.appendChild(helpText);
+        return container;
+    }
+
+    /**
+     * Enable the inputs that apply to the current switches
+     * @private
+     */
+    _updateInputStates() {
+        const quietHoursOn = this.quietHoursToggle?.checked ?? false;
+        if (this.quietHoursStartInput) this.quietHoursStartInput.disabled = !quietHoursOn;
+        if (this.quietHoursEndInput) this.quietHoursEndInput.disabled = !quietHoursOn;
+        if (this.batchHeldToggle) {
+            this.batchHeldToggle.disabled = !quietHoursOn && !(this.focusToggle?.checked ?? false);
+        }
+        if (this.agendaTimeInput) {
+            this.agendaTimeInput.disabled = !(this.agendaToggle?.checked ?? false);
+        }
+    }
+
     /**
      * Create sync interval selection
      * @private
@@ -239,6 +406,13 @@ export class ReminderSettingsCard extends CardComponent {
                 this._handleSettingsChange();
             });
         }
+
+        [this.quietHoursToggle, this.quietHoursStartInput, this.quietHoursEndInput, this.focusToggle, this.batchHeldToggle,
+            this.agendaToggle, this.agendaTimeInput]
+            .forEach(element => element?.addEventListener('change', () => {
+                this._updateInputStates();
+                this._handleSettingsChange();
+            }));
     }
 
     /**
@@ -249,6 +423,14 @@ export class ReminderSettingsCard extends CardComponent {
         this.settings.googleEventReminder = this.googleReminderToggle.checked;
         this.settings.reminderMinutes = parseInt(this.reminderMinutesSelect.value, 10);
         this.settings.reminderSyncInterval = parseInt(this.syncIntervalSelect.value, 10);
+        this.settings.quietHoursEnabled = this.quietHoursToggle.checked;
+        // A cleared time input keeps the previous time
+        this.settings.quietHoursStart = this.quietHoursStartInput.value || this.settings.quietHoursStart;
+        this.settings.quietHoursEnd = this.quietHoursEndInput.value || this.settings.quietHoursEnd;
+        this.settings.suppressRemindersDuringFocus = this.focusToggle.checked;
+        this.settings.batchHeldReminders = this.batchHeldToggle.checked;
+        this.settings.agendaDigestEnabled = this.agendaToggle.checked;
+        this.settings.agendaDigestTime = this.agendaTimeInput.value || this.settings.agendaDigestTime;
 
         if (this.onSettingsChange) {
             this.onSettingsChange(this.settings);
@@ -280,6 +462,44 @@ export class ReminderSettingsCard extends CardComponent {
                 this.syncIntervalSelect.value = settings.reminderSyncInterval;
             }
         }
+
+        this._applyQuietTimeSettings(settings);
+        this._applyAgendaSettings(settings);
+    }
+
+    /**
+     * Show the given agenda settings (missing ones are left as they are)
+     * @private
+     */
+    _applyAgendaSettings(settings) {
+        if (settings.agendaDigestEnabled !== undefined) {
+            this.settings.agendaDigestEnabled = settings.agendaDigestEnabled;
+        }
+        if (settings.agendaDigestTime !== undefined) {
+            this.settings.agendaDigestTime = settings.agendaDigestTime;
+        }
+        if (this.agendaToggle) this.agendaToggle.checked = this.settings.agendaDigestEnabled;
+        if (this.agendaTimeInput) this.agendaTimeInput.value = this.settings.agendaDigestTime;
+        this._updateInputStates();
+    }
+
+    /**
+     * Show the given quiet time settings (missing ones are left as they are)
+     * @private
+     */
+    _applyQuietTimeSettings(settings) {
+        for (const key of Object.keys(ReminderSettingsCard.QUIET_TIME_DEFAULTS)) {
+            if (settings[key] !== undefined) {
+                this.settings[key] = settings[key];
+            }
+        }
+
+        if (this.quietHoursToggle) this.quietHoursToggle.checked = this.settings.quietHoursEnabled;
+        if (this.quietHoursStartInput) this.quietHoursStartInput.value = this.settings.quietHoursStart;
+        if (this.quietHoursEndInput) this.quietHoursEndInput.value = this.settings.quietHoursEnd;
+        if (this.focusToggle) this.focusToggle.checked = this.settings.suppressRemindersDuringFocus;
+        if (this.batchHeldToggle) this.batchHeldToggle.checked = this.settings.batchHeldReminders;
+        this._updateInputStates();
     }
 
     /**
@@ -301,6 +521,9 @@ export class ReminderSettingsCard extends CardComponent {
         if (this.syncIntervalSelect) {
             this.syncIntervalSelect.value = '60';
         }
+
+        this._applyQuietTimeSettings(ReminderSettingsCard.QUIET_TIME_DEFAULTS);
+        this._applyAgendaSettings({ agendaDigestEnabled: false, agendaDigestTime: '08:45' });
     }
 
     /**
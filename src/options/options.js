@@ -27,6 +27,9 @@ import {
     ReminderDebugCard,
     DemoModeCard,
     StorageCard,
+    BackupCard,
+    IcsImportCard,
+    IcsExportCard,
     ExtensionInfoCard,
     ControlButtonsComponent
 } from './components/index.js';
@@ -50,6 +53,9 @@ class OptionsPageManager {
         this.reminderDebugCard = null;
         this.demoModeCard = null;
         this.storageCard = null;
+        this.backupCard = null;
+        this.icsImportCard = null;
+        this.icsExportCard = null;
         this.extensionInfoCard = null;
         this.controlButtons = null;
     }
@@ -153,6 +159,24 @@ class OptionsPageManager {
                 this.storageCard.appendTo(tabDeveloper);
                 this.componentManager.components.set('storage', this.storageCard);
 
+                this.backupCard = new BackupCard(this._handleBackupRestored.bind(this));
+                this.backupCard.createElement();
+                this.backupCard.setVisible(true);
+                this.backupCard.appendTo(tabDeveloper);
+                this.componentManager.components.set('backup', this.backupCard);
+
+                this.icsImportCard = new IcsImportCard(this._reloadSidePanel.bind(this));
+                this.icsImportCard.createElement();
+                this.icsImportCard.setVisible(true);
+                this.icsImportCard.appendTo(tabDeveloper);
+                this.componentManager.components.set('icsImport', this.icsImportCard);
+
+                this.icsExportCard = new IcsExportCard();
+                this.icsExportCard.createElement();
+                this.icsExportCard.setVisible(true);
+                this.icsExportCard.appendTo(tabDeveloper);
+                this.componentManager.components.set('icsExport', this.icsExportCard);
+
                 // nav-pills の Developer ボタンを表示
                 const devBtn = document.getElementById('tab-developer-btn');
                 if (devBtn) devBtn.classList.remove('d-none');
@@ -224,7 +248,14 @@ class OptionsPageManager {
             this.reminderSettingsCard.updateSettings({
                 googleEventReminder: settings.googleEventReminder || false,
                 reminderMinutes: settings.reminderMinutes || 5,
-                reminderSyncInterval: settings.reminderSyncInterval || DEFAULT_SETTINGS.reminderSyncInterval
+                reminderSyncInterval: settings.reminderSyncInterval || DEFAULT_SETTINGS.reminderSyncInterval,
+                quietHoursEnabled: settings.quietHoursEnabled,
+                quietHoursStart: settings.quietHoursStart,
+                quietHoursEnd: settings.quietHoursEnd,
+                suppressRemindersDuringFocus: settings.suppressRemindersDuringFocus,
+                batchHeldReminders: settings.batchHeldReminders,
+                agendaDigestEnabled: settings.agendaDigestEnabled,
+                agendaDigestTime: settings.agendaDigestTime
             });
 
             // Load the memo settings
@@ -444,7 +475,14 @@ class OptionsPageManager {
                 ...currentSettings,
                 googleEventReminder: reminderSettings.googleEventReminder,
                 reminderMinutes: reminderSettings.reminderMinutes,
-                reminderSyncInterval: reminderSettings.reminderSyncInterval
+                reminderSyncInterval: reminderSettings.reminderSyncInterval,
+                quietHoursEnabled: reminderSettings.quietHoursEnabled,
+                quietHoursStart: reminderSettings.quietHoursStart,
+                quietHoursEnd: reminderSettings.quietHoursEnd,
+                suppressRemindersDuringFocus: reminderSettings.suppressRemindersDuringFocus,
+                batchHeldReminders: reminderSettings.batchHeldReminders,
+                agendaDigestEnabled: reminderSettings.agendaDigestEnabled,
+                agendaDigestTime: reminderSettings.agendaDigestTime
             };
 
             await saveSettings(updatedSettings);
@@ -586,6 +624,15 @@ class OptionsPageManager {
         }
     }
 
+    /**
+     * Reload the side panel and this page so both pick up restored data
+     * @private
+     */
+    _handleBackupRestored() {
+        this._reloadSidePanel();
+        setTimeout(() => window.location.reload(), 1500);
+    }
+
     /**
      * Show the manual authentication removal notification
      * @private
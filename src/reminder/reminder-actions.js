@@ -0,0 +1,103 @@
+/**
+ * Reminder actions - Small window opened from a reminder notification
+ *
+ * Chrome notifications show two buttons at most, so the snooze choices and
+ * "stop reminding for this series" live here. Every choice is carried out
+ * by the background (AlarmManager), which also closes the notification.
+ */
+import { ThemeService } from '../services/theme-service.js';
+import { sendMessage } from '../lib/chrome-messaging.js';
+
+/**
+ * Label of a snooze choice
+ * @param {number|string} option - Minutes from now, or 'start'
+ * @returns {string}
+ */
+function snoozeLabel(option) {
+    if (option === 'start') {
+        return window.getLocalizedMessage('snoozeUntilStart') || 'At start time';
+    }
+    const template = window.getLocalizedMessage('snoozeForMinutes');
+    return template ? template.replace('$1', option) : `In ${option} min`;
+}
+
+/**
+ * Send a choice to the background and close the window once it is done
+ * @param {Object} message
+ */
+async function runAction(message) {
+    document.querySelectorAll('button').forEach(button => { button.disabled = true; });
+    try {
+        const response = await sendMessage(message);
+        if (response?.success) {
+            window.close();
+            return;
+        }
+    } catch (error) {
+        console.warn('Reminder action failed:', error);
+    }
+    showUnavailable();
+}
+
+function showUnavailable() {
+    document.getElementById('reminder-choices').classList.add('d-none');
+    document.getElementById('reminder-unavailable').classList.remove('d-none');
+}
+
+function render(alarmName, actions) {
+    document.getElementById('reminder-title').textContent = actions.title;
+    document.getElementById('reminder-start-time').textContent = actions.startTime || '';
+
+    const options = document.getElementById('snooze-options');
+    actions.snoozeOptions.forEach(option => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'btn btn-outline-primary btn-sm';
+        button.textContent = snoozeLabel(option);
+        button.addEventListener('click', () => runAction({ action: 'snoozeReminder', alarmName, option }));
+        options.appendChild(button);
+    });
+
+    const stopSeriesButton = document.getElementById('stop-series-button');
+    stopSeriesButton.classList.toggle('d-none', !actions.canStopSeries);
+    stopSeriesButton.addEventListener('click', () => runAction({ action: 'stopSeriesReminders', alarmName }));
+
+    document.getElementById('dismiss-button')
+        .addEventListener('click', () => runAction({ action: 'dismissReminder', alarmName }));
+}
+
+document.addEventListener('DOMContentLoaded', async () => {
+    if (window.localizeHtmlPageWithLang) {
+        try {
+            await window.localizeHtmlPageWithLang();
+        } catch (error) {
+            console.warn('Localization error:', error);
+        }
+    }
+
+    try {
+        await new ThemeService().applyTheme();
+    } catch (error) {
+        console.warn('Failed to apply color theme:', error);
+    }
+
+    const alarmName = new URLSearchParams(location.search).get('alarm');
+    let response = null;
+    if (alarmName) {
+        try {
+            response = await sendMessage({ action: 'getReminderActions', alarmName });
+        } catch (error) {
+            console.warn('Failed to load reminder:', error);
+        }
+    }
+
+    if (response?.success) {
+        render(alarmName, response.actions);
+    } else {
+        showUnavailable();
+    }
+
+    // Show page
+    document.body.style.opacity = '1';
+    document.body.style.transition = 'opacity 0.1s';
+});
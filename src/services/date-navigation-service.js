@@ -4,9 +4,13 @@
  * Single source of truth for the currently-viewed date in the side panel.
  * Eliminates duplicated date logic previously spread across SidePanelUIController
  * and HeaderComponent.
+ *
+ * In the multi-day view the current date is the first of `viewDays`
+ * consecutive day columns.
  */
 import { getFormattedDateFromDate } from '../lib/utils.js';
-import { isToday } from '../lib/time-utils.js';
+import { isToday, addDays } from '../lib/time-utils.js';
+import { VIEW_DAYS_OPTIONS } from '../lib/constants.js';
 
 export class DateNavigationService {
     constructor() {
@@ -16,6 +20,9 @@ export class DateNavigationService {
 
         /** @type {boolean} Whether the user was viewing today before the last change */
         this._wasViewingToday = true;
+
+        /** @type {number} The number of day columns shown (one of VIEW_DAYS_OPTIONS) */
+        this._viewDays = 1;
     }
 
     /**
@@ -44,6 +51,46 @@ export class DateNavigationService {
         return isToday(this._currentDate);
     }
 
+    /**
+     * Set the number of day columns shown. Unsupported values fall back to 1.
+     * @param {number} days
+     */
+    setViewDays(days) {
+        this._viewDays = VIEW_DAYS_OPTIONS.includes(days) ? days : 1;
+    }
+
+    /**
+     * Get the number of day columns shown.
+     * @returns {number}
+     */
+    getViewDays() {
+        return this._viewDays;
+    }
+
+    /**
+     * Whether more than one day is shown.
+     * @returns {boolean}
+     */
+    isMultiDay() {
+        return this._viewDays > 1;
+    }
+
+    /**
+     * Get the displayed days, starting with the current date.
+     * @returns {Array<Date>} `viewDays` midnight-normalised dates
+     */
+    getRangeDates() {
+        return Array.from({ length: this._viewDays }, (_, i) => addDays(this._currentDate, i));
+    }
+
+    /**
+     * Whether today is one of the displayed days.
+     * @returns {boolean}
+     */
+    rangeIncludesToday() {
+        return this.getRangeDates().some(date => isToday(date));
+    }
+
     /**
      * Get the current date as a YYYY-MM-DD string.
      * @returns {string}
@@ -24,6 +24,7 @@ export class EventLoadingService {
      * @param {Object} deps.eventLayoutManager
      * @param {Object} deps.localEventManager
      * @param {Object} deps.googleEventManager
+     * @param {Object} [deps.multiDayView] - The day columns of the multi-day view
      */
     setDeps(deps) {
         this._deps = deps;
@@ -72,6 +73,35 @@ export class EventLoadingService {
         }
     }
 
+    /**
+     * Load events for every day column of the multi-day view.
+     * The columns must already be set up for the displayed range.
+     * @returns {Promise<void>}
+     */
+    async loadEventsForRange() {
+        const requestId = ++this._requestId;
+
+        const { allDayEventsComponent, timelineComponent, multiDayView } = this._deps;
+
+        try {
+            allDayEventsComponent.clear();
+            timelineComponent.clearAllEvents();
+
+            await multiDayView.load();
+
+            // Discard results if a newer request has started
+            if (requestId !== this._requestId) {
+                return;
+            }
+
+            multiDayView.calculateLayout(true);
+            allDayEventsComponent.updateVisibility();
+
+        } catch (error) {
+            console.error('Event loading error:', error);
+        }
+    }
+
     /**
      * Handle calendar toggle with incremental update.
      * @param {Object} changeInfo
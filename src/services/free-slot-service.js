@@ -0,0 +1,92 @@
+/**
+ * FreeSlotService - Free time within working hours for the free-time finder.
+ *
+ * Reads the local events of the days in one storage read and the Google
+ * events with one range request (the same sources as the month overview),
+ * then lists each day's free slots. DOM-free: FreeSlotsModal renders them.
+ */
+
+import { isGoogleEventOnDay } from '../lib/google-event-utils.js';
+import { findFreeSlots } from '../lib/day-summary.js';
+import { loadSettings } from '../lib/settings-storage.js';
+import { addDays, createTimeOnDate } from '../lib/time-utils.js';
+import { getFormattedDateFromDate } from '../lib/utils.js';
+import { loadLocalEventsForDays } from './month-overview-service.js';
+
+export class FreeSlotService {
+    constructor() {
+        this._requestId = 0;
+    }
+
+    /**
+     * Find the free slots of consecutive days, starting today
+     * @param {number} days - How many days to look at
+     * @param {number} minMinutes - The shortest slot worth listing
+     * @param {Function} fetchGoogleEvents - `(startDate, days)` → Promise of the Google
+     *   events in the range, or null when Google is not available
+     *   (GoogleEventManager.fetchEventsInRange). A failed fetch rejects: slots
+     *   computed without the Google events would offer busy time as free.
+     * @param {Date} [now]
+     * @returns {Promise<Array<{date: Date, slots: Array<{start: Date, end: Date}>}>|null>}
+     *   One entry per day, or null when a newer request has started
+     */
+    async findSlots(days, minMinutes, fetchGoogleEvents, now = new Date()) {
+        const requestId = ++this._requestId;
+
+        const today = createTimeOnDate(now, 0, 0);
+        const dates = Array.from({ length: days }, (_, index) => addDays(today, index));
+        const result = await this._findSlotsOnDates(dates, minMinutes, fetchGoogleEvents, now);
+        return requestId === this._requestId ? result : null;
+    }
+
+    /**
+     * Find the free slots of one day, to suggest another time for an
+     * invitation. Not superseded by findSlots (the finder and the event
+     * modal search independently).
+     * @param {Date} date - The day
+     * @param {number} minMinutes - The shortest slot worth listing
+     * @param {Function} fetchGoogleEvents - As for findSlots
+     * @param {Date} [now]
+     * @returns {Promise<Array<{start: Date, end: Date}>>} Earliest first; none on a past day
+     */
+    async findSlotsOnDay(date, minMinutes, fetchGoogleEvents, now = new Date()) {
+        const [day] = await this._findSlotsOnDates([createTimeOnDate(date, 0, 0)], minMinutes, fetchGoogleEvents, now);
+        return day.slots;
+    }
+
+    /**
+     * The free slots of consecutive days
+     * @param {Array<Date>} dates - The days (midnight), in order
+     * @param {number} minMinutes
+     * @param {Function} fetchGoogleEvents
+     * @param {Date} now
+     * @returns {Promise<Array<{date: Date, slots: Array<{start: Date, end: Date}>}>>}
+     * @private
+     */
+    async _findSlotsOnDates(dates, minMinutes, fetchGoogleEvents, now) {
+        const [settings, localEvents, googleEvents] = await Promise.all([
+            loadSettings(),
+            loadLocalEventsForDays(dates),
+            fetchGoogleEvents(dates[0], dates.length)
+        ]);
+
+        const options = {
+            openTime: settings.openTime,
+            closeTime: settings.closeTime,
+            breakTime: settings.breakTimeFixed
+                ? { start: settings.breakTimeStart, end: settings.breakTimeEnd }
+                : null,
+            minMinutes,
+            notBefore: now
+        };
+        return dates.map(date => ({
+            date,
+            slots: findFreeSlots(
+                date,
+                localEvents.get(getFormattedDateFromDate(date)) || [],
+                (googleEvents || []).filter(event => isGoogleEventOnDay(event, date)),
+                options
+            )
+        }));
+    }
+}
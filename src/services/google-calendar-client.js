@@ -5,10 +5,58 @@
  * authentication, calendar listing, event fetching, and RSVP.
  */
 import { StorageHelper } from '../lib/storage-helper.js';
-import { isWritableCalendar } from '../lib/google-event-utils.js';
+import {
+    ATTENDANCE_MODE_PROPERTY,
+    ATTENDANCE_MODES,
+    buildFollowingSeriesResource,
+    buildSeriesTimePatch,
+    isGoogleEventOnDay,
+    isInactiveGoogleEvent,
+    isWritableCalendar,
+    RECURRING_SCOPES,
+    splitGoogleRecurrence
+} from '../lib/google-event-utils.js';
+import { addDays } from '../lib/time-utils.js';
+import { getFormattedDateFromDate } from '../lib/utils.js';
+import { STORAGE_KEYS } from '../lib/constants.js';
+import { loadReminderMutedCalendars } from '../lib/settings-storage.js';
 
 const CALENDAR_API_BASE = 'https://www.googleapis.com/calendar/v3';
 
+// freebusy.query is not covered by the manifest's scopes. It is requested on
+// first use instead of being added to the manifest, which would invalidate
+// every existing sign-in for a feature not everyone uses.
+const FREEBUSY_SCOPES = ['https://www.googleapis.com/auth/calendar.freebusy'];
+
+// events.insert/patch `sendUpdates` values: who is emailed about the change
+const SEND_UPDATES_VALUES = new Set(['all', 'externalOnly', 'none']);
+
+// Days around today covered by a calendar's incremental sync mirror. The
+// mirror is rebuilt with a full sync once fewer than SYNC_MIN_AHEAD_DAYS of it
+// are left ahead of today.
+const SYNC_PAST_DAYS = 7;
+const SYNC_FUTURE_DAYS = 60;
+const SYNC_MIN_AHEAD_DAYS = 30;
+
+/**
+ * Drop cancelled events and events the user declined
+ * @param {Array} events
+ * @returns {Array}
+ */
+function filterActiveEvents(events) {
+    return events.filter(event => !isInactiveGoogleEvent(event));
+}
+
+/**
+ * Whether a storage write failed because the storage area is full
+ * (chrome.runtime.lastError reads "QUOTA_BYTES quota exceeded")
+ * @param {Error|Object} error
+ * @returns {boolean}
+ */
+function isQuotaError(error) {
+    return /quota/i.test(error?.message || '');
+}
+
 /**
  * Custom error for authentication failures (token expired, revoked, etc.)
  */
@@ -19,17 +67,36 @@ export class AuthenticationError extends Error {
     }
 }
 
+/**
+ * Custom error for a write whose If-Match etag no longer matches (412):
+ * the event was changed elsewhere since it was read
+ */
+export class ConflictError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ConflictError';
+        this.status = 412;
+    }
+}
+
 export class GoogleCalendarClient {
 
+    constructor() {
+        // calendarId → in-flight syncCalendarEvents() promise
+        this._syncInflight = new Map();
+    }
+
     /**
      * Get an OAuth2 auth token from Chrome Identity API.
      * @param {boolean} interactive - Whether to show a login prompt
+     * @param {string[]|null} [scopes] - Scopes to request instead of the manifest's
      * @returns {Promise<string>} The auth token
      * @private
      */
-    _getAuthToken(interactive = true) {
+    _getAuthToken(interactive = true, scopes = null) {
+        const details = scopes ? { interactive, scopes } : { interactive };
         return new Promise((resolve, reject) => {
-            chrome.identity.getAuthToken({ interactive }, (token) => {
+            chrome.identity.getAuthToken(details, (token) => {
                 if (chrome.runtime.lastError || !token) {
                     const original = chrome.runtime.lastError || new Error('Failed to get authentication token');
                     reject(new AuthenticationError(original.message || String(original)));
@@ -43,15 +110,17 @@ export class GoogleCalendarClient {
     /**
      * Perform an authenticated fetch against the Google Calendar API.
      * @param {string} url - The full URL to fetch
-     * @param {Object} [options={}] - Additional fetch options (method, body, etc.)
+     * @param {Object} [options={}] - Additional fetch options (method, body, etc.);
+     *   `_interactive` and `_scopes` are passed to _getAuthToken
      * @returns {Promise<Response>} The fetch Response object
      * @private
      */
     async _fetchWithAuth(url, options = {}) {
         const token = await this._getAuthToken(
-            options._interactive !== undefined ? options._interactive : false
+            options._interactive !== undefined ? options._interactive : false,
+            options._scopes || null
         );
-        const { _interactive, ...fetchOptions } = options;
+        const { _interactive, _scopes, ...fetchOptions } = options;
         const headers = {
             Authorization: 'Bearer ' + token,
             ...(fetchOptions.headers || {})
@@ -61,7 +130,7 @@ export class GoogleCalendarClient {
 
     /**
      * Check an API response and throw an appropriate error if not ok.
-     * Throws AuthenticationError for 401/403, generic Error otherwise.
+     * Throws AuthenticationError for 401/403, ConflictError for 412, generic Error otherwise.
      * @param {Response} response - The fetch Response object
      * @param {string} label - A label for error messages (e.g. 'CalendarList API')
      * @private
@@ -77,6 +146,10 @@ export class GoogleCalendarClient {
             authError.status = response.status;
             throw authError;
         }
+        if (response.status === 412) {
+            console.warn(`${label} conflict:`, response.status);
+            throw new ConflictError(msg);
+        }
         console.error(`${label} error:`, response.status, response.statusText);
         const error = new Error(msg);
         error.status = response.status;
@@ -125,68 +198,98 @@ export class GoogleCalendarClient {
     /**
      * Get events from Google Calendar (multi-calendar)
      * @param {Date|null} targetDate - The target date (today if omitted)
+     * @param {number} [days=1] - The number of days to fetch, starting at targetDate
      * @returns {Promise<Array>} A promise that returns an array of events
      */
-    async getCalendarEvents(targetDate = null) {
+    async getCalendarEvents(targetDate = null, days = 1) {
+        const calendarIds = await this.getDisplayCalendarIds();
+        return this._fetchEventsForCalendarIds(targetDate, calendarIds, days);
+    }
+
+    /**
+     * The calendars whose events the side panel shows: the selected calendars,
+     * or (before any selection) the calendars selected in Google Calendar plus
+     * the primary calendar
+     * @returns {Promise<Array<string>>} The calendar IDs (never empty)
+     */
+    async getDisplayCalendarIds() {
         // Get the list of the selected calendars
         const storageData = await StorageHelper.get(['selectedCalendars'], { selectedCalendars: [] });
         const selectedCalendarIds = storageData.selectedCalendars || [];
+        if (selectedCalendarIds.length > 0) {
+            return selectedCalendarIds;
+        }
 
-        if (selectedCalendarIds.length === 0) {
-            // Fallback: resolve calendars from the calendarList API
-            const calendarListUrl = `${CALENDAR_API_BASE}/users/me/calendarList`;
-            const listResponse = await this._fetchWithAuth(calendarListUrl);
-            await this._checkResponse(listResponse, 'CalendarList API');
-            const listData = await listResponse.json();
-            const allCalendars = listData.items || [];
-            const selectedCalendars = allCalendars.filter(cal => cal.selected);
-            const accessibleCalendars = selectedCalendars.filter(cal => cal.accessRole && cal.accessRole !== 'none');
-
-            const calendarsToReturn = [...accessibleCalendars];
-            const primaryCalendar = allCalendars.find(cal => cal.primary);
-
-            if (primaryCalendar && !calendarsToReturn.some(cal => cal.id === primaryCalendar.id)) {
-                calendarsToReturn.unshift(primaryCalendar);
-            }
+        // Fallback: resolve calendars from the calendarList API
+        const calendarListUrl = `${CALENDAR_API_BASE}/users/me/calendarList`;
+        const listResponse = await this._fetchWithAuth(calendarListUrl);
+        await this._checkResponse(listResponse, 'CalendarList API');
+        const listData = await listResponse.json();
+        const allCalendars = listData.items || [];
+        const selectedCalendars = allCalendars.filter(cal => cal.selected);
+        const accessibleCalendars = selectedCalendars.filter(cal => cal.accessRole && cal.accessRole !== 'none');
 
-            const resolvedIds = calendarsToReturn.length === 0
-                ? ['primary']
-                : calendarsToReturn.map(c => c.id);
+        const calendarsToReturn = [...accessibleCalendars];
+        const primaryCalendar = allCalendars.find(cal => cal.primary);
 
-            return this._fetchEventsForCalendarIds(targetDate, resolvedIds);
+        if (primaryCalendar && !calendarsToReturn.some(cal => cal.id === primaryCalendar.id)) {
+            calendarsToReturn.unshift(primaryCalendar);
         }
 
-        return this._fetchEventsForCalendarIds(targetDate, selectedCalendarIds);
+        return calendarsToReturn.length === 0
+            ? ['primary']
+            : calendarsToReturn.map(c => c.id);
     }
 
     /**
      * Get events from specific Google Calendars by their IDs
      * @param {Date|null} targetDate - The target date (today if omitted)
      * @param {Array<string>} calendarIds - The calendar IDs to fetch events from
+     * @param {number} [days=1] - The number of days to fetch, starting at targetDate
      * @returns {Promise<Array>} A promise that returns an array of events
      */
-    async getCalendarEventsForIds(targetDate, calendarIds) {
+    async getCalendarEventsForIds(targetDate, calendarIds, days = 1) {
         if (!calendarIds || calendarIds.length === 0) return [];
-        return this._fetchEventsForCalendarIds(targetDate, calendarIds);
+        return this._fetchEventsForCalendarIds(targetDate, calendarIds, days);
     }
 
     /**
-     * Core logic: fetch events for the given calendar IDs
+     * Core logic: fetch events for the given calendar IDs.
+     * The whole range is one events.list request per calendar; maxResults is
+     * raised to the API limit so a busy week still fits on one page.
      * @param {Date|null} targetDate - The target date (today if omitted)
      * @param {Array<string>} calendarIds - The calendar IDs to fetch events from
+     * @param {number} [days=1] - The number of days to fetch, starting at targetDate
      * @returns {Promise<Array>} A promise that returns an array of events
      * @private
      */
-    async _fetchEventsForCalendarIds(targetDate, calendarIds) {
+    async _fetchEventsForCalendarIds(targetDate, calendarIds, days = 1) {
         if (!calendarIds || calendarIds.length === 0) return [];
 
+        const { calendarList, results } = await this.fetchCalendarRanges(targetDate, calendarIds, days);
+        return this.decorateEvents(results, calendarList);
+    }
+
+    /**
+     * Fetch the raw events of each calendar for a range, together with the
+     * calendar list needed by decorateEvents(). A calendar that fails is
+     * reported as `failed` rather than failing the whole request.
+     * Cancelled events are requested too (`showDeleted`), for the "show
+     * declined events" view; decorateEvents() drops them otherwise.
+     * @param {Date|null} targetDate - The first day (today if omitted)
+     * @param {Array<string>} calendarIds - The calendar IDs to fetch events from
+     * @param {number} [days=1] - The number of days to fetch, starting at targetDate
+     * @returns {Promise<{calendarList: Array, results: Array<{calendarId: string, events: Array, failed: boolean}>}>}
+     */
+    async fetchCalendarRanges(targetDate, calendarIds, days = 1) {
         const token = await this._getAuthToken(false);
 
-        // Set the target date range
+        // Set the target date range (from the start of the first day to the end of the last)
         const targetDay = targetDate || new Date();
         const startOfDay = new Date(targetDay);
         startOfDay.setHours(0, 0, 0, 0);
         const endOfDay = new Date(targetDay);
+        endOfDay.setDate(endOfDay.getDate() + Math.max(1, days) - 1);
         endOfDay.setHours(23, 59, 59, 999);
 
         // Fetch calendarList once and reuse for color info
@@ -199,7 +302,7 @@ export class GoogleCalendarClient {
         const baseUrl = `${CALENDAR_API_BASE}/calendars`;
 
         const fetches = calendarIds.map(calId => {
-            const url = `${baseUrl}/${encodeURIComponent(calId)}/events?timeMin=${startOfDay.toISOString()}&timeMax=${endOfDay.toISOString()}&singleEvents=true&orderBy=startTime`;
+            const url = `${baseUrl}/${encodeURIComponent(calId)}/events?timeMin=${startOfDay.toISOString()}&timeMax=${endOfDay.toISOString()}&singleEvents=true&showDeleted=true&orderBy=startTime&maxResults=2500`;
             return fetch(url, {
                 headers: { Authorization: 'Bearer ' + token }
             })
@@ -207,36 +310,53 @@ export class GoogleCalendarClient {
                 if (!res.ok) {
                     // For individual calendar errors, just log and skip
                     console.warn(`Failed to get calendar(${calId}): ${res.status} ${res.statusText}`);
-                    return { items: [] };
+                    return null;
                 }
                 return res.json();
             })
             .then(data => {
                 // Add the calendar ID to each event
-                const events = data.items || [];
+                const events = data?.items || [];
                 events.forEach(event => {
                     event.calendarId = calId;
                 });
-                return { calendarId: calId, events };
+                return { calendarId: calId, events, failed: !data };
             })
             .catch(err => {
                 console.warn(`Skip exception when getting calendar(${calId}):`, err);
-                return { calendarId: calId, events: [] };
+                return { calendarId: calId, events: [], failed: true };
             });
         });
 
-        const resultsPerCalendar = await Promise.all(fetches);
+        return { calendarList: listData.items || [], results: await Promise.all(fetches) };
+    }
+
+    /**
+     * Drop cancelled and declined events and add the calendar's colors, name
+     * and access flags to the rest
+     * @param {Array<{events: Array}>} resultsPerCalendar - From fetchCalendarRanges()
+     * @param {Array} calendarList - The calendarList items
+     * @param {Object} [options]
+     * @param {boolean} [options.includeDeclined=false] - Keep the cancelled and
+     *   declined events (see isInactiveGoogleEvent); a cancelled occurrence
+     *   without times, which carries little more than its ID, is still dropped
+     * @returns {Array} The events of all calendars, flattened
+     */
+    decorateEvents(resultsPerCalendar, calendarList, { includeDeclined = false } = {}) {
+        const isShown = (event) => (includeDeclined
+            ? event.status !== 'cancelled' || !!(event.start && event.end)
+            : !isInactiveGoogleEvent(event));
 
         // Build color map from the already-fetched calendarList data
         try {
             const calendarColors = {};
             const ownedCalendarIds = new Set(
-                (listData.items || []).filter(cal => cal.accessRole === 'owner').map(cal => cal.id)
+                (calendarList || []).filter(cal => cal.accessRole === 'owner').map(cal => cal.id)
             );
             const writableCalendarIds = new Set(
-                (listData.items || []).filter(isWritableCalendar).map(cal => cal.id)
+                (calendarList || []).filter(isWritableCalendar).map(cal => cal.id)
             );
-            listData.items?.forEach(cal => {
+            calendarList?.forEach(cal => {
                 calendarColors[cal.id] = {
                     backgroundColor: cal.backgroundColor,
                     foregroundColor: cal.foregroundColor,
@@ -249,15 +369,8 @@ export class GoogleCalendarClient {
             resultsPerCalendar.forEach(result => {
                 if (result.events) {
                     result.events.forEach(event => {
-                        // Skip the cancelled events
-                        if (event.status === 'cancelled') {
-                            return;
-                        }
-
-                        // Skip the declined events
-                        if (event.attendees && event.attendees.some(attendee =>
-                            attendee.self && attendee.responseStatus === 'declined'
-                        )) {
+                        // Skip the cancelled and declined events
+                        if (!isShown(event)) {
                             return;
                         }
 
@@ -278,55 +391,264 @@ export class GoogleCalendarClient {
         } catch (colorError) {
             console.warn('Calendar color information acquisition error:', colorError);
             // Return the events even without color information (excluding the cancelled and declined events)
-            const merged = resultsPerCalendar.flatMap(r =>
-                (r.events || []).filter(event => {
-                    // Exclude the cancelled events
-                    if (event.status === 'cancelled') {
-                        return false;
-                    }
-                    // Exclude the declined events
-                    return !(event.attendees && event.attendees.some(attendee =>
-                        attendee.self && attendee.responseStatus === 'declined'
-                    ));
-                })
-            );
-            return merged;
+            return resultsPerCalendar.flatMap(r => (r.events || []).filter(isShown));
         }
     }
 
     /**
-     * Get events from PRIMARY Google Calendar only (for reminders)
-     * @param {Date|null} targetDate - The target date (today if omitted)
+     * Get events from PRIMARY Google Calendar only.
+     * Days inside the sync window are read from the incremental sync mirror,
+     * so a periodic call only downloads what changed since the last one.
+     * @param {Date|null} targetDate - The first day (today if omitted)
+     * @param {number} [days=1] - The number of days
      * @returns {Promise<Array>} A promise that returns an array of events
      */
-    async getPrimaryCalendarEvents(targetDate = null) {
-        // Set the target date range
+    async getPrimaryCalendarEvents(targetDate = null, days = 1) {
+        return this._getMirroredCalendarEvents('primary', targetDate || new Date(), days);
+    }
+
+    /**
+     * Get the events to remind of: those of the selected calendars, except
+     * the calendars muted for reminders. An event on several of them (a
+     * meeting on both your own and a team calendar) is returned once.
+     * A calendar that no longer exists or is no longer shared is skipped;
+     * any other failure rejects, so the caller keeps the reminders it has.
+     * @param {Date|null} targetDate - The first day (today if omitted)
+     * @param {number} [days=1] - The number of days
+     * @returns {Promise<Array>} A promise that returns an array of events
+     */
+    async getReminderCalendarEvents(targetDate = null, days = 1) {
+        const [calendarIds, mutedIds] = await Promise.all([
+            this.getDisplayCalendarIds(),
+            loadReminderMutedCalendars()
+        ]);
         const targetDay = targetDate || new Date();
+
+        const perCalendar = await Promise.all(calendarIds
+            .filter(calendarId => !mutedIds.includes(calendarId))
+            .map(calendarId => this._getMirroredCalendarEvents(calendarId, targetDay, days)
+                .catch(error => {
+                    // 404: the calendar was deleted or is no longer shared with us
+                    if (error.status === 404) {
+                        console.warn(`Skip reminders of calendar(${calendarId}): ${error.message}`);
+                        return [];
+                    }
+                    throw error;
+                })));
+
+        const seen = new Set();
+        return perCalendar.flat().filter(event => {
+            // Copies of one event share the iCalUID; recurring instances differ in start
+            const key = `${event.iCalUID || event.id}|${event.start?.dateTime || event.start?.date}`;
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+    }
+
+    /**
+     * The active events of a calendar on a range of days, from its sync
+     * mirror, or fetched directly for days outside the sync window
+     * @param {string} calendarId
+     * @param {Date} targetDay - The first day
+     * @param {number} days - The number of days
+     * @returns {Promise<Array>} Sorted by start
+     * @private
+     */
+    async _getMirroredCalendarEvents(calendarId, targetDay, days) {
+        const dayList = Array.from({ length: Math.max(1, days) }, (_, offset) => addDays(targetDay, offset));
+        const firstDateStr = getFormattedDateFromDate(dayList[0]);
+        const lastDateStr = getFormattedDateFromDate(dayList[dayList.length - 1]);
+
+        const { events, windowStart, windowEnd } = await this.syncCalendarEvents(calendarId);
+        if (firstDateStr < windowStart || lastDateStr > windowEnd) {
+            return this._fetchCalendarDays(calendarId, targetDay, dayList.length);
+        }
+
+        const startOf = event => new Date(event.start.dateTime || `${event.start.date}T00:00:00`).getTime();
+        return filterActiveEvents(events.filter(event => dayList.some(day => isGoogleEventOnDay(event, day))))
+            .sort((a, b) => startOf(a) - startOf(b));
+    }
+
+    /**
+     * Fetch days of a calendar directly (days outside the sync window)
+     * @param {string} calendarId
+     * @param {Date} targetDay - The first day
+     * @param {number} days - The number of days
+     * @returns {Promise<Array>}
+     * @private
+     */
+    async _fetchCalendarDays(calendarId, targetDay, days) {
         const startOfDay = new Date(targetDay);
         startOfDay.setHours(0, 0, 0, 0);
-        const endOfDay = new Date(targetDay);
+        const endOfDay = addDays(startOfDay, days - 1);
         endOfDay.setHours(23, 59, 59, 999);
 
-        // Fetch from PRIMARY calendar only
-        const url = `${CALENDAR_API_BASE}/calendars/primary/events?timeMin=${startOfDay.toISOString()}&timeMax=${endOfDay.toISOString()}&singleEvents=true&orderBy=startTime`;
+        const url = `${CALENDAR_API_BASE}/calendars/${encodeURIComponent(calendarId)}/events?timeMin=${startOfDay.toISOString()}&timeMax=${endOfDay.toISOString()}&singleEvents=true&orderBy=startTime`;
 
         const response = await this._fetchWithAuth(url, { _interactive: false });
-        await this._checkResponse(response, 'Primary calendar API');
+        await this._checkResponse(response, 'Calendar events API');
 
         const data = await response.json();
-        const events = data.items || [];
+        return filterActiveEvents((data.items || []).map(event => ({ ...event, calendarId })));
+    }
 
-        // Filter out cancelled and declined events
-        return events.filter(event => {
-            // Skip cancelled events
-            if (event.status === 'cancelled') {
-                return false;
+    /**
+     * Bring the local mirror of a calendar up to date using the Calendar API's
+     * incremental sync: the first call (or one after the window moved, or
+     * after the API answered 410 Gone) lists the whole sync window and keeps
+     * its nextSyncToken; later calls send that token and only receive the
+     * events changed since. The mirror is kept in local storage, so it
+     * survives service worker restarts.
+     * Concurrent calls for the same calendar share one request.
+     * @param {string} calendarId
+     * @returns {Promise<{events: Array, changes: Array, fullSync: boolean, lastChangeAt: number, windowStart: string, windowEnd: string}>}
+     *   `events` is the whole mirror (cancelled events removed), `changes` the
+     *   events received by this call, `lastChangeAt` when the mirror last changed,
+     *   and the window its first/last day (YYYY-MM-DD)
+     */
+    syncCalendarEvents(calendarId) {
+        if (!this._syncInflight.has(calendarId)) {
+            const sync = this._runCalendarSync(calendarId)
+                .finally(() => this._syncInflight.delete(calendarId));
+            this._syncInflight.set(calendarId, sync);
+        }
+        return this._syncInflight.get(calendarId);
+    }
+
+    /**
+     * Forget every calendar's sync mirror (account switch or disconnect)
+     * @returns {Promise<void>}
+     */
+    async clearSyncState() {
+        const all = await StorageHelper.getLocal(null);
+        const keys = Object.keys(all).filter(key => key.startsWith(STORAGE_KEYS.GOOGLE_SYNC_PREFIX));
+        if (keys.length > 0) {
+            await StorageHelper.removeLocal(keys);
+        }
+    }
+
+    /**
+     * @see syncCalendarEvents
+     * @private
+     */
+    async _runCalendarSync(calendarId) {
+        const storageKey = `${STORAGE_KEYS.GOOGLE_SYNC_PREFIX}${calendarId}`;
+        const stored = await StorageHelper.getLocal([storageKey], { [storageKey]: null });
+        let state = stored[storageKey];
+
+        const today = new Date();
+        today.setHours(0, 0, 0, 0);
+        const todayStr = getFormattedDateFromDate(today);
+        const minWindowEnd = getFormattedDateFromDate(addDays(today, SYNC_MIN_AHEAD_DAYS));
+
+        let changes = null;
+        if (state?.syncToken && state.windowStart <= todayStr && state.windowEnd >= minWindowEnd) {
+            try {
+                const delta = await this._listEventPages(calendarId, { syncToken: state.syncToken });
+                changes = delta.items;
+                changes.forEach(event => {
+                    if (event.status === 'cancelled') {
+                        delete state.events[event.id];
+                    } else {
+                        state.events[event.id] = { ...event, calendarId };
+                    }
+                });
+                state.syncToken = delta.nextSyncToken;
+            } catch (error) {
+                // 410 Gone: the token expired; anything else is the caller's problem
+                if (error.status !== 410) throw error;
+                console.warn(`Sync token expired for calendar(${calendarId}), running a full sync`);
+            }
+        }
+
+        const fullSync = changes === null;
+        if (fullSync) {
+            const windowStart = addDays(today, -SYNC_PAST_DAYS);
+            const windowEnd = addDays(today, SYNC_FUTURE_DAYS);
+            const timeMax = new Date(windowEnd);
+            timeMax.setHours(23, 59, 59, 999);
+
+            const listed = await this._listEventPages(calendarId, {
+                timeMin: windowStart.toISOString(),
+                timeMax: timeMax.toISOString()
+            });
+            changes = listed.items;
+            state = {
+                syncToken: listed.nextSyncToken,
+                windowStart: getFormattedDateFromDate(windowStart),
+                windowEnd: getFormattedDateFromDate(windowEnd),
+                lastChangeAt: 0,
+                events: {}
+            };
+            changes.filter(event => event.status !== 'cancelled').forEach(event => {
+                state.events[event.id] = { ...event, calendarId };
+            });
+        }
+
+        if (fullSync || changes.length > 0) {
+            state.lastChangeAt = Date.now();
+        }
+        // Deltas also report changes outside the window; keep the mirror to it
+        // (an edit to a long series returns its instances far past the end)
+        const windowStartTime = new Date(`${state.windowStart}T00:00:00`).getTime();
+        const windowEndTime = new Date(`${state.windowEnd}T23:59:59.999`).getTime();
+        Object.values(state.events).forEach(event => {
+            const start = event.start?.dateTime || (event.start?.date && `${event.start.date}T00:00:00`);
+            const end = event.end?.dateTime || (event.end?.date && `${event.end.date}T00:00:00`);
+            if ((end && new Date(end).getTime() <= windowStartTime)
+                || (start && new Date(start).getTime() > windowEndTime)) {
+                delete state.events[event.id];
             }
-            // Skip declined events
-            return !(event.attendees && event.attendees.some(attendee =>
-                attendee.self && attendee.responseStatus === 'declined'
-            ));
         });
+
+        try {
+            await StorageHelper.setLocal({ [storageKey]: state });
+        } catch (error) {
+            if (!isQuotaError(error)) throw error;
+            // This call's result is still good; without a stored mirror the
+            // next sync of the calendar is a full one again
+            console.warn(`No room to store the sync mirror of calendar(${calendarId}), falling back to full syncs:`, error);
+            await StorageHelper.removeLocal([storageKey]).catch(removeError => {
+                console.warn(`Failed to remove the sync mirror of calendar(${calendarId}):`, removeError);
+            });
+        }
+
+        return {
+            events: Object.values(state.events),
+            changes,
+            fullSync,
+            lastChangeAt: state.lastChangeAt,
+            windowStart: state.windowStart,
+            windowEnd: state.windowEnd
+        };
+    }
+
+    /**
+     * List events of a calendar across all result pages
+     * @param {string} calendarId
+     * @param {Object} params - `syncToken`, or `timeMin`/`timeMax` for a full sync
+     * @returns {Promise<{items: Array, nextSyncToken: string}>}
+     * @private
+     */
+    async _listEventPages(calendarId, params) {
+        const items = [];
+        let pageToken = null;
+        for (;;) {
+            const query = new URLSearchParams({ ...params, singleEvents: 'true', maxResults: '2500' });
+            if (pageToken) query.set('pageToken', pageToken);
+
+            const url = `${CALENDAR_API_BASE}/calendars/${encodeURIComponent(calendarId)}/events?${query}`;
+            const response = await this._fetchWithAuth(url, { _interactive: false });
+            await this._checkResponse(response, 'Events sync API');
+            const data = await response.json();
+
+            items.push(...(data.items || []));
+            if (!data.nextPageToken) {
+                return { items, nextSyncToken: data.nextSyncToken };
+            }
+            pageToken = data.nextPageToken;
+        }
     }
 
     /**
@@ -358,9 +680,16 @@ export class GoogleCalendarClient {
      * @param {string} calendarId - The calendar ID
      * @param {string} eventId - The event ID
      * @param {string} response - The RSVP response ('accepted', 'declined', 'tentative')
+     * @param {Object} [options]
+     * @param {string} [options.comment] - The note sent with the response
+     *   (the organizer sees it); blank removes the previous note, undefined keeps it
+     * @param {string} [options.attendanceMode] - How the user joins an accepted
+     *   event (ATTENDANCE_MODES), saved on their own copy of the event to
+     *   preselect the choice next time. Private properties are per copy, so
+     *   the organizer learns it from `comment` (the modal adds a line for it).
      * @returns {Promise<Object>} The updated event object
      */
-    async respondToEvent(calendarId, eventId, response) {
+    async respondToEvent(calendarId, eventId, response, { comment, attendanceMode } = {}) {
         if (!calendarId || !eventId || !response) {
             throw new Error('Missing required parameters');
         }
@@ -386,14 +715,26 @@ export class GoogleCalendarClient {
             throw new Error('Self attendee not found in event');
         }
         selfAttendee.responseStatus = response;
+        if (typeof comment === 'string') {
+            if (comment.trim()) {
+                selfAttendee.comment = comment.trim();
+            } else {
+                delete selfAttendee.comment;
+            }
+        }
 
-        // PATCH the event with updated attendees
+        // PATCH the event with updated attendees. PATCH merges nested objects,
+        // so the attendance mode leaves the other private properties alone.
+        const patch = { attendees };
+        if (response === 'accepted' && ATTENDANCE_MODES.includes(attendanceMode)) {
+            patch.extendedProperties = { private: { [ATTENDANCE_MODE_PROPERTY]: attendanceMode } };
+        }
         const patchRes = await this._fetchWithAuth(eventUrl, {
             method: 'PATCH',
             headers: {
                 'Content-Type': 'application/json'
             },
-            body: JSON.stringify({ attendees })
+            body: JSON.stringify(patch)
         });
 
         await this._checkResponse(patchRes, 'Update Event API');
@@ -406,9 +747,12 @@ export class GoogleCalendarClient {
      * @param {string} calendarId - The target calendar ID (defaults to 'primary')
      * @param {Object} eventResource - The event resource in Google Calendar API format
      *   (must contain summary, start and end)
+     * @param {Object} [options]
+     * @param {string} [options.sendUpdates] - Who gets invitation emails:
+     *   'all', 'externalOnly' or 'none' (the API default)
      * @returns {Promise<Object>} The created event object
      */
-    async createEvent(calendarId, eventResource) {
+    async createEvent(calendarId, eventResource, { sendUpdates } = {}) {
         if (!eventResource || !eventResource.summary || !eventResource.start || !eventResource.end) {
             throw new Error('Missing required parameters');
         }
@@ -416,7 +760,14 @@ export class GoogleCalendarClient {
         const targetCalendarId = calendarId || 'primary';
         // conferenceData.createRequest (Google Meet) is only honored when the
         // insert is sent with conferenceDataVersion=1.
-        const query = eventResource.conferenceData ? '?conferenceDataVersion=1' : '';
+        const params = new URLSearchParams();
+        if (eventResource.conferenceData) {
+            params.set('conferenceDataVersion', '1');
+        }
+        if (SEND_UPDATES_VALUES.has(sendUpdates)) {
+            params.set('sendUpdates', sendUpdates);
+        }
+        const query = params.toString() ? `?${params}` : '';
         const eventsUrl = `${CALENDAR_API_BASE}/calendars/${encodeURIComponent(targetCalendarId)}/events${query}`;
 
         const res = await this._fetchWithAuth(eventsUrl, {
@@ -440,19 +791,26 @@ export class GoogleCalendarClient {
      * @param {string} calendarId - The calendar the event lives on
      * @param {string} eventId - The event to update
      * @param {Object} patchResource - The fields to change, in Google Calendar API format
+     * @param {Object} [options]
+     * @param {string} [options.sendUpdates] - Who is emailed about the change:
+     *   'all', 'externalOnly' or 'none' (the API default)
+     * @param {string} [options.etag] - The etag of the version the change was
+     *   made to; sent as If-Match, so a newer version rejects it with ConflictError
      * @returns {Promise<Object>} The updated event object
      */
-    async patchEvent(calendarId, eventId, patchResource) {
+    async patchEvent(calendarId, eventId, patchResource, { sendUpdates, etag } = {}) {
         if (!calendarId || !eventId || !patchResource) {
             throw new Error('Missing required parameters');
         }
 
-        const eventUrl = `${CALENDAR_API_BASE}/calendars/${encodeURIComponent(calendarId)}/events/${encodeURIComponent(eventId)}`;
+        const query = SEND_UPDATES_VALUES.has(sendUpdates) ? `?sendUpdates=${sendUpdates}` : '';
+        const eventUrl = `${CALENDAR_API_BASE}/calendars/${encodeURIComponent(calendarId)}/events/${encodeURIComponent(eventId)}${query}`;
 
         const res = await this._fetchWithAuth(eventUrl, {
             method: 'PATCH',
             headers: {
-                'Content-Type': 'application/json'
+                'Content-Type': 'application/json',
+                ...(etag ? { 'If-Match': etag } : {})
             },
             body: JSON.stringify(patchResource)
         });
@@ -467,9 +825,12 @@ export class GoogleCalendarClient {
      * The API responds 204 No Content, so the body is never parsed.
      * @param {string} calendarId - The calendar the event lives on
      * @param {string} eventId - The event to delete
+     * @param {Object} [options]
+     * @param {string} [options.etag] - The etag of the version the user chose
+     *   to delete; sent as If-Match (see patchEvent)
      * @returns {Promise<void>}
      */
-    async deleteEvent(calendarId, eventId) {
+    async deleteEvent(calendarId, eventId, { etag } = {}) {
         if (!calendarId || !eventId) {
             throw new Error('Missing required parameters');
         }
@@ -477,7 +838,8 @@ export class GoogleCalendarClient {
         const eventUrl = `${CALENDAR_API_BASE}/calendars/${encodeURIComponent(calendarId)}/events/${encodeURIComponent(eventId)}`;
 
         const res = await this._fetchWithAuth(eventUrl, {
-            method: 'DELETE'
+            method: 'DELETE',
+            ...(etag ? { headers: { 'If-Match': etag } } : {})
         });
 
         // 404/410 mean the event is already gone (deleted in another client) —
@@ -488,4 +850,203 @@ export class GoogleCalendarClient {
 
         await this._checkResponse(res, 'Delete Event API');
     }
+
+    /**
+     * Move an event to another calendar (events.move). The event keeps its
+     * id; only the organizer's copy can be moved, and occurrences of a
+     * recurring event cannot (the API moves whole events only).
+     * @param {string} calendarId - The calendar the event lives on
+     * @param {string} eventId - The event to move
+     * @param {string} destinationCalendarId - The calendar to move it to
+     * @param {Object} [options]
+     * @param {string} [options.sendUpdates] - Who is emailed (see patchEvent)
+     * @returns {Promise<Object>} The moved event object
+     */
+    async moveEvent(calendarId, eventId, destinationCalendarId, { sendUpdates } = {}) {
+        if (!calendarId || !eventId || !destinationCalendarId) {
+            throw new Error('Missing required parameters');
+        }
+
+        const params = new URLSearchParams({ destination: destinationCalendarId });
+        if (SEND_UPDATES_VALUES.has(sendUpdates)) {
+            params.set('sendUpdates', sendUpdates);
+        }
+        const eventUrl = `${CALENDAR_API_BASE}/calendars/${encodeURIComponent(calendarId)}/events/${encodeURIComponent(eventId)}/move?${params}`;
+
+        const res = await this._fetchWithAuth(eventUrl, { method: 'POST' });
+        await this._checkResponse(res, 'Move Event API');
+
+        return await res.json();
+    }
+
+    /**
+     * Get one event (events.get)
+     * @param {string} calendarId - The calendar the event lives on
+     * @param {string} eventId - The event (or occurrence) to get
+     * @returns {Promise<Object>} The event object
+     */
+    async getEvent(calendarId, eventId) {
+        if (!calendarId || !eventId) {
+            throw new Error('Missing required parameters');
+        }
+
+        const eventUrl = `${CALENDAR_API_BASE}/calendars/${encodeURIComponent(calendarId)}/events/${encodeURIComponent(eventId)}`;
+        const res = await this._fetchWithAuth(eventUrl);
+        await this._checkResponse(res, 'Get Event API');
+
+        return await res.json();
+    }
+
+    /**
+     * Update one occurrence of a recurring event, or the occurrences it
+     * stands for (see RECURRING_SCOPES):
+     * - 'this': patches the occurrence (Google keeps it as an exception)
+     * - 'all': patches the series; a new time moves every occurrence by as
+     *   much as this one moved
+     * - 'following': ends the series before the occurrence and inserts a new
+     *   series from it with the changes. At the first occurrence this is 'all'.
+     *   If the insert fails the series gets its old recurrence back.
+     * @param {string} calendarId - The calendar the event lives on
+     * @param {string} eventId - The occurrence being edited
+     * @param {Object} patchResource - The occurrence's changes (with its new start/end)
+     * @param {string} scope - A RECURRING_SCOPES value
+     * @param {Object} [options]
+     * @param {string} [options.sendUpdates] - Who is emailed (see patchEvent)
+     * @param {string} [options.etag] - The occurrence's etag. 'this' sends it
+     *   as If-Match; the other scopes compare it with the occurrence as read
+     *   now and then write the series against the series' own etag
+     * @returns {Promise<Object>} The updated occurrence or series, or the new series
+     * @throws {ConflictError} If the occurrence or its series changed since
+     */
+    async updateRecurringEvent(calendarId, eventId, patchResource, scope, { sendUpdates, etag } = {}) {
+        if (!RECURRING_SCOPES.includes(scope)) {
+            throw new Error('Invalid recurring scope');
+        }
+        if (scope === 'this') {
+            return this.patchEvent(calendarId, eventId, patchResource, { sendUpdates, etag });
+        }
+
+        const { occurrence, series, originalStart, isFirst, seriesStartDate } =
+            await this._getOccurrenceSeries(calendarId, eventId, etag);
+
+        if (scope === 'all' || isFirst) {
+            const { start: _start, end: _end, ...fields } = patchResource;
+            return this.patchEvent(calendarId, series.id, {
+                ...fields,
+                ...buildSeriesTimePatch(series, occurrence, patchResource)
+            }, { sendUpdates, etag: series.etag });
+        }
+
+        const { before, after } = splitGoogleRecurrence(series.recurrence, seriesStartDate, originalStart);
+        await this.patchEvent(calendarId, series.id, { recurrence: before }, { sendUpdates, etag: series.etag });
+        try {
+            return await this.createEvent(calendarId,
+                buildFollowingSeriesResource(series, patchResource, after), { sendUpdates });
+        } catch (error) {
+            await this.patchEvent(calendarId, series.id, { recurrence: series.recurrence }, { sendUpdates })
+                .catch(restoreError => console.warn('Failed to restore the recurring series:', restoreError));
+            throw error;
+        }
+    }
+
+    /**
+     * Delete one occurrence of a recurring event, this and the following
+     * ones (by ending the series before it), or the whole series.
+     * @param {string} calendarId - The calendar the event lives on
+     * @param {string} eventId - The occurrence being deleted
+     * @param {string} scope - A RECURRING_SCOPES value
+     * @param {Object} [options]
+     * @param {string} [options.etag] - The occurrence's etag (see updateRecurringEvent)
+     * @returns {Promise<void>}
+     * @throws {ConflictError} If the occurrence or its series changed since
+     */
+    async deleteRecurringEvent(calendarId, eventId, scope, { etag } = {}) {
+        if (!RECURRING_SCOPES.includes(scope)) {
+            throw new Error('Invalid recurring scope');
+        }
+        if (scope === 'this') {
+            await this.deleteEvent(calendarId, eventId, { etag });
+            return;
+        }
+
+        const { series, originalStart, isFirst, seriesStartDate } =
+            await this._getOccurrenceSeries(calendarId, eventId, etag);
+
+        if (scope === 'all' || isFirst) {
+            await this.deleteEvent(calendarId, series.id, { etag: series.etag });
+            return;
+        }
+
+        const { before } = splitGoogleRecurrence(series.recurrence, seriesStartDate, originalStart);
+        await this.patchEvent(calendarId, series.id, { recurrence: before }, { etag: series.etag });
+    }
+
+    /**
+     * Get an occurrence together with the series it belongs to
+     * @param {string} calendarId
+     * @param {string} eventId - The occurrence
+     * @param {string} [etag] - The occurrence's etag when it was shown; when
+     *   given and the occurrence no longer has it, a ConflictError is thrown
+     * @returns {Promise<{occurrence: Object, series: Object, originalStart: Date,
+     *   isFirst: boolean, seriesStartDate: string}>} `originalStart` is where the
+     *   series put the occurrence (before any move of its own); `isFirst` whether
+     *   that is the series' first occurrence
+     * @private
+     */
+    async _getOccurrenceSeries(calendarId, eventId, etag) {
+        const occurrence = await this.getEvent(calendarId, eventId);
+        if (!occurrence.recurringEventId) {
+            throw new Error('Not an occurrence of a recurring event');
+        }
+        if (etag && occurrence.etag !== etag) {
+            console.warn('Recurring event conflict: the occurrence changed since it was read');
+            throw new ConflictError('The occurrence changed since it was read');
+        }
+        const series = await this.getEvent(calendarId, occurrence.recurringEventId);
+
+        const originalStart = new Date(occurrence.originalStartTime?.dateTime || occurrence.start.dateTime);
+        const seriesStart = new Date(series.start.dateTime);
+        return {
+            occurrence,
+            series,
+            originalStart,
+            isFirst: originalStart.getTime() <= seriesStart.getTime(),
+            seriesStartDate: getFormattedDateFromDate(seriesStart)
+        };
+    }
+
+    /**
+     * Look up when calendars are busy (freebusy.query). Other people's
+     * calendars answer as far as they share their free/busy information;
+     * the others come back with `errors` instead of `busy`.
+     * Asks for the free/busy permission the first time (see FREEBUSY_SCOPES).
+     * @param {string[]} calendarIds - Calendar IDs or email addresses
+     * @param {Date} timeMin
+     * @param {Date} timeMax
+     * @returns {Promise<Object>} calendarId → {busy: [{start, end}], errors?: [{domain, reason}]}
+     */
+    async queryFreeBusy(calendarIds, timeMin, timeMax) {
+        if (!Array.isArray(calendarIds) || calendarIds.length === 0 || !timeMin || !timeMax) {
+            throw new Error('Missing required parameters');
+        }
+
+        const res = await this._fetchWithAuth(`${CALENDAR_API_BASE}/freeBusy`, {
+            method: 'POST',
+            _interactive: true,
+            _scopes: FREEBUSY_SCOPES,
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                timeMin: timeMin.toISOString(),
+                timeMax: timeMax.toISOString(),
+                items: calendarIds.map(id => ({ id }))
+            })
+        });
+
+        await this._checkResponse(res, 'FreeBusy API');
+
+        const data = await res.json();
+        return data.calendars || {};
+    }
 }
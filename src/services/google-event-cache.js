@@ -0,0 +1,274 @@
+/**
+ * GoogleEventCache - Range-based cache of Google Calendar events (background)
+ *
+ * Events are kept per calendar and per day. A request for days that are not
+ * cached fetches them together with PREFETCH_DAYS on either side, so stepping
+ * to the next or previous day is served from memory. Cached days older than
+ * STALE_AFTER_MS are returned as they are and checked in the background with
+ * the client's incremental sync: a calendar without changes since it was
+ * fetched costs one small delta request, and only a changed one is fetched
+ * again. `onRefresh` is called when a refresh changed what was cached.
+ *
+ * The cache lives in the service worker's memory and starts empty whenever
+ * the worker restarts. Writes (create/update/delete/RSVP) must invalidate
+ * the calendar they touched.
+ */
+
+import { isGoogleEventOnDay } from '../lib/google-event-utils.js';
+import { addDays } from '../lib/time-utils.js';
+import { getFormattedDateFromDate, logWarn } from '../lib/utils.js';
+
+export class GoogleEventCache {
+    // Days fetched before and after the requested range
+    static PREFETCH_DAYS = 7;
+
+    // Age after which a cached day is checked for changes in the background
+    static STALE_AFTER_MS = 60 * 1000;
+
+    // Days kept per calendar; the days furthest from the latest fetch are dropped first
+    static MAX_CACHED_DAYS = 120;
+
+    /**
+     * @param {GoogleCalendarClient} client - Used for fetching and decorating events
+     * @param {Object} [options]
+     * @param {Function} [options.onRefresh] - Called after a background refresh changed cached events
+     * @param {Function} [options.now] - Clock, injectable for tests
+     */
+    constructor(client, { onRefresh = null, now = () => Date.now() } = {}) {
+        this.client = client;
+        this.onRefresh = onRefresh;
+        this._now = now;
+
+        this._days = new Map();       // calendarId → Map<YYYY-MM-DD, {events, fetchedAt}>
+        this._versions = new Map();   // calendarId → bumped on invalidation (drops in-flight results)
+        this._calendarList = [];
+        this._inflight = new Map();   // fetch key → Promise, so concurrent misses share one request
+    }
+
+    /**
+     * Get the events of a range, fetching only what is not cached
+     * @param {Date|null} targetDate - The first day (today if omitted)
+     * @param {number} [days=1] - The number of days
+     * @param {Array<string>|null} [calendarIds] - The calendars (the displayed calendars if omitted)
+     * @param {Object} [options]
+     * @param {boolean} [options.includeDeclined=false] - Keep the cancelled and declined
+     *   events (the cache holds them either way; see GoogleCalendarClient.decorateEvents)
+     * @returns {Promise<Array>} The events, as GoogleCalendarClient.getCalendarEvents returns them
+     */
+    async getEvents(targetDate = null, days = 1, calendarIds = null, { includeDeclined = false } = {}) {
+        const ids = calendarIds || await this.client.getDisplayCalendarIds();
+        if (ids.length === 0) return [];
+
+        const firstDay = new Date(targetDate || new Date());
+        firstDay.setHours(0, 0, 0, 0);
+        const dayKeys = this._dayKeys(firstDay, days);
+
+        const missing = ids.filter(id => !dayKeys.every(key => this._days.get(id)?.has(key)));
+        if (missing.length > 0) {
+            await this._fetchAround(missing, firstDay, days);
+        }
+
+        const stale = ids.filter(id => !missing.includes(id) && this._isStale(id, dayKeys));
+        if (stale.length > 0) {
+            this._refreshStale(stale, firstDay, days, dayKeys)
+                .then(changed => {
+                    if (changed && this.onRefresh) this.onRefresh();
+                })
+                .catch(error => logWarn('Event cache refresh', error.message));
+        }
+
+        return this._collect(ids, dayKeys, includeDeclined);
+    }
+
+    /**
+     * Forget the cached events of a calendar after a write to it.
+     * 'primary' or an empty ID clears everything, since the cache is keyed by
+     * the calendar's real ID.
+     * @param {string|null} calendarId
+     */
+    invalidateCalendar(calendarId) {
+        if (!calendarId || calendarId === 'primary') {
+            this.invalidateAll();
+            return;
+        }
+        this._days.delete(calendarId);
+        this._versions.set(calendarId, (this._versions.get(calendarId) || 0) + 1);
+    }
+
+    /**
+     * Forget every cached event
+     */
+    invalidateAll() {
+        for (const calendarId of new Set([...this._days.keys(), ...this._versions.keys()])) {
+            this._versions.set(calendarId, (this._versions.get(calendarId) || 0) + 1);
+        }
+        this._days.clear();
+    }
+
+    /**
+     * Check stale calendars for changes and fetch the changed ones again.
+     * A calendar is kept when its sync mirror covers the requested days and
+     * has not changed since the oldest of them was fetched.
+     * @returns {Promise<boolean>} Whether any cached day changed
+     * @private
+     */
+    async _refreshStale(calendarIds, firstDay, days, dayKeys) {
+        const checks = await Promise.all(calendarIds.map(calendarId =>
+            this.client.syncCalendarEvents(calendarId)
+                .catch(error => {
+                    logWarn('Event cache sync check', error.message);
+                    return null;
+                })
+        ));
+
+        const changed = [];
+        checks.forEach((sync, index) => {
+            const calendarId = calendarIds[index];
+            const calendarDays = this._days.get(calendarId);
+            if (!calendarDays) {
+                return; // Invalidated while checking; the next read fetches it
+            }
+            const fetchedAt = Math.min(...dayKeys.map(key => calendarDays.get(key)?.fetchedAt ?? 0));
+            const covered = sync && sync.windowStart <= dayKeys[0] && dayKeys[dayKeys.length - 1] <= sync.windowEnd;
+
+            if (covered && sync.lastChangeAt <= fetchedAt) {
+                const checkedAt = this._now();
+                dayKeys.forEach(key => {
+                    const day = calendarDays.get(key);
+                    if (day) day.fetchedAt = checkedAt;
+                });
+            } else {
+                changed.push(calendarId);
+            }
+        });
+
+        return changed.length > 0 ? this._fetchAround(changed, firstDay, days) : false;
+    }
+
+    /**
+     * Fetch a range plus PREFETCH_DAYS on either side and store it per day
+     * @returns {Promise<boolean>} Whether any cached day changed
+     * @private
+     */
+    _fetchAround(calendarIds, firstDay, days) {
+        const windowStart = addDays(firstDay, -GoogleEventCache.PREFETCH_DAYS);
+        const windowDays = days + 2 * GoogleEventCache.PREFETCH_DAYS;
+        const key = `${calendarIds.join(',')}|${getFormattedDateFromDate(windowStart)}|${windowDays}`;
+
+        if (!this._inflight.has(key)) {
+            const versions = calendarIds.map(id => this._versions.get(id) || 0);
+            const request = this.client.fetchCalendarRanges(windowStart, calendarIds, windowDays)
+                .then(({ calendarList, results }) => {
+                    this._calendarList = calendarList;
+                    let changed = false;
+                    results.forEach(result => {
+                        const index = calendarIds.indexOf(result.calendarId);
+                        // Failed calendars are retried next time; results that raced an
+                        // invalidation may predate the write and are dropped
+                        if (result.failed || versions[index] !== (this._versions.get(result.calendarId) || 0)) {
+                            return;
+                        }
+                        changed = this._store(result.calendarId, result.events, windowStart, windowDays) || changed;
+                    });
+                    return changed;
+                })
+                .finally(() => this._inflight.delete(key));
+            this._inflight.set(key, request);
+        }
+        return this._inflight.get(key);
+    }
+
+    /**
+     * Store a calendar's events under every day of a window they fall on
+     * @returns {boolean} Whether a previously cached day changed
+     * @private
+     */
+    _store(calendarId, events, windowStart, windowDays) {
+        if (!this._days.has(calendarId)) {
+            this._days.set(calendarId, new Map());
+        }
+        const calendarDays = this._days.get(calendarId);
+        const fetchedAt = this._now();
+        let changed = false;
+
+        for (let offset = 0; offset < windowDays; offset++) {
+            const day = addDays(windowStart, offset);
+            const key = getFormattedDateFromDate(day);
+            const dayEvents = events.filter(event => isGoogleEventOnDay(event, day));
+
+            const previous = calendarDays.get(key);
+            if (previous && this._signature(previous.events) !== this._signature(dayEvents)) {
+                changed = true;
+            }
+            // Re-inserted so the map keeps days in fetch order for pruning
+            calendarDays.delete(key);
+            calendarDays.set(key, { events: dayEvents, fetchedAt });
+        }
+
+        this._prune(calendarDays, getFormattedDateFromDate(addDays(windowStart, Math.floor(windowDays / 2))));
+        return changed;
+    }
+
+    /**
+     * Drop the days furthest from `centerKey` beyond MAX_CACHED_DAYS
+     * @private
+     */
+    _prune(calendarDays, centerKey) {
+        const excess = calendarDays.size - GoogleEventCache.MAX_CACHED_DAYS;
+        if (excess <= 0) return;
+
+        const center = new Date(`${centerKey}T00:00:00`).getTime();
+        const byDistance = [...calendarDays.keys()]
+            .sort((a, b) => Math.abs(new Date(`${b}T00:00:00`) - center) - Math.abs(new Date(`${a}T00:00:00`) - center));
+        byDistance.slice(0, excess).forEach(key => calendarDays.delete(key));
+    }
+
+    /**
+     * Whether any of the days of a calendar is older than STALE_AFTER_MS
+     * @private
+     */
+    _isStale(calendarId, dayKeys) {
+        const calendarDays = this._days.get(calendarId);
+        const limit = this._now() - GoogleEventCache.STALE_AFTER_MS;
+        return dayKeys.some(key => calendarDays.get(key).fetchedAt < limit);
+    }
+
+    /**
+     * The cached events of a range, each event once, decorated with its calendar's colors
+     * @private
+     */
+    _collect(calendarIds, dayKeys, includeDeclined) {
+        const results = calendarIds.map(calendarId => {
+            const calendarDays = this._days.get(calendarId);
+            const seen = new Set();
+            const events = [];
+            for (const key of dayKeys) {
+                for (const event of calendarDays?.get(key)?.events || []) {
+                    if (!seen.has(event.id)) {
+                        seen.add(event.id);
+                        events.push(event);
+                    }
+                }
+            }
+            return { calendarId, events };
+        });
+        return this.client.decorateEvents(results, this._calendarList, { includeDeclined });
+    }
+
+    /**
+     * The YYYY-MM-DD keys of `days` days from `firstDay`
+     * @private
+     */
+    _dayKeys(firstDay, days) {
+        return Array.from({ length: Math.max(1, days) }, (_, offset) =>
+            getFormattedDateFromDate(addDays(firstDay, offset)));
+    }
+
+    /**
+     * What identifies a day's content: event IDs and their last-modified stamps
+     * @private
+     */
+    _signature(events) {
+        return events.map(event => `${event.id}:${event.etag || event.updated || ''}`).join('|');
+    }
+}
@@ -5,14 +5,32 @@
  * DOM-free: only handles data persistence and alarm management.
  */
 
-import { RECURRENCE_TYPES } from '../lib/constants.js';
 import {
     loadLocalEventsForDate, saveLocalEventsForDate,
     loadRecurringEvents, saveRecurringEvents,
     addRecurringEventException, deleteRecurringEvent
 } from '../lib/event-storage.js';
 import { getFormattedDateFromDate } from '../lib/utils.js';
+import { parseDateString } from '../lib/time-utils.js';
+import { MAX_EVENT_SPAN_DAYS, STORAGE_KEYS } from '../lib/constants.js';
 import { AlarmManager } from '../lib/alarm-manager.js';
+import { normalizeReminderOffsets } from '../lib/reminder-offsets.js';
+import { normalizeRecurrence, validateRecurrence } from '../lib/rrule.js';
+
+// chrome.storage.sync.QUOTA_BYTES_PER_ITEM, for runtimes that do not expose it
+const SYNC_QUOTA_BYTES_PER_ITEM = 8192;
+
+/**
+ * Whether a value fits in one sync storage item, measured as Chrome does:
+ * the key plus the JSON of the value, in UTF-8 bytes
+ * @param {string} key
+ * @param {*} value
+ * @returns {boolean}
+ */
+function fitsSyncItem(key, value) {
+    const quota = chrome.storage.sync.QUOTA_BYTES_PER_ITEM || SYNC_QUOTA_BYTES_PER_ITEM;
+    return new TextEncoder().encode(key + JSON.stringify(value)).length <= quota;
+}
 
 export class LocalEventService {
     /**
@@ -23,34 +41,71 @@ export class LocalEventService {
         return `local_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
     }
 
+    /**
+     * Build the stored fields shared by every local event from form data.
+     * All-day events carry no times; `spanDays` is only kept for multi-day events
+     * and `reminderOffsets` only for reminders with times of their own.
+     * @param {Object} eventData - The event form data
+     * @returns {Object}
+     */
+    static buildEventFields(eventData) {
+        const fields = {
+            title: eventData.title,
+            description: eventData.description || ''
+        };
+
+        if (eventData.allDay) {
+            fields.allDay = true;
+            fields.reminder = false;
+        } else {
+            fields.startTime = eventData.startTime;
+            fields.endTime = eventData.endTime;
+            fields.reminder = eventData.reminder !== false;
+            // Without offsets of its own the event uses the reminderMinutes setting
+            const reminderOffsets = normalizeReminderOffsets(eventData.reminderOffsets);
+            if (fields.reminder && reminderOffsets.length > 0) {
+                fields.reminderOffsets = reminderOffsets;
+            }
+        }
+
+        if (Number.isInteger(eventData.spanDays) && eventData.spanDays > 0) {
+            if (eventData.spanDays > MAX_EVENT_SPAN_DAYS) {
+                throw new Error(`an event cannot span more than ${MAX_EVENT_SPAN_DAYS} days`);
+            }
+            fields.spanDays = eventData.spanDays;
+        }
+
+        return fields;
+    }
+
     /**
      * Create a new local event
      * @param {Object} eventData - The event form data
      * @param {Date} currentDate - The date to associate the event with
      */
     async createEvent(eventData, currentDate) {
-        if (!eventData.title || !eventData.startTime) {
+        if (!eventData.title || (!eventData.allDay && !eventData.startTime)) {
             throw new Error('title and startTime are required');
         }
-        const isRecurring = eventData.recurrence && eventData.recurrence.type !== RECURRENCE_TYPES.NONE;
+        // Stored recurring events always carry an RRULE; preset/legacy shapes are converted here
+        const recurrence = normalizeRecurrence(eventData.recurrence);
+        const isRecurring = !!recurrence;
+        if (isRecurring) {
+            validateRecurrence(recurrence);
+        }
 
         const newEvent = {
             id: LocalEventService.generateId(),
-            title: eventData.title,
-            description: eventData.description || '',
-            startTime: eventData.startTime,
-            endTime: eventData.endTime,
-            reminder: eventData.reminder !== false
+            ...LocalEventService.buildEventFields(eventData)
         };
 
         if (isRecurring) {
-            newEvent.recurrence = eventData.recurrence;
+            newEvent.recurrence = recurrence;
             const recurringEvents = await loadRecurringEvents();
             recurringEvents.push(newEvent);
             await saveRecurringEvents(recurringEvents);
         } else {
-            const localEvents = await loadLocalEventsForDate(currentDate);
-            const nonRecurringEvents = localEvents.filter(e => !e.isRecurringInstance);
+            const nonRecurringEvents = await this._loadDateSpecificEvents(currentDate);
             nonRecurringEvents.push(newEvent);
             await saveLocalEventsForDate(nonRecurringEvents, currentDate);
 
@@ -61,6 +116,103 @@ export class LocalEventService {
         }
     }
 
+    /**
+     * Store a batch of imported events (see ics-parser.js).
+     * Each date key (local storage) and the recurring list are written once.
+     * Every recurring event lives in the one `recurringEvents` sync storage
+     * item, so a file whose series would not fit in it with the stored ones
+     * is rejected before anything is written (see canImportRecurring()).
+     * Reminders are set for today's events; later days are picked up by the
+     * daily reminder sync.
+     * @param {Array<Object>} events - Event data with `startDate` (YYYY-MM-DD) and an optional `uid`
+     * @returns {Promise<number>} The number of events stored
+     * @throws {Error} If an event is invalid or the series do not fit
+     */
+    async importEvents(events) {
+        const { recurringEvents, eventsByDate } = LocalEventService._buildImportedEvents(events);
+
+        if (recurringEvents.length > 0) {
+            const all = [...await loadRecurringEvents(), ...recurringEvents];
+            if (!fitsSyncItem(STORAGE_KEYS.RECURRING_EVENTS, all)) {
+                throw new Error('The repeating events do not fit in sync storage');
+            }
+            await saveRecurringEvents(all);
+        }
+
+        const todayStr = getFormattedDateFromDate(new Date());
+        for (const [dateStr, newEvents] of eventsByDate) {
+            const date = parseDateString(dateStr);
+            const existing = await this._loadDateSpecificEvents(date);
+            await saveLocalEventsForDate([...existing, ...newEvents], date);
+
+            if (dateStr === todayStr) {
+                for (const event of newEvents.filter(e => e.reminder)) {
+                    await AlarmManager.setReminder(event, dateStr);
+                }
+            }
+        }
+
+        return recurringEvents.length + [...eventsByDate.values()].reduce((sum, list) => sum + list.length, 0);
+    }
+
+    /**
+     * Whether the recurring events of an import fit, with the stored ones, in
+     * the single sync storage item that holds every recurring event
+     * (`QUOTA_BYTES_PER_ITEM`, 8 KB). Checked while previewing a file.
+     * @param {Array<Object>} events - Event data as for importEvents()
+     * @returns {Promise<boolean>}
+     * @throws {Error} If an event is invalid
+     */
+    async canImportRecurring(events) {
+        const { recurringEvents } = LocalEventService._buildImportedEvents(events);
+        if (recurringEvents.length === 0) {
+            return true;
+        }
+        return fitsSyncItem(STORAGE_KEYS.RECURRING_EVENTS, [...await loadRecurringEvents(), ...recurringEvents]);
+    }
+
+    /**
+     * Validate imported event data and build the events to store
+     * @param {Array<Object>} events - Event data as for importEvents()
+     * @returns {{recurringEvents: Array<Object>, eventsByDate: Map<string, Array<Object>>}}
+     * @throws {Error} If an event is invalid
+     * @private
+     */
+    static _buildImportedEvents(events) {
+        const recurringEvents = [];
+        const eventsByDate = new Map();
+
+        // Validate everything before writing anything
+        for (const eventData of events) {
+            if (!eventData.title || (!eventData.allDay && !eventData.startTime)) {
+                throw new Error('title and startTime are required');
+            }
+            const recurrence = normalizeRecurrence(eventData.recurrence);
+            if (recurrence) {
+                validateRecurrence(recurrence);
+            }
+
+            const newEvent = {
+                id: LocalEventService.generateId(),
+                ...LocalEventService.buildEventFields(eventData)
+            };
+            if (eventData.uid) {
+                newEvent.uid = eventData.uid;
+            }
+
+            if (recurrence) {
+                newEvent.recurrence = recurrence;
+                recurringEvents.push(newEvent);
+            } else {
+                if (!eventsByDate.has(eventData.startDate)) {
+                    eventsByDate.set(eventData.startDate, []);
+                }
+                eventsByDate.get(eventData.startDate).push(newEvent);
+            }
+        }
+        return { recurringEvents, eventsByDate };
+    }
+
     /**
      * Update an existing local event
      * @param {Object} eventData - The updated form data
@@ -68,12 +220,18 @@ export class LocalEventService {
      * @param {Date} currentDate - The current date context
      */
     async updateEvent(eventData, currentEvent, currentDate) {
-        const isRecurring = eventData.recurrence && eventData.recurrence.type !== RECURRENCE_TYPES.NONE;
+        const recurrence = normalizeRecurrence(eventData.recurrence);
+        const isRecurring = !!recurrence;
+        if (isRecurring) {
+            validateRecurrence(recurrence);
+        }
+        const normalizedData = { ...eventData, recurrence };
+        const eventDate = LocalEventService.resolveEventDate(currentEvent, currentDate);
 
         if (currentEvent.isRecurringInstance || currentEvent.recurrence) {
-            return await this._editRecurringEvent(eventData, currentEvent, isRecurring, currentDate);
+            return await this._editRecurringEvent(normalizedData, currentEvent, isRecurring, eventDate);
         } else {
-            return await this._editDateSpecificEvent(eventData, currentEvent, isRecurring, currentDate);
+            return await this._editDateSpecificEvent(normalizedData, currentEvent, isRecurring, eventDate);
         }
     }
 
@@ -94,16 +252,17 @@ export class LocalEventService {
                 await addRecurringEventException(eventId, dateStr);
             }
         } else {
-            const localEvents = await loadLocalEventsForDate(currentDate);
-            const nonRecurringEvents = localEvents.filter(e => !e.isRecurringInstance);
+            // A multi-day event is stored under the day it starts
+            const eventDate = LocalEventService.resolveEventDate(event, currentDate);
+            const nonRecurringEvents = await this._loadDateSpecificEvents(eventDate);
 
             if (event.id) {
-                const dateStr = getFormattedDateFromDate(currentDate);
+                const dateStr = getFormattedDateFromDate(eventDate);
                 await AlarmManager.clearReminder(event.id, dateStr);
             }
 
             const updatedEvents = nonRecurringEvents.filter(e => e.id !== event.id);
-            await saveLocalEventsForDate(updatedEvents, currentDate);
+            await saveLocalEventsForDate(updatedEvents, eventDate);
         }
     }
 
@@ -118,30 +277,28 @@ export class LocalEventService {
 
         if (eventIndex === -1) return false;
 
-        recurringEvents[eventIndex] = {
+        const fields = LocalEventService.buildEventFields(eventData);
+        const updatedEvent = {
             ...recurringEvents[eventIndex],
-            title: eventData.title,
-            description: eventData.description || '',
-            startTime: eventData.startTime,
-            endTime: eventData.endTime,
-            reminder: eventData.reminder !== false,
+            ...fields,
             recurrence: isRecurring ? eventData.recurrence : null
         };
+        // Drop the optional fields the edit removed (e.g. times once an event becomes all-day)
+        for (const key of ['startTime', 'endTime', 'allDay', 'spanDays', 'reminderOffsets']) {
+            if (!(key in fields)) delete updatedEvent[key];
+        }
+        recurringEvents[eventIndex] = updatedEvent;
 
         if (!isRecurring) {
             // Convert recurring → date-specific
             const removedEvent = recurringEvents.splice(eventIndex, 1)[0];
             await saveRecurringEvents(recurringEvents);
 
-            const localEvents = await loadLocalEventsForDate(currentDate);
-            const nonRecurringEvents = localEvents.filter(e => !e.isRecurringInstance);
+            const nonRecurringEvents = await this._loadDateSpecificEvents(currentDate);
             nonRecurringEvents.push({
                 id: removedEvent.id,
-                title: eventData.title,
-                description: eventData.description || '',
-                startTime: eventData.startTime,
-                endTime: eventData.endTime,
-                reminder: eventData.reminder !== false
+                ...LocalEventService._importedUid(removedEvent),
+                ...fields
             });
             await saveLocalEventsForDate(nonRecurringEvents, currentDate);
         } else {
@@ -154,8 +311,7 @@ export class LocalEventService {
      * @private
      */
     async _editDateSpecificEvent(eventData, currentEvent, isRecurring, currentDate) {
-        const localEvents = await loadLocalEventsForDate(currentDate);
-        const nonRecurringEvents = localEvents.filter(e => !e.isRecurringInstance);
+        const nonRecurringEvents = await this._loadDateSpecificEvents(currentDate);
         const eventIndex = nonRecurringEvents.findIndex(e => e.id === currentEvent.id);
 
         if (eventIndex === -1) return false;
@@ -172,11 +328,8 @@ export class LocalEventService {
             // Convert date-specific → recurring
             const newRecurringEvent = {
                 id: existingEvent.id || LocalEventService.generateId(),
-                title: eventData.title,
-                description: eventData.description || '',
-                startTime: eventData.startTime,
-                endTime: eventData.endTime,
-                reminder: eventData.reminder !== false,
+                ...LocalEventService._importedUid(existingEvent),
+                ...LocalEventService.buildEventFields(eventData),
                 recurrence: eventData.recurrence
             };
 
@@ -190,11 +343,8 @@ export class LocalEventService {
             // Update as regular event
             nonRecurringEvents[eventIndex] = {
                 id: existingEvent.id || LocalEventService.generateId(),
-                title: eventData.title,
-                description: eventData.description || '',
-                startTime: eventData.startTime,
-                endTime: eventData.endTime,
-                reminder: eventData.reminder !== false
+                ...LocalEventService._importedUid(existingEvent),
+                ...LocalEventService.buildEventFields(eventData)
             };
 
             await saveLocalEventsForDate(nonRecurringEvents, currentDate);
@@ -204,4 +354,41 @@ export class LocalEventService {
             }
         }
     }
+
+    /**
+     * The date a local event is stored under. A continuation shown on a later
+     * day of a multi-day event resolves to the day the event started.
+     * @param {Object} event - The event as loaded for display
+     * @param {Date} currentDate - The date currently displayed
+     * @returns {Date}
+     */
+    static resolveEventDate(event, currentDate) {
+        if (event?.isContinuation && event.occurrenceDate) {
+            return parseDateString(event.occurrenceDate);
+        }
+        return currentDate;
+    }
+
+    /**
+     * The `uid` of an imported event, kept across edits so a re-import still
+     * recognises it as a duplicate.
+     * @param {Object} event - The stored event
+     * @returns {Object} `{ uid }`, or an empty object for events created in the app
+     * @private
+     */
+    static _importedUid(event) {
+        return event.uid ? { uid: event.uid } : {};
+    }
+
+    /**
+     * Load the events stored under a date, without recurring instances or
+     * continuations of events stored under earlier dates.
+     * @param {Date} date
+     * @returns {Promise<Array>}
+     * @private
+     */
+    async _loadDateSpecificEvents(date) {
+        const localEvents = await loadLocalEventsForDate(date);
+        return localEvents.filter(e => !e.isRecurringInstance && !e.isContinuation);
+    }
 }
@@ -0,0 +1,69 @@
+/**
+ * MonthOverviewService - Per-day event counts and conflicts for the month overview.
+ *
+ * Reads the local events of every grid day in one storage read and the Google
+ * events with one range request, then summarizes each day.
+ * DOM-free: the MonthOverviewComponent renders the result.
+ */
+
+import { loadLocalEventsForDates } from '../lib/event-storage.js';
+import { isGoogleEventOnDay } from '../lib/google-event-utils.js';
+import { summarizeDay } from '../lib/day-summary.js';
+import { isToday } from '../lib/time-utils.js';
+import { getFormattedDateFromDate, logError } from '../lib/utils.js';
+import { getDemoLocalEvents, isDemoMode } from '../lib/demo-data.js';
+
+export class MonthOverviewService {
+    constructor() {
+        this._requestId = 0;
+    }
+
+    /**
+     * Summarize the events of consecutive days
+     * @param {Array<Date>} dates - The grid days, in order
+     * @param {Function} fetchGoogleEvents - `(startDate, days)` → Promise of the Google
+     *   events in the range, or null when Google is not available
+     *   (GoogleEventManager.fetchEventsInRange)
+     * @returns {Promise<Map<string, {local: number, google: number, hasConflict: boolean}>|null>}
+     *   Summaries keyed by date (YYYY-MM-DD), or null when a newer request has started
+     */
+    async loadSummaries(dates, fetchGoogleEvents) {
+        const requestId = ++this._requestId;
+
+        const [localEvents, googleEvents] = await Promise.all([
+            loadLocalEventsForDays(dates),
+            // Counts still show the local events when Google fails
+            fetchGoogleEvents(dates[0], dates.length).catch(error => {
+                logError('Month overview Google fetch', error);
+                return null;
+            })
+        ]);
+
+        if (requestId !== this._requestId) {
+            return null;
+        }
+
+        const summaries = new Map();
+        for (const date of dates) {
+            const dateStr = getFormattedDateFromDate(date);
+            const dayGoogleEvents = (googleEvents || []).filter(event => isGoogleEventOnDay(event, date));
+            summaries.set(dateStr, summarizeDay(date, localEvents.get(dateStr) || [], dayGoogleEvents));
+        }
+        return summaries;
+    }
+}
+
+/**
+ * The local events of each day, keyed by date (also used by FreeSlotService)
+ * @param {Array<Date>} dates
+ * @returns {Promise<Map<string, Array>>}
+ */
+export async function loadLocalEventsForDays(dates) {
+    if (isDemoMode()) {
+        // Demo local events only exist on today
+        const today = dates.find(date => isToday(date));
+        const events = today ? await getDemoLocalEvents() : [];
+        return new Map(today ? [[getFormattedDateFromDate(today), events]] : []);
+    }
+    return loadLocalEventsForDates(dates);
+}
@@ -0,0 +1,61 @@
+/**
+ * PendingInvitationsService - The invitations the user has not answered yet,
+ * for the pending-invitations section.
+ *
+ * Reads the Google events of the coming days with one range request (the
+ * same source as the month overview) and keeps the unanswered invitations.
+ * DOM-free: PendingInvitationsComponent renders them.
+ */
+
+import { isPendingInvitation } from '../lib/google-event-utils.js';
+import { createTimeOnDate, parseDateString } from '../lib/time-utils.js';
+
+// How far ahead invitations are looked for (days, starting today)
+export const INVITATION_DAYS = 14;
+
+/**
+ * An event's start or end as a Date (all-day events at local midnight)
+ * @param {{date?: string, dateTime?: string}} point - The event's `start` or `end`
+ * @returns {Date}
+ */
+function toDate(point) {
+    return point.dateTime ? new Date(point.dateTime) : parseDateString(point.date);
+}
+
+export class PendingInvitationsService {
+    constructor() {
+        this._requestId = 0;
+    }
+
+    /**
+     * Find the invitations waiting for an answer, from today on
+     * @param {Function} fetchGoogleEvents - `(startDate, days)` → Promise of the Google
+     *   events in the range, or null when Google is not available
+     *   (GoogleEventManager.fetchEventsInRange)
+     * @param {Date} [now]
+     * @returns {Promise<Array<Object>|null>} The invitations on the user's own
+     *   calendars (the only ones they can answer) that have not ended, earliest
+     *   first and each listed once; null when a newer request has started
+     */
+    async loadInvitations(fetchGoogleEvents, now = new Date()) {
+        const requestId = ++this._requestId;
+
+        const events = await fetchGoogleEvents(createTimeOnDate(now, 0, 0), INVITATION_DAYS);
+        if (requestId !== this._requestId) {
+            return null;
+        }
+
+        const seen = new Set();
+        return (events || [])
+            .filter(event => event.isOwnedCalendar && isPendingInvitation(event)
+                && event.start && event.end && toDate(event.end) > now)
+            .filter(event => {
+                if (seen.has(event.id)) {
+                    return false;
+                }
+                seen.add(event.id);
+                return true;
+            })
+            .sort((a, b) => toDate(a.start) - toDate(b.start));
+    }
+}
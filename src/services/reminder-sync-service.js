@@ -6,6 +6,13 @@
  */
 import { StorageHelper } from '../lib/storage-helper.js';
 import { AlarmManager } from '../lib/alarm-manager.js';
+import { DEFAULT_SETTINGS, STORAGE_KEYS } from '../lib/constants.js';
+import { MAX_REMINDER_OFFSET_MINUTES, formatDuration } from '../lib/reminder-offsets.js';
+import { getFocusBlocks } from '../lib/reminder-quiet-hours.js';
+import { summarizeAgenda } from '../lib/day-summary.js';
+import { loadLocalEventsForDate } from '../lib/event-storage.js';
+import { addDays, createTimeOnDate, parseTimeString } from '../lib/time-utils.js';
+import { getFormattedDateFromDate } from '../lib/utils.js';
 import { AuthenticationError } from './google-calendar-client.js';
 
 export class ReminderSyncService {
@@ -14,7 +21,16 @@ export class ReminderSyncService {
     // legacy/corrupt data) fall back to the default rather than hammering the
     // service worker.
     static DEFAULT_SYNC_MINUTES = 60;
-    static MIN_SYNC_MINUTES = 15;
+    static MIN_SYNC_MINUTES = 5;
+
+    // Days after today whose events are reminded: the longest reminder offset
+    // (one week) for an event then falls on or before today
+    static LOOKAHEAD_DAYS = Math.ceil(MAX_REMINDER_OFFSET_MINUTES / (24 * 60));
+
+    // The morning agenda: a one-shot alarm at `agendaDigestTime`, set again
+    // for the next day each time it fires (and by the daily sync)
+    static AGENDA_DIGEST_ALARM = 'agenda_digest';
+    static AGENDA_DIGEST_NOTIFICATION = 'agenda_digest';
 
     /**
      * @param {import('./google-calendar-client.js').GoogleCalendarClient} calendarClient
@@ -24,30 +40,41 @@ export class ReminderSyncService {
     }
 
     /**
-     * Sync all event reminders (local and Google)
+     * Sync all event reminders (local and Google) and the focus blocks that hold them
      */
     async syncAll() {
         await Promise.all([
             this.syncLocalEventReminders(),
-            this.syncGoogleEventReminders()
+            this.syncGoogleEventReminders(),
+            this.syncFocusBlocks()
         ]);
     }
 
     /**
-     * Sync local event reminders for today
+     * The dates whose events are reminded, today first
+     * @returns {string[]} YYYY-MM-DD
+     */
+    getReminderDates() {
+        const today = new Date();
+        return Array.from({ length: ReminderSyncService.LOOKAHEAD_DAYS + 1 }, (_, offset) =>
+            getFormattedDateFromDate(addDays(today, offset)));
+    }
+
+    /**
+     * Sync local event reminders for today and the look-ahead days
      */
     async syncLocalEventReminders() {
         try {
-            const today = new Date();
-            const dateStr = `${today.getFullYear()}-${String(today.getMonth() + 1).padStart(2, '0')}-${String(today.getDate()).padStart(2, '0')}`;
-            await AlarmManager.setDateReminders(dateStr);
+            for (const dateStr of this.getReminderDates()) {
+                await AlarmManager.setDateReminders(dateStr);
+            }
         } catch (error) {
             console.error('[Reminder Sync] Failed to sync local event reminders:', error);
         }
     }
 
     /**
-     * Sync Google event reminders for today
+     * Sync Google event reminders for today and the look-ahead days
      */
     async syncGoogleEventReminders() {
         try {
@@ -72,14 +99,13 @@ export class ReminderSyncService {
                 return;
             }
 
-            const today = new Date();
-            const dateStr = `${today.getFullYear()}-${String(today.getMonth() + 1).padStart(2, '0')}-${String(today.getDate()).padStart(2, '0')}`;
+            const dates = this.getReminderDates();
 
             // Clear old reminders from previous dates
             const allAlarms = await chrome.alarms.getAll();
             const oldReminders = allAlarms.filter(alarm =>
                 alarm.name.startsWith(AlarmManager.GOOGLE_ALARM_PREFIX) &&
-                !alarm.name.includes(`${AlarmManager.GOOGLE_ALARM_PREFIX}${dateStr}_`)
+                !dates.some(dateStr => alarm.name.startsWith(`${AlarmManager.GOOGLE_ALARM_PREFIX}${dateStr}_`))
             );
 
             for (const alarm of oldReminders) {
@@ -89,9 +115,15 @@ export class ReminderSyncService {
                 await chrome.storage.local.remove(storageKey);
             }
 
-            const events = await this._calendarClient.getPrimaryCalendarEvents(today);
-            if (events && events.length > 0) {
-                await AlarmManager.setGoogleEventReminders(events, dateStr);
+            // The selected calendars' events, served from their incremental
+            // sync mirrors, so frequent syncs only download what changed.
+            // Every date goes through, even without events, so the reminders
+            // of deleted events are cleared.
+            const events = await this._calendarClient.getReminderCalendarEvents(new Date(), dates.length);
+            for (const dateStr of dates) {
+                const dayEvents = (events || []).filter(event =>
+                    event.start?.dateTime && getFormattedDateFromDate(new Date(event.start.dateTime)) === dateStr);
+                await AlarmManager.setGoogleEventReminders(dayEvents, dateStr);
             }
 
             // Record sync timestamp
@@ -106,6 +138,36 @@ export class ReminderSyncService {
         }
     }
 
+    /**
+     * Store the focus time / out-of-office blocks of the primary calendar for
+     * the reminder dates, so AlarmManager can hold reminders during them
+     * without asking Google when an alarm fires
+     */
+    async syncFocusBlocks() {
+        try {
+            const settings = await StorageHelper.get(['suppressRemindersDuringFocus', 'googleIntegrated'], {
+                suppressRemindersDuringFocus: false,
+                googleIntegrated: false
+            });
+            if (!settings.suppressRemindersDuringFocus || !settings.googleIntegrated) {
+                await chrome.storage.local.remove(STORAGE_KEYS.REMINDER_FOCUS_BLOCKS);
+                return;
+            }
+
+            // The user's own blocks live on the primary calendar; a colleague's
+            // focus time on a shared calendar must not hold our reminders
+            const dates = this.getReminderDates();
+            const events = await this._calendarClient.getPrimaryCalendarEvents(new Date(), dates.length);
+            await StorageHelper.setLocal({ [STORAGE_KEYS.REMINDER_FOCUS_BLOCKS]: getFocusBlocks(events) });
+        } catch (error) {
+            if (error instanceof AuthenticationError) {
+                console.warn('[Reminder Sync] Focus blocks skipped: auth expired');
+            } else {
+                console.error('[Reminder Sync] Failed to sync focus blocks:', error);
+            }
+        }
+    }
+
     /**
      * Set up a recurring intra-day sync so reminders pick up Google Calendar
      * events that were added or rescheduled after the last sync.
@@ -185,4 +247,124 @@ export class ReminderSyncService {
             console.error('Failed to setup daily reminder sync:', error);
         }
     }
+
+    /**
+     * Schedule the morning agenda notification at the next `agendaDigestTime`,
+     * or remove it when the agenda is turned off
+     * @param {Object} [options]
+     * @param {boolean} [options.force=false] Reschedule even if an agenda alarm
+     *   exists. Use when the time setting changed.
+     * @param {Date} [now]
+     */
+    async setupAgendaDigest({ force = false } = {}, now = new Date()) {
+        const alarmName = ReminderSyncService.AGENDA_DIGEST_ALARM;
+        try {
+            const { agendaDigestEnabled, agendaDigestTime } = await StorageHelper.get(
+                ['agendaDigestEnabled', 'agendaDigestTime'],
+                { agendaDigestEnabled: false, agendaDigestTime: DEFAULT_SETTINGS.agendaDigestTime }
+            );
+            if (!agendaDigestEnabled) {
+                await chrome.alarms.clear(alarmName);
+                return;
+            }
+
+            // Keep a pending alarm on startup: it may be a missed one Chrome
+            // is about to deliver
+            if (!force && await chrome.alarms.get(alarmName)) {
+                return;
+            }
+
+            let time;
+            try {
+                time = parseTimeString(agendaDigestTime);
+            } catch {
+                time = parseTimeString(DEFAULT_SETTINGS.agendaDigestTime);
+            }
+            let when = createTimeOnDate(now, time.hour, time.minute);
+            if (when <= now) {
+                when = addDays(when, 1);
+            }
+
+            await chrome.alarms.clear(alarmName);
+            await chrome.alarms.create(alarmName, { when: when.getTime() });
+        } catch (error) {
+            console.error('Failed to setup the agenda notification:', error);
+        }
+    }
+
+    /**
+     * Show today's agenda: how many meetings, when the first starts, time in
+     * meetings against free working hours, and conflicts
+     * @param {Date} [now]
+     */
+    async showAgendaDigest(now = new Date()) {
+        try {
+            const settings = await StorageHelper.get(['googleIntegrated', 'openTime', 'closeTime'], {
+                googleIntegrated: false,
+                openTime: DEFAULT_SETTINGS.openTime,
+                closeTime: DEFAULT_SETTINGS.closeTime
+            });
+
+            const [localEvents, googleEvents] = await Promise.all([
+                loadLocalEventsForDate(now),
+                // The local events still make an agenda when Google fails
+                settings.googleIntegrated
+                    ? this._calendarClient.getCalendarEvents(now, 1).catch(error => {
+                        console.warn('[Agenda] Google events unavailable:', error.message);
+                        return [];
+                    })
+                    : []
+            ]);
+            const meetings = googleEvents.filter(event =>
+                !AlarmManager.NON_MEETING_EVENT_TYPES.includes(event.eventType));
+
+            const agenda = summarizeAgenda(now, localEvents, meetings, settings);
+            const notificationOptions = {
+                type: 'basic',
+                title: chrome.i18n.getMessage('agendaDigestTitle') || "Today's agenda",
+                message: this._formatAgenda(agenda, settings),
+                iconUrl: chrome.runtime.getURL('src/img/icon48.png')
+            };
+            try {
+                await chrome.notifications.create(ReminderSyncService.AGENDA_DIGEST_NOTIFICATION, notificationOptions);
+            } catch (_iconError) {
+                delete notificationOptions.iconUrl;
+                await chrome.notifications.create(ReminderSyncService.AGENDA_DIGEST_NOTIFICATION, notificationOptions);
+            }
+        } catch (error) {
+            console.error('Failed to show the agenda notification:', error);
+        }
+    }
+
+    /**
+     * The agenda notification text, one line per fact
+     * @param {Object} agenda - See summarizeAgenda()
+     * @param {{openTime: string, closeTime: string}} workHours
+     * @returns {string}
+     * @private
+     */
+    _formatAgenda(agenda, { openTime, closeTime }) {
+        const message = (key, substitutions, fallback) => chrome.i18n.getMessage(key, substitutions) || fallback;
+        const duration = minutes => formatDuration(minutes, (key, substitutions) => chrome.i18n.getMessage(key, substitutions));
+
+        if (agenda.count === 0) {
+            return message('agendaDigestNoMeetings', [], 'No meetings today');
+        }
+
+        const pad = value => String(value).padStart(2, '0');
+        const firstStart = `${pad(agenda.firstStart.getHours())}:${pad(agenda.firstStart.getMinutes())}`;
+        const count = String(agenda.count);
+        const lines = [
+            agenda.count === 1
+                ? message('agendaDigestOneMeeting', [firstStart], `1 meeting at ${firstStart}`)
+                : message('agendaDigestMeetings', [count, firstStart], `${count} meetings, the first at ${firstStart}`),
+            message('agendaDigestBusyFree', [duration(agenda.busyMinutes), duration(Math.max(0, agenda.freeMinutes)), openTime, closeTime],
+                `In meetings ${duration(agenda.busyMinutes)}, free ${duration(Math.max(0, agenda.freeMinutes))} (${openTime}–${closeTime})`)
+        ];
+        if (agenda.conflicts > 0) {
+            const conflicts = String(agenda.conflicts);
+            lines.push(message('agendaDigestConflicts', [conflicts], `${conflicts} events overlap`));
+        }
+        return lines.join('\n');
+    }
 }
@@ -2,6 +2,7 @@
  * HeaderComponent - Side panel header component
  */
 import { Component } from '../base/component.js';
+import { VIEW_DAYS_OPTIONS } from '../../../lib/constants.js';
 
 export class HeaderComponent extends Component {
     constructor(options = {}) {
@@ -16,20 +17,30 @@ export class HeaderComponent extends Component {
         this.onDateChange = options.onDateChange || null;
         this.onSettingsClick = options.onSettingsClick || null;
         this.onSyncClick = options.onSyncClick || null;
+        this.onViewDaysChange = options.onViewDaysChange || null;
+        this.onMonthOverviewToggle = options.onMonthOverviewToggle || null;
+        this.onFindFreeTime = options.onFindFreeTime || null;
 
         // UI elements
         this.addEventButton = null;
+        this.freeTimeButton = null;
         this.prevDateButton = null;
         this.nextDateButton = null;
         this.dateInput = null;
         this.syncButton = null;
+        this.viewDaysButton = null;
+        this.monthOverviewButton = null;
         this.settingsButton = null;
+        this.conflictBadge = null;
 
         // Sync state
         this.isSyncing = false;
 
         // Current date
         this.currentDate = new Date();
+
+        // The number of day columns shown (prev/next move by this many days)
+        this.viewDays = 1;
     }
 
     createElement() {
@@ -50,10 +61,34 @@ export class HeaderComponent extends Component {
         // Date navigation
         const dateNavigation = this._createDateNavigation();
 
-        // Right-side buttons container (settings)
+        // Right-side buttons container (conflicts + month overview + view toggle + settings)
         const rightButtons = document.createElement('div');
         rightButtons.className = 'action-buttons';
 
+        // Double-booking count of the shown day(s), hidden while there are none
+        this.conflictBadge = document.createElement('span');
+        this.conflictBadge.className = 'conflict-badge';
+        this.conflictBadge.id = 'conflictBadge';
+        this.conflictBadge.setAttribute('role', 'status');
+        this.conflictBadge.style.display = 'none';
+        rightButtons.appendChild(this.conflictBadge);
+
+        // Month overview toggle
+        this.monthOverviewButton = document.createElement('i');
+        this.monthOverviewButton.className = 'fas fa-calendar-days month-overview-toggle';
+        this.monthOverviewButton.id = 'monthOverviewToggle';
+        this.monthOverviewButton.setAttribute('data-localize-title', '__MSG_monthOverviewToggle__');
+        rightButtons.appendChild(this.monthOverviewButton);
+
+        // View toggle (1 / 3 / 7 days)
+        this.viewDaysButton = document.createElement('button');
+        this.viewDaysButton.type = 'button';
+        this.viewDaysButton.className = 'view-days-toggle';
+        this.viewDaysButton.id = 'viewDaysToggle';
+        this.viewDaysButton.title = window.getLocalizedMessage('viewDaysToggle') || 'Switch between 1, 3 and 7 days';
+        this._updateViewDaysButton();
+        rightButtons.appendChild(this.viewDaysButton);
+
         // Settings button
         this.settingsButton = document.createElement('i');
         this.settingsButton.className = 'fas fa-cog settings-icon';
@@ -79,7 +114,7 @@ export class HeaderComponent extends Component {
     }
 
     /**
-     * Create action buttons (add + sync)
+     * Create action buttons (add + free time + sync)
      * @private
      */
     _createActionButtons() {
@@ -92,6 +127,13 @@ export class HeaderComponent extends Component {
         this.addEventButton.id = 'addLocalEventButton';
         this.addEventButton.setAttribute('data-localize-title', '__MSG_addEvent__');
 
+        // Free-time finder button
+        this.freeTimeButton = document.createElement('i');
+        this.freeTimeButton.className = 'fas fa-business-time free-time-icon';
+        this.freeTimeButton.id = 'findFreeTimeButton';
+        this.freeTimeButton.setAttribute('data-localize-title', '__MSG_freeSlotsTitle__');
+        this.freeTimeButton.title = window.getLocalizedMessage('freeSlotsTitle') || 'Find free time';
+
         // Sync button
         this.syncButton = document.createElement('i');
         this.syncButton.className = 'fas fa-sync sync-icon';
@@ -100,6 +142,7 @@ export class HeaderComponent extends Component {
         this.syncButton.title = window.getLocalizedMessage('syncReminders') || 'Sync Reminders';
 
         container.appendChild(this.addEventButton);
+        container.appendChild(this.freeTimeButton);
         container.appendChild(this.syncButton);
 
         return container;
@@ -150,13 +193,20 @@ export class HeaderComponent extends Component {
             }
         });
 
+        // Free-time finder button
+        this.addEventListener(this.freeTimeButton, 'click', () => {
+            if (this.onFindFreeTime) {
+                this.onFindFreeTime();
+            }
+        });
+
         // Date navigation
         this.addEventListener(this.prevDateButton, 'click', () => {
-            this._navigateDate(-1);
+            this._navigateDate(-this.viewDays);
         });
 
         this.addEventListener(this.nextDateButton, 'click', () => {
-            this._navigateDate(1);
+            this._navigateDate(this.viewDays);
         });
 
         this.addEventListener(this.dateInput, 'change', () => {
@@ -168,6 +218,23 @@ export class HeaderComponent extends Component {
             this._handleSyncClick();
         });
 
+        // View toggle: cycle through the supported day counts
+        this.addEventListener(this.viewDaysButton, 'click', () => {
+            const index = VIEW_DAYS_OPTIONS.indexOf(this.viewDays);
+            const next = VIEW_DAYS_OPTIONS[(index + 1) % VIEW_DAYS_OPTIONS.length];
+            this.setViewDays(next);
+            if (this.onViewDaysChange) {
+                this.onViewDaysChange(next);
+            }
+        });
+
+        // Month overview toggle
+        this.addEventListener(this.monthOverviewButton, 'click', () => {
+            if (this.onMonthOverviewToggle) {
+                this.onMonthOverviewToggle();
+            }
+        });
+
         // Settings button
         this.addEventListener(this.settingsButton, 'click', () => {
             if (this.onSettingsClick) {
@@ -227,6 +294,66 @@ export class HeaderComponent extends Component {
         }
     }
 
+    /**
+     * Set the number of day columns shown (updates the toggle label only;
+     * onViewDaysChange is reserved for user clicks)
+     * @param {number} days One of VIEW_DAYS_OPTIONS
+     */
+    setViewDays(days) {
+        this.viewDays = VIEW_DAYS_OPTIONS.includes(days) ? days : 1;
+        this._updateViewDaysButton();
+    }
+
+    /**
+     * Mark the month overview toggle as pressed while the grid is shown
+     * @param {boolean} active
+     */
+    setMonthOverviewActive(active) {
+        if (this.monthOverviewButton) {
+            this.monthOverviewButton.classList.toggle('active', active);
+        }
+    }
+
+    /**
+     * Show how many of the shown events overlap another one
+     * @param {number} count - 0 hides the badge
+     */
+    setConflictCount(count) {
+        if (!this.conflictBadge) {
+            return;
+        }
+
+        this.conflictBadge.style.display = count > 0 ? '' : 'none';
+        this.conflictBadge.textContent = '';
+        if (count <= 0) {
+            return;
+        }
+
+        const icon = document.createElement('i');
+        icon.className = 'fas fa-triangle-exclamation';
+        icon.setAttribute('aria-hidden', 'true');
+        this.conflictBadge.appendChild(icon);
+        this.conflictBadge.appendChild(document.createTextNode(String(count)));
+
+        const template = window.getLocalizedMessage('overlappingEventsCount');
+        this.conflictBadge.title = template
+            ? template.replace('$1', count)
+            : `${count} overlapping events`;
+    }
+
+    /**
+     * Update the view toggle label
+     * @private
+     */
+    _updateViewDaysButton() {
+        if (this.viewDaysButton) {
+            const template = window.getLocalizedMessage('viewDaysShort');
+            this.viewDaysButton.textContent = template
+                ? template.replace('$1', this.viewDays)
+                : `${this.viewDays}D`;
+        }
+    }
+
     /**
      * Get current date
      * @returns {Date} The current date
@@ -249,8 +376,11 @@ export class HeaderComponent extends Component {
     setButtonsEnabled(enabled) {
         const buttons = [
             this.addEventButton,
+            this.freeTimeButton,
             this.prevDateButton,
             this.nextDateButton,
+            this.viewDaysButton,
+            this.monthOverviewButton,
             this.settingsButton
         ];
 
@@ -16,6 +16,7 @@ export { TimelineCalendarFilter } from './timeline/timeline-calendar-filter.js';
 export { ModalComponent } from './modals/modal-component.js';
 export { LocalEventModal } from './modals/local-event-modal.js';
 export { GoogleEventModal } from './modals/google-event-modal.js';
+export { FreeSlotsModal } from './modals/free-slots-modal.js';
 export { AlertModal } from './modals/alert-modal.js';
 export { WhatsNewModal } from './modals/whats-new-modal.js';
 export { ReviewModal } from './modals/review-modal.js';
@@ -29,6 +30,15 @@ export { InitialSetupComponent } from './setup/initial-setup-component.js';
 // The memo Component
 export { MemoComponent } from './memo/memo-component.js';
 
+// The toast Component
+export { ToastComponent } from './toast/toast-component.js';
+
+// The month overview Component
+export { MonthOverviewComponent } from './month/month-overview-component.js';
+
+// The pending invitations Component
+export { PendingInvitationsComponent } from './invitations/pending-invitations-component.js';
+
 /**
  * ComponentManager - The side panel component management class
  */
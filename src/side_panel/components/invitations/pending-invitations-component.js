@@ -0,0 +1,154 @@
+/**
+ * PendingInvitationsComponent - The unanswered invitations, below the month overview
+ *
+ * A collapsed bar with the number of invitations waiting for an answer;
+ * expanding it lists them (day, time and title), and clicking one opens it
+ * in the Google event modal to respond. Hidden while there are none.
+ */
+import { Component } from '../base/component.js';
+import { extractTimeHHMM, getAllDayDateRange, isAllDayGoogleEvent } from '../../../lib/google-event-utils.js';
+import { parseDateString } from '../../../lib/time-utils.js';
+import { resolveLocaleSettings } from '../../event-element-factory.js';
+
+export class PendingInvitationsComponent extends Component {
+    constructor(options = {}) {
+        super({
+            id: 'sideTimeTablePendingInvitations',
+            className: 'pending-invitations',
+            hidden: true,
+            ...options
+        });
+
+        // Callback function
+        this.onInvitationClick = options.onInvitationClick || null;
+
+        // UI elements
+        this.toggleButton = null;
+        this.countElement = null;
+        this.list = null;
+
+        this.expanded = false;
+        // The listed invitations, indexed by their items' data-invitation-index
+        this.invitations = [];
+    }
+
+    createElement() {
+        const el = super.createElement();
+
+        if (el.children.length > 0) {
+            return el;
+        }
+
+        this.toggleButton = document.createElement('button');
+        this.toggleButton.type = 'button';
+        this.toggleButton.className = 'pending-invitations-toggle';
+        this.toggleButton.setAttribute('aria-expanded', 'false');
+        this.toggleButton.setAttribute('aria-controls', 'pendingInvitationsList');
+
+        const icon = document.createElement('i');
+        icon.className = 'fas fa-envelope-open-text';
+        icon.setAttribute('aria-hidden', 'true');
+        const title = document.createElement('span');
+        title.className = 'pending-invitations-title';
+        title.setAttribute('data-localize', '__MSG_pendingInvitationsTitle__');
+        title.textContent = window.getLocalizedMessage('pendingInvitationsTitle') || 'Invitations to answer';
+        this.countElement = document.createElement('span');
+        this.countElement.className = 'pending-invitations-count';
+        const chevron = document.createElement('i');
+        chevron.className = 'fas fa-chevron-down pending-invitations-chevron';
+        chevron.setAttribute('aria-hidden', 'true');
+
+        this.toggleButton.appendChild(icon);
+        this.toggleButton.appendChild(title);
+        this.toggleButton.appendChild(this.countElement);
+        this.toggleButton.appendChild(chevron);
+        el.appendChild(this.toggleButton);
+
+        this.list = document.createElement('ul');
+        this.list.id = 'pendingInvitationsList';
+        this.list.className = 'pending-invitations-list';
+        this.list.hidden = true;
+        el.appendChild(this.list);
+
+        this.addEventListener(this.toggleButton, 'click', () => this.setExpanded(!this.expanded));
+
+        // One delegated listener for the items, which are rebuilt on every update
+        this.addEventListener(this.list, 'click', (e) => {
+            const item = e.target.closest('.pending-invitation');
+            const invitation = item && this.invitations[Number(item.dataset.invitationIndex)];
+            if (invitation && this.onInvitationClick) {
+                this.onInvitationClick(invitation);
+            }
+        });
+
+        return el;
+    }
+
+    /**
+     * Show or hide the list
+     * @param {boolean} expanded
+     */
+    setExpanded(expanded) {
+        this.expanded = expanded;
+        if (this.list) {
+            this.list.hidden = !expanded;
+            this.toggleButton.setAttribute('aria-expanded', String(expanded));
+            this.element.classList.toggle('expanded', expanded);
+        }
+    }
+
+    /**
+     * List the invitations (from PendingInvitationsService.loadInvitations);
+     * the section is hidden when there are none
+     * @param {Array<Object>} invitations - Google events, earliest first
+     */
+    async setInvitations(invitations) {
+        const [locale, format] = await resolveLocaleSettings();
+
+        this.invitations = invitations;
+        this.countElement.textContent = String(invitations.length);
+        this.list.textContent = '';
+        invitations.forEach((event, index) => {
+            const item = document.createElement('li');
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'pending-invitation';
+            button.dataset.invitationIndex = String(index);
+
+            const when = document.createElement('span');
+            when.className = 'pending-invitation-when';
+            when.textContent = this._formatWhen(event, { locale, format });
+            const summary = document.createElement('span');
+            summary.className = 'pending-invitation-summary';
+            summary.textContent = event.summary || window.getLocalizedMessage('noTitle') || '(No title)';
+
+            button.appendChild(when);
+            button.appendChild(summary);
+            button.title = `${when.textContent} ${summary.textContent}`;
+            item.appendChild(button);
+            this.list.appendChild(item);
+        });
+
+        this.setVisible(invitations.length > 0);
+    }
+
+    /**
+     * The day and start time of an invitation (only the days for all-day events)
+     * @param {Object} event
+     * @param {{locale: string, format: string}} localeSettings
+     * @returns {string}
+     * @private
+     */
+    _formatWhen(event, { locale, format }) {
+        const formatDay = (date) => (typeof window.formatDateWithWeekdayForLocale === 'function'
+            ? window.formatDateWithWeekdayForLocale(date, locale)
+            : date.toDateString());
+        if (isAllDayGoogleEvent(event)) {
+            const { startDate, endDate } = getAllDayDateRange(event);
+            const first = formatDay(parseDateString(startDate));
+            return startDate === endDate ? first : `${first} - ${formatDay(parseDateString(endDate))}`;
+        }
+        const start = event.start.dateTime;
+        return `${formatDay(new Date(start))} ${window.formatTime(extractTimeHHMM(start), { format, locale })}`;
+    }
+}
@@ -0,0 +1,259 @@
+/**
+ * EditConflictDialog - Helper class for the Google event edit conflict dialog
+ *
+ * Shown when saving an edit fails because the event was changed in Google
+ * Calendar meanwhile (If-Match, 412). Lists the fields where the two
+ * versions differ, side by side, and lets the user pick which one to keep
+ * for each before the edit is saved again.
+ * This is a plain helper class (not a Component subclass), like
+ * DeleteRecurringDialog.
+ */
+import { extractTimeHHMM, getAllDayDateRange, getGuestEmails, getGuestPermissions, isAllDayGoogleEvent } from '../../../lib/google-event-utils.js';
+import { formatReminderOffset } from '../../../lib/reminder-offsets.js';
+import { parseDateString } from '../../../lib/time-utils.js';
+import { resolveLocaleSettings } from '../../event-element-factory.js';
+
+// Field labels (findEditConflicts field names)
+const FIELD_LABELS = {
+    summary: { msgKey: 'conflictFieldTitle', fallback: 'Title' },
+    time: { msgKey: 'conflictFieldTime', fallback: 'Time' },
+    location: { msgKey: 'eventLocation', fallback: 'Location' },
+    description: { msgKey: 'conflictFieldDescription', fallback: 'Description' },
+    attendees: { msgKey: 'eventGuests', fallback: 'Guests' },
+    guestPermissions: { msgKey: 'guestPermissions', fallback: 'Guest permissions' },
+    reminders: { msgKey: 'notification', fallback: 'Notification' }
+};
+
+// Shown for a field one version leaves blank
+const EMPTY_VALUE = '—';
+
+export class EditConflictDialog {
+    constructor() {
+        // Tracked overlay element for cleanup
+        this._overlay = null;
+    }
+
+    /**
+     * Show the conflict dialog
+     * @param {Object} options
+     * @param {Array<{field: string, changedHere: boolean, changedThere: boolean}>} options.conflicts
+     *   The differing fields (findEditConflicts)
+     * @param {Object} options.here - The event with the user's edit applied
+     * @param {Object} options.there - The event as it is in Google Calendar now
+     * @param {Function} options.onSave - Called with the fields whose edit
+     *   the user keeps (the others keep Google Calendar's value)
+     * @param {Function} options.onUseTheirs - Called when the user drops the edit
+     */
+    async show({ conflicts, here, there, onSave, onUseTheirs }) {
+        // Remove any existing overlay first
+        this.remove();
+
+        const [locale, format] = await resolveLocaleSettings();
+        const formatValue = (event, field) => this._formatValue(event, field, { locale, format });
+
+        const overlay = document.createElement('div');
+        overlay.className = 'edit-conflict-overlay';
+        overlay.style.cssText = 'position: fixed; top: 0; left: 0; right: 0; bottom: 0; background: rgba(0,0,0,0.5); z-index: 10001; display: flex; align-items: center; justify-content: center;';
+
+        const dialog = document.createElement('div');
+        dialog.className = 'edit-conflict-dialog';
+        dialog.setAttribute('role', 'dialog');
+        dialog.setAttribute('aria-modal', 'true');
+        dialog.setAttribute('aria-labelledby', 'editConflictTitle');
+        dialog.style.cssText = 'background: var(--side-calendar-modal-bg); color: inherit; padding: 20px; border-radius: 8px; max-width: 340px; max-height: 85vh; overflow-y: auto;';
+
+        const title = document.createElement('h3');
+        title.id = 'editConflictTitle';
+        title.style.cssText = 'margin: 0 0 10px 0; font-size: 1.1em;';
+        title.setAttribute('data-localize', '__MSG_editConflictTitle__');
+        title.textContent = window.getLocalizedMessage('editConflictTitle') || 'Changed in Google Calendar';
+        dialog.appendChild(title);
+
+        const message = document.createElement('p');
+        message.style.cssText = 'margin: 0 0 15px 0; font-size: 0.9em; color: var(--side-calendar-secondary-text-color);';
+        message.setAttribute('data-localize', '__MSG_editConflictMessage__');
+        message.textContent = window.getLocalizedMessage('editConflictMessage')
+            || 'This event was changed in Google Calendar while you were editing it. Choose the version to keep for each field.';
+        dialog.appendChild(message);
+
+        const choices = new Map();
+        conflicts.forEach(({ field, changedHere, changedThere }) => {
+            const fieldset = document.createElement('fieldset');
+            fieldset.className = changedHere && changedThere ? 'edit-conflict-field edit-conflict-both' : 'edit-conflict-field';
+
+            const legend = document.createElement('legend');
+            const { msgKey, fallback } = FIELD_LABELS[field];
+            legend.textContent = window.getLocalizedMessage(msgKey) || fallback;
+            fieldset.appendChild(legend);
+
+            const theirs = this._buildChoice(field, 'there', window.getLocalizedMessage('editConflictTheirs') || 'Google Calendar', formatValue(there, field));
+            const mine = this._buildChoice(field, 'here', window.getLocalizedMessage('editConflictMine') || 'Your edit', formatValue(here, field));
+            // Pre-select the side that changed the field; the user's edit when both did
+            (changedHere ? mine : theirs).input.checked = true;
+            fieldset.appendChild(theirs.label);
+            fieldset.appendChild(mine.label);
+
+            choices.set(field, mine.input);
+            dialog.appendChild(fieldset);
+        });
+
+        const buttonContainer = document.createElement('div');
+        buttonContainer.style.cssText = 'display: flex; flex-direction: column; gap: 10px; margin-top: 15px;';
+
+        const saveBtn = document.createElement('button');
+        saveBtn.type = 'button';
+        saveBtn.className = 'btn btn-primary';
+        saveBtn.style.cssText = 'width: 100%; padding: 8px;';
+        saveBtn.setAttribute('data-localize', '__MSG_editConflictSave__');
+        saveBtn.textContent = window.getLocalizedMessage('editConflictSave') || 'Save with these choices';
+        saveBtn.addEventListener('click', () => {
+            const keepHere = [...choices].filter(([, input]) => input.checked).map(([field]) => field);
+            this.remove();
+            if (onSave) {
+                onSave(keepHere);
+            }
+        });
+
+        const theirsBtn = document.createElement('button');
+        theirsBtn.type = 'button';
+        theirsBtn.className = 'btn btn-outline-secondary';
+        theirsBtn.style.cssText = 'width: 100%; padding: 8px;';
+        theirsBtn.setAttribute('data-localize', '__MSG_editConflictUseTheirs__');
+        theirsBtn.textContent = window.getLocalizedMessage('editConflictUseTheirs') || 'Discard my edit';
+        theirsBtn.addEventListener('click', () => {
+            this.remove();
+            if (onUseTheirs) {
+                onUseTheirs();
+            }
+        });
+
+        // Cancel (back to the edit form)
+        const cancelBtn = document.createElement('button');
+        cancelBtn.type = 'button';
+        cancelBtn.className = 'btn btn-secondary';
+        cancelBtn.style.cssText = 'width: 100%; padding: 8px;';
+        cancelBtn.setAttribute('data-localize', '__MSG_cancel__');
+        cancelBtn.textContent = window.getLocalizedMessage('cancel') || 'Cancel';
+        cancelBtn.addEventListener('click', () => {
+            this.remove();
+        });
+
+        buttonContainer.appendChild(saveBtn);
+        buttonContainer.appendChild(theirsBtn);
+        buttonContainer.appendChild(cancelBtn);
+        dialog.appendChild(buttonContainer);
+
+        overlay.appendChild(dialog);
+        document.body.appendChild(overlay);
+        this._overlay = overlay;
+
+        // Close on overlay click
+        overlay.addEventListener('click', (e) => {
+            if (e.target === overlay) {
+                this.remove();
+            }
+        });
+
+        saveBtn.focus();
+    }
+
+    /**
+     * Whether the dialog is showing
+     * @returns {boolean}
+     */
+    isOpen() {
+        return !!this._overlay;
+    }
+
+    /**
+     * Remove the dialog overlay from the DOM
+     */
+    remove() {
+        if (this._overlay) {
+            this._overlay.remove();
+            this._overlay = null;
+        }
+    }
+
+    /**
+     * One radio choice of a field: the version's name and its value
+     * @param {string} field
+     * @param {string} side - 'here' or 'there'
+     * @param {string} name - The version's name
+     * @param {string} value - The field's value in that version
+     * @returns {{label: HTMLLabelElement, input: HTMLInputElement}}
+     * @private
+     */
+    _buildChoice(field, side, name, value) {
+        const label = document.createElement('label');
+        label.className = 'edit-conflict-choice';
+        label.style.cssText = 'display: flex; gap: 6px; align-items: flex-start; margin: 4px 0; font-size: 0.9em;';
+
+        const input = document.createElement('input');
+        input.type = 'radio';
+        input.name = `editConflict-${field}`;
+        input.value = side;
+        label.appendChild(input);
+
+        const text = document.createElement('span');
+        const nameElement = document.createElement('strong');
+        nameElement.textContent = `${name}: `;
+        text.appendChild(nameElement);
+        // Long descriptions keep their line breaks but not their full length
+        const valueElement = document.createElement('span');
+        valueElement.style.cssText = 'white-space: pre-line; overflow-wrap: anywhere;';
+        valueElement.textContent = value.length > 300 ? `${value.slice(0, 300)}…` : value;
+        text.appendChild(valueElement);
+        label.appendChild(text);
+
+        return { label, input };
+    }
+
+    /**
+     * A field's value as shown in the dialog
+     * @param {Object} event
+     * @param {string} field
+     * @param {{locale: string, format: string}} localeSettings
+     * @returns {string}
+     * @private
+     */
+    _formatValue(event, field, { locale, format }) {
+        switch (field) {
+            case 'time': {
+                const formatDay = (date) => (typeof window.formatDateWithWeekdayForLocale === 'function'
+                    ? window.formatDateWithWeekdayForLocale(date, locale)
+                    : date.toDateString());
+                if (isAllDayGoogleEvent(event)) {
+                    const { startDate, endDate } = getAllDayDateRange(event);
+                    const first = formatDay(parseDateString(startDate));
+                    return startDate === endDate ? first : `${first} - ${formatDay(parseDateString(endDate))}`;
+                }
+                const start = event.start?.dateTime;
+                const end = event.end?.dateTime;
+                if (!start || !end) {
+                    return EMPTY_VALUE;
+                }
+                const formatTime = (dateTime) => window.formatTime(extractTimeHHMM(dateTime), { format, locale });
+                return `${formatDay(new Date(start))} ${formatTime(start)} - ${formatTime(end)}`;
+            }
+            case 'attendees':
+                return getGuestEmails(event.attendees).join(', ') || EMPTY_VALUE;
+            case 'guestPermissions': {
+                const permissions = getGuestPermissions(event);
+                return [
+                    permissions.guestsCanModify && (window.getLocalizedMessage('guestsCanModify') || 'Modify event'),
+                    permissions.guestsCanInviteOthers && (window.getLocalizedMessage('guestsCanInviteOthers') || 'Invite others')
+                ].filter(Boolean).join(', ') || EMPTY_VALUE;
+            }
+            case 'reminders':
+                if (event.reminders?.useDefault !== false) {
+                    return window.getLocalizedMessage('reminderDefault') || 'Calendar default';
+                }
+                return (event.reminders.overrides || [])
+                    .map(override => formatReminderOffset(override.minutes, window.getLocalizedMessage))
+                    .join(', ') || EMPTY_VALUE;
+            default:
+                return (event[field] || '').trim() || EMPTY_VALUE;
+        }
+    }
+}
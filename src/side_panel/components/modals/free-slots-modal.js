@@ -0,0 +1,237 @@
+/**
+ * FreeSlotsModal - Lists the free time within working hours (today or the
+ * next few days); picking a slot opens the create modal with its start.
+ */
+import { ModalComponent } from './modal-component.js';
+import { formatDuration } from '../../../lib/reminder-offsets.js';
+import { resolveLocaleSettings } from '../../event-element-factory.js';
+
+// The slot lengths offered (minutes) and the default
+const DURATION_OPTIONS = [15, 30, 45, 60, 90, 120];
+const DEFAULT_DURATION = 30;
+
+// How far ahead to look (days, starting today)
+const RANGE_OPTIONS = [
+    { days: 1, key: 'freeSlotsToday', fallback: 'Today' },
+    { days: 3, key: 'freeSlotsNext3Days', fallback: 'Next 3 days' },
+    { days: 7, key: 'freeSlotsNext7Days', fallback: 'Next 7 days' }
+];
+
+/**
+ * @param {Date} date
+ * @returns {string} "HH:MM"
+ */
+function toTimeString(date) {
+    return `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+}
+
+export class FreeSlotsModal extends ModalComponent {
+    /**
+     * @param {Object} options
+     * @param {Function} options.findSlots - `(days, minMinutes)` → Promise of
+     *   `[{date, slots}]`, or null when superseded (FreeSlotService.findSlots)
+     * @param {Function} options.onSlotSelect - Called with `(date, startTime, endTime)`
+     *   ("HH:MM"), the slot's start for the chosen length
+     */
+    constructor(options = {}) {
+        super({
+            id: 'freeSlotsModal',
+            ...options
+        });
+
+        this.findSlots = options.findSlots || null;
+        this.onSlotSelect = options.onSlotSelect || null;
+
+        this.durationSelect = null;
+        this.rangeSelect = null;
+        this.resultsElement = null;
+
+        // The listed slots, indexed by their buttons' data-slot-index
+        this.listedSlots = [];
+    }
+
+    createContent() {
+        const content = document.createElement('div');
+        content.className = 'free-slots-content';
+
+        const title = document.createElement('h2');
+        title.className = 'modal-title';
+        title.setAttribute('data-localize', '__MSG_freeSlotsTitle__');
+        title.textContent = window.getLocalizedMessage('freeSlotsTitle') || 'Find free time';
+        content.appendChild(title);
+
+        const controls = document.createElement('div');
+        controls.className = 'free-slots-controls';
+
+        const durationLabel = document.createElement('label');
+        durationLabel.htmlFor = 'freeSlotsDuration';
+        durationLabel.setAttribute('data-localize', '__MSG_freeSlotsAtLeast__');
+        durationLabel.textContent = window.getLocalizedMessage('freeSlotsAtLeast') || 'At least';
+        controls.appendChild(durationLabel);
+
+        this.durationSelect = document.createElement('select');
+        this.durationSelect.id = 'freeSlotsDuration';
+        this.durationSelect.className = 'event-form-select';
+        DURATION_OPTIONS.forEach(minutes => {
+            const option = document.createElement('option');
+            option.value = String(minutes);
+            option.textContent = formatDuration(minutes, window.getLocalizedMessage);
+            this.durationSelect.appendChild(option);
+        });
+        this.durationSelect.value = String(DEFAULT_DURATION);
+        controls.appendChild(this.durationSelect);
+
+        this.rangeSelect = document.createElement('select');
+        this.rangeSelect.id = 'freeSlotsRange';
+        this.rangeSelect.className = 'event-form-select';
+        this.rangeSelect.setAttribute('aria-label', window.getLocalizedMessage('freeSlotsRange') || 'Days to search');
+        RANGE_OPTIONS.forEach(({ days, key, fallback }) => {
+            const option = document.createElement('option');
+            option.value = String(days);
+            option.setAttribute('data-localize', `__MSG_${key}__`);
+            option.textContent = window.getLocalizedMessage(key) || fallback;
+            this.rangeSelect.appendChild(option);
+        });
+        controls.appendChild(this.rangeSelect);
+
+        content.appendChild(controls);
+
+        this.resultsElement = document.createElement('div');
+        this.resultsElement.className = 'free-slots-results';
+        this.resultsElement.setAttribute('aria-live', 'polite');
+        content.appendChild(this.resultsElement);
+
+        this.addEventListener(this.durationSelect, 'change', () => this._refresh());
+        this.addEventListener(this.rangeSelect, 'change', () => this._refresh());
+        this.addEventListener(this.resultsElement, 'click', (e) => {
+            const button = e.target.closest('.free-slot');
+            const listed = button && this.listedSlots[Number(button.dataset.slotIndex)];
+            if (listed) {
+                this._selectSlot(listed.date, listed.slot, listed.minMinutes);
+            }
+        });
+
+        return content;
+    }
+
+    /**
+     * Show the modal and search with the current choices
+     */
+    open() {
+        if (!this.element) {
+            this.createElement();
+        }
+        this.show();
+        this._localizeModal();
+        this._refresh();
+    }
+
+    /**
+     * Search again and list the result
+     * @private
+     */
+    async _refresh() {
+        if (!this.findSlots) {
+            return;
+        }
+
+        const minMinutes = Number(this.durationSelect.value);
+        this._showMessage(window.getLocalizedMessage('freeSlotsSearching') || 'Searching...');
+
+        let result;
+        try {
+            result = await this.findSlots(Number(this.rangeSelect.value), minMinutes);
+        } catch (error) {
+            console.warn('Free slot search failed:', error);
+            this._showMessage(window.getLocalizedMessage('freeSlotsLoadFailed') || 'Could not load your events. Please try again.');
+            return;
+        }
+        // A newer search (the choices changed meanwhile) renders instead
+        if (result) {
+            await this._renderDays(result, minMinutes);
+        }
+    }
+
+    /**
+     * Replace the results with a single line of text
+     * @param {string} text
+     * @private
+     */
+    _showMessage(text) {
+        this.resultsElement.textContent = '';
+        this.listedSlots = [];
+        const message = document.createElement('p');
+        message.className = 'free-slots-message';
+        message.textContent = text;
+        this.resultsElement.appendChild(message);
+    }
+
+    /**
+     * List the slots by day
+     * @param {Array<{date: Date, slots: Array<{start: Date, end: Date}>}>} days
+     * @param {number} minMinutes
+     * @private
+     */
+    async _renderDays(days, minMinutes) {
+        const [locale, format] = await resolveLocaleSettings();
+        const formatTime = (date) => window.formatTime(toTimeString(date), { format, locale });
+
+        this.resultsElement.textContent = '';
+        this.listedSlots = [];
+        days.forEach(({ date, slots }) => {
+            const heading = document.createElement('h3');
+            heading.className = 'free-slots-day';
+            heading.textContent = typeof window.formatDateWithWeekdayForLocale === 'function'
+                ? window.formatDateWithWeekdayForLocale(date, locale)
+                : date.toDateString();
+            this.resultsElement.appendChild(heading);
+
+            if (slots.length === 0) {
+                const empty = document.createElement('p');
+                empty.className = 'free-slots-message';
+                empty.textContent = window.getLocalizedMessage('freeSlotsNone') || 'No free time';
+                this.resultsElement.appendChild(empty);
+                return;
+            }
+
+            const list = document.createElement('ul');
+            list.className = 'free-slots-list';
+            slots.forEach(slot => {
+                const item = document.createElement('li');
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'free-slot';
+                button.dataset.slotIndex = String(this.listedSlots.length);
+                this.listedSlots.push({ date, slot, minMinutes });
+
+                const time = document.createElement('span');
+                time.className = 'free-slot-time';
+                time.textContent = `${formatTime(slot.start)} - ${formatTime(slot.end)}`;
+                const length = document.createElement('span');
+                length.className = 'free-slot-length';
+                length.textContent = formatDuration(Math.round((slot.end - slot.start) / 60000), window.getLocalizedMessage);
+                button.appendChild(time);
+                button.appendChild(length);
+
+                item.appendChild(button);
+                list.appendChild(item);
+            });
+            this.resultsElement.appendChild(list);
+        });
+    }
+
+    /**
+     * Hand the chosen length at the slot's start to onSlotSelect
+     * @param {Date} date
+     * @param {{start: Date, end: Date}} slot
+     * @param {number} minMinutes
+     * @private
+     */
+    _selectSlot(date, slot, minMinutes) {
+        const end = new Date(slot.start.getTime() + minMinutes * 60000);
+        this.hide();
+        if (this.onSlotSelect) {
+            this.onSlotSelect(date, toTimeString(slot.start), toTimeString(end < slot.end ? end : slot.end));
+        }
+    }
+}
@@ -1,11 +1,16 @@
 /**
  * GoogleEventEditFormBuilder - Edit form for Google Calendar events
  *
- * Builds the edit-mode form of the Google event modal: title, start/end
- * time, description, location and reminder. Deliberately separate from
- * LocalEventFormBuilder, which is coupled to local-only concerns
- * (recurrence, save-destination toggle, calendar picker, Meet checkbox).
+ * Builds the edit-mode form of the Google event modal: title, calendar,
+ * start/end time (a date range for all-day events), description, location,
+ * guests and reminder. Deliberately separate from LocalEventFormBuilder, which is
+ * coupled to local-only concerns (recurrence, save-destination toggle,
+ * calendar picker, Meet checkbox).
  */
+import { getAllDayDateRange, getGuestEmails, isAllDayGoogleEvent, isMovableGoogleEvent } from '../../../lib/google-event-utils.js';
+import { parseDateString } from '../../../lib/time-utils.js';
+import { GuestFieldsBuilder } from './guest-fields-builder.js';
+
 export class GoogleEventEditFormBuilder {
     /**
      * @param {import('./google-event-modal.js').GoogleEventModal} modal - The parent modal (used for addEventListener tracking)
@@ -14,14 +19,24 @@ export class GoogleEventEditFormBuilder {
         this.modal = modal;
 
         this.titleInput = null;
+        this.calendarRow = null;
+        this.calendarSelect = null;
         this.startTimeInput = null;
         this.endTimeInput = null;
+        this.timeRow = null;
+        this.startDateInput = null;
+        this.endDateInput = null;
+        this.dateRow = null;
         this.descriptionInput = null;
         this.locationInput = null;
         this.reminderSelect = null;
+        this.guestFields = new GuestFieldsBuilder(modal, 'googleEdit');
         this.saveButton = null;
         this.cancelButton = null;
 
+        // The event being edited (set by populate)
+        this.event = null;
+
         // Select value at populate() time, to detect an actual user change
         // (an unchanged reminder must NOT be patched, or it would clobber
         // email/multiple overrides the select cannot represent).
@@ -47,6 +62,23 @@ export class GoogleEventEditFormBuilder {
         this.titleInput.required = true;
         parentElement.appendChild(this.titleInput);
 
+        // Calendar picker (moves the event; shown once the writable calendars
+        // are known, and only for events that can be moved)
+        this.calendarRow = document.createElement('div');
+        this.calendarRow.style.display = 'none';
+
+        const calendarLabel = document.createElement('label');
+        calendarLabel.htmlFor = 'googleEditCalendar';
+        calendarLabel.setAttribute('data-localize', '__MSG_targetCalendar__');
+        calendarLabel.textContent = window.getLocalizedMessage('targetCalendar') || 'Calendar';
+        this.calendarRow.appendChild(calendarLabel);
+
+        this.calendarSelect = document.createElement('select');
+        this.calendarSelect.id = 'googleEditCalendar';
+        this.calendarSelect.className = 'event-form-select';
+        this.calendarRow.appendChild(this.calendarSelect);
+        parentElement.appendChild(this.calendarRow);
+
         // Time inputs row (side by side)
         const timeRow = document.createElement('div');
         timeRow.className = 'time-input-row';
@@ -86,6 +118,16 @@ export class GoogleEventEditFormBuilder {
         timeRow.appendChild(startGroup);
         timeRow.appendChild(endGroup);
         parentElement.appendChild(timeRow);
+        this.timeRow = timeRow;
+
+        // Date range row, in place of the times for an all-day event
+        const dateRow = document.createElement('div');
+        dateRow.className = 'time-input-row';
+        dateRow.style.display = 'none';
+        this.startDateInput = this._appendDateGroup(dateRow, 'googleEditStartDate', 'eventStartDate', 'Start Date:');
+        this.endDateInput = this._appendDateGroup(dateRow, 'googleEditEndDate', 'eventEndDate', 'End Date:');
+        parentElement.appendChild(dateRow);
+        this.dateRow = dateRow;
 
         // Description textarea
         const descriptionLabel = document.createElement('label');
@@ -112,6 +154,22 @@ export class GoogleEventEditFormBuilder {
         this.locationInput.id = 'googleEditLocation';
         parentElement.appendChild(this.locationInput);
 
+        // Guests, their availability and who is emailed
+        this.guestFields.build(parentElement, {
+            getContext: () => ({
+                calendarId: this.event.calendarId,
+                date: isAllDayGoogleEvent(this.event)
+                    ? parseDateString(this.startDateInput.value || this.event.start.date)
+                    : new Date(this.event.start.dateTime),
+                startTime: this.startTimeInput.value,
+                endTime: this.endTimeInput.value
+            }),
+            onSlotSelect: (startTime, endTime) => {
+                this.startTimeInput.value = startTime;
+                this.endTimeInput.value = endTime;
+            }
+        });
+
         // Notification (reminder) select
         const reminderLabel = document.createElement('label');
         reminderLabel.htmlFor = 'googleEditReminder';
@@ -138,8 +196,7 @@ export class GoogleEventEditFormBuilder {
         });
         parentElement.appendChild(this.reminderSelect);
 
-        // The form deliberately edits a subset (no Meet toggle, calendar move,
-        // guests, recurrence) — tell the user where the rest lives instead of
+        // The form deliberately edits a subset (no Meet toggle, recurrence) — tell the user where the rest lives instead of
         // silently omitting it.
         const editNote = document.createElement('div');
         editNote.className = 'google-edit-note';
@@ -176,19 +233,60 @@ export class GoogleEventEditFormBuilder {
         }
     }
 
+    /**
+     * Append a labelled date input to a row.
+     * @param {HTMLElement} row
+     * @param {string} id - The input's id
+     * @param {string} msgKey - The label's message key
+     * @param {string} fallback - The label when the message is missing
+     * @returns {HTMLInputElement}
+     * @private
+     */
+    _appendDateGroup(row, id, msgKey, fallback) {
+        const group = document.createElement('div');
+        group.className = 'time-input-group';
+
+        const label = document.createElement('label');
+        label.htmlFor = id;
+        label.setAttribute('data-localize', `__MSG_${msgKey}__`);
+        label.textContent = window.getLocalizedMessage(msgKey) || fallback;
+        group.appendChild(label);
+
+        const input = document.createElement('input');
+        input.type = 'date';
+        input.id = id;
+        input.required = true;
+        group.appendChild(input);
+
+        row.appendChild(group);
+        return input;
+    }
+
     /**
      * Prefill the form from a Google event object.
+     * An all-day event shows its (inclusive) date range instead of the times.
      * @param {Object} event - The event (Google Calendar API shape)
-     * @param {string} startTime - "HH:MM" start (extracted by the caller)
+     * @param {string} startTime - "HH:MM" start (extracted by the caller; '' for all-day)
      * @param {string} endTime - "HH:MM" end
      */
     populate(event, startTime, endTime) {
+        this.event = event;
         this.titleInput.value = event.summary || '';
+        this.setCalendars([]);
         this.startTimeInput.value = startTime;
         this.endTimeInput.value = endTime;
+
+        const allDay = isAllDayGoogleEvent(event);
+        const { startDate, endDate } = allDay ? getAllDayDateRange(event) : { startDate: '', endDate: '' };
+        this.startDateInput.value = startDate;
+        this.endDateInput.value = endDate;
+        this.timeRow.style.display = allDay ? 'none' : '';
+        this.dateRow.style.display = allDay ? '' : 'none';
+
         // Keep the raw description so a save round-trips without loss
         this.descriptionInput.value = event.description || '';
         this.locationInput.value = event.location || '';
+        this.guestFields.setEmails(getGuestEmails(event.attendees), event);
         this._populateReminder(event.reminders);
         this.initialReminderValue = this.reminderSelect.value;
     }
@@ -223,6 +321,33 @@ export class GoogleEventEditFormBuilder {
         this.reminderSelect.value = value;
     }
 
+    /**
+     * Offer the calendars the event can be moved to (the writable, displayed
+     * ones). The picker stays hidden when the event cannot be moved or there
+     * is no other calendar to move it to.
+     * @param {Array<{id: string, summary: string, primary?: boolean}>} calendars
+     */
+    setCalendars(calendars) {
+        this.calendarSelect.innerHTML = '';
+        const offered = isMovableGoogleEvent(this.event)
+            && calendars.length > 1
+            && calendars.some(cal => cal.id === this.event.calendarId);
+        this.calendarRow.style.display = offered ? '' : 'none';
+        if (!offered) {
+            return;
+        }
+
+        calendars.forEach(cal => {
+            const option = document.createElement('option');
+            option.value = cal.id;
+            option.textContent = cal.primary
+                ? `${cal.summary} (${window.getLocalizedMessage('primaryCalendar') || 'Primary'})`
+                : cal.summary;
+            this.calendarSelect.appendChild(option);
+        });
+        this.calendarSelect.value = this.event.calendarId;
+    }
+
     /**
      * Whether the user changed the reminder selection since populate().
      * @returns {boolean}
@@ -233,13 +358,20 @@ export class GoogleEventEditFormBuilder {
 
     /**
      * Read the current form values.
-     * @returns {{summary: string, startTime: string, endTime: string, description: string, location: string, reminderMinutes: string}}
+     * @returns {{summary: string, calendarId: string, allDay: boolean, startTime: string, endTime: string, startDate: string,
+     *   endDate: string, description: string, location: string, reminderMinutes: string}}
+     *   `startDate`/`endDate` (YYYY-MM-DD, inclusive) only apply to an all-day event;
+     *   `calendarId` is the calendar chosen for the event (its own when not moved)
      */
     getValues() {
         return {
             summary: this.titleInput.value,
+            calendarId: this.calendarSelect.value || this.event.calendarId,
+            allDay: isAllDayGoogleEvent(this.event),
             startTime: this.startTimeInput.value,
             endTime: this.endTimeInput.value,
+            startDate: this.startDateInput.value,
+            endDate: this.endDateInput.value,
             description: this.descriptionInput.value,
             location: this.locationInput.value,
             reminderMinutes: this.reminderSelect.value
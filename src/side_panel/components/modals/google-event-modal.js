@@ -5,8 +5,54 @@ import { ModalComponent } from './modal-component.js';
 import { sendMessage } from '../../../lib/chrome-messaging.js';
 import { GoogleEventContentBuilder } from './google-event-content-builder.js';
 import { GoogleEventEditFormBuilder } from './google-event-edit-form-builder.js';
-import { buildGoogleEventResource, extractTimeHHMM, isEditableGoogleEvent } from '../../../lib/google-event-utils.js';
+import { RecurringScopeDialog } from './recurring-scope-dialog.js';
+import { EditConflictDialog } from './edit-conflict-dialog.js';
+import { SendUpdatesDialog } from './send-updates-dialog.js';
+import {
+    areGuestsChanged,
+    ATTENDANCE_MODES,
+    buildGoogleEventResource,
+    buildMergedPatch,
+    extractTimeHHMM,
+    findEditConflicts,
+    getAttendanceMode,
+    isEditableGoogleEvent,
+    mergeAttendees
+} from '../../../lib/google-event-utils.js';
+import { extractMeetUrl, extractVideoUrl } from '../../../lib/conference-url-utils.js';
+import { parseDateString } from '../../../lib/time-utils.js';
 import { buildRequestId } from '../../../lib/request-dedupe.js';
+import { resolveLocaleSettings } from '../../event-element-factory.js';
+
+// The joining choices offered with "Accept" (ATTENDANCE_MODES), after "not said",
+// and the line each adds to the response note
+const ATTENDANCE_OPTIONS = [
+    { value: '', key: 'rsvpAttendanceUnspecified', fallback: 'Not specified' },
+    { value: ATTENDANCE_MODES[0], key: 'rsvpAttendanceInPerson', fallback: 'In person', noteKey: 'rsvpAttendanceNoteInPerson', noteFallback: 'Joining in person' },
+    { value: ATTENDANCE_MODES[1], key: 'rsvpAttendanceVirtual', fallback: 'Virtually', noteKey: 'rsvpAttendanceNoteVirtual', noteFallback: 'Joining virtually' }
+];
+
+/**
+ * The note line for a joining choice. The choice is also kept in a private
+ * property, but that is on the user's copy of the event only; the organizer
+ * sees the note.
+ * @param {string|undefined} mode - An ATTENDANCE_MODES value
+ * @returns {string} Empty when nothing was chosen
+ */
+function getAttendanceNoteLine(mode) {
+    const option = ATTENDANCE_OPTIONS.find(candidate => candidate.noteKey && candidate.value === mode);
+    return option ? window.getLocalizedMessage(option.noteKey) || option.noteFallback : '';
+}
+
+/**
+ * A response note without the joining line an earlier response added
+ * @param {string} [comment]
+ * @returns {string}
+ */
+function stripAttendanceNoteLine(comment) {
+    const noteLines = ATTENDANCE_MODES.map(getAttendanceNoteLine);
+    return (comment || '').split('\n').filter(line => !noteLines.includes(line.trim())).join('\n').trim();
+}
 
 export class GoogleEventModal extends ModalComponent {
     constructor(options = {}) {
@@ -33,15 +79,27 @@ export class GoogleEventModal extends ModalComponent {
 
         // RSVP elements
         this.rsvpContainer = null;
+        this._rsvpNoteInput = null;
+        this._rsvpAttendanceSelect = null;
+        this._rsvpProposalElement = null;
 
         // Callback for when RSVP response is sent
         this.onRsvpResponse = options.onRsvpResponse || null;
 
+        // The free slots of a day, to suggest another time when declining:
+        // `(date, minMinutes)` → Promise of `[{start, end}]` (FreeSlotService.findSlotsOnDay)
+        this.findFreeSlots = options.findFreeSlots || null;
+
         // Callbacks for edit/delete. Both return Promise<boolean> so the
         // modal can stay open (preserving input) on failure.
         this.onSaveEdit = options.onSaveEdit || null;
         this.onDelete = options.onDelete || null;
 
+        // Moving to another calendar: the calendars offered (Promise<Array>)
+        // and the move itself (Promise<boolean>, like onSaveEdit)
+        this.getWritableCalendars = options.getWritableCalendars || null;
+        this.onMove = options.onMove || null;
+
         // The currently displayed event
         this.currentEvent = null;
 
@@ -51,6 +109,15 @@ export class GoogleEventModal extends ModalComponent {
         // Edit form builder
         this._editFormBuilder = new GoogleEventEditFormBuilder(this);
 
+        // Asks which occurrences of a recurring event an edit/delete applies to
+        this._scopeDialog = new RecurringScopeDialog();
+
+        // Merges an edit with changes made in Google Calendar meanwhile
+        this._conflictDialog = new EditConflictDialog();
+
+        // Asks who is emailed about an edit of an event with guests
+        this._sendUpdatesDialog = new SendUpdatesDialog();
+
         // Re-entry guards for async actions
         this._submittingEdit = false;
         this._deletingEvent = false;
@@ -112,14 +179,26 @@ export class GoogleEventModal extends ModalComponent {
         // they are hidden together with the rest of the view mode.
         this.modalBody = this.viewContent;
 
-        // Escape backs out of sub-states (edit form, delete confirmation)
-        // instead of closing the whole modal and discarding input. Capture
-        // phase so this runs before ModalComponent's close-on-Escape.
+        // Escape backs out of sub-states (email/scope/conflict dialog, edit form, delete
+        // confirmation) instead of closing the whole modal and discarding
+        // input. Capture phase so this runs before ModalComponent's close-on-Escape.
         this.addEventListener(document, 'keydown', (e) => {
             if (e.key !== 'Escape' || !this.isVisible()) {
                 return;
             }
-            if (this.deleteConfirmRow && this.deleteConfirmRow.style.display !== 'none') {
+            if (this._sendUpdatesDialog.isOpen()) {
+                e.preventDefault();
+                e.stopPropagation();
+                this._sendUpdatesDialog.remove();
+            } else if (this._scopeDialog.isOpen()) {
+                e.preventDefault();
+                e.stopPropagation();
+                this._scopeDialog.remove();
+            } else if (this._conflictDialog.isOpen()) {
+                e.preventDefault();
+                e.stopPropagation();
+                this._conflictDialog.remove();
+            } else if (this.deleteConfirmRow && this.deleteConfirmRow.style.display !== 'none') {
                 e.preventDefault();
                 e.stopPropagation();
                 this._showDeleteConfirm(false);
@@ -142,7 +221,8 @@ export class GoogleEventModal extends ModalComponent {
         // A new event is a new logical request: never let a previous event's
         // id replay its recorded response for this one
         this._editSeed = null;
-        this._deleteRequestId = null;
+        this._deleteSeed = null;
+        this._moveSeed = null;
 
         // Create the element if it doesn't exist
         if (!this.element) {
@@ -226,7 +306,7 @@ export class GoogleEventModal extends ModalComponent {
             this.deleteButton.className = 'btn btn-danger';
             this.deleteButton.setAttribute('data-localize', '__MSG_delete__');
             this.deleteButton.textContent = window.getLocalizedMessage('delete') || 'Delete';
-            this.addEventListener(this.deleteButton, 'click', () => this._showDeleteConfirm(true));
+            this.addEventListener(this.deleteButton, 'click', () => this._handleDeleteClick());
 
             this.viewButtons.appendChild(this.editButton);
             this.viewButtons.appendChild(this.deleteButton);
@@ -331,6 +411,7 @@ export class GoogleEventModal extends ModalComponent {
             extractTimeHHMM(event.start.dateTime),
             extractTimeHHMM(event.end?.dateTime)
         );
+        this._loadMoveTargets(event);
 
         this.viewContent.style.display = 'none';
         this.editContent.style.display = '';
@@ -340,6 +421,30 @@ export class GoogleEventModal extends ModalComponent {
         setTimeout(() => this._editFormBuilder.titleInput?.focus(), 0);
     }
 
+    /**
+     * Offer the calendars the event being edited can be moved to, once
+     * they are known (the form opens without waiting for them).
+     * @param {Object} event - The event being edited
+     * @private
+     */
+    async _loadMoveTargets(event) {
+        if (!this.getWritableCalendars || !this.onMove) {
+            return;
+        }
+        let calendars;
+        try {
+            calendars = await this.getWritableCalendars();
+        } catch (error) {
+            console.warn('Failed to load calendars to move to:', error);
+            return;
+        }
+        // Another event (or none) is being edited by now
+        if (this.currentEvent !== event || this.editContent.style.display === 'none') {
+            return;
+        }
+        this._editFormBuilder.setCalendars(calendars || []);
+    }
+
     /**
      * Validate the edit form and delegate the update to the controller.
      * Keeps the modal open (with an error message) on failure so the
@@ -362,32 +467,37 @@ export class GoogleEventModal extends ModalComponent {
             this._showError(window.getLocalizedMessage('pleaseEnterTitle') || 'Please enter a title');
             return;
         }
-        if (!values.startTime) {
-            this._showError(window.getLocalizedMessage('pleaseEnterStartTime') || 'Please enter a start time');
+        const timesError = values.allDay ? this._getDateRangeError(values) : this._getTimeRangeError(values);
+        if (timesError) {
+            this._showError(timesError);
             return;
         }
-        if (!values.endTime) {
-            this._showError(window.getLocalizedMessage('pleaseEnterEndTime') || 'Please enter an end time');
-            return;
-        }
-        // Zero-padded "HH:MM" strings compare correctly lexicographically
-        if (values.endTime <= values.startTime) {
-            this._showError(window.getLocalizedMessage('endTimeMustBeLater') || 'End time must be later than start time');
+        const guestFields = this._editFormBuilder.guestFields;
+        const invalidGuests = guestFields.getInvalidMessage();
+        if (invalidGuests) {
+            this._showError(invalidGuests);
             return;
         }
+        const { emails } = guestFields.getEmails();
 
-        // Patch on the event's own date — the panel may be viewing another day.
+        // Patch on the event's own date — the panel may be viewing another day
+        // (an all-day event moves to the dates entered).
         // Only include reminders when the user actually changed the selection:
         // an unchanged select must not clobber overrides it cannot represent
-        // (email reminders, multiple overrides).
+        // (email reminders, multiple overrides). Likewise the guests, whose
+        // list and permissions are only sent when they changed.
         const patchResource = buildGoogleEventResource({
             summary: values.summary,
             description: values.description,
             location: values.location,
-            date: new Date(event.start.dateTime),
+            date: values.allDay ? parseDateString(values.startDate) : new Date(event.start.dateTime),
             startTime: values.startTime,
             endTime: values.endTime,
-            reminderMinutes: this._editFormBuilder.isReminderChanged() ? values.reminderMinutes : undefined
+            allDay: values.allDay,
+            endDate: values.allDay ? parseDateString(values.endDate) : undefined,
+            reminderMinutes: this._editFormBuilder.isReminderChanged() ? values.reminderMinutes : undefined,
+            attendees: areGuestsChanged(event.attendees, emails) ? mergeAttendees(event.attendees, emails) : undefined,
+            ...(guestFields.isPermissionsChanged() ? guestFields.getPermissions() : {})
         }, { forPatch: true });
 
         if (!this.onSaveEdit) {
@@ -395,6 +505,137 @@ export class GoogleEventModal extends ModalComponent {
             return;
         }
 
+        // Guests before or after the edit: ask who is emailed about it first
+        if (guestFields.hasGuests()) {
+            this._sendUpdatesDialog.show({
+                onChoose: (sendUpdates) => this._saveEdit(event, values.calendarId, patchResource, sendUpdates)
+            });
+            return;
+        }
+        await this._saveEdit(event, values.calendarId, patchResource, undefined);
+    }
+
+    /**
+     * Save a validated edit: ask the recurring scope, or move the event to
+     * the chosen calendar, as the edit needs
+     * @param {Object} event - The event being edited
+     * @param {string} calendarId - The calendar chosen in the form
+     * @param {Object} patchResource
+     * @param {string|undefined} sendUpdates - Who is emailed
+     * @private
+     */
+    async _saveEdit(event, calendarId, patchResource, sendUpdates) {
+        // An occurrence of a recurring event: ask which occurrences change first
+        if (event.recurringEventId) {
+            this._scopeDialog.show({
+                mode: 'edit',
+                onChoose: (recurringScope) => this._submitEdit(event, patchResource, sendUpdates, recurringScope)
+            });
+            return;
+        }
+
+        // Another calendar chosen: the edit is saved first, against the
+        // version it started from, and the saved event is then moved there
+        await this._submitEdit(event, patchResource, sendUpdates, undefined, calendarId);
+    }
+
+    /**
+     * Move the event being edited to another calendar.
+     * @param {Object} event - The event being edited
+     * @param {string} destinationCalendarId
+     * @param {string|undefined} sendUpdates - Who is emailed
+     * @returns {Promise<Object|null>} The event as it now is on the destination
+     *   calendar, or null when the move failed (the error is shown)
+     * @private
+     */
+    async _submitMove(event, destinationCalendarId, sendUpdates) {
+        if (this._submittingEdit || !this.onMove) {
+            return null;
+        }
+
+        // Stable across retries, like the edit itself
+        if (!this._moveSeed) {
+            this._moveSeed = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+        }
+        const requestId = buildRequestId('move-evt', this._moveSeed, [event.calendarId, event.id, destinationCalendarId]);
+
+        this._submittingEdit = true;
+        this._editFormBuilder.saveButton.disabled = true;
+        let succeeded;
+        try {
+            succeeded = await this.onMove(event.calendarId, event.id, destinationCalendarId, requestId, { sendUpdates });
+        } catch (error) {
+            console.error('Google event move error:', error);
+            succeeded = false;
+        } finally {
+            this._submittingEdit = false;
+            this._editFormBuilder.saveButton.disabled = false;
+        }
+
+        if (!succeeded) {
+            this._showError(window.getLocalizedMessage('googleEventMoveFailed') || 'Failed to move the event to the other calendar');
+            return null;
+        }
+
+        this._moveSeed = null;
+        this.currentEvent = { ...event, calendarId: destinationCalendarId };
+        this._editFormBuilder.event = this.currentEvent;
+        return this.currentEvent;
+    }
+
+    /**
+     * Check the times of an edited timed event.
+     * @param {{startTime: string, endTime: string}} values - The form values
+     * @returns {string|null} The error to show, or null when valid
+     * @private
+     */
+    _getTimeRangeError({ startTime, endTime }) {
+        if (!startTime) {
+            return window.getLocalizedMessage('pleaseEnterStartTime') || 'Please enter a start time';
+        }
+        if (!endTime) {
+            return window.getLocalizedMessage('pleaseEnterEndTime') || 'Please enter an end time';
+        }
+        // Zero-padded "HH:MM" strings compare correctly lexicographically
+        if (endTime <= startTime) {
+            return window.getLocalizedMessage('endTimeMustBeLater') || 'End time must be later than start time';
+        }
+        return null;
+    }
+
+    /**
+     * Check the dates of an edited all-day event.
+     * @param {{startDate: string, endDate: string}} values - The form values
+     * @returns {string|null} The error to show, or null when valid
+     * @private
+     */
+    _getDateRangeError({ startDate, endDate }) {
+        if (!startDate || !endDate) {
+            return window.getLocalizedMessage('pleaseEnterDates') || 'Please enter the dates';
+        }
+        // YYYY-MM-DD strings compare correctly lexicographically
+        if (endDate < startDate) {
+            return window.getLocalizedMessage('endDateMustBeLater') || 'End date must be on or after start date';
+        }
+        return null;
+    }
+
+    /**
+     * Delegate a validated edit to the controller and close on success.
+     * @param {Object} event - The event being edited
+     * @param {Object} patchResource - The changes (events.patch body)
+     * @param {string|undefined} sendUpdates - Who is emailed
+     * @param {string} [recurringScope] - Which occurrences of a recurring
+     *   event change ('this', 'following' or 'all')
+     * @param {string} [destinationCalendarId] - The calendar the saved event
+     *   then moves to, when another one was chosen
+     * @private
+     */
+    async _submitEdit(event, patchResource, sendUpdates, recurringScope, destinationCalendarId = event.calendarId) {
+        if (this._submittingEdit) {
+            return;
+        }
+
         // Stable across retries of this edit session so the background can
         // deduplicate a retry whose first attempt actually committed. The id
         // also covers the patch, so a correction made after a failure is not
@@ -402,13 +643,24 @@ export class GoogleEventModal extends ModalComponent {
         if (!this._editSeed) {
             this._editSeed = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
         }
-        const requestId = buildRequestId('update-evt', this._editSeed, [event.calendarId, event.id, patchResource]);
+        const requestId = buildRequestId('update-evt', this._editSeed, [event.calendarId, event.id, patchResource, sendUpdates, recurringScope, event.etag]);
+
+        // Only saved if the event is still the version the edit started from
+        let conflict = null;
+        const onConflict = (currentEvent) => {
+            conflict = { currentEvent };
+        };
+        // A retry after a failed move starts from the version just saved
+        let saved = null;
+        const onUpdated = (updatedEvent) => {
+            saved = updatedEvent;
+        };
 
         this._submittingEdit = true;
         this._editFormBuilder.saveButton.disabled = true;
         let succeeded;
         try {
-            succeeded = await this.onSaveEdit(event.calendarId, event.id, patchResource, requestId);
+            succeeded = await this.onSaveEdit(event.calendarId, event.id, patchResource, requestId, { sendUpdates, recurringScope, etag: event.etag, onConflict, onUpdated });
         } catch (error) {
             console.error('Google event update error:', error);
             succeeded = false;
@@ -419,17 +671,91 @@ export class GoogleEventModal extends ModalComponent {
 
         if (succeeded) {
             this._editSeed = null;
+            if (destinationCalendarId !== event.calendarId) {
+                const savedEvent = saved ? { ...event, ...saved, calendarId: event.calendarId } : event;
+                this.currentEvent = savedEvent;
+                this._editFormBuilder.event = savedEvent;
+                if (!await this._submitMove(savedEvent, destinationCalendarId, sendUpdates)) {
+                    return;
+                }
+            }
             this.hide();
+        } else if (conflict) {
+            await this._handleEditConflict(event, conflict.currentEvent, patchResource, sendUpdates, recurringScope, destinationCalendarId);
         } else {
             this._showError(window.getLocalizedMessage('googleEventUpdateFailed') || 'Failed to update Google event');
         }
     }
 
     /**
-     * Delete the current event after the inline confirmation.
+     * The event was changed in Google Calendar while it was being edited:
+     * let the user choose, field by field, which version to keep and save
+     * the result against the new version.
+     * @param {Object} event - The event as it was when the edit started
+     * @param {Object|null} currentEvent - The event as it is now (null when deleted)
+     * @param {Object} patchResource - The edit
+     * @param {string|undefined} sendUpdates
+     * @param {string} [recurringScope]
+     * @param {string} [destinationCalendarId] - The calendar the event moves to once saved
      * @private
      */
-    async _handleDeleteConfirmed() {
+    async _handleEditConflict(event, currentEvent, patchResource, sendUpdates, recurringScope, destinationCalendarId) {
+        if (!currentEvent) {
+            this._showError(window.getLocalizedMessage('googleEventDeletedRemotely') || 'This event was deleted in Google Calendar');
+            return;
+        }
+
+        // From now on the edit is against the new version (and its etag)
+        const latest = { ...event, ...currentEvent };
+        this.currentEvent = latest;
+
+        const conflicts = findEditConflicts(event, currentEvent, patchResource);
+        if (conflicts.length === 0) {
+            // Google Calendar already has exactly this edit; only the move is left
+            if (destinationCalendarId && destinationCalendarId !== latest.calendarId
+                && !await this._submitMove(latest, destinationCalendarId, sendUpdates)) {
+                return;
+            }
+            this.hide();
+            return;
+        }
+
+        await this._conflictDialog.show({
+            conflicts,
+            here: { ...event, ...patchResource },
+            there: currentEvent,
+            onSave: (keepHere) => {
+                this._editSeed = null;
+                this._submitEdit(latest, buildMergedPatch(currentEvent, patchResource, keepHere), sendUpdates, recurringScope, destinationCalendarId);
+            },
+            onUseTheirs: () => this.showEvent(latest)
+        });
+    }
+
+    /**
+     * Start a delete: an occurrence of a recurring event asks which
+     * occurrences go, any other event asks for the inline confirmation.
+     * @private
+     */
+    _handleDeleteClick() {
+        if (this.currentEvent?.recurringEventId) {
+            this._scopeDialog.show({
+                mode: 'delete',
+                onChoose: (recurringScope) => this._handleDeleteConfirmed(recurringScope)
+            });
+            return;
+        }
+        this._showDeleteConfirm(true);
+    }
+
+    /**
+     * Delete the current event after the inline confirmation or the scope
+     * dialog.
+     * @param {string} [recurringScope] - Which occurrences of a recurring
+     *   event are deleted ('this', 'following' or 'all')
+     * @private
+     */
+    async _handleDeleteConfirmed(recurringScope) {
         if (this._deletingEvent) {
             return;
         }
@@ -441,16 +767,24 @@ export class GoogleEventModal extends ModalComponent {
         this._clearError();
 
         // Stable across retries of this delete so the background can
-        // deduplicate a retry whose first attempt actually committed
-        if (!this._deleteRequestId) {
-            this._deleteRequestId = `delete-evt-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+        // deduplicate a retry whose first attempt actually committed (a
+        // different choice of occurrences is a different request)
+        if (!this._deleteSeed) {
+            this._deleteSeed = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
         }
+        const requestId = buildRequestId('delete-evt', this._deleteSeed, [event.calendarId, event.id, recurringScope, event.etag]);
+
+        // Only deleted if the event is still the version shown
+        let conflict = null;
+        const onConflict = (currentEvent) => {
+            conflict = { currentEvent };
+        };
 
         this._deletingEvent = true;
         this.confirmDeleteButton.disabled = true;
         let succeeded;
         try {
-            succeeded = await this.onDelete(event.calendarId, event.id, this._deleteRequestId);
+            succeeded = await this.onDelete(event.calendarId, event.id, requestId, { recurringScope, etag: event.etag, onConflict });
         } catch (error) {
             console.error('Google event delete error:', error);
             succeeded = false;
@@ -460,8 +794,18 @@ export class GoogleEventModal extends ModalComponent {
         }
 
         if (succeeded) {
-            this._deleteRequestId = null;
+            this._deleteSeed = null;
             this.hide();
+        } else if (conflict) {
+            if (!conflict.currentEvent) {
+                // Already gone: nothing left to delete
+                this.hide();
+                return;
+            }
+            // Show what is being deleted now before the user confirms again
+            this.showEvent({ ...event, ...conflict.currentEvent });
+            this._showError(window.getLocalizedMessage('googleEventChangedBeforeDelete')
+                || 'This event was changed in Google Calendar. Review it and delete again.');
         } else {
             this._showDeleteConfirm(false);
             this._showError(window.getLocalizedMessage('googleEventDeleteFailed') || 'Failed to delete Google event');
@@ -559,13 +903,18 @@ export class GoogleEventModal extends ModalComponent {
         }
 
         this.rsvpContainer.innerHTML = '';
+        this._rsvpNoteInput = null;
+        this._rsvpAttendanceSelect = null;
+        this._rsvpProposalElement = null;
 
         // Only show RSVP buttons if:
         // - The event is from a calendar owned by the user (not shared/read-only calendars)
         // - The event has attendees and the user is one of them
+        // - The event is not cancelled (shown with "show declined events")
         const attendees = event.attendees || [];
         const selfAttendee = attendees.find(a => a.self);
-        if (!selfAttendee || !event.isOwnedCalendar || !event.calendarId || !event.id) {
+        if (!selfAttendee || !event.isOwnedCalendar || !event.calendarId || !event.id
+            || event.status === 'cancelled') {
             return;
         }
 
@@ -625,7 +974,7 @@ export class GoogleEventModal extends ModalComponent {
             button.appendChild(btnText);
 
             button.addEventListener('click', () => {
-                this._sendRsvpResponse(event, btn.response, btnGroup);
+                this._sendRsvpResponse(event, btn.response, this._getRsvpOptions(btn.response));
             });
 
             btnGroup.appendChild(button);
@@ -633,18 +982,188 @@ export class GoogleEventModal extends ModalComponent {
 
         buttonsWrapper.appendChild(label);
         buttonsWrapper.appendChild(btnGroup);
+        this._appendRsvpOptions(buttonsWrapper, event, selfAttendee);
 
         this.rsvpContainer.appendChild(icon);
         this.rsvpContainer.appendChild(buttonsWrapper);
     }
 
+    /**
+     * Add the note sent with the response, the joining choice (for events
+     * that can be joined online) and "suggest a new time" below the buttons
+     * @param {HTMLElement} wrapper
+     * @param {Object} event
+     * @param {Object} selfAttendee - The user's attendee entry
+     * @private
+     */
+    _appendRsvpOptions(wrapper, event, selfAttendee) {
+        const options = document.createElement('div');
+        options.className = 'google-event-rsvp-options';
+
+        this._rsvpNoteInput = document.createElement('input');
+        this._rsvpNoteInput.type = 'text';
+        this._rsvpNoteInput.className = 'google-event-rsvp-note';
+        this._rsvpNoteInput.maxLength = 500;
+        this._rsvpNoteInput.placeholder = window.getLocalizedMessage('rsvpNotePlaceholder') || 'Add a note (optional)';
+        this._rsvpNoteInput.setAttribute('aria-label', this._rsvpNoteInput.placeholder);
+        this._rsvpNoteInput.value = stripAttendanceNoteLine(selfAttendee.comment);
+        options.appendChild(this._rsvpNoteInput);
+
+        if (extractMeetUrl(event) || extractVideoUrl(event)) {
+            const attendanceLabel = document.createElement('label');
+            attendanceLabel.className = 'google-event-rsvp-attendance';
+            const attendanceText = document.createElement('span');
+            attendanceText.setAttribute('data-localize', '__MSG_rsvpAttendanceLabel__');
+            attendanceText.textContent = window.getLocalizedMessage('rsvpAttendanceLabel') || 'If attending, joining';
+            attendanceLabel.appendChild(attendanceText);
+
+            this._rsvpAttendanceSelect = document.createElement('select');
+            this._rsvpAttendanceSelect.className = 'event-form-select';
+            ATTENDANCE_OPTIONS.forEach(({ value, key, fallback }) => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.setAttribute('data-localize', `__MSG_${key}__`);
+                option.textContent = window.getLocalizedMessage(key) || fallback;
+                this._rsvpAttendanceSelect.appendChild(option);
+            });
+            this._rsvpAttendanceSelect.value = getAttendanceMode(event) || '';
+            attendanceLabel.appendChild(this._rsvpAttendanceSelect);
+            options.appendChild(attendanceLabel);
+        }
+
+        // Suggesting a time needs the event's times and the day's free slots
+        if (this.findFreeSlots && event.start?.dateTime && event.end?.dateTime) {
+            const proposeButton = document.createElement('button');
+            proposeButton.type = 'button';
+            proposeButton.className = 'google-event-rsvp-propose';
+            const proposeIcon = document.createElement('i');
+            proposeIcon.className = 'fas fa-clock-rotate-left';
+            proposeIcon.setAttribute('aria-hidden', 'true');
+            const proposeText = document.createElement('span');
+            proposeText.setAttribute('data-localize', '__MSG_rsvpProposeTime__');
+            proposeText.textContent = window.getLocalizedMessage('rsvpProposeTime') || 'Decline and suggest a new time';
+            proposeButton.appendChild(proposeIcon);
+            proposeButton.appendChild(proposeText);
+            options.appendChild(proposeButton);
+
+            this._rsvpProposalElement = document.createElement('div');
+            this._rsvpProposalElement.className = 'google-event-rsvp-proposal';
+            this._rsvpProposalElement.hidden = true;
+            options.appendChild(this._rsvpProposalElement);
+
+            proposeButton.addEventListener('click', () => {
+                proposeButton.hidden = true;
+                this._showTimeProposal(event);
+            });
+        }
+
+        wrapper.appendChild(options);
+    }
+
+    /**
+     * List the free slots of the event's day, as long as the event, to
+     * suggest one of them when declining (the first is pre-selected)
+     * @param {Object} event
+     * @private
+     */
+    async _showTimeProposal(event) {
+        const element = this._rsvpProposalElement;
+        const showMessage = (text) => {
+            element.textContent = '';
+            const message = document.createElement('p');
+            message.className = 'google-event-rsvp-proposal-message';
+            message.textContent = text;
+            element.appendChild(message);
+        };
+        element.hidden = false;
+        showMessage(window.getLocalizedMessage('freeSlotsSearching') || 'Searching...');
+
+        const start = new Date(event.start.dateTime);
+        const minutes = Math.round((new Date(event.end.dateTime) - start) / 60000);
+        let slots;
+        try {
+            slots = await this.findFreeSlots(start, minutes);
+        } catch (error) {
+            console.warn('Free slot lookup failed:', error);
+            if (element === this._rsvpProposalElement) {
+                showMessage(window.getLocalizedMessage('freeSlotsLoadFailed') || 'Could not load your events. Please try again.');
+            }
+            return;
+        }
+        const [locale, format] = await resolveLocaleSettings();
+        // Another event was shown meanwhile
+        if (element !== this._rsvpProposalElement) {
+            return;
+        }
+        if (slots.length === 0) {
+            showMessage(window.getLocalizedMessage('rsvpProposalNone') || 'No free time that day');
+            return;
+        }
+
+        const formatTime = (date) => window.formatTime(extractTimeHHMM(date.toISOString()), { format, locale });
+        const day = typeof window.formatDateWithWeekdayForLocale === 'function'
+            ? window.formatDateWithWeekdayForLocale(start, locale)
+            : start.toDateString();
+        const proposals = slots.map(slot => {
+            const end = new Date(slot.start.getTime() + minutes * 60000);
+            return `${formatTime(slot.start)} - ${formatTime(end)}`;
+        });
+
+        element.textContent = '';
+        const select = document.createElement('select');
+        select.className = 'event-form-select';
+        select.setAttribute('aria-label', window.getLocalizedMessage('rsvpProposeTime') || 'Decline and suggest a new time');
+        proposals.forEach((text, index) => {
+            const option = document.createElement('option');
+            option.value = String(index);
+            option.textContent = text;
+            select.appendChild(option);
+        });
+        element.appendChild(select);
+
+        const sendButton = document.createElement('button');
+        sendButton.type = 'button';
+        sendButton.className = 'google-event-rsvp-btn';
+        sendButton.setAttribute('data-localize', '__MSG_rsvpSendProposal__');
+        sendButton.textContent = window.getLocalizedMessage('rsvpSendProposal') || 'Decline and send';
+        sendButton.addEventListener('click', () => {
+            const proposal = `${day} ${proposals[Number(select.value)]}`;
+            this._sendRsvpResponse(event, 'declined', this._getRsvpOptions('declined', proposal));
+        });
+        element.appendChild(sendButton);
+    }
+
+    /**
+     * The note and joining choice to send with a response; an accepted
+     * joining choice is written into the note as well
+     * @param {string} response
+     * @param {string} [proposal] - The suggested time, as shown
+     * @returns {{comment: string, attendanceMode: string|undefined}}
+     * @private
+     */
+    _getRsvpOptions(response, proposal) {
+        const note = stripAttendanceNoteLine(this._rsvpNoteInput?.value);
+        const template = window.getLocalizedMessage('rsvpProposalComment');
+        const proposalLine = proposal
+            ? (template ? template.replace('$1', proposal) : `Proposed new time: ${proposal}`)
+            : '';
+        const attendanceMode = response === 'accepted' ? this._rsvpAttendanceSelect?.value || undefined : undefined;
+        return {
+            comment: [proposalLine, getAttendanceNoteLine(attendanceMode), note].filter(Boolean).join('\n'),
+            attendanceMode
+        };
+    }
+
     /**
      * Send RSVP response to Google Calendar
+     * @param {Object} event
+     * @param {string} response - 'accepted', 'tentative' or 'declined'
+     * @param {{comment: string, attendanceMode: string|undefined}} options - See _getRsvpOptions
      * @private
      */
-    async _sendRsvpResponse(event, response, btnGroup) {
+    async _sendRsvpResponse(event, response, { comment, attendanceMode }) {
         // Disable all buttons while sending
-        const allButtons = btnGroup.querySelectorAll('.google-event-rsvp-btn');
+        const allButtons = this.rsvpContainer.querySelectorAll('.google-event-rsvp-btn');
         allButtons.forEach(btn => {
             btn.disabled = true;
         });
@@ -654,26 +1173,24 @@ export class GoogleEventModal extends ModalComponent {
                 action: 'respondToEvent',
                 calendarId: event.calendarId,
                 eventId: event.id,
-                response: response
+                response: response,
+                comment,
+                attendanceMode
             });
 
             if (result && result.success) {
-                // Update button states
+                // Update button states: mark the response's button as active
                 allButtons.forEach(btn => {
-                    btn.classList.remove('active');
+                    btn.classList.toggle('active', btn.dataset.response === response);
                     btn.disabled = false;
                 });
-                // Find the clicked button and mark as active
-                const activeIndex = ['accepted', 'tentative', 'declined'].indexOf(response);
-                if (activeIndex >= 0 && allButtons[activeIndex]) {
-                    allButtons[activeIndex].classList.add('active');
-                }
 
                 // Update the self attendee's status in the attendees list display
                 if (this.currentEvent && this.currentEvent.attendees) {
                     const selfAttendee = this.currentEvent.attendees.find(a => a.self);
                     if (selfAttendee) {
                         selfAttendee.responseStatus = response;
+                        selfAttendee.comment = comment || undefined;
                     }
                     this._setAttendeesInfo(this.currentEvent);
                 }
@@ -741,10 +1258,14 @@ export class GoogleEventModal extends ModalComponent {
      */
     hide() {
         super.hide();
+        this._scopeDialog.remove();
+        this._conflictDialog.remove();
+        this._sendUpdatesDialog.remove();
         this.currentEvent = null;
-        // Abandoned sessions: the next edit/delete is a new logical request
+        // Abandoned sessions: the next edit/delete/move is a new logical request
         this._editSeed = null;
-        this._deleteRequestId = null;
+        this._deleteSeed = null;
+        this._moveSeed = null;
     }
 
     /**
@@ -0,0 +1,468 @@
+/**
+ * GuestFieldsBuilder - Guest field and availability for Google event forms
+ *
+ * Builds the guest list input, the "check availability" lookup (each
+ * guest's busy time on a mini timeline of the event's day, plus the times
+ * everyone is free) and what guests may do with the event. Who is emailed
+ * is asked on save (SendUpdatesDialog).
+ * Shared by the create form (LocalEventFormBuilder) and the Google edit
+ * form (GoogleEventEditFormBuilder). A plain helper class, like them.
+ */
+import { sendMessage } from '../../../lib/chrome-messaging.js';
+import { findCommonFreeSlots } from '../../../lib/day-summary.js';
+import { extractTimeHHMM, getFreeBusyIntervals, getGuestPermissions, parseAttendeeEmails } from '../../../lib/google-event-utils.js';
+import { loadSettings } from '../../../lib/settings-storage.js';
+import { addDays, createTimeOnDate, isSameDay, parseTimeString } from '../../../lib/time-utils.js';
+import { resolveLocaleSettings } from '../../event-element-factory.js';
+
+// The guest permission checkboxes (event resource fields)
+const PERMISSION_OPTIONS = [
+    { field: 'guestsCanModify', key: 'guestsCanModify', fallback: 'Modify event' },
+    { field: 'guestsCanInviteOthers', key: 'guestsCanInviteOthers', fallback: 'Invite others' }
+];
+
+// Slot length suggested when the form's times do not give one (minutes)
+const DEFAULT_SLOT_MINUTES = 30;
+
+// The most common free slots listed
+const MAX_SUGGESTIONS = 6;
+
+/**
+ * "HH:MM" on a day as a Date
+ * @param {Date} date
+ * @param {string} time
+ * @returns {Date|null} null when the time is not valid
+ */
+function timeOnDate(date, time) {
+    try {
+        const { hour, minute } = parseTimeString(time);
+        return createTimeOnDate(date, hour, minute);
+    } catch {
+        return null;
+    }
+}
+
+export class GuestFieldsBuilder {
+    /**
+     * @param {import('./modal-component.js').ModalComponent} modal - The parent modal (used for addEventListener tracking)
+     * @param {string} idPrefix - Prefix of the element ids (one form per prefix)
+     */
+    constructor(modal, idPrefix) {
+        this.modal = modal;
+        this.idPrefix = idPrefix;
+
+        this.guestInput = null;
+        this.checkButton = null;
+        this.availabilityElement = null;
+        this.permissionsRow = null;
+        // Permission field → its checkbox
+        this.permissionInputs = {};
+
+        this.getContext = null;
+        this.onSlotSelect = null;
+
+        // Guests and permissions when the form was filled: removing guests
+        // also sends emails, and unchanged permissions are not saved
+        this.initialEmails = [];
+        this.initialPermissions = getGuestPermissions({});
+        // The listed suggestions, indexed by their buttons' data-slot-index
+        this.suggestedSlots = [];
+        this._lookupId = 0;
+    }
+
+    /**
+     * Build the fields and append them to the parent element.
+     * @param {HTMLElement} parentElement
+     * @param {Object} options
+     * @param {Function} options.getContext - `()` → `{calendarId, date, startTime, endTime}`:
+     *   the calendar written to, the event's day and the form's "HH:MM" times
+     * @param {Function} [options.onSlotSelect] - Called with `(startTime, endTime)`
+     *   ("HH:MM") when a suggested slot is picked
+     */
+    build(parentElement, { getContext, onSlotSelect } = {}) {
+        this.getContext = getContext || null;
+        this.onSlotSelect = onSlotSelect || null;
+
+        const container = document.createElement('div');
+        container.className = 'guest-fields';
+
+        const guestLabel = document.createElement('label');
+        guestLabel.htmlFor = `${this.idPrefix}Guests`;
+        guestLabel.setAttribute('data-localize', '__MSG_eventGuests__');
+        guestLabel.textContent = window.getLocalizedMessage('eventGuests') || 'Guests';
+        container.appendChild(guestLabel);
+
+        const inputRow = document.createElement('div');
+        inputRow.className = 'guest-input-row';
+
+        this.guestInput = document.createElement('input');
+        this.guestInput.type = 'text';
+        this.guestInput.id = `${this.idPrefix}Guests`;
+        this.guestInput.className = 'guest-input';
+        this.guestInput.placeholder = window.getLocalizedMessage('eventGuestsPlaceholder') || 'name@example.com, ...';
+        this.guestInput.autocomplete = 'email';
+        inputRow.appendChild(this.guestInput);
+
+        this.checkButton = document.createElement('button');
+        this.checkButton.type = 'button';
+        this.checkButton.className = 'btn btn-secondary guest-availability-button';
+        const checkIcon = document.createElement('i');
+        checkIcon.className = 'fas fa-users-viewfinder';
+        checkIcon.setAttribute('aria-hidden', 'true');
+        const checkLabel = document.createElement('span');
+        checkLabel.setAttribute('data-localize', '__MSG_checkGuestAvailability__');
+        checkLabel.textContent = window.getLocalizedMessage('checkGuestAvailability') || 'Check availability';
+        this.checkButton.appendChild(checkIcon);
+        this.checkButton.appendChild(checkLabel);
+        inputRow.appendChild(this.checkButton);
+
+        container.appendChild(inputRow);
+
+        this.availabilityElement = document.createElement('div');
+        this.availabilityElement.className = 'guest-availability';
+        this.availabilityElement.setAttribute('aria-live', 'polite');
+        this.availabilityElement.hidden = true;
+        container.appendChild(this.availabilityElement);
+
+        // Guest permissions — only shown while there are (or were) guests
+        this.permissionsRow = document.createElement('fieldset');
+        this.permissionsRow.className = 'guest-permissions';
+        this.permissionsRow.style.display = 'none';
+
+        const permissionsLegend = document.createElement('legend');
+        permissionsLegend.setAttribute('data-localize', '__MSG_guestPermissions__');
+        permissionsLegend.textContent = window.getLocalizedMessage('guestPermissions') || 'Guest permissions';
+        this.permissionsRow.appendChild(permissionsLegend);
+
+        PERMISSION_OPTIONS.forEach(({ field, key, fallback }) => {
+            const label = document.createElement('label');
+            label.className = 'guest-permission';
+            const input = document.createElement('input');
+            input.type = 'checkbox';
+            input.id = `${this.idPrefix}${field.charAt(0).toUpperCase()}${field.slice(1)}`;
+            const text = document.createElement('span');
+            text.setAttribute('data-localize', `__MSG_${key}__`);
+            text.textContent = window.getLocalizedMessage(key) || fallback;
+            label.appendChild(input);
+            label.appendChild(text);
+            this.permissionsRow.appendChild(label);
+            this.permissionInputs[field] = input;
+        });
+        container.appendChild(this.permissionsRow);
+
+        parentElement.appendChild(container);
+
+        this.modal.addEventListener(this.guestInput, 'input', () => {
+            // The shown availability is for the previous guest list
+            this._clearAvailability();
+            this._updatePermissionsVisibility();
+        });
+        this.modal.addEventListener(this.checkButton, 'click', () => this.checkAvailability());
+        this.modal.addEventListener(this.availabilityElement, 'click', (e) => {
+            const button = e.target.closest('.guest-suggested-slot');
+            const slot = button && this.suggestedSlots[Number(button.dataset.slotIndex)];
+            if (slot && this.onSlotSelect) {
+                this.onSlotSelect(slot.startTime, slot.endTime);
+                // Redraw with the picked time marked
+                this.checkAvailability();
+            }
+        });
+    }
+
+    /**
+     * Fill the guest field and permissions
+     * @param {string[]} emails - An empty list for a new event
+     * @param {Object} [event={}] - The event whose guest permissions are shown
+     *   (Google Calendar's defaults for a new event)
+     */
+    setEmails(emails, event = {}) {
+        this.initialEmails = [...emails];
+        this.initialPermissions = getGuestPermissions(event);
+        this.guestInput.value = emails.join(', ');
+        PERMISSION_OPTIONS.forEach(({ field }) => {
+            this.permissionInputs[field].checked = this.initialPermissions[field];
+        });
+        this._clearAvailability();
+        this._updatePermissionsVisibility();
+    }
+
+    /**
+     * Read the guest field
+     * @returns {{emails: string[], invalid: string[]}} See parseAttendeeEmails
+     */
+    getEmails() {
+        return parseAttendeeEmails(this.guestInput.value);
+    }
+
+    /**
+     * Why the guest field cannot be saved
+     * @returns {string|null} A message naming the entries that are not email
+     *   addresses, or null when every entry is one
+     */
+    getInvalidMessage() {
+        const { invalid } = this.getEmails();
+        if (invalid.length === 0) {
+            return null;
+        }
+        const list = invalid.join(', ');
+        const template = window.getLocalizedMessage('invalidGuestEmails');
+        return template ? template.replace('$1', list) : `Not an email address: ${list}`;
+    }
+
+    /**
+     * Read the guest permission checkboxes
+     * @returns {{guestsCanModify: boolean, guestsCanInviteOthers: boolean}}
+     */
+    getPermissions() {
+        return Object.fromEntries(PERMISSION_OPTIONS.map(({ field }) => [field, this.permissionInputs[field].checked]));
+    }
+
+    /**
+     * Whether a permission differs from when the form was filled
+     * @returns {boolean}
+     */
+    isPermissionsChanged() {
+        const permissions = this.getPermissions();
+        return PERMISSION_OPTIONS.some(({ field }) => permissions[field] !== this.initialPermissions[field]);
+    }
+
+    /**
+     * Whether the event has guests before or after the save — then there is
+     * someone to email about it
+     * @returns {boolean}
+     */
+    hasGuests() {
+        return this.initialEmails.length > 0 || this.getEmails().emails.length > 0;
+    }
+
+    /**
+     * Look up the busy time of the calendar and the guests on the event's day
+     * and show it with the times everyone is free
+     */
+    async checkAvailability() {
+        const invalidMessage = this.getInvalidMessage();
+        if (invalidMessage) {
+            this._showMessage(invalidMessage);
+            return;
+        }
+        const { emails } = this.getEmails();
+        if (emails.length === 0) {
+            this._showMessage(window.getLocalizedMessage('guestAvailabilityNoGuests') || 'Add guests to check their availability.');
+            return;
+        }
+
+        const { calendarId, date, startTime, endTime } = this.getContext();
+        const calendarIds = [calendarId, ...emails.filter(email => email.toLowerCase() !== calendarId.toLowerCase())];
+        const dayStart = createTimeOnDate(date, 0, 0);
+
+        const lookupId = ++this._lookupId;
+        this._showMessage(window.getLocalizedMessage('guestAvailabilityLoading') || 'Checking availability...');
+        let response;
+        try {
+            response = await sendMessage({
+                action: 'getFreeBusy',
+                calendarIds,
+                timeMin: dayStart.toISOString(),
+                timeMax: addDays(dayStart, 1).toISOString()
+            });
+        } catch (error) {
+            response = { success: false, error: error.message };
+        }
+        // The guests or the form changed meanwhile and a newer lookup renders
+        if (lookupId !== this._lookupId) {
+            return;
+        }
+        if (!response || !response.success) {
+            console.warn('Free/busy lookup failed:', response?.error);
+            this._showMessage(window.getLocalizedMessage('guestAvailabilityFailed') || 'Could not check availability.');
+            return;
+        }
+
+        const settings = await loadSettings();
+        if (lookupId !== this._lookupId) {
+            return;
+        }
+        await this._renderAvailability(calendarIds, response.calendars || {}, {
+            date,
+            openTime: settings.openTime,
+            closeTime: settings.closeTime,
+            start: timeOnDate(date, startTime),
+            end: timeOnDate(date, endTime)
+        });
+    }
+
+    /**
+     * Show one timeline row per calendar and the common free slots
+     * @param {string[]} calendarIds - In display order (the event's calendar first)
+     * @param {Object} calendars - calendarId → {busy, errors?} (queryFreeBusy)
+     * @param {Object} day
+     * @param {Date} day.date
+     * @param {string} day.openTime - "HH:MM"
+     * @param {string} day.closeTime - "HH:MM"
+     * @param {Date|null} day.start - The form's start, when valid
+     * @param {Date|null} day.end - The form's end, when valid
+     * @private
+     */
+    async _renderAvailability(calendarIds, calendars, { date, openTime, closeTime, start, end }) {
+        const [locale, format] = await resolveLocaleSettings();
+        const formatTime = (time) => window.formatTime(extractTimeHHMM(time.toISOString()), { format, locale });
+        const proposed = start && end && end > start ? { start, end } : null;
+
+        // Working hours, widened to the proposed time when it falls outside
+        let rangeStart = timeOnDate(date, openTime);
+        let rangeEnd = timeOnDate(date, closeTime);
+        if (proposed) {
+            rangeStart = proposed.start < rangeStart ? proposed.start : rangeStart;
+            rangeEnd = proposed.end > rangeEnd ? proposed.end : rangeEnd;
+        }
+        const span = rangeEnd - rangeStart;
+        const placeBlock = (element, blockStart, blockEnd) => {
+            const from = Math.max(blockStart - rangeStart, 0);
+            const to = Math.min(blockEnd - rangeStart, span);
+            element.style.left = `${(from / span) * 100}%`;
+            element.style.width = `${((to - from) / span) * 100}%`;
+        };
+
+        this.availabilityElement.textContent = '';
+        this.availabilityElement.hidden = false;
+        this.suggestedSlots = [];
+
+        const timeline = document.createElement('div');
+        timeline.className = 'guest-timeline';
+        const readable = [];
+        calendarIds.forEach(id => {
+            const calendar = calendars[id];
+            const unknown = !calendar || (calendar.errors && calendar.errors.length > 0);
+
+            const row = document.createElement('div');
+            row.className = 'guest-timeline-row';
+
+            const label = document.createElement('span');
+            label.className = 'guest-timeline-label';
+            label.textContent = id;
+            label.title = id;
+            row.appendChild(label);
+
+            const track = document.createElement('div');
+            track.className = 'guest-timeline-track';
+            if (unknown) {
+                track.classList.add('unknown');
+                track.title = window.getLocalizedMessage('guestAvailabilityUnknown') || 'Availability not shared';
+            } else {
+                const busy = getFreeBusyIntervals(calendar)
+                    .filter(block => block.end > rangeStart && block.start < rangeEnd);
+                readable.push(busy);
+                busy.forEach(block => {
+                    const element = document.createElement('div');
+                    element.className = 'guest-busy-block';
+                    element.title = `${formatTime(block.start)} - ${formatTime(block.end)}`;
+                    placeBlock(element, block.start, block.end);
+                    track.appendChild(element);
+                });
+            }
+            if (proposed) {
+                const element = document.createElement('div');
+                element.className = 'guest-proposed-block';
+                placeBlock(element, proposed.start, proposed.end);
+                track.appendChild(element);
+            }
+            row.appendChild(track);
+            timeline.appendChild(row);
+        });
+
+        const scale = document.createElement('div');
+        scale.className = 'guest-timeline-scale';
+        const scaleStart = document.createElement('span');
+        scaleStart.textContent = formatTime(rangeStart);
+        const scaleEnd = document.createElement('span');
+        scaleEnd.textContent = formatTime(rangeEnd);
+        scale.appendChild(scaleStart);
+        scale.appendChild(scaleEnd);
+        timeline.appendChild(scale);
+        this.availabilityElement.appendChild(timeline);
+
+        this._renderSuggestions(readable, { date, openTime, closeTime, proposed }, formatTime);
+    }
+
+    /**
+     * List the times within working hours when every readable calendar is
+     * free, long enough for the proposed event
+     * @param {Array<Array<{start: Date, end: Date}>>} busyLists
+     * @param {Object} day - date, openTime, closeTime and proposed, as for _renderAvailability
+     * @param {Function} formatTime - Date → the user's time format
+     * @private
+     */
+    _renderSuggestions(busyLists, { date, openTime, closeTime, proposed }, formatTime) {
+        const minutes = proposed ? Math.round((proposed.end - proposed.start) / 60000) : DEFAULT_SLOT_MINUTES;
+        const now = new Date();
+        const slots = findCommonFreeSlots(busyLists, date, {
+            openTime,
+            closeTime,
+            minMinutes: minutes,
+            notBefore: isSameDay(date, now) ? now : null
+        }).slice(0, MAX_SUGGESTIONS);
+
+        const heading = document.createElement('div');
+        heading.className = 'guest-suggestions-title';
+        heading.textContent = window.getLocalizedMessage('guestSuggestedTimes') || 'Everyone is free';
+        this.availabilityElement.appendChild(heading);
+
+        if (slots.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'guest-availability-message';
+            empty.textContent = window.getLocalizedMessage('guestNoCommonTime') || 'No time when everyone is free';
+            this.availabilityElement.appendChild(empty);
+            return;
+        }
+
+        const list = document.createElement('div');
+        list.className = 'guest-suggestions';
+        slots.forEach(slot => {
+            const slotEnd = new Date(slot.start.getTime() + minutes * 60000);
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'guest-suggested-slot';
+            button.dataset.slotIndex = String(this.suggestedSlots.length);
+            button.textContent = `${formatTime(slot.start)} - ${formatTime(slotEnd)}`;
+            this.suggestedSlots.push({
+                startTime: extractTimeHHMM(slot.start.toISOString()),
+                endTime: extractTimeHHMM(slotEnd.toISOString())
+            });
+            list.appendChild(button);
+        });
+        this.availabilityElement.appendChild(list);
+    }
+
+    /**
+     * Replace the availability with a single line of text
+     * @param {string} text
+     * @private
+     */
+    _showMessage(text) {
+        this.availabilityElement.textContent = '';
+        this.availabilityElement.hidden = false;
+        this.suggestedSlots = [];
+        const message = document.createElement('p');
+        message.className = 'guest-availability-message';
+        message.textContent = text;
+        this.availabilityElement.appendChild(message);
+    }
+
+    /**
+     * Hide the availability and drop any lookup in flight
+     * @private
+     */
+    _clearAvailability() {
+        this._lookupId++;
+        this.suggestedSlots = [];
+        this.availabilityElement.textContent = '';
+        this.availabilityElement.hidden = true;
+    }
+
+    /**
+     * @private
+     */
+    _updatePermissionsVisibility() {
+        this.permissionsRow.style.display = this.hasGuests() ? '' : 'none';
+    }
+}
@@ -5,6 +5,16 @@
  * This is a plain helper class (not a Component subclass).
  */
 import { RECURRENCE_TYPES } from '../../../lib/constants.js';
+import {
+    MAX_REMINDER_OFFSETS,
+    REMINDER_OFFSET_PRESETS,
+    formatReminderOffset,
+    normalizeReminderOffsets
+} from '../../../lib/reminder-offsets.js';
+import { buildPresetRRule, detectRecurrencePreset, normalizeRecurrence } from '../../../lib/rrule.js';
+import { addDays, daysBetween, parseDateString } from '../../../lib/time-utils.js';
+import { getFormattedDateFromDate } from '../../../lib/utils.js';
+import { GuestFieldsBuilder } from './guest-fields-builder.js';
 
 export class LocalEventFormBuilder {
     /**
@@ -18,6 +28,10 @@ export class LocalEventFormBuilder {
         this.titleInput = null;
         this.startTimeInput = null;
         this.endTimeInput = null;
+        this.timeRow = null;
+        this.allDayCheckbox = null;
+        this.eventEndDateSection = null;
+        this.eventEndDateInput = null;
         this.descriptionInput = null;
         this.reminderCheckbox = null;
         this.saveButton = null;
@@ -31,6 +45,8 @@ export class LocalEventFormBuilder {
         this.endDateInput = null;
         this.noEndDateCheckbox = null;
         this.endDateSection = null;
+        this.customRuleSection = null;
+        this.customRuleInput = null;
 
         // Save destination (local / google) elements
         this.sourceToggle = null;
@@ -44,6 +60,7 @@ export class LocalEventFormBuilder {
         this.calendarSelect = null;
         this.locationInput = null;
         this.meetCheckbox = null;
+        this.guestFields = new GuestFieldsBuilder(modal, 'googleEvent');
 
         // Google advanced (accordion) fields
         this.googleAdvanced = null;
@@ -51,6 +68,13 @@ export class LocalEventFormBuilder {
         this.advancedBody = null;
         this.reminderSelect = null;
 
+        // Reminder offsets (local only); empty means the reminderMinutes setting
+        this.reminderOffsetsSection = null;
+        this.reminderOffsetList = null;
+        this.reminderOffsetSelect = null;
+        this.addReminderOffsetButton = null;
+        this.reminderOffsets = [];
+
         // Containers toggled by save destination
         this.reminderContainer = null;
         this.recurrenceSection = null;
@@ -115,12 +139,13 @@ export class LocalEventFormBuilder {
     }
 
     /**
-     * Build Google-only fields (target calendar picker + Meet toggle). Hidden
-     * unless the save destination is Google.
+     * Build Google-only fields (target calendar picker, Meet toggle, guests).
+     * Hidden unless the save destination is Google.
      * @param {HTMLElement} parentElement
+     * @param {Object} options - The buildEditContent callbacks (getEventDate, onTimesChange)
      * @private
      */
-    _buildGoogleFields(parentElement) {
+    _buildGoogleFields(parentElement, options) {
         const container = document.createElement('div');
         container.className = 'google-event-fields';
         container.style.cssText = 'display: none;';
@@ -159,6 +184,21 @@ export class LocalEventFormBuilder {
         meetRow.appendChild(meetLabel);
         container.appendChild(meetRow);
 
+        // Guests, their availability and who is emailed
+        this.guestFields.build(container, {
+            getContext: () => ({
+                calendarId: this.calendarSelect.value || 'primary',
+                date: options.getEventDate ? options.getEventDate() : new Date(),
+                startTime: this.startTimeInput.value,
+                endTime: this.endTimeInput.value
+            }),
+            onSlotSelect: (startTime, endTime) => {
+                this.startTimeInput.value = startTime;
+                this.endTimeInput.value = endTime;
+                if (options.onTimesChange) options.onTimesChange();
+            }
+        });
+
         parentElement.appendChild(container);
         this.googleFields = container;
     }
@@ -324,9 +364,85 @@ export class LocalEventFormBuilder {
         if (this.reminderContainer) {
             this.reminderContainer.style.display = isGoogle ? 'none' : '';
         }
-        if (this.recurrenceSection) {
-            this.recurrenceSection.style.display = isGoogle ? 'none' : '';
+        this.updateAllDayState();
+    }
+
+    /**
+     * Show or hide the time inputs and reminder for the all-day toggle.
+     * A Google event only runs over several days when it is all-day, so its
+     * end date is shown only then.
+     */
+    updateAllDayState() {
+        const allDay = this.isAllDay();
+        if (this.timeRow) {
+            this.timeRow.style.display = allDay ? 'none' : '';
+        }
+        if (this.eventEndDateSection) {
+            this.eventEndDateSection.style.display = this.currentSource !== 'google' || allDay ? '' : 'none';
+        }
+        // All-day events get no reminder (there is no start time to remind before)
+        if (this.reminderContainer && this.currentSource !== 'google') {
+            this.reminderContainer.style.display = allDay ? 'none' : 'flex';
+        }
+        this.updateReminderOffsetsState();
+    }
+
+    /**
+     * Show the reminder times only while a local timed event has its reminder on
+     */
+    updateReminderOffsetsState() {
+        if (!this.reminderOffsetsSection) {
+            return;
+        }
+        const visible = this.currentSource !== 'google' && !this.isAllDay() && this.reminderCheckbox.checked;
+        this.reminderOffsetsSection.style.display = visible ? '' : 'none';
+        this.addReminderOffsetButton.disabled = this.reminderOffsets.length >= MAX_REMINDER_OFFSETS;
+    }
+
+    /**
+     * Warn that the entered times overlap other events, or hide the warning.
+     * @param {string[]} titles - The titles of the overlapping events
+     */
+    setConflictWarning(titles) {
+        if (!this.conflictWarning) {
+            return;
+        }
+
+        this.conflictWarning.textContent = '';
+        this.conflictWarning.style.display = titles.length > 0 ? '' : 'none';
+        if (titles.length === 0) {
+            return;
+        }
+
+        const icon = document.createElement('i');
+        icon.className = 'fas fa-triangle-exclamation';
+        icon.setAttribute('aria-hidden', 'true');
+        this.conflictWarning.appendChild(icon);
+
+        const list = titles.join(', ');
+        const template = window.getLocalizedMessage('eventOverlapsWith');
+        this.conflictWarning.appendChild(document.createTextNode(template
+            ? template.replace('$1', list)
+            : `Overlaps with ${list}`));
+    }
+
+    /**
+     * Whether the event being edited or created is an all-day event.
+     * @returns {boolean}
+     */
+    isAllDay() {
+        return !!this.allDayCheckbox?.checked;
+    }
+
+    /**
+     * The last day entered for a multi-day event.
+     * @returns {string|null} YYYY-MM-DD, or null for a single-day event
+     */
+    getEventEndDate() {
+        if (this.currentSource === 'google' && !this.isAllDay()) {
+            return null;
         }
+        return this.eventEndDateInput?.value || null;
     }
 
     /**
@@ -340,7 +456,8 @@ export class LocalEventFormBuilder {
     /**
      * Build the edit mode content and append it to the parent element
      * @param {HTMLElement} parentElement - The container to append form elements to
-     * @param {Object} options - Callbacks: { onSave, onDelete, onCancel, onValidateTimes }
+     * @param {Object} options - Callbacks: { onSave, onDelete, onCancel, onValidateTimes, onTimesChange,
+     *   getEventDate } (getEventDate: the day a Google event is created on)
      */
     buildEditContent(parentElement, options = {}) {
         // Title
@@ -365,6 +482,26 @@ export class LocalEventFormBuilder {
         this.titleInput.required = true;
         parentElement.appendChild(this.titleInput);
 
+        // All-day toggle
+        const allDayRow = document.createElement('div');
+        allDayRow.className = 'all-day-container';
+        allDayRow.style.cssText = 'margin: 10px 0; display: flex; align-items: center;';
+
+        this.allDayCheckbox = document.createElement('input');
+        this.allDayCheckbox.type = 'checkbox';
+        this.allDayCheckbox.id = 'eventAllDay';
+        this.allDayCheckbox.style.cssText = 'margin: 0; flex-shrink: 0;';
+
+        const allDayLabel = document.createElement('label');
+        allDayLabel.htmlFor = 'eventAllDay';
+        allDayLabel.setAttribute('data-localize', '__MSG_allDay__');
+        allDayLabel.textContent = window.getLocalizedMessage('allDay') || 'All day';
+        allDayLabel.style.cssText = 'margin-left: 8px; margin-bottom: 0; user-select: none; cursor: pointer; display: inline-block; font-weight: normal;';
+
+        allDayRow.appendChild(this.allDayCheckbox);
+        allDayRow.appendChild(allDayLabel);
+        parentElement.appendChild(allDayRow);
+
         // Time inputs row (side by side)
         const timeRow = document.createElement('div');
         timeRow.className = 'time-input-row';
@@ -406,9 +543,35 @@ export class LocalEventFormBuilder {
         timeRow.appendChild(startGroup);
         timeRow.appendChild(endGroup);
         parentElement.appendChild(timeRow);
+        this.timeRow = timeRow;
+
+        // End date for events running past the start day (all-day only for Google)
+        const eventEndDateSection = document.createElement('div');
+        eventEndDateSection.className = 'event-end-date-section';
+
+        const eventEndDateLabel = document.createElement('label');
+        eventEndDateLabel.htmlFor = 'eventEndDate';
+        eventEndDateLabel.setAttribute('data-localize', '__MSG_eventEndsOn__');
+        eventEndDateLabel.textContent = window.getLocalizedMessage('eventEndsOn') || 'Ends on (multi-day events):';
+        eventEndDateSection.appendChild(eventEndDateLabel);
+
+        this.eventEndDateInput = document.createElement('input');
+        this.eventEndDateInput.type = 'date';
+        this.eventEndDateInput.id = 'eventEndDate';
+        eventEndDateSection.appendChild(this.eventEndDateInput);
+
+        parentElement.appendChild(eventEndDateSection);
+        this.eventEndDateSection = eventEndDateSection;
 
-        // Google-only fields (target calendar + Meet toggle)
-        this._buildGoogleFields(parentElement);
+        // Double-booking warning (does not block saving)
+        this.conflictWarning = document.createElement('div');
+        this.conflictWarning.className = 'event-conflict-warning';
+        this.conflictWarning.setAttribute('role', 'status');
+        this.conflictWarning.style.display = 'none';
+        parentElement.appendChild(this.conflictWarning);
+
+        // Google-only fields (target calendar, Meet toggle, guests)
+        this._buildGoogleFields(parentElement, options);
 
         // Description textarea
         const descriptionLabel = document.createElement('label');
@@ -445,7 +608,10 @@ export class LocalEventFormBuilder {
         parentElement.appendChild(reminderContainer);
         this.reminderContainer = reminderContainer;
 
-        // Recurrence section (local only)
+        // When to remind (local only)
+        this._buildReminderOffsets(parentElement);
+
+        // Recurrence section (local and Google)
         this.buildRecurrenceSection(parentElement);
 
         // Google advanced settings accordion (Google only)
@@ -485,6 +651,112 @@ export class LocalEventFormBuilder {
         this._setupFormEventListeners(options);
     }
 
+    /**
+     * Build the list of reminder times: a chip per time with a remove
+     * button, and a preset select with an add button
+     * @param {HTMLElement} parentElement
+     * @private
+     */
+    _buildReminderOffsets(parentElement) {
+        const section = document.createElement('div');
+        section.className = 'reminder-offsets';
+
+        this.reminderOffsetList = document.createElement('div');
+        this.reminderOffsetList.className = 'reminder-offset-list';
+        section.appendChild(this.reminderOffsetList);
+
+        const addRow = document.createElement('div');
+        addRow.className = 'reminder-offset-add';
+
+        this.reminderOffsetSelect = document.createElement('select');
+        this.reminderOffsetSelect.id = 'eventReminderOffset';
+        this.reminderOffsetSelect.className = 'event-form-select';
+        this.reminderOffsetSelect.setAttribute('aria-label', window.getLocalizedMessage('remindMeBefore'));
+        REMINDER_OFFSET_PRESETS.forEach(minutes => {
+            const option = document.createElement('option');
+            option.value = String(minutes);
+            option.textContent = formatReminderOffset(minutes, key => window.getLocalizedMessage(key));
+            this.reminderOffsetSelect.appendChild(option);
+        });
+        this.reminderOffsetSelect.value = '60';
+
+        this.addReminderOffsetButton = document.createElement('button');
+        this.addReminderOffsetButton.type = 'button';
+        this.addReminderOffsetButton.className = 'btn btn-secondary btn-sm';
+        this.addReminderOffsetButton.setAttribute('data-localize', '__MSG_addReminderOffset__');
+        this.addReminderOffsetButton.textContent = window.getLocalizedMessage('addReminderOffset') || 'Add reminder';
+
+        addRow.appendChild(this.reminderOffsetSelect);
+        addRow.appendChild(this.addReminderOffsetButton);
+        section.appendChild(addRow);
+        parentElement.appendChild(section);
+        this.reminderOffsetsSection = section;
+
+        this.modal.addEventListener(this.addReminderOffsetButton, 'click', () => {
+            this.setReminderOffsets([...this.reminderOffsets, Number(this.reminderOffsetSelect.value)]);
+        });
+        this.modal.addEventListener(this.reminderCheckbox, 'change', () => this.updateReminderOffsetsState());
+
+        this._renderReminderOffsets();
+    }
+
+    /**
+     * Set the reminder times shown in the form
+     * @param {number[]} offsets - Minutes before the start; empty for the default
+     */
+    setReminderOffsets(offsets) {
+        this.reminderOffsets = normalizeReminderOffsets(offsets);
+        this._renderReminderOffsets();
+        this.updateReminderOffsetsState();
+    }
+
+    /**
+     * The reminder times entered
+     * @returns {number[]} Empty when the default reminder time applies
+     */
+    getReminderOffsets() {
+        return [...this.reminderOffsets];
+    }
+
+    /**
+     * @private
+     */
+    _renderReminderOffsets() {
+        if (!this.reminderOffsetList) {
+            return;
+        }
+        this.reminderOffsetList.innerHTML = '';
+
+        if (this.reminderOffsets.length === 0) {
+            const hint = document.createElement('span');
+            hint.className = 'reminder-offset-default';
+            hint.textContent = window.getLocalizedMessage('reminderOffsetsDefault') || 'At the default reminder time';
+            this.reminderOffsetList.appendChild(hint);
+            return;
+        }
+
+        // Furthest first, the order they fire in
+        [...this.reminderOffsets].reverse().forEach(minutes => {
+            const label = formatReminderOffset(minutes, key => window.getLocalizedMessage(key));
+
+            const chip = document.createElement('span');
+            chip.className = 'reminder-offset-chip';
+            chip.textContent = label;
+
+            const remove = document.createElement('button');
+            remove.type = 'button';
+            remove.className = 'reminder-offset-remove';
+            remove.setAttribute('aria-label', (window.getLocalizedMessage('removeReminderOffset') || 'Remove reminder $1').replace('$1', label));
+            remove.innerHTML = '<i class="fas fa-times" aria-hidden="true"></i>';
+            this.modal.addEventListener(remove, 'click', () => {
+                this.setReminderOffsets(this.reminderOffsets.filter(offset => offset !== minutes));
+            });
+
+            chip.appendChild(remove);
+            this.reminderOffsetList.appendChild(chip);
+        });
+    }
+
     /**
      * Build the recurrence section and append it to the parent element
      * @param {HTMLElement} parentElement - The container to append recurrence UI to
@@ -511,7 +783,10 @@ export class LocalEventFormBuilder {
             { value: RECURRENCE_TYPES.DAILY, msgKey: 'recurrenceDaily', default: 'Daily' },
             { value: RECURRENCE_TYPES.WEEKDAYS, msgKey: 'recurrenceWeekdays', default: 'Every weekday (Mon-Fri)' },
             { value: RECURRENCE_TYPES.WEEKLY, msgKey: 'recurrenceWeekly', default: 'Weekly' },
-            { value: RECURRENCE_TYPES.MONTHLY, msgKey: 'recurrenceMonthly', default: 'Monthly' }
+            { value: RECURRENCE_TYPES.MONTHLY, msgKey: 'recurrenceMonthly', default: 'Monthly' },
+            { value: RECURRENCE_TYPES.MONTHLY_WEEKDAY, msgKey: 'recurrenceMonthlyWeekday', default: 'Monthly on the same weekday' },
+            { value: RECURRENCE_TYPES.YEARLY, msgKey: 'recurrenceYearly', default: 'Yearly' },
+            { value: RECURRENCE_TYPES.CUSTOM, msgKey: 'recurrenceCustom', default: 'Custom rule' }
         ];
 
         recurrenceOptions.forEach(opt => {
@@ -566,6 +841,34 @@ export class LocalEventFormBuilder {
         this.recurrenceOptionsContainer.appendChild(weekdayContainer);
         recurrenceSection.appendChild(this.recurrenceOptionsContainer);
 
+        // Custom RRULE section (for rules the presets cannot express)
+        this.customRuleSection = document.createElement('div');
+        this.customRuleSection.className = 'custom-rule-section';
+        this.customRuleSection.style.cssText = 'margin-top: 10px; display: none;';
+
+        const customRuleLabel = document.createElement('label');
+        customRuleLabel.htmlFor = 'recurrenceRule';
+        customRuleLabel.setAttribute('data-localize', '__MSG_recurrenceCustomRule__');
+        customRuleLabel.textContent = window.getLocalizedMessage('recurrenceCustomRule') || 'Rule (RRULE):';
+        this.customRuleSection.appendChild(customRuleLabel);
+
+        this.customRuleInput = document.createElement('input');
+        this.customRuleInput.type = 'text';
+        this.customRuleInput.id = 'recurrenceRule';
+        this.customRuleInput.placeholder = 'FREQ=MONTHLY;BYDAY=2TU';
+        this.customRuleInput.spellcheck = false;
+        this.customRuleInput.style.cssText = 'width: 100%; padding: 6px; margin-top: 5px; border: 1px solid var(--side-calendar-input-border); border-radius: 4px; background: var(--side-calendar-input-bg); color: inherit; font-family: monospace;';
+        this.customRuleSection.appendChild(this.customRuleInput);
+
+        const customRuleHint = document.createElement('div');
+        customRuleHint.setAttribute('data-localize', '__MSG_recurrenceCustomHint__');
+        customRuleHint.textContent = window.getLocalizedMessage('recurrenceCustomHint')
+            || 'e.g. FREQ=WEEKLY;INTERVAL=3;BYDAY=MO,TH or FREQ=MONTHLY;BYDAY=MO,TU,WE,TH,FR;BYSETPOS=-1';
+        customRuleHint.style.cssText = 'margin-top: 4px; font-size: 0.8em; color: var(--side-calendar-secondary-text-color);';
+        this.customRuleSection.appendChild(customRuleHint);
+
+        recurrenceSection.appendChild(this.customRuleSection);
+
         // End date section
         const endDateSection = document.createElement('div');
         endDateSection.className = 'end-date-section';
@@ -614,7 +917,7 @@ export class LocalEventFormBuilder {
 
     /**
      * Set up form event listeners using the modal's addEventListener for proper cleanup
-     * @param {Object} options - Callbacks: { onSave, onDelete, onCancel, onValidateTimes }
+     * @param {Object} options - Callbacks: { onSave, onDelete, onCancel, onValidateTimes, onTimesChange }
      * @private
      */
     _setupFormEventListeners(options = {}) {
@@ -650,6 +953,24 @@ export class LocalEventFormBuilder {
             if (options.onValidateTimes) options.onValidateTimes();
         });
 
+        // Anything moving the event in time re-checks it against the timeline
+        // (a timed Google event ignores the end date)
+        [this.startTimeInput, this.endTimeInput, this.eventEndDateInput, this.allDayCheckbox].forEach(input => {
+            this.modal.addEventListener(input, 'change', () => {
+                if (options.onTimesChange) options.onTimesChange();
+            });
+        });
+        [this.sourceLocalBtn, this.sourceGoogleBtn].forEach(button => {
+            this.modal.addEventListener(button, 'click', () => {
+                if (options.onTimesChange) options.onTimesChange();
+            });
+        });
+
+        // All-day toggle
+        this.modal.addEventListener(this.allDayCheckbox, 'change', () => {
+            this.updateAllDayState();
+        });
+
         // Recurrence select change
         this.modal.addEventListener(this.recurrenceSelect, 'change', () => {
             this.updateRecurrenceOptions();
@@ -677,8 +998,10 @@ export class LocalEventFormBuilder {
             this.recurrenceOptionsContainer.style.display = 'none';
         }
 
-        // Show/hide end date section for any recurrence except 'none'
-        if (recurrenceType !== RECURRENCE_TYPES.NONE) {
+        // A custom rule carries its own UNTIL/COUNT, so the end date only
+        // applies to the presets
+        this.customRuleSection.style.display = recurrenceType === RECURRENCE_TYPES.CUSTOM ? 'block' : 'none';
+        if (recurrenceType !== RECURRENCE_TYPES.NONE && recurrenceType !== RECURRENCE_TYPES.CUSTOM) {
             this.endDateSection.style.display = 'block';
         } else {
             this.endDateSection.style.display = 'none';
@@ -688,43 +1011,43 @@ export class LocalEventFormBuilder {
     /**
      * Populate the form with event data for editing
      * @param {Object} event - The event to populate the form with
+     * @param {string} [startDate] - The day the event (occurrence) starts, YYYY-MM-DD;
+     *   needed to show the end date of a multi-day event
      */
-    populateForm(event) {
+    populateForm(event, startDate = null) {
         // Set the values in the form
         this.titleInput.value = event.title || '';
         this.descriptionInput.value = event.description || '';
         this.startTimeInput.value = event.startTime || '';
         this.endTimeInput.value = event.endTime || '';
         this.reminderCheckbox.checked = event.reminder !== false;
-
-        // Set recurrence values
+        this.setReminderOffsets(event.reminderOffsets);
+        this.allDayCheckbox.checked = !!event.allDay;
+        this.eventEndDateInput.value = event.spanDays > 0 && startDate
+            ? getFormattedDateFromDate(addDays(parseDateString(startDate), event.spanDays))
+            : '';
+        this.updateAllDayState();
+
+        // Set recurrence values (the stored RRULE is mapped back to a preset when one matches)
         this._resetWeekdayCheckboxes();
-        if (event.recurrence) {
-            this.recurrenceSelect.value = event.recurrence.type || RECURRENCE_TYPES.NONE;
-
-            // Set weekday checkboxes for weekly recurrence
-            if (event.recurrence.type === RECURRENCE_TYPES.WEEKLY && event.recurrence.daysOfWeek) {
-                event.recurrence.daysOfWeek.forEach(day => {
-                    if (this.weekdayCheckboxes[day]) {
-                        this.weekdayCheckboxes[day].checked = true;
-                    }
-                });
-            }
-
-            // Set end date
-            if (event.recurrence.endDate) {
-                this.endDateInput.value = event.recurrence.endDate;
-                this.noEndDateCheckbox.checked = false;
-                this.endDateInput.disabled = false;
-            } else {
-                this.endDateInput.value = '';
-                this.noEndDateCheckbox.checked = true;
-                this.endDateInput.disabled = true;
+        const preset = detectRecurrencePreset(event.recurrence);
+        this.recurrenceSelect.value = preset.type;
+        preset.daysOfWeek.forEach(day => {
+            if (this.weekdayCheckboxes[day]) {
+                this.weekdayCheckboxes[day].checked = true;
             }
+        });
+        this.customRuleInput.value = preset.type === RECURRENCE_TYPES.CUSTOM
+            ? normalizeRecurrence(event.recurrence).rrule
+            : '';
+
+        if (preset.endDate) {
+            this.endDateInput.value = preset.endDate;
+            this.noEndDateCheckbox.checked = false;
+            this.endDateInput.disabled = false;
         } else {
-            this.recurrenceSelect.value = RECURRENCE_TYPES.NONE;
-            this.noEndDateCheckbox.checked = true;
             this.endDateInput.value = '';
+            this.noEndDateCheckbox.checked = true;
             this.endDateInput.disabled = true;
         }
         this.updateRecurrenceOptions();
@@ -739,38 +1062,69 @@ export class LocalEventFormBuilder {
      * @returns {Object} The form data
      */
     getFormData(getStartDateFn) {
-        const recurrenceType = this.recurrenceSelect?.value || RECURRENCE_TYPES.NONE;
-        let recurrence = null;
-
-        if (recurrenceType !== RECURRENCE_TYPES.NONE) {
-            recurrence = {
-                type: recurrenceType,
-                interval: 1,
-                startDate: getStartDateFn(),
-                endDate: this.noEndDateCheckbox?.checked ? null : (this.endDateInput?.value || null)
-            };
-
-            if (recurrenceType === RECURRENCE_TYPES.WEEKLY) {
-                const selectedDays = [];
-                Object.entries(this.weekdayCheckboxes).forEach(([day, checkbox]) => {
-                    if (checkbox.checked) {
-                        selectedDays.push(parseInt(day));
-                    }
-                });
-                recurrence.daysOfWeek = selectedDays;
-            }
-        }
+        const startDate = getStartDateFn();
+        const recurrence = this.buildRecurrence(startDate);
+        const allDay = this.isAllDay();
+        const endDate = this.getEventEndDate();
 
         return {
             title: this.titleInput?.value.trim() || '',
             description: this.descriptionInput?.value.trim() || '',
-            startTime: this.startTimeInput?.value || '',
-            endTime: this.endTimeInput?.value || '',
-            reminder: this.reminderCheckbox?.checked || false,
+            startTime: allDay ? '' : (this.startTimeInput?.value || ''),
+            endTime: allDay ? '' : (this.endTimeInput?.value || ''),
+            reminder: !allDay && (this.reminderCheckbox?.checked || false),
+            reminderOffsets: this.getReminderOffsets(),
+            allDay,
+            spanDays: endDate ? daysBetween(parseDateString(startDate), parseDateString(endDate)) : 0,
             recurrence: recurrence
         };
     }
 
+    /**
+     * Build the recurrence from the selected preset or custom rule.
+     * The result is not validated; a custom rule may still fail to parse.
+     * @param {string} startDate - The series start (DTSTART) in YYYY-MM-DD format
+     * @param {Array<string>} exceptions - Excluded dates to carry over (YYYY-MM-DD)
+     * @returns {{rrule: string, startDate: string, exceptions: string[]}|null} null when not recurring
+     */
+    buildRecurrence(startDate, exceptions = []) {
+        const recurrenceType = this.recurrenceSelect?.value || RECURRENCE_TYPES.NONE;
+        if (recurrenceType === RECURRENCE_TYPES.NONE) {
+            return null;
+        }
+
+        let rrule;
+        if (recurrenceType === RECURRENCE_TYPES.CUSTOM) {
+            rrule = (this.customRuleInput?.value || '').trim().replace(/^RRULE:/i, '');
+        } else {
+            const daysOfWeek = [];
+            Object.entries(this.weekdayCheckboxes).forEach(([day, checkbox]) => {
+                if (checkbox.checked) {
+                    daysOfWeek.push(parseInt(day));
+                }
+            });
+            // With no weekday ticked, WEEKLY falls back to the start date's weekday
+            rrule = buildPresetRRule(recurrenceType, {
+                startDate,
+                daysOfWeek: recurrenceType === RECURRENCE_TYPES.WEEKLY ? daysOfWeek : [],
+                endDate: this.getRecurrenceEndDate()
+            });
+        }
+
+        return { rrule, startDate, exceptions };
+    }
+
+    /**
+     * The end date entered for a preset recurrence.
+     * @returns {string|null} YYYY-MM-DD, or null for "no end date" and custom rules
+     */
+    getRecurrenceEndDate() {
+        if (this.recurrenceSelect?.value === RECURRENCE_TYPES.CUSTOM || this.noEndDateCheckbox?.checked) {
+            return null;
+        }
+        return this.endDateInput?.value || null;
+    }
+
     /**
      * Reset form to default values
      */
@@ -780,6 +1134,10 @@ export class LocalEventFormBuilder {
         if (this.startTimeInput) this.startTimeInput.value = '';
         if (this.endTimeInput) this.endTimeInput.value = '';
         if (this.reminderCheckbox) this.reminderCheckbox.checked = true;
+        this.setReminderOffsets([]);
+        if (this.allDayCheckbox) this.allDayCheckbox.checked = false;
+        if (this.eventEndDateInput) this.eventEndDateInput.value = '';
+        this.updateAllDayState();
     }
 
     /**
@@ -793,16 +1151,21 @@ export class LocalEventFormBuilder {
         this.startTimeInput.value = defaultStartTime;
         this.endTimeInput.value = defaultEndTime;
         this.reminderCheckbox.checked = true;
+        this.setReminderOffsets([]);
+        this.allDayCheckbox.checked = false;
+        this.eventEndDateInput.value = '';
 
         // Reset Google-only fields and save destination
         if (this.locationInput) this.locationInput.value = '';
         if (this.meetCheckbox) this.meetCheckbox.checked = false;
+        if (this.guestFields.guestInput) this.guestFields.setEmails([]);
         if (this.reminderSelect) this.reminderSelect.value = '';
         this.setAdvancedExpanded(false); // collapse the accordion
         this.setSource('local');
 
         // Reset recurrence
         this.recurrenceSelect.value = RECURRENCE_TYPES.NONE;
+        this.customRuleInput.value = '';
         this._resetWeekdayCheckboxes();
         this.noEndDateCheckbox.checked = true;
         this.endDateInput.value = '';
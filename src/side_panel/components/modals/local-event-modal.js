@@ -2,10 +2,14 @@
  * LocalEventModal - Local event modal with view and edit modes
  */
 import { ModalComponent } from './modal-component.js';
-import { RECURRENCE_TYPES } from '../../../lib/constants.js';
+import { MAX_EVENT_SPAN_DAYS, RECURRENCE_TYPES } from '../../../lib/constants.js';
+import { detectRecurrencePreset, normalizeRecurrence, validateRecurrence } from '../../../lib/rrule.js';
+import { formatReminderOffset, normalizeReminderOffsets } from '../../../lib/reminder-offsets.js';
+import { addDays, createTimeOnDate, daysBetween, parseDateString, parseTimeString } from '../../../lib/time-utils.js';
 import { LocalEventFormBuilder } from './local-event-form-builder.js';
 import { DeleteRecurringDialog } from './delete-recurring-dialog.js';
-import { buildGoogleEventResource } from '../../../lib/google-event-utils.js';
+import { SendUpdatesDialog } from './send-updates-dialog.js';
+import { buildGoogleEventResource, mergeAttendees } from '../../../lib/google-event-utils.js';
 import { buildRequestId } from '../../../lib/request-dedupe.js';
 
 export class LocalEventModal extends ModalComponent {
@@ -30,6 +34,7 @@ export class LocalEventModal extends ModalComponent {
         // Helper instances
         this.formBuilder = new LocalEventFormBuilder(this);
         this.deleteDialog = new DeleteRecurringDialog();
+        this.sendUpdatesDialog = new SendUpdatesDialog();
 
         // The event being edited
         this.currentEvent = null;
@@ -37,6 +42,9 @@ export class LocalEventModal extends ModalComponent {
         // Date getter for recurrence (injected to avoid global controller access)
         this._getCurrentDate = options.getCurrentDate || null;
 
+        // Looks up the shown events overlapping a range: `(start, end, excludeId)` → titles
+        this._findConflicts = options.findConflicts || null;
+
         // Callbacks
         this.onSave = options.onSave || null;
         this.onSaveGoogle = options.onSaveGoogle || null;
@@ -131,7 +139,9 @@ export class LocalEventModal extends ModalComponent {
             onSave: () => this._handleSave(),
             onDelete: () => this._handleDelete(),
             onCancel: () => this._handleCancel(),
-            onValidateTimes: () => this._validateTimes()
+            onValidateTimes: () => this._validateTimes(),
+            onTimesChange: () => this._updateConflictWarning(),
+            getEventDate: () => (this._getCurrentDate ? this._getCurrentDate() : new Date())
         });
 
         // Expose form element references for backward compatibility within this class
@@ -196,12 +206,24 @@ export class LocalEventModal extends ModalComponent {
 
         // Time
         this.viewTimeElement.innerHTML = '';
-        if (event.startTime && event.endTime) {
+        if (event.allDay) {
+            const icon = document.createElement('i');
+            icon.className = 'fas fa-calendar-day';
+
+            const text = document.createElement('span');
+            text.textContent = this._formatViewAllDay(this._getDisplayDate(event), event.spanDays);
+
+            this.viewTimeElement.appendChild(icon);
+            this.viewTimeElement.appendChild(text);
+            this.viewTimeElement.style.display = '';
+        } else if (event.startTime && event.endTime) {
             const icon = document.createElement('i');
             icon.className = 'fas fa-clock';
 
+            const displayDate = this._getDisplayDate(event);
+            const endDisplayDate = event.spanDays > 0 ? addDays(displayDate, event.spanDays) : null;
             const text = document.createElement('span');
-            text.textContent = this._formatViewTime(event.startTime, event.endTime, this._getDisplayDate(event));
+            text.textContent = this._formatViewTime(event.startTime, event.endTime, displayDate, endDisplayDate);
 
             this.viewTimeElement.appendChild(icon);
             this.viewTimeElement.appendChild(text);
@@ -234,8 +256,16 @@ export class LocalEventModal extends ModalComponent {
             icon.className = 'fas fa-bell';
 
             const text = document.createElement('span');
-            text.setAttribute('data-localize', '__MSG_reminderOn__');
-            text.textContent = window.getLocalizedMessage('reminderOn') || 'Reminder on';
+            const offsets = normalizeReminderOffsets(event.reminderOffsets);
+            if (offsets.length > 0) {
+                // Furthest first, the order they fire in
+                text.textContent = offsets.reverse()
+                    .map(minutes => formatReminderOffset(minutes, key => window.getLocalizedMessage(key)))
+                    .join(', ');
+            } else {
+                text.setAttribute('data-localize', '__MSG_reminderOn__');
+                text.textContent = window.getLocalizedMessage('reminderOn') || 'Reminder on';
+            }
 
             this.viewReminderElement.appendChild(icon);
             this.viewReminderElement.appendChild(text);
@@ -263,12 +293,14 @@ export class LocalEventModal extends ModalComponent {
     }
 
     /**
-     * Resolve the display date for the event (recurring instance date or current panel date)
+     * Resolve the display date for the event: the day a multi-day event
+     * started, the recurring instance date, or the current panel date
      * @private
      */
     _getDisplayDate(event) {
-        if (event?.instanceDate) {
-            return new Date(event.instanceDate + 'T00:00:00');
+        const dateStr = event?.occurrenceDate || event?.instanceDate;
+        if (dateStr) {
+            return new Date(dateStr + 'T00:00:00');
         }
         if (this._getCurrentDate) {
             return this._getCurrentDate();
@@ -280,7 +312,7 @@ export class LocalEventModal extends ModalComponent {
      * Format time for view mode display (locale-aware)
      * @private
      */
-    _formatViewTime(startTime, endTime, displayDate = new Date()) {
+    _formatViewTime(startTime, endTime, displayDate = new Date(), endDisplayDate = null) {
         let dateStr = '';
         try {
             const locale = navigator.language || 'en';
@@ -292,26 +324,55 @@ export class LocalEventModal extends ModalComponent {
             const [sh, sm] = startTime.split(':').map(Number);
             const [eh, em] = endTime.split(':').map(Number);
 
+            const endDay = endDisplayDate || displayDate;
             const startDate = new Date(displayDate.getFullYear(), displayDate.getMonth(), displayDate.getDate(), sh, sm);
-            const endDate = new Date(displayDate.getFullYear(), displayDate.getMonth(), displayDate.getDate(), eh, em);
+            const endDate = new Date(endDay.getFullYear(), endDay.getMonth(), endDay.getDate(), eh, em);
 
             const startStr = startDate.toLocaleTimeString(locale, timeOptions);
-            const endStr = endDate.toLocaleTimeString(locale, timeOptions);
+            let endStr = endDate.toLocaleTimeString(locale, timeOptions);
             const separator = localeHint === 'ja' ? ' \uff5e ' : ' - ';
 
+            // A multi-day event repeats the date on its end
+            if (endDisplayDate) {
+                endStr = `${window.formatDateForLocale(endDisplayDate, localeHint)} ${endStr}`;
+            }
+
             return `${dateStr} ${startStr}${separator}${endStr}`;
         } catch {
             return dateStr ? `${dateStr} ${startTime} - ${endTime}` : `${startTime} - ${endTime}`;
         }
     }
 
+    /**
+     * Format the date (or date range) of an all-day event for view mode
+     * @param {Date} displayDate - The first day
+     * @param {number} [spanDays=0] - Days the event runs past the first day
+     * @private
+     */
+    _formatViewAllDay(displayDate, spanDays = 0) {
+        const locale = navigator.language || 'en';
+        const localeHint = locale.startsWith('ja') ? 'ja' : 'en';
+        const startStr = window.formatDateForLocale(displayDate, localeHint);
+
+        if (spanDays > 0) {
+            const endStr = window.formatDateForLocale(addDays(displayDate, spanDays), localeHint);
+            const dayCount = spanDays + 1;
+            const template = window.getLocalizedMessage('allDayDateRange');
+            if (template) {
+                return template.replace('$1', startStr).replace('$2', endStr).replace('$3', dayCount);
+            }
+            return `${startStr} – ${endStr} (${dayCount} days)`;
+        }
+        return `${startStr} ${window.getLocalizedMessage('allDay') || 'All day'}`;
+    }
+
     /**
      * Get recurrence display text
      * @private
      */
     _getRecurrenceDisplayText(event) {
-        const recurrence = event.recurrence || (event.isRecurringInstance ? event : null);
-        if (!recurrence || !recurrence.type || recurrence.type === RECURRENCE_TYPES.NONE) {
+        const preset = detectRecurrencePreset(event.recurrence);
+        if (preset.type === RECURRENCE_TYPES.NONE) {
             // Check if it's a recurring instance without explicit recurrence data
             if (event.isRecurringInstance) {
                 return window.getLocalizedMessage('recurrence')?.replace(':', '') || 'Recurring';
@@ -323,21 +384,27 @@ export class LocalEventModal extends ModalComponent {
             [RECURRENCE_TYPES.DAILY]: 'recurrenceDaily',
             [RECURRENCE_TYPES.WEEKDAYS]: 'recurrenceWeekdays',
             [RECURRENCE_TYPES.WEEKLY]: 'recurrenceWeekly',
-            [RECURRENCE_TYPES.MONTHLY]: 'recurrenceMonthly'
+            [RECURRENCE_TYPES.MONTHLY]: 'recurrenceMonthly',
+            [RECURRENCE_TYPES.MONTHLY_WEEKDAY]: 'recurrenceMonthlyWeekday',
+            [RECURRENCE_TYPES.YEARLY]: 'recurrenceYearly',
+            [RECURRENCE_TYPES.CUSTOM]: 'recurrenceCustom'
         };
 
-        const msgKey = typeMap[recurrence.type];
-        if (!msgKey) return null;
-
-        let text = window.getLocalizedMessage(msgKey) || recurrence.type;
+        const msgKey = typeMap[preset.type];
+        let text = window.getLocalizedMessage(msgKey) || preset.type;
 
         // For weekly, add day names
-        if (recurrence.type === RECURRENCE_TYPES.WEEKLY && recurrence.daysOfWeek && recurrence.daysOfWeek.length > 0) {
+        if (preset.type === RECURRENCE_TYPES.WEEKLY && preset.daysOfWeek.length > 0) {
             const dayKeys = ['daySun', 'dayMon', 'dayTue', 'dayWed', 'dayThu', 'dayFri', 'daySat'];
-            const dayNames = recurrence.daysOfWeek.map(d => window.getLocalizedMessage(dayKeys[d]) || dayKeys[d]);
+            const dayNames = preset.daysOfWeek.map(d => window.getLocalizedMessage(dayKeys[d]) || dayKeys[d]);
             text += ` (${dayNames.join(', ')})`;
         }
 
+        // Custom rules are shown verbatim; there is no general way to phrase them
+        if (preset.type === RECURRENCE_TYPES.CUSTOM) {
+            text += `: ${normalizeRecurrence(event.recurrence).rrule}`;
+        }
+
         return text;
     }
 
@@ -358,51 +425,31 @@ export class LocalEventModal extends ModalComponent {
             return;
         }
 
-        const recurrenceType = this.recurrenceSelect.value;
-        let recurrence = null;
-
-        if (recurrenceType !== RECURRENCE_TYPES.NONE) {
-            const startDate = this._getStartDateForRecurrence();
-            const endDate = this.noEndDateCheckbox.checked ? null : (this.endDateInput.value || null);
-
-            // Validate end date is not before start date
-            if (endDate && endDate < startDate) {
-                this._showError(window.getLocalizedMessage('endDateMustBeLater') || 'End date must be on or after start date');
-                return;
-            }
+        const allDay = this.formBuilder.isAllDay();
+        const spanDays = this._getSpanDays();
+        if (spanDays === null) {
+            return;
+        }
 
-            recurrence = {
-                type: recurrenceType,
-                interval: 1,
-                startDate: startDate,
-                endDate: endDate,
-                exceptions: this.currentEvent?.recurrence?.exceptions || []
-            };
-
-            // Add days of week for weekly recurrence
-            if (recurrenceType === RECURRENCE_TYPES.WEEKLY) {
-                const selectedDays = [];
-                Object.entries(this.weekdayCheckboxes).forEach(([day, checkbox]) => {
-                    if (checkbox.checked) {
-                        selectedDays.push(parseInt(day));
-                    }
-                });
-                // If no days selected, default to the current day of week
-                if (selectedDays.length === 0) {
-                    const startDate = new Date(recurrence.startDate + 'T00:00:00');
-                    selectedDays.push(startDate.getDay());
-                }
-                recurrence.daysOfWeek = selectedDays;
-            }
+        // Editing a series keeps its DTSTART so COUNT and ordinal rules stay anchored
+        const recurrence = this._getRecurrence(
+            normalizeRecurrence(this.currentEvent?.recurrence)?.startDate || this._getStartDateForRecurrence(),
+            this.currentEvent?.recurrence?.exceptions || []
+        );
+        if (recurrence === undefined) {
+            return;
         }
 
         const eventData = {
             id: this.currentEvent?.id || null,
             title: this.titleInput.value.trim(),
             description: this.descriptionInput.value.trim(),
-            startTime: this.startTimeInput.value,
-            endTime: this.endTimeInput.value,
-            reminder: this.reminderCheckbox.checked,
+            startTime: allDay ? '' : this.startTimeInput.value,
+            endTime: allDay ? '' : this.endTimeInput.value,
+            reminder: !allDay && this.reminderCheckbox.checked,
+            reminderOffsets: this.formBuilder.getReminderOffsets(),
+            allDay,
+            spanDays,
             recurrence: recurrence,
             isRecurringInstance: this.currentEvent?.isRecurringInstance || false,
             originalId: this.currentEvent?.originalId || null
@@ -422,6 +469,76 @@ export class LocalEventModal extends ModalComponent {
         }
     }
 
+    /**
+     * The recurrence chosen in the form. Shows an error and returns undefined
+     * when its end date or rule is invalid.
+     * @param {string} startDate - The series start (YYYY-MM-DD)
+     * @param {Array<string>} [exceptions] - Excluded dates to carry over
+     * @returns {Object|null|undefined} The recurrence, null when not recurring
+     * @private
+     */
+    _getRecurrence(startDate, exceptions = []) {
+        if (this.recurrenceSelect.value === RECURRENCE_TYPES.NONE) {
+            return null;
+        }
+
+        // Validate end date is not before start date
+        const endDate = this.formBuilder.getRecurrenceEndDate();
+        if (endDate && endDate < startDate) {
+            this._showError(window.getLocalizedMessage('endDateMustBeLater') || 'End date must be on or after start date');
+            return undefined;
+        }
+
+        const recurrence = this.formBuilder.buildRecurrence(startDate, exceptions);
+        try {
+            validateRecurrence(recurrence);
+        } catch (error) {
+            console.warn('Invalid recurrence rule:', error);
+            this._showError(window.getLocalizedMessage('invalidRecurrenceRule') || 'The recurrence rule is not valid');
+            return undefined;
+        }
+        return recurrence;
+    }
+
+    /**
+     * The number of days the event runs past its start day, from the form's
+     * end date. Shows an error and returns null when the end date is invalid.
+     * @returns {number|null}
+     * @private
+     */
+    _getSpanDays() {
+        const endDate = this.formBuilder.getEventEndDate();
+        if (!endDate) {
+            return 0;
+        }
+
+        const spanDays = daysBetween(parseDateString(this._getEventStartDate()), parseDateString(endDate));
+        if (spanDays < 0) {
+            this._showError(window.getLocalizedMessage('endDateMustBeLater') || 'End date must be on or after start date');
+            return null;
+        }
+        if (spanDays > MAX_EVENT_SPAN_DAYS) {
+            const template = window.getLocalizedMessage('eventSpanTooLong');
+            this._showError(template
+                ? template.replace('$1', MAX_EVENT_SPAN_DAYS + 1)
+                : `An event can last at most ${MAX_EVENT_SPAN_DAYS + 1} days`);
+            return null;
+        }
+        return spanDays;
+    }
+
+    /**
+     * The day the event being edited started (the first day of a multi-day
+     * event), or the displayed date when creating
+     * @returns {string} YYYY-MM-DD
+     * @private
+     */
+    _getEventStartDate() {
+        return this.currentEvent?.occurrenceDate
+            || this.currentEvent?.instanceDate
+            || this._getStartDateForRecurrence();
+    }
+
     /**
      * Build the Google event resource and delegate creation to the controller.
      * @private
@@ -433,6 +550,25 @@ export class LocalEventModal extends ModalComponent {
             return;
         }
 
+        const guestFields = this.formBuilder.guestFields;
+        const invalidGuests = guestFields.getInvalidMessage();
+        if (invalidGuests) {
+            this._showError(invalidGuests);
+            return;
+        }
+        const { emails } = guestFields.getEmails();
+
+        const allDay = this.formBuilder.isAllDay();
+        const spanDays = this._getSpanDays();
+        if (spanDays === null) {
+            return;
+        }
+
+        const recurrence = this._getRecurrence(this._getStartDateForRecurrence());
+        if (recurrence === undefined) {
+            return;
+        }
+
         const date = this._getCurrentDate ? this._getCurrentDate() : new Date();
         const calendarId = this.formBuilder.calendarSelect?.value || 'primary';
 
@@ -443,8 +579,14 @@ export class LocalEventModal extends ModalComponent {
             date,
             startTime: this.startTimeInput.value,
             endTime: this.endTimeInput.value,
+            allDay,
+            endDate: addDays(date, spanDays),
             addMeet: !!this.formBuilder.meetCheckbox?.checked,
-            reminderMinutes: this.formBuilder.reminderSelect?.value
+            reminderMinutes: this.formBuilder.reminderSelect?.value,
+            attendees: mergeAttendees([], emails),
+            // Permissions only matter to guests
+            ...(emails.length > 0 ? guestFields.getPermissions() : {}),
+            recurrence: recurrence?.rrule
         });
 
         if (!this.onSaveGoogle) {
@@ -452,6 +594,28 @@ export class LocalEventModal extends ModalComponent {
             return;
         }
 
+        // Guests are invited: ask who is emailed first
+        if (guestFields.hasGuests()) {
+            this.sendUpdatesDialog.show({
+                onChoose: (sendUpdates) => this._submitGoogle(eventResource, calendarId, sendUpdates)
+            });
+            return;
+        }
+        await this._submitGoogle(eventResource, calendarId, undefined);
+    }
+
+    /**
+     * Delegate creation of the built Google event to the controller
+     * @param {Object} eventResource
+     * @param {string} calendarId
+     * @param {string|undefined} sendUpdates - Who is emailed
+     * @private
+     */
+    async _submitGoogle(eventResource, calendarId, sendUpdates) {
+        if (this._submittingGoogle) {
+            return;
+        }
+
         // Stable across retries of this submission so the background can
         // deduplicate a retry whose first attempt actually committed. The id
         // also covers the payload, so if the user corrects the form after a
@@ -461,7 +625,7 @@ export class LocalEventModal extends ModalComponent {
         if (!this._googleCreateSeed) {
             this._googleCreateSeed = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
         }
-        const requestId = buildRequestId('create-evt', this._googleCreateSeed, [calendarId, eventResource]);
+        const requestId = buildRequestId('create-evt', this._googleCreateSeed, [calendarId, eventResource, sendUpdates]);
 
         // Keep the modal open until the create succeeds, so the user does not
         // lose their input on a network/API failure.
@@ -469,7 +633,7 @@ export class LocalEventModal extends ModalComponent {
         this._setSaving(true);
         let succeeded;
         try {
-            succeeded = await this.onSaveGoogle(eventResource, calendarId, requestId);
+            succeeded = await this.onSaveGoogle(eventResource, calendarId, requestId, { sendUpdates });
         } catch (error) {
             // The controller handler already catches and returns a boolean, so
             // this is defensive: never let a rejection escape as an unhandled
@@ -577,6 +741,7 @@ export class LocalEventModal extends ModalComponent {
      */
     hide() {
         this.deleteDialog.remove();
+        this.sendUpdatesDialog.remove();
         // Abandoned submission: the next creation is a new logical request
         this._googleCreateSeed = null;
         super.hide();
@@ -612,6 +777,12 @@ export class LocalEventModal extends ModalComponent {
             return false;
         }
 
+        // All-day events have no times to check
+        if (this.formBuilder.isAllDay()) {
+            this._clearError();
+            return true;
+        }
+
         // Time check
         if (!this.startTimeInput.value) {
             this._showError(window.getLocalizedMessage('pleaseEnterStartTime'));
@@ -641,7 +812,11 @@ export class LocalEventModal extends ModalComponent {
         const startTime = this.startTimeInput.value;
         const endTime = this.endTimeInput.value;
 
-        if (startTime >= endTime) {
+        // An event ending on a later day may end at an earlier time of day
+        const endDate = this.formBuilder.getEventEndDate();
+        const endsLater = !!endDate && endDate > this._getEventStartDate();
+
+        if (!endsLater && startTime >= endTime) {
             this._showError(window.getLocalizedMessage('endTimeMustBeLater'));
             this.endTimeInput.focus();
             return false;
@@ -651,6 +826,45 @@ export class LocalEventModal extends ModalComponent {
         return true;
     }
 
+    /**
+     * The time range entered in the form
+     * @returns {{start: Date, end: Date}|null} null for an all-day event, or
+     *   while the times are missing or end before they start
+     * @private
+     */
+    _getFormInterval() {
+        if (this.formBuilder.isAllDay() || !this.startTimeInput.value || !this.endTimeInput.value) {
+            return null;
+        }
+
+        let startTime, endTime;
+        try {
+            startTime = parseTimeString(this.startTimeInput.value);
+            endTime = parseTimeString(this.endTimeInput.value);
+        } catch {
+            return null;
+        }
+
+        const startDay = parseDateString(this._getEventStartDate());
+        const endDate = this.formBuilder.getEventEndDate();
+        const start = createTimeOnDate(startDay, startTime.hour, startTime.minute);
+        const end = createTimeOnDate(endDate ? parseDateString(endDate) : startDay, endTime.hour, endTime.minute);
+        return start < end ? { start, end } : null;
+    }
+
+    /**
+     * Warn when the entered times overlap events already on the timeline.
+     * Saving stays possible: a double booking can be intended.
+     * @private
+     */
+    _updateConflictWarning() {
+        const interval = this._findConflicts ? this._getFormInterval() : null;
+        const titles = interval
+            ? this._findConflicts(interval.start, interval.end, this.currentEvent?.id || null)
+            : [];
+        this.formBuilder.setConflictWarning(titles);
+    }
+
     /**
      * Display error message
      * @private
@@ -708,6 +922,7 @@ export class LocalEventModal extends ModalComponent {
         this.deleteButton.style.display = 'none';
 
         this._clearError();
+        this._updateConflictWarning();
         this.show();
 
         // Apply the localization after showing the modal
@@ -745,12 +960,13 @@ export class LocalEventModal extends ModalComponent {
         this.formBuilder.setGoogleAvailability([]);
 
         // Populate form via formBuilder
-        this.formBuilder.populateForm(event);
+        this.formBuilder.populateForm(event, this._getEventStartDate());
 
         // Adjust the button display
         this.deleteButton.style.display = '';
 
         this._clearError();
+        this._updateConflictWarning();
         this.show();
 
         // Apply the localization after showing the modal
@@ -0,0 +1,119 @@
+/**
+ * RecurringScopeDialog - Helper class for the recurring Google event scope dialog
+ *
+ * Manages the overlay dialog that asks whether an edit or delete applies to
+ * this occurrence only, this and the following occurrences, or all of them.
+ * This is a plain helper class (not a Component subclass), like
+ * DeleteRecurringDialog.
+ */
+
+// The choices, in the order they are offered (RECURRING_SCOPES values)
+const SCOPE_BUTTONS = [
+    { scope: 'this', msgKey: 'recurringScopeThis', fallback: 'This event' },
+    { scope: 'following', msgKey: 'recurringScopeFollowing', fallback: 'This and following events' },
+    { scope: 'all', msgKey: 'recurringScopeAll', fallback: 'All events' }
+];
+
+export class RecurringScopeDialog {
+    constructor() {
+        // Tracked overlay element for cleanup
+        this._overlay = null;
+    }
+
+    /**
+     * Show the scope dialog
+     * @param {Object} options
+     * @param {string} options.mode - 'edit' or 'delete' (sets the wording)
+     * @param {Function} options.onChoose - Called with the chosen scope
+     *   ('this', 'following' or 'all'); not called on cancel
+     */
+    show({ mode, onChoose }) {
+        // Remove any existing overlay first
+        this.remove();
+        const isDelete = mode === 'delete';
+
+        const overlay = document.createElement('div');
+        overlay.className = 'recurring-scope-overlay';
+        overlay.style.cssText = 'position: fixed; top: 0; left: 0; right: 0; bottom: 0; background: rgba(0,0,0,0.5); z-index: 10001; display: flex; align-items: center; justify-content: center;';
+
+        const dialog = document.createElement('div');
+        dialog.className = 'recurring-scope-dialog';
+        dialog.setAttribute('role', 'dialog');
+        dialog.setAttribute('aria-modal', 'true');
+        dialog.setAttribute('aria-labelledby', 'recurringScopeTitle');
+        dialog.style.cssText = 'background: var(--side-calendar-modal-bg); color: inherit; padding: 20px; border-radius: 8px; max-width: 300px; text-align: center;';
+
+        const titleKey = isDelete ? 'deleteRecurringTitle' : 'editRecurringTitle';
+        const title = document.createElement('h3');
+        title.id = 'recurringScopeTitle';
+        title.style.cssText = 'margin: 0 0 15px 0; font-size: 1.1em;';
+        title.setAttribute('data-localize', `__MSG_${titleKey}__`);
+        title.textContent = window.getLocalizedMessage(titleKey)
+            || (isDelete ? 'Delete recurring event?' : 'Edit recurring event');
+        dialog.appendChild(title);
+
+        const buttonContainer = document.createElement('div');
+        buttonContainer.style.cssText = 'display: flex; flex-direction: column; gap: 10px;';
+
+        SCOPE_BUTTONS.forEach(({ scope, msgKey, fallback }) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = isDelete ? 'btn btn-outline-danger' : 'btn btn-outline-primary';
+            button.style.cssText = 'width: 100%; padding: 8px;';
+            button.dataset.scope = scope;
+            button.setAttribute('data-localize', `__MSG_${msgKey}__`);
+            button.textContent = window.getLocalizedMessage(msgKey) || fallback;
+            button.addEventListener('click', () => {
+                this.remove();
+                if (onChoose) {
+                    onChoose(scope);
+                }
+            });
+            buttonContainer.appendChild(button);
+        });
+
+        // Cancel
+        const cancelBtn = document.createElement('button');
+        cancelBtn.type = 'button';
+        cancelBtn.className = 'btn btn-secondary';
+        cancelBtn.style.cssText = 'width: 100%; padding: 8px;';
+        cancelBtn.setAttribute('data-localize', '__MSG_cancel__');
+        cancelBtn.textContent = window.getLocalizedMessage('cancel') || 'Cancel';
+        cancelBtn.addEventListener('click', () => {
+            this.remove();
+        });
+        buttonContainer.appendChild(cancelBtn);
+
+        dialog.appendChild(buttonContainer);
+        overlay.appendChild(dialog);
+        document.body.appendChild(overlay);
+        this._overlay = overlay;
+
+        // Close on overlay click
+        overlay.addEventListener('click', (e) => {
+            if (e.target === overlay) {
+                this.remove();
+            }
+        });
+
+        buttonContainer.querySelector('button')?.focus();
+    }
+
+    /**
+     * Whether the dialog is showing
+     * @returns {boolean}
+     */
+    isOpen() {
+        return !!this._overlay;
+    }
+
+    /**
+     * Remove the dialog overlay from the DOM
+     */
+    remove() {
+        if (this._overlay) {
+            this._overlay.remove();
+            this._overlay = null;
+        }
+    }
+}
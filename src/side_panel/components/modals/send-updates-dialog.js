@@ -0,0 +1,124 @@
+/**
+ * SendUpdatesDialog - Helper class for the "email guests?" dialog
+ *
+ * Shown when a Google event with guests (before or after the change) is
+ * saved, to choose who is emailed about it: every guest, only guests
+ * outside the user's organization, or nobody (events.insert/patch
+ * `sendUpdates`).
+ * This is a plain helper class (not a Component subclass), like
+ * DeleteRecurringDialog.
+ */
+
+// The choices, in the order they are offered (SEND_UPDATES_VALUES)
+const SEND_UPDATES_BUTTONS = [
+    { value: 'all', msgKey: 'sendUpdatesAll', fallback: 'Send to all guests' },
+    { value: 'externalOnly', msgKey: 'sendUpdatesExternalOnly', fallback: 'Send to guests outside my organization' },
+    { value: 'none', msgKey: 'sendUpdatesNone', fallback: "Don't send" }
+];
+
+export class SendUpdatesDialog {
+    constructor() {
+        // Tracked overlay element for cleanup
+        this._overlay = null;
+    }
+
+    /**
+     * Show the dialog
+     * @param {Object} options
+     * @param {Function} options.onChoose - Called with the chosen sendUpdates
+     *   value ('all', 'externalOnly' or 'none'); not called on cancel
+     */
+    show({ onChoose }) {
+        // Remove any existing overlay first
+        this.remove();
+
+        const overlay = document.createElement('div');
+        overlay.className = 'send-updates-overlay';
+        overlay.style.cssText = 'position: fixed; top: 0; left: 0; right: 0; bottom: 0; background: rgba(0,0,0,0.5); z-index: 10001; display: flex; align-items: center; justify-content: center;';
+
+        const dialog = document.createElement('div');
+        dialog.className = 'send-updates-dialog';
+        dialog.setAttribute('role', 'dialog');
+        dialog.setAttribute('aria-modal', 'true');
+        dialog.setAttribute('aria-labelledby', 'sendUpdatesTitle');
+        dialog.style.cssText = 'background: var(--side-calendar-modal-bg); color: inherit; padding: 20px; border-radius: 8px; max-width: 300px; text-align: center;';
+
+        const title = document.createElement('h3');
+        title.id = 'sendUpdatesTitle';
+        title.style.cssText = 'margin: 0 0 10px 0; font-size: 1.1em;';
+        title.setAttribute('data-localize', '__MSG_sendUpdatesTitle__');
+        title.textContent = window.getLocalizedMessage('sendUpdatesTitle') || 'Email guests?';
+        dialog.appendChild(title);
+
+        const message = document.createElement('p');
+        message.style.cssText = 'margin: 0 0 15px 0; font-size: 0.9em; color: var(--side-calendar-secondary-text-color);';
+        message.setAttribute('data-localize', '__MSG_sendUpdatesMessage__');
+        message.textContent = window.getLocalizedMessage('sendUpdatesMessage')
+            || 'Send invitation or update emails to the guests of this event?';
+        dialog.appendChild(message);
+
+        const buttonContainer = document.createElement('div');
+        buttonContainer.style.cssText = 'display: flex; flex-direction: column; gap: 10px;';
+
+        SEND_UPDATES_BUTTONS.forEach(({ value, msgKey, fallback }) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = value === 'all' ? 'btn btn-primary' : 'btn btn-outline-primary';
+            button.style.cssText = 'width: 100%; padding: 8px;';
+            button.dataset.sendUpdates = value;
+            button.setAttribute('data-localize', `__MSG_${msgKey}__`);
+            button.textContent = window.getLocalizedMessage(msgKey) || fallback;
+            button.addEventListener('click', () => {
+                this.remove();
+                if (onChoose) {
+                    onChoose(value);
+                }
+            });
+            buttonContainer.appendChild(button);
+        });
+
+        // Cancel (back to the form, nothing saved)
+        const cancelBtn = document.createElement('button');
+        cancelBtn.type = 'button';
+        cancelBtn.className = 'btn btn-secondary';
+        cancelBtn.style.cssText = 'width: 100%; padding: 8px;';
+        cancelBtn.setAttribute('data-localize', '__MSG_cancel__');
+        cancelBtn.textContent = window.getLocalizedMessage('cancel') || 'Cancel';
+        cancelBtn.addEventListener('click', () => {
+            this.remove();
+        });
+        buttonContainer.appendChild(cancelBtn);
+
+        dialog.appendChild(buttonContainer);
+        overlay.appendChild(dialog);
+        document.body.appendChild(overlay);
+        this._overlay = overlay;
+
+        // Close on overlay click
+        overlay.addEventListener('click', (e) => {
+            if (e.target === overlay) {
+                this.remove();
+            }
+        });
+
+        buttonContainer.querySelector('button')?.focus();
+    }
+
+    /**
+     * Whether the dialog is showing
+     * @returns {boolean}
+     */
+    isOpen() {
+        return !!this._overlay;
+    }
+
+    /**
+     * Remove the dialog overlay from the DOM
+     */
+    remove() {
+        if (this._overlay) {
+            this._overlay.remove();
+            this._overlay = null;
+        }
+    }
+}
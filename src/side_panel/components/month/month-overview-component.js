@@ -0,0 +1,277 @@
+/**
+ * MonthOverviewComponent - Collapsible month grid below the header
+ *
+ * Each day shows density dots for its local and Google events and is marked
+ * when events overlap; clicking a day navigates there.
+ */
+import { Component } from '../base/component.js';
+import { getMonthGridDates, isToday, parseDateString } from '../../../lib/time-utils.js';
+import { getFormattedDateFromDate } from '../../../lib/utils.js';
+
+// Most dots drawn for one day; busier days are told apart by the tooltip
+const MAX_DOTS = 3;
+
+export class MonthOverviewComponent extends Component {
+    constructor(options = {}) {
+        super({
+            id: 'sideTimeTableMonthOverview',
+            className: 'month-overview',
+            hidden: true,
+            ...options
+        });
+
+        // Callback functions
+        this.onDayClick = options.onDayClick || null;
+        this.onMonthChange = options.onMonthChange || null;
+
+        // UI elements
+        this.titleEl = null;
+        this.weekdayRow = null;
+        this.grid = null;
+
+        // Displayed month (month is 0-11)
+        const today = new Date();
+        this.year = today.getFullYear();
+        this.month = today.getMonth();
+
+        this.locale = 'en';
+        this.selectedDates = new Set(); // YYYY-MM-DD of the days shown on the timeline
+        this.summaries = new Map();     // YYYY-MM-DD → {local, google, hasConflict}
+    }
+
+    createElement() {
+        const el = super.createElement();
+
+        if (el.children.length > 0) {
+            return el;
+        }
+
+        // Month navigation
+        const nav = document.createElement('div');
+        nav.className = 'month-overview-nav';
+
+        const prevButton = document.createElement('i');
+        prevButton.className = 'fas fa-chevron-left nav-arrow';
+        prevButton.title = window.getLocalizedMessage('previousMonth') || 'Previous month';
+
+        this.titleEl = document.createElement('span');
+        this.titleEl.className = 'month-overview-title';
+
+        const nextButton = document.createElement('i');
+        nextButton.className = 'fas fa-chevron-right nav-arrow';
+        nextButton.title = window.getLocalizedMessage('nextMonth') || 'Next month';
+
+        nav.appendChild(prevButton);
+        nav.appendChild(this.titleEl);
+        nav.appendChild(nextButton);
+        el.appendChild(nav);
+
+        this.weekdayRow = document.createElement('div');
+        this.weekdayRow.className = 'month-overview-weekdays';
+        el.appendChild(this.weekdayRow);
+
+        this.grid = document.createElement('div');
+        this.grid.className = 'month-overview-grid';
+        el.appendChild(this.grid);
+
+        this.addEventListener(prevButton, 'click', () => this._shiftMonth(-1));
+        this.addEventListener(nextButton, 'click', () => this._shiftMonth(1));
+
+        // One delegated listener for the 42 day cells, which are rebuilt on every render
+        this.addEventListener(this.grid, 'click', (e) => {
+            const cell = e.target.closest('.month-overview-day');
+            if (cell && this.onDayClick) {
+                this.onDayClick(parseDateString(cell.dataset.date));
+            }
+        });
+
+        this._render();
+
+        return el;
+    }
+
+    /**
+     * Whether the grid is shown
+     * @returns {boolean}
+     */
+    isExpanded() {
+        return !this.options.hidden;
+    }
+
+    /**
+     * Show or hide the grid
+     * @param {boolean} expanded
+     */
+    setExpanded(expanded) {
+        this.setVisible(expanded);
+    }
+
+    /**
+     * Set the locale used for the month title and weekday names
+     * @param {string} locale - 'en' or 'ja'
+     */
+    setLocale(locale) {
+        this.locale = locale;
+        this._render();
+    }
+
+    /**
+     * Days of the displayed grid (six weeks, Sunday first)
+     * @returns {Array<Date>}
+     */
+    getGridDates() {
+        return getMonthGridDates(this.year, this.month);
+    }
+
+    /**
+     * Display the month containing a date (no-op when it is already displayed)
+     * @param {Date} date
+     */
+    showMonthOf(date) {
+        if (date.getFullYear() !== this.year || date.getMonth() !== this.month) {
+            this._setMonth(date.getFullYear(), date.getMonth());
+        }
+    }
+
+    /**
+     * Highlight the days shown on the timeline
+     * @param {Array<Date>} dates
+     */
+    setSelectedDates(dates) {
+        this.selectedDates = new Set(dates.map(date => getFormattedDateFromDate(date)));
+        this._render();
+    }
+
+    /**
+     * Set the per-day event counts (from MonthOverviewService.loadSummaries)
+     * @param {Map<string, {local: number, google: number, hasConflict: boolean}>} summaries
+     */
+    setSummaries(summaries) {
+        this.summaries = summaries || new Map();
+        this._render();
+    }
+
+    /**
+     * Move the displayed month by a number of months
+     * @param {number} delta
+     * @private
+     */
+    _shiftMonth(delta) {
+        const first = new Date(this.year, this.month + delta, 1);
+        this._setMonth(first.getFullYear(), first.getMonth());
+    }
+
+    /**
+     * Display a month; counts of the previous month are dropped until reloaded
+     * @private
+     */
+    _setMonth(year, month) {
+        this.year = year;
+        this.month = month;
+        this.summaries = new Map();
+        this._render();
+
+        if (this.onMonthChange) {
+            this.onMonthChange(year, month);
+        }
+    }
+
+    /**
+     * Rebuild the title, weekday row and day cells
+     * @private
+     */
+    _render() {
+        if (!this.grid) {
+            return;
+        }
+
+        const localeTag = this.locale === 'ja' ? 'ja-JP' : 'en-US';
+        const dates = this.getGridDates();
+
+        this.titleEl.textContent = new Date(this.year, this.month, 1)
+            .toLocaleDateString(localeTag, { year: 'numeric', month: 'long' });
+
+        this.weekdayRow.innerHTML = '';
+        dates.slice(0, 7).forEach(date => {
+            const weekday = document.createElement('span');
+            weekday.textContent = date.toLocaleDateString(localeTag, { weekday: 'narrow' });
+            this.weekdayRow.appendChild(weekday);
+        });
+
+        this.grid.innerHTML = '';
+        dates.forEach(date => this.grid.appendChild(this._createDayCell(date)));
+    }
+
+    /**
+     * Create the button for one day
+     * @param {Date} date
+     * @returns {HTMLElement}
+     * @private
+     */
+    _createDayCell(date) {
+        const dateStr = getFormattedDateFromDate(date);
+        const summary = this.summaries.get(dateStr);
+
+        const cell = document.createElement('button');
+        cell.type = 'button';
+        cell.className = 'month-overview-day';
+        cell.dataset.date = dateStr;
+        cell.classList.toggle('outside-month', date.getMonth() !== this.month);
+        cell.classList.toggle('today', isToday(date));
+        cell.classList.toggle('selected', this.selectedDates.has(dateStr));
+        cell.classList.toggle('has-conflict', !!summary?.hasConflict);
+
+        const number = document.createElement('span');
+        number.className = 'month-overview-day-number';
+        number.textContent = String(date.getDate());
+        cell.appendChild(number);
+
+        const dots = document.createElement('span');
+        dots.className = 'month-overview-dots';
+        if (summary) {
+            // Local dots first, then Google, MAX_DOTS in total
+            const localDots = Math.min(summary.local, MAX_DOTS);
+            const googleDots = Math.min(summary.google, MAX_DOTS - localDots);
+            for (let i = 0; i < localDots + googleDots; i++) {
+                const dot = document.createElement('span');
+                dot.className = `month-overview-dot ${i < localDots ? 'local' : 'google'}`;
+                dots.appendChild(dot);
+            }
+        }
+        cell.appendChild(dots);
+
+        cell.title = this._buildTooltip(date, summary);
+
+        return cell;
+    }
+
+    /**
+     * Tooltip of a day: the date, its event counts and a conflict warning
+     * @private
+     */
+    _buildTooltip(date, summary) {
+        const lines = [typeof window.formatDateWithWeekdayForLocale === 'function'
+            ? window.formatDateWithWeekdayForLocale(date, this.locale)
+            : date.toDateString()];
+
+        if (summary && summary.local + summary.google > 0) {
+            const template = window.getLocalizedMessage('monthOverviewEventCounts');
+            lines.push(template
+                ? template.replace('$1', summary.local).replace('$2', summary.google)
+                : `Local: ${summary.local}, Google: ${summary.google}`);
+        }
+        if (summary?.hasConflict) {
+            lines.push(window.getLocalizedMessage('monthOverviewConflict') || 'Overlapping events');
+        }
+        return lines.join('\n');
+    }
+
+    destroy() {
+        this.titleEl = null;
+        this.weekdayRow = null;
+        this.grid = null;
+        this.summaries = new Map();
+        this.selectedDates = new Set();
+        super.destroy();
+    }
+}
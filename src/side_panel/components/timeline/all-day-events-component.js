@@ -1,7 +1,11 @@
 /**
  * AllDayEventsComponent - Displays all-day events between header and timeline
+ *
+ * In the multi-day view it becomes a row of day cells aligned with the
+ * timeline's day columns, each with its own date label and chip containers.
  */
 import { Component } from '../base/component.js';
+import { isToday } from '../../../lib/time-utils.js';
 
 export class AllDayEventsComponent extends Component {
     constructor(options = {}) {
@@ -13,6 +17,11 @@ export class AllDayEventsComponent extends Component {
         });
 
         this.container = null;
+        this.localContainer = null;
+
+        // Day cells of the multi-day view (empty for a single day)
+        this.dayColumns = [];
+        this.dayColumnsRow = null;
     }
 
     createElement() {
@@ -22,6 +31,12 @@ export class AllDayEventsComponent extends Component {
             return el;
         }
 
+        // Local chips get their own container: Google fetches clear theirs
+        // wholesale and would otherwise wipe the local chips too
+        this.localContainer = document.createElement('div');
+        this.localContainer.className = 'all-day-events-container all-day-events-local';
+        el.appendChild(this.localContainer);
+
         this.container = document.createElement('div');
         this.container.className = 'all-day-events-container';
         el.appendChild(this.container);
@@ -37,21 +52,113 @@ export class AllDayEventsComponent extends Component {
         return this.container;
     }
 
+    /**
+     * Get the container element for local event chips
+     * @returns {HTMLElement}
+     */
+    getLocalContainer() {
+        return this.localContainer;
+    }
+
+    /**
+     * Switch between the single-day chip list and the multi-day row of day cells.
+     * @param {Array<Date>|null} dates - The days to show, or null for a single day
+     * @param {Object} [options]
+     * @param {string} [options.locale='en'] - The locale for the day labels (en/ja)
+     * @param {Function} [options.onDayClick] - Called with the date when a day label is clicked
+     * @returns {Array<{date: Date, element: HTMLElement, container: HTMLElement, localContainer: HTMLElement}>}
+     *   The day cells (empty for a single day)
+     */
+    setDayColumns(dates, { locale = 'en', onDayClick = null } = {}) {
+        if (this.dayColumnsRow) {
+            this.dayColumnsRow.remove();
+            this.dayColumnsRow = null;
+        }
+        this.dayColumns = [];
+
+        const multiDay = Array.isArray(dates) && dates.length > 1;
+        this.element.classList.toggle('multi-day', multiDay);
+        this.container.style.display = multiDay ? 'none' : '';
+        this.localContainer.style.display = multiDay ? 'none' : '';
+
+        if (!multiDay) {
+            this.updateVisibility();
+            return this.dayColumns;
+        }
+
+        const localeTag = locale === 'ja' ? 'ja-JP' : 'en-US';
+        const row = document.createElement('div');
+        row.className = 'all-day-day-columns';
+        row.style.gridTemplateColumns = `repeat(${dates.length}, minmax(0, 1fr))`;
+
+        this.dayColumns = dates.map(date => {
+            const cell = document.createElement('div');
+            cell.className = 'all-day-day-cell';
+            cell.classList.toggle('today', isToday(date));
+
+            const label = document.createElement('button');
+            label.type = 'button';
+            label.className = 'all-day-day-label';
+            label.title = typeof window.formatDateWithWeekdayForLocale === 'function'
+                ? window.formatDateWithWeekdayForLocale(date, locale)
+                : date.toDateString();
+            const weekday = document.createElement('span');
+            weekday.className = 'all-day-day-weekday';
+            weekday.textContent = date.toLocaleDateString(localeTag, { weekday: 'short' });
+            const day = document.createElement('span');
+            day.className = 'all-day-day-number';
+            day.textContent = String(date.getDate());
+            label.appendChild(weekday);
+            label.appendChild(day);
+            if (onDayClick) {
+                label.addEventListener('click', () => onDayClick(date));
+            }
+            cell.appendChild(label);
+
+            // Same split as the single-day section: local chips survive Google refetches
+            const localContainer = document.createElement('div');
+            localContainer.className = 'all-day-events-container all-day-events-local';
+            const container = document.createElement('div');
+            container.className = 'all-day-events-container';
+            cell.appendChild(localContainer);
+            cell.appendChild(container);
+
+            row.appendChild(cell);
+            return { date, element: cell, container, localContainer };
+        });
+
+        this.element.appendChild(row);
+        this.dayColumnsRow = row;
+        this.show();
+
+        return this.dayColumns;
+    }
+
     /**
      * Clear all event chips and hide the section
+     * (the multi-day row stays visible for its day labels)
      */
     clear() {
-        if (this.container) {
-            this.container.innerHTML = '';
+        const containers = [this.container, this.localContainer,
+            ...this.dayColumns.flatMap(column => [column.container, column.localContainer])];
+        containers.forEach(container => {
+            if (container) {
+                container.innerHTML = '';
+            }
+        });
+        if (this.dayColumns.length === 0) {
+            this.hide();
         }
-        this.hide();
     }
 
     /**
      * Show the section if it has events, hide if empty
+     * (always shown in the multi-day view)
      */
     updateVisibility() {
-        if (this.container && this.container.children.length > 0) {
+        const hasChips = [this.container, this.localContainer]
+            .some(container => container && container.children.length > 0);
+        if (hasChips || this.dayColumns.length > 0) {
             this.show();
         } else {
             this.hide();
@@ -60,6 +167,9 @@ export class AllDayEventsComponent extends Component {
 
     destroy() {
         this.container = null;
+        this.localContainer = null;
+        this.dayColumns = [];
+        this.dayColumnsRow = null;
         super.destroy();
     }
 }
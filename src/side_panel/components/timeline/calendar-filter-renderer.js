@@ -17,12 +17,14 @@ export class CalendarFilterRenderer {
      * @param {Function} options.onRefreshClick - Called when refresh button is clicked
      * @param {Function} options.onCalendarToggle - Called when a single calendar is toggled (calendarId, checked)
      * @param {Function} options.onGroupToggle - Called when a group checkbox is toggled (group, calendars, checked)
+     * @param {Function} options.onShowDeclinedToggle - Called when "Show declined events" is toggled (checked)
      */
     constructor(options) {
         this._onSearchInput = options.onSearchInput;
         this._onRefreshClick = options.onRefreshClick;
         this._onCalendarToggle = options.onCalendarToggle;
         this._onGroupToggle = options.onGroupToggle;
+        this._onShowDeclinedToggle = options.onShowDeclinedToggle;
 
         // DOM references owned by the parent; set after each render
         this.searchInput = null;
@@ -35,16 +37,17 @@ export class CalendarFilterRenderer {
     // ------------------------------------------------------------------
 
     /**
-     * Render the full dropdown content (toolbar + calendar list) into the
-     * given container. Returns references to key DOM nodes.
+     * Render the full dropdown content (toolbar + calendar list + view
+     * options) into the given container. Returns references to key DOM nodes.
      * @param {HTMLElement} dropdown - The dropdown container element
      * @param {string} searchTerm - Current search term value
      * @param {Array} calendars - Full calendars array
      * @param {Array<string>} selectedIds - Current selectedIds array
      * @param {Array} calendarGroups - Current calendarGroups array
+     * @param {boolean} showDeclined - Whether declined events are shown
      * @returns {{ searchInput: HTMLElement, refreshBtn: HTMLElement, calendarList: HTMLElement }}
      */
-    renderDropdownContent(dropdown, searchTerm, calendars, selectedIds, calendarGroups) {
+    renderDropdownContent(dropdown, searchTerm, calendars, selectedIds, calendarGroups, showDeclined) {
         dropdown.innerHTML = '';
 
         // Toolbar: search + refresh
@@ -82,6 +85,28 @@ export class CalendarFilterRenderer {
 
         this.renderCalendarList(calendars, selectedIds, calendarGroups, searchTerm);
 
+        // View options: below the list, apply to every calendar
+        const options = document.createElement('div');
+        options.className = 'timeline-calendar-filter-options';
+
+        const showDeclinedItem = document.createElement('label');
+        showDeclinedItem.className = 'timeline-calendar-filter-item';
+        const showDeclinedCheckbox = document.createElement('input');
+        showDeclinedCheckbox.type = 'checkbox';
+        showDeclinedCheckbox.className = 'timeline-calendar-filter-checkbox timeline-calendar-filter-show-declined';
+        showDeclinedCheckbox.checked = showDeclined === true;
+        showDeclinedCheckbox.addEventListener('change', () => {
+            this._onShowDeclinedToggle(showDeclinedCheckbox.checked);
+        });
+        const showDeclinedName = document.createElement('span');
+        showDeclinedName.className = 'timeline-calendar-filter-name';
+        showDeclinedName.textContent = window.getLocalizedMessage('showDeclinedEvents') || 'Show declined and cancelled events';
+
+        showDeclinedItem.appendChild(showDeclinedCheckbox);
+        showDeclinedItem.appendChild(showDeclinedName);
+        options.appendChild(showDeclinedItem);
+        dropdown.appendChild(options);
+
         return {
             searchInput: this.searchInput,
             refreshBtn: this.refreshBtn,
@@ -18,6 +18,7 @@ export class TimelineCalendarFilter extends Component {
         });
 
         this.onCalendarChange = options.onCalendarChange || null;
+        this.onShowDeclinedChange = options.onShowDeclinedChange || null;
         this.isOpen = false;
         this.calendars = [];
         this.selectedIds = [];
@@ -25,6 +26,7 @@ export class TimelineCalendarFilter extends Component {
         this.hasFetched = false;
         this.isAuthenticated = false;
         this.searchTerm = '';
+        this.showDeclined = false;
 
         // DOM references
         this.button = null;
@@ -55,6 +57,7 @@ export class TimelineCalendarFilter extends Component {
             onRefreshClick: () => this._refreshCalendars(),
             onCalendarToggle: (calendarId, checked) => this._handleToggle(calendarId, checked),
             onGroupToggle: (group, calendars, checked) => this._handleGroupToggle(group, calendars, checked),
+            onShowDeclinedToggle: (checked) => this._handleShowDeclinedToggle(checked),
         });
     }
 
@@ -346,7 +349,7 @@ export class TimelineCalendarFilter extends Component {
      */
     _renderDropdownContent() {
         const refs = this.renderer.renderDropdownContent(
-            this.dropdown, this.searchTerm, this.calendars, this.selectedIds, this.calendarGroups
+            this.dropdown, this.searchTerm, this.calendars, this.selectedIds, this.calendarGroups, this.showDeclined
         );
         this.searchInput = refs.searchInput;
         this.refreshBtn = refs.refreshBtn;
@@ -502,6 +505,29 @@ export class TimelineCalendarFilter extends Component {
         });
     }
 
+    /**
+     * Handle the "Show declined events" toggle
+     * @private
+     */
+    _handleShowDeclinedToggle(checked) {
+        this.showDeclined = checked;
+        if (this.onShowDeclinedChange) {
+            this.onShowDeclinedChange(checked);
+        }
+    }
+
+    /**
+     * Set the "Show declined events" state (restored from storage)
+     * @param {boolean} show
+     */
+    setShowDeclined(show) {
+        this.showDeclined = show === true;
+        const checkbox = this.dropdown?.querySelector('.timeline-calendar-filter-show-declined');
+        if (checkbox) {
+            checkbox.checked = this.showDeclined;
+        }
+    }
+
     /**
      * Refresh auth visibility (e.g., after sign-in)
      */
@@ -5,6 +5,10 @@ import { Component } from '../base/component.js';
 import { CurrentTimeLineManager } from '../../../lib/current-time-line-manager.js';
 import { getCurrentTime } from '../../../lib/demo-data.js';
 import { TimelineCalendarFilter } from './timeline-calendar-filter.js';
+import { EVENT_RESCHEDULE_EVENT, EVENT_STYLING } from '../../event-element-factory.js';
+import { calcRescheduledRange, RESCHEDULE_MODES } from '../../../lib/event-reschedule.js';
+import { isToday } from '../../../lib/time-utils.js';
+import { getFormattedDateFromDate } from '../../../lib/utils.js';
 
 export class TimelineComponent extends Component {
     constructor(options = {}) {
@@ -25,6 +29,9 @@ export class TimelineComponent extends Component {
         this.localEventsContainer = null;
         this.googleEventsContainer = null;
 
+        // Day columns of the multi-day view (empty for the single-day timeline)
+        this.dayColumns = [];
+
         // Hour label DOM cache for localization updates
         this.hourLabels = [];
 
@@ -41,15 +48,21 @@ export class TimelineComponent extends Component {
         // Time format preference (default 24h until resolved)
         this.timeFormat = '24h';
 
-        // Drag-to-create callback
+        // Drag-to-create callback: (startTime, endTime, date) — date is the
+        // day column dragged on in the multi-day view, undefined otherwise
         this.onDragCreate = options.onDragCreate || null;
 
         // Calendar filter button
         this.onCalendarChange = options.onCalendarChange || null;
+        this.onShowDeclinedChange = options.onShowDeclinedChange || null;
         this.calendarFilter = null;
 
-        // Drag state
-        this._drag = { active: false, anchorStart: 0, anchorEnd: 0, previewEl: null, timer: null };
+        // Drag state (drag-to-create, or moving/resizing an existing event when eventEl is set;
+        // column is the day column a drag-to-create started in, in the multi-day view)
+        this._drag = {
+            active: false, anchorStart: 0, anchorEnd: 0, previewEl: null, timer: null,
+            eventEl: null, mode: null, originY: 0, column: null
+        };
         this._boundMouseDown = null;
         this._boundMouseMove = null;
         this._boundMouseUp = null;
@@ -79,7 +92,7 @@ export class TimelineComponent extends Component {
         // Initialize locale and update hour labels asynchronously
         this._initLocaleAndRelabel();
 
-        // Set up drag-to-create listeners
+        // Set up drag-to-create and drag-to-move/resize listeners
         this._setupDragListeners();
 
         // Set up calendar filter button
@@ -95,7 +108,8 @@ export class TimelineComponent extends Component {
      */
     _setupCalendarFilter(container) {
         this.calendarFilter = new TimelineCalendarFilter({
-            onCalendarChange: this.onCalendarChange
+            onCalendarChange: this.onCalendarChange,
+            onShowDeclinedChange: this.onShowDeclinedChange
         });
         this.calendarFilter.attachTo(container);
     }
@@ -247,11 +261,22 @@ export class TimelineComponent extends Component {
      */
     _setupCurrentTimeLine() {
         if (!this.currentTimeLineManager) {
-            this.currentTimeLineManager = new CurrentTimeLineManager(this.baseLayer, this.currentDate);
+            this.currentTimeLineManager = new CurrentTimeLineManager(this.baseLayer, this._getTimeLineDate());
         }
         this.currentTimeLineManager.update();
     }
 
+    /**
+     * The date the current time line is drawn for: the displayed date, or in
+     * the multi-day view whichever column is today (the line spans all columns)
+     * @returns {Date}
+     * @private
+     */
+    _getTimeLineDate() {
+        const todayColumn = this.dayColumns.find(column => isToday(column.date));
+        return todayColumn ? todayColumn.date : this.currentDate;
+    }
+
     /**
      * Show/hide current time line
      * @param {boolean} visible Whether to show or not
@@ -311,8 +336,7 @@ export class TimelineComponent extends Component {
      * @returns {boolean} True if today
      */
     isToday() {
-        const today = new Date();
-        return today.toDateString() === this.currentDate.toDateString();
+        return isToday(this._getTimeLineDate());
     }
 
     /**
@@ -324,10 +348,56 @@ export class TimelineComponent extends Component {
 
         // Set the date for CurrentTimeLineManager as well
         if (this.currentTimeLineManager) {
-            this.currentTimeLineManager.setTargetDate(date);
+            this.currentTimeLineManager.setTargetDate(this._getTimeLineDate());
         }
     }
 
+    /**
+     * Switch between the single-day timeline and the multi-day view. Each day
+     * column is positioned after the time labels and gets its own local and
+     * Google event containers; the single-day containers are hidden meanwhile.
+     * @param {Array<Date>|null} dates - The days to show, or null for a single day
+     * @returns {Array<{date: Date, element: HTMLElement, localEventsContainer: HTMLElement, googleEventsContainer: HTMLElement}>}
+     *   The day columns (empty for a single day)
+     */
+    setDayColumns(dates) {
+        this.dayColumns.forEach(column => column.element.remove());
+        this.dayColumns = [];
+
+        const multiDay = Array.isArray(dates) && dates.length > 1;
+        this.element?.classList.toggle('multi-day', multiDay);
+        if (this.localEventsContainer) this.localEventsContainer.style.display = multiDay ? 'none' : '';
+        if (this.googleEventsContainer) this.googleEventsContainer.style.display = multiDay ? 'none' : '';
+
+        if (multiDay && this.eventsLayer) {
+            const labelWidth = `${EVENT_STYLING.DEFAULT_VALUES.INITIAL_LEFT_OFFSET}px`;
+            this.dayColumns = dates.map((date, index) => {
+                const element = document.createElement('div');
+                element.className = 'timeline-day-column';
+                element.classList.toggle('today', isToday(date));
+                element.dataset.date = getFormattedDateFromDate(date);
+                element.style.left = `calc(${labelWidth} + (100% - ${labelWidth}) * ${index} / ${dates.length})`;
+                element.style.width = `calc((100% - ${labelWidth}) / ${dates.length})`;
+
+                const localEventsContainer = document.createElement('div');
+                localEventsContainer.className = 'side-time-table-events-local';
+                const googleEventsContainer = document.createElement('div');
+                googleEventsContainer.className = 'side-time-table-events-google';
+                element.appendChild(localEventsContainer);
+                element.appendChild(googleEventsContainer);
+
+                this.eventsLayer.appendChild(element);
+                return { date, element, localEventsContainer, googleEventsContainer };
+            });
+        }
+
+        if (this.currentTimeLineManager && this.showCurrentTimeLine) {
+            this.currentTimeLineManager.setTargetDate(this._getTimeLineDate());
+        }
+
+        return this.dayColumns;
+    }
+
     /**
      * Scroll to specified time
      * @param {string} time Time (HH:MM format)
@@ -376,6 +446,7 @@ export class TimelineComponent extends Component {
         if (this.localEventsContainer) {
             this.localEventsContainer.innerHTML = '';
         }
+        this.dayColumns.forEach(column => { column.localEventsContainer.innerHTML = ''; });
     }
 
     /**
@@ -385,6 +456,7 @@ export class TimelineComponent extends Component {
         if (this.googleEventsContainer) {
             this.googleEventsContainer.innerHTML = '';
         }
+        this.dayColumns.forEach(column => { column.googleEventsContainer.innerHTML = ''; });
     }
 
     /**
@@ -428,17 +500,33 @@ export class TimelineComponent extends Component {
     }
 
     /**
-     * Set up drag-to-create listeners on the events layer
+     * Set up drag listeners on the events layer: dragging empty space creates
+     * an event, dragging a reschedulable event block moves it and dragging its
+     * bottom edge resizes it
      * @private
      */
     _setupDragListeners() {
-        if (!this.eventsLayer || !this.onDragCreate) return;
+        if (!this.eventsLayer) return;
 
         this._boundMouseDown = (e) => {
             if (e.button !== 0) return;
-            if (e.target.closest('.event')) return;
+
+            const eventEl = e.target.closest('.event');
+            if (eventEl) {
+                if (eventEl.classList.contains('event-reschedulable')) {
+                    this._startEventDrag(e, eventEl);
+                }
+                return;
+            }
+            if (!this.onDragCreate) return;
+
+            // In the multi-day view a drag creates the event on its column's day
+            const columnEl = e.target.closest('.timeline-day-column');
+            const column = this.dayColumns.find(c => c.element === columnEl) || null;
+            if (this.dayColumns.length > 0 && !column) return;
 
             this._cleanupDrag(); // guard against overlapping drag sessions
+            this._drag.column = column;
 
             const rect = this.eventsLayer.getBoundingClientRect();
             const anchorStart = this._snapToMinutes(e.clientY - rect.top);
@@ -451,10 +539,7 @@ export class TimelineComponent extends Component {
                 this._drag.timer = null;
                 this._drag.active = true;
                 document.body.style.userSelect = 'none';
-                const preview = document.createElement('div');
-                preview.className = 'drag-preview event';
-                this.element.appendChild(preview);
-                this._drag.previewEl = preview;
+                this._createPreview(this._drag.column?.element);
                 this._updatePreview(anchorStart, anchorEnd);
             }, 150);
 
@@ -467,6 +552,91 @@ export class TimelineComponent extends Component {
         this.eventsLayer.addEventListener('mousedown', this._boundMouseDown);
     }
 
+    /**
+     * Begin tracking a possible move/resize of an event block. The drag only
+     * starts once the pointer has moved, so a plain click still opens the event.
+     * @param {MouseEvent} e - The mousedown event
+     * @param {HTMLElement} eventEl - The event element (see enableReschedule)
+     * @private
+     */
+    _startEventDrag(e, eventEl) {
+        this._cleanupDrag(); // guard against overlapping drag sessions
+
+        this._drag.eventEl = eventEl;
+        this._drag.mode = e.target.closest('.event-resize-handle') ? RESCHEDULE_MODES.RESIZE : RESCHEDULE_MODES.MOVE;
+        this._drag.originY = e.clientY;
+
+        this._boundMouseMove = (ev) => this._onEventDragMove(ev);
+        this._boundMouseUp = (ev) => this._onEventDragEnd(ev);
+        document.addEventListener('mousemove', this._boundMouseMove);
+        document.addEventListener('mouseup', this._boundMouseUp);
+    }
+
+    /**
+     * Calculate the dragged event's new [startMinutes, endMinutes] for a pointer position
+     * @private
+     */
+    _calcEventDragRange(clientY) {
+        const { eventEl, mode, originY } = this._drag;
+        const startMinutes = Number(eventEl.dataset.startMinutes);
+        const endMinutes = Number(eventEl.dataset.endMinutes);
+        // One pixel is one minute on the timeline
+        return calcRescheduledRange(startMinutes, endMinutes, clientY - originY, mode);
+    }
+
+    /**
+     * Handle event drag move: start the drag past the click threshold, then preview
+     * @private
+     */
+    _onEventDragMove(e) {
+        if (!this._drag.active) {
+            // Same threshold as onClickOnly, so a drag never also counts as a click
+            if (Math.abs(e.clientY - this._drag.originY) <= 5) return;
+            this._drag.active = true;
+            document.body.style.userSelect = 'none';
+            this._drag.eventEl.classList.add('event-dragging');
+            this._createPreview(this._drag.eventEl.closest('.timeline-day-column'));
+        }
+
+        const [startMin, endMin] = this._calcEventDragRange(e.clientY);
+        this._updatePreview(startMin, endMin);
+    }
+
+    /**
+     * Handle event drag end: report the new times to the event element
+     * @private
+     */
+    _onEventDragEnd(e) {
+        const { active, eventEl } = this._drag;
+        const range = active ? this._calcEventDragRange(e.clientY) : null;
+
+        this._cleanupDrag();
+
+        if (!range) return;
+        const unchanged = range[0] === Number(eventEl.dataset.startMinutes) &&
+            range[1] === Number(eventEl.dataset.endMinutes);
+        if (unchanged) return;
+
+        eventEl.dispatchEvent(new CustomEvent(EVENT_RESCHEDULE_EVENT, {
+            detail: {
+                startTime: this._minutesToTimeString(range[0]),
+                endTime: this._minutesToTimeString(range[1])
+            }
+        }));
+    }
+
+    /**
+     * Create the dashed preview block shown while dragging
+     * @param {HTMLElement|null} [column] - The day column to draw it in (multi-day view)
+     * @private
+     */
+    _createPreview(column = null) {
+        const preview = document.createElement('div');
+        preview.className = 'drag-preview event';
+        (column || this.element).appendChild(preview);
+        this._drag.previewEl = preview;
+    }
+
     /**
      * Calculate [startMinutes, endMinutes] from anchor and current position (bidirectional)
      * @private
@@ -518,7 +688,7 @@ export class TimelineComponent extends Component {
     }
 
     /**
-     * Clean up per-drag state (timer, document listeners, preview element)
+     * Clean up per-drag state (timer, document listeners, preview element, dragged event)
      * @private
      */
     _cleanupDrag() {
@@ -538,6 +708,12 @@ export class TimelineComponent extends Component {
             this._drag.previewEl.remove();
             this._drag.previewEl = null;
         }
+        if (this._drag.eventEl) {
+            this._drag.eventEl.classList.remove('event-dragging');
+            this._drag.eventEl = null;
+        }
+        this._drag.mode = null;
+        this._drag.column = null;
         document.body.style.userSelect = '';
         this._drag.active = false;
     }
@@ -548,6 +724,7 @@ export class TimelineComponent extends Component {
      */
     _onDragEnd(e) {
         const wasActive = this._drag.active;
+        const columnDate = this._drag.column ? this._drag.column.date : undefined;
         let startMin, endMin;
         if (wasActive) {
             const rect = this.eventsLayer.getBoundingClientRect();
@@ -557,7 +734,7 @@ export class TimelineComponent extends Component {
         this._cleanupDrag();
 
         if (wasActive) {
-            this.onDragCreate(this._minutesToTimeString(startMin), this._minutesToTimeString(endMin));
+            this.onDragCreate(this._minutesToTimeString(startMin), this._minutesToTimeString(endMin), columnDate);
         }
     }
 
@@ -612,8 +789,9 @@ export class TimelineComponent extends Component {
             this.currentTimeLineManager = null;
         }
 
-        // Release DOM references held in the hour label cache
+        // Release DOM references held in the hour label cache and day columns
         this.hourLabels = [];
+        this.dayColumns = [];
 
         super.destroy();
     }
@@ -0,0 +1,91 @@
+/**
+ * ToastComponent - A short-lived message at the bottom of the panel,
+ * optionally with an action button (e.g. Undo)
+ */
+import { Component } from '../base/component.js';
+
+export class ToastComponent extends Component {
+    // How long a toast stays visible, in milliseconds
+    static DEFAULT_DURATION = 6000;
+
+    constructor(options = {}) {
+        super({
+            id: 'sideTimeTableToast',
+            className: 'side-panel-toast',
+            hidden: true,
+            ...options
+        });
+
+        this.messageEl = null;
+        this.actionButton = null;
+        this._onAction = null;
+        this._hideTimer = null;
+    }
+
+    createElement() {
+        const el = super.createElement();
+
+        if (el.children.length > 0) {
+            return el;
+        }
+
+        el.setAttribute('role', 'status');
+        el.setAttribute('aria-live', 'polite');
+
+        this.messageEl = document.createElement('span');
+        this.messageEl.className = 'side-panel-toast-message';
+        el.appendChild(this.messageEl);
+
+        this.actionButton = document.createElement('button');
+        this.actionButton.type = 'button';
+        this.actionButton.className = 'side-panel-toast-action';
+        this.addEventListener(this.actionButton, 'click', () => {
+            const onAction = this._onAction;
+            this.dismiss();
+            if (onAction) onAction();
+        });
+        el.appendChild(this.actionButton);
+
+        return el;
+    }
+
+    /**
+     * Show a message, replacing any toast currently shown
+     * @param {string} message - The message text
+     * @param {Object} [options]
+     * @param {string} [options.actionLabel] - Label of the action button (no button when omitted)
+     * @param {Function} [options.onAction] - Called when the action button is clicked
+     * @param {number} [options.duration] - Milliseconds before the toast hides itself
+     */
+    showMessage(message, { actionLabel = null, onAction = null, duration = ToastComponent.DEFAULT_DURATION } = {}) {
+        if (!this.element) {
+            this.createElement();
+        }
+        clearTimeout(this._hideTimer);
+
+        this.messageEl.textContent = message;
+        this._onAction = onAction;
+        this.actionButton.textContent = actionLabel || '';
+        this.actionButton.style.display = actionLabel && onAction ? '' : 'none';
+        this.show();
+
+        this._hideTimer = setTimeout(() => this.dismiss(), duration);
+    }
+
+    /**
+     * Hide the toast and drop its action
+     */
+    dismiss() {
+        clearTimeout(this._hideTimer);
+        this._hideTimer = null;
+        this._onAction = null;
+        this.hide();
+    }
+
+    destroy() {
+        this.dismiss();
+        this.messageEl = null;
+        this.actionButton = null;
+        super.destroy();
+    }
+}
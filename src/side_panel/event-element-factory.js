@@ -51,6 +51,33 @@ export function onClickOnly(el, handler, threshold = 5) {
     });
 }
 
+/**
+ * DOM event dispatched on an event element by TimelineComponent when a drag
+ * to move or resize it ends. `detail` is `{ startTime, endTime }` (HH:MM).
+ */
+export const EVENT_RESCHEDULE_EVENT = 'sidetimetable:reschedule';
+
+/**
+ * Let the timeline drag an event element to move it, or drag its bottom
+ * edge to resize it. The element records its current range for the drag;
+ * `handler` receives the new `{ startTime, endTime }` when the drag ends.
+ * @param {HTMLElement} el - The event element
+ * @param {Date} startDate - The event start
+ * @param {Date} endDate - The event end
+ * @param {Function} handler - Called with `{ startTime, endTime }`
+ */
+export function enableReschedule(el, startDate, endDate, handler) {
+    el.classList.add('event-reschedulable');
+    el.dataset.startMinutes = String(startDate.getHours() * 60 + startDate.getMinutes());
+    el.dataset.endMinutes = String(endDate.getHours() * 60 + endDate.getMinutes());
+
+    const resizeHandle = document.createElement('div');
+    resizeHandle.className = 'event-resize-handle';
+    el.appendChild(resizeHandle);
+
+    el.addEventListener(EVENT_RESCHEDULE_EVENT, (e) => handler(e.detail));
+}
+
 /**
  * Apply duration-based styling to event element.
  * - height: set to raw duration px (box-sizing:border-box keeps rendered size = duration)
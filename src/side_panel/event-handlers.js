@@ -10,6 +10,7 @@ import { loadSettings, loadSelectedCalendars } from '../lib/settings-storage.js'
 import { loadLocalEvents, loadLocalEventsForDate } from '../lib/event-storage.js';
 import { sendMessage } from '../lib/chrome-messaging.js';
 import {getDemoEvents, getDemoLocalEvents, isDemoMode} from '../lib/demo-data.js';
+import { isInactiveGoogleEvent } from '../lib/google-event-utils.js';
 import { GoogleEventRenderer } from './google-event-renderer.js';
 import { LocalEventRenderer } from './local-event-renderer.js';
 
@@ -59,6 +60,9 @@ export class GoogleEventManager {
         this._toggleVersion = 0; // Version counter for calendar toggle race condition prevention
         this._fetchVersion = 0; // Version counter for date navigation race condition prevention
         this.onAuthExpired = null; // Callback when authentication expires
+        this.onEventReschedule = null; // Callback when an editable event is dragged to new times
+        this.onAcceptDeclined = null; // Callback when "Accept" is clicked on a declined event
+        this.showDeclinedEvents = false; // Show cancelled and declined events as ghosts
         this._authExpiredKnown = false; // Skip fetches after auth failure is detected
         this.allDayEventsContainer = null; // Container for all-day event chips
         this._currentTargetDate = null; // The date currently being displayed
@@ -119,6 +123,9 @@ export class GoogleEventManager {
             if (targetDate) {
                 message.targetDate = targetDate.toISOString();
             }
+            if (this.showDeclinedEvents) {
+                message.includeDeclined = true;
+            }
             return sendMessage(message);
         })()
             .then(async response => {
@@ -155,12 +162,7 @@ export class GoogleEventManager {
                         return;
                     }
                     logError('Google event fetch', response.error);
-                    const errorDiv = document.createElement('div');
-                    errorDiv.className = 'error-message';
-                    const rid = response.requestId ? ` [Request ID: ${response.requestId}]` : '';
-                    const errType = response.errorType ? ` (${response.errorType})` : '';
-                    errorDiv.textContent = (window.getLocalizedMessage("errorPrefix") || 'Error: ') + response.error + errType + rid;
-                    this.googleEventsDiv.appendChild(errorDiv);
+                    this.showFetchError(response);
                     return;
                 }
 
@@ -190,6 +192,90 @@ export class GoogleEventManager {
         return this.currentFetchPromise;
     }
 
+    /**
+     * Fetch the Google events of several consecutive days in one request per
+     * calendar, for the multi-day view. Rendering is left to the caller
+     * (see renderEvents), which splits the events per day column.
+     * @param {Date} startDate - The first day
+     * @param {number} days - The number of days
+     * @param {Object} [options]
+     * @param {boolean} [options.includeDeclined=false] - Also return the cancelled
+     *   and declined events (for the timeline; counts and free time leave them out)
+     * @returns {Promise<Array|null>} The events, or null when Google is not
+     *   connected or authorization has expired
+     * @throws {Error} When the fetch fails (the error carries the `response`)
+     */
+    async fetchEventsInRange(startDate, days, { includeDeclined = false } = {}) {
+        const settings = await loadSettings();
+        this.useGoogleCalendarColors = settings.useGoogleCalendarColors !== false;
+
+        if (isDemoMode()) {
+            return getDemoEvents();
+        }
+        if (settings.googleIntegrated !== true || this._authExpiredKnown) {
+            return null;
+        }
+
+        const requestId = `req-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+        const response = await sendMessage({
+            action: "getEvents",
+            requestId,
+            targetDate: startDate.toISOString(),
+            days,
+            includeDeclined
+        });
+
+        if (!response) {
+            throw new Error('No response');
+        }
+        if (response.error) {
+            if (response.authExpired) {
+                this._authExpiredKnown = true;
+                if (this.onAuthExpired) this.onAuthExpired();
+                return null;
+            }
+            throw Object.assign(new Error(response.error), { response });
+        }
+        return Array.isArray(response.events) ? response.events : [];
+    }
+
+    /**
+     * Replace the displayed Google events with already-fetched ones
+     * (one day column of the multi-day view)
+     * @param {Array} events - The events for the day
+     * @param {Date} targetDate - The day being displayed
+     * @param {boolean} useGoogleCalendarColors - Whether to apply Google Calendar colors
+     */
+    async renderEvents(events, targetDate, useGoogleCalendarColors) {
+        this._currentTargetDate = targetDate;
+        this.useGoogleCalendarColors = useGoogleCalendarColors;
+
+        this.googleEventsDiv.innerHTML = '';
+        if (this.allDayEventsContainer) {
+            this.allDayEventsContainer.innerHTML = '';
+        }
+        if (this.eventLayoutManager) {
+            [...this.eventLayoutManager.events]
+                .filter(event => event && event.type === 'google')
+                .forEach(event => this.eventLayoutManager.removeEvent(event.id));
+        }
+
+        await this._processEvents(events);
+    }
+
+    /**
+     * Show a failed fetch in place of the events
+     * @param {Object} response - The error response (`error`, `errorType`, `requestId`)
+     */
+    showFetchError(response) {
+        const errorDiv = document.createElement('div');
+        errorDiv.className = 'error-message';
+        const rid = response.requestId ? ` [Request ID: ${response.requestId}]` : '';
+        const errType = response.errorType ? ` (${response.errorType})` : '';
+        errorDiv.textContent = (window.getLocalizedMessage("errorPrefix") || 'Error: ') + response.error + errType + rid;
+        this.googleEventsDiv.appendChild(errorDiv);
+    }
+
     /**
      * Remove events for specific calendars from DOM and layout manager
      * @param {Array<string>} calendarIds - The calendar IDs to remove events for
@@ -248,7 +334,8 @@ export class GoogleEventManager {
         const message = {
             action: "getEventsForCalendars",
             requestId,
-            calendarIds
+            calendarIds,
+            includeDeclined: this.showDeclinedEvents
         };
         if (targetDate) {
             message.targetDate = targetDate.toISOString();
@@ -324,7 +411,9 @@ export class GoogleEventManager {
                 if (controller && controller.googleEventModal) {
                     controller.googleEventModal.showEvent(event);
                 }
-            }
+            },
+            onEventReschedule: isDemoMode() ? null : this.onEventReschedule,
+            onAcceptDeclined: isDemoMode() ? null : this.onAcceptDeclined
         };
 
         for (let i = 0; i < events.length; i++) {
@@ -381,7 +470,9 @@ export class GoogleEventManager {
                 title: event.summary,
                 type: 'google',
                 id: eventId,
-                calendarId: event.calendarId
+                calendarId: event.calendarId,
+                // Cancelled and declined events are ghosts: never a conflict
+                transparent: event.transparency === 'transparent' || isInactiveGoogleEvent(event)
             });
         }
     }
@@ -420,9 +511,19 @@ export class LocalEventManager {
         this.eventLayoutManager = eventLayoutManager;
         this.currentTargetDate = new Date(); // The currently displayed date
         this.onEventClick = null; // The callback for event clicks
+        this.onEventReschedule = null; // The callback for events dragged to new times
+        this.allDayEventsContainer = null; // Container for all-day event chips
         this._renderer = new LocalEventRenderer();
     }
 
+    /**
+     * Set the container for all-day events
+     * @param {HTMLElement} container - The DOM element for displaying local all-day event chips
+     */
+    setAllDayEventsContainer(container) {
+        this.allDayEventsContainer = container;
+    }
+
 
     /**
      * Set event click callback
@@ -432,6 +533,14 @@ export class LocalEventManager {
         this.onEventClick = callback;
     }
 
+    /**
+     * Set event reschedule callback
+     * @param {Function} callback - Called with `(event, {startTime, endTime})` when an event is dragged
+     */
+    setEventRescheduleCallback(callback) {
+        this.onEventReschedule = callback;
+    }
+
     /**
      * Load local events
      * @param {Date} targetDate - The target date (today if omitted)
@@ -441,11 +550,15 @@ export class LocalEventManager {
         this.currentTargetDate = targetDate || new Date();
 
         this.localEventsDiv.innerHTML = ''; // Clear the previous display
+        if (this.allDayEventsContainer) {
+            this.allDayEventsContainer.innerHTML = '';
+        }
 
         const renderConfig = {
             currentTargetDate: this.currentTargetDate,
             maxWidth: this.eventLayoutManager ? this.eventLayoutManager.maxWidth : undefined,
-            onEventClick: this.onEventClick
+            onEventClick: this.onEventClick,
+            onEventReschedule: isDemoMode() ? null : this.onEventReschedule
         };
 
         // Get events from appropriate source
@@ -465,6 +578,14 @@ export class LocalEventManager {
 
         for (const event of events) {
             try {
+                if (event.allDay) {
+                    const result = this._renderer.createAllDayEventElement(event, renderConfig);
+                    if (this.allDayEventsContainer) {
+                        this.allDayEventsContainer.appendChild(result.element);
+                    }
+                    continue;
+                }
+
                 const result = await this._renderer.createEventElement(event, renderConfig);
                 this.localEventsDiv.appendChild(result.element);
                 this._registerLocalEvent(result, event.title);
@@ -483,6 +604,7 @@ export class LocalEventManager {
             this.eventLayoutManager.registerEvent({
                 startTime: result.startTime,
                 endTime: result.endTime,
+                dayStart: result.dayStart,
                 element: result.element,
                 type: 'local',
                 title,
@@ -496,7 +618,10 @@ export class LocalEventManager {
      */
     destroy() {
         if (this.localEventsDiv) this.localEventsDiv.innerHTML = '';
+        if (this.allDayEventsContainer) this.allDayEventsContainer.innerHTML = '';
+        this.allDayEventsContainer = null;
         this.eventLayoutManager = null;
         this.onEventClick = null;
+        this.onEventReschedule = null;
     }
 }
@@ -6,9 +6,11 @@
  * element construction.
  */
 
+import { isDeclinedGoogleEvent, isEditableGoogleEvent, isInactiveGoogleEvent } from '../lib/google-event-utils.js';
 import {
     EVENT_STYLING,
     onClickOnly,
+    enableReschedule,
     resolveLocaleSettings,
     EventElementFactory
 } from './event-element-factory.js';
@@ -31,6 +33,9 @@ export class GoogleEventRenderer {
         chip.className = options.isOutOfOffice
             ? 'all-day-event-chip all-day-event-chip-ooo'
             : 'all-day-event-chip';
+        if (isInactiveGoogleEvent(event)) {
+            chip.classList.add('google-event-declined');
+        }
 
         const title = event.summary || (options.isOutOfOffice
             ? window.getLocalizedMessage('outOfOffice')
@@ -90,6 +95,10 @@ export class GoogleEventRenderer {
      * @param {boolean} config.useGoogleCalendarColors - Whether to apply Google Calendar colors
      * @param {number} config.maxWidth - Maximum width for the event element
      * @param {Function} [config.onEventClick] - Callback when event is clicked
+     * @param {Function} [config.onEventReschedule] - Callback `(event, {startTime, endTime})`
+     *   when an editable event is dragged to new times
+     * @param {Function} [config.onAcceptDeclined] - Callback `(event)` for the "Accept"
+     *   action of an event the user declined
      * @returns {Promise<{element: HTMLElement, startTime: Date, endTime: Date}>}
      */
     async createTimedEventElement(event, options = {}, config = {}) {
@@ -107,9 +116,13 @@ export class GoogleEventRenderer {
         }
 
         // Create the positioned event element via the factory
-        const cssClass = options.isOutOfOffice
+        const isInactive = isInactiveGoogleEvent(event);
+        let cssClass = options.isOutOfOffice
             ? 'event google-event google-event-ooo'
             : 'event google-event';
+        if (isInactive) {
+            cssClass += ' google-event-declined';
+        }
         const title = event.summary || (options.isOutOfOffice ? window.getLocalizedMessage('outOfOffice') : '');
         const { eventDiv } = EventElementFactory.createEventElement({
             startDate,
@@ -146,9 +159,57 @@ export class GoogleEventRenderer {
         // Set the locale-aware time display asynchronously
         await this._setEventContentWithLocale(eventDiv, startDate, title, event);
 
+        // Drag to move / resize (after the content, which replaces the children).
+        // Not for occurrences of a recurring event: the edit form asks which
+        // occurrences a change applies to, a drag could not.
+        if (config.onEventReschedule && !isInactive && isEditableGoogleEvent(event) && !event.recurringEventId) {
+            enableReschedule(eventDiv, startDate, endDate, (times) => config.onEventReschedule(event, times));
+        }
+
+        // A declined invitation can be accepted again from the timeline
+        // (only on the user's own calendars, like the RSVP buttons)
+        if (config.onAcceptDeclined && event.status !== 'cancelled'
+            && isDeclinedGoogleEvent(event) && event.isOwnedCalendar) {
+            eventDiv.appendChild(this._createAcceptButton(event, config.onAcceptDeclined));
+        }
+
         return { element: eventDiv, startTime: startDate, endTime: endDate };
     }
 
+    /**
+     * The "Accept" button of a declined event
+     * @param {Object} event - The declined event
+     * @param {Function} onAccept - Called with the event; resolves to whether
+     *   the response was sent (the button is enabled again when not)
+     * @returns {HTMLButtonElement}
+     * @private
+     */
+    _createAcceptButton(event, onAccept) {
+        const label = window.getLocalizedMessage('acceptDeclinedEvent') || 'Accept instead';
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'google-event-accept-btn';
+        button.title = label;
+        button.setAttribute('aria-label', label);
+
+        const icon = document.createElement('i');
+        icon.className = 'fa-solid fa-check';
+        icon.setAttribute('aria-hidden', 'true');
+        button.appendChild(icon);
+
+        button.addEventListener('click', (e) => {
+            // Not a click on the event itself, which opens the modal
+            e.stopPropagation();
+            button.disabled = true;
+            Promise.resolve(onAccept(event)).then(accepted => {
+                if (!accepted) {
+                    button.disabled = false;
+                }
+            });
+        });
+        return button;
+    }
+
     /**
      * Set event content with locale-aware time display
      * @param {HTMLElement} eventDiv - The event element
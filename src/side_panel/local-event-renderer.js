@@ -6,50 +6,108 @@
  * element construction.
  */
 
-import { RECURRENCE_TYPES } from '../lib/constants.js';
-import { createTimeOnDate } from '../lib/time-utils.js';
+import { normalizeRecurrence } from '../lib/rrule.js';
+import { addDays, createTimeOnDate, daysBetween, parseDateString } from '../lib/time-utils.js';
+import { isReschedulableLocalEvent } from '../lib/event-reschedule.js';
 import {
     onClickOnly,
+    enableReschedule,
     resolveLocaleSettings,
     EventElementFactory
 } from './event-element-factory.js';
 
 export class LocalEventRenderer {
 
+    /**
+     * Create an all-day event chip element
+     * @param {Object} event - The event data (`allDay: true`)
+     * @param {Object} config - Configuration from the manager
+     * @param {Date} config.currentTargetDate - The date currently being displayed
+     * @param {Function|null} config.onEventClick - Callback for event clicks
+     * @returns {{element: HTMLElement}} Object wrapping the created chip element
+     */
+    createAllDayEventElement(event, config = {}) {
+        const chip = document.createElement('div');
+        chip.className = 'all-day-event-chip all-day-event-chip-local';
+
+        const title = event.title || window.getLocalizedMessage('allDay');
+        chip.title = event.description ? `${title}\n${event.description}` : title;
+        chip.textContent = title;
+
+        // Day progress for multi-day events (e.g. Day 2/3)
+        const dayCount = (event.spanDays > 0 ? event.spanDays : 0) + 1;
+        if (dayCount > 1) {
+            const currentDay = event.isContinuation && event.occurrenceDate && config.currentTargetDate
+                ? Math.min(dayCount, daysBetween(parseDateString(event.occurrenceDate), config.currentTargetDate) + 1)
+                : 1;
+            const badge = document.createElement('span');
+            badge.className = 'all-day-event-chip-days';
+            const template = window.getLocalizedMessage('multiDayProgress');
+            badge.textContent = template
+                ? template.replace('$1', currentDay).replace('$2', dayCount)
+                : `${currentDay}/${dayCount}`;
+            chip.appendChild(badge);
+        }
+
+        this._setupEventEdit(chip, event, config.onEventClick);
+
+        return { element: chip };
+    }
+
     /**
      * Create a local event element
+     *
+     * A multi-day event is drawn clipped to the displayed day; the returned
+     * start/end are the real ones and `dayStart` lets the layout manager
+     * apply the same clipping.
      * @param {Object} event - The event data
      * @param {Object} config - Configuration from the manager
      * @param {Date} config.currentTargetDate - The date currently being displayed
      * @param {number} config.maxWidth - Maximum width for the event element
      * @param {Function|null} config.onEventClick - Callback for event clicks
-     * @returns {Promise<{element: HTMLElement, startTime: Date, endTime: Date, eventId: string}>}
+     * @param {Function|null} [config.onEventReschedule] - Callback `(event, {startTime, endTime})`
+     *   when the event is dragged to new times; omit to keep the block static
+     * @returns {Promise<{element: HTMLElement, startTime: Date, endTime: Date, dayStart: Date, eventId: string}>}
      */
     async createEventElement(event, config = {}) {
         const { title, startTime, endTime } = event;
 
-        // Set the time on the target date
+        // A continuation started on an earlier day; everything else starts on the displayed day
+        const dayStart = createTimeOnDate(config.currentTargetDate, 0, 0);
+        const occurrenceDay = event.isContinuation && event.occurrenceDate
+            ? parseDateString(event.occurrenceDate)
+            : dayStart;
+        const spanDays = event.spanDays > 0 ? event.spanDays : 0;
+
+        // Set the time on the start (and end) day
         const [startHours, startMinutes] = startTime.split(':');
         const [endHours, endMinutes] = endTime.split(':');
 
-        const startDate = createTimeOnDate(config.currentTargetDate, parseInt(startHours), parseInt(startMinutes));
-        const endDate = createTimeOnDate(config.currentTargetDate, parseInt(endHours), parseInt(endMinutes));
+        const startDate = createTimeOnDate(occurrenceDay, parseInt(startHours), parseInt(startMinutes));
+        const endDate = createTimeOnDate(addDays(occurrenceDay, spanDays), parseInt(endHours), parseInt(endMinutes));
+
+        // Clip to the displayed day
+        const dayEnd = addDays(dayStart, 1);
+        const continuesBefore = startDate < dayStart;
+        const continuesAfter = endDate > dayEnd;
 
         // Create the positioned event element via the factory
         const { eventDiv } = EventElementFactory.createEventElement({
-            startDate,
-            endDate,
+            startDate: continuesBefore ? dayStart : startDate,
+            endDate: continuesAfter ? dayEnd : endDate,
             cssClass: 'event local-event',
             tooltip: event.description ? `${title}\n${event.description}` : title,
             initialWidth: config.maxWidth
         });
+        if (continuesBefore) eventDiv.classList.add('event-continues-before');
+        if (continuesAfter) eventDiv.classList.add('event-continues-after');
 
         // Add time information to data attributes
         eventDiv.dataset.startTime = startTime;
         eventDiv.dataset.endTime = endTime;
 
         // Check if this is a recurring event
-        const isRecurring = event.isRecurringInstance || (event.recurrence && event.recurrence.type !== RECURRENCE_TYPES.NONE);
+        const isRecurring = event.isRecurringInstance || !!normalizeRecurrence(event.recurrence);
 
         // Set locale-aware time display asynchronously
         await this._setLocalEventContentWithLocale(eventDiv, startTime, endTime, title, isRecurring, event);
@@ -57,9 +115,16 @@ export class LocalEventRenderer {
         // Setup the edit functionality
         this._setupEventEdit(eventDiv, event, config.onEventClick);
 
-        const eventId = event.id || `local-${title}-${startTime}-${endTime}`;
+        // Drag to move / resize
+        if (config.onEventReschedule && isReschedulableLocalEvent(event)) {
+            enableReschedule(eventDiv, startDate, endDate, (times) => config.onEventReschedule(event, times));
+        }
+
+        // Continuations are suffixed so they never collide with the series' own instance that day
+        const baseId = event.id || `local-${title}-${startTime}-${endTime}`;
+        const eventId = event.isContinuation ? `${baseId}@${event.occurrenceDate}` : baseId;
 
-        return { element: eventDiv, startTime: startDate, endTime: endDate, eventId };
+        return { element: eventDiv, startTime: startDate, endTime: endDate, dayStart, eventId };
     }
 
     /**
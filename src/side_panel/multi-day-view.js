@@ -0,0 +1,205 @@
+/**
+ * SideTimeTable - Multi-day View
+ *
+ * Shows several consecutive days side by side. Each day column reuses the
+ * single-day pieces: its own EventLayoutManager (lanes are per column) and a
+ * LocalEventManager / GoogleEventManager pair rendering into the column's
+ * containers. Google events are fetched once for the whole range and split
+ * per day.
+ */
+
+import { logError } from '../lib/utils.js';
+import { isGoogleEventOnDay } from '../lib/google-event-utils.js';
+import { EventLayoutManager } from './time-manager.js';
+import { GoogleEventManager, LocalEventManager } from './event-handlers.js';
+
+// Layout geometry of a day column: events start at its left edge and the
+// lanes may get much narrower than on the single-day timeline
+const COLUMN_LAYOUT = {
+    baseLeft: 0,
+    reservedSpaceMargin: 2,
+    minWidth: 20
+};
+
+export class MultiDayView {
+    /**
+     * @param {Object} options
+     * @param {GoogleEventManager} options.googleEventManager - The single-day manager, used
+     *   for the range fetch so auth state is shared
+     * @param {Function} [options.onLocalEventClick] - Called with `(event, date)`
+     * @param {Function} [options.onLocalEventReschedule] - Called with `(event, times, date)`
+     * @param {Function} [options.onGoogleEventReschedule] - Called with `(event, times)`
+     * @param {Function} [options.onAcceptDeclined] - Called with the declined event
+     *   whose "Accept" action was clicked
+     * @param {Function} [options.onConflictsChange] - Called after a column's layout
+     *   changes; see getConflictCount()
+     */
+    constructor(options = {}) {
+        this.googleEventManager = options.googleEventManager || null;
+        this.onLocalEventClick = options.onLocalEventClick || null;
+        this.onLocalEventReschedule = options.onLocalEventReschedule || null;
+        this.onGoogleEventReschedule = options.onGoogleEventReschedule || null;
+        this.onAcceptDeclined = options.onAcceptDeclined || null;
+        this.onConflictsChange = options.onConflictsChange || null;
+
+        /**
+         * The day columns: `{date, layoutManager, localEventManager, googleEventManager}`
+         * @type {Array<Object>}
+         */
+        this.columns = [];
+
+        this._loadVersion = 0; // Drops Google results that arrive after the columns changed
+    }
+
+    /**
+     * Whether any day columns are shown
+     * @returns {boolean}
+     */
+    isActive() {
+        return this.columns.length > 0;
+    }
+
+    /**
+     * Rebuild the per-column managers for new day columns
+     * @param {Array<Object>} timelineColumns - From TimelineComponent.setDayColumns
+     * @param {Array<Object>} allDayColumns - From AllDayEventsComponent.setDayColumns
+     */
+    setColumns(timelineColumns, allDayColumns) {
+        this._destroyColumns();
+        this._loadVersion++;
+
+        this.columns = timelineColumns.map((column, index) => {
+            const allDay = allDayColumns[index] || {};
+            const layoutManager = new EventLayoutManager(column.element, COLUMN_LAYOUT);
+            layoutManager.onConflictsChange = () => {
+                if (this.onConflictsChange) this.onConflictsChange();
+            };
+
+            const localEventManager = new LocalEventManager(column.localEventsContainer, layoutManager);
+            localEventManager.setAllDayEventsContainer(allDay.localContainer || null);
+            localEventManager.setEventClickCallback((event) => {
+                if (this.onLocalEventClick) this.onLocalEventClick(event, column.date);
+            });
+            localEventManager.setEventRescheduleCallback((event, times) => {
+                if (this.onLocalEventReschedule) this.onLocalEventReschedule(event, times, column.date);
+            });
+
+            const googleEventManager = new GoogleEventManager(column.googleEventsContainer, layoutManager);
+            googleEventManager.setAllDayEventsContainer(allDay.container || null);
+            googleEventManager.onEventReschedule = this.onGoogleEventReschedule;
+            googleEventManager.onAcceptDeclined = this.onAcceptDeclined;
+
+            return { date: column.date, layoutManager, localEventManager, googleEventManager };
+        });
+    }
+
+    /**
+     * Load the local and Google events of every column
+     * @returns {Promise<void>}
+     */
+    async load() {
+        this.columns.forEach(column => column.layoutManager.clearAllEvents());
+        await Promise.allSettled([
+            this.loadLocalEvents(),
+            this.loadGoogleEvents()
+        ]);
+    }
+
+    /**
+     * Load the local events of every column
+     * @returns {Promise<void>}
+     */
+    async loadLocalEvents() {
+        await Promise.all(this.columns.map(column =>
+            column.localEventManager.loadLocalEvents(column.date)
+        ));
+    }
+
+    /**
+     * Fetch the Google events of the whole range and render them per column
+     * @returns {Promise<void>}
+     */
+    async loadGoogleEvents() {
+        if (!this.googleEventManager || this.columns.length === 0) return;
+
+        const versionAtStart = this._loadVersion;
+        const columns = this.columns;
+
+        let events;
+        try {
+            events = await this.googleEventManager.fetchEventsInRange(columns[0].date, columns.length, {
+                includeDeclined: this.googleEventManager.showDeclinedEvents === true
+            });
+        } catch (error) {
+            if (versionAtStart !== this._loadVersion) return;
+            logError('Google event fetch', error);
+            columns[0].googleEventManager.showFetchError(error.response || { error: error.message });
+            return;
+        }
+
+        // The columns changed while fetching — their managers are gone
+        if (versionAtStart !== this._loadVersion || !events) return;
+
+        const useColors = this.googleEventManager.useGoogleCalendarColors;
+        await Promise.all(columns.map(column =>
+            column.googleEventManager.renderEvents(
+                events.filter(event => isGoogleEventOnDay(event, column.date)),
+                column.date,
+                useColors
+            )
+        ));
+    }
+
+    /**
+     * Calculate and apply the lane layout of every column
+     * @param {boolean} [disableTransitions=false]
+     */
+    calculateLayout(disableTransitions = false) {
+        this.columns.forEach(column => column.layoutManager.calculateLayout(disableTransitions));
+    }
+
+    /**
+     * The double-booked events of all columns
+     * @returns {number}
+     */
+    getConflictCount() {
+        return this.columns.reduce((sum, column) => sum + column.layoutManager.getConflictingEvents().length, 0);
+    }
+
+    /**
+     * The events of all columns overlapping a time range
+     * @param {Date} startTime
+     * @param {Date} endTime
+     * @param {string} [excludeId] - See EventLayoutManager.findOverlappingEvents()
+     * @returns {Array<Object>}
+     */
+    findOverlappingEvents(startTime, endTime, excludeId = null) {
+        return this.columns.flatMap(column =>
+            column.layoutManager.findOverlappingEvents(startTime, endTime, excludeId));
+    }
+
+    /**
+     * Drop the per-column managers
+     * @private
+     */
+    _destroyColumns() {
+        this.columns.forEach(column => {
+            column.localEventManager.destroy();
+            column.googleEventManager.destroy();
+            column.layoutManager.destroy();
+        });
+        this.columns = [];
+    }
+
+    /**
+     * Clean up resources
+     */
+    destroy() {
+        this._loadVersion++;
+        this._destroyColumns();
+        this.googleEventManager = null;
+        this.onLocalEventClick = null;
+        this.onLocalEventReschedule = null;
+        this.onGoogleEventReschedule = null;
+    }
+}
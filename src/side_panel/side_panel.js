@@ -5,7 +5,10 @@
  * - EventLoadingService: event loading, debounce, scroll positioning
  * - ThemeService: color theme, dark mode, scrollbar settings
  * - OnboardingService: tutorial, initial setup, changelog
- * - DateNavigationService: current date state (existing)
+ * - DateNavigationService: current date and view range state (existing)
+ * - MultiDayView: per-day columns of the multi-day view
+ * - MonthOverviewService: per-day event counts for the month overview
+ * - PendingInvitationsService: the invitations waiting for an answer
  * - LocalEventService: local event CRUD (existing)
  */
 
@@ -15,30 +18,41 @@ import {
     TimelineComponent,
     LocalEventModal,
     GoogleEventModal,
+    FreeSlotsModal,
     AlertModal,
     WhatsNewModal,
     ReviewModal,
     TutorialComponent,
     InitialSetupComponent,
-    MemoComponent
+    MemoComponent,
+    ToastComponent,
+    MonthOverviewComponent,
+    PendingInvitationsComponent
 } from './components';
 
 import { AllDayEventsComponent } from './components/timeline/all-day-events-component.js';
 import { EventLayoutManager } from './time-manager.js';
 import { GoogleEventManager, LocalEventManager } from './event-handlers.js';
+import { MultiDayView } from './multi-day-view.js';
+import { resolveLocaleSettings } from './event-element-factory.js';
 import { LocalEventService } from '../services/local-event-service.js';
 import { DateNavigationService } from '../services/date-navigation-service.js';
 import { EventLoadingService } from '../services/event-loading-service.js';
+import { MonthOverviewService } from '../services/month-overview-service.js';
+import { FreeSlotService } from '../services/free-slot-service.js';
+import { PendingInvitationsService } from '../services/pending-invitations-service.js';
 import { AlarmManager } from '../lib/alarm-manager.js';
 import { ThemeService } from '../services/theme-service.js';
 import { OnboardingService } from '../services/onboarding-service.js';
-import { generateTimeList } from '../lib/utils.js';
+import { generateTimeList, getFormattedDateFromDate, logError } from '../lib/utils.js';
+import { StorageHelper } from '../lib/storage-helper.js';
 import { loadSettings, loadSelectedCalendars } from '../lib/settings-storage.js';
-import { migrateEventDataToLocal } from '../lib/event-storage.js';
+import { migrateEventDataToLocal, migrateRecurrenceToRRule } from '../lib/event-storage.js';
 import { cleanupObsoleteStorageKeys } from '../lib/storage-cleanup.js';
 import { sendMessage } from '../lib/chrome-messaging.js';
 import { setDemoMode, isDemoMode } from '../lib/demo-data.js';
-import { filterWritableCalendars } from '../lib/google-event-utils.js';
+import { filterWritableCalendars, buildGoogleTimePatch } from '../lib/google-event-utils.js';
+import { buildLocalRescheduleData } from '../lib/event-reschedule.js';
 
 // The reload message listener
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
@@ -53,6 +67,19 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
             controller._handleCalendarToggle(request.changeInfo);
         }
     }
+    else if (request.action === "showToday") {
+        // The morning agenda notification was clicked
+        sendResponse({ success: true });
+        window.sidePanelController?.headerComponent?.setToday();
+    }
+    else if (request.action === "googleEventsRefreshed") {
+        // The background cache refreshed stale Google events and found changes
+        sendResponse({ success: true });
+        const controller = window.sidePanelController;
+        if (controller) {
+            controller._loadEventsForCurrentDate();
+        }
+    }
 });
 
 /**
@@ -68,12 +95,16 @@ class SidePanelUIController {
         this.timelineComponent = null;
         this.localEventModal = null;
         this.googleEventModal = null;
+        this.freeSlotsModal = null;
         this.alertModal = null;
         this.whatsNewModal = null;
         this.reviewModal = null;
         this.tutorialComponent = null;
         this.initialSetupComponent = null;
         this.memoComponent = null;
+        this.toastComponent = null;
+        this.monthOverviewComponent = null;
+        this.pendingInvitationsComponent = null;
 
         // Services
         this.localEventService = new LocalEventService();
@@ -81,9 +112,19 @@ class SidePanelUIController {
         this.eventLoadingService = new EventLoadingService();
         this.themeService = new ThemeService();
         this.onboardingService = new OnboardingService();
+        this.monthOverviewService = new MonthOverviewService();
+        this.freeSlotService = new FreeSlotService();
+        this.pendingInvitationsService = new PendingInvitationsService();
+
+        // The multi-day view (day columns; inactive while a single day is shown)
+        this.multiDayView = null;
 
         // The state management
         this.updateInterval = null;
+
+        // The day a local event being opened/created belongs to, when it is not
+        // the current date (a column of the multi-day view)
+        this._localEventDate = null;
     }
 
     /**
@@ -99,6 +140,9 @@ class SidePanelUIController {
             // Migrate event data from sync to local storage (one-time)
             await migrateEventDataToLocal();
 
+            // Convert legacy recurrence objects to RRULE form (idempotent)
+            await migrateRecurrenceToRRule();
+
             // Clean up obsolete storage keys
             await cleanupObsoleteStorageKeys();
 
@@ -211,14 +255,29 @@ class SidePanelUIController {
             onAddEvent: () => this._handleAddLocalEvent(),
             onDateChange: (date) => this._handleDateChange(date),
             onSettingsClick: () => this._openSettings(),
-            onSyncClick: () => this._handleSyncReminders()
+            onSyncClick: () => this._handleSyncReminders(),
+            onViewDaysChange: (days) => this._handleViewDaysChange(days),
+            onMonthOverviewToggle: () => this._toggleMonthOverview(),
+            onFindFreeTime: () => this.freeSlotsModal.open()
+        });
+
+        // The month overview (collapsed until toggled from the header)
+        this.monthOverviewComponent = new MonthOverviewComponent({
+            onDayClick: (date) => this.headerComponent.setCurrentDate(date),
+            onMonthChange: () => this._refreshMonthOverview()
+        });
+
+        // The unanswered invitations (hidden while there are none)
+        this.pendingInvitationsComponent = new PendingInvitationsComponent({
+            onInvitationClick: (event) => this.googleEventModal.showEvent(event)
         });
 
         // The timeline component
         this.timelineComponent = new TimelineComponent({
             showCurrentTimeLine: true,
-            onDragCreate: (startTime, endTime) => this._handleAddLocalEvent(startTime, endTime),
-            onCalendarChange: (changeInfo) => this._handleCalendarToggle(changeInfo)
+            onDragCreate: (startTime, endTime, date) => this._handleAddLocalEvent(startTime, endTime, date),
+            onCalendarChange: (changeInfo) => this._handleCalendarToggle(changeInfo),
+            onShowDeclinedChange: (show) => this._setShowDeclinedEvents(show)
         });
 
         // The all-day events component (between header and timeline)
@@ -227,16 +286,34 @@ class SidePanelUIController {
         // The modal components
         this.localEventModal = new LocalEventModal({
             onSave: (eventData, mode) => this._handleSaveLocalEvent(eventData, mode),
-            onSaveGoogle: (eventResource, calendarId, requestId) => this._handleSaveGoogleEvent(eventResource, calendarId, requestId),
+            onSaveGoogle: (eventResource, calendarId, requestId, options) => this._handleSaveGoogleEvent(eventResource, calendarId, requestId, options),
             onDelete: (event) => this._handleDeleteLocalEvent(event),
             onCancel: () => this._handleCancelLocalEvent(),
-            getCurrentDate: () => this.dateNavService.getDate()
+            getCurrentDate: () => this._getLocalEventDate(),
+            findConflicts: (start, end, excludeId) => this._findOverlappingEventTitles(start, end, excludeId)
         });
 
         this.googleEventModal = new GoogleEventModal({
             onRsvpResponse: () => this._loadEventsForCurrentDate(),
-            onSaveEdit: (calendarId, eventId, patch, requestId) => this._handleUpdateGoogleEvent(calendarId, eventId, patch, requestId),
-            onDelete: (calendarId, eventId, requestId) => this._handleDeleteGoogleEvent(calendarId, eventId, requestId)
+            findFreeSlots: (date, minMinutes) => this.freeSlotService.findSlotsOnDay(
+                date,
+                minMinutes,
+                (startDate, rangeDays) => this.googleEventManager.fetchEventsInRange(startDate, rangeDays)
+            ),
+            onSaveEdit: (calendarId, eventId, patch, requestId, options) => this._handleUpdateGoogleEvent(calendarId, eventId, patch, requestId, options),
+            onDelete: (calendarId, eventId, requestId, options) => this._handleDeleteGoogleEvent(calendarId, eventId, requestId, options),
+            getWritableCalendars: async () => (await this._getWritableCalendars()).writable,
+            onMove: (calendarId, eventId, destinationCalendarId, requestId, options) =>
+                this._handleMoveGoogleEvent(calendarId, eventId, destinationCalendarId, requestId, options)
+        });
+
+        this.freeSlotsModal = new FreeSlotsModal({
+            findSlots: (days, minMinutes) => this.freeSlotService.findSlots(
+                days,
+                minMinutes,
+                (startDate, rangeDays) => this.googleEventManager.fetchEventsInRange(startDate, rangeDays)
+            ),
+            onSlotSelect: (date, startTime, endTime) => this._handleAddLocalEvent(startTime, endTime, date)
         });
 
         this.alertModal = new AlertModal();
@@ -255,10 +332,13 @@ class SidePanelUIController {
 
         // Register with the component manager
         this.componentManager.register('header', this.headerComponent);
+        this.componentManager.register('monthOverview', this.monthOverviewComponent);
+        this.componentManager.register('pendingInvitations', this.pendingInvitationsComponent);
         this.componentManager.register('allDayEvents', this.allDayEventsComponent);
         this.componentManager.register('timeline', this.timelineComponent);
         this.componentManager.register('localEventModal', this.localEventModal);
         this.componentManager.register('googleEventModal', this.googleEventModal);
+        this.componentManager.register('freeSlotsModal', this.freeSlotsModal);
         this.componentManager.register('alertModal', this.alertModal);
         this.componentManager.register('whatsNewModal', this.whatsNewModal);
         this.componentManager.register('reviewModal', this.reviewModal);
@@ -268,19 +348,26 @@ class SidePanelUIController {
         this.memoComponent = new MemoComponent();
         this.componentManager.register('memo', this.memoComponent);
 
+        this.toastComponent = new ToastComponent();
+        this.componentManager.register('toast', this.toastComponent);
+
         // Add to the DOM
         const container = document.getElementById('side-panel-container') || document.body;
         this.headerComponent.appendTo(container);
+        this.monthOverviewComponent.appendTo(container);
+        this.pendingInvitationsComponent.appendTo(container);
         this.allDayEventsComponent.appendTo(container);
         this.timelineComponent.appendTo(container);
         this.memoComponent.appendTo(container);
         this.localEventModal.appendTo(container);
         this.googleEventModal.appendTo(container);
+        this.freeSlotsModal.appendTo(container);
         this.alertModal.appendTo(container);
         this.whatsNewModal.appendTo(container);
         this.reviewModal.appendTo(container);
         this.tutorialComponent.appendTo(container);
         this.initialSetupComponent.appendTo(container);
+        this.toastComponent.appendTo(container);
 
         // Initialize all the components
         this.componentManager.initializeAll();
@@ -305,6 +392,7 @@ class SidePanelUIController {
         if (timeTableBase) {
             // Recreate the EventLayoutManager
             this.eventLayoutManager = new EventLayoutManager(timeTableBase);
+            this.eventLayoutManager.onConflictsChange = () => this._updateConflictCount();
 
             // Update the eventLayoutManager of event managers
             if (this.googleEventManager) {
@@ -315,10 +403,16 @@ class SidePanelUIController {
             }
             if (this.localEventManager) {
                 this.localEventManager.eventLayoutManager = this.eventLayoutManager;
+                this.localEventManager.setAllDayEventsContainer(
+                    this.allDayEventsComponent.getLocalContainer()
+                );
 
-                // Set the event click callback
+                // Set the event click and drag callbacks
                 this.localEventManager.setEventClickCallback((event) => {
-                    this.localEventModal.showView(event);
+                    this._showLocalEvent(event);
+                });
+                this.localEventManager.setEventRescheduleCallback((event, times) => {
+                    this._handleRescheduleLocalEvent(event, times);
                 });
             }
 
@@ -328,7 +422,8 @@ class SidePanelUIController {
                 timelineComponent: this.timelineComponent,
                 eventLayoutManager: this.eventLayoutManager,
                 localEventManager: this.localEventManager,
-                googleEventManager: this.googleEventManager
+                googleEventManager: this.googleEventManager,
+                multiDayView: this.multiDayView
             });
         }
     }
@@ -345,6 +440,7 @@ class SidePanelUIController {
         // Initialize the layout manager
         const timeTableBase = document.getElementById('sideTimeTableBase') || this.timelineComponent.element?.querySelector('.side-time-table-base');
         this.eventLayoutManager = new EventLayoutManager(timeTableBase);
+        this.eventLayoutManager.onConflictsChange = () => this._updateConflictCount();
 
         // Initialize the Google event manager
         this.googleEventManager = new GoogleEventManager(
@@ -360,6 +456,14 @@ class SidePanelUIController {
             this._showAuthExpiredBanner(container, insertBeforeEl);
         };
 
+        // Set the drag-to-reschedule callback for editable events
+        this.googleEventManager.onEventReschedule = (event, times) => {
+            this._handleRescheduleGoogleEvent(event, times);
+        };
+
+        // Set the "Accept" callback of declined events
+        this.googleEventManager.onAcceptDeclined = (event) => this._acceptDeclinedEvent(event);
+
         // Set all-day events container
         this.googleEventManager.setAllDayEventsContainer(
             this.allDayEventsComponent.getContainer()
@@ -371,9 +475,26 @@ class SidePanelUIController {
             this.eventLayoutManager
         );
 
-        // Set the event click callback
+        this.localEventManager.setAllDayEventsContainer(
+            this.allDayEventsComponent.getLocalContainer()
+        );
+
+        // Set the event click and drag callbacks
         this.localEventManager.setEventClickCallback((event) => {
-            this.localEventModal.showView(event);
+            this._showLocalEvent(event);
+        });
+        this.localEventManager.setEventRescheduleCallback((event, times) => {
+            this._handleRescheduleLocalEvent(event, times);
+        });
+
+        // The multi-day view renders each day column with its own managers
+        this.multiDayView = new MultiDayView({
+            googleEventManager: this.googleEventManager,
+            onLocalEventClick: (event, date) => this._showLocalEvent(event, date),
+            onLocalEventReschedule: (event, times, date) => this._handleRescheduleLocalEvent(event, times, date),
+            onGoogleEventReschedule: (event, times) => this._handleRescheduleGoogleEvent(event, times),
+            onAcceptDeclined: (event) => this._acceptDeclinedEvent(event),
+            onConflictsChange: () => this._updateConflictCount()
         });
 
         // Inject dependencies into the event loading service
@@ -382,7 +503,8 @@ class SidePanelUIController {
             timelineComponent: this.timelineComponent,
             eventLayoutManager: this.eventLayoutManager,
             localEventManager: this.localEventManager,
-            googleEventManager: this.googleEventManager
+            googleEventManager: this.googleEventManager,
+            multiDayView: this.multiDayView
         });
 
         // Load the settings and apply initial configuration
@@ -410,6 +532,21 @@ class SidePanelUIController {
             await this.themeService.applyTheme(settings);
             await this.themeService.applyScrollbarSetting(settings);
 
+            // Restore the last view (1 / 3 / 7 days), the month overview state
+            // and whether declined events are shown
+            const { viewDays, monthOverviewExpanded, showDeclinedEvents } = await StorageHelper.getLocal(
+                ['viewDays', 'monthOverviewExpanded', 'showDeclinedEvents']
+            );
+            this.dateNavService.setViewDays(viewDays);
+            this.headerComponent.setViewDays(this.dateNavService.getViewDays());
+            this.googleEventManager.showDeclinedEvents = showDeclinedEvents === true;
+            this.timelineComponent.calendarFilter?.setShowDeclined(showDeclinedEvents === true);
+
+            const [locale] = await resolveLocaleSettings();
+            this.monthOverviewComponent.setLocale(locale);
+            this.monthOverviewComponent.setExpanded(monthOverviewExpanded === true);
+            this.headerComponent.setMonthOverviewActive(monthOverviewExpanded === true);
+
             // Set the current date
             this.headerComponent.setCurrentDate(this.dateNavService.getDate());
 
@@ -448,10 +585,12 @@ class SidePanelUIController {
 
         // Set initial date to TimelineComponent
         this.timelineComponent.setCurrentDate(this.dateNavService.getDate());
+        await this._applyDayColumns();
+        this._updateMonthOverviewSelection();
 
         await this._loadEventsForCurrentDate();
         this.eventLoadingService.scrollToAppropriateTime(
-            this.dateNavService.isViewingToday(),
+            this.dateNavService.rangeIncludesToday(),
             this.timelineComponent
         );
 
@@ -469,10 +608,21 @@ class SidePanelUIController {
     // ── Event loading ────────────────────────────────────────────────
 
     /**
-     * Load events for current date
+     * Load events for current date (every day column in the multi-day view)
+     * @param {Object} [options]
+     * @param {boolean} [options.refreshMonthOverview=true] - Also recount the month
+     *   overview; false when only the displayed date changed
      * @private
      */
-    async _loadEventsForCurrentDate() {
+    async _loadEventsForCurrentDate({ refreshMonthOverview = true } = {}) {
+        if (refreshMonthOverview) {
+            this._refreshMonthOverview();
+            this._refreshPendingInvitations();
+        }
+        if (this.multiDayView?.isActive()) {
+            await this.eventLoadingService.loadEventsForRange();
+            return;
+        }
         await this.eventLoadingService.loadEventsForDate(
             this.dateNavService.getDate()
         );
@@ -486,6 +636,12 @@ class SidePanelUIController {
     async _handleCalendarToggle(changeInfo) {
         // The displayed-calendar set feeds the create modal's Google destination
         this._invalidateWritableCalendarsCache();
+
+        // The day columns share one range fetch, so there is no per-calendar update
+        if (this.multiDayView?.isActive()) {
+            await this._loadEventsForCurrentDate();
+            return;
+        }
         await this.eventLoadingService.handleCalendarToggle(
             changeInfo,
             this.dateNavService.getDate(),
@@ -499,7 +655,7 @@ class SidePanelUIController {
      * Date change handler
      * @private
      */
-    _handleDateChange(date) {
+    async _handleDateChange(date) {
         this.dateNavService.setDate(date);
         const currentDate = this.dateNavService.getDate();
 
@@ -514,26 +670,221 @@ class SidePanelUIController {
         // Set the date to TimelineComponent
         this.timelineComponent.setCurrentDate(currentDate);
 
+        // Rebuild the day columns for the new range
+        await this._applyDayColumns();
+        this._updateMonthOverviewSelection();
+
         // Reload the events
-        this.eventLoadingService.debounceLoadEvents(() => this._loadEventsForCurrentDate());
+        this.eventLoadingService.debounceLoadEvents(() => this._loadEventsForCurrentDate({ refreshMonthOverview: false }));
 
         // Update the current time line display
-        this.timelineComponent.setCurrentTimeLineVisible(this.dateNavService.isViewingToday());
+        this.timelineComponent.setCurrentTimeLineVisible(this.dateNavService.rangeIncludesToday());
 
         // Adjust the scroll position
         this.eventLoadingService.scrollToAppropriateTime(
-            this.dateNavService.isViewingToday(),
+            this.dateNavService.rangeIncludesToday(),
             this.timelineComponent
         );
     }
 
+    // ── Multi-day view ───────────────────────────────────────────────
+
+    /**
+     * View toggle handler: switch between 1, 3 and 7 day columns
+     * @param {number} days
+     * @private
+     */
+    async _handleViewDaysChange(days) {
+        this._setViewDays(days);
+        await this._handleDateChange(this.dateNavService.getDate());
+    }
+
+    /**
+     * Day label clicked in the multi-day view: show that day on its own
+     * @param {Date} date
+     * @private
+     */
+    _showSingleDay(date) {
+        this._setViewDays(1);
+        this.headerComponent.setCurrentDate(date);
+    }
+
+    /**
+     * Set and remember the number of day columns
+     * @param {number} days
+     * @private
+     */
+    _setViewDays(days) {
+        this.dateNavService.setViewDays(days);
+        const viewDays = this.dateNavService.getViewDays();
+        this.headerComponent.setViewDays(viewDays);
+        StorageHelper.setLocal({ viewDays }).catch(() => {});
+    }
+
+    /**
+     * Build the timeline and all-day day columns for the displayed range
+     * (or restore the single-day layout) and give them their managers
+     * @private
+     */
+    async _applyDayColumns() {
+        const [locale] = await resolveLocaleSettings();
+        const dates = this.dateNavService.isMultiDay() ? this.dateNavService.getRangeDates() : null;
+
+        const timelineColumns = this.timelineComponent.setDayColumns(dates);
+        const allDayColumns = this.allDayEventsComponent.setDayColumns(dates, {
+            locale,
+            onDayClick: (date) => this._showSingleDay(date)
+        });
+        this.multiDayView?.setColumns(timelineColumns, allDayColumns);
+    }
+
+    /**
+     * Calendar filter toggle: show or hide the cancelled and declined events
+     * and remember the choice
+     * @param {boolean} show
+     * @private
+     */
+    async _setShowDeclinedEvents(show) {
+        this.googleEventManager.showDeclinedEvents = show;
+        StorageHelper.setLocal({ showDeclinedEvents: show }).catch(error => {
+            console.warn('Failed to save the show declined events setting:', error);
+        });
+        // Only the timeline shows them: the counts and invitations stay as they are
+        await this._loadEventsForCurrentDate({ refreshMonthOverview: false });
+    }
+
+    // ── Month overview ───────────────────────────────────────────────
+
+    /**
+     * Header toggle: show or hide the month overview and remember the choice
+     * @private
+     */
+    _toggleMonthOverview() {
+        const expanded = !this.monthOverviewComponent.isExpanded();
+        this.monthOverviewComponent.setExpanded(expanded);
+        this.headerComponent.setMonthOverviewActive(expanded);
+        StorageHelper.setLocal({ monthOverviewExpanded: expanded }).catch(() => {});
+
+        if (expanded) {
+            this._refreshMonthOverview();
+        }
+    }
+
+    /**
+     * Show the month of the displayed range and highlight its days
+     * (changing month recounts through onMonthChange)
+     * @private
+     */
+    _updateMonthOverviewSelection() {
+        const dates = this.dateNavService.getRangeDates();
+        this.monthOverviewComponent.showMonthOf(dates[0]);
+        this.monthOverviewComponent.setSelectedDates(dates);
+    }
+
+    /**
+     * Recount the events of the month overview grid (only while it is shown)
+     * @private
+     */
+    async _refreshMonthOverview() {
+        if (!this.monthOverviewComponent?.isExpanded()) {
+            return;
+        }
+
+        const dates = this.monthOverviewComponent.getGridDates();
+        try {
+            const summaries = await this.monthOverviewService.loadSummaries(
+                dates,
+                (startDate, days) => this.googleEventManager.fetchEventsInRange(startDate, days)
+            );
+            // Dropped when superseded or when the grid moved to another month meanwhile
+            const gridStart = this.monthOverviewComponent.getGridDates()[0];
+            if (summaries && gridStart.getTime() === dates[0].getTime()) {
+                this.monthOverviewComponent.setSummaries(summaries);
+            }
+        } catch (error) {
+            logError('Month overview', error);
+        }
+    }
+
+    /**
+     * Reload the invitations waiting for an answer (the coming days, whatever
+     * day is displayed)
+     * @private
+     */
+    async _refreshPendingInvitations() {
+        try {
+            const invitations = await this.pendingInvitationsService.loadInvitations(
+                (startDate, days) => this.googleEventManager.fetchEventsInRange(startDate, days)
+            );
+            if (invitations) {
+                await this.pendingInvitationsComponent.setInvitations(invitations);
+            }
+        } catch (error) {
+            logError('Pending invitations', error);
+        }
+    }
+
     // ── Local event CRUD ─────────────────────────────────────────────
 
+    /**
+     * Open a local event, remembering the day it was opened on
+     * @param {Object} event - The event as displayed
+     * @param {Date|null} [date] - Its day column in the multi-day view
+     * @private
+     */
+    _showLocalEvent(event, date = null) {
+        this._localEventDate = date;
+        this.localEventModal.showView(event);
+    }
+
+    /**
+     * The day local event edits apply to: the day column the event was opened
+     * or created on, otherwise the current date
+     * @returns {Date}
+     * @private
+     */
+    _getLocalEventDate() {
+        return new Date(this._localEventDate || this.dateNavService.getDate());
+    }
+
+    /**
+     * Show the double-booking count of the shown day(s) in the header
+     * @private
+     */
+    _updateConflictCount() {
+        const count = this.multiDayView?.isActive()
+            ? this.multiDayView.getConflictCount()
+            : this.eventLayoutManager?.getConflictingEvents().length || 0;
+        this.headerComponent?.setConflictCount(count);
+    }
+
+    /**
+     * The titles of the shown events overlapping a time range
+     * @param {Date} start
+     * @param {Date} end
+     * @param {string|null} excludeId - The event being edited
+     * @returns {string[]} Each title once
+     * @private
+     */
+    _findOverlappingEventTitles(start, end, excludeId) {
+        const events = this.multiDayView?.isActive()
+            ? this.multiDayView.findOverlappingEvents(start, end, excludeId)
+            : this.eventLayoutManager?.findOverlappingEvents(start, end, excludeId) || [];
+        const noTitle = window.getLocalizedMessage('noTitle') || '(No title)';
+        // An event crossing midnight is on the timeline once per day it covers
+        return [...new Set(events.map(event => event.title || noTitle))];
+    }
+
     /**
      * Local event addition handler
+     * @param {string} [startTime] - HH:MM (defaults to the current time)
+     * @param {string} [endTime] - HH:MM
+     * @param {Date} [date] - The day column dragged on (multi-day view)
      * @private
      */
-    async _handleAddLocalEvent(startTime, endTime) {
+    async _handleAddLocalEvent(startTime, endTime, date = null) {
+        this._localEventDate = date;
+
         if (!startTime) {
             const now = new Date();
             startTime = `${String(now.getHours()).padStart(2, '0')}:${String(Math.floor(now.getMinutes() / 15) * 15).padStart(2, '0')}`;
@@ -628,10 +979,12 @@ class SidePanelUIController {
     /**
      * Google event save handler. Returns whether creation succeeded so the
      * modal can stay open (preserving the user's input) on failure.
+     * @param {Object} [options]
+     * @param {string} [options.sendUpdates] - Who is emailed (events.insert sendUpdates)
      * @returns {Promise<boolean>}
      * @private
      */
-    async _handleSaveGoogleEvent(eventResource, calendarId, requestId) {
+    async _handleSaveGoogleEvent(eventResource, calendarId, requestId, { sendUpdates } = {}) {
         try {
             // The modal supplies a retry-stable id; fall back for older callers
             requestId = requestId || `create-evt-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
@@ -639,6 +992,7 @@ class SidePanelUIController {
                 action: 'createEvent',
                 calendarId,
                 event: eventResource,
+                sendUpdates,
                 requestId
             });
 
@@ -662,10 +1016,19 @@ class SidePanelUIController {
     /**
      * Google event update handler (events.patch). Returns whether the update
      * succeeded so the modal can stay open (preserving input) on failure.
+     * @param {Object} [options]
+     * @param {string} [options.sendUpdates] - Who is emailed (events.patch sendUpdates)
+     * @param {string} [options.recurringScope] - For an occurrence of a recurring
+     *   event, which occurrences change ('this', 'following' or 'all')
+     * @param {string} [options.etag] - The edited version's etag; the update
+     *   fails if the event was changed elsewhere since
+     * @param {Function} [options.onConflict] - Called with the event as it is
+     *   now (null when it was deleted) when the etag no longer matched
+     * @param {Function} [options.onUpdated] - Called with the event as saved
      * @returns {Promise<boolean>}
      * @private
      */
-    async _handleUpdateGoogleEvent(calendarId, eventId, patchResource, requestId) {
+    async _handleUpdateGoogleEvent(calendarId, eventId, patchResource, requestId, { sendUpdates, recurringScope, etag, onConflict, onUpdated } = {}) {
         try {
             requestId = requestId || `update-evt-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
             const response = await sendMessage({
@@ -673,9 +1036,18 @@ class SidePanelUIController {
                 calendarId,
                 eventId,
                 event: patchResource,
+                sendUpdates,
+                recurringScope,
+                etag,
                 requestId
             });
 
+            if (response?.conflict) {
+                console.warn('Google event changed elsewhere, update not applied');
+                await this._loadEventsForCurrentDate();
+                onConflict?.(response.currentEvent);
+                return false;
+            }
             if (!response || !response.success) {
                 if (response && response.authExpired && this.googleEventManager) {
                     this.googleEventManager.onAuthExpired?.();
@@ -684,6 +1056,8 @@ class SidePanelUIController {
                 return false;
             }
 
+            onUpdated?.(response.event || null);
+
             // Reload events so the updated Google event is redrawn
             await this._loadEventsForCurrentDate();
             return true;
@@ -693,22 +1067,78 @@ class SidePanelUIController {
         }
     }
 
+    /**
+     * Google event move handler (events.move). Returns whether the move
+     * succeeded so the modal can stay open on failure.
+     * @param {string} calendarId - The calendar the event is on
+     * @param {string} eventId
+     * @param {string} destinationCalendarId - The calendar to move it to
+     * @param {string} [requestId]
+     * @param {Object} [options]
+     * @param {string} [options.sendUpdates] - Who is emailed (events.move sendUpdates)
+     * @returns {Promise<boolean>}
+     * @private
+     */
+    async _handleMoveGoogleEvent(calendarId, eventId, destinationCalendarId, requestId, { sendUpdates } = {}) {
+        try {
+            requestId = requestId || `move-evt-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+            const response = await sendMessage({
+                action: 'moveEvent',
+                calendarId,
+                eventId,
+                destinationCalendarId,
+                sendUpdates,
+                requestId
+            });
+
+            if (!response || !response.success) {
+                if (response && response.authExpired && this.googleEventManager) {
+                    this.googleEventManager.onAuthExpired?.();
+                }
+                console.error('Google event move failed:', (response && response.error) || 'Unknown error');
+                return false;
+            }
+
+            // Reload events so the event shows in its new calendar's color
+            await this._loadEventsForCurrentDate();
+            return true;
+        } catch (error) {
+            console.error('Google event move error:', error);
+            return false;
+        }
+    }
+
     /**
      * Google event delete handler (events.delete). Returns whether the
      * deletion succeeded so the modal can stay open on failure.
+     * @param {Object} [options]
+     * @param {string} [options.recurringScope] - For an occurrence of a recurring
+     *   event, which occurrences are deleted ('this', 'following' or 'all')
+     * @param {string} [options.etag] - The shown version's etag; the deletion
+     *   fails if the event was changed elsewhere since
+     * @param {Function} [options.onConflict] - Called with the event as it is
+     *   now (null when it was deleted) when the etag no longer matched
      * @returns {Promise<boolean>}
      * @private
      */
-    async _handleDeleteGoogleEvent(calendarId, eventId, requestId) {
+    async _handleDeleteGoogleEvent(calendarId, eventId, requestId, { recurringScope, etag, onConflict } = {}) {
         try {
             requestId = requestId || `delete-evt-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
             const response = await sendMessage({
                 action: 'deleteEvent',
                 calendarId,
                 eventId,
+                recurringScope,
+                etag,
                 requestId
             });
 
+            if (response?.conflict) {
+                console.warn('Google event changed elsewhere, deletion not applied');
+                await this._loadEventsForCurrentDate();
+                onConflict?.(response.currentEvent);
+                return false;
+            }
             if (!response || !response.success) {
                 if (response && response.authExpired && this.googleEventManager) {
                     this.googleEventManager.onAuthExpired?.();
@@ -733,20 +1163,13 @@ class SidePanelUIController {
     async _handleSaveLocalEvent(eventData, mode) {
         try {
             if (mode === 'create') {
-                await this.localEventService.createEvent(eventData, this.dateNavService.getDate());
+                await this.localEventService.createEvent(eventData, this._getLocalEventDate());
             } else if (mode === 'edit') {
                 const currentEvent = this.localEventModal.currentEvent;
-                await this.localEventService.updateEvent(eventData, currentEvent, this.dateNavService.getDate());
+                await this.localEventService.updateEvent(eventData, currentEvent, this._getLocalEventDate());
             }
 
-            // Reload event display
-            await this.localEventManager.loadLocalEvents(this.dateNavService.getDate());
-
-            await this._syncRemindersIfNeeded();
-
-            if (this.eventLayoutManager) {
-                this.eventLayoutManager.calculateLayout();
-            }
+            await this._reloadLocalEvents();
 
         } catch (error) {
             console.error('Local event save error:', error);
@@ -760,15 +1183,9 @@ class SidePanelUIController {
      */
     async _handleDeleteLocalEvent(event, deleteType = null) {
         try {
-            await this.localEventService.deleteEvent(event, deleteType, this.dateNavService.getDate());
-
-            await this.localEventManager.loadLocalEvents(this.dateNavService.getDate());
+            await this.localEventService.deleteEvent(event, deleteType, this._getLocalEventDate());
 
-            await this._syncRemindersIfNeeded();
-
-            if (this.eventLayoutManager) {
-                this.eventLayoutManager.calculateLayout();
-            }
+            await this._reloadLocalEvents();
 
         } catch (error) {
             console.error('Local event deletion error:', error);
@@ -784,6 +1201,172 @@ class SidePanelUIController {
         // No special processing (modal just closes)
     }
 
+    /**
+     * Redraw the local events after a change and re-sync their reminders
+     * @private
+     */
+    async _reloadLocalEvents() {
+        if (this.multiDayView?.isActive()) {
+            await this.multiDayView.loadLocalEvents();
+        } else {
+            await this.localEventManager.loadLocalEvents(this.dateNavService.getDate());
+        }
+        this.allDayEventsComponent.updateVisibility();
+
+        await this._syncRemindersIfNeeded(this._getLocalEventDate());
+
+        if (this.multiDayView?.isActive()) {
+            this.multiDayView.calculateLayout();
+        } else if (this.eventLayoutManager) {
+            this.eventLayoutManager.calculateLayout();
+        }
+
+        this._refreshMonthOverview();
+    }
+
+    // ── Drag to reschedule ───────────────────────────────────────────
+
+    /**
+     * Local event dragged to new times on the timeline
+     * @param {Object} event - The event as displayed
+     * @param {{startTime: string, endTime: string}} times - The new times (HH:MM)
+     * @param {Date|null} [date] - Its day column in the multi-day view
+     * @private
+     */
+    async _handleRescheduleLocalEvent(event, { startTime, endTime }, date = null) {
+        if (!await this._rescheduleLocalEvent(event, startTime, endTime, date)) {
+            return;
+        }
+        await this._showRescheduledToast(startTime, endTime, () =>
+            this._rescheduleLocalEvent({ ...event, startTime, endTime }, event.startTime, event.endTime, date));
+    }
+
+    /**
+     * Save new times for a local event through LocalEventService.updateEvent
+     * @returns {Promise<boolean>} Whether the event was saved
+     * @private
+     */
+    async _rescheduleLocalEvent(event, startTime, endTime, date = null) {
+        this._localEventDate = date;
+        try {
+            const result = await this.localEventService.updateEvent(
+                buildLocalRescheduleData(event, startTime, endTime), event, this._getLocalEventDate()
+            );
+            if (result === false) {
+                throw new Error('the event no longer exists');
+            }
+            await this._reloadLocalEvents();
+            return true;
+        } catch (error) {
+            console.error('Local event reschedule error:', error);
+            this.alertModal.showError('Failed to save event: ' + error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Editable Google event dragged to new times on the timeline
+     * (events.patch of start/end only, via the updateEvent background action)
+     * @param {Object} event - The event as fetched
+     * @param {{startTime: string, endTime: string}} times - The new times (HH:MM)
+     * @private
+     */
+    async _handleRescheduleGoogleEvent(event, { startTime, endTime }) {
+        const patch = buildGoogleTimePatch(event, startTime, endTime);
+        const saved = await this._rescheduleGoogleEvent(event, patch, event.etag);
+        if (!saved) {
+            return;
+        }
+        // Undo restores the original start/end objects, time zone included,
+        // against the version the drag saved (not the one it started from)
+        await this._showRescheduledToast(startTime, endTime, () =>
+            this._rescheduleGoogleEvent(event, { start: event.start, end: event.end }, saved.etag));
+    }
+
+    /**
+     * Patch a Google event's times, reporting a failure to the user. The
+     * patch only applies to the version `etag` names: when the event was
+     * changed elsewhere since, nothing is saved and the latest version is shown.
+     * @param {Object} event - The event as fetched
+     * @param {Object} patch - The new `start` and `end`
+     * @param {string} [etag] - The version the new times apply to
+     * @returns {Promise<Object|null>} The event as saved (`{}` when the response
+     *   did not include it), or null when the update failed
+     * @private
+     */
+    async _rescheduleGoogleEvent(event, patch, etag) {
+        let saved = null;
+        let conflicted = false;
+        const succeeded = await this._handleUpdateGoogleEvent(event.calendarId, event.id, patch, undefined, {
+            etag,
+            onConflict: () => { conflicted = true; },
+            onUpdated: (updated) => { saved = updated; }
+        });
+
+        if (conflicted) {
+            this.alertModal.showError(window.getLocalizedMessage('googleEventRescheduleConflict')
+                || 'This event was changed in Google Calendar, so it was not moved. The latest version is now shown.');
+        } else if (!succeeded) {
+            this.alertModal.showError(window.getLocalizedMessage('googleEventUpdateFailed') || 'Failed to update Google event. Please try again.');
+        }
+        return succeeded ? (saved || {}) : null;
+    }
+
+    /**
+     * "Accept" clicked on a declined event: accept it after all
+     * (the respondToEvent background action, like the modal's RSVP buttons)
+     * @param {Object} event - The declined event
+     * @returns {Promise<boolean>} Whether the response was sent
+     * @private
+     */
+    async _acceptDeclinedEvent(event) {
+        try {
+            const response = await sendMessage({
+                action: 'respondToEvent',
+                calendarId: event.calendarId,
+                eventId: event.id,
+                response: 'accepted'
+            });
+
+            if (!response || !response.success) {
+                if (response && response.authExpired && this.googleEventManager) {
+                    this.googleEventManager.onAuthExpired?.();
+                }
+                throw new Error((response && response.error) || 'Unknown error');
+            }
+        } catch (error) {
+            console.error('Accepting declined event failed:', error);
+            this.alertModal.showError(window.getLocalizedMessage('rsvpErrorFeedback') || 'Failed to send response.');
+            return false;
+        }
+
+        // The event is no longer a ghost, and may be a conflict again
+        await this._loadEventsForCurrentDate();
+        return true;
+    }
+
+    /**
+     * Confirm a drag with the new times and an Undo action
+     * @param {string} startTime - The new start time (HH:MM)
+     * @param {string} endTime - The new end time (HH:MM)
+     * @param {Function} undo - Restores the previous times
+     * @private
+     */
+    async _showRescheduledToast(startTime, endTime, undo) {
+        const [locale, format] = await resolveLocaleSettings();
+        const start = window.formatTime(startTime, { format, locale });
+        const end = window.formatTime(endTime, { format, locale });
+        const template = window.getLocalizedMessage('eventRescheduled');
+        const message = template
+            ? template.replace('$1', start).replace('$2', end)
+            : `Moved to ${start} - ${end}`;
+
+        this.toastComponent.showMessage(message, {
+            actionLabel: window.getLocalizedMessage('undo') || 'Undo',
+            onAction: undo
+        });
+    }
+
     // ── Reminders ────────────────────────────────────────────────────
 
     /**
@@ -804,15 +1387,16 @@ class SidePanelUIController {
     }
 
     /**
-     * Sync reminders for the current date if it's today or in the future.
+     * Sync reminders for a date (the current date by default) if it's today or in the future.
+     * @param {Date} [date]
      * @private
      */
-    async _syncRemindersIfNeeded() {
+    async _syncRemindersIfNeeded(date = this.dateNavService.getDate()) {
         try {
             const today = new Date();
             today.setHours(0, 0, 0, 0);
-            if (this.dateNavService.getDate() >= today) {
-                await AlarmManager.setDateReminders(this.dateNavService.getDateString());
+            if (date >= today) {
+                await AlarmManager.setDateReminders(getFormattedDateFromDate(date));
             }
         } catch (_error) {
             // Silent — reminder sync is best-effort
@@ -981,6 +1565,11 @@ class SidePanelUIController {
 
         this.eventLoadingService.destroy();
 
+        if (this.multiDayView) {
+            this.multiDayView.destroy();
+            this.multiDayView = null;
+        }
+
         if (this.eventLayoutManager) {
             this.eventLayoutManager.destroy();
             this.eventLayoutManager = null;
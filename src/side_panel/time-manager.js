@@ -14,6 +14,7 @@ const LAYOUT_CONSTANTS = {
     MIN_CONTENT_WIDTH: 20,   // The minimum content width (px)
     MIN_DISPLAY_WIDTH: 100,   // The threshold for the title-only display (px)
     Z_INDEX: 21,             // The Z-index for the events
+    MINUTES_PER_DAY: 1440,   // The bottom edge of the timeline (24:00)
 
     // The thresholds by the number of lanes
     LANE_THRESHOLDS: {
@@ -47,8 +48,12 @@ export class EventLayoutManager {
      *
      * @constructor
      * @param {HTMLElement} [baseElement] - The reference to the sideTimeTableBase element (for width calculation)
+     * @param {Object} [options] - Geometry overrides, used to lay out one day column of the multi-day view
+     * @param {number} [options.baseLeft] - The left position for the events (px), relative to baseElement
+     * @param {number} [options.reservedSpaceMargin] - The margin kept free on the right (px)
+     * @param {number} [options.minWidth] - The minimum guaranteed width (px)
      */
-    constructor(baseElement = null) {
+    constructor(baseElement = null, options = {}) {
         /**
          * The array of the registered events
          * @type {Array<Object>}
@@ -70,6 +75,17 @@ export class EventLayoutManager {
          */
         this.baseElement = baseElement;
 
+        /**
+         * The layout geometry (the single-day timeline defaults unless overridden)
+         * @type {{baseLeft: number, reservedSpaceMargin: number, minWidth: number}}
+         * @private
+         */
+        this.geometry = {
+            baseLeft: options.baseLeft ?? LAYOUT_CONSTANTS.BASE_LEFT,
+            reservedSpaceMargin: options.reservedSpaceMargin ?? LAYOUT_CONSTANTS.RESERVED_SPACE_MARGIN,
+            minWidth: options.minWidth ?? LAYOUT_CONSTANTS.MIN_WIDTH
+        };
+
         /**
          * The maximum width of the events (pixels)
          * @type {number}
@@ -90,6 +106,12 @@ export class EventLayoutManager {
          */
         this.resizeObserver = null;
 
+        /**
+         * Called with the conflict count after each layout calculation
+         * @type {Function|null}
+         */
+        this.onConflictsChange = null;
+
         // Initialize the resize observer
         this._initializeResizeObserver();
     }
@@ -102,8 +124,8 @@ export class EventLayoutManager {
     _calculateMaxWidth() {
         if (this.baseElement) {
             const rect = this.baseElement.getBoundingClientRect();
-            const availableWidth = rect.width - LAYOUT_CONSTANTS.BASE_LEFT - LAYOUT_CONSTANTS.RESERVED_SPACE_MARGIN;
-            return Math.max(availableWidth, LAYOUT_CONSTANTS.MIN_WIDTH);
+            const availableWidth = rect.width - this.geometry.baseLeft - this.geometry.reservedSpaceMargin;
+            return Math.max(availableWidth, this.geometry.minWidth);
         }
         return LAYOUT_CONSTANTS.DEFAULT_WIDTH;
     }
@@ -178,6 +200,10 @@ export class EventLayoutManager {
      * @param {string} [event.type] - Type of event ('local', 'google')
      * @param {string} [event.title] - Title of the event
      * @param {string} [event.calendarId] - Calendar ID (for Google events)
+     * @param {boolean} [event.transparent] - Marked "free": laid out as usual but
+     *   never a conflict
+     * @param {Date} [event.dayStart] - Midnight of the viewed day; when set, an
+     *   event spanning several days is clamped to that day (see _getRenderInterval)
      *
      * @example
      * layoutManager.registerEvent({
@@ -260,11 +286,28 @@ export class EventLayoutManager {
      * hand it a lane it does not visually need and stack it on top of the
      * real 23:00 events.
      *
+     * Events registered with a `dayStart` (multi-day local events) are
+     * clamped to the viewed day instead: a continuation from an earlier day
+     * starts at 00:00 and one running past midnight stops at 24:00, matching
+     * the clipped block LocalEventRenderer draws.
+     *
      * @param {Object} event - The event
      * @returns {{start: number, end: number}} Minutes from 00:00
      * @private
      */
     _getRenderInterval(event) {
+        if (event.dayStart) {
+            const continuesBefore = event.startTime.getTime() < event.dayStart.getTime();
+            const visibleStart = continuesBefore ? event.dayStart : event.startTime;
+            const start = continuesBefore ? 0 : this._getCachedTimeValue(event.startTime);
+            const durationMinutes =
+                (event.endTime.getTime() - visibleStart.getTime()) / 60000;
+            return {
+                start,
+                end: Math.max(start, Math.min(start + durationMinutes, LAYOUT_CONSTANTS.MINUTES_PER_DAY))
+            };
+        }
+
         const start = this._getCachedTimeValue(event.startTime);
         const durationMinutes =
             (event.endTime.getTime() - event.startTime.getTime()) / 60000;
@@ -354,7 +397,7 @@ export class EventLayoutManager {
         // Sort by the on-screen start, the same coordinate the lanes are
         // checked against
         const sortedEvents = [...group].sort((a, b) =>
-            this._getCachedTimeValue(a.startTime) - this._getCachedTimeValue(b.startTime)
+            this._getRenderInterval(a).start - this._getRenderInterval(b).start
         );
 
         // The event list per lane
@@ -412,7 +455,11 @@ export class EventLayoutManager {
      * layoutManager.calculateLayout();
      */
     calculateLayout(disableTransitions = false) {
-        if (this.events.length === 0) return;
+        if (this.events.length === 0) {
+            this.layoutGroups = [];
+            this._notifyConflicts();
+            return;
+        }
 
         // Temporarily disable the transitions if requested
         if (disableTransitions) {
@@ -439,6 +486,13 @@ export class EventLayoutManager {
             }
         }
 
+        // Mark the double bookings
+        const conflicting = new Set(this.getConflictingEvents());
+        this.events.forEach(event => {
+            event.element?.classList.toggle('has-conflict', conflicting.has(event));
+        });
+        this._notifyConflicts(conflicting.size);
+
         // Restore the transitions after the layout is applied
         if (disableTransitions) {
             // Use requestAnimationFrame to ensure layout is applied before restoring transitions
@@ -452,6 +506,56 @@ export class EventLayoutManager {
         }
     }
 
+    /**
+     * The events that overlap at least one other event (a double booking).
+     * Events marked "free" neither conflict nor make others conflict.
+     * Uses the groups of the last calculateLayout().
+     * @returns {Array<Object>} The registered events, in registration order
+     */
+    getConflictingEvents() {
+        const conflicting = new Set();
+        for (const group of this.layoutGroups) {
+            const busy = group.filter(event => !event.transparent);
+            for (let i = 0; i < busy.length; i++) {
+                for (let j = i + 1; j < busy.length; j++) {
+                    if (this._areEventsOverlapping(busy[i], busy[j])) {
+                        conflicting.add(busy[i]);
+                        conflicting.add(busy[j]);
+                    }
+                }
+            }
+        }
+        return this.events.filter(event => conflicting.has(event));
+    }
+
+    /**
+     * The registered events that overlap a time range, e.g. a new event being
+     * entered. Compared by actual time, so the range may lie on any day.
+     * @param {Date} startTime
+     * @param {Date} endTime
+     * @param {string} [excludeId] - The event being edited (its continuations
+     *   on later days are registered as `<id>@<date>`)
+     * @returns {Array<Object>} The overlapping events not marked "free"
+     */
+    findOverlappingEvents(startTime, endTime, excludeId = null) {
+        const isExcluded = (id) => !!excludeId && (id === excludeId || id.startsWith(`${excludeId}@`));
+        return this.events.filter(event => !event.transparent
+            && !isExcluded(event.id)
+            && event.startTime < endTime
+            && startTime < event.endTime);
+    }
+
+    /**
+     * Report the conflict count to onConflictsChange
+     * @param {number} [count=0]
+     * @private
+     */
+    _notifyConflicts(count = 0) {
+        if (this.onConflictsChange) {
+            this.onConflictsChange(count);
+        }
+    }
+
     /**
      * Apply layout for a single event
      * @param {Object} event - The event object
@@ -460,7 +564,7 @@ export class EventLayoutManager {
     _applySingleEventLayout(event) {
         if (!event.element) return;
 
-        event.element.style.left = `${LAYOUT_CONSTANTS.BASE_LEFT}px`;
+        event.element.style.left = `${this.geometry.baseLeft}px`;
         event.element.style.width = `${this.maxWidth}px`;
         event.element.style.zIndex = LAYOUT_CONSTANTS.Z_INDEX;
         event.element.style.padding = '';
@@ -485,12 +589,12 @@ export class EventLayoutManager {
             events.forEach((event) => {
                 if (!event.element) return;
 
-                const leftPosition = LAYOUT_CONSTANTS.BASE_LEFT + (event.lane * (laneWidth + LAYOUT_CONSTANTS.GAP));
+                const leftPosition = this.geometry.baseLeft + (event.lane * (laneWidth + LAYOUT_CONSTANTS.GAP));
 
                 event.element.style.left = `${leftPosition}px`;
                 event.element.style.width = `${laneWidth}px`;
                 // Later-starting events appear on top
-                const startValue = this._getCachedTimeValue(event.startTime);
+                const startValue = this._getRenderInterval(event).start;
                 event.element.style.zIndex = LAYOUT_CONSTANTS.Z_INDEX + startValue;
 
                 // Adjust the padding class based on the number of lanes
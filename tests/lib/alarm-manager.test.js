@@ -72,6 +72,13 @@ describe('AlarmManager', () => {
             expect(chrome.alarms.create).not.toHaveBeenCalled();
         });
 
+        test('the event is all-day', async () => {
+            await AlarmManager.setReminder(
+                { id: '1', startTime: '10:00', allDay: true, reminder: true }, '2030-01-01', 5
+            );
+            expect(chrome.alarms.create).not.toHaveBeenCalled();
+        });
+
         test('calculated reminder time is in the past', async () => {
             await AlarmManager.setReminder(
                 { id: '1', startTime: '10:00', reminder: true }, '2020-01-01', 5
@@ -157,7 +164,7 @@ describe('AlarmManager', () => {
             expect(alarmOpts.when).toBe(new Date(year, 5, 15, 11, 45, 0).getTime());
         });
 
-        // Q4: reminderMinutes range validation (0-60)
+        // Q4: reminderMinutes range validation (0 to one week)
         test('reminderMinutes=-5 → falls back to default 5', async () => {
             await AlarmManager.setReminder(
                 { id: 't1', startTime: '12:00', reminder: true },
@@ -169,16 +176,26 @@ describe('AlarmManager', () => {
             expect(alarmOpts.when).toBe(new Date(year, 5, 15, 11, 55, 0).getTime());
         });
 
-        test('reminderMinutes=61 → falls back to default 5', async () => {
+        test('reminderMinutes over one week → falls back to default 5', async () => {
             await AlarmManager.setReminder(
                 { id: 't1', startTime: '12:00', reminder: true },
-                nextYearDateStr(), 61
+                nextYearDateStr(), 7 * 24 * 60 + 1
             );
             const alarmOpts = chrome.alarms.create.mock.calls[0][1];
             const year = new Date().getFullYear() + 1;
             expect(alarmOpts.when).toBe(new Date(year, 5, 15, 11, 55, 0).getTime());
         });
 
+        test('reminderMinutes=1440 → fires 1 day before', async () => {
+            await AlarmManager.setReminder(
+                { id: 't1', startTime: '12:00', reminder: true },
+                nextYearDateStr(), 1440
+            );
+            const alarmOpts = chrome.alarms.create.mock.calls[0][1];
+            const year = new Date().getFullYear() + 1;
+            expect(alarmOpts.when).toBe(new Date(year, 5, 14, 12, 0, 0).getTime());
+        });
+
         test('reminderMinutes=0 → fires at event start time', async () => {
             await AlarmManager.setReminder(
                 { id: 't1', startTime: '12:00', reminder: true },
@@ -590,6 +607,24 @@ describe('AlarmManager', () => {
             // Only e1 has reminder=true
             expect(chrome.alarms.create).toHaveBeenCalledTimes(1);
         });
+
+        test('setDateReminders skips a multi-day recurring occurrence that started the day before', async () => {
+            const tomorrow = new Date();
+            tomorrow.setDate(tomorrow.getDate() + 1);
+            const ds = `${tomorrow.getFullYear()}-${String(tomorrow.getMonth() + 1).padStart(2, '0')}-${String(tomorrow.getDate()).padStart(2, '0')}`;
+
+            chrome.storage.local.set({ [`localEvents_${ds}`]: [] }, () => {});
+            chrome.storage.sync.set({ recurringEvents: [{
+                id: 'r1', startTime: '23:00', endTime: '23:30', spanDays: 1, reminder: true,
+                recurrence: { rrule: 'FREQ=DAILY', startDate: '2020-01-01' }
+            }] }, () => {});
+
+            await AlarmManager.setDateReminders(ds);
+
+            // Today's occurrence continues into tomorrow, but only tomorrow's own start gets an alarm
+            expect(chrome.alarms.create).toHaveBeenCalledTimes(1);
+            expect(chrome.alarms.create).toHaveBeenCalledWith(`event_reminder_${ds}_r1`, expect.any(Object));
+        });
     });
 
     // ---------------------------------------------------------------
@@ -611,4 +646,268 @@ describe('AlarmManager', () => {
             expect(AlarmManager.formatTimeFromDateTime(d.toISOString())).toBe('00:00');
         });
     });
+
+    // ---------------------------------------------------------------
+    // SPEC: snooze and stop for series
+    // ---------------------------------------------------------------
+    describe('SPEC: snooze and stop for series', () => {
+        const now = new Date(2030, 2, 15, 9, 55).getTime();
+        const googleAlarm = 'google_event_reminder_2030-03-15_g1';
+        const googleData = { id: 'g1', title: 'Sync', startTime: '10:00', startTimestamp: new Date(2030, 2, 15, 10, 0).getTime() };
+
+        test('second notification button opens the snooze choices', async () => {
+            chrome.storage.local.set({ [`googleEventData_${googleAlarm}`]: googleData }, () => {});
+
+            await AlarmManager.showReminderNotification(googleAlarm);
+
+            const opts = chrome.notifications.create.mock.calls[0][1];
+            expect(opts.buttons[1].title).toMatch(/reminderMoreActions|Snooze/);
+        });
+
+        test('snoozing creates a one-shot alarm and keeps a copy of the event data', async () => {
+            chrome.storage.local.set({ [`googleEventData_${googleAlarm}`]: googleData }, () => {});
+
+            const when = await AlarmManager.snoozeReminder(googleAlarm, 10, now);
+
+            expect(when).toBe(now + 10 * 60 * 1000);
+            expect(chrome.alarms.create).toHaveBeenCalledWith(`snoozed_reminder_${googleAlarm}`, { when });
+            const stored = await chrome.storage.local.get(`snoozedReminder_${googleAlarm}`);
+            expect(stored[`snoozedReminder_${googleAlarm}`].title).toBe('Sync');
+        });
+
+        test('"at start time" snoozes until the event starts, and not once it has', async () => {
+            chrome.storage.local.set({ [`googleEventData_${googleAlarm}`]: googleData }, () => {});
+
+            expect(await AlarmManager.snoozeReminder(googleAlarm, 'start', now)).toBe(googleData.startTimestamp);
+            expect(await AlarmManager.snoozeReminder(googleAlarm, 'start', googleData.startTimestamp + 1)).toBeNull();
+            expect(await AlarmManager.snoozeReminder(googleAlarm, 7, now)).toBeNull();
+        });
+
+        test('a snoozed reminder still shows after its original data is gone', async () => {
+            chrome.storage.local.set({ [`googleEventData_${googleAlarm}`]: googleData }, () => {});
+            await AlarmManager.snoozeReminder(googleAlarm, 5, now);
+            await chrome.storage.local.remove(`googleEventData_${googleAlarm}`);
+
+            await AlarmManager.showReminderNotification(googleAlarm);
+
+            expect(chrome.notifications.create).toHaveBeenCalledWith(`reminder_${googleAlarm}`, expect.any(Object));
+        });
+
+        test('clearSnooze removes the alarm and the copy', async () => {
+            chrome.storage.local.set({ [`snoozedReminder_${googleAlarm}`]: googleData }, () => {});
+
+            await AlarmManager.clearSnooze(googleAlarm);
+
+            expect(chrome.alarms.clear).toHaveBeenCalledWith(`snoozed_reminder_${googleAlarm}`);
+            expect(await chrome.storage.local.get(`snoozedReminder_${googleAlarm}`)).toEqual({});
+        });
+
+        test('only local recurring events offer "stop for series"', async () => {
+            chrome.storage.local.set({ [`googleEventData_${googleAlarm}`]: googleData }, () => {});
+            chrome.storage.sync.set({ recurringEvents: [{ id: 'r1', title: 'Standup', startTime: '10:00', reminder: true }] }, () => {});
+
+            const google = await AlarmManager.getReminderActions(googleAlarm, now);
+            const series = await AlarmManager.getReminderActions('event_reminder_2030-03-15_r1', now);
+
+            expect(google).toEqual({ title: 'Sync', startTime: '10:00', snoozeOptions: [1, 5, 10, 'start'], canStopSeries: false });
+            expect(series.canStopSeries).toBe(true);
+        });
+
+        test('stopping a series turns its reminder off and clears its alarms', async () => {
+            chrome.storage.sync.set({ recurringEvents: [
+                { id: 'r1', title: 'Standup', startTime: '10:00', reminder: true },
+                { id: 'r2', title: 'Lunch', startTime: '12:00', reminder: true },
+            ] }, () => {});
+            chrome.alarms.getAll.mockImplementation((cb) => {
+                const list = [{ name: 'event_reminder_2030-03-16_r1' }, { name: 'event_reminder_2030-03-16_r2' }];
+                if (cb) { cb(list); return; }
+                return Promise.resolve(list);
+            });
+
+            expect(await AlarmManager.stopSeriesReminders('event_reminder_2030-03-15_r1')).toBe(true);
+
+            const { recurringEvents } = await chrome.storage.sync.get('recurringEvents');
+            expect(recurringEvents.map(e => e.reminder)).toEqual([false, true]);
+            expect(chrome.alarms.clear).toHaveBeenCalledWith('event_reminder_2030-03-16_r1');
+            expect(chrome.alarms.clear).not.toHaveBeenCalledWith('event_reminder_2030-03-16_r2');
+        });
+    });
+
+    // ---------------------------------------------------------------
+    // SPEC: Reminder Offsets
+    // ---------------------------------------------------------------
+    describe('SPEC: reminder offsets', () => {
+        const dateStr = `${new Date().getFullYear() + 1}-06-15`;
+        const year = new Date().getFullYear() + 1;
+
+        function mockAlarms(names) {
+            chrome.alarms.getAll.mockImplementation((cb) => {
+                const list = names.map(name => ({ name }));
+                if (cb) { cb(list); return; }
+                return Promise.resolve(list);
+            });
+        }
+
+        test('a local event gets one alarm per offset, the nearest under the plain name', async () => {
+            await AlarmManager.setReminder(
+                { id: 't1', startTime: '12:00', reminder: true, reminderOffsets: [1440, 5, 60] },
+                dateStr
+            );
+
+            const created = Object.fromEntries(chrome.alarms.create.mock.calls.map(([name, opts]) => [name, opts.when]));
+            expect(created).toEqual({
+                [`event_reminder_${dateStr}_t1`]: new Date(year, 5, 15, 11, 55).getTime(),
+                [`event_reminder_${dateStr}_t1#60`]: new Date(year, 5, 15, 11, 0).getTime(),
+                [`event_reminder_${dateStr}_t1#1440`]: new Date(year, 5, 14, 12, 0).getTime(),
+            });
+        });
+
+        test('alarms of removed offsets are cleared', async () => {
+            mockAlarms([`event_reminder_${dateStr}_t1`, `event_reminder_${dateStr}_t1#60`, `event_reminder_${dateStr}_t10`]);
+
+            await AlarmManager.setReminder({ id: 't1', startTime: '12:00', reminder: true, reminderOffsets: [10] }, dateStr);
+
+            expect(chrome.alarms.clear).toHaveBeenCalledWith(`event_reminder_${dateStr}_t1#60`);
+            expect(chrome.alarms.clear).not.toHaveBeenCalledWith(`event_reminder_${dateStr}_t10`);
+        });
+
+        test('clearReminder clears every offset of the event', async () => {
+            mockAlarms([`event_reminder_${dateStr}_t1`, `event_reminder_${dateStr}_t1#1440`]);
+
+            await AlarmManager.clearReminder('t1', dateStr);
+
+            expect(chrome.alarms.clear).toHaveBeenCalledWith(`event_reminder_${dateStr}_t1`);
+            expect(chrome.alarms.clear).toHaveBeenCalledWith(`event_reminder_${dateStr}_t1#1440`);
+        });
+
+        test('an offset alarm resolves to its event', async () => {
+            expect(AlarmManager.parseLocalAlarmName('event_reminder_2030-03-15_local_1#1440'))
+                .toEqual({ dateStr: '2030-03-15', eventId: 'local_1' });
+        });
+
+        test('Google popup overrides replace the reminderMinutes setting', async () => {
+            chrome.storage.sync.set({ reminderMinutes: 15 }, () => {});
+            const start = new Date(year, 5, 15, 12, 0);
+
+            await AlarmManager.setGoogleEventReminder({
+                id: 'g1', start: { dateTime: start.toISOString() },
+                reminders: { useDefault: false, overrides: [{ method: 'email', minutes: 30 }, { method: 'popup', minutes: 120 }] }
+            }, dateStr);
+
+            expect(chrome.alarms.create).toHaveBeenCalledTimes(1);
+            expect(chrome.alarms.create).toHaveBeenCalledWith(
+                `google_event_reminder_${dateStr}_g1`, { when: start.getTime() - 120 * 60_000 });
+        });
+
+        test('a Google event with useDefault uses the setting, and one with notifications off gets none', async () => {
+            chrome.storage.sync.set({ reminderMinutes: 15 }, () => {});
+            const start = new Date(year, 5, 15, 12, 0).toISOString();
+
+            await AlarmManager.setGoogleEventReminders([
+                { id: 'g1', start: { dateTime: start }, reminders: { useDefault: true } },
+                { id: 'g2', start: { dateTime: start }, reminders: { useDefault: false } },
+            ], dateStr);
+
+            expect(chrome.alarms.create.mock.calls.map(([name]) => name)).toEqual([`google_event_reminder_${dateStr}_g1`]);
+        });
+
+        test('a Google reminder for an offset no longer set is cleared with its data', async () => {
+            mockAlarms([`google_event_reminder_${dateStr}_g1`, `google_event_reminder_${dateStr}_g1#1440`]);
+            chrome.storage.local.set({ [`googleEventData_google_event_reminder_${dateStr}_g1#1440`]: { id: 'g1' } }, () => {});
+            const start = new Date(year, 5, 15, 12, 0).toISOString();
+
+            await AlarmManager.setGoogleEventReminders([
+                { id: 'g1', start: { dateTime: start }, reminders: { useDefault: false, overrides: [{ method: 'popup', minutes: 10 }] } },
+            ], dateStr);
+
+            expect(chrome.alarms.clear).toHaveBeenCalledWith(`google_event_reminder_${dateStr}_g1#1440`);
+            expect(chrome.alarms.clear).not.toHaveBeenCalledWith(`google_event_reminder_${dateStr}_g1`);
+            const stored = await chrome.storage.local.get(null);
+            expect(stored).not.toHaveProperty(`googleEventData_google_event_reminder_${dateStr}_g1#1440`);
+        });
+
+        test('a reminder a day ahead says how long until the event', async () => {
+            const startTimestamp = Date.now() + 24 * 60 * 60_000 + 20_000;
+            chrome.storage.local.set({
+                'googleEventData_google_event_reminder_2030-03-15_g1#1440': { id: 'g1', title: 'Trip', startTime: '09:00', startTimestamp }
+            }, () => {});
+            // English fallbacks, as when a message is missing
+            chrome.i18n.getMessage.mockImplementation(() => '');
+
+            await AlarmManager.showReminderNotification('google_event_reminder_2030-03-15_g1#1440');
+
+            expect(chrome.notifications.create.mock.calls[0][1].message).toBe('"Trip" starts in 1 day (09:00)');
+            chrome.i18n.getMessage.mockImplementation((key) => key);
+        });
+    });
+
+    // ---------------------------------------------------------------
+    // SPEC: quiet hours and focus time
+    // - Reminders firing during quiet time are held: listed in one summary
+    //   notification when it ends, or dropped without batching
+    // ---------------------------------------------------------------
+    describe('SPEC: quiet hours and focus time', () => {
+        const googleAlarm = 'google_event_reminder_2030-03-15_g1';
+        const googleData = { id: 'g1', title: 'Sync', startTime: '23:30', startTimestamp: new Date(2030, 2, 15, 23, 30).getTime() };
+        const lateEvening = new Date(2030, 2, 15, 23, 0).getTime();
+        const morning = new Date(2030, 2, 16, 7, 0).getTime();
+
+        beforeEach(() => {
+            chrome.storage.sync.set({ quietHoursEnabled: true, quietHoursStart: '22:00', quietHoursEnd: '07:00', batchHeldReminders: true }, () => {});
+        });
+
+        test('a reminder during focus time is held until the block ends', async () => {
+            const end = Date.now() + 60 * 60_000;
+            chrome.storage.sync.set({ quietHoursEnabled: false, suppressRemindersDuringFocus: true }, () => {});
+            chrome.storage.local.set({
+                reminderFocusBlocks: [{ start: Date.now() - 60_000, end }],
+                [`googleEventData_${googleAlarm}`]: googleData
+            }, () => {});
+
+            await AlarmManager.showReminderNotification(googleAlarm);
+
+            expect(chrome.notifications.create).not.toHaveBeenCalled();
+            expect(chrome.alarms.create).toHaveBeenCalledWith(AlarmManager.HELD_REMINDERS_ALARM, { when: end });
+        });
+
+        test('held reminders are listed in one notification once the quiet hours end', async () => {
+            await AlarmManager.holdReminder(googleAlarm, googleData, lateEvening);
+            await AlarmManager.holdReminder(`${googleAlarm}#60`, googleData, lateEvening - 60 * 60_000);
+            await AlarmManager.holdReminder('event_reminder_2030-03-15_l1', { title: 'Call', startTime: '22:15' }, lateEvening);
+            expect(chrome.alarms.create).toHaveBeenLastCalledWith(AlarmManager.HELD_REMINDERS_ALARM, { when: morning });
+
+            await AlarmManager.showHeldReminders(morning);
+
+            const [id, opts] = chrome.notifications.create.mock.calls[0];
+            expect(id).toBe(AlarmManager.HELD_REMINDERS_NOTIFICATION);
+            expect(opts.type).toBe('list');
+            expect(opts.items).toEqual([{ title: '22:15', message: 'Call' }, { title: '23:30', message: 'Sync' }]);
+            const stored = await chrome.storage.local.get(null);
+            expect(stored).not.toHaveProperty('heldReminders');
+        });
+
+        test('held reminders wait while the quiet time goes on', async () => {
+            await AlarmManager.holdReminder(googleAlarm, googleData, lateEvening);
+            chrome.storage.sync.set({ quietHoursEnd: '08:00' }, () => {});
+
+            await AlarmManager.showHeldReminders(morning);
+
+            expect(chrome.notifications.create).not.toHaveBeenCalled();
+            expect(chrome.alarms.create).toHaveBeenLastCalledWith(AlarmManager.HELD_REMINDERS_ALARM, { when: morning + 60 * 60_000 });
+        });
+
+        test('without batching a held reminder is dropped', async () => {
+            chrome.storage.sync.set({ batchHeldReminders: false }, () => {});
+
+            expect(await AlarmManager.holdReminder(googleAlarm, googleData, lateEvening)).toBe(true);
+
+            expect(chrome.alarms.create).not.toHaveBeenCalled();
+            const stored = await chrome.storage.local.get(null);
+            expect(stored).not.toHaveProperty('heldReminders');
+        });
+
+        test('outside quiet time nothing is held', async () => {
+            expect(await AlarmManager.holdReminder(googleAlarm, googleData, new Date(2030, 2, 15, 12, 0).getTime())).toBe(false);
+        });
+    });
 });
@@ -0,0 +1,174 @@
+/**
+ * Tests for backup.js
+ *
+ * Uses the in-memory Chrome storage mock from tests/setup.js.
+ */
+import {
+    createBackup, validateBackup, readBackedUpData,
+    planRestore, diffRestorePlan, applyRestorePlan,
+    BACKUP_FORMAT, BACKUP_SCHEMA_VERSION, RESTORE_MODES
+} from '../../src/lib/backup.js';
+import { StorageHelper } from '../../src/lib/storage-helper.js';
+
+function backupOf(sync, local) {
+    return { format: BACKUP_FORMAT, schemaVersion: BACKUP_SCHEMA_VERSION, sync, local };
+}
+
+describe('backup', () => {
+    beforeEach(() => {
+        resetChromeStorage();
+    });
+
+    // ---------------------------------------------------------------
+    // SPEC: creating a backup
+    // ---------------------------------------------------------------
+    describe('SPEC: createBackup', () => {
+        test('covers valid sync and local keys only, without device state', async () => {
+            await StorageHelper.set({ openTime: '08:00', calendarGroups: [{ id: 'g1' }], staleSetting: true });
+            await StorageHelper.setLocal({
+                'localEvents_2026-03-01': [{ id: 'e1' }],
+                memoContent: 'notes',
+                reviewStats: { opens: 3 },
+                lastReminderSyncTime: 123,
+                heldReminders: [{ title: 'Standup' }],
+                enableDeveloperFeatures: true,
+                unknownLocal: 'x'
+            });
+
+            const backup = await createBackup({ now: new Date(Date.UTC(2026, 0, 5)) });
+
+            expect(backup.format).toBe(BACKUP_FORMAT);
+            expect(backup.schemaVersion).toBe(BACKUP_SCHEMA_VERSION);
+            expect(backup.createdAt).toBe('2026-01-05T00:00:00.000Z');
+            expect(backup.sync).toEqual({ openTime: '08:00', calendarGroups: [{ id: 'g1' }] });
+            expect(backup.local).toEqual({
+                'localEvents_2026-03-01': [{ id: 'e1' }],
+                memoContent: 'notes',
+                reviewStats: { opens: 3 }
+            });
+        });
+    });
+
+    // ---------------------------------------------------------------
+    // SPEC: validation
+    // ---------------------------------------------------------------
+    describe('SPEC: validateBackup', () => {
+        test('rejects data that is not a backup', () => {
+            expect(() => validateBackup(null)).toThrow();
+            expect(() => validateBackup({ openTime: '08:00' })).toThrow();
+            expect(() => validateBackup({ format: BACKUP_FORMAT, schemaVersion: 0, sync: {}, local: {} })).toThrow();
+        });
+
+        test('rejects backups from a newer schema', () => {
+            expect(() => validateBackup({ ...backupOf({}, {}), schemaVersion: BACKUP_SCHEMA_VERSION + 1 }))
+                .toThrow(/newer version/);
+        });
+
+        test('rejects malformed areas and event lists', () => {
+            expect(() => validateBackup({ format: BACKUP_FORMAT, schemaVersion: 1, sync: [], local: {} })).toThrow();
+            expect(() => validateBackup(backupOf({ recurringEvents: {} }, {}))).toThrow(/recurringEvents/);
+            expect(() => validateBackup(backupOf({}, { 'localEvents_2026-03-01': 'x' }))).toThrow(/localEvents_2026-03-01/);
+        });
+
+        test('drops and reports keys this version does not know', () => {
+            const { backup, ignoredKeys } = validateBackup(backupOf(
+                { openTime: '08:00', futureSetting: 1 },
+                { memoContent: 'm', lastReminderSyncTime: 1, 'localEvents_bad': [] }
+            ));
+            expect(backup.sync).toEqual({ openTime: '08:00' });
+            expect(backup.local).toEqual({ memoContent: 'm' });
+            expect(ignoredKeys).toEqual(['sync:futureSetting', 'local:lastReminderSyncTime', 'local:localEvents_bad']);
+        });
+    });
+
+    // ---------------------------------------------------------------
+    // SPEC: restore planning
+    // ---------------------------------------------------------------
+    describe('SPEC: planRestore', () => {
+        const current = {
+            sync: {
+                openTime: '09:00',
+                closeTime: '18:00',
+                recurringEvents: [{ id: 'r1', title: 'Old standup' }, { id: 'r2', title: 'Keep' }]
+            },
+            local: {
+                'localEvents_2026-03-01': [{ id: 'e1', title: 'Current' }],
+                'localEvents_2026-03-02': [{ id: 'e2', title: 'Only here' }],
+                memoContent: 'current memo'
+            }
+        };
+        const backup = backupOf(
+            {
+                openTime: '08:00',
+                closeTime: '18:00',
+                recurringEvents: [{ id: 'r1', title: 'New standup' }, { id: 'r3', title: 'Added' }]
+            },
+            {
+                'localEvents_2026-03-01': [{ id: 'e3', title: 'From backup' }],
+                memoContent: 'backup memo'
+            }
+        );
+
+        test('merge combines events by id and never removes keys', () => {
+            const plan = planRestore(backup, current, RESTORE_MODES.MERGE);
+
+            expect(plan.sync.set).toEqual({
+                openTime: '08:00',
+                recurringEvents: [{ id: 'r1', title: 'New standup' }, { id: 'r2', title: 'Keep' }, { id: 'r3', title: 'Added' }]
+            });
+            expect(plan.local.set).toEqual({
+                'localEvents_2026-03-01': [{ id: 'e1', title: 'Current' }, { id: 'e3', title: 'From backup' }],
+                memoContent: 'backup memo'
+            });
+            expect(plan.sync.remove).toEqual([]);
+            expect(plan.local.remove).toEqual([]);
+        });
+
+        test('replace writes the backup as-is and removes keys missing from it', () => {
+            const plan = planRestore(backup, current, RESTORE_MODES.REPLACE);
+
+            expect(plan.sync.set.recurringEvents).toEqual(backup.sync.recurringEvents);
+            expect(plan.local.set['localEvents_2026-03-01']).toEqual([{ id: 'e3', title: 'From backup' }]);
+            expect(plan.local.remove).toEqual(['localEvents_2026-03-02']);
+        });
+
+        test('unchanged keys are left out of the plan regardless of key order', () => {
+            const plan = planRestore(
+                backupOf({ calendarGroups: [{ name: 'A', id: 'g1' }] }, {}),
+                { sync: { calendarGroups: [{ id: 'g1', name: 'A' }] }, local: {} },
+                RESTORE_MODES.REPLACE
+            );
+            expect(plan.sync.set).toEqual({});
+        });
+
+        test('rejects an unknown mode', () => {
+            expect(() => planRestore(backup, current, 'overwrite')).toThrow();
+        });
+
+        test('diffRestorePlan lists added, changed and removed keys', () => {
+            const plan = planRestore(backup, current, RESTORE_MODES.REPLACE);
+            expect(diffRestorePlan(plan, current)).toEqual([
+                { area: 'local', key: 'localEvents_2026-03-01', change: 'changed' },
+                { area: 'local', key: 'localEvents_2026-03-02', change: 'removed' },
+                { area: 'local', key: 'memoContent', change: 'changed' },
+                { area: 'sync', key: 'openTime', change: 'changed' },
+                { area: 'sync', key: 'recurringEvents', change: 'changed' }
+            ]);
+        });
+    });
+
+    test('a backup restores into an empty profile', async () => {
+        await StorageHelper.set({ openTime: '07:30', calendarGroups: [{ id: 'g1', name: 'Work' }] });
+        await StorageHelper.setLocal({ 'localEvents_2026-03-01': [{ id: 'e1' }], memoContent: 'memo' });
+        const { backup } = validateBackup(JSON.parse(JSON.stringify(await createBackup())));
+
+        resetChromeStorage();
+        await StorageHelper.setLocal({ enableDeveloperFeatures: true });
+        const current = await readBackedUpData();
+        await applyRestorePlan(planRestore(backup, current, RESTORE_MODES.REPLACE));
+
+        expect(await readBackedUpData()).toEqual({ sync: backup.sync, local: backup.local });
+        // Device switches outside the backup are untouched
+        expect((await StorageHelper.getLocal(['enableDeveloperFeatures'])).enableDeveloperFeatures).toBe(true);
+    });
+});
@@ -0,0 +1,179 @@
+import {
+  getLocalEventInterval,
+  getGoogleEventInterval,
+  countConflicting,
+  findCommonFreeSlots,
+  findFreeSlots,
+  hasOverlap,
+  summarizeAgenda,
+  summarizeDay,
+} from '../../src/lib/day-summary.js';
+
+const day = new Date(2026, 2, 10);
+const at = (hours, minutes = 0, date = 10) => new Date(2026, 2, date, hours, minutes);
+const google = (start, end, extra = {}) => ({
+  start: { dateTime: start.toISOString() },
+  end: { dateTime: end.toISOString() },
+  ...extra,
+});
+
+describe('SPEC: getLocalEventInterval', () => {
+  test('returns the event times on the day', () => {
+    expect(getLocalEventInterval({ startTime: '09:00', endTime: '10:30' }, day))
+      .toEqual({ start: at(9), end: at(10, 30) });
+  });
+
+  test('clips a continuation to the day it is shown on', () => {
+    const event = { startTime: '22:00', endTime: '02:00', spanDays: 1, isContinuation: true, occurrenceDate: '2026-03-09' };
+    expect(getLocalEventInterval(event, day)).toEqual({ start: at(0), end: at(2) });
+  });
+
+  test('is null for all-day and zero-length events', () => {
+    expect(getLocalEventInterval({ allDay: true }, day)).toBeNull();
+    expect(getLocalEventInterval({ startTime: '09:00', endTime: '09:00' }, day)).toBeNull();
+  });
+});
+
+describe('SPEC: getGoogleEventInterval', () => {
+  test('clips an overnight event to the day', () => {
+    expect(getGoogleEventInterval(google(at(23, 0, 9), at(1)), day)).toEqual({ start: at(0), end: at(1) });
+  });
+
+  test('is null for all-day events', () => {
+    expect(getGoogleEventInterval({ start: { date: '2026-03-10' }, end: { date: '2026-03-11' } }, day)).toBeNull();
+  });
+});
+
+describe('SPEC: hasOverlap', () => {
+  test('detects overlapping intervals in any order', () => {
+    expect(hasOverlap([{ start: at(11), end: at(12) }, { start: at(9), end: at(11, 30) }])).toBe(true);
+  });
+
+  test('back-to-back intervals do not overlap', () => {
+    expect(hasOverlap([{ start: at(9), end: at(10) }, { start: at(10), end: at(11) }])).toBe(false);
+  });
+
+  test('an interval inside a long one overlaps even after a gap', () => {
+    expect(hasOverlap([
+      { start: at(8), end: at(17) },
+      { start: at(9), end: at(9, 30) },
+      { start: at(13), end: at(14) },
+    ])).toBe(true);
+  });
+});
+
+describe('SPEC: summarizeDay', () => {
+  test('counts both sources and flags a local/Google double booking', () => {
+    const summary = summarizeDay(day,
+      [{ startTime: '09:00', endTime: '10:00' }, { allDay: true }],
+      [google(at(9, 30), at(10, 30))]);
+    expect(summary).toEqual({ local: 2, google: 1, hasConflict: true });
+  });
+
+  test('free (transparent) Google events never conflict', () => {
+    const summary = summarizeDay(day,
+      [{ startTime: '09:00', endTime: '10:00' }],
+      [google(at(9), at(17), { transparency: 'transparent' })]);
+    expect(summary.hasConflict).toBe(false);
+  });
+});
+
+describe('SPEC: countConflicting', () => {
+  test('counts each interval that overlaps another once', () => {
+    expect(countConflicting([
+      { start: at(9), end: at(11) },
+      { start: at(10), end: at(10, 30) },
+      { start: at(10, 15), end: at(12) },
+      { start: at(13), end: at(14) },
+    ])).toBe(3);
+  });
+});
+
+describe('SPEC: summarizeAgenda', () => {
+  const workHours = { openTime: '09:00', closeTime: '18:00' };
+
+  test('first start, busy and free time within working hours, and conflicts', () => {
+    const agenda = summarizeAgenda(day,
+      [{ startTime: '08:00', endTime: '10:00' }, { allDay: true }],
+      [google(at(9, 30), at(11)), google(at(14), at(15), { transparency: 'transparent' })],
+      workHours);
+    expect(agenda).toEqual({
+      count: 3,
+      firstStart: at(8),
+      busyMinutes: 120, // 09:00–11:00, the overlap counted once; the free event is not busy
+      freeMinutes: 420,
+      conflicts: 2,
+    });
+  });
+
+  test('a day without timed events', () => {
+    expect(summarizeAgenda(day, [{ allDay: true }], [], workHours))
+      .toEqual({ count: 0, firstStart: null, busyMinutes: 0, freeMinutes: 540, conflicts: 0 });
+  });
+});
+
+describe('SPEC: findFreeSlots', () => {
+  const options = { openTime: '09:00', closeTime: '18:00', minMinutes: 30 };
+  const slot = (startHours, startMinutes, endHours, endMinutes) =>
+    ({ start: at(startHours, startMinutes), end: at(endHours, endMinutes) });
+
+  test('the gaps between events within working hours', () => {
+    const local = [{ startTime: '08:00', endTime: '10:00' }, { startTime: '13:00', endTime: '13:20' }];
+    const googleEvents = [google(at(11), at(12, 30)), google(at(12), at(13))];
+    expect(findFreeSlots(day, local, googleEvents, options)).toEqual([
+      slot(10, 0, 11, 0), slot(13, 20, 18, 0),
+    ]);
+  });
+
+  test('skips gaps shorter than the minimum', () => {
+    const local = [{ startTime: '09:10', endTime: '17:45' }];
+    expect(findFreeSlots(day, local, [], options)).toEqual([]);
+    expect(findFreeSlots(day, local, [], { ...options, minMinutes: 15 })).toEqual([slot(17, 45, 18, 0)]);
+  });
+
+  test('keeps the fixed break free of suggestions', () => {
+    const breakTime = { start: '12:00', end: '13:00' };
+    expect(findFreeSlots(day, [], [], { ...options, breakTime })).toEqual([
+      slot(9, 0, 12, 0), slot(13, 0, 18, 0),
+    ]);
+  });
+
+  test('free events and working locations take no time; an all-day out-of-office takes the day', () => {
+    const googleEvents = [
+      google(at(9), at(18), { transparency: 'transparent' }),
+      google(at(9), at(18), { eventType: 'workingLocation' }),
+    ];
+    expect(findFreeSlots(day, [], googleEvents, options)).toEqual([slot(9, 0, 18, 0)]);
+
+    const away = { eventType: 'outOfOffice', start: { date: '2026-03-10' }, end: { date: '2026-03-11' } };
+    expect(findFreeSlots(day, [], [away], options)).toEqual([]);
+  });
+
+  test('nothing starts before notBefore, rounded up to five minutes', () => {
+    expect(findFreeSlots(day, [], [], { ...options, notBefore: at(14, 2) })).toEqual([slot(14, 5, 18, 0)]);
+    expect(findFreeSlots(day, [], [], { ...options, notBefore: at(19) })).toEqual([]);
+  });
+});
+
+describe('SPEC: findCommonFreeSlots', () => {
+  const options = { openTime: '09:00', closeTime: '18:00', minMinutes: 60 };
+  const block = (startHours, endHours) => ({ start: at(startHours), end: at(endHours) });
+
+  test('the time within working hours when nobody is busy', () => {
+    const busyLists = [
+      [block(8, 10), block(15, 16)],
+      [block(11, 13)],
+      [],
+    ];
+    expect(findCommonFreeSlots(busyLists, day, options)).toEqual([
+      block(10, 11), block(13, 15), block(16, 18),
+    ]);
+  });
+
+  test('skips gaps shorter than the event and starts no earlier than notBefore', () => {
+    const busyLists = [[block(9, 12)], [{ start: at(12, 30), end: at(17) }]];
+    expect(findCommonFreeSlots(busyLists, day, options)).toEqual([block(17, 18)]);
+    expect(findCommonFreeSlots([], day, { ...options, notBefore: at(16, 58) }))
+      .toEqual([{ start: at(17), end: at(18) }]);
+  });
+});
@@ -0,0 +1,68 @@
+/**
+ * Tests for event-reschedule.js
+ */
+import {
+    calcRescheduledRange, isReschedulableLocalEvent, buildLocalRescheduleData,
+    RESCHEDULE_MODES, RESCHEDULE_MAX_END_MINUTES
+} from '../../src/lib/event-reschedule.js';
+
+const { MOVE, RESIZE } = RESCHEDULE_MODES;
+
+describe('event-reschedule', () => {
+    // ---------------------------------------------------------------
+    // SPEC: drag range
+    // ---------------------------------------------------------------
+    describe('SPEC: calcRescheduledRange', () => {
+        test('moving keeps the duration and snaps the start to 15 minutes', () => {
+            // 09:00-10:00 dragged down 37px → 09:37 → 09:30
+            expect(calcRescheduledRange(540, 600, 37, MOVE)).toEqual([570, 630]);
+            // 09:10-09:40 dragged up 12px → 08:58 → 09:00
+            expect(calcRescheduledRange(550, 580, -12, MOVE)).toEqual([540, 570]);
+        });
+
+        test('moving stays within the day', () => {
+            expect(calcRescheduledRange(60, 120, -500, MOVE)).toEqual([0, 60]);
+            const [start, end] = calcRescheduledRange(1200, 1260, 500, MOVE);
+            expect(end).toBe(RESCHEDULE_MAX_END_MINUTES);
+            expect(end - start).toBe(60);
+        });
+
+        test('resizing keeps the start and snaps the end', () => {
+            expect(calcRescheduledRange(540, 600, 50, RESIZE)).toEqual([540, 645]);
+            expect(calcRescheduledRange(540, 600, 2000, RESIZE)).toEqual([540, RESCHEDULE_MAX_END_MINUTES]);
+        });
+
+        test('resizing never makes an event shorter than 15 minutes', () => {
+            expect(calcRescheduledRange(540, 600, -300, RESIZE)).toEqual([540, 555]);
+        });
+    });
+
+    // ---------------------------------------------------------------
+    // SPEC: which local events can be dragged
+    // ---------------------------------------------------------------
+    describe('SPEC: isReschedulableLocalEvent', () => {
+        const plain = { id: 'local_1', title: 'Focus', startTime: '09:00', endTime: '10:00' };
+
+        test('plain one-day timed events can be dragged', () => {
+            expect(isReschedulableLocalEvent(plain)).toBe(true);
+        });
+
+        test.each([
+            ['all-day', { allDay: true, startTime: undefined, endTime: undefined }],
+            ['multi-day', { spanDays: 1 }],
+            ['continuation', { isContinuation: true, occurrenceDate: '2026-03-01' }],
+            ['recurring instance', { isRecurringInstance: true }],
+            ['recurring', { recurrence: { rrule: 'FREQ=DAILY', startDate: '2026-03-01' } }],
+            ['without id', { id: undefined }]
+        ])('%s events cannot be dragged', (_label, extra) => {
+            expect(isReschedulableLocalEvent({ ...plain, ...extra })).toBe(false);
+        });
+    });
+
+    test('buildLocalRescheduleData keeps the other fields', () => {
+        const event = { id: 'local_1', uid: 'x@example.com', title: 'Focus', description: 'Deep work', startTime: '09:00', endTime: '10:00', reminder: false };
+        expect(buildLocalRescheduleData(event, '11:00', '12:30')).toEqual({
+            title: 'Focus', description: 'Deep work', startTime: '11:00', endTime: '12:30', reminder: false, recurrence: null
+        });
+    });
+});
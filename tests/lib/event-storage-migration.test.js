@@ -6,13 +6,20 @@ import {
     migrateEventDataToLocal,
     saveLocalEventsForDate,
     loadLocalEventsForDate,
+    loadLocalEventsForDates,
     loadRecurringEvents,
     saveRecurringEvents,
     addRecurringEventException,
     deleteRecurringEvent,
-    loadLocalEvents
+    loadLocalEvents,
+    migrateRecurrenceToRRule,
+    getRecurringEventsForDate,
+    loadEventUids,
+    loadLocalEventsInRange,
+    loadRecurringEventsInRange
 } from '../../src/lib/event-storage.js';
 import { StorageHelper } from '../../src/lib/storage-helper.js';
+import { getFormattedDateFromDate } from '../../src/lib/utils.js';
 
 describe('event-storage (migration & CRUD)', () => {
     beforeEach(() => {
@@ -95,6 +102,105 @@ describe('event-storage (migration & CRUD)', () => {
         });
     });
 
+    // ---------------------------------------------------------------
+    // SPEC: Migration (RRULE)
+    // - Legacy {type, ...} recurrences are rewritten as {rrule, startDate, exceptions}
+    // - Idempotent; unconvertible legacy entries are kept unchanged
+    // ---------------------------------------------------------------
+    describe('SPEC: migrateRecurrenceToRRule', () => {
+        test('converts legacy recurrence objects and keeps exceptions', async () => {
+            await StorageHelper.set({ recurringEvents: [{
+                id: 'r1', title: 'Standup',
+                recurrence: { type: 'weekly', startDate: '2025-03-03', interval: 1, daysOfWeek: [1, 3], endDate: '2025-06-30', exceptions: ['2025-03-05'] }
+            }] });
+
+            const converted = await migrateRecurrenceToRRule();
+
+            expect(converted).toBe(1);
+            const [event] = await loadRecurringEvents();
+            expect(event.recurrence).toEqual({
+                rrule: 'FREQ=WEEKLY;UNTIL=20250630;BYDAY=MO,WE',
+                startDate: '2025-03-03',
+                exceptions: ['2025-03-05']
+            });
+        });
+
+        test('is idempotent and leaves RRULE events untouched', async () => {
+            const events = [{ id: 'r1', title: 'A', recurrence: { rrule: 'FREQ=DAILY', startDate: '2025-03-01', exceptions: [] } }];
+            await StorageHelper.set({ recurringEvents: events });
+            const setSpy = jest.spyOn(StorageHelper, 'set');
+
+            expect(await migrateRecurrenceToRRule()).toBe(0);
+            expect(setSpy).not.toHaveBeenCalled();
+            expect(await loadRecurringEvents()).toEqual(events);
+            setSpy.mockRestore();
+        });
+
+        test('keeps unconvertible legacy entries as they are', async () => {
+            const bad = { id: 'r1', title: 'Bad', recurrence: { type: 'daily', startDate: '2025-03-01', interval: 0 } };
+            await StorageHelper.set({ recurringEvents: [bad] });
+
+            await migrateRecurrenceToRRule();
+
+            expect(await loadRecurringEvents()).toEqual([bad]);
+        });
+
+        test('expansion is unchanged by the migration', async () => {
+            await StorageHelper.set({ recurringEvents: [{
+                id: 'r1', title: 'Month end',
+                recurrence: { type: 'monthly', startDate: '2025-01-31', interval: 1 }
+            }] });
+            const before = await getRecurringEventsForDate(new Date(2025, 1, 28));
+
+            await migrateRecurrenceToRRule();
+            const after = await getRecurringEventsForDate(new Date(2025, 1, 28));
+
+            expect(before).toHaveLength(1);
+            expect(after).toHaveLength(1);
+            expect(after[0].recurrence.rrule).toBe('FREQ=MONTHLY;BYMONTHDAY=28,29,30,31;BYSETPOS=-1');
+        });
+    });
+
+    // ---------------------------------------------------------------
+    // SPEC: RRULE expansion via getRecurringEventsForDate
+    // ---------------------------------------------------------------
+    describe('SPEC: RRULE recurring events', () => {
+        test('matches an ordinal weekday rule and exposes the normalised recurrence', async () => {
+            await StorageHelper.set({ recurringEvents: [{
+                id: 'r1', title: 'Board',
+                recurrence: { rrule: 'FREQ=MONTHLY;BYDAY=2TU', startDate: '2025-01-01', exceptions: [] }
+            }] });
+
+            const match = await getRecurringEventsForDate(new Date(2025, 2, 11));
+            expect(match).toHaveLength(1);
+            expect(match[0]).toMatchObject({ isRecurringInstance: true, instanceDate: '2025-03-11', originalId: 'r1' });
+
+            expect(await getRecurringEventsForDate(new Date(2025, 2, 4))).toHaveLength(0);
+        });
+
+        test('a malformed rule hides only that series', async () => {
+            const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+            await StorageHelper.set({ recurringEvents: [
+                { id: 'bad', title: 'Bad', recurrence: { rrule: 'FREQ=NEVER', startDate: '2025-03-01' } },
+                { id: 'ok', title: 'OK', recurrence: { rrule: 'FREQ=DAILY', startDate: '2025-03-01' } }
+            ] });
+
+            const result = await getRecurringEventsForDate(new Date(2025, 2, 15));
+            expect(result.map(e => e.id)).toEqual(['ok']);
+            warnSpy.mockRestore();
+        });
+
+        test('COUNT ends the series', async () => {
+            await StorageHelper.set({ recurringEvents: [{
+                id: 'r1', title: 'Course',
+                recurrence: { rrule: 'FREQ=WEEKLY;COUNT=2', startDate: '2025-03-01' }
+            }] });
+
+            expect(await getRecurringEventsForDate(new Date(2025, 2, 8))).toHaveLength(1);
+            expect(await getRecurringEventsForDate(new Date(2025, 2, 15))).toHaveLength(0);
+        });
+    });
+
     // ---------------------------------------------------------------
     // SPEC: Storage Locations — date-specific in local, recurring in sync
     // ---------------------------------------------------------------
@@ -111,6 +217,85 @@ describe('event-storage (migration & CRUD)', () => {
         });
     });
 
+    // ---------------------------------------------------------------
+    // SPEC: Multi-day events
+    // - Stored under their start date with spanDays > 0
+    // - Later days get { isContinuation: true, occurrenceDate: start }
+    // - A timed event ending at 00:00 does not show on its final day
+    // ---------------------------------------------------------------
+    describe('SPEC: multi-day events', () => {
+        test('an overnight event continues on the next day', async () => {
+            await saveLocalEventsForDate([
+                { id: 'night', title: 'Deploy', startTime: '22:00', endTime: '02:00', spanDays: 1 }
+            ], new Date(2025, 2, 15));
+
+            const nextDay = await loadLocalEventsForDate(new Date(2025, 2, 16));
+            expect(nextDay).toEqual([expect.objectContaining({
+                id: 'night', isContinuation: true, occurrenceDate: '2025-03-15'
+            })]);
+
+            const dayAfter = await loadLocalEventsForDate(new Date(2025, 2, 17));
+            expect(dayAfter).toEqual([]);
+        });
+
+        test('the start day returns the stored event without continuation flags', async () => {
+            await saveLocalEventsForDate([
+                { id: 'trip', title: 'Offsite', allDay: true, spanDays: 2 }
+            ], new Date(2025, 2, 15));
+
+            const loaded = await loadLocalEventsForDate(new Date(2025, 2, 15));
+            expect(loaded).toEqual([{ id: 'trip', title: 'Offsite', allDay: true, spanDays: 2 }]);
+        });
+
+        test('an all-day event covers its last day; a timed one ending at 00:00 does not', async () => {
+            await saveLocalEventsForDate([
+                { id: 'trip', title: 'Offsite', allDay: true, spanDays: 2 },
+                { id: 'late', title: 'Late', startTime: '20:00', endTime: '00:00', spanDays: 1 }
+            ], new Date(2025, 2, 15));
+
+            const lastDay = await loadLocalEventsForDate(new Date(2025, 2, 17));
+            expect(lastDay.map(e => e.id)).toEqual(['trip']);
+
+            const secondDay = await loadLocalEventsForDate(new Date(2025, 2, 16));
+            expect(secondDay.map(e => e.id)).toEqual(['trip']);
+        });
+
+        test('a multi-day recurring occurrence continues with the start as instanceDate', async () => {
+            await StorageHelper.set({ recurringEvents: [{
+                id: 'fri', title: 'Friday night', startTime: '22:00', endTime: '01:00', spanDays: 1,
+                recurrence: { rrule: 'FREQ=WEEKLY;BYDAY=FR', startDate: '2025-03-07' }
+            }] });
+
+            // 2025-03-15 is a Saturday
+            const instances = await getRecurringEventsForDate(new Date(2025, 2, 15));
+            expect(instances).toEqual([expect.objectContaining({
+                originalId: 'fri', isContinuation: true,
+                instanceDate: '2025-03-14', occurrenceDate: '2025-03-14'
+            })]);
+        });
+    });
+
+    describe('SPEC: loadLocalEventsForDates', () => {
+        test('returns the same events per day as loadLocalEventsForDate', async () => {
+            await saveLocalEventsForDate([
+                { id: 'night', title: 'Deploy', startTime: '22:00', endTime: '02:00', spanDays: 1 }
+            ], new Date(2025, 2, 15));
+            await StorageHelper.set({ recurringEvents: [{
+                id: 'daily', title: 'Standup', startTime: '09:00', endTime: '09:15',
+                recurrence: { rrule: 'FREQ=DAILY', startDate: '2025-03-16' }
+            }] });
+
+            const dates = [new Date(2025, 2, 15), new Date(2025, 2, 16), new Date(2025, 2, 17)];
+            const byDate = await loadLocalEventsForDates(dates);
+
+            expect([...byDate.keys()]).toEqual(['2025-03-15', '2025-03-16', '2025-03-17']);
+            for (const date of dates) {
+                expect(byDate.get(getFormattedDateFromDate(date))).toEqual(await loadLocalEventsForDate(date));
+            }
+            expect(byDate.get('2025-03-16').map(e => e.id)).toEqual(['daily', 'night']);
+        });
+    });
+
     describe('loadLocalEvents', () => {
         test('loads events for today', async () => {
             // Just ensure it doesn't throw
@@ -222,4 +407,45 @@ describe('event-storage (migration & CRUD)', () => {
             expect(loaded).toEqual([]);
         });
     });
+
+    describe('SPEC: loadEventUids', () => {
+        test('collects uids from every date key and the recurring events', async () => {
+            await StorageHelper.setLocal({
+                'localEvents_2025-03-01': [{ id: '1', uid: 'a' }, { id: '2' }],
+                'localEvents_2026-01-10': [{ id: '3', uid: 'b' }],
+                'otherKey': [{ uid: 'ignored' }]
+            });
+            await saveRecurringEvents([{ id: 'r1', uid: 'c', recurrence: { rrule: 'FREQ=DAILY', startDate: '2025-03-01' } }]);
+
+            const uids = await loadEventUids();
+            expect([...uids].sort()).toEqual(['a', 'b', 'c']);
+        });
+    });
+
+    describe('SPEC: range loading', () => {
+        test('loadLocalEventsInRange returns events in the range plus earlier events still running', async () => {
+            await StorageHelper.setLocal({
+                'localEvents_2025-02-26': [{ id: 'old', startTime: '09:00', endTime: '10:00' }],
+                'localEvents_2025-02-27': [{ id: 'trip', allDay: true, spanDays: 3 }],
+                'localEvents_2025-03-01': [{ id: 'in', startTime: '09:00', endTime: '10:00' }],
+                'localEvents_2025-03-05': [{ id: 'after', startTime: '09:00', endTime: '10:00' }]
+            });
+
+            const entries = await loadLocalEventsInRange('2025-03-01', '2025-03-04');
+            expect(entries.map(({ event, date }) => `${event.id}@${date}`)).toEqual(['trip@2025-02-27', 'in@2025-03-01']);
+        });
+
+        test('loadRecurringEventsInRange keeps only series occurring in the range', async () => {
+            await saveRecurringEvents([
+                { id: 'weekly', recurrence: { rrule: 'FREQ=WEEKLY;BYDAY=MO', startDate: '2025-01-06' } },
+                { id: 'ended', recurrence: { rrule: 'FREQ=DAILY;UNTIL=20250201', startDate: '2025-01-01' } },
+                { id: 'broken', recurrence: { rrule: 'FREQ=HOURLY', startDate: '2025-01-01' } },
+                { id: 'legacy', recurrence: { type: 'daily', startDate: '2025-01-01', interval: 1 } }
+            ]);
+
+            const events = await loadRecurringEventsInRange('2025-03-01', '2025-03-31');
+            expect(events.map(e => e.id)).toEqual(['weekly', 'legacy']);
+            expect(events[1].recurrence.rrule).toBe('FREQ=DAILY');
+        });
+    });
 });
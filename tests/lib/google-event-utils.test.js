@@ -4,6 +4,27 @@ import {
   buildGoogleEventResource,
   extractTimeHHMM,
   isEditableGoogleEvent,
+  buildGoogleTimePatch,
+  isGoogleEventOnDay,
+  parseAttendeeEmails,
+  getGuestEmails,
+  mergeAttendees,
+  areGuestsChanged,
+  getGuestPermissions,
+  getFreeBusyIntervals,
+  toGoogleRecurrence,
+  splitGoogleRecurrence,
+  buildSeriesTimePatch,
+  buildFollowingSeriesResource,
+  findEditConflicts,
+  buildMergedPatch,
+  isAllDayGoogleEvent,
+  getAllDayDateRange,
+  isMovableGoogleEvent,
+  isPendingInvitation,
+  getAttendanceMode,
+  isDeclinedGoogleEvent,
+  isInactiveGoogleEvent,
 } from '../../src/lib/google-event-utils.js';
 import { buildRfc3339DateTime as buildRfc3339DateTimeForTest } from '../../src/lib/time-utils.js';
 
@@ -360,7 +381,8 @@ describe('extractTimeHHMM', () => {
 // ---------------------------------------------------------------
 // SPEC: isEditableGoogleEvent
 // Gates the destructive edit/delete UI. Requires: writable calendar,
-// id + calendarId, timed same-day event, non-recurring, plain event type,
+// id + calendarId, timed same-day event or all-day event (not an occurrence),
+// not a series master, plain event type,
 // and modification rights (organizer.self or guestsCanModify).
 // ---------------------------------------------------------------
 describe('isEditableGoogleEvent', () => {
@@ -407,16 +429,26 @@ describe('isEditableGoogleEvent', () => {
     expect(isEditableGoogleEvent({ ...editable(), isWritableCalendar: false })).toBe(false);
   });
 
+  test('a cancelled event (shown as a ghost) is not editable', () => {
+    expect(isEditableGoogleEvent({ ...editable(), status: 'cancelled' })).toBe(false);
+  });
+
   test.each(['id', 'calendarId'])('missing %s is not editable', (key) => {
     const e = editable();
     delete e[key];
     expect(isEditableGoogleEvent(e)).toBe(false);
   });
 
-  test('all-day events (start.date, no dateTime) are not editable', () => {
+  test('all-day events (start.date, no dateTime) are editable, over several days too', () => {
     const e = editable();
     e.start = { date: '2026-07-23' };
     e.end = { date: '2026-07-24' };
+    expect(isEditableGoogleEvent(e)).toBe(true);
+    expect(isEditableGoogleEvent({ ...e, end: { date: '2026-07-26' } })).toBe(true);
+  });
+
+  test('an occurrence of a recurring all-day event is not editable', () => {
+    const e = { ...editable(), start: { date: '2026-07-23' }, end: { date: '2026-07-24' }, recurringEventId: 'master1' };
     expect(isEditableGoogleEvent(e)).toBe(false);
   });
 
@@ -440,12 +472,17 @@ describe('isEditableGoogleEvent', () => {
     expect(isEditableGoogleEvent(e)).toBe(false);
   });
 
+  test('an occurrence of a recurring event is editable (the modal asks which occurrences)', () => {
+    expect(isEditableGoogleEvent({ ...editable(), recurringEventId: 'master1' })).toBe(true);
+  });
+
   test.each([
-    ['recurring instance', { recurringEventId: 'master1' }],
     ['recurring master', { recurrence: ['RRULE:FREQ=DAILY'] }],
     ['out of office', { eventType: 'outOfOffice' }],
     ['focus time', { eventType: 'focusTime' }],
     ['working location', { eventType: 'workingLocation' }],
+    ['birthday', { eventType: 'birthday' }],
+    ['from Gmail', { eventType: 'fromGmail' }],
   ])('%s is not editable', (_label, extra) => {
     expect(isEditableGoogleEvent({ ...editable(), ...extra })).toBe(false);
   });
@@ -456,3 +493,431 @@ describe('isEditableGoogleEvent', () => {
     expect(isEditableGoogleEvent(e)).toBe(false);
   });
 });
+
+// ---------------------------------------------------------------
+// SPEC: buildGoogleTimePatch
+// Moves a timed event to new times on its own date; nothing else is patched.
+// ---------------------------------------------------------------
+describe('buildGoogleTimePatch', () => {
+  test('patches only start and end on the event\'s own date', () => {
+    const event = {
+      summary: 'Sync',
+      start: { dateTime: new Date(2026, 6, 23, 9, 0).toISOString(), timeZone: 'Asia/Tokyo' },
+      end: { dateTime: new Date(2026, 6, 23, 10, 0).toISOString() }
+    };
+    const day = new Date(2026, 6, 23);
+    expect(buildGoogleTimePatch(event, '13:15', '14:45')).toEqual({
+      start: { dateTime: buildRfc3339DateTimeForTest(day, '13:15') },
+      end: { dateTime: buildRfc3339DateTimeForTest(day, '14:45') }
+    });
+  });
+});
+
+describe('isGoogleEventOnDay', () => {
+  const timed = (start, end) => ({
+    start: { dateTime: start.toISOString() },
+    end: { dateTime: end.toISOString() }
+  });
+  const mar10 = new Date(2026, 2, 10, 15, 0);
+
+  test('timed events overlapping the local day match', () => {
+    expect(isGoogleEventOnDay(timed(new Date(2026, 2, 10, 9), new Date(2026, 2, 10, 10)), mar10)).toBe(true);
+    expect(isGoogleEventOnDay(timed(new Date(2026, 2, 9, 23), new Date(2026, 2, 10, 1)), mar10)).toBe(true);
+    expect(isGoogleEventOnDay(timed(new Date(2026, 2, 11, 9), new Date(2026, 2, 11, 10)), mar10)).toBe(false);
+  });
+
+  test('an event ending exactly at midnight does not spill into the next day', () => {
+    expect(isGoogleEventOnDay(timed(new Date(2026, 2, 9, 22), new Date(2026, 2, 10, 0)), mar10)).toBe(false);
+  });
+
+  test('zero-duration events belong to the day they start on', () => {
+    const midnight = new Date(2026, 2, 10, 0);
+    expect(isGoogleEventOnDay(timed(midnight, midnight), mar10)).toBe(true);
+    expect(isGoogleEventOnDay(timed(midnight, midnight), new Date(2026, 2, 9))).toBe(false);
+  });
+
+  test('all-day events use an exclusive end date', () => {
+    const event = { start: { date: '2026-03-09' }, end: { date: '2026-03-11' } };
+    expect(isGoogleEventOnDay(event, new Date(2026, 2, 9))).toBe(true);
+    expect(isGoogleEventOnDay(event, mar10)).toBe(true);
+    expect(isGoogleEventOnDay(event, new Date(2026, 2, 11))).toBe(false);
+  });
+});
+
+// ---------------------------------------------------------------
+// SPEC: guests
+// - parseAttendeeEmails splits on commas/semicolons/whitespace, drops repeats
+//   (case-insensitive) and reports entries that are not email addresses
+// - getGuestEmails lists everyone but the owner (self), organizer and rooms
+// - mergeAttendees keeps existing entries (and their responses) for listed
+//   guests and the unlisted entries; new addresses become {email}
+// - buildGoogleEventResource: attendees omitted on insert when empty; on
+//   patch sent whenever given (even empty)
+// ---------------------------------------------------------------
+describe('guests', () => {
+  const attendees = [
+    { email: 'me@example.com', self: true, organizer: true, responseStatus: 'accepted' },
+    { email: 'alice@example.com', responseStatus: 'accepted' },
+    { email: 'room@resource.calendar.google.com', resource: true },
+    { email: 'bob@example.com', responseStatus: 'declined' }
+  ];
+
+  test('parseAttendeeEmails separates valid and invalid entries', () => {
+    expect(parseAttendeeEmails(' alice@example.com, bob@example.com;carol\nALICE@example.com  bad@ '))
+      .toEqual({ emails: ['alice@example.com', 'bob@example.com'], invalid: ['carol', 'bad@'] });
+    expect(parseAttendeeEmails('')).toEqual({ emails: [], invalid: [] });
+  });
+
+  test('getGuestEmails leaves out the owner, organizer and rooms', () => {
+    expect(getGuestEmails(attendees)).toEqual(['alice@example.com', 'bob@example.com']);
+    expect(getGuestEmails(undefined)).toEqual([]);
+  });
+
+  test('mergeAttendees keeps responses, drops removed guests and adds new ones', () => {
+    expect(mergeAttendees(attendees, ['Alice@example.com', 'dave@example.com'])).toEqual([
+      attendees[0],
+      attendees[1],
+      attendees[2],
+      { email: 'dave@example.com' }
+    ]);
+    expect(mergeAttendees([], ['dave@example.com'])).toEqual([{ email: 'dave@example.com' }]);
+  });
+
+  test('areGuestsChanged ignores order and letter case', () => {
+    expect(areGuestsChanged(attendees, ['BOB@example.com', 'alice@example.com'])).toBe(false);
+    expect(areGuestsChanged(attendees, ['alice@example.com'])).toBe(true);
+    expect(areGuestsChanged(undefined, [])).toBe(false);
+  });
+
+  test('buildGoogleEventResource sends attendees only when there are any (insert)', () => {
+    const base = { summary: 'Sync', date: new Date(2026, 6, 23), startTime: '09:00', endTime: '10:00' };
+    expect(buildGoogleEventResource({ ...base, attendees: [] })).not.toHaveProperty('attendees');
+    expect(buildGoogleEventResource({ ...base, attendees: [{ email: 'a@example.com' }] }).attendees)
+      .toEqual([{ email: 'a@example.com' }]);
+    expect(buildGoogleEventResource({ ...base, attendees: [] }, { forPatch: true }).attendees).toEqual([]);
+    expect(buildGoogleEventResource(base, { forPatch: true })).not.toHaveProperty('attendees');
+  });
+
+  test('getGuestPermissions fills in Google Calendar\'s defaults', () => {
+    expect(getGuestPermissions({})).toEqual({ guestsCanModify: false, guestsCanInviteOthers: true });
+    expect(getGuestPermissions({ guestsCanModify: true, guestsCanInviteOthers: false }))
+      .toEqual({ guestsCanModify: true, guestsCanInviteOthers: false });
+  });
+
+  test('buildGoogleEventResource sends guest permissions only when given', () => {
+    const base = { summary: 'Sync', date: new Date(2026, 6, 23), startTime: '09:00', endTime: '10:00' };
+    const resource = buildGoogleEventResource({ ...base, guestsCanModify: true, guestsCanInviteOthers: false });
+    expect(resource.guestsCanModify).toBe(true);
+    expect(resource.guestsCanInviteOthers).toBe(false);
+    const patch = buildGoogleEventResource(base, { forPatch: true });
+    expect(patch).not.toHaveProperty('guestsCanModify');
+    expect(patch).not.toHaveProperty('guestsCanInviteOthers');
+  });
+});
+
+describe('getFreeBusyIntervals', () => {
+  test('converts busy blocks to Dates and skips empty ones', () => {
+    const intervals = getFreeBusyIntervals({
+      busy: [
+        { start: '2026-03-10T01:00:00Z', end: '2026-03-10T02:00:00Z' },
+        { start: '2026-03-10T03:00:00Z', end: '2026-03-10T03:00:00Z' }
+      ]
+    });
+    expect(intervals).toEqual([{ start: new Date('2026-03-10T01:00:00Z'), end: new Date('2026-03-10T02:00:00Z') }]);
+    expect(getFreeBusyIntervals({ errors: [{ reason: 'notFound' }] })).toEqual([]);
+  });
+});
+
+// ---------------------------------------------------------------
+// SPEC: recurring Google events
+// - the create form's RRULE becomes `recurrence`, with timeZone on start/end
+// - a date-only UNTIL becomes the end of that local day in UTC
+// - "this and following" splits a series: the old one ends a second before
+//   the occurrence, the new one keeps the rest of a COUNT
+// ---------------------------------------------------------------
+describe('recurring events', () => {
+  // RFC 5545 UTC form of a local time, independent of the test machine's zone
+  const utc = (date) => date.toISOString().replace(/\.\d{3}/, '').replace(/[-:]/g, '');
+
+  test('toGoogleRecurrence turns a date-only UNTIL into the end of that local day', () => {
+    expect(toGoogleRecurrence('FREQ=WEEKLY;UNTIL=20261231;BYDAY=MO'))
+      .toEqual([`RRULE:FREQ=WEEKLY;UNTIL=${utc(new Date(2026, 11, 31, 23, 59, 59))};BYDAY=MO`]);
+    expect(toGoogleRecurrence('RRULE:FREQ=DAILY;COUNT=5')).toEqual(['RRULE:FREQ=DAILY;COUNT=5']);
+    expect(toGoogleRecurrence('FREQ=DAILY;UNTIL=20261231T000000Z'))
+      .toEqual(['RRULE:FREQ=DAILY;UNTIL=20261231T000000Z']);
+  });
+
+  test('buildGoogleEventResource adds the recurrence and time zone on insert only', () => {
+    const base = { summary: 'Standup', date: new Date(2026, 9, 19), startTime: '09:00', endTime: '09:15' };
+    const r = buildGoogleEventResource({ ...base, recurrence: 'FREQ=DAILY;COUNT=5', timeZone: 'Asia/Tokyo' });
+    expect(r.recurrence).toEqual(['RRULE:FREQ=DAILY;COUNT=5']);
+    expect(r.start.timeZone).toBe('Asia/Tokyo');
+    expect(r.end.timeZone).toBe('Asia/Tokyo');
+
+    expect(buildGoogleEventResource(base)).not.toHaveProperty('recurrence');
+    expect(buildGoogleEventResource({ ...base, recurrence: 'FREQ=DAILY' }, { forPatch: true }))
+      .not.toHaveProperty('recurrence');
+  });
+
+  test('splitGoogleRecurrence ends the series before the occurrence and shares out COUNT', () => {
+    // Weekly on Mondays from Oct 5; split at the third occurrence (Oct 19)
+    const splitStart = new Date(2026, 9, 19, 9, 0);
+    const { before, after } = splitGoogleRecurrence(
+      ['RRULE:FREQ=WEEKLY;BYDAY=MO;COUNT=10', 'EXDATE;TZID=Asia/Tokyo:20261026T090000'],
+      '2026-10-05',
+      splitStart
+    );
+    expect(before).toEqual([
+      `RRULE:FREQ=WEEKLY;BYDAY=MO;UNTIL=${utc(new Date(2026, 9, 19, 8, 59, 59))}`,
+      'EXDATE;TZID=Asia/Tokyo:20261026T090000'
+    ]);
+    expect(after).toEqual(['RRULE:FREQ=WEEKLY;BYDAY=MO;COUNT=8', 'EXDATE;TZID=Asia/Tokyo:20261026T090000']);
+  });
+
+  test('splitGoogleRecurrence keeps an UNTIL (or no end) for the following series', () => {
+    const { before, after } = splitGoogleRecurrence(
+      ['RRULE:FREQ=DAILY;UNTIL=20261231T145959Z', 'RDATE;VALUE=DATE:20261020'],
+      '2026-10-01',
+      new Date(2026, 9, 10, 9, 0)
+    );
+    expect(before[0]).toBe(`RRULE:FREQ=DAILY;UNTIL=${utc(new Date(2026, 9, 10, 8, 59, 59))}`);
+    expect(before[1]).toBe('RDATE;VALUE=DATE:20261020');
+    expect(after).toEqual(['RRULE:FREQ=DAILY;UNTIL=20261231T145959Z']);
+  });
+
+  test('splitGoogleRecurrence rejects a series without an RRULE', () => {
+    expect(() => splitGoogleRecurrence(['RDATE:20261020T090000Z'], '2026-10-01', new Date())).toThrow('no RRULE');
+  });
+
+  describe('buildSeriesTimePatch', () => {
+    const series = {
+      start: { dateTime: '2026-10-05T09:00:00Z', timeZone: 'Europe/London' },
+      end: { dateTime: '2026-10-05T10:00:00Z', timeZone: 'Europe/London' },
+    };
+    const occurrence = {
+      start: { dateTime: '2026-10-19T09:00:00Z' },
+      end: { dateTime: '2026-10-19T10:00:00Z' },
+    };
+
+    test('moves the series by as much as the occurrence moved, with its new length', () => {
+      const patch = {
+        start: { dateTime: '2026-10-19T09:30:00Z' },
+        end: { dateTime: '2026-10-19T11:00:00Z' },
+      };
+      expect(buildSeriesTimePatch(series, occurrence, patch)).toEqual({
+        start: { dateTime: '2026-10-05T09:30:00.000Z', timeZone: 'Europe/London' },
+        end: { dateTime: '2026-10-05T11:00:00.000Z', timeZone: 'Europe/London' },
+      });
+    });
+
+    test('leaves the series times alone when the occurrence keeps its times', () => {
+      expect(buildSeriesTimePatch(series, occurrence, { summary: 'x', ...occurrence })).toEqual({});
+    });
+  });
+
+  test('buildFollowingSeriesResource copies the series, applies the changes and reuses the Meet', () => {
+    const series = {
+      id: 'series1',
+      summary: 'Weekly sync',
+      location: 'Room A',
+      attendees: [{ email: 'a@example.com', responseStatus: 'accepted' }],
+      guestsCanModify: true,
+      conferenceData: { conferenceId: 'abc-defg-hij', entryPoints: [], createRequest: { requestId: 'r1' } },
+      start: { dateTime: '2026-10-05T09:00:00Z', timeZone: 'Asia/Tokyo' },
+      end: { dateTime: '2026-10-05T10:00:00Z', timeZone: 'Asia/Tokyo' },
+      recurrence: ['RRULE:FREQ=WEEKLY'],
+      etag: '"1"',
+    };
+    const patch = {
+      summary: 'Weekly sync (new room)',
+      location: 'Room B',
+      description: '',
+      start: { dateTime: '2026-10-19T18:00:00+09:00' },
+      end: { dateTime: '2026-10-19T19:00:00+09:00' },
+    };
+    expect(buildFollowingSeriesResource(series, patch, ['RRULE:FREQ=WEEKLY'])).toEqual({
+      summary: 'Weekly sync (new room)',
+      location: 'Room B',
+      description: '',
+      attendees: [{ email: 'a@example.com', responseStatus: 'accepted' }],
+      guestsCanModify: true,
+      conferenceData: { conferenceId: 'abc-defg-hij', entryPoints: [] },
+      start: { dateTime: '2026-10-19T18:00:00+09:00', timeZone: 'Asia/Tokyo' },
+      end: { dateTime: '2026-10-19T19:00:00+09:00', timeZone: 'Asia/Tokyo' },
+      recurrence: ['RRULE:FREQ=WEEKLY'],
+    });
+  });
+});
+
+describe('edit conflicts', () => {
+  const original = {
+    summary: 'Sync',
+    location: 'Room A',
+    description: '',
+    start: { dateTime: '2026-10-19T09:00:00+09:00' },
+    end: { dateTime: '2026-10-19T10:00:00+09:00' },
+    attendees: [{ email: 'a@example.com', responseStatus: 'accepted' }],
+  };
+  // The edit form always sends these; guests/reminders only when changed
+  const editOf = (changes) => ({
+    summary: original.summary,
+    location: original.location,
+    description: original.description,
+    start: original.start,
+    end: original.end,
+    ...changes,
+  });
+
+  test('lists the fields where the edit and the current version differ', () => {
+    const current = { ...original, summary: 'Sync (moved)', location: 'Room C' };
+    const patch = editOf({ summary: 'Weekly sync', description: 'Agenda' });
+    expect(findEditConflicts(original, current, patch)).toEqual([
+      { field: 'summary', changedHere: true, changedThere: true },
+      { field: 'location', changedHere: false, changedThere: true },
+      { field: 'description', changedHere: true, changedThere: false },
+    ]);
+  });
+
+  test('ignores fields both sides changed the same way', () => {
+    const moved = { start: { dateTime: '2026-10-19T01:30:00Z' }, end: { dateTime: '2026-10-19T02:30:00Z' } };
+    const current = { ...original, start: { dateTime: '2026-10-19T10:30:00+09:00' }, end: { dateTime: '2026-10-19T11:30:00+09:00' } };
+    expect(findEditConflicts(original, current, editOf(moved))).toEqual([]);
+  });
+
+  test('compares guests by email, in any order and case', () => {
+    const current = { ...original, attendees: [{ email: 'b@example.com' }, { email: 'A@example.com', responseStatus: 'declined' }] };
+    const patch = editOf({ attendees: [{ email: 'a@example.com' }, { email: 'b@example.com' }] });
+    expect(findEditConflicts(original, current, patch)).toEqual([]);
+  });
+
+  test('a missing reminders field means the default reminders', () => {
+    const current = { ...original, reminders: { useDefault: true } };
+    expect(findEditConflicts(original, current, editOf({}))).toEqual([]);
+    const patch = editOf({ reminders: { useDefault: false, overrides: [{ method: 'popup', minutes: 5 }] } });
+    expect(findEditConflicts(original, current, patch)).toEqual([
+      { field: 'reminders', changedHere: true, changedThere: false },
+    ]);
+  });
+
+  test('compares guest permissions with their defaults filled in', () => {
+    const current = { ...original, guestsCanInviteOthers: true };
+    expect(findEditConflicts(original, current, editOf({}))).toEqual([]);
+    const patch = editOf({ guestsCanModify: true, guestsCanInviteOthers: true });
+    expect(findEditConflicts(original, { ...original, guestsCanInviteOthers: false }, patch)).toEqual([
+      { field: 'guestPermissions', changedHere: true, changedThere: true },
+    ]);
+    expect(buildMergedPatch(current, patch, [])).not.toHaveProperty('guestsCanModify');
+  });
+
+  test('buildMergedPatch keeps the chosen edits and leaves the rest as they are now', () => {
+    const patch = editOf({ summary: 'Weekly sync', description: 'Agenda' });
+    expect(buildMergedPatch({ ...original, summary: 'Sync (moved)' }, patch, ['description']))
+      .toEqual({ description: 'Agenda' });
+  });
+
+  test('buildMergedPatch keeps the current responses of kept guests', () => {
+    const current = { ...original, attendees: [{ email: 'a@example.com', responseStatus: 'declined' }] };
+    const patch = editOf({ attendees: [{ email: 'a@example.com', responseStatus: 'accepted' }, { email: 'b@example.com' }] });
+    expect(buildMergedPatch(current, patch, ['attendees']).attendees).toEqual([
+      { email: 'a@example.com', responseStatus: 'declined' },
+      { email: 'b@example.com' },
+    ]);
+  });
+});
+
+describe('all-day events', () => {
+  const date = new Date(2026, 9, 19);
+
+  test('buildGoogleEventResource uses dates with an exclusive end', () => {
+    const r = buildGoogleEventResource({ summary: 'Offsite', date, allDay: true, endDate: new Date(2026, 9, 21) });
+    expect(r.start).toEqual({ date: '2026-10-19' });
+    expect(r.end).toEqual({ date: '2026-10-22' });
+    expect(buildGoogleEventResource({ summary: 'Holiday', date, allDay: true }).end).toEqual({ date: '2026-10-20' });
+  });
+
+  test('buildGoogleEventResource also patches the dates', () => {
+    const r = buildGoogleEventResource(
+      { summary: 'Offsite', date, allDay: true, endDate: date, reminderMinutes: undefined },
+      { forPatch: true }
+    );
+    expect(r).toEqual({ summary: 'Offsite', start: { date: '2026-10-19' }, end: { date: '2026-10-20' }, description: '', location: '' });
+  });
+
+  test('an all-day series keeps its date-only UNTIL and gets no time zone', () => {
+    const r = buildGoogleEventResource({ summary: 'Retro', date, allDay: true, recurrence: 'FREQ=WEEKLY;UNTIL=20261231' });
+    expect(r.recurrence).toEqual(['RRULE:FREQ=WEEKLY;UNTIL=20261231']);
+    expect(r.start).toEqual({ date: '2026-10-19' });
+  });
+
+  test('isAllDayGoogleEvent needs both dates', () => {
+    expect(isAllDayGoogleEvent({ start: { date: '2026-10-19' }, end: { date: '2026-10-20' } })).toBe(true);
+    expect(isAllDayGoogleEvent({ start: { dateTime: '2026-10-19T09:00:00Z' }, end: { dateTime: '2026-10-19T10:00:00Z' } })).toBe(false);
+    expect(isAllDayGoogleEvent(null)).toBe(false);
+  });
+
+  test('getAllDayDateRange gives the inclusive last day', () => {
+    expect(getAllDayDateRange({ start: { date: '2026-10-19' }, end: { date: '2026-10-20' } }))
+      .toEqual({ startDate: '2026-10-19', endDate: '2026-10-19' });
+    expect(getAllDayDateRange({ start: { date: '2026-10-30' }, end: { date: '2026-11-02' } }))
+      .toEqual({ startDate: '2026-10-30', endDate: '2026-11-01' });
+  });
+});
+
+describe('isMovableGoogleEvent', () => {
+  const event = {
+    id: 'evt1',
+    calendarId: 'cal1',
+    isWritableCalendar: true,
+    start: { date: '2026-10-19' },
+    end: { date: '2026-10-20' },
+    organizer: { self: true },
+  };
+
+  test('an editable event its calendar organizes can be moved', () => {
+    expect(isMovableGoogleEvent(event)).toBe(true);
+  });
+
+  test.each([
+    ['a guest copy, even with guestsCanModify', { organizer: { self: false }, guestsCanModify: true }],
+    ['an occurrence of a recurring event', { recurringEventId: 'series1' }],
+    ['an event on a read-only calendar', { isWritableCalendar: false }],
+  ])('%s cannot be moved', (_label, extra) => {
+    expect(isMovableGoogleEvent({ ...event, ...extra })).toBe(false);
+  });
+});
+
+describe('invitations', () => {
+  const invite = (responseStatus, overrides = {}) => ({
+    organizer: { email: 'boss@example.com' },
+    attendees: [{ email: 'boss@example.com', organizer: true }, { email: 'me@example.com', self: true, responseStatus }],
+    ...overrides,
+  });
+
+  test('isPendingInvitation: the user has not answered yet', () => {
+    expect(isPendingInvitation(invite('needsAction'))).toBe(true);
+    expect(isPendingInvitation(invite('tentative'))).toBe(false);
+    expect(isPendingInvitation(invite('needsAction', { status: 'cancelled' }))).toBe(false);
+    expect(isPendingInvitation(invite('needsAction', { organizer: { self: true } }))).toBe(false);
+    expect(isPendingInvitation({ summary: 'No guests' })).toBe(false);
+  });
+
+  test('getAttendanceMode reads the private extended property', () => {
+    const withMode = (mode) => ({ extendedProperties: { private: { sideTimeTableAttendance: mode } } });
+    expect(getAttendanceMode(withMode('virtual'))).toBe('virtual');
+    expect(getAttendanceMode(withMode('somewhere'))).toBeNull();
+    expect(getAttendanceMode({})).toBeNull();
+  });
+
+  test('isDeclinedGoogleEvent: the user declined', () => {
+    expect(isDeclinedGoogleEvent(invite('declined'))).toBe(true);
+    expect(isDeclinedGoogleEvent(invite('accepted'))).toBe(false);
+    expect(isDeclinedGoogleEvent({ attendees: [{ email: 'other@example.com', responseStatus: 'declined' }] })).toBe(false);
+    expect(isDeclinedGoogleEvent({ summary: 'No guests' })).toBe(false);
+  });
+
+  test('isInactiveGoogleEvent: cancelled or declined', () => {
+    expect(isInactiveGoogleEvent(invite('declined'))).toBe(true);
+    expect(isInactiveGoogleEvent({ status: 'cancelled' })).toBe(true);
+    expect(isInactiveGoogleEvent(invite('accepted', { status: 'confirmed' }))).toBe(false);
+  });
+});
@@ -0,0 +1,246 @@
+/**
+ * Tests for ics-parser.js
+ *
+ * Expected local times are derived from UTC instants so the tests pass in
+ * any timezone.
+ */
+import { parseICS, parseICSDateTime, parseICSDuration, ICS_SKIP_REASONS } from '../../src/lib/ics-parser.js';
+import { getFormattedDateFromDate } from '../../src/lib/utils.js';
+import { parseRRule, expandRRule } from '../../src/lib/rrule.js';
+
+function calendar(...events) {
+    return ['BEGIN:VCALENDAR', 'VERSION:2.0', 'PRODID:-//Test//EN', ...events.flat(), 'END:VCALENDAR'].join('\r\n');
+}
+
+function vevent(...lines) {
+    return ['BEGIN:VEVENT', ...lines, 'END:VEVENT'];
+}
+
+function localParts(utcMs) {
+    const date = new Date(utcMs);
+    const pad = (n) => String(n).padStart(2, '0');
+    return { date: getFormattedDateFromDate(date), time: `${pad(date.getHours())}:${pad(date.getMinutes())}` };
+}
+
+describe('ics-parser', () => {
+    // ---------------------------------------------------------------
+    // SPEC: content lines
+    // ---------------------------------------------------------------
+    describe('SPEC: content lines', () => {
+        test('rejects text that is not an iCalendar object', () => {
+            expect(() => parseICS('hello')).toThrow();
+        });
+
+        test('unfolds continuation lines and unescapes text', () => {
+            const { events } = parseICS(calendar(vevent(
+                'UID:a@example.com',
+                'DTSTART:20260301T090000',
+                'DTEND:20260301T100000',
+                'SUMMARY:Quarterly review\\, part 1',
+                'DESCRIPTION:Line one\\nLine ',
+                ' two'
+            )));
+            expect(events[0].title).toBe('Quarterly review, part 1');
+            expect(events[0].description).toBe('Line one\nLine two');
+        });
+
+        test('VALARM triggers before the start become the reminder offsets', () => {
+            const alarm = (...lines) => ['BEGIN:VALARM', 'ACTION:DISPLAY', ...lines, 'END:VALARM'];
+            const { events } = parseICS(calendar(
+                vevent('UID:a', 'SUMMARY:Offsets', 'DTSTART:20260301T090000', 'DTEND:20260301T100000',
+                    ...alarm('TRIGGER:-P1D'), ...alarm('TRIGGER;RELATED=START:-PT15M'), ...alarm('TRIGGER:PT0M'),
+                    ...alarm('TRIGGER;RELATED=END:-PT5M'), ...alarm('TRIGGER;VALUE=DATE-TIME:20260301T080000Z')),
+                vevent('UID:b', 'SUMMARY:Absolute only', 'DTSTART:20260301T110000',
+                    ...alarm('TRIGGER;VALUE=DATE-TIME:20260301T100000Z'))
+            ));
+            expect(events[0]).toEqual(expect.objectContaining({ reminder: true, reminderOffsets: [0, 15, 1440] }));
+            expect(events[1].reminder).toBe(true);
+            expect(events[1]).not.toHaveProperty('reminderOffsets');
+        });
+
+        test('ignores properties of a nested VALARM', () => {
+            const { events } = parseICS(calendar(vevent(
+                'UID:a', 'SUMMARY:Outer', 'DTSTART:20260301T090000', 'DTEND:20260301T100000',
+                'BEGIN:VALARM', 'ACTION:DISPLAY', 'DESCRIPTION:Alarm text', 'TRIGGER:-PT10M', 'END:VALARM'
+            )));
+            expect(events[0].description).toBe('');
+            expect(events[0].reminder).toBe(true);
+        });
+    });
+
+    // ---------------------------------------------------------------
+    // SPEC: dates and times
+    // ---------------------------------------------------------------
+    describe('SPEC: dates and times', () => {
+        test('floating times are taken as local time', () => {
+            const { events } = parseICS(calendar(vevent('UID:a', 'SUMMARY:A', 'DTSTART:20260301T090000', 'DTEND:20260301T103000')));
+            expect(events[0]).toEqual(expect.objectContaining({
+                startDate: '2026-03-01', startTime: '09:00', endTime: '10:30', allDay: false, reminder: false, recurrence: null
+            }));
+            expect(events[0]).not.toHaveProperty('spanDays');
+        });
+
+        test('UTC times are converted to local time', () => {
+            const { events } = parseICS(calendar(vevent('UID:a', 'SUMMARY:A', 'DTSTART:20260301T090000Z', 'DTEND:20260301T100000Z')));
+            const start = localParts(Date.UTC(2026, 2, 1, 9, 0));
+            expect(events[0].startDate).toBe(start.date);
+            expect(events[0].startTime).toBe(start.time);
+        });
+
+        test('TZID times are converted from the named zone, across DST', () => {
+            const { events } = parseICS(calendar(
+                vevent('UID:tokyo', 'SUMMARY:Tokyo', 'DTSTART;TZID=Asia/Tokyo:20260301T090000', 'DTEND;TZID=Asia/Tokyo:20260301T100000'),
+                vevent('UID:ny', 'SUMMARY:New York', 'DTSTART;TZID="America/New_York":20260309T090000', 'DURATION:PT1H')
+            ));
+            const tokyo = events.find(e => e.uid === 'tokyo');
+            const ny = events.find(e => e.uid === 'ny');
+            expect(tokyo.startTime).toBe(localParts(Date.UTC(2026, 2, 1, 0, 0)).time);
+            // 2026-03-09 is after the US switch to EDT (UTC-4)
+            expect(ny.startTime).toBe(localParts(Date.UTC(2026, 2, 9, 13, 0)).time);
+            expect(ny.endTime).toBe(localParts(Date.UTC(2026, 2, 9, 14, 0)).time);
+        });
+
+        test('an unknown TZID falls back to local time', () => {
+            const { date } = parseICSDateTime('20260301T090000', { TZID: 'Tokyo Standard Time' });
+            expect(date.getHours()).toBe(9);
+        });
+
+        test('DATE values become all-day events with an exclusive DTEND', () => {
+            const { events } = parseICS(calendar(
+                vevent('UID:one', 'SUMMARY:One', 'DTSTART;VALUE=DATE:20260301', 'DTEND;VALUE=DATE:20260302'),
+                vevent('UID:three', 'SUMMARY:Three', 'DTSTART;VALUE=DATE:20260310', 'DTEND;VALUE=DATE:20260313', 'BEGIN:VALARM', 'TRIGGER:-PT15M', 'END:VALARM')
+            ));
+            expect(events[0]).toEqual(expect.objectContaining({ uid: 'one', allDay: true, startDate: '2026-03-01' }));
+            expect(events[0]).not.toHaveProperty('spanDays');
+            expect(events[0]).not.toHaveProperty('startTime');
+            expect(events[1]).toEqual(expect.objectContaining({ uid: 'three', allDay: true, spanDays: 2, reminder: false }));
+        });
+
+        test('a timed event ending on a later day gets spanDays', () => {
+            const { events } = parseICS(calendar(vevent('UID:a', 'SUMMARY:Night shift', 'DTSTART:20260301T220000', 'DTEND:20260302T060000')));
+            expect(events[0]).toEqual(expect.objectContaining({ startTime: '22:00', endTime: '06:00', spanDays: 1 }));
+        });
+
+        test('events longer than MAX_EVENT_SPAN_DAYS are skipped', () => {
+            const { events, skipped } = parseICS(calendar(vevent('UID:a', 'SUMMARY:Sabbatical', 'DTSTART;VALUE=DATE:20260101', 'DTEND;VALUE=DATE:20260601')));
+            expect(events).toEqual([]);
+            expect(skipped).toEqual([{ uid: 'a', title: 'Sabbatical', reason: ICS_SKIP_REASONS.SPAN_TOO_LONG }]);
+        });
+
+        test('an event without a readable DTSTART is skipped', () => {
+            const { skipped } = parseICS(calendar(vevent('UID:a', 'SUMMARY:Broken', 'DTSTART:2026-03-01')));
+            expect(skipped[0].reason).toBe(ICS_SKIP_REASONS.MISSING_START);
+        });
+
+        test('parseICSDuration handles weeks, days, times and signs', () => {
+            expect(parseICSDuration('PT1H30M')).toBe(90);
+            expect(parseICSDuration('P1W')).toBe(7 * 24 * 60);
+            expect(parseICSDuration('P1DT2H')).toBe(26 * 60);
+            expect(parseICSDuration('-PT15M')).toBe(-15);
+            expect(() => parseICSDuration('P')).toThrow();
+            expect(() => parseICSDuration('1H')).toThrow();
+        });
+    });
+
+    // ---------------------------------------------------------------
+    // SPEC: recurrence
+    // ---------------------------------------------------------------
+    describe('SPEC: recurrence', () => {
+        test('RRULE and EXDATE map to the stored recurrence shape', () => {
+            const { events } = parseICS(calendar(vevent(
+                'UID:standup', 'SUMMARY:Standup',
+                'DTSTART:20260302T093000', 'DTEND:20260302T094500',
+                'RRULE:FREQ=WEEKLY;BYDAY=MO,WE;UNTIL=20260430T235959Z',
+                'EXDATE:20260304T093000,20260309T093000',
+                'EXDATE;VALUE=DATE:20260311'
+            )));
+            expect(events[0].recurrence).toEqual({
+                rrule: 'FREQ=WEEKLY;BYDAY=MO,WE;UNTIL=20260430T235959Z',
+                startDate: '2026-03-02',
+                exceptions: ['2026-03-04', '2026-03-09', '2026-03-11']
+            });
+        });
+
+        // The occurrences below avoid DST changes, so each lands on the same local weekday
+        test('a series whose TZID start moves to another local day keeps its days and exceptions in step', () => {
+            // Mondays 20:00 in New York (01:00 UTC on Tuesday); the 9th is cancelled and the 16th moved
+            const { events } = parseICS(calendar(
+                vevent('UID:ny', 'SUMMARY:Evening sync', 'DTSTART;TZID=America/New_York:20260202T200000', 'DURATION:PT1H',
+                    'RRULE:FREQ=WEEKLY;BYDAY=MO;COUNT=4', 'EXDATE;TZID=America/New_York:20260209T200000'),
+                vevent('UID:ny', 'RECURRENCE-ID:20260216T200000', 'SUMMARY:Evening sync (moved)',
+                    'DTSTART;TZID=America/New_York:20260217T200000')
+            ));
+            const occurrences = [3, 10, 17, 24].map(day => localParts(Date.UTC(2026, 1, day, 1, 0)).date);
+            const series = events.find(e => e.uid === 'ny');
+
+            expect(series.startDate).toBe(occurrences[0]);
+            expect(series.recurrence.exceptions).toEqual([occurrences[1], occurrences[2]]);
+            expect(expandRRule(parseRRule(series.recurrence.rrule), series.startDate, occurrences[0], occurrences[3]))
+                .toEqual(occurrences);
+            expect(events.find(e => e.uid === `ny@${occurrences[2]}`)).toBeDefined();
+        });
+
+        test('BYMONTHDAY and UNTIL follow a UTC start to its local day', () => {
+            const { events } = parseICS(calendar(vevent(
+                'UID:m', 'SUMMARY:Mid-month report', 'DTSTART:20260115T230000Z',
+                'RRULE:FREQ=MONTHLY;BYMONTHDAY=15;UNTIL=20260315T230000Z'
+            )));
+            const occurrences = [0, 1, 2].map(month => localParts(Date.UTC(2026, month, 15, 23, 0)).date);
+            const { recurrence } = events[0];
+
+            expect(expandRRule(parseRRule(recurrence.rrule), recurrence.startDate, occurrences[0], '2026-12-31'))
+                .toEqual(occurrences);
+        });
+
+        test('an unsupported RRULE skips the event', () => {
+            const { events, skipped } = parseICS(calendar(vevent('UID:a', 'SUMMARY:Hourly', 'DTSTART:20260301T090000', 'RRULE:FREQ=HOURLY')));
+            expect(events).toEqual([]);
+            expect(skipped[0].reason).toBe(ICS_SKIP_REASONS.UNSUPPORTED_RECURRENCE);
+        });
+
+        test('an overridden occurrence is excluded from its series and imported on its own', () => {
+            const { events } = parseICS(calendar(
+                vevent('UID:s', 'SUMMARY:Sync', 'DTSTART:20260302T100000', 'DTEND:20260302T110000', 'RRULE:FREQ=DAILY;COUNT=5'),
+                vevent('UID:s', 'RECURRENCE-ID:20260303T100000', 'SUMMARY:Sync (moved)', 'DTSTART:20260303T150000', 'DTEND:20260303T160000')
+            ));
+            expect(events).toHaveLength(2);
+            expect(events[0].recurrence.exceptions).toEqual(['2026-03-03']);
+            expect(events[1]).toEqual(expect.objectContaining({
+                uid: 's@2026-03-03', title: 'Sync (moved)', startDate: '2026-03-03', startTime: '15:00', recurrence: null
+            }));
+        });
+
+        test('a cancelled occurrence only becomes an exception', () => {
+            const { events, skipped } = parseICS(calendar(
+                vevent('UID:s', 'SUMMARY:Sync', 'DTSTART:20260302T100000', 'RRULE:FREQ=DAILY;COUNT=5'),
+                vevent('UID:s', 'RECURRENCE-ID:20260304T100000', 'STATUS:CANCELLED', 'DTSTART:20260304T100000')
+            ));
+            expect(events).toHaveLength(1);
+            expect(events[0].recurrence.exceptions).toEqual(['2026-03-04']);
+            expect(skipped).toEqual([]);
+        });
+
+        test('a cancelled event is skipped', () => {
+            const { events, skipped } = parseICS(calendar(vevent('UID:a', 'SUMMARY:Gone', 'STATUS:CANCELLED', 'DTSTART:20260301T090000')));
+            expect(events).toEqual([]);
+            expect(skipped[0].reason).toBe(ICS_SKIP_REASONS.CANCELLED);
+        });
+    });
+
+    test('a later VEVENT with the same UID replaces the earlier one', () => {
+        const { events } = parseICS(calendar(
+            vevent('UID:a', 'SUMMARY:Old', 'DTSTART:20260301T090000'),
+            vevent('UID:a', 'SUMMARY:New', 'DTSTART:20260301T100000')
+        ));
+        expect(events.map(e => e.title)).toEqual(['New']);
+    });
+
+    test('events are sorted by start', () => {
+        const { events } = parseICS(calendar(
+            vevent('UID:b', 'SUMMARY:B', 'DTSTART:20260302T090000'),
+            vevent('UID:c', 'SUMMARY:C', 'DTSTART:20260301T130000'),
+            vevent('UID:a', 'SUMMARY:A', 'DTSTART:20260301T080000')
+        ));
+        expect(events.map(e => e.uid)).toEqual(['a', 'c', 'b']);
+    });
+});
@@ -0,0 +1,149 @@
+/**
+ * Tests for ics-writer.js
+ */
+import { buildICS, escapeICSText } from '../../src/lib/ics-writer.js';
+import { parseICS } from '../../src/lib/ics-parser.js';
+
+const now = new Date(Date.UTC(2026, 0, 5, 8, 30, 0));
+
+function unfold(text) {
+    return text.replace(/\r\n[ \t]/g, '');
+}
+
+describe('ics-writer', () => {
+    // ---------------------------------------------------------------
+    // SPEC: calendar structure
+    // ---------------------------------------------------------------
+    describe('SPEC: calendar structure', () => {
+        test('wraps events in a VCALENDAR with CRLF line endings', () => {
+            const ics = buildICS({ events: [], timeZone: 'Asia/Tokyo', now });
+            expect(ics.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n')).toBe(true);
+            expect(ics).toContain('X-WR-TIMEZONE:Asia/Tokyo\r\n');
+            expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true);
+        });
+
+        test('folds long lines at 75 octets without splitting characters', () => {
+            const title = 'あ'.repeat(60);
+            const ics = buildICS({
+                events: [{ event: { id: 'x', title, startTime: '09:00', endTime: '10:00' }, date: '2026-03-01' }],
+                timeZone: null, now
+            });
+            for (const line of ics.split('\r\n')) {
+                expect(new TextEncoder().encode(line).length).toBeLessThanOrEqual(75);
+            }
+            expect(unfold(ics)).toContain(`SUMMARY:${title}`);
+        });
+
+        test('escapes TEXT values', () => {
+            expect(escapeICSText('a;b,c\\d\ne')).toBe('a\\;b\\,c\\\\d\\ne');
+        });
+    });
+
+    // ---------------------------------------------------------------
+    // SPEC: events
+    // ---------------------------------------------------------------
+    describe('SPEC: events', () => {
+        test('timed events use the local zone and keep an imported UID', () => {
+            const ics = unfold(buildICS({
+                events: [
+                    { event: { id: 'local_1', title: 'Talk', startTime: '09:00', endTime: '10:30' }, date: '2026-03-01' },
+                    { event: { id: 'local_2', uid: 'abc@example.com', title: 'Imported', startTime: '13:00', endTime: '14:00' }, date: '2026-03-02' }
+                ],
+                timeZone: 'Asia/Tokyo', now
+            }));
+            expect(ics).toContain('UID:local_1@sidetimetable');
+            expect(ics).toContain('DTSTAMP:20260105T083000Z');
+            expect(ics).toContain('DTSTART;TZID=Asia/Tokyo:20260301T090000');
+            expect(ics).toContain('DTEND;TZID=Asia/Tokyo:20260301T103000');
+            expect(ics).toContain('UID:abc@example.com');
+        });
+
+        test('multi-day timed events end on their last day', () => {
+            const ics = buildICS({
+                events: [{ event: { id: 'n', title: 'Night', startTime: '22:00', endTime: '06:00', spanDays: 1 }, date: '2026-03-01' }],
+                timeZone: null, now
+            });
+            expect(ics).toContain('DTSTART:20260301T220000');
+            expect(ics).toContain('DTEND:20260302T060000');
+        });
+
+        test('all-day events use DATE values with an exclusive end', () => {
+            const ics = buildICS({
+                events: [{ event: { id: 'o', title: 'Offsite', allDay: true, spanDays: 2, reminder: false }, date: '2026-03-30' }],
+                timeZone: 'Asia/Tokyo', now
+            });
+            expect(ics).toContain('DTSTART;VALUE=DATE:20260330');
+            expect(ics).toContain('DTEND;VALUE=DATE:20260402');
+        });
+
+        test('reminders become a VALARM with the configured offset', () => {
+            const ics = buildICS({
+                events: [
+                    { event: { id: 'r', title: 'Call', startTime: '09:00', endTime: '09:30', reminder: true }, date: '2026-03-01' },
+                    { event: { id: 's', title: 'Quiet', startTime: '11:00', endTime: '11:30', reminder: false }, date: '2026-03-01' }
+                ],
+                reminderMinutes: 10, timeZone: null, now
+            });
+            expect(ics.match(/BEGIN:VALARM/g)).toHaveLength(1);
+            expect(ics).toContain('TRIGGER:-PT10M');
+        });
+
+        test('an event with reminder offsets gets a VALARM per offset', () => {
+            const ics = buildICS({
+                events: [{ event: { id: 'r', title: 'Call', startTime: '09:00', endTime: '09:30', reminder: true, reminderOffsets: [1440, 5] }, date: '2026-03-01' }],
+                reminderMinutes: 10, timeZone: null, now
+            });
+            expect(ics.match(/TRIGGER:[^\r]*/g)).toEqual(['TRIGGER:-PT5M', 'TRIGGER:-PT1440M']);
+        });
+
+        test('recurring events carry RRULE and EXDATE', () => {
+            const ics = buildICS({
+                recurringEvents: [
+                    { id: 'w', title: 'Standup', startTime: '09:30', endTime: '09:45',
+                        recurrence: { rrule: 'FREQ=WEEKLY;BYDAY=MO;UNTIL=20260430', startDate: '2026-03-02', exceptions: ['2026-03-16', '2026-03-09'] } },
+                    { id: 'h', title: 'Holiday', allDay: true,
+                        recurrence: { rrule: 'FREQ=YEARLY', startDate: '2026-01-01', exceptions: ['2027-01-01'] } }
+                ],
+                timeZone: 'Asia/Tokyo', now
+            });
+            const untilUtc = new Date(2026, 3, 30, 23, 59, 59).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+            expect(ics).toContain(`RRULE:FREQ=WEEKLY;BYDAY=MO;UNTIL=${untilUtc}`);
+            expect(ics).toContain('EXDATE;TZID=Asia/Tokyo:20260309T093000,20260316T093000');
+            expect(ics).toContain('RRULE:FREQ=YEARLY\r\n');
+            expect(ics).toContain('EXDATE;VALUE=DATE:20270101');
+        });
+
+        test('legacy recurrence objects are converted to RRULE', () => {
+            const ics = buildICS({
+                recurringEvents: [{ id: 'd', title: 'Daily', startTime: '08:00', endTime: '08:15',
+                    recurrence: { type: 'daily', startDate: '2026-03-01', interval: 1 } }],
+                timeZone: null, now
+            });
+            expect(ics).toContain('RRULE:FREQ=DAILY');
+        });
+    });
+
+    test('round-trips through the parser', () => {
+        const ics = buildICS({
+            events: [
+                { event: { id: 'a', title: 'Review, part 1', description: 'Line one\nLine two', startTime: '09:00', endTime: '10:00', reminder: true }, date: '2026-03-01' },
+                { event: { id: 'b', title: 'Offsite', allDay: true, spanDays: 1 }, date: '2026-03-05' },
+                { event: { id: 'd', title: 'Flight', startTime: '07:00', endTime: '09:00', reminder: true, reminderOffsets: [1440, 60, 10] }, date: '2026-03-03' }
+            ],
+            recurringEvents: [
+                { id: 'c', title: 'Standup', startTime: '09:30', endTime: '09:45', reminder: true, reminderOffsets: [15],
+                    recurrence: { rrule: 'FREQ=WEEKLY;BYDAY=MO', startDate: '2026-03-02', exceptions: ['2026-03-09'] } }
+            ],
+            reminderMinutes: 5, timeZone: null, now
+        });
+
+        const { events, skipped } = parseICS(ics);
+        expect(skipped).toEqual([]);
+        expect(events).toEqual([
+            expect.objectContaining({ uid: 'a@sidetimetable', title: 'Review, part 1', description: 'Line one\nLine two', startDate: '2026-03-01', startTime: '09:00', endTime: '10:00', reminder: true, reminderOffsets: [5] }),
+            expect.objectContaining({ uid: 'c@sidetimetable', startDate: '2026-03-02', reminderOffsets: [15], recurrence: { rrule: 'FREQ=WEEKLY;BYDAY=MO', startDate: '2026-03-02', exceptions: ['2026-03-09'] } }),
+            expect.objectContaining({ uid: 'd@sidetimetable', startDate: '2026-03-03', reminder: true, reminderOffsets: [10, 60, 1440] }),
+            expect.objectContaining({ uid: 'b@sidetimetable', allDay: true, startDate: '2026-03-05', spanDays: 1 })
+        ]);
+    });
+});
@@ -0,0 +1,79 @@
+/**
+ * Tests for reminder offsets (per-event reminder times)
+ */
+
+import {
+  MAX_REMINDER_OFFSET_MINUTES,
+  formatReminderOffset,
+  getGoogleEventReminderOffsets,
+  getLocalEventReminderOffsets,
+  normalizeReminderOffsets,
+} from '../../src/lib/reminder-offsets.js';
+
+// Messages as the side panel returns them: the template with $1 left in
+const messages = {
+  durationDay: '1 day', durationDays: '$1 days', durationHour: '1 hour', durationHours: '$1 hours',
+  durationMinutes: '$1 min', reminderOffsetBefore: '$1 before', reminderAtStart: 'At start time',
+};
+const getMessage = key => messages[key] || key;
+
+describe('normalizeReminderOffsets', () => {
+  test('keeps whole minutes in range, once each, nearest the start first', () => {
+    expect(normalizeReminderOffsets([60, 5, 60, -1, 1.5, '10', MAX_REMINDER_OFFSET_MINUTES + 1, 0]))
+      .toEqual([0, 5, 60]);
+  });
+
+  test('keeps at most five offsets', () => {
+    expect(normalizeReminderOffsets([1, 2, 3, 4, 5, 6])).toEqual([1, 2, 3, 4, 5]);
+  });
+
+  test('anything but an array is no offsets', () => {
+    expect(normalizeReminderOffsets(undefined)).toEqual([]);
+  });
+});
+
+describe('getLocalEventReminderOffsets', () => {
+  test('uses the event offsets, or the default without any', () => {
+    expect(getLocalEventReminderOffsets({ reminder: true, reminderOffsets: [1440, 5] }, 10)).toEqual([5, 1440]);
+    expect(getLocalEventReminderOffsets({ reminder: true, reminderOffsets: [] }, 10)).toEqual([10]);
+  });
+
+  test('an event without a reminder has none', () => {
+    expect(getLocalEventReminderOffsets({ reminder: false, reminderOffsets: [5] }, 10)).toEqual([]);
+  });
+});
+
+describe('getGoogleEventReminderOffsets', () => {
+  test('useDefault or no reminders → the default', () => {
+    expect(getGoogleEventReminderOffsets({ reminders: { useDefault: true } }, 10)).toEqual([10]);
+    expect(getGoogleEventReminderOffsets({}, 10)).toEqual([10]);
+  });
+
+  test('overrides → their popup minutes only', () => {
+    const event = { reminders: { useDefault: false, overrides: [
+      { method: 'popup', minutes: 1440 }, { method: 'email', minutes: 60 }, { method: 'popup', minutes: 15 },
+    ] } };
+    expect(getGoogleEventReminderOffsets(event, 10)).toEqual([15, 1440]);
+  });
+
+  test('no overrides with useDefault off → notifications are off', () => {
+    expect(getGoogleEventReminderOffsets({ reminders: { useDefault: false } }, 10)).toEqual([]);
+  });
+});
+
+describe('formatReminderOffset', () => {
+  test.each([
+    [0, 'At start time'],
+    [5, '5 min before'],
+    [60, '1 hour before'],
+    [90, '1 hour 30 min before'],
+    [1440, '1 day before'],
+    [2880 + 120, '2 days 2 hours before'],
+  ])('%i minutes → %s', (minutes, label) => {
+    expect(formatReminderOffset(minutes, getMessage)).toBe(label);
+  });
+
+  test('falls back to English when a message is missing', () => {
+    expect(formatReminderOffset(120, key => key)).toBe('2 hours before');
+  });
+});
@@ -0,0 +1,74 @@
+/**
+ * Tests for reminder quiet hours (quiet hours and focus time)
+ */
+
+import {
+  getFocusBlockEnd,
+  getFocusBlocks,
+  getQuietHoursEnd,
+  getReminderSuppressionEnd,
+} from '../../src/lib/reminder-quiet-hours.js';
+
+const at = (day, hours, minutes = 0) => new Date(2030, 2, day, hours, minutes);
+
+describe('getQuietHoursEnd', () => {
+  test('a window within the day ends the same day', () => {
+    expect(getQuietHoursEnd(at(15, 12, 30), '12:00', '13:00')).toEqual(at(15, 13));
+    expect(getQuietHoursEnd(at(15, 13), '12:00', '13:00')).toBeNull();
+  });
+
+  test('a window crossing midnight ends the next morning', () => {
+    expect(getQuietHoursEnd(at(15, 23), '22:00', '07:00')).toEqual(at(16, 7));
+    expect(getQuietHoursEnd(at(16, 6, 59), '22:00', '07:00')).toEqual(at(16, 7));
+    expect(getQuietHoursEnd(at(16, 12), '22:00', '07:00')).toBeNull();
+  });
+
+  test('an empty or invalid window holds nothing', () => {
+    expect(getQuietHoursEnd(at(15, 22), '22:00', '22:00')).toBeNull();
+    expect(getQuietHoursEnd(at(15, 22), 'late', '07:00')).toBeNull();
+  });
+});
+
+describe('getFocusBlocks', () => {
+  test('keeps timed focus time and out of office only', () => {
+    const event = (eventType, start, end) => ({ eventType, start, end });
+    const blocks = getFocusBlocks([
+      event('outOfOffice', { dateTime: '2030-03-15T13:00:00Z' }, { dateTime: '2030-03-15T17:00:00Z' }),
+      event('focusTime', { dateTime: '2030-03-15T09:00:00Z' }, { dateTime: '2030-03-15T11:00:00Z' }),
+      event('default', { dateTime: '2030-03-15T08:00:00Z' }, { dateTime: '2030-03-15T09:00:00Z' }),
+      event('focusTime', { date: '2030-03-16' }, { date: '2030-03-17' }),
+    ]);
+    expect(blocks).toEqual([
+      { start: Date.parse('2030-03-15T09:00:00Z'), end: Date.parse('2030-03-15T11:00:00Z') },
+      { start: Date.parse('2030-03-15T13:00:00Z'), end: Date.parse('2030-03-15T17:00:00Z') },
+    ]);
+  });
+});
+
+describe('getFocusBlockEnd', () => {
+  const blocks = [{ start: 100, end: 200 }, { start: 200, end: 300 }, { start: 400, end: 500 }];
+
+  test('runs through blocks that follow on directly', () => {
+    expect(getFocusBlockEnd(blocks, 150)).toBe(300);
+  });
+
+  test('between blocks nothing is in progress', () => {
+    expect(getFocusBlockEnd(blocks, 350)).toBeNull();
+  });
+});
+
+describe('getReminderSuppressionEnd', () => {
+  const settings = { quietHoursEnabled: true, quietHoursStart: '22:00', quietHoursEnd: '07:00', suppressRemindersDuringFocus: true };
+
+  test('quiet hours running into a focus block end with the block', () => {
+    const focus = [{ start: at(16, 6).getTime(), end: at(16, 9).getTime() }];
+    expect(getReminderSuppressionEnd(at(15, 23).getTime(), settings, focus)).toBe(at(16, 9).getTime());
+  });
+
+  test('switched-off rules hold nothing', () => {
+    const focus = [{ start: at(15, 11).getTime(), end: at(15, 13).getTime() }];
+    const now = at(15, 12).getTime();
+    expect(getReminderSuppressionEnd(now, settings, focus)).toBe(at(15, 13).getTime());
+    expect(getReminderSuppressionEnd(now, { ...settings, suppressRemindersDuringFocus: false }, focus)).toBeNull();
+  });
+});
@@ -0,0 +1,235 @@
+/**
+ * Tests for rrule.js (RFC 5545 recurrence rule engine)
+ */
+import {
+    parseRRule,
+    formatRRule,
+    expandRRule,
+    occursOn,
+    buildPresetRRule,
+    legacyRecurrenceToRRule,
+    normalizeRecurrence,
+    isLegacyRecurrence,
+    detectRecurrencePreset,
+    validateRecurrence
+} from '../../src/lib/rrule.js';
+import { RECURRENCE_TYPES } from '../../src/lib/constants.js';
+
+describe('rrule', () => {
+    // ---------------------------------------------------------------
+    // SPEC: Parsing
+    // ---------------------------------------------------------------
+    describe('SPEC: parseRRule', () => {
+        test('parses all supported parts', () => {
+            const rule = parseRRule('RRULE:FREQ=MONTHLY;INTERVAL=2;COUNT=5;BYDAY=2TU,-1FR;BYMONTHDAY=1,-1;BYMONTH=3;BYSETPOS=-1;WKST=SU');
+            expect(rule).toEqual({
+                freq: 'MONTHLY',
+                interval: 2,
+                count: 5,
+                until: null,
+                byDay: [{ weekday: 2, ordinal: 2 }, { weekday: 5, ordinal: -1 }],
+                byMonthDay: [1, -1],
+                byMonth: [3],
+                bySetPos: [-1],
+                wkst: 0
+            });
+        });
+
+        test('UNTIL accepts date and date-time forms', () => {
+            expect(parseRRule('FREQ=DAILY;UNTIL=20250610').until).toBe('2025-06-10');
+            expect(parseRRule('FREQ=DAILY;UNTIL=20250610T235959Z').until).toBe('2025-06-10');
+        });
+
+        test('ignores time-of-day and X- parts', () => {
+            expect(() => parseRRule('FREQ=DAILY;BYHOUR=9;BYMINUTE=30;X-FOO=1')).not.toThrow();
+        });
+
+        test.each([
+            ['', 'empty'],
+            ['INTERVAL=2', 'missing FREQ'],
+            ['FREQ=HOURLY', 'unsupported FREQ'],
+            ['FREQ=DAILY;INTERVAL=0', 'zero interval'],
+            ['FREQ=DAILY;COUNT=3;UNTIL=20250101', 'COUNT with UNTIL'],
+            ['FREQ=MONTHLY;BYDAY=0MO', 'zero ordinal'],
+            ['FREQ=MONTHLY;BYMONTHDAY=32', 'day out of range'],
+            ['FREQ=YEARLY;BYWEEKNO=20', 'unsupported part'],
+            ['FREQ=DAILY;UNTIL=20250230', 'impossible UNTIL']
+        ])('rejects %p (%s)', (input) => {
+            expect(() => parseRRule(input)).toThrow();
+        });
+
+        test('formatRRule round-trips a parsed rule', () => {
+            const text = 'FREQ=WEEKLY;INTERVAL=3;UNTIL=20251231;BYDAY=MO,TH;WKST=SU';
+            expect(formatRRule(parseRRule(text))).toBe(text);
+        });
+    });
+
+    // ---------------------------------------------------------------
+    // SPEC: Expansion
+    // ---------------------------------------------------------------
+    describe('SPEC: expandRRule', () => {
+        test('DAILY with INTERVAL', () => {
+            expect(expandRRule('FREQ=DAILY;INTERVAL=2', '2025-06-01', '2025-06-01', '2025-06-07'))
+                .toEqual(['2025-06-01', '2025-06-03', '2025-06-05', '2025-06-07']);
+        });
+
+        test('every 3 weeks on Mon/Thu', () => {
+            // 2025-06-02 is a Monday
+            expect(expandRRule('FREQ=WEEKLY;INTERVAL=3;BYDAY=MO,TH', '2025-06-02', '2025-06-01', '2025-06-30'))
+                .toEqual(['2025-06-02', '2025-06-05', '2025-06-23', '2025-06-26']);
+        });
+
+        test('WEEKLY without BYDAY uses the start weekday', () => {
+            expect(expandRRule('FREQ=WEEKLY', '2025-06-01', '2025-06-01', '2025-06-20'))
+                .toEqual(['2025-06-01', '2025-06-08', '2025-06-15']);
+        });
+
+        test('2nd Tuesday of every month', () => {
+            expect(expandRRule('FREQ=MONTHLY;BYDAY=2TU', '2025-01-01', '2025-01-01', '2025-04-30'))
+                .toEqual(['2025-01-14', '2025-02-11', '2025-03-11', '2025-04-08']);
+        });
+
+        test('last business day of the month', () => {
+            // May 31 2025 is a Saturday → Friday May 30
+            expect(expandRRule('FREQ=MONTHLY;BYDAY=MO,TU,WE,TH,FR;BYSETPOS=-1', '2025-04-01', '2025-04-01', '2025-06-30'))
+                .toEqual(['2025-04-30', '2025-05-30', '2025-06-30']);
+        });
+
+        test('negative BYMONTHDAY counts from the month end', () => {
+            expect(expandRRule('FREQ=MONTHLY;BYMONTHDAY=-1', '2024-01-01', '2024-01-01', '2024-03-31'))
+                .toEqual(['2024-01-31', '2024-02-29', '2024-03-31']);
+        });
+
+        test('MONTHLY on the 31st skips shorter months', () => {
+            expect(expandRRule('FREQ=MONTHLY', '2025-01-31', '2025-01-01', '2025-04-30'))
+                .toEqual(['2025-01-31', '2025-03-31']);
+        });
+
+        test('YEARLY keeps the start month and day; Feb 29 only in leap years', () => {
+            expect(expandRRule('FREQ=YEARLY', '2024-02-29', '2024-01-01', '2028-12-31'))
+                .toEqual(['2024-02-29', '2028-02-29']);
+        });
+
+        test('YEARLY with BYMONTH and an ordinal BYDAY (US Thanksgiving)', () => {
+            expect(expandRRule('FREQ=YEARLY;BYMONTH=11;BYDAY=4TH', '2024-01-01', '2024-01-01', '2025-12-31'))
+                .toEqual(['2024-11-28', '2025-11-27']);
+        });
+
+        test('COUNT limits the series and counts excluded dates', () => {
+            const dates = expandRRule('FREQ=DAILY;COUNT=3', '2025-06-01', '2025-06-01', '2025-06-30', ['2025-06-02']);
+            expect(dates).toEqual(['2025-06-01', '2025-06-03']);
+        });
+
+        test('COUNT is counted from the start even when the range starts later', () => {
+            expect(expandRRule('FREQ=WEEKLY;COUNT=2', '2025-06-01', '2025-06-05', '2025-06-30'))
+                .toEqual(['2025-06-08']);
+        });
+
+        test('UNTIL is inclusive', () => {
+            expect(expandRRule('FREQ=DAILY;UNTIL=20250603', '2025-06-01', '2025-06-01', '2025-06-10'))
+                .toEqual(['2025-06-01', '2025-06-02', '2025-06-03']);
+        });
+
+        test('the start date is not an occurrence unless it matches', () => {
+            // Sunday start, Mon/Wed rule
+            expect(expandRRule('FREQ=WEEKLY;BYDAY=MO,WE', '2025-06-01', '2025-06-01', '2025-06-04'))
+                .toEqual(['2025-06-02', '2025-06-04']);
+        });
+
+        test('nothing before the start date', () => {
+            expect(expandRRule('FREQ=DAILY', '2025-06-10', '2025-06-01', '2025-06-09')).toEqual([]);
+        });
+
+        test('far-future lookups without COUNT do not walk from the start', () => {
+            expect(occursOn('FREQ=DAILY;INTERVAL=7', '1990-01-01', '2090-01-01')).toBe(
+                (Date.UTC(2090, 0, 1) - Date.UTC(1990, 0, 1)) / 86400000 % 7 === 0
+            );
+        });
+
+        test('occursOn honours EXDATE', () => {
+            expect(occursOn('FREQ=DAILY', '2025-06-01', '2025-06-05')).toBe(true);
+            expect(occursOn('FREQ=DAILY', '2025-06-01', '2025-06-05', ['2025-06-05'])).toBe(false);
+        });
+    });
+
+    // ---------------------------------------------------------------
+    // SPEC: Presets & legacy conversion
+    // ---------------------------------------------------------------
+    describe('SPEC: presets and legacy recurrence', () => {
+        test.each([
+            [RECURRENCE_TYPES.DAILY, {}, 'FREQ=DAILY'],
+            [RECURRENCE_TYPES.WEEKDAYS, {}, 'FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR'],
+            [RECURRENCE_TYPES.WEEKLY, { daysOfWeek: [4, 1] }, 'FREQ=WEEKLY;BYDAY=MO,TH'],
+            [RECURRENCE_TYPES.WEEKLY, {}, 'FREQ=WEEKLY;BYDAY=TU'],
+            [RECURRENCE_TYPES.MONTHLY, {}, 'FREQ=MONTHLY;BYMONTHDAY=10'],
+            [RECURRENCE_TYPES.MONTHLY_WEEKDAY, {}, 'FREQ=MONTHLY;BYDAY=2TU'],
+            [RECURRENCE_TYPES.YEARLY, { endDate: '2030-06-10' }, 'FREQ=YEARLY;UNTIL=20300610']
+        ])('buildPresetRRule(%s)', (type, options, expected) => {
+            // 2025-06-10 is the 2nd Tuesday of June
+            expect(buildPresetRRule(type, { startDate: '2025-06-10', ...options })).toBe(expected);
+        });
+
+        test('MONTHLY from the 31st moves to the last day of shorter months', () => {
+            const rrule = buildPresetRRule(RECURRENCE_TYPES.MONTHLY, { startDate: '2025-01-31' });
+            expect(rrule).toBe('FREQ=MONTHLY;BYMONTHDAY=28,29,30,31;BYSETPOS=-1');
+            expect(expandRRule(rrule, '2025-01-31', '2025-01-01', '2025-04-30'))
+                .toEqual(['2025-01-31', '2025-02-28', '2025-03-31', '2025-04-30']);
+        });
+
+        test('a 5th weekday start becomes "last" weekday', () => {
+            // 2025-05-30 is the 5th Friday of May
+            expect(buildPresetRRule(RECURRENCE_TYPES.MONTHLY_WEEKDAY, { startDate: '2025-05-30' }))
+                .toBe('FREQ=MONTHLY;BYDAY=-1FR');
+        });
+
+        test('legacy weekly with interval keeps Sunday-start weeks', () => {
+            expect(legacyRecurrenceToRRule({ type: 'weekly', startDate: '2025-06-02', interval: 2 }))
+                .toBe('FREQ=WEEKLY;INTERVAL=2;BYDAY=MO;WKST=SU');
+        });
+
+        test('legacy end date becomes UNTIL', () => {
+            expect(legacyRecurrenceToRRule({ type: 'weekdays', startDate: '2025-06-01', endDate: '2025-06-06' }))
+                .toBe('FREQ=WEEKLY;UNTIL=20250606;BYDAY=MO,TU,WE,TH,FR');
+        });
+
+        test.each([
+            [{ type: 'none', startDate: '2025-06-01' }],
+            [{ type: 'daily' }],
+            [{ type: 'daily', startDate: '2025-06-01', interval: 0 }],
+            [null]
+        ])('legacy %p does not convert', (recurrence) => {
+            expect(legacyRecurrenceToRRule(recurrence)).toBeNull();
+            expect(normalizeRecurrence(recurrence)).toBeNull();
+        });
+
+        test('normalizeRecurrence converts legacy and keeps exceptions', () => {
+            expect(normalizeRecurrence({ type: 'daily', startDate: '2025-06-01', interval: 1, exceptions: ['2025-06-05'] }))
+                .toEqual({ rrule: 'FREQ=DAILY', startDate: '2025-06-01', exceptions: ['2025-06-05'] });
+        });
+
+        test('normalizeRecurrence leaves RRULE recurrences alone', () => {
+            const recurrence = { rrule: 'FREQ=DAILY', startDate: '2025-06-01', exceptions: [] };
+            expect(normalizeRecurrence(recurrence)).toEqual(recurrence);
+            expect(isLegacyRecurrence(recurrence)).toBe(false);
+            expect(isLegacyRecurrence({ type: 'daily' })).toBe(true);
+        });
+
+        test('detectRecurrencePreset maps rules back to form presets', () => {
+            expect(detectRecurrencePreset({ rrule: 'FREQ=WEEKLY;UNTIL=20251231;BYDAY=TH,MO', startDate: '2025-06-02' }))
+                .toEqual({ type: RECURRENCE_TYPES.WEEKLY, daysOfWeek: [1, 4], endDate: '2025-12-31' });
+            expect(detectRecurrencePreset({ rrule: 'FREQ=MONTHLY;BYDAY=2TU', startDate: '2025-06-10' }).type)
+                .toBe(RECURRENCE_TYPES.MONTHLY_WEEKDAY);
+            expect(detectRecurrencePreset({ type: 'weekdays', startDate: '2025-06-01' }).type)
+                .toBe(RECURRENCE_TYPES.WEEKDAYS);
+            expect(detectRecurrencePreset({ rrule: 'FREQ=DAILY;COUNT=5', startDate: '2025-06-01' }).type)
+                .toBe(RECURRENCE_TYPES.CUSTOM);
+            expect(detectRecurrencePreset(null).type).toBe(RECURRENCE_TYPES.NONE);
+        });
+
+        test('validateRecurrence rejects bad rules and start dates', () => {
+            expect(() => validateRecurrence({ rrule: 'FREQ=DAILY', startDate: '2025-06-01' })).not.toThrow();
+            expect(() => validateRecurrence({ rrule: 'FREQ=SOMETIMES', startDate: '2025-06-01' })).toThrow();
+            expect(() => validateRecurrence({ rrule: 'FREQ=DAILY', startDate: undefined })).toThrow();
+        });
+    });
+});
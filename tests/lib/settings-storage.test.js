@@ -1,7 +1,8 @@
 import {
     saveSettings, loadSettings,
     saveSelectedCalendars, loadSelectedCalendars,
-    saveCalendarGroups, loadCalendarGroups
+    saveCalendarGroups, loadCalendarGroups,
+    saveReminderMutedCalendars, loadReminderMutedCalendars
 } from '../../src/lib/settings-storage.js';
 import { DEFAULT_SETTINGS } from '../../src/lib/constants.js';
 
@@ -81,6 +82,17 @@ describe('settings-storage', () => {
         });
     });
 
+    describe('reminder-muted calendars', () => {
+        test('saves and loads calendar IDs, non-strings dropped', async () => {
+            await saveReminderMutedCalendars(['cal1', 7, 'cal2']);
+            expect(await loadReminderMutedCalendars()).toEqual(['cal1', 'cal2']);
+        });
+
+        test('returns empty array when nothing saved', async () => {
+            expect(await loadReminderMutedCalendars()).toEqual([]);
+        });
+    });
+
     // ---------------------------------------------------------------
     // SPEC: Calendar Groups — sanitization rules
     // - Missing id → dropped, name not string → "Group", name > 50 → truncated
@@ -1,4 +1,4 @@
-import { cleanupObsoleteStorageKeys } from '../../src/lib/storage-cleanup.js';
+import { cleanupObsoleteStorageKeys, isValidLocalKey } from '../../src/lib/storage-cleanup.js';
 import { StorageHelper } from '../../src/lib/storage-helper.js';
 
 describe('cleanupObsoleteStorageKeys', () => {
@@ -112,6 +112,26 @@ describe('cleanupObsoleteStorageKeys', () => {
         expect(remaining).toEqual(validLocalData);
     });
 
+    test('keeps the reminder focus blocks and held reminders', async () => {
+        expect(isValidLocalKey('reminderFocusBlocks')).toBe(true);
+        expect(isValidLocalKey('heldReminders')).toBe(true);
+
+        await StorageHelper.setLocal({ reminderFocusBlocks: [{ start: 1, end: 2 }], heldReminders: [{ title: 'Standup' }] });
+        const result = await cleanupObsoleteStorageKeys();
+
+        expect(result.local.removed).toEqual([]);
+    });
+
+    test('keeps the "show declined events" view setting', async () => {
+        expect(isValidLocalKey('showDeclinedEvents')).toBe(true);
+
+        await StorageHelper.setLocal({ showDeclinedEvents: true });
+        const result = await cleanupObsoleteStorageKeys();
+
+        expect(result.local.removed).toEqual([]);
+        expect(await StorageHelper.getLocal(['showDeclinedEvents'])).toEqual({ showDeclinedEvents: true });
+    });
+
     test('is idempotent - second run removes nothing', async () => {
         await StorageHelper.set({ openTime: '09:00', obsolete: 'value' });
         await StorageHelper.setLocal({ memoContent: 'hi', staleKey: 42 });
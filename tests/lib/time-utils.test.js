@@ -6,6 +6,10 @@ import {
   calculateTimeDifference,
   calculateWorkHours,
   buildRfc3339DateTime,
+  parseDateString,
+  addDays,
+  daysBetween,
+  getMonthGridDates,
 } from '../../src/lib/time-utils.js';
 
 describe('createTimeOnDate', () => {
@@ -193,6 +197,62 @@ describe('isSameDay', () => {
   });
 });
 
+describe('parseDateString', () => {
+  test('returns local midnight of the given date', () => {
+    const result = parseDateString('2025-03-09');
+    expect(result.getFullYear()).toBe(2025);
+    expect(result.getMonth()).toBe(2);
+    expect(result.getDate()).toBe(9);
+    expect(result.getHours()).toBe(0);
+  });
+});
+
+describe('addDays', () => {
+  test('moves across month and year boundaries', () => {
+    const result = addDays(new Date(2025, 11, 31, 22, 0), 1);
+    expect(result.getFullYear()).toBe(2026);
+    expect(result.getMonth()).toBe(0);
+    expect(result.getDate()).toBe(1);
+    expect(result.getHours()).toBe(22);
+  });
+
+  test('goes back with a negative count and does not mutate the input', () => {
+    const base = new Date(2025, 2, 1);
+    const result = addDays(base, -1);
+    expect(result.getMonth()).toBe(1);
+    expect(result.getDate()).toBe(28);
+    expect(base.getDate()).toBe(1);
+  });
+});
+
+describe('daysBetween', () => {
+  test('ignores the time of day', () => {
+    expect(daysBetween(new Date(2025, 5, 15, 23, 0), new Date(2025, 5, 16, 1, 0))).toBe(1);
+    expect(daysBetween(new Date(2025, 5, 15, 1, 0), new Date(2025, 5, 15, 23, 0))).toBe(0);
+  });
+
+  test('is negative when the end is before the start', () => {
+    expect(daysBetween(new Date(2025, 5, 15), new Date(2025, 5, 12))).toBe(-3);
+  });
+
+  test('counts whole days across a month boundary', () => {
+    expect(daysBetween(new Date(2025, 0, 30), new Date(2025, 1, 2))).toBe(3);
+  });
+});
+
+describe('getMonthGridDates', () => {
+  test('starts on the Sunday on or before the 1st and covers six weeks', () => {
+    // 2026-03-01 is a Sunday, 2026-04-01 a Wednesday
+    const march = getMonthGridDates(2026, 2);
+    expect(march).toHaveLength(42);
+    expect(march[0]).toEqual(new Date(2026, 2, 1));
+
+    const april = getMonthGridDates(2026, 3);
+    expect(april[0]).toEqual(new Date(2026, 2, 29));
+    expect(april[41]).toEqual(new Date(2026, 4, 9));
+  });
+});
+
 describe('calculateTimeDifference', () => {
   test('calculates difference between Date objects', () => {
     const start = new Date(2025, 0, 1, 10, 0);
@@ -74,6 +74,41 @@ describe('DateNavigationService', () => {
         });
     });
 
+    // ---------------------------------------------------------------
+    // SPEC: multi-day range — viewDays consecutive days from the current date
+    // ---------------------------------------------------------------
+    describe('SPEC: view days', () => {
+        test('defaults to a single day', () => {
+            expect(service.getViewDays()).toBe(1);
+            expect(service.isMultiDay()).toBe(false);
+            expect(service.getRangeDates()).toHaveLength(1);
+        });
+
+        test('falls back to one day for unsupported values', () => {
+            service.setViewDays(5);
+            expect(service.getViewDays()).toBe(1);
+        });
+
+        test('returns consecutive midnight dates starting at the current date', () => {
+            service.setDate(new Date(2025, 2, 30, 15, 0)); // range crosses a month end
+            service.setViewDays(3);
+            const range = service.getRangeDates();
+            expect(range.map(d => [d.getMonth(), d.getDate(), d.getHours()])).toEqual([
+                [2, 30, 0], [2, 31, 0], [3, 1, 0]
+            ]);
+            expect(service.isMultiDay()).toBe(true);
+        });
+
+        test('rangeIncludesToday checks every displayed day', () => {
+            const yesterday = new Date();
+            yesterday.setDate(yesterday.getDate() - 1);
+            service.setDate(yesterday);
+            expect(service.rangeIncludesToday()).toBe(false);
+            service.setViewDays(3);
+            expect(service.rangeIncludesToday()).toBe(true);
+        });
+    });
+
     // ---------------------------------------------------------------
     // SPEC: advanceToTodayIfNeeded()
     // - true ONLY when: was viewing today AND date rolled past midnight
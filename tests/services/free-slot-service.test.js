@@ -0,0 +1,81 @@
+/**
+ * Tests for FreeSlotService — free time per day for the free-time finder
+ */
+
+jest.mock('../../src/lib/demo-data.js', () => ({
+  isDemoMode: jest.fn(() => false),
+  getDemoLocalEvents: jest.fn(),
+}));
+
+import { FreeSlotService } from '../../src/services/free-slot-service.js';
+import { saveLocalEventsForDate } from '../../src/lib/event-storage.js';
+import { StorageHelper } from '../../src/lib/storage-helper.js';
+
+const now = new Date(2026, 2, 9, 16, 0);
+const at = (date, hours, minutes = 0) => new Date(2026, 2, date, hours, minutes);
+
+describe('FreeSlotService', () => {
+  let service;
+
+  beforeEach(async () => {
+    resetChromeStorage();
+    await StorageHelper.set({
+      recurringEvents: [],
+      openTime: '09:00',
+      closeTime: '18:00',
+      breakTimeFixed: true,
+      breakTimeStart: '12:00',
+      breakTimeEnd: '13:00',
+    });
+    service = new FreeSlotService();
+  });
+
+  // SPEC: one range fetch from today; work hours, break and now from settings
+  test('lists the free slots of each day from today', async () => {
+    await saveLocalEventsForDate([
+      { id: 'l1', title: 'Review', startTime: '09:00', endTime: '11:00' }
+    ], at(10, 0));
+    const fetchGoogleEvents = jest.fn().mockResolvedValue([
+      { id: 'g1', start: { dateTime: at(10, 14).toISOString() }, end: { dateTime: at(10, 18).toISOString() } },
+    ]);
+
+    const days = await service.findSlots(2, 30, fetchGoogleEvents, now);
+
+    expect(fetchGoogleEvents).toHaveBeenCalledWith(at(9, 0), 2);
+    expect(days).toEqual([
+      { date: at(9, 0), slots: [{ start: at(9, 16), end: at(9, 18) }] },
+      { date: at(10, 0), slots: [{ start: at(10, 11), end: at(10, 12) }, { start: at(10, 13), end: at(10, 14) }] },
+    ]);
+  });
+
+  test('uses only local events when Google is not available', async () => {
+    const days = await service.findSlots(1, 60, () => Promise.resolve(null), now);
+    expect(days[0].slots).toEqual([{ start: at(9, 16), end: at(9, 18) }]);
+  });
+
+  test('rejects when the Google fetch fails rather than offer busy time', async () => {
+    await expect(service.findSlots(1, 30, () => Promise.reject(new Error('offline')), now))
+      .rejects.toThrow('offline');
+  });
+
+  test('findSlotsOnDay lists the free slots of one day, not superseded by findSlots', async () => {
+    const fetchGoogleEvents = jest.fn().mockResolvedValue([
+      { id: 'g1', start: { dateTime: at(11, 9).toISOString() }, end: { dateTime: at(11, 17).toISOString() } },
+    ]);
+    const day = service.findSlotsOnDay(at(11, 10), 60, fetchGoogleEvents, now);
+    service.findSlots(1, 30, () => Promise.resolve([]), now);
+
+    expect(await day).toEqual([{ start: at(11, 17), end: at(11, 18) }]);
+    expect(fetchGoogleEvents).toHaveBeenCalledWith(at(11, 0), 1);
+    expect(await service.findSlotsOnDay(at(8, 0), 30, () => Promise.resolve([]), now)).toEqual([]);
+  });
+
+  test('returns null when a newer request has started', async () => {
+    let resolveFirst;
+    const first = service.findSlots(1, 30, () => new Promise(resolve => { resolveFirst = resolve; }), now);
+    const second = service.findSlots(1, 30, () => Promise.resolve([]), now);
+    resolveFirst([]);
+    expect(await first).toBeNull();
+    expect(await second).not.toBeNull();
+  });
+});
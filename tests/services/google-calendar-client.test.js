@@ -1,4 +1,4 @@
-import { AuthenticationError, GoogleCalendarClient } from '../../src/services/google-calendar-client.js';
+import { AuthenticationError, ConflictError, GoogleCalendarClient } from '../../src/services/google-calendar-client.js';
 
 // ---------------------------------------------------------------
 // SPEC: AuthenticationError
@@ -228,6 +228,34 @@ describe('SPEC: respondToEvent', () => {
     await expect(client.respondToEvent('cal1', 'evt1', 'accepted'))
       .rejects.toThrow('Self attendee not found in event');
   });
+
+  describe('note and joining choice', () => {
+    const respond = async (response, options, selfAttendee = { self: true, responseStatus: 'needsAction' }) => {
+      global.fetch = jest.fn()
+        .mockResolvedValueOnce({ ok: true, json: () => Promise.resolve({ attendees: [selfAttendee] }) })
+        .mockResolvedValueOnce({ ok: true, json: () => Promise.resolve({}) });
+      await client.respondToEvent('cal1', 'evt1', response, options);
+      return JSON.parse(global.fetch.mock.calls[1][1].body);
+    };
+
+    test('sends the trimmed note as the self attendee comment', async () => {
+      const body = await respond('declined', { comment: '  Proposed new time: 14:00 - 15:00 ' });
+      expect(body.attendees[0]).toEqual({ self: true, responseStatus: 'declined', comment: 'Proposed new time: 14:00 - 15:00' });
+    });
+
+    test('a blank note removes the previous one; no note keeps it', async () => {
+      const previous = { self: true, responseStatus: 'tentative', comment: 'Maybe late' };
+      expect((await respond('accepted', { comment: ' ' }, { ...previous })).attendees[0]).not.toHaveProperty('comment');
+      expect((await respond('accepted', {}, { ...previous })).attendees[0].comment).toBe('Maybe late');
+    });
+
+    test('saves the joining choice only with an acceptance', async () => {
+      expect((await respond('accepted', { attendanceMode: 'virtual' })).extendedProperties)
+        .toEqual({ private: { sideTimeTableAttendance: 'virtual' } });
+      expect(await respond('tentative', { attendanceMode: 'virtual' })).not.toHaveProperty('extendedProperties');
+      expect(await respond('accepted', { attendanceMode: 'teleport' })).not.toHaveProperty('extendedProperties');
+    });
+  });
 });
 
 // ---------------------------------------------------------------
@@ -334,6 +362,19 @@ describe('SPEC: createEvent', () => {
     expect(JSON.parse(options.body).conferenceData.createRequest.conferenceSolutionKey.type).toBe('hangoutsMeet');
   });
 
+  test('sends sendUpdates alongside conferenceDataVersion, ignoring unknown values', async () => {
+    global.fetch = jest.fn().mockResolvedValue({
+      ok: true, status: 200, json: () => Promise.resolve({ id: 'e' }),
+    });
+
+    await client.createEvent('cal1', { ...validResource(), conferenceData: {} }, { sendUpdates: 'externalOnly' });
+    await client.createEvent('cal1', validResource(), { sendUpdates: 'everyone' });
+
+    expect(global.fetch.mock.calls[0][0])
+      .toBe('https://www.googleapis.com/calendar/v3/calendars/cal1/events?conferenceDataVersion=1&sendUpdates=externalOnly');
+    expect(global.fetch.mock.calls[1][0]).toBe('https://www.googleapis.com/calendar/v3/calendars/cal1/events');
+  });
+
   test('classifies a 403 response as an authentication error', async () => {
     global.fetch = jest.fn().mockResolvedValue({
       ok: false,
@@ -471,6 +512,17 @@ describe('SPEC: patchEvent', () => {
       expect(options.body).toBe('{}');
     });
   });
+
+  test('sends sendUpdates as a query parameter', async () => {
+    global.fetch = jest.fn().mockResolvedValue({
+      ok: true, status: 200, json: () => Promise.resolve({ id: 'evt1' }),
+    });
+
+    await client.patchEvent('cal1', 'evt1', patchBody(), { sendUpdates: 'all' });
+
+    expect(global.fetch.mock.calls[0][0])
+      .toBe('https://www.googleapis.com/calendar/v3/calendars/cal1/events/evt1?sendUpdates=all');
+  });
 });
 
 // ---------------------------------------------------------------
@@ -611,3 +663,649 @@ describe('SPEC: getCalendarList', () => {
     ]);
   });
 });
+
+// ---------------------------------------------------------------
+// SPEC: getCalendarEventsForIds (multi-day range)
+// - One events.list request per calendar covers the whole range
+// - timeMin is the first day's 00:00, timeMax the last day's 23:59:59.999
+// ---------------------------------------------------------------
+describe('SPEC: getCalendarEventsForIds range', () => {
+  let client;
+  let originalFetch;
+
+  beforeEach(() => {
+    resetChromeStorage();
+    client = new GoogleCalendarClient();
+    originalFetch = global.fetch;
+    chrome.identity.getAuthToken.mockReset();
+    chrome.identity.getAuthToken.mockImplementation((opts, cb) => cb('test-token'));
+    global.fetch = jest.fn((url) => Promise.resolve({
+      ok: true,
+      status: 200,
+      json: () => Promise.resolve(url.includes('/calendarList')
+        ? { items: [{ id: 'a@x.com', accessRole: 'owner' }] }
+        : { items: [{ id: 'evt', start: { dateTime: '2026-03-10T09:00:00Z' }, end: { dateTime: '2026-03-10T10:00:00Z' } }] })
+    }));
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+  });
+
+  test('fetches a week with one request per calendar', async () => {
+    const events = await client.getCalendarEventsForIds(new Date(2026, 2, 9, 15, 0), ['a@x.com', 'b@x.com'], 7);
+
+    const eventUrls = global.fetch.mock.calls.map(([url]) => url).filter(url => url.includes('/events?'));
+    expect(eventUrls).toHaveLength(2);
+
+    const params = new URL(eventUrls[0]).searchParams;
+    expect(params.get('timeMin')).toBe(new Date(2026, 2, 9, 0, 0, 0, 0).toISOString());
+    expect(params.get('timeMax')).toBe(new Date(2026, 2, 15, 23, 59, 59, 999).toISOString());
+    expect(params.get('maxResults')).toBe('2500');
+    expect(params.get('showDeleted')).toBe('true');
+
+    expect(events.map(e => e.calendarId)).toEqual(['a@x.com', 'b@x.com']);
+  });
+
+  test('defaults to the single target day', async () => {
+    await client.getCalendarEventsForIds(new Date(2026, 2, 9, 15, 0), ['a@x.com']);
+
+    const [eventUrl] = global.fetch.mock.calls.map(([url]) => url).filter(url => url.includes('/events?'));
+    expect(new URL(eventUrl).searchParams.get('timeMax')).toBe(new Date(2026, 2, 9, 23, 59, 59, 999).toISOString());
+  });
+});
+
+// ---------------------------------------------------------------
+// SPEC: decorateEvents — cancelled and declined events
+// - Dropped by default
+// - Kept with includeDeclined, except cancelled occurrences without times
+// ---------------------------------------------------------------
+describe('SPEC: decorateEvents', () => {
+  const client = new GoogleCalendarClient();
+  const calendarList = [{ id: 'me@x.com', accessRole: 'owner', backgroundColor: '#123456' }];
+  const times = { start: { dateTime: '2026-03-10T09:00:00Z' }, end: { dateTime: '2026-03-10T10:00:00Z' } };
+  const results = () => [{
+    calendarId: 'me@x.com',
+    events: [
+      { id: 'kept', calendarId: 'me@x.com', ...times },
+      { id: 'declined', calendarId: 'me@x.com', ...times, attendees: [{ self: true, responseStatus: 'declined' }] },
+      { id: 'cancelled', calendarId: 'me@x.com', ...times, status: 'cancelled' },
+      { id: 'deleted-occurrence', calendarId: 'me@x.com', status: 'cancelled', recurringEventId: 'series' },
+    ],
+  }];
+
+  test('drops the cancelled and declined events', () => {
+    expect(client.decorateEvents(results(), calendarList).map(e => e.id)).toEqual(['kept']);
+  });
+
+  test('keeps them, decorated, with includeDeclined', () => {
+    const events = client.decorateEvents(results(), calendarList, { includeDeclined: true });
+
+    expect(events.map(e => e.id)).toEqual(['kept', 'declined', 'cancelled']);
+    expect(events[1]).toMatchObject({ calendarBackgroundColor: '#123456', isOwnedCalendar: true });
+  });
+});
+
+// ---------------------------------------------------------------
+// SPEC: syncCalendarEvents — incremental sync with syncToken
+// ---------------------------------------------------------------
+describe('SPEC: syncCalendarEvents', () => {
+  let client;
+  let originalFetch;
+  let pages;
+
+  const timed = (id, hours, extra = {}) => {
+    const start = new Date();
+    start.setHours(hours, 0, 0, 0);
+    const end = new Date(start.getTime() + 60 * 60 * 1000);
+    return { id, start: { dateTime: start.toISOString() }, end: { dateTime: end.toISOString() }, ...extra };
+  };
+  const respond = (body, status = 200) => ({
+    ok: status >= 200 && status < 300,
+    status,
+    statusText: status === 410 ? 'Gone' : 'OK',
+    json: () => Promise.resolve(body),
+  });
+
+  beforeEach(() => {
+    resetChromeStorage();
+    client = new GoogleCalendarClient();
+    originalFetch = global.fetch;
+    chrome.identity.getAuthToken.mockReset();
+    chrome.identity.getAuthToken.mockImplementation((opts, cb) => cb('test-token'));
+    pages = [];
+    global.fetch = jest.fn(() => Promise.resolve(pages.shift()));
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+  });
+
+  const requestParams = (index) => new URL(global.fetch.mock.calls[index][0]).searchParams;
+
+  test('first sync lists the whole window across pages and keeps the sync token', async () => {
+    pages.push(
+      respond({ items: [timed('a', 9)], nextPageToken: 'p2' }),
+      respond({ items: [timed('b', 11)], nextSyncToken: 'token-1' }),
+    );
+
+    const result = await client.syncCalendarEvents('primary');
+
+    expect(result.fullSync).toBe(true);
+    expect(result.events.map(e => e.id)).toEqual(['a', 'b']);
+    expect(requestParams(0).get('timeMin')).toBeTruthy();
+    expect(requestParams(0).get('syncToken')).toBeNull();
+    expect(requestParams(1).get('pageToken')).toBe('p2');
+
+    const stored = await chrome.storage.local.get(['googleSync_primary']);
+    expect(stored.googleSync_primary.syncToken).toBe('token-1');
+  });
+
+  test('later syncs send the token and apply only the changes', async () => {
+    pages.push(respond({ items: [timed('a', 9), timed('b', 11)], nextSyncToken: 'token-1' }));
+    const first = await client.syncCalendarEvents('primary');
+
+    pages.push(respond({ items: [{ id: 'a', status: 'cancelled' }, timed('c', 14)], nextSyncToken: 'token-2' }));
+    const second = await client.syncCalendarEvents('primary');
+
+    expect(requestParams(1).get('syncToken')).toBe('token-1');
+    expect(requestParams(1).get('timeMin')).toBeNull();
+    expect(second.fullSync).toBe(false);
+    expect(second.changes).toHaveLength(2);
+    expect(second.events.map(e => e.id).sort()).toEqual(['b', 'c']);
+    expect(second.lastChangeAt).toBeGreaterThanOrEqual(first.lastChangeAt);
+  });
+
+  test('instances a delta reports beyond the window are not kept', async () => {
+    pages.push(respond({ items: [timed('a', 9)], nextSyncToken: 'token-1' }));
+    await client.syncCalendarEvents('primary');
+
+    // An edit to a long weekly series comes back as all of its instances
+    const instance = (id, days) => {
+      const event = timed(id, 9);
+      const shift = (value) => new Date(new Date(value).getTime() + days * 24 * 60 * 60 * 1000).toISOString();
+      return { ...event, start: { dateTime: shift(event.start.dateTime) }, end: { dateTime: shift(event.end.dateTime) } };
+    };
+    pages.push(respond({ items: [instance('series_1', 7), instance('series_2', 300)], nextSyncToken: 'token-2' }));
+    const result = await client.syncCalendarEvents('primary');
+
+    expect(result.events.map(e => e.id).sort()).toEqual(['a', 'series_1']);
+    const stored = await chrome.storage.local.get(['googleSync_primary']);
+    expect(Object.keys(stored.googleSync_primary.events).sort()).toEqual(['a', 'series_1']);
+  });
+
+  test('an empty delta leaves lastChangeAt unchanged', async () => {
+    pages.push(respond({ items: [timed('a', 9)], nextSyncToken: 'token-1' }));
+    const first = await client.syncCalendarEvents('primary');
+
+    pages.push(respond({ items: [], nextSyncToken: 'token-2' }));
+    const second = await client.syncCalendarEvents('primary');
+
+    expect(second.changes).toEqual([]);
+    expect(second.lastChangeAt).toBe(first.lastChangeAt);
+  });
+
+  test('410 Gone drops the token and runs a full sync', async () => {
+    const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    pages.push(respond({ items: [timed('a', 9)], nextSyncToken: 'token-1' }));
+    await client.syncCalendarEvents('primary');
+
+    pages.push(respond({}, 410), respond({ items: [timed('z', 8)], nextSyncToken: 'token-fresh' }));
+    const result = await client.syncCalendarEvents('primary');
+
+    expect(result.fullSync).toBe(true);
+    expect(result.events.map(e => e.id)).toEqual(['z']);
+    expect(requestParams(2).get('syncToken')).toBeNull();
+    warnSpy.mockRestore();
+    errorSpy.mockRestore();
+  });
+
+  test('a mirror that does not fit in storage is dropped, so the next sync is a full one', async () => {
+    const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    await chrome.storage.local.set({ googleSync_primary: { syncToken: 'stale' } });
+    const setSpy = jest.spyOn(chrome.storage.local, 'set').mockImplementationOnce((data, callback) => {
+      chrome.runtime.lastError = { message: 'QUOTA_BYTES quota exceeded' };
+      callback();
+      chrome.runtime.lastError = null;
+    });
+    pages.push(respond({ items: [timed('a', 9)], nextSyncToken: 'token-1' }));
+
+    const first = await client.syncCalendarEvents('primary');
+
+    expect(first.events.map(e => e.id)).toEqual(['a']);
+    expect(await chrome.storage.local.get(['googleSync_primary'])).toEqual({});
+
+    pages.push(respond({ items: [timed('a', 9)], nextSyncToken: 'token-2' }));
+    const second = await client.syncCalendarEvents('primary');
+
+    expect(second.fullSync).toBe(true);
+    expect(requestParams(1).get('syncToken')).toBeNull();
+    setSpy.mockRestore();
+    warnSpy.mockRestore();
+  });
+
+  test('other storage failures still reject', async () => {
+    const setSpy = jest.spyOn(chrome.storage.local, 'set').mockImplementationOnce((data, callback) => {
+      chrome.runtime.lastError = { message: 'IO error' };
+      callback();
+      chrome.runtime.lastError = null;
+    });
+    pages.push(respond({ items: [timed('a', 9)], nextSyncToken: 'token-1' }));
+
+    await expect(client.syncCalendarEvents('primary')).rejects.toEqual({ message: 'IO error' });
+    setSpy.mockRestore();
+  });
+
+  test('getPrimaryCalendarEvents reads today from the mirror without cancelled or declined events', async () => {
+    pages.push(respond({
+      items: [
+        timed('late', 15),
+        timed('early', 9),
+        timed('declined', 10, { attendees: [{ self: true, responseStatus: 'declined' }] }),
+      ],
+      nextSyncToken: 'token-1',
+    }));
+
+    const events = await client.getPrimaryCalendarEvents(new Date());
+
+    expect(events.map(e => e.id)).toEqual(['early', 'late']);
+  });
+
+  describe('getReminderCalendarEvents', () => {
+    const calendarOf = (url) => decodeURIComponent(new URL(url).pathname.split('/')[4]);
+
+    beforeEach(async () => {
+      await chrome.storage.sync.set({ selectedCalendars: ['me@x.com', 'team@x.com', 'muted@x.com'], reminderMutedCalendars: ['muted@x.com'] });
+    });
+
+    test('reads the selected calendars except the muted ones, each event once', async () => {
+      const shared = timed('mine', 10, { iCalUID: 'meeting@google.com' });
+      const byCalendar = {
+        'me@x.com': [shared],
+        'team@x.com': [{ ...shared, id: 'teamcopy' }, timed('standup', 9)],
+      };
+      global.fetch = jest.fn((url) => Promise.resolve(respond({ items: byCalendar[calendarOf(url)], nextSyncToken: 't' })));
+
+      const events = await client.getReminderCalendarEvents(new Date(), 2);
+
+      expect(global.fetch.mock.calls.map(([url]) => calendarOf(url)).sort()).toEqual(['me@x.com', 'team@x.com']);
+      expect(events.map(e => e.id).sort()).toEqual(['mine', 'standup']);
+    });
+
+    test('skips a calendar that is gone, but fails on other errors', async () => {
+      const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+      const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      let teamStatus = 404;
+      global.fetch = jest.fn((url) => Promise.resolve(calendarOf(url) === 'team@x.com'
+        ? respond({}, teamStatus)
+        : respond({ items: [timed('mine', 10)], nextSyncToken: 't' })));
+
+      expect((await client.getReminderCalendarEvents(new Date())).map(e => e.id)).toEqual(['mine']);
+
+      teamStatus = 500;
+      await expect(client.getReminderCalendarEvents(new Date())).rejects.toThrow(/500/);
+      errorSpy.mockRestore();
+      warnSpy.mockRestore();
+    });
+  });
+
+  test('clearSyncState removes every mirror', async () => {
+    await chrome.storage.local.set({ googleSync_primary: {}, 'googleSync_b@x.com': {}, memoContent: 'keep' });
+
+    await client.clearSyncState();
+
+    const all = await chrome.storage.local.get(null);
+    expect(Object.keys(all)).toEqual(['memoContent']);
+  });
+});
+
+// ---------------------------------------------------------------
+// SPEC: queryFreeBusy(calendarIds, timeMin, timeMax)
+// - POSTs {timeMin, timeMax, items: [{id}]} to /freeBusy
+// - Asks for the calendar.freebusy scope (interactively, on first use)
+// - Returns the response's `calendars` map
+// ---------------------------------------------------------------
+describe('SPEC: queryFreeBusy', () => {
+  let client;
+  let originalFetch;
+
+  beforeEach(() => {
+    client = new GoogleCalendarClient();
+    originalFetch = global.fetch;
+    chrome.identity.getAuthToken.mockReset();
+    chrome.identity.getAuthToken.mockImplementation((opts, cb) => cb('freebusy-token'));
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+  });
+
+  const timeMin = new Date('2026-03-10T00:00:00Z');
+  const timeMax = new Date('2026-03-11T00:00:00Z');
+
+  test('POSTs the calendars and range and returns the busy times', async () => {
+    const calendars = {
+      'me@example.com': { busy: [{ start: '2026-03-10T01:00:00Z', end: '2026-03-10T02:00:00Z' }] },
+      'guest@example.com': { errors: [{ domain: 'global', reason: 'notFound' }], busy: [] },
+    };
+    global.fetch = jest.fn().mockResolvedValue({
+      ok: true, status: 200, json: () => Promise.resolve({ kind: 'calendar#freeBusy', calendars }),
+    });
+
+    const result = await client.queryFreeBusy(['me@example.com', 'guest@example.com'], timeMin, timeMax);
+
+    expect(result).toEqual(calendars);
+    const [url, options] = global.fetch.mock.calls[0];
+    expect(url).toBe('https://www.googleapis.com/calendar/v3/freeBusy');
+    expect(options.method).toBe('POST');
+    expect(options.headers.Authorization).toBe('Bearer freebusy-token');
+    expect(JSON.parse(options.body)).toEqual({
+      timeMin: '2026-03-10T00:00:00.000Z',
+      timeMax: '2026-03-11T00:00:00.000Z',
+      items: [{ id: 'me@example.com' }, { id: 'guest@example.com' }],
+    });
+    expect(chrome.identity.getAuthToken).toHaveBeenCalledWith(
+      { interactive: true, scopes: ['https://www.googleapis.com/auth/calendar.freebusy'] },
+      expect.any(Function)
+    );
+  });
+
+  test('throws "Missing required parameters" without calendars', async () => {
+    await expect(client.queryFreeBusy([], timeMin, timeMax)).rejects.toThrow('Missing required parameters');
+  });
+
+  test('a declined permission is an authentication error', async () => {
+    chrome.identity.getAuthToken.mockImplementation((opts, cb) => cb(undefined));
+    global.fetch = jest.fn();
+
+    await expect(client.queryFreeBusy(['me@example.com'], timeMin, timeMax))
+      .rejects.toBeInstanceOf(AuthenticationError);
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+});
+
+// ---------------------------------------------------------------
+// SPEC: updateRecurringEvent / deleteRecurringEvent
+// - 'this' writes the occurrence itself
+// - 'all' (or any scope at the first occurrence) writes the series
+// - 'following' ends the series before the occurrence; an edit then inserts
+//   a new series, and a failed insert puts the old recurrence back
+// ---------------------------------------------------------------
+describe('SPEC: recurring event updates', () => {
+  let client;
+  let originalFetch;
+
+  const BASE = 'https://www.googleapis.com/calendar/v3/calendars/cal1/events';
+  const series = {
+    id: 'series1',
+    summary: 'Weekly sync',
+    start: { dateTime: '2026-10-05T09:00:00Z', timeZone: 'UTC' },
+    end: { dateTime: '2026-10-05T10:00:00Z', timeZone: 'UTC' },
+    recurrence: ['RRULE:FREQ=WEEKLY;COUNT=10'],
+  };
+  const occurrence = (originalStart) => ({
+    id: `series1_${originalStart.replace(/[-:]/g, '')}`,
+    recurringEventId: 'series1',
+    originalStartTime: { dateTime: originalStart },
+    start: { dateTime: originalStart },
+    end: { dateTime: new Date(new Date(originalStart).getTime() + 3600000).toISOString() },
+  });
+  const patch = {
+    summary: 'Renamed',
+    start: { dateTime: '2026-10-19T09:30:00Z' },
+    end: { dateTime: '2026-10-19T10:30:00Z' },
+  };
+  const json = (body) => ({ ok: true, status: 200, json: () => Promise.resolve(body) });
+
+  // Answers GETs with the given events and other calls from `writes`
+  function mockApi(events, writes = () => json({ id: 'written' })) {
+    global.fetch = jest.fn((url, options = {}) => {
+      if (!options.method) {
+        const id = decodeURIComponent(url.split('/events/')[1]);
+        return Promise.resolve(json(events[id]));
+      }
+      return Promise.resolve(writes(url, options));
+    });
+  }
+  const writeCalls = () => global.fetch.mock.calls
+    .filter(([, options]) => options && options.method)
+    .map(([url, options]) => [options.method, url.replace(BASE, ''), options.body && JSON.parse(options.body)]);
+
+  beforeEach(() => {
+    client = new GoogleCalendarClient();
+    originalFetch = global.fetch;
+    chrome.identity.getAuthToken.mockReset();
+    chrome.identity.getAuthToken.mockImplementation((opts, cb) => cb('test-token'));
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+  });
+
+  test('rejects an unknown scope', async () => {
+    global.fetch = jest.fn();
+    await expect(client.updateRecurringEvent('cal1', 'e1', patch, 'some')).rejects.toThrow('Invalid recurring scope');
+    await expect(client.deleteRecurringEvent('cal1', 'e1', 'some')).rejects.toThrow('Invalid recurring scope');
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+
+  test("'this' patches the occurrence only", async () => {
+    mockApi({});
+    await client.updateRecurringEvent('cal1', 'occ1', patch, 'this', { sendUpdates: 'all' });
+    expect(writeCalls()).toEqual([['PATCH', '/occ1?sendUpdates=all', patch]]);
+  });
+
+  test("'all' patches the series, moving it by as much as the occurrence moved", async () => {
+    const occ = occurrence('2026-10-19T09:00:00Z');
+    mockApi({ [occ.id]: occ, series1: series });
+    await client.updateRecurringEvent('cal1', occ.id, patch, 'all');
+    expect(writeCalls()).toEqual([['PATCH', '/series1', {
+      summary: 'Renamed',
+      start: { dateTime: '2026-10-05T09:30:00.000Z', timeZone: 'UTC' },
+      end: { dateTime: '2026-10-05T10:30:00.000Z', timeZone: 'UTC' },
+    }]]);
+  });
+
+  test("'following' ends the series and inserts a new one from the occurrence", async () => {
+    const occ = occurrence('2026-10-19T09:00:00Z');
+    mockApi({ [occ.id]: occ, series1: series });
+    await client.updateRecurringEvent('cal1', occ.id, patch, 'following', { sendUpdates: 'none' });
+
+    const [truncate, insert] = writeCalls();
+    expect(truncate[0]).toBe('PATCH');
+    expect(truncate[1]).toBe('/series1?sendUpdates=none');
+    expect(truncate[2].recurrence[0]).toMatch(/^RRULE:FREQ=WEEKLY;UNTIL=\d{8}T\d{6}Z$/);
+    expect(insert[0]).toBe('POST');
+    expect(insert[1]).toBe('?sendUpdates=none');
+    expect(insert[2]).toMatchObject({
+      summary: 'Renamed',
+      start: { dateTime: '2026-10-19T09:30:00Z', timeZone: 'UTC' },
+      recurrence: [expect.stringMatching(/^RRULE:FREQ=WEEKLY;COUNT=\d+$/)],
+    });
+  });
+
+  test("'following' at the first occurrence patches the whole series", async () => {
+    const occ = occurrence('2026-10-05T09:00:00Z');
+    mockApi({ [occ.id]: occ, series1: series });
+    await client.updateRecurringEvent('cal1', occ.id, { summary: 'Renamed', ...occ }, 'following');
+    const calls = writeCalls();
+    expect(calls).toHaveLength(1);
+    expect(calls[0][1]).toBe('/series1');
+  });
+
+  test('a failed insert restores the series recurrence and rethrows', async () => {
+    const occ = occurrence('2026-10-19T09:00:00Z');
+    mockApi({ [occ.id]: occ, series1: series }, (url, options) => (options.method === 'POST'
+      ? { ok: false, status: 500, statusText: 'Server Error', text: () => Promise.resolve('') }
+      : json({})));
+    await expect(client.updateRecurringEvent('cal1', occ.id, patch, 'following'))
+      .rejects.toThrow(/Insert Event API error: 500/);
+    const calls = writeCalls();
+    expect(calls[2]).toEqual(['PATCH', '/series1', { recurrence: series.recurrence }]);
+  });
+
+  test.each(['all', 'following'])("'%s' with an etag the occurrence no longer has throws ConflictError and writes nothing", async (scope) => {
+    const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const occ = { ...occurrence('2026-10-19T09:00:00Z'), etag: '"5"' };
+    mockApi({ [occ.id]: occ, series1: series });
+
+    await expect(client.updateRecurringEvent('cal1', occ.id, patch, scope, { etag: '"4"' })).rejects.toBeInstanceOf(ConflictError);
+    await expect(client.deleteRecurringEvent('cal1', occ.id, scope, { etag: '"4"' })).rejects.toBeInstanceOf(ConflictError);
+    expect(writeCalls()).toEqual([]);
+    warnSpy.mockRestore();
+  });
+
+  test.each(['all', 'following'])("'%s' with a matching etag writes the series against its own etag", async (scope) => {
+    const occ = { ...occurrence('2026-10-19T09:00:00Z'), etag: '"5"' };
+    mockApi({ [occ.id]: occ, series1: { ...series, etag: '"9"' } }, () => ({ ok: true, status: 204, json: () => Promise.resolve({ id: 'written' }) }));
+
+    await client.updateRecurringEvent('cal1', occ.id, patch, scope, { etag: '"5"' });
+    await client.deleteRecurringEvent('cal1', occ.id, scope, { etag: '"5"' });
+
+    const seriesWrites = global.fetch.mock.calls.filter(([url, options]) => options?.method && url.endsWith('/series1'));
+    expect(seriesWrites.length).toBeGreaterThanOrEqual(2);
+    seriesWrites.forEach(([, options]) => expect(options.headers).toMatchObject({ 'If-Match': '"9"' }));
+  });
+
+  test('rejects an event that is not an occurrence', async () => {
+    mockApi({ single: { id: 'single', start: { dateTime: '2026-10-19T09:00:00Z' } } });
+    await expect(client.updateRecurringEvent('cal1', 'single', patch, 'all'))
+      .rejects.toThrow('Not an occurrence of a recurring event');
+  });
+
+  test.each([
+    ['this', '2026-10-19T09:00:00Z', 'DELETE', '/series1_20261019T090000Z'],
+    ['all', '2026-10-19T09:00:00Z', 'DELETE', '/series1'],
+    ['following', '2026-10-05T09:00:00Z', 'DELETE', '/series1'],
+    ['following', '2026-10-19T09:00:00Z', 'PATCH', '/series1'],
+  ])("deleting with '%s' at %s sends %s %s", async (scope, originalStart, method, path) => {
+    const occ = occurrence(originalStart);
+    mockApi({ [occ.id]: occ, series1: series }, () => ({ ok: true, status: 204, json: () => Promise.resolve({}) }));
+    await client.deleteRecurringEvent('cal1', occ.id, scope);
+    const calls = writeCalls();
+    expect(calls).toHaveLength(1);
+    expect(calls[0].slice(0, 2)).toEqual([method, path]);
+    if (method === 'PATCH') {
+      expect(calls[0][2].recurrence[0]).toMatch(/^RRULE:FREQ=WEEKLY;UNTIL=/);
+    }
+  });
+});
+
+// ---------------------------------------------------------------
+// SPEC: If-Match (optimistic concurrency)
+// - patchEvent/deleteEvent send the given etag as If-Match
+// - 412 throws ConflictError; other failures keep their classification
+// - recurring writes send the etag for 'this'; 'all' / 'following' compare it with the
+//   occurrence and write the series against the series' etag
+// ---------------------------------------------------------------
+describe('SPEC: If-Match conflicts', () => {
+  let client;
+  let originalFetch;
+
+  beforeEach(() => {
+    client = new GoogleCalendarClient();
+    originalFetch = global.fetch;
+    chrome.identity.getAuthToken.mockReset();
+    chrome.identity.getAuthToken.mockImplementation((opts, cb) => cb('test-token'));
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+  });
+
+  const ok = () => ({ ok: true, status: 200, json: () => Promise.resolve({ id: 'e1' }) });
+  const preconditionFailed = () => ({
+    ok: false,
+    status: 412,
+    statusText: 'Precondition Failed',
+    text: () => Promise.resolve('conditionNotMet'),
+  });
+
+  test('patchEvent sends the etag as If-Match', async () => {
+    global.fetch = jest.fn().mockResolvedValue(ok());
+    await client.patchEvent('c1', 'e1', { summary: 'x' }, { etag: '"3"' });
+    expect(global.fetch.mock.calls[0][1].headers).toMatchObject({
+      'Content-Type': 'application/json',
+      'If-Match': '"3"',
+    });
+  });
+
+  test('deleteEvent sends the etag as If-Match', async () => {
+    global.fetch = jest.fn().mockResolvedValue({ ok: true, status: 204 });
+    await client.deleteEvent('c1', 'e1', { etag: '"3"' });
+    expect(global.fetch.mock.calls[0][1].headers).toMatchObject({ 'If-Match': '"3"' });
+  });
+
+  test('no etag means no If-Match (last write wins)', async () => {
+    global.fetch = jest.fn().mockResolvedValue(ok());
+    await client.patchEvent('c1', 'e1', { summary: 'x' });
+    expect(global.fetch.mock.calls[0][1].headers).not.toHaveProperty('If-Match');
+  });
+
+  test.each([
+    ['patchEvent', (c) => c.patchEvent('c1', 'e1', { summary: 'x' }, { etag: '"3"' })],
+    ['deleteEvent', (c) => c.deleteEvent('c1', 'e1', { etag: '"3"' })],
+  ])('%s throws ConflictError on 412', async (_, write) => {
+    global.fetch = jest.fn().mockResolvedValue(preconditionFailed());
+    const error = await write(client).catch(e => e);
+    expect(error).toBeInstanceOf(ConflictError);
+    expect(error.name).toBe('ConflictError');
+    expect(error.status).toBe(412);
+  });
+
+  test("recurring writes with 'this' send the occurrence's etag", async () => {
+    global.fetch = jest.fn().mockResolvedValue(ok());
+    await client.updateRecurringEvent('c1', 'occ1', { summary: 'x' }, 'this', { etag: '"3"' });
+    expect(global.fetch.mock.calls[0][1].headers).toMatchObject({ 'If-Match': '"3"' });
+
+    global.fetch = jest.fn().mockResolvedValue({ ok: true, status: 204 });
+    await client.deleteRecurringEvent('c1', 'occ1', 'this', { etag: '"3"' });
+    expect(global.fetch.mock.calls[0][1].headers).toMatchObject({ 'If-Match': '"3"' });
+  });
+});
+
+// ---------------------------------------------------------------
+// SPEC: moveEvent
+// - POSTs events.move with the destination (and sendUpdates) as query parameters
+// ---------------------------------------------------------------
+describe('SPEC: moveEvent', () => {
+  let client;
+  let originalFetch;
+
+  beforeEach(() => {
+    client = new GoogleCalendarClient();
+    originalFetch = global.fetch;
+    chrome.identity.getAuthToken.mockReset();
+    chrome.identity.getAuthToken.mockImplementation((opts, cb) => cb('test-token'));
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+  });
+
+  test.each([
+    [null, 'e1', 'team'],
+    ['c1', '', 'team'],
+    ['c1', 'e1', undefined],
+  ])('throws "Missing required parameters" for (%p, %p, %p)', async (calendarId, eventId, destination) => {
+    await expect(client.moveEvent(calendarId, eventId, destination)).rejects.toThrow('Missing required parameters');
+  });
+
+  test('POSTs to the move URL with the destination calendar', async () => {
+    global.fetch = jest.fn().mockResolvedValue({ ok: true, status: 200, json: () => Promise.resolve({ id: 'e1' }) });
+    const moved = await client.moveEvent('me@example.com', 'e1', 'team@group.calendar.google.com', { sendUpdates: 'all' });
+    expect(moved).toEqual({ id: 'e1' });
+    const [url, options] = global.fetch.mock.calls[0];
+    expect(url).toBe('https://www.googleapis.com/calendar/v3/calendars/me%40example.com/events/e1/move'
+      + '?destination=team%40group.calendar.google.com&sendUpdates=all');
+    expect(options.method).toBe('POST');
+  });
+
+  test('a failed move throws with the status', async () => {
+    global.fetch = jest.fn().mockResolvedValue({
+      ok: false, status: 400, statusText: 'Bad Request', text: () => Promise.resolve('cannotChangeOrganizer'),
+    });
+    await expect(client.moveEvent('c1', 'e1', 'c2')).rejects.toMatchObject({ status: 400 });
+  });
+});
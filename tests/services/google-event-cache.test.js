@@ -0,0 +1,163 @@
+/**
+ * Tests for GoogleEventCache — per-calendar, per-day cache of Google events
+ */
+
+import { GoogleEventCache } from '../../src/services/google-event-cache.js';
+
+const at = (date, hours) => new Date(2026, 2, date, hours).toISOString();
+const event = (id, date, extra = {}) => ({
+  id,
+  start: { dateTime: at(date, 9) },
+  end: { dateTime: at(date, 10) },
+  ...extra,
+});
+
+function createClient(eventsByCalendar) {
+  return {
+    getDisplayCalendarIds: jest.fn().mockResolvedValue(Object.keys(eventsByCalendar)),
+    fetchCalendarRanges: jest.fn(async (targetDate, calendarIds) => ({
+      calendarList: [{ id: 'work', backgroundColor: '#123456' }],
+      results: calendarIds.map(calendarId => {
+        const events = eventsByCalendar[calendarId];
+        return events ? { calendarId, events, failed: false } : { calendarId, events: [], failed: true };
+      }),
+    })),
+    decorateEvents: jest.fn((results) => results.flatMap(r => r.events.map(e => ({ ...e, calendarId: r.calendarId })))),
+    syncCalendarEvents: jest.fn().mockResolvedValue({
+      lastChangeAt: 0, windowStart: '2026-03-01', windowEnd: '2026-05-01',
+    }),
+  };
+}
+
+describe('GoogleEventCache', () => {
+  let now;
+  const clock = () => now;
+
+  beforeEach(() => {
+    now = 0;
+  });
+
+  // SPEC: a miss fetches the range plus PREFETCH_DAYS on either side
+  test('fetches the requested days with a prefetch window', async () => {
+    const client = createClient({ work: [event('a', 10), event('b', 12)] });
+    const cache = new GoogleEventCache(client, { now: clock });
+
+    const events = await cache.getEvents(new Date(2026, 2, 10), 1);
+
+    expect(events.map(e => e.id)).toEqual(['a']);
+    const [windowStart, calendarIds, windowDays] = client.fetchCalendarRanges.mock.calls[0];
+    expect(windowStart).toEqual(new Date(2026, 2, 3));
+    expect(calendarIds).toEqual(['work']);
+    expect(windowDays).toBe(1 + 2 * GoogleEventCache.PREFETCH_DAYS);
+  });
+
+  // SPEC: the cancelled and declined events are cached; decorateEvents keeps them on request
+  test('passes includeDeclined on to decorateEvents', async () => {
+    const client = createClient({ work: [event('a', 10)] });
+    const cache = new GoogleEventCache(client, { now: clock });
+
+    await cache.getEvents(new Date(2026, 2, 10), 1);
+    await cache.getEvents(new Date(2026, 2, 10), 1, null, { includeDeclined: true });
+
+    expect(client.decorateEvents.mock.calls.map(call => call[2])).toEqual([
+      { includeDeclined: false }, { includeDeclined: true },
+    ]);
+    expect(client.fetchCalendarRanges).toHaveBeenCalledTimes(1);
+  });
+
+  test('serves neighbouring days from the cache', async () => {
+    const client = createClient({ work: [event('a', 10), event('b', 12)] });
+    const cache = new GoogleEventCache(client, { now: clock });
+
+    await cache.getEvents(new Date(2026, 2, 10), 1);
+    const events = await cache.getEvents(new Date(2026, 2, 11), 3);
+
+    expect(client.fetchCalendarRanges).toHaveBeenCalledTimes(1);
+    expect(events.map(e => e.id)).toEqual(['b']);
+  });
+
+  test('lists an event spanning several requested days once', async () => {
+    const longEvent = { id: 'trip', start: { dateTime: at(10, 9) }, end: { dateTime: at(12, 18) } };
+    const cache = new GoogleEventCache(createClient({ work: [longEvent] }), { now: clock });
+
+    const events = await cache.getEvents(new Date(2026, 2, 10), 3);
+
+    expect(events.map(e => e.id)).toEqual(['trip']);
+  });
+
+  // SPEC: writes invalidate the calendar they touched
+  test('refetches a calendar after it is invalidated', async () => {
+    const client = createClient({ work: [event('a', 10)], home: [event('h', 10)] });
+    const cache = new GoogleEventCache(client, { now: clock });
+
+    await cache.getEvents(new Date(2026, 2, 10), 1);
+    cache.invalidateCalendar('work');
+    await cache.getEvents(new Date(2026, 2, 10), 1);
+
+    expect(client.fetchCalendarRanges).toHaveBeenCalledTimes(2);
+    expect(client.fetchCalendarRanges.mock.calls[1][1]).toEqual(['work']);
+  });
+
+  test('drops a fetch that started before an invalidation', async () => {
+    const client = createClient({ work: [event('a', 10)] });
+    let release;
+    client.fetchCalendarRanges.mockImplementationOnce(() => new Promise(resolve => {
+      release = () => resolve({ calendarList: [], results: [{ calendarId: 'work', events: [event('old', 10)], failed: false }] });
+    }));
+    const cache = new GoogleEventCache(client, { now: clock });
+
+    const pending = cache.getEvents(new Date(2026, 2, 10), 1, ['work']);
+    cache.invalidateCalendar('work');
+    release();
+    await pending;
+    const events = await cache.getEvents(new Date(2026, 2, 10), 1);
+
+    expect(events.map(e => e.id)).toEqual(['a']);
+  });
+
+  test('does not cache a calendar whose fetch failed', async () => {
+    const client = createClient({ work: [event('a', 10)] });
+    const cache = new GoogleEventCache(client, { now: clock });
+
+    await cache.getEvents(new Date(2026, 2, 10), 1, ['work', 'broken']);
+    await cache.getEvents(new Date(2026, 2, 10), 1, ['work', 'broken']);
+
+    expect(client.fetchCalendarRanges.mock.calls[1][1]).toEqual(['broken']);
+  });
+
+  // SPEC: stale days are returned at once and refreshed in the background
+  test('refreshes stale days in the background and reports changes', async () => {
+    const eventsByCalendar = { work: [event('a', 10)] };
+    const client = createClient(eventsByCalendar);
+    const onRefresh = jest.fn();
+    const cache = new GoogleEventCache(client, { onRefresh, now: clock });
+
+    await cache.getEvents(new Date(2026, 2, 10), 1);
+    eventsByCalendar.work = [event('a', 10), event('new', 10)];
+    now = GoogleEventCache.STALE_AFTER_MS + 1;
+    client.syncCalendarEvents.mockResolvedValue({ lastChangeAt: now, windowStart: '2026-03-01', windowEnd: '2026-05-01' });
+
+    const events = await cache.getEvents(new Date(2026, 2, 10), 1);
+    expect(events.map(e => e.id)).toEqual(['a']);
+
+    await new Promise(resolve => setImmediate(resolve));
+    expect(onRefresh).toHaveBeenCalledTimes(1);
+    expect((await cache.getEvents(new Date(2026, 2, 10), 1)).map(e => e.id)).toEqual(['a', 'new']);
+  });
+
+  test('keeps stale days whose calendar has not changed since they were fetched', async () => {
+    const client = createClient({ work: [event('a', 10)] });
+    const onRefresh = jest.fn();
+    const cache = new GoogleEventCache(client, { onRefresh, now: clock });
+
+    now = 1000;
+    await cache.getEvents(new Date(2026, 2, 10), 1);
+    now += GoogleEventCache.STALE_AFTER_MS + 1;
+    await cache.getEvents(new Date(2026, 2, 10), 1);
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(client.syncCalendarEvents).toHaveBeenCalledWith('work');
+    expect(client.fetchCalendarRanges).toHaveBeenCalledTimes(1);
+    expect(onRefresh).not.toHaveBeenCalled();
+  });
+});
@@ -14,7 +14,7 @@
  */
 
 import { LocalEventService } from '../../src/services/local-event-service.js';
-import { RECURRENCE_TYPES } from '../../src/lib/constants.js';
+import { RECURRENCE_TYPES, MAX_EVENT_SPAN_DAYS } from '../../src/lib/constants.js';
 import {
     loadLocalEventsForDate,
     loadRecurringEvents,
@@ -135,6 +135,28 @@ describe('LocalEventService', () => {
             expect(recurring.find(e => e.title === 'Daily Standup')).toBeDefined();
         });
 
+        test('recurring event is stored with an RRULE', async () => {
+            await service.createEvent({
+                title: 'Gym',
+                startTime: '07:00',
+                endTime: '08:00',
+                recurrence: { type: RECURRENCE_TYPES.WEEKLY, startDate: '2025-03-15', daysOfWeek: [1, 4] }
+            }, testDate);
+
+            const [event] = await loadRecurringEvents();
+            expect(event.recurrence).toEqual({ rrule: 'FREQ=WEEKLY;BYDAY=MO,TH', startDate: '2025-03-15' });
+        });
+
+        test('rejects a recurrence whose rule cannot be parsed', async () => {
+            await expect(service.createEvent({
+                title: 'Broken',
+                startTime: '07:00',
+                recurrence: { rrule: 'FREQ=SOMETIMES', startDate: '2025-03-15' }
+            }, testDate)).rejects.toThrow();
+
+            expect(await loadRecurringEvents()).toEqual([]);
+        });
+
         test('newly created event has a reminder enabled by default', async () => {
             await service.createEvent({
                 title: 'Important Call',
@@ -281,6 +303,30 @@ describe('LocalEventService', () => {
     // - Recurring→Regular: remove from recurring, add to date
     // ---------------------------------------------------------------
     describe('SPEC: updating events (type transitions)', () => {
+        test('reminder offsets are kept, and dropped again when the list is emptied', async () => {
+            await service.createEvent({
+                title: 'Dentist',
+                startTime: '10:00',
+                endTime: '11:00',
+                reminderOffsets: [1440, 60, 60, 99999],
+                recurrence: { type: RECURRENCE_TYPES.DAILY, startDate: '2025-03-15' }
+            }, testDate);
+
+            let [event] = await loadRecurringEvents();
+            expect(event.reminderOffsets).toEqual([60, 1440]);
+
+            await service.updateEvent({
+                title: 'Dentist',
+                startTime: '10:00',
+                endTime: '11:00',
+                reminderOffsets: [],
+                recurrence: { type: RECURRENCE_TYPES.DAILY, startDate: '2025-03-15' }
+            }, event, testDate);
+
+            [event] = await loadRecurringEvents();
+            expect(event).not.toHaveProperty('reminderOffsets');
+        });
+
         test('updating a regular event preserves it in date storage', async () => {
             await service.createEvent({
                 title: 'Original Title',
@@ -440,4 +486,156 @@ describe('LocalEventService', () => {
             expect(recurring.length).toBe(1); // Only the original
         });
     });
+
+    // ---------------------------------------------------------------
+    // SPEC: All-day and multi-day events
+    // - All-day events are stored without times and without a reminder
+    // - Multi-day events live under their start date only
+    // - Continuations shown on later days are never persisted there
+    // ---------------------------------------------------------------
+    describe('SPEC: all-day and multi-day events', () => {
+        const nextDay = new Date(2025, 2, 16);
+
+        test('an all-day event is stored without times and without a reminder', async () => {
+            await service.createEvent({
+                title: 'Offsite', allDay: true, spanDays: 2, startTime: '', endTime: '', reminder: true
+            }, testDate);
+
+            const loaded = await loadLocalEventsForDate(testDate);
+            expect(loaded).toEqual([expect.objectContaining({ title: 'Offsite', allDay: true, spanDays: 2, reminder: false })]);
+            expect(loaded[0]).not.toHaveProperty('startTime');
+            expect(AlarmManager.setReminder).not.toHaveBeenCalled();
+        });
+
+        test('rejects a span longer than MAX_EVENT_SPAN_DAYS', async () => {
+            await expect(service.createEvent({
+                title: 'Too long', allDay: true, spanDays: MAX_EVENT_SPAN_DAYS + 1
+            }, testDate)).rejects.toThrow();
+        });
+
+        test('creating an event on a later day does not persist a continuation there', async () => {
+            await service.createEvent({ title: 'Overnight', startTime: '22:00', endTime: '02:00', spanDays: 1 }, testDate);
+            await service.createEvent({ title: 'Morning', startTime: '09:00', endTime: '10:00' }, nextDay);
+
+            const stored = await chrome.storage.local.get('localEvents_2025-03-16');
+            expect(stored['localEvents_2025-03-16'].map(e => e.title)).toEqual(['Morning']);
+        });
+
+        test('deleting a continuation removes the event from its start date', async () => {
+            await service.createEvent({ title: 'Overnight', startTime: '22:00', endTime: '02:00', spanDays: 1 }, testDate);
+            const [continuation] = await loadLocalEventsForDate(nextDay);
+
+            await service.deleteEvent(continuation, null, nextDay);
+
+            expect(await loadLocalEventsForDate(testDate)).toEqual([]);
+            expect(await loadLocalEventsForDate(nextDay)).toEqual([]);
+        });
+
+        test('editing a continuation updates the event under its start date', async () => {
+            await service.createEvent({ title: 'Overnight', startTime: '22:00', endTime: '02:00', spanDays: 1 }, testDate);
+            const [continuation] = await loadLocalEventsForDate(nextDay);
+
+            await service.updateEvent({
+                title: 'Overnight', startTime: '22:00', endTime: '03:00', spanDays: 1
+            }, continuation, nextDay);
+
+            const [updated] = await loadLocalEventsForDate(testDate);
+            expect(updated).toEqual(expect.objectContaining({ id: continuation.id, endTime: '03:00', spanDays: 1 }));
+            const stored = await chrome.storage.local.get('localEvents_2025-03-16');
+            expect(stored['localEvents_2025-03-16'] || []).toEqual([]);
+        });
+
+        test('switching a recurring event to all-day drops its times', async () => {
+            await service.createEvent({
+                title: 'Standup', startTime: '09:00', endTime: '09:15',
+                recurrence: { rrule: 'FREQ=DAILY', startDate: '2025-03-01' }
+            }, testDate);
+            const [instance] = await loadLocalEventsForDate(testDate);
+
+            await service.updateEvent({
+                title: 'Standup', allDay: true, recurrence: instance.recurrence
+            }, instance, testDate);
+
+            const [series] = await loadRecurringEvents();
+            expect(series.allDay).toBe(true);
+            expect(series).not.toHaveProperty('startTime');
+            expect(series).not.toHaveProperty('endTime');
+        });
+    });
+
+    // ---------------------------------------------------------------
+    // SPEC: importing events (.ics)
+    // ---------------------------------------------------------------
+    describe('SPEC: importing events', () => {
+        test('stores date-specific and recurring events with their uid', async () => {
+            const count = await service.importEvents([
+                { uid: 'a', title: 'Talk', startDate: '2025-03-15', startTime: '10:00', endTime: '11:00', reminder: false },
+                { uid: 'b', title: 'Keynote', startDate: '2025-03-15', allDay: true },
+                { uid: 'c', title: 'Standup', startDate: '2025-03-03', startTime: '09:00', endTime: '09:15',
+                    recurrence: { rrule: 'FREQ=WEEKLY;BYDAY=MO', startDate: '2025-03-03', exceptions: [] } }
+            ]);
+
+            expect(count).toBe(3);
+            const stored = await chrome.storage.local.get('localEvents_2025-03-15');
+            expect(stored['localEvents_2025-03-15'].map(e => e.uid)).toEqual(['a', 'b']);
+            const [series] = await loadRecurringEvents();
+            expect(series).toEqual(expect.objectContaining({ uid: 'c', title: 'Standup' }));
+            expect(series.recurrence.rrule).toBe('FREQ=WEEKLY;BYDAY=MO');
+        });
+
+        test('writes nothing when any event is invalid', async () => {
+            await expect(service.importEvents([
+                { uid: 'a', title: 'Valid', startDate: '2025-03-15', startTime: '10:00', endTime: '11:00' },
+                { uid: 'b', title: 'Bad rule', startDate: '2025-03-15', startTime: '10:00',
+                    recurrence: { rrule: 'FREQ=HOURLY', startDate: '2025-03-15' } }
+            ])).rejects.toThrow();
+
+            expect(await loadLocalEventsForDate(testDate)).toEqual([]);
+        });
+
+        // SPEC: every recurring event shares one sync storage item (8 KB)
+        test('series that do not fit in the recurring events item are rejected before anything is written', async () => {
+            const weekly = (uid) => ({
+                uid, title: `Roster ${uid}`, description: 'x'.repeat(400), startDate: '2025-03-03', startTime: '09:00', endTime: '10:00',
+                recurrence: { rrule: 'FREQ=WEEKLY;BYDAY=MO', startDate: '2025-03-03', exceptions: [] }
+            });
+            const roster = [
+                { uid: 'single', title: 'Talk', startDate: '2025-03-15', startTime: '10:00', endTime: '11:00' },
+                ...Array.from({ length: 30 }, (_, i) => weekly(`r${i}`))
+            ];
+
+            expect(await service.canImportRecurring(roster.slice(0, 5))).toBe(true);
+            expect(await service.canImportRecurring(roster)).toBe(false);
+            await expect(service.importEvents(roster)).rejects.toThrow(/do not fit/);
+
+            expect(await loadRecurringEvents()).toEqual([]);
+            expect(await loadLocalEventsForDate(testDate)).toEqual([]);
+        });
+
+        test('only sets reminders for events today', async () => {
+            const today = new Date();
+            const pad = (n) => String(n).padStart(2, '0');
+            const todayStr = `${today.getFullYear()}-${pad(today.getMonth() + 1)}-${pad(today.getDate())}`;
+
+            await service.importEvents([
+                { uid: 'a', title: 'Today', startDate: todayStr, startTime: '23:59', endTime: '23:59', reminder: true },
+                { uid: 'b', title: 'Past', startDate: '2025-03-15', startTime: '10:00', endTime: '11:00', reminder: true }
+            ]);
+
+            expect(AlarmManager.setReminder).toHaveBeenCalledTimes(1);
+            expect(AlarmManager.setReminder).toHaveBeenCalledWith(expect.objectContaining({ uid: 'a' }), todayStr);
+        });
+
+        test('editing an imported event keeps its uid', async () => {
+            await service.importEvents([
+                { uid: 'a', title: 'Talk', startDate: '2025-03-15', startTime: '10:00', endTime: '11:00' }
+            ]);
+            const [event] = await loadLocalEventsForDate(testDate);
+
+            await service.updateEvent({ title: 'Talk (room B)', startTime: '10:00', endTime: '11:00' }, event, testDate);
+
+            const [updated] = await loadLocalEventsForDate(testDate);
+            expect(updated).toEqual(expect.objectContaining({ uid: 'a', title: 'Talk (room B)' }));
+        });
+    });
 });
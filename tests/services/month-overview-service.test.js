@@ -0,0 +1,66 @@
+/**
+ * Tests for MonthOverviewService — per-day counts for the month overview
+ */
+
+jest.mock('../../src/lib/demo-data.js', () => ({
+  isDemoMode: jest.fn(() => false),
+  getDemoLocalEvents: jest.fn(),
+}));
+
+import { MonthOverviewService } from '../../src/services/month-overview-service.js';
+import { saveLocalEventsForDate } from '../../src/lib/event-storage.js';
+import { StorageHelper } from '../../src/lib/storage-helper.js';
+
+const dates = [new Date(2026, 2, 9), new Date(2026, 2, 10), new Date(2026, 2, 11)];
+const at = (date, hours) => new Date(2026, 2, date, hours).toISOString();
+
+describe('MonthOverviewService', () => {
+  let service;
+
+  beforeEach(async () => {
+    resetChromeStorage();
+    await StorageHelper.set({ recurringEvents: [] });
+    service = new MonthOverviewService();
+  });
+
+  // SPEC: one range fetch for Google, counts and conflicts per day
+  test('summarizes local and Google events per day', async () => {
+    await saveLocalEventsForDate([
+      { id: 'l1', title: 'Review', startTime: '09:00', endTime: '10:00' }
+    ], dates[1]);
+    const fetchGoogleEvents = jest.fn().mockResolvedValue([
+      { id: 'g1', start: { dateTime: at(10, 9) }, end: { dateTime: at(10, 11) } },
+      { id: 'g2', start: { dateTime: at(11, 14) }, end: { dateTime: at(11, 15) } },
+    ]);
+
+    const summaries = await service.loadSummaries(dates, fetchGoogleEvents);
+
+    expect(fetchGoogleEvents).toHaveBeenCalledTimes(1);
+    expect(fetchGoogleEvents).toHaveBeenCalledWith(dates[0], 3);
+    expect(Object.fromEntries(summaries)).toEqual({
+      '2026-03-09': { local: 0, google: 0, hasConflict: false },
+      '2026-03-10': { local: 1, google: 1, hasConflict: true },
+      '2026-03-11': { local: 0, google: 1, hasConflict: false },
+    });
+  });
+
+  test('still counts local events when the Google fetch fails', async () => {
+    const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    await saveLocalEventsForDate([{ id: 'l1', title: 'Gym', startTime: '07:00', endTime: '08:00' }], dates[0]);
+
+    const summaries = await service.loadSummaries(dates, () => Promise.reject(new Error('offline')));
+
+    expect(summaries.get('2026-03-09')).toEqual({ local: 1, google: 0, hasConflict: false });
+    errorSpy.mockRestore();
+  });
+
+  test('returns null when a newer request has started', async () => {
+    let resolveFirst;
+    const first = service.loadSummaries(dates, () => new Promise(resolve => { resolveFirst = resolve; }));
+    const second = service.loadSummaries(dates, () => Promise.resolve([]));
+    resolveFirst([]);
+
+    expect(await first).toBeNull();
+    expect(await second).toBeInstanceOf(Map);
+  });
+});
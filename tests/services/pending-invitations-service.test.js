@@ -0,0 +1,57 @@
+/**
+ * Tests for PendingInvitationsService — the invitations waiting for an answer
+ */
+import { PendingInvitationsService, INVITATION_DAYS } from '../../src/services/pending-invitations-service.js';
+
+const now = new Date(2026, 9, 19, 12, 0);
+const at = (date, hours, minutes = 0) => new Date(2026, 9, date, hours, minutes).toISOString();
+
+// A timed invitation on the user's own calendar
+const invitation = (id, date, hours, overrides = {}) => ({
+  id,
+  isOwnedCalendar: true,
+  start: { dateTime: at(date, hours) },
+  end: { dateTime: at(date, hours + 1) },
+  organizer: { email: 'boss@example.com' },
+  attendees: [{ email: 'me@example.com', self: true, responseStatus: 'needsAction' }],
+  ...overrides,
+});
+
+describe('PendingInvitationsService', () => {
+  let service;
+
+  beforeEach(() => {
+    service = new PendingInvitationsService();
+  });
+
+  // SPEC: one range fetch from today; unanswered invitations that have not ended, earliest first
+  test('lists the unanswered invitations from today on, earliest first', async () => {
+    const fetchGoogleEvents = jest.fn().mockResolvedValue([
+      invitation('later', 22, 9),
+      invitation('soon', 19, 15),
+      invitation('ended', 19, 9),
+      invitation('answered', 20, 9, { attendees: [{ self: true, responseStatus: 'accepted' }] }),
+      invitation('shared', 20, 10, { isOwnedCalendar: false }),
+      invitation('allDay', 21, 0, { start: { date: '2026-10-21' }, end: { date: '2026-10-22' } }),
+      invitation('soon', 19, 15),
+    ]);
+
+    const invitations = await service.loadInvitations(fetchGoogleEvents, now);
+
+    expect(fetchGoogleEvents).toHaveBeenCalledWith(new Date(2026, 9, 19), INVITATION_DAYS);
+    expect(invitations.map(event => event.id)).toEqual(['soon', 'allDay', 'later']);
+  });
+
+  test('lists none when Google is not available', async () => {
+    expect(await service.loadInvitations(() => Promise.resolve(null), now)).toEqual([]);
+  });
+
+  test('returns null when a newer request has started', async () => {
+    let resolveFirst;
+    const first = service.loadInvitations(() => new Promise(resolve => { resolveFirst = resolve; }), now);
+    const second = service.loadInvitations(() => Promise.resolve([]), now);
+    resolveFirst([]);
+    expect(await first).toBeNull();
+    expect(await second).toEqual([]);
+  });
+});
@@ -9,6 +9,7 @@ jest.mock('../../src/lib/alarm-manager.js', () => ({
         setDateReminders: jest.fn().mockResolvedValue(),
         setGoogleEventReminders: jest.fn().mockResolvedValue(),
         GOOGLE_ALARM_PREFIX: 'google_event_reminder_',
+        NON_MEETING_EVENT_TYPES: ['outOfOffice', 'focusTime', 'workingLocation'],
     }
 }));
 
@@ -29,6 +30,13 @@ beforeAll(async () => {
     ReminderSyncService = mod.ReminderSyncService;
 });
 
+// YYYY-MM-DD of the day `offset` days from today
+function dateKey(offset) {
+    const day = new Date();
+    day.setDate(day.getDate() + offset);
+    return `${day.getFullYear()}-${String(day.getMonth() + 1).padStart(2, '0')}-${String(day.getDate()).padStart(2, '0')}`;
+}
+
 describe('ReminderSyncService', () => {
     let service;
     let mockCalendarClient;
@@ -48,24 +56,25 @@ describe('ReminderSyncService', () => {
         });
 
         mockCalendarClient = {
+            getReminderCalendarEvents: jest.fn().mockResolvedValue([]),
             getPrimaryCalendarEvents: jest.fn().mockResolvedValue([]),
+            getCalendarEvents: jest.fn().mockResolvedValue([]),
         };
         service = new ReminderSyncService(mockCalendarClient);
     });
 
     // ---------------------------------------------------------------
     // SPEC: syncLocalEventReminders
-    // - Calls AlarmManager.setDateReminders(todayDateStr)
+    // - Calls AlarmManager.setDateReminders for today and each look-ahead day
     // - On error → logs, does not throw
     // ---------------------------------------------------------------
     describe('SPEC: syncLocalEventReminders', () => {
-        test('calls setDateReminders with today\'s date string', async () => {
+        test('calls setDateReminders for today and the look-ahead days', async () => {
             await service.syncLocalEventReminders();
 
-            expect(AlarmManager.setDateReminders).toHaveBeenCalledTimes(1);
-            const dateStr = AlarmManager.setDateReminders.mock.calls[0][0];
-            // Verify YYYY-MM-DD format
-            expect(dateStr).toMatch(/^\d{4}-\d{2}-\d{2}$/);
+            expect(AlarmManager.setDateReminders).toHaveBeenCalledTimes(ReminderSyncService.LOOKAHEAD_DAYS + 1);
+            expect(AlarmManager.setDateReminders.mock.calls[0][0]).toBe(dateKey(0));
+            expect(AlarmManager.setDateReminders.mock.calls[1][0]).toBe(dateKey(1));
         });
 
         test('does not throw on error', async () => {
@@ -90,7 +99,7 @@ describe('ReminderSyncService', () => {
 
             await service.syncGoogleEventReminders();
 
-            expect(mockCalendarClient.getPrimaryCalendarEvents).not.toHaveBeenCalled();
+            expect(mockCalendarClient.getReminderCalendarEvents).not.toHaveBeenCalled();
         });
 
         test('returns early when googleIntegrated is false', async () => {
@@ -101,7 +110,7 @@ describe('ReminderSyncService', () => {
 
             await service.syncGoogleEventReminders();
 
-            expect(mockCalendarClient.getPrimaryCalendarEvents).not.toHaveBeenCalled();
+            expect(mockCalendarClient.getReminderCalendarEvents).not.toHaveBeenCalled();
         });
 
         test('clears previously-set Google reminders when feature is disabled', async () => {
@@ -125,7 +134,7 @@ describe('ReminderSyncService', () => {
             expect(chrome.alarms.clear).toHaveBeenCalledWith('google_event_reminder_2030-03-15_g1');
             expect(chrome.alarms.clear).toHaveBeenCalledWith('google_event_reminder_2030-03-16_g2');
             expect(chrome.alarms.clear).not.toHaveBeenCalledWith('event_reminder_2030-03-15_local');
-            expect(mockCalendarClient.getPrimaryCalendarEvents).not.toHaveBeenCalled();
+            expect(mockCalendarClient.getReminderCalendarEvents).not.toHaveBeenCalled();
         });
 
         test('fetches and sets reminders when both enabled', async () => {
@@ -136,19 +145,47 @@ describe('ReminderSyncService', () => {
             }, () => {});
 
             const fakeEvents = [
-                { id: 'g1', summary: 'Meeting', start: { dateTime: '2025-03-15T10:00:00Z' } },
+                { id: 'g1', summary: 'Meeting', start: { dateTime: `${dateKey(0)}T10:00:00` } },
             ];
-            mockCalendarClient.getPrimaryCalendarEvents.mockResolvedValue(fakeEvents);
+            mockCalendarClient.getReminderCalendarEvents.mockResolvedValue(fakeEvents);
+
+            await service.syncGoogleEventReminders();
+
+            expect(mockCalendarClient.getReminderCalendarEvents).toHaveBeenCalledTimes(1);
+            expect(AlarmManager.setGoogleEventReminders).toHaveBeenCalledWith(fakeEvents, dateKey(0));
+        });
+
+        test('sets the reminders of each look-ahead day with the events starting on it', async () => {
+            chrome.storage.sync.set({
+                googleEventReminder: true,
+                googleIntegrated: true,
+            }, () => {});
+
+            const tomorrow = { id: 'g2', summary: 'Review', start: { dateTime: `${dateKey(1)}T09:00:00` } };
+            mockCalendarClient.getReminderCalendarEvents.mockResolvedValue([tomorrow]);
+
+            await service.syncGoogleEventReminders();
+
+            expect(mockCalendarClient.getReminderCalendarEvents)
+                .toHaveBeenCalledWith(expect.any(Date), ReminderSyncService.LOOKAHEAD_DAYS + 1);
+            expect(AlarmManager.setGoogleEventReminders).toHaveBeenCalledWith([], dateKey(0));
+            expect(AlarmManager.setGoogleEventReminders).toHaveBeenCalledWith([tomorrow], dateKey(1));
+        });
+
+        test('passes an empty list through so reminders of deleted events are cleared', async () => {
+            chrome.storage.sync.set({
+                googleEventReminder: true,
+                googleIntegrated: true,
+            }, () => {});
 
             await service.syncGoogleEventReminders();
 
-            expect(mockCalendarClient.getPrimaryCalendarEvents).toHaveBeenCalledTimes(1);
             expect(AlarmManager.setGoogleEventReminders).toHaveBeenCalledWith(
-                fakeEvents, expect.stringMatching(/^\d{4}-\d{2}-\d{2}$/)
+                [], expect.stringMatching(/^\d{4}-\d{2}-\d{2}$/)
             );
         });
 
-        test('clears old date alarms but keeps today\'s', async () => {
+        test('clears old date alarms but keeps today\'s and the look-ahead days\'', async () => {
             chrome.storage.sync.set({
                 googleEventReminder: true,
                 googleIntegrated: true,
@@ -160,6 +197,7 @@ describe('ReminderSyncService', () => {
             chrome.alarms.getAll.mockImplementation((callback) => {
                 const alarms = [
                     { name: `google_event_reminder_${todayStr}_g1` },
+                    { name: `google_event_reminder_${dateKey(ReminderSyncService.LOOKAHEAD_DAYS)}_g2#1440` },
                     { name: 'google_event_reminder_2020-01-01_old1' },
                 ];
                 if (callback) { callback(alarms); return; }
@@ -172,6 +210,7 @@ describe('ReminderSyncService', () => {
             expect(chrome.alarms.clear).toHaveBeenCalledWith(
                 'google_event_reminder_2020-01-01_old1'
             );
+            expect(chrome.alarms.clear).toHaveBeenCalledTimes(1);
         });
 
         test('records sync timestamp after success', async () => {
@@ -193,7 +232,7 @@ describe('ReminderSyncService', () => {
                 googleIntegrated: true,
             }, () => {});
 
-            mockCalendarClient.getPrimaryCalendarEvents.mockRejectedValue(
+            mockCalendarClient.getReminderCalendarEvents.mockRejectedValue(
                 new AuthenticationError('token expired')
             );
 
@@ -206,7 +245,7 @@ describe('ReminderSyncService', () => {
                 googleIntegrated: true,
             }, () => {});
 
-            mockCalendarClient.getPrimaryCalendarEvents.mockRejectedValue(
+            mockCalendarClient.getReminderCalendarEvents.mockRejectedValue(
                 new Error('network failure')
             );
 
@@ -221,11 +260,47 @@ describe('ReminderSyncService', () => {
         test('calls both sync methods', async () => {
             const localSpy = jest.spyOn(service, 'syncLocalEventReminders').mockResolvedValue();
             const googleSpy = jest.spyOn(service, 'syncGoogleEventReminders').mockResolvedValue();
+            const focusSpy = jest.spyOn(service, 'syncFocusBlocks').mockResolvedValue();
 
             await service.syncAll();
 
             expect(localSpy).toHaveBeenCalledTimes(1);
             expect(googleSpy).toHaveBeenCalledTimes(1);
+            expect(focusSpy).toHaveBeenCalledTimes(1);
+        });
+    });
+
+    // ---------------------------------------------------------------
+    // SPEC: syncFocusBlocks
+    // - Stores the primary calendar's focus time / out-of-office blocks
+    //   when suppressRemindersDuringFocus is on, removes them otherwise
+    // ---------------------------------------------------------------
+    describe('SPEC: syncFocusBlocks', () => {
+        test('stores the primary calendar\'s focus blocks for the reminder dates', async () => {
+            await chrome.storage.sync.set({ suppressRemindersDuringFocus: true, googleIntegrated: true });
+            mockCalendarClient.getPrimaryCalendarEvents.mockResolvedValue([
+                { eventType: 'focusTime', start: { dateTime: '2030-03-15T09:00:00Z' }, end: { dateTime: '2030-03-15T11:00:00Z' } },
+                { eventType: 'default', start: { dateTime: '2030-03-15T12:00:00Z' }, end: { dateTime: '2030-03-15T13:00:00Z' } },
+            ]);
+
+            await service.syncFocusBlocks();
+
+            expect(mockCalendarClient.getPrimaryCalendarEvents).toHaveBeenCalledWith(expect.any(Date), ReminderSyncService.LOOKAHEAD_DAYS + 1);
+            const stored = await chrome.storage.local.get('reminderFocusBlocks');
+            expect(stored.reminderFocusBlocks).toEqual([
+                { start: Date.parse('2030-03-15T09:00:00Z'), end: Date.parse('2030-03-15T11:00:00Z') },
+            ]);
+        });
+
+        test('removes stored blocks when the setting is off', async () => {
+            await chrome.storage.sync.set({ suppressRemindersDuringFocus: false, googleIntegrated: true });
+            await chrome.storage.local.set({ reminderFocusBlocks: [{ start: 1, end: 2 }] });
+
+            await service.syncFocusBlocks();
+
+            expect(mockCalendarClient.getPrimaryCalendarEvents).not.toHaveBeenCalled();
+            const stored = await chrome.storage.local.get(null);
+            expect(stored).not.toHaveProperty('reminderFocusBlocks');
         });
     });
 
@@ -355,4 +430,71 @@ describe('ReminderSyncService', () => {
             await expect(service.setupPeriodicSync()).resolves.toBeUndefined();
         });
     });
+
+    // ---------------------------------------------------------------
+    // SPEC: morning agenda
+    // - setupAgendaDigest: one-shot "agenda_digest" alarm at the next agendaDigestTime
+    // - showAgendaDigest: one notification summarising today
+    // ---------------------------------------------------------------
+    describe('SPEC: morning agenda', () => {
+        const morning = new Date(2030, 2, 15, 7, 0);
+
+        test('schedules the agenda at the configured time today, or tomorrow once past', async () => {
+            await chrome.storage.sync.set({ agendaDigestEnabled: true, agendaDigestTime: '08:45' });
+
+            await service.setupAgendaDigest({ force: true }, morning);
+            expect(chrome.alarms.create).toHaveBeenLastCalledWith('agenda_digest', { when: new Date(2030, 2, 15, 8, 45).getTime() });
+
+            await service.setupAgendaDigest({ force: true }, new Date(2030, 2, 15, 8, 45));
+            expect(chrome.alarms.create).toHaveBeenLastCalledWith('agenda_digest', { when: new Date(2030, 2, 16, 8, 45).getTime() });
+        });
+
+        test('keeps a pending agenda alarm unless forced, and removes it when turned off', async () => {
+            await chrome.storage.sync.set({ agendaDigestEnabled: true });
+            chrome.alarms.get.mockResolvedValueOnce({ name: 'agenda_digest' });
+
+            await service.setupAgendaDigest({}, morning);
+            expect(chrome.alarms.create).not.toHaveBeenCalled();
+
+            await chrome.storage.sync.set({ agendaDigestEnabled: false });
+            await service.setupAgendaDigest({ force: true }, morning);
+            expect(chrome.alarms.clear).toHaveBeenCalledWith('agenda_digest');
+            expect(chrome.alarms.create).not.toHaveBeenCalled();
+        });
+
+        test('summarises today\'s local and Google meetings in one notification', async () => {
+            await chrome.storage.sync.set({ googleIntegrated: true, openTime: '09:00', closeTime: '18:00' });
+            await chrome.storage.local.set({
+                [`localEvents_${dateKey(0)}`]: [{ id: 'l1', title: 'Standup', startTime: '09:30', endTime: '10:00' }]
+            });
+            const today = new Date();
+            const at = (hours) => new Date(today.getFullYear(), today.getMonth(), today.getDate(), hours).toISOString();
+            mockCalendarClient.getCalendarEvents.mockResolvedValue([
+                { start: { dateTime: at(9) }, end: { dateTime: at(10) } },
+                { eventType: 'focusTime', start: { dateTime: at(13) }, end: { dateTime: at(15) } },
+            ]);
+            // English fallbacks, as when a message is missing
+            chrome.i18n.getMessage.mockImplementation(() => '');
+
+            await service.showAgendaDigest(today);
+
+            expect(chrome.notifications.create).toHaveBeenCalledWith('agenda_digest', expect.objectContaining({
+                message: '2 meetings, the first at 09:00\nIn meetings 1 hour, free 8 hours (09:00–18:00)\n2 events overlap'
+            }));
+            chrome.i18n.getMessage.mockImplementation((key) => key);
+        });
+
+        test('a day without meetings says so; Google failing leaves the local events', async () => {
+            await chrome.storage.sync.set({ googleIntegrated: true });
+            mockCalendarClient.getCalendarEvents.mockRejectedValue(new Error('offline'));
+            jest.spyOn(console, 'warn').mockImplementation(() => {});
+            chrome.i18n.getMessage.mockImplementation(() => '');
+
+            await service.showAgendaDigest(new Date());
+
+            expect(chrome.notifications.create.mock.calls[0][1].message).toBe('No meetings today');
+            chrome.i18n.getMessage.mockImplementation((key) => key);
+            console.warn.mockRestore();
+        });
+    });
 });
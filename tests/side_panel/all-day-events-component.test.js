@@ -13,6 +13,14 @@ function mockElement(tag = 'div') {
     children,
     childNodes: children,
     innerHTML: '',
+    classList: {
+      _classes: new Set(),
+      add(c) { this._classes.add(c); },
+      toggle(c, on) { if (on) this._classes.add(c); else this._classes.delete(c); },
+      contains(c) { return this._classes.has(c); },
+    },
+    listeners: {},
+    addEventListener(type, handler) { el.listeners[type] = handler; },
     appendChild(child) { children.push(child); return child; },
     contains(child) { return children.includes(child); },
     querySelectorAll(sel) {
@@ -82,6 +90,12 @@ describe('AllDayEventsComponent', () => {
     expect(component.getContainer()).toBe(component.container);
   });
 
+  test('local chips get a separate container', () => {
+    expect(component.getLocalContainer()).toBeTruthy();
+    expect(component.getLocalContainer()).not.toBe(component.getContainer());
+    expect(component.element.contains(component.getLocalContainer())).toBe(true);
+  });
+
   // -------------------------------------------------------------------
   // SPEC: clear()
   // -------------------------------------------------------------------
@@ -116,6 +130,54 @@ describe('AllDayEventsComponent', () => {
     expect(component.element.style.display).toBe('none');
   });
 
+  test('updateVisibility shows the section when only local chips exist', () => {
+    component.getLocalContainer().appendChild(mockElement());
+
+    component.updateVisibility();
+
+    expect(component.element.style.display).toBe('');
+  });
+
+  test('clear also empties the local container', () => {
+    component.getLocalContainer().appendChild(mockElement());
+
+    component.clear();
+
+    expect(component.getLocalContainer().children.length).toBe(0);
+  });
+
+  // -------------------------------------------------------------------
+  // SPEC: setDayColumns() — multi-day view
+  // -------------------------------------------------------------------
+
+  test('setDayColumns builds one cell per day and keeps the section visible', () => {
+    const dates = [new Date(2026, 2, 9), new Date(2026, 2, 10), new Date(2026, 2, 11)];
+    const onDayClick = jest.fn();
+
+    const columns = component.setDayColumns(dates, { onDayClick });
+
+    expect(columns.map(c => c.date)).toEqual(dates);
+    expect(columns[0].container).not.toBe(columns[0].localContainer);
+    expect(component.element.style.display).toBe('');
+
+    columns[1].container.appendChild(mockElement());
+    component.clear();
+    expect(columns[1].container.children.length).toBe(0);
+    expect(component.element.style.display).toBe('');
+
+    // The day label is the cell's first child
+    columns[2].element.children[0].listeners.click();
+    expect(onDayClick).toHaveBeenCalledWith(dates[2]);
+  });
+
+  test('setDayColumns(null) restores the single-day section', () => {
+    component.setDayColumns([new Date(2026, 2, 9), new Date(2026, 2, 10)]);
+
+    expect(component.setDayColumns(null)).toEqual([]);
+    expect(component.element.style.display).toBe('none');
+    expect(component.container.style.display).toBe('');
+  });
+
   // -------------------------------------------------------------------
   // SPEC: createElement idempotency
   // -------------------------------------------------------------------
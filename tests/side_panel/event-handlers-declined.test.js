@@ -0,0 +1,188 @@
+/**
+ * Tests for GoogleEventManager — cancelled and declined events shown as ghosts
+ */
+
+jest.mock('../../src/lib/settings-storage.js', () => ({
+  loadSettings: jest.fn(),
+  loadSelectedCalendars: jest.fn(),
+}));
+jest.mock('../../src/lib/chrome-messaging.js', () => ({
+  sendMessage: jest.fn(),
+}));
+jest.mock('../../src/lib/demo-data.js', () => ({
+  isDemoMode: jest.fn(() => false),
+  getDemoEvents: jest.fn(),
+  getDemoLocalEvents: jest.fn(),
+}));
+jest.mock('../../src/lib/utils.js', () => ({
+  logError: jest.fn(),
+}));
+jest.mock('../../src/lib/event-storage.js', () => ({
+  loadLocalEvents: jest.fn(),
+  loadLocalEventsForDate: jest.fn(),
+}));
+jest.mock('../../src/side_panel/event-element-factory.js', () => ({
+  EVENT_STYLING: { DEFAULT_VALUES: { ZERO_DURATION_MINUTES: 30 } },
+  onClickOnly: jest.fn(),
+  enableReschedule: jest.fn(),
+  resolveLocaleSettings: jest.fn().mockResolvedValue(['en', '12h']),
+  EventElementFactory: {
+    createEventElement: jest.fn(() => {
+      const children = [];
+      return {
+        eventDiv: {
+          style: {}, dataset: {}, children, innerHTML: '',
+          classList: { add: jest.fn(), contains: jest.fn(() => false) },
+          appendChild: jest.fn((child) => { children.push(child); return child; }),
+        },
+        duration: 60
+      };
+    }),
+    createPrimaryLine: jest.fn(() => ({ className: '' })),
+  },
+}));
+
+import { GoogleEventManager } from '../../src/side_panel/event-handlers.js';
+import { loadSettings } from '../../src/lib/settings-storage.js';
+import { sendMessage } from '../../src/lib/chrome-messaging.js';
+import { EventElementFactory, enableReschedule } from '../../src/side_panel/event-element-factory.js';
+
+beforeAll(() => {
+  global.window = global.window || {};
+  global.window.getLocalizedMessage = jest.fn(() => '');
+  global.window.formatTime = jest.fn((t) => t);
+  global.document = global.document || {};
+  global.document.createElement = jest.fn(() => {
+    const listeners = {};
+    return {
+      className: '',
+      style: {},
+      dataset: {},
+      setAttribute: jest.fn(),
+      appendChild: jest.fn(),
+      addEventListener: jest.fn((type, handler) => { listeners[type] = handler; }),
+      listeners,
+    };
+  });
+});
+
+function timedEvent(overrides = {}) {
+  return {
+    id: 'ev-1',
+    summary: 'Planning',
+    start: { dateTime: new Date(2026, 2, 10, 9).toISOString() },
+    end: { dateTime: new Date(2026, 2, 10, 10).toISOString() },
+    calendarId: 'me@x.com',
+    isOwnedCalendar: true,
+    isWritableCalendar: true,
+    organizer: { self: true },
+    ...overrides,
+  };
+}
+
+const declined = (overrides = {}) => timedEvent({
+  organizer: { email: 'boss@x.com' },
+  attendees: [{ email: 'me@x.com', self: true, responseStatus: 'declined' }],
+  ...overrides,
+});
+
+function createManager() {
+  const layoutManager = { events: [], registerEvent: jest.fn(), removeEvent: jest.fn(), calculateLayout: jest.fn() };
+  const manager = new GoogleEventManager({ innerHTML: '', appendChild: jest.fn() }, layoutManager);
+  manager.onAcceptDeclined = jest.fn().mockResolvedValue(true);
+  manager.onEventReschedule = jest.fn();
+  return manager;
+}
+
+// The element created for the event (the factory's mock result)
+const renderedElement = () => EventElementFactory.createEventElement.mock.results[0].value.eventDiv;
+const acceptButton = () => renderedElement().children.find(child => child.className === 'google-event-accept-btn');
+
+describe('GoogleEventManager — declined and cancelled events', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    loadSettings.mockResolvedValue({ googleIntegrated: true, useGoogleCalendarColors: true });
+  });
+
+  // SPEC: the background only returns them when asked
+  test('asks for them only while "show declined events" is on', async () => {
+    sendMessage.mockResolvedValue({ events: [] });
+    const manager = createManager();
+
+    await manager.fetchEvents(new Date(2026, 2, 10));
+    manager.showDeclinedEvents = true;
+    await manager.fetchEvents(new Date(2026, 2, 11));
+
+    expect(sendMessage.mock.calls.map(([message]) => message.includeDeclined)).toEqual([undefined, true]);
+  });
+
+  test('a declined event is a ghost that never counts as a conflict', async () => {
+    const manager = createManager();
+
+    await manager._processEvents([declined()]);
+
+    expect(EventElementFactory.createEventElement.mock.calls[0][0].cssClass).toContain('google-event-declined');
+    expect(manager.eventLayoutManager.registerEvent).toHaveBeenCalledWith(expect.objectContaining({ transparent: true }));
+  });
+
+  test('an accepted event is laid out as usual', async () => {
+    const manager = createManager();
+
+    await manager._processEvents([timedEvent()]);
+
+    expect(EventElementFactory.createEventElement.mock.calls[0][0].cssClass).not.toContain('google-event-declined');
+    expect(manager.eventLayoutManager.registerEvent).toHaveBeenCalledWith(expect.objectContaining({ transparent: false }));
+    expect(acceptButton()).toBeUndefined();
+  });
+
+  test('"Accept" on a declined event calls back with the event without opening it', async () => {
+    const manager = createManager();
+    const event = declined();
+
+    await manager._processEvents([event]);
+    const stopPropagation = jest.fn();
+    acceptButton().listeners.click({ stopPropagation });
+
+    expect(stopPropagation).toHaveBeenCalled();
+    expect(manager.onAcceptDeclined).toHaveBeenCalledWith(expect.objectContaining({ id: event.id }));
+    expect(acceptButton().disabled).toBe(true);
+  });
+
+  test('the "Accept" button is enabled again when the response failed', async () => {
+    const manager = createManager();
+    manager.onAcceptDeclined.mockResolvedValue(false);
+
+    await manager._processEvents([declined()]);
+    acceptButton().listeners.click({ stopPropagation: jest.fn() });
+    await Promise.resolve();
+    await Promise.resolve();
+
+    expect(acceptButton().disabled).toBe(false);
+  });
+
+  test('no "Accept" on a declined event of a calendar the user does not own', async () => {
+    const manager = createManager();
+
+    await manager._processEvents([declined({ isOwnedCalendar: false })]);
+
+    expect(acceptButton()).toBeUndefined();
+  });
+
+  test('a cancelled event is a ghost that cannot be accepted nor dragged', async () => {
+    const manager = createManager();
+
+    await manager._processEvents([declined({ status: 'cancelled' })]);
+
+    expect(EventElementFactory.createEventElement.mock.calls[0][0].cssClass).toContain('google-event-declined');
+    expect(acceptButton()).toBeUndefined();
+    expect(enableReschedule).not.toHaveBeenCalled();
+  });
+
+  test('a declined event the user organizes is not draggable', async () => {
+    const manager = createManager();
+
+    await manager._processEvents([declined({ organizer: { self: true } })]);
+
+    expect(enableReschedule).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,47 @@
+/**
+ * Tests for the guest field of the Google event forms
+ */
+import { GuestFieldsBuilder } from '../../src/side_panel/components/modals/guest-fields-builder.js';
+
+// A builder with just the form state the getters read
+function fieldsWith({ guests = '', initialEmails = [], permissions = {}, initialPermissions = {} } = {}) {
+  const fields = Object.create(GuestFieldsBuilder.prototype);
+  fields.guestInput = { value: guests };
+  fields.initialEmails = initialEmails;
+  fields.initialPermissions = { guestsCanModify: false, guestsCanInviteOthers: true, ...initialPermissions };
+  const checked = { ...fields.initialPermissions, ...permissions };
+  fields.permissionInputs = {
+    guestsCanModify: { checked: checked.guestsCanModify },
+    guestsCanInviteOthers: { checked: checked.guestsCanInviteOthers }
+  };
+  return fields;
+}
+
+describe('GuestFieldsBuilder', () => {
+  beforeEach(() => {
+    window.getLocalizedMessage = jest.fn(() => '');
+  });
+
+  test('names the entries that are not email addresses', () => {
+    expect(fieldsWith({ guests: 'a@example.com, bob, carol@' }).getInvalidMessage())
+      .toBe('Not an email address: bob, carol@');
+    expect(fieldsWith({ guests: 'a@example.com' }).getInvalidMessage()).toBeNull();
+  });
+
+  test('has someone to email only while the event has or had guests', () => {
+    expect(fieldsWith().hasGuests()).toBe(false);
+    expect(fieldsWith({ guests: 'a@example.com' }).hasGuests()).toBe(true);
+    // Removing every guest still emails them a cancellation
+    expect(fieldsWith({ initialEmails: ['a@example.com'] }).hasGuests()).toBe(true);
+  });
+
+  test('reads the guest permissions and whether they changed', () => {
+    const unchanged = fieldsWith({ initialPermissions: { guestsCanModify: true } });
+    expect(unchanged.getPermissions()).toEqual({ guestsCanModify: true, guestsCanInviteOthers: true });
+    expect(unchanged.isPermissionsChanged()).toBe(false);
+
+    const changed = fieldsWith({ permissions: { guestsCanInviteOthers: false } });
+    expect(changed.getPermissions()).toEqual({ guestsCanModify: false, guestsCanInviteOthers: false });
+    expect(changed.isPermissionsChanged()).toBe(true);
+  });
+});
@@ -0,0 +1,63 @@
+/**
+ * Tests for the LocalEventModal double-booking warning
+ */
+import { LocalEventModal } from '../../src/side_panel/components/modals/local-event-modal.js';
+
+// A modal with just the form state the conflict check reads
+function modalWith({ start = '10:00', end = '11:00', allDay = false, endDate = null, currentEvent = null } = {}) {
+  const modal = Object.create(LocalEventModal.prototype);
+  modal.startTimeInput = { value: start };
+  modal.endTimeInput = { value: end };
+  modal.currentEvent = currentEvent;
+  modal._getCurrentDate = () => new Date(2026, 6, 22);
+  modal.formBuilder = {
+    isAllDay: () => allDay,
+    getEventEndDate: () => endDate,
+    setConflictWarning: jest.fn(),
+  };
+  return modal;
+}
+
+describe('LocalEventModal conflict warning', () => {
+  test('checks the entered times on the shown day', () => {
+    expect(modalWith()._getFormInterval()).toEqual({
+      start: new Date(2026, 6, 22, 10, 0),
+      end: new Date(2026, 6, 22, 11, 0),
+    });
+  });
+
+  test('a multi-day event ends on its end date', () => {
+    expect(modalWith({ start: '22:00', end: '02:00', endDate: '2026-07-23' })._getFormInterval()).toEqual({
+      start: new Date(2026, 6, 22, 22, 0),
+      end: new Date(2026, 6, 23, 2, 0),
+    });
+  });
+
+  test('nothing to check for all-day, missing or reversed times', () => {
+    expect(modalWith({ allDay: true })._getFormInterval()).toBeNull();
+    expect(modalWith({ end: '' })._getFormInterval()).toBeNull();
+    expect(modalWith({ start: '11:00', end: '10:00' })._getFormInterval()).toBeNull();
+  });
+
+  test('lists the overlapping events, leaving out the event being edited', () => {
+    const modal = modalWith({ currentEvent: { id: 'local-1', occurrenceDate: '2026-07-22' } });
+    modal._findConflicts = jest.fn(() => ['Team sync']);
+
+    modal._updateConflictWarning();
+
+    expect(modal._findConflicts).toHaveBeenCalledWith(
+      new Date(2026, 6, 22, 10, 0), new Date(2026, 6, 22, 11, 0), 'local-1'
+    );
+    expect(modal.formBuilder.setConflictWarning).toHaveBeenCalledWith(['Team sync']);
+  });
+
+  test('clears the warning when the times cannot be checked', () => {
+    const modal = modalWith({ allDay: true });
+    modal._findConflicts = jest.fn(() => ['Team sync']);
+
+    modal._updateConflictWarning();
+
+    expect(modal._findConflicts).not.toHaveBeenCalled();
+    expect(modal.formBuilder.setConflictWarning).toHaveBeenCalledWith([]);
+  });
+});
@@ -43,6 +43,12 @@ describe('LocalEventModal formatting', () => {
       expect(result).toContain('～');
     });
 
+    test('repeats the date on the end of a multi-day event', () => {
+      const result = format('22:00', '02:00', new Date(2026, 6, 22), new Date(2026, 6, 23));
+      expect(result.startsWith('07/22/2026 ')).toBe(true);
+      expect(result).toContain(' - 07/23/2026 ');
+    });
+
     test('fallback on malformed time input still includes the date', () => {
       const result = format(12345, '10:00', new Date(2026, 6, 22));
       expect(result).toBe('07/22/2026 12345 - 10:00');
@@ -63,6 +69,14 @@ describe('LocalEventModal formatting', () => {
       expect(date.getDate()).toBe(25);
     });
 
+    test('prefers the start day of a multi-day continuation', () => {
+      const date = getDisplayDate(
+        { _getCurrentDate: () => new Date(2026, 0, 1) },
+        { isContinuation: true, occurrenceDate: '2026-07-24' }
+      );
+      expect(date.getDate()).toBe(24);
+    });
+
     test('falls back to the injected current panel date', () => {
       const panelDate = new Date(2026, 2, 14);
       const date = getDisplayDate({ _getCurrentDate: () => panelDate }, {});
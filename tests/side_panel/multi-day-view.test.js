@@ -0,0 +1,163 @@
+/**
+ * Tests for the multi-day view — one Google fetch for the whole range,
+ * split into day columns
+ */
+
+jest.mock('../../src/lib/settings-storage.js', () => ({
+  loadSettings: jest.fn(),
+  loadSelectedCalendars: jest.fn(),
+}));
+jest.mock('../../src/lib/chrome-messaging.js', () => ({
+  sendMessage: jest.fn(),
+}));
+jest.mock('../../src/lib/demo-data.js', () => ({
+  isDemoMode: jest.fn(() => false),
+  getDemoEvents: jest.fn(),
+  getDemoLocalEvents: jest.fn(),
+}));
+jest.mock('../../src/lib/utils.js', () => ({
+  logError: jest.fn(),
+}));
+jest.mock('../../src/lib/event-storage.js', () => ({
+  loadLocalEvents: jest.fn(),
+  loadLocalEventsForDate: jest.fn(),
+}));
+jest.mock('../../src/side_panel/event-element-factory.js', () => ({
+  EVENT_STYLING: { DEFAULT_VALUES: { ZERO_DURATION_MINUTES: 30 } },
+  onClickOnly: jest.fn(),
+  resolveLocaleSettings: jest.fn().mockResolvedValue(['en', '12h']),
+  EventElementFactory: { createEventElement: jest.fn(), createPrimaryLine: jest.fn() },
+}));
+
+import { GoogleEventManager } from '../../src/side_panel/event-handlers.js';
+import { MultiDayView } from '../../src/side_panel/multi-day-view.js';
+import { loadSettings } from '../../src/lib/settings-storage.js';
+import { sendMessage } from '../../src/lib/chrome-messaging.js';
+
+function timedEvent(id, start, end) {
+  return { id, start: { dateTime: start.toISOString() }, end: { dateTime: end.toISOString() } };
+}
+
+// A day column with stubbed managers, as MultiDayView.setColumns would build it
+function column(date) {
+  return {
+    date,
+    layoutManager: { clearAllEvents: jest.fn(), calculateLayout: jest.fn(), destroy: jest.fn() },
+    localEventManager: { loadLocalEvents: jest.fn().mockResolvedValue(), destroy: jest.fn() },
+    googleEventManager: {
+      renderEvents: jest.fn().mockResolvedValue(),
+      showFetchError: jest.fn(),
+      destroy: jest.fn(),
+    },
+  };
+}
+
+describe('GoogleEventManager.fetchEventsInRange', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    loadSettings.mockResolvedValue({ googleIntegrated: true, useGoogleCalendarColors: true });
+  });
+
+  test('requests the whole range in one message', async () => {
+    sendMessage.mockResolvedValue({ events: [{ id: 'a' }] });
+    const manager = new GoogleEventManager({ innerHTML: '' }, null);
+    const start = new Date(2026, 2, 9);
+
+    const events = await manager.fetchEventsInRange(start, 7);
+
+    expect(sendMessage).toHaveBeenCalledTimes(1);
+    expect(sendMessage.mock.calls[0][0]).toMatchObject({
+      action: 'getEvents', targetDate: start.toISOString(), days: 7
+    });
+    expect(events).toEqual([{ id: 'a' }]);
+  });
+
+  test('asks for the cancelled and declined events only when told to', async () => {
+    sendMessage.mockResolvedValue({ events: [] });
+    const manager = new GoogleEventManager({ innerHTML: '' }, null);
+
+    await manager.fetchEventsInRange(new Date(2026, 2, 9), 7);
+    await manager.fetchEventsInRange(new Date(2026, 2, 9), 7, { includeDeclined: true });
+
+    expect(sendMessage.mock.calls.map(([message]) => message.includeDeclined)).toEqual([false, true]);
+  });
+
+  test('reports expired authorization once and returns null', async () => {
+    sendMessage.mockResolvedValue({ error: 'expired', authExpired: true });
+    const manager = new GoogleEventManager({ innerHTML: '' }, null);
+    manager.onAuthExpired = jest.fn();
+
+    expect(await manager.fetchEventsInRange(new Date(2026, 2, 9), 3)).toBeNull();
+    expect(await manager.fetchEventsInRange(new Date(2026, 2, 9), 3)).toBeNull();
+    expect(manager.onAuthExpired).toHaveBeenCalledTimes(1);
+    expect(sendMessage).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('MultiDayView', () => {
+  const days = [new Date(2026, 2, 9), new Date(2026, 2, 10), new Date(2026, 2, 11)];
+  let fetcher;
+  let view;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    fetcher = { fetchEventsInRange: jest.fn(), useGoogleCalendarColors: true };
+    view = new MultiDayView({ googleEventManager: fetcher });
+    view.columns = days.map(column);
+  });
+
+  test('fetches once and renders each column with its own day\'s events', async () => {
+    const monday = timedEvent('mon', new Date(2026, 2, 9, 9), new Date(2026, 2, 9, 10));
+    const overnight = timedEvent('night', new Date(2026, 2, 10, 23), new Date(2026, 2, 11, 1));
+    const allDay = { id: 'trip', start: { date: '2026-03-09' }, end: { date: '2026-03-11' } };
+    fetcher.fetchEventsInRange.mockResolvedValue([monday, overnight, allDay]);
+
+    await view.load();
+
+    expect(fetcher.fetchEventsInRange).toHaveBeenCalledWith(days[0], 3, { includeDeclined: false });
+    const rendered = view.columns.map(c => c.googleEventManager.renderEvents.mock.calls[0][0].map(e => e.id));
+    expect(rendered).toEqual([['mon', 'trip'], ['night', 'trip'], ['night']]);
+    view.columns.forEach((c, i) => {
+      expect(c.localEventManager.loadLocalEvents).toHaveBeenCalledWith(days[i]);
+    });
+  });
+
+  test('asks for the declined events while they are shown', async () => {
+    fetcher.fetchEventsInRange.mockResolvedValue([]);
+    fetcher.showDeclinedEvents = true;
+
+    await view.loadGoogleEvents();
+
+    expect(fetcher.fetchEventsInRange).toHaveBeenCalledWith(days[0], 3, { includeDeclined: true });
+  });
+
+  test('drops a fetch that resolves after the columns changed', async () => {
+    let resolveFetch;
+    fetcher.fetchEventsInRange.mockReturnValue(new Promise(resolve => { resolveFetch = resolve; }));
+    const staleColumns = view.columns;
+
+    const loading = view.loadGoogleEvents();
+    view.setColumns([], []);
+    resolveFetch([timedEvent('x', new Date(2026, 2, 9, 9), new Date(2026, 2, 9, 10))]);
+    await loading;
+
+    staleColumns.forEach(c => expect(c.googleEventManager.renderEvents).not.toHaveBeenCalled());
+  });
+
+  test('shows a failed fetch in the first column', async () => {
+    const response = { error: 'Backend Error', errorType: 'Error' };
+    fetcher.fetchEventsInRange.mockRejectedValue(Object.assign(new Error('Backend Error'), { response }));
+
+    await view.loadGoogleEvents();
+
+    expect(view.columns[0].googleEventManager.showFetchError).toHaveBeenCalledWith(response);
+    expect(view.columns[1].googleEventManager.renderEvents).not.toHaveBeenCalled();
+  });
+
+  test('adds up the conflicts of all columns', () => {
+    view.columns[0].layoutManager.getConflictingEvents = () => [{ id: 'a' }, { id: 'b' }];
+    view.columns[1].layoutManager.getConflictingEvents = () => [];
+    view.columns[2].layoutManager.getConflictingEvents = () => [{ id: 'c' }, { id: 'd' }, { id: 'e' }];
+    expect(view.getConflictCount()).toBe(5);
+  });
+});
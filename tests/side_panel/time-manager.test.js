@@ -9,6 +9,11 @@ function mockElement() {
       add(...cls) { cls.forEach(c => this._classes.add(c)); },
       remove(...cls) { cls.forEach(c => this._classes.delete(c)); },
       contains(cls) { return this._classes.has(cls); },
+      toggle(cls, force) {
+        const on = force === undefined ? !this._classes.has(cls) : force;
+        if (on) { this._classes.add(cls); } else { this._classes.delete(cls); }
+        return on;
+      },
     },
   };
 }
@@ -710,6 +715,25 @@ describe('EventLayoutManager', () => {
       expect(tiny.maxWidth).toBeGreaterThanOrEqual(100);
       tiny.destroy();
     });
+
+    test('a day column overrides the left offset and minimum width', () => {
+      global.window = { ResizeObserver: undefined };
+      const column = new EventLayoutManager(
+        { getBoundingClientRect: () => ({ width: 60 }) },
+        { baseLeft: 0, reservedSpaceMargin: 2, minWidth: 20 }
+      );
+      expect(column.maxWidth).toBe(58);
+
+      const e1 = createEvent('e1', 10, 0, 11, 0);
+      const e2 = createEvent('e2', 10, 30, 11, 30);
+      column.registerEvent(e1);
+      column.registerEvent(e2);
+      column.calculateLayout();
+      expect(parseFloat(e1.element.style.left)).toBe(0);
+      expect(parseFloat(e2.element.style.left)).toBeGreaterThan(0);
+      expect(parseFloat(e2.element.style.left) + parseFloat(e2.element.style.width)).toBeCloseTo(58);
+      column.destroy();
+    });
   });
 
   describe('clearAllEvents', () => {
@@ -832,3 +856,150 @@ describe('EventLayoutManager — day-crossing events', () => {
     expect(smallHours.lane).toBe(0);
   });
 });
+
+// ---------------------------------------------------------------
+// SPEC: Multi-day local events (registered with dayStart)
+// - Clamped to the viewed day: a continuation starts at 00:00 and an
+//   event running past midnight stops at 24:00
+// ---------------------------------------------------------------
+describe('EventLayoutManager — clamped multi-day events', () => {
+  let manager;
+  const dayStart = new Date(2025, 5, 15);
+
+  beforeEach(() => {
+    manager = new EventLayoutManager(null);
+  });
+
+  afterEach(() => {
+    manager.destroy();
+  });
+
+  function createClampedEvent(id, startDay, startHour, startMin, endDay, endHour, endMin) {
+    return {
+      id,
+      startTime: new Date(2025, 5, startDay, startHour, startMin),
+      endTime: new Date(2025, 5, endDay, endHour, endMin),
+      dayStart,
+      element: mockElement(),
+    };
+  }
+
+  test('a continuation from the previous day starts at 00:00', () => {
+    const continuation = createClampedEvent('e1', 14, 22, 0, 15, 2, 0);
+    expect(manager._getRenderInterval(continuation)).toEqual({ start: 0, end: 120 });
+  });
+
+  test('an event running past midnight stops at 24:00', () => {
+    const overnight = createClampedEvent('e1', 15, 22, 0, 16, 2, 0);
+    expect(manager._getRenderInterval(overnight)).toEqual({ start: 1320, end: 1440 });
+  });
+
+  test('a middle day covers the whole timeline', () => {
+    const middle = createClampedEvent('e1', 14, 9, 0, 16, 17, 0);
+    expect(manager._getRenderInterval(middle)).toEqual({ start: 0, end: 1440 });
+  });
+
+  test('a continuation overlaps the small-hours events it is drawn beside', () => {
+    const continuation = createClampedEvent('e1', 14, 22, 0, 15, 2, 0);
+    const smallHours = createClampedEvent('e2', 15, 1, 0, 15, 1, 30);
+    const evening = createClampedEvent('e3', 15, 23, 0, 15, 23, 30);
+    expect(manager._areEventsOverlapping(continuation, smallHours)).toBe(true);
+    expect(manager._areEventsOverlapping(continuation, evening)).toBe(false);
+  });
+});
+
+describe('EventLayoutManager — conflicts', () => {
+  let manager;
+
+  beforeEach(() => {
+    manager = new EventLayoutManager(null);
+  });
+
+  afterEach(() => {
+    manager.destroy();
+  });
+
+  test('marks the overlapping events and reports their count', () => {
+    const e1 = createEvent('e1', 10, 0, 11, 0);
+    const e2 = createEvent('e2', 10, 30, 11, 30);
+    const e3 = createEvent('e3', 13, 0, 14, 0);
+    [e1, e2, e3].forEach(e => manager.registerEvent(e));
+    const onConflictsChange = jest.fn();
+    manager.onConflictsChange = onConflictsChange;
+
+    manager.calculateLayout();
+
+    expect(manager.getConflictingEvents().map(e => e.id)).toEqual(['e1', 'e2']);
+    expect(e1.element.classList.contains('has-conflict')).toBe(true);
+    expect(e2.element.classList.contains('has-conflict')).toBe(true);
+    expect(e3.element.classList.contains('has-conflict')).toBe(false);
+    expect(onConflictsChange).toHaveBeenCalledWith(2);
+  });
+
+  test('back-to-back events are not a conflict', () => {
+    const e1 = createEvent('e1', 10, 0, 11, 0);
+    const e2 = createEvent('e2', 11, 0, 12, 0);
+    manager.registerEvent(e1);
+    manager.registerEvent(e2);
+    manager.calculateLayout();
+    expect(manager.getConflictingEvents()).toEqual([]);
+  });
+
+  test('only the events overlapping each other conflict within a chained group', () => {
+    // e1 overlaps e2, e2 overlaps e3, but e1 and e3 do not meet
+    const e1 = createEvent('e1', 9, 0, 10, 30);
+    const e2 = createEvent('e2', 10, 0, 11, 0);
+    const e3 = createEvent('e3', 10, 45, 12, 0);
+    const e4 = createEvent('e4', 11, 30, 11, 45);
+    [e1, e2, e3, e4].forEach(e => manager.registerEvent(e));
+    manager.calculateLayout();
+    expect(manager.getConflictingEvents().map(e => e.id)).toEqual(['e1', 'e2', 'e3', 'e4']);
+
+    manager.removeEvent('e2');
+    manager.calculateLayout();
+    expect(manager.getConflictingEvents().map(e => e.id)).toEqual(['e3', 'e4']);
+    expect(e1.element.classList.contains('has-conflict')).toBe(false);
+  });
+
+  test('events marked free never conflict', () => {
+    const e1 = createEvent('e1', 10, 0, 11, 0);
+    const e2 = { ...createEvent('e2', 10, 0, 11, 0), transparent: true };
+    manager.registerEvent(e1);
+    manager.registerEvent(e2);
+    manager.calculateLayout();
+    expect(manager.getConflictingEvents()).toEqual([]);
+    // Still laid out side by side
+    expect(e1.element.style.width).toBe(e2.element.style.width);
+    expect(parseFloat(e1.element.style.width)).toBeLessThan(manager.maxWidth);
+  });
+
+  test('an empty day reports no conflicts', () => {
+    const onConflictsChange = jest.fn();
+    manager.onConflictsChange = onConflictsChange;
+    manager.calculateLayout();
+    expect(onConflictsChange).toHaveBeenCalledWith(0);
+  });
+
+  describe('findOverlappingEvents', () => {
+    test('finds the busy events overlapping a range', () => {
+      manager.registerEvent(createEvent('e1', 10, 0, 11, 0));
+      manager.registerEvent(createEvent('e2', 11, 0, 12, 0));
+      manager.registerEvent({ ...createEvent('e3', 10, 0, 12, 0), transparent: true });
+      const found = manager.findOverlappingEvents(new Date(2025, 5, 15, 10, 30), new Date(2025, 5, 15, 11, 0));
+      expect(found.map(e => e.id)).toEqual(['e1']);
+    });
+
+    test('leaves out the event being edited and its continuations', () => {
+      manager.registerEvent(createEvent('e1', 10, 0, 11, 0));
+      manager.registerEvent(createEvent('e1@2025-06-15', 0, 0, 2, 0));
+      manager.registerEvent(createEvent('e10', 10, 0, 11, 0));
+      const found = manager.findOverlappingEvents(new Date(2025, 5, 15, 0, 0), new Date(2025, 5, 15, 23, 0), 'e1');
+      expect(found.map(e => e.id)).toEqual(['e10']);
+    });
+
+    test('compares actual times, not the time of day', () => {
+      manager.registerEvent(createEvent('e1', 10, 0, 11, 0));
+      expect(manager.findOverlappingEvents(new Date(2025, 5, 16, 10, 0), new Date(2025, 5, 16, 11, 0))).toEqual([]);
+    });
+  });
+});
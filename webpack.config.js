@@ -43,7 +43,8 @@ module.exports = (env = {}, argv) => {
       background: './src/background.js',
       side_panel: './src/side_panel/side_panel.js',
       options: './src/options/options.js',
-      changelog: './src/changelog/changelog.js'
+      changelog: './src/changelog/changelog.js',
+      reminder_actions: './src/reminder/reminder-actions.js'
     },
     output: {
       path: path.resolve(__dirname, 'dist'),